@@ -0,0 +1,561 @@
+/**
+ * Persistent audit history for plan recalculations (opt-in)
+ *
+ * Every recalculatePlanMaterials run is stored in its own SQLite file next to
+ * the market database, together with:
+ *   - the pricing, material and invention records made during the run (the
+ *     same records live Audit Mode shows, so a run can be replayed in the
+ *     Audit Log window later)
+ *   - a snapshot of the plan afterwards: each blueprint row's ME/TE, runs,
+ *     lines and facility, the material and product quantities and prices, and
+ *     the job cost of each row with its system cost index
+ *
+ * Two snapshots of the same plan can be diffed: the profit change is split
+ * into price moves, cost index changes, ME/TE edits, facility changes and
+ * run/line edits. Profit here is product value minus material and job cost
+ * at plan prices (freight and acquisitions are left out).
+ *
+ * Retention: runs older than general.auditHistoryRetentionDays are dropped,
+ * and only the newest MAX_RECALCULATIONS_PER_PLAN runs of a plan are kept.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir } = require('./config-migration');
+const { runInAuditContext, getAuditContext } = require('./audit-recorder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECALCULATIONS_PER_PLAN = 100;
+const DEFAULT_RETENTION_DAYS = 30;
+
+const ATTRIBUTION_LABELS = {
+  price_moves: 'Price moves',
+  cost_index: 'Cost index changes',
+  me_te: 'ME/TE edits',
+  facility: 'Facility changes',
+  runs: 'Run, line and blueprint edits',
+  other: 'Unexplained',
+};
+
+let db = null;
+let historyEnabled = false;
+
+/**
+ * Turn recording of plan recalculations on or off
+ * @param {boolean} enabled
+ */
+function setAuditHistoryEnabled(enabled) {
+  historyEnabled = Boolean(enabled);
+}
+
+function isAuditHistoryEnabled() {
+  return historyEnabled;
+}
+
+/**
+ * Open (and create) the audit history database
+ * @returns {Database} Database handle
+ */
+function getAuditHistoryDatabase() {
+  if (db) return db;
+
+  const configDir = getConfigDir();
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true });
+  }
+
+  db = new Database(path.join(configDir, 'audit_history.sqlite'));
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('foreign_keys = ON');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_recalculations (
+      recalculation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id TEXT NOT NULL,
+      plan_name TEXT,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER NOT NULL,
+      refresh_prices INTEGER NOT NULL DEFAULT 0,
+      market_set_name TEXT,
+      record_count INTEGER NOT NULL DEFAULT 0,
+      snapshot TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_recalculations_plan ON audit_recalculations(plan_id, started_at);
+
+    CREATE TABLE IF NOT EXISTS audit_records (
+      record_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recalculation_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      payload TEXT NOT NULL,
+      FOREIGN KEY (recalculation_id) REFERENCES audit_recalculations(recalculation_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_records_recalculation ON audit_records(recalculation_id);
+  `);
+
+  return db;
+}
+
+/**
+ * Close the audit history database
+ */
+function closeAuditHistoryDatabase() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+function getRetentionDays() {
+  try {
+    const { getSetting } = require('./settings-manager');
+    const days = Number(getSetting('general', 'auditHistoryRetentionDays'));
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  } catch (error) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+}
+
+/**
+ * Snapshot what a plan's profit depends on
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object|null>} Snapshot, or null for unknown plans
+ */
+async function buildPlanSnapshot(planId) {
+  const { getCharacterDatabase } = require('./character-database');
+  const characterDb = getCharacterDatabase();
+
+  const plan = characterDb.prepare('SELECT plan_name FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) return null;
+
+  const rows = characterDb.prepare(`
+    SELECT plan_blueprint_id, blueprint_type_id, blueprint_type, runs, lines, me_level, te_level, facility_snapshot
+    FROM plan_blueprints
+    WHERE plan_id = ?
+  `).all(planId).map(row => {
+    let facility = null;
+    try {
+      facility = row.facility_snapshot ? JSON.parse(row.facility_snapshot) : null;
+    } catch (parseError) {
+      facility = null;
+    }
+    return {
+      planBlueprintId: row.plan_blueprint_id,
+      blueprintTypeId: row.blueprint_type_id,
+      blueprintType: row.blueprint_type,
+      runs: row.runs,
+      lines: row.lines,
+      meLevel: row.me_level,
+      teLevel: row.te_level,
+      facilityName: facility?.name || null,
+      facilityKey: row.facility_snapshot || null,
+    };
+  });
+
+  const nodes = characterDb.prepare(`
+    SELECT type_id, node_type, SUM(quantity_needed) as quantity, MAX(price_each) as price
+    FROM plan_material_nodes
+    WHERE plan_id = ? AND node_type IN ('material', 'product')
+    GROUP BY type_id, node_type
+  `).all(planId);
+
+  const toItem = node => ({ typeId: node.type_id, quantity: node.quantity || 0, price: node.price });
+  const materials = nodes.filter(n => n.node_type === 'material').map(toItem);
+  const products = nodes.filter(n => n.node_type === 'product').map(toItem);
+
+  const { calculatePlanJobInstallationCost } = require('./manufacturing-plans');
+  const jobInstallation = await calculatePlanJobInstallationCost(planId);
+  const jobs = jobInstallation.jobs || [];
+
+  const value = items => items.reduce((sum, item) => sum + item.quantity * (item.price || 0), 0);
+  const materialCost = value(materials);
+  const productValue = value(products);
+  const jobCost = jobs.reduce((sum, job) => sum + job.totalJobCost, 0);
+
+  return {
+    planName: plan.plan_name,
+    rows,
+    materials,
+    products,
+    jobs,
+    totals: { materialCost, productValue, jobCost, profit: productValue - materialCost - jobCost },
+  };
+}
+
+/**
+ * Delete runs past the retention window and beyond the per-plan cap
+ * @param {string} planId - Plan whose runs to cap
+ * @param {number} now - Current time in ms
+ */
+function pruneHistory(planId, now = Date.now()) {
+  const historyDb = getAuditHistoryDatabase();
+  const cutoff = now - getRetentionDays() * DAY_MS;
+
+  historyDb.prepare('DELETE FROM audit_recalculations WHERE started_at < ?').run(cutoff);
+  historyDb.prepare(`
+    DELETE FROM audit_recalculations
+    WHERE plan_id = ? AND recalculation_id NOT IN (
+      SELECT recalculation_id FROM audit_recalculations
+      WHERE plan_id = ?
+      ORDER BY started_at DESC, recalculation_id DESC
+      LIMIT ?
+    )
+  `).run(planId, planId, MAX_RECALCULATIONS_PER_PLAN);
+}
+
+/**
+ * Store a finished recalculation with its records and snapshot
+ * @param {Object} recalculation - { planId, startedAt, finishedAt, refreshPrices, records, snapshot }
+ * @returns {number} Recalculation ID
+ */
+function saveRecalculation({ planId, startedAt, finishedAt, refreshPrices, records, snapshot }) {
+  const historyDb = getAuditHistoryDatabase();
+  const marketSetName = records.find(r => r.context?.marketSetName)?.context.marketSetName || null;
+
+  const insertRecalculation = historyDb.prepare(`
+    INSERT INTO audit_recalculations
+      (plan_id, plan_name, started_at, finished_at, refresh_prices, market_set_name, record_count, snapshot)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertRecord = historyDb.prepare(`
+    INSERT INTO audit_records (recalculation_id, type, timestamp, payload) VALUES (?, ?, ?, ?)
+  `);
+
+  const save = historyDb.transaction(() => {
+    const { lastInsertRowid } = insertRecalculation.run(
+      planId, snapshot.planName, startedAt, finishedAt, refreshPrices ? 1 : 0,
+      marketSetName, records.length, JSON.stringify(snapshot)
+    );
+    for (const record of records) {
+      insertRecord.run(lastInsertRowid, record.type, record.timestamp, JSON.stringify(record));
+    }
+    return Number(lastInsertRowid);
+  });
+
+  const recalculationId = save();
+  pruneHistory(planId, finishedAt);
+  return recalculationId;
+}
+
+/**
+ * Run a plan recalculation, storing it in the history when the history is on.
+ * Failed runs (fn returns false) are not stored.
+ * @param {string} planId - Plan ID
+ * @param {Object} options - { refreshPrices }
+ * @param {Function} fn - The recalculation
+ * @returns {Promise<*>} Whatever fn returns
+ */
+async function recordPlanRecalculation(planId, options, fn) {
+  // Nested recalculations of the same plan belong to the outer run
+  if (!historyEnabled || getAuditContext()?.planId === planId) {
+    return fn();
+  }
+
+  const startedAt = Date.now();
+  const context = { planId, records: [] };
+  const result = await runInAuditContext(context, fn);
+  if (result === false) return result;
+
+  try {
+    const snapshot = await buildPlanSnapshot(planId);
+    if (snapshot) {
+      saveRecalculation({
+        planId,
+        startedAt,
+        finishedAt: Date.now(),
+        refreshPrices: Boolean(options?.refreshPrices),
+        records: context.records,
+        snapshot,
+      });
+    }
+  } catch (error) {
+    console.error('[Audit History] Error saving recalculation:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Plans with stored recalculations
+ * @returns {Array<{planId, planName, count, lastAt}>}
+ */
+function getHistoryPlans() {
+  return getAuditHistoryDatabase().prepare(`
+    SELECT plan_id, plan_name, COUNT(*) as count, MAX(started_at) as last_at
+    FROM audit_recalculations
+    GROUP BY plan_id
+    ORDER BY last_at DESC
+  `).all().map(row => ({ planId: row.plan_id, planName: row.plan_name, count: row.count, lastAt: row.last_at }));
+}
+
+/**
+ * Stored recalculations of a plan, newest first
+ * @param {string} planId - Plan ID
+ * @returns {Array} Recalculations with their totals
+ */
+function getRecalculations(planId) {
+  return getAuditHistoryDatabase().prepare(`
+    SELECT recalculation_id, plan_id, plan_name, started_at, finished_at, refresh_prices,
+           market_set_name, record_count, snapshot
+    FROM audit_recalculations
+    WHERE plan_id = ?
+    ORDER BY started_at DESC, recalculation_id DESC
+  `).all(planId).map(row => ({
+    recalculationId: row.recalculation_id,
+    planId: row.plan_id,
+    planName: row.plan_name,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    refreshPrices: row.refresh_prices === 1,
+    marketSetName: row.market_set_name,
+    recordCount: row.record_count,
+    totals: JSON.parse(row.snapshot).totals,
+  }));
+}
+
+/**
+ * Records made during a stored recalculation, in the live record format
+ * @param {number} recalculationId - Recalculation ID
+ * @returns {Array} Records
+ */
+function getRecalculationRecords(recalculationId) {
+  return getAuditHistoryDatabase().prepare(`
+    SELECT payload FROM audit_records WHERE recalculation_id = ? ORDER BY record_id
+  `).all(recalculationId).map(row => JSON.parse(row.payload));
+}
+
+function getSnapshot(recalculationId) {
+  const row = getAuditHistoryDatabase().prepare(`
+    SELECT recalculation_id, plan_id, started_at, snapshot FROM audit_recalculations WHERE recalculation_id = ?
+  `).get(recalculationId);
+  if (!row) throw new Error(`Recalculation ${recalculationId} not found`);
+  return { recalculationId: row.recalculation_id, planId: row.plan_id, startedAt: row.started_at, ...JSON.parse(row.snapshot) };
+}
+
+/**
+ * What changed on each blueprint row between two snapshots
+ * @returns {Array<{planBlueprintId, blueprintTypeId, categories: string[], changes: Array}>}
+ */
+function diffRows(fromRows, toRows) {
+  const fromById = new Map(fromRows.map(row => [row.planBlueprintId, row]));
+  const toById = new Map(toRows.map(row => [row.planBlueprintId, row]));
+  const result = [];
+
+  for (const id of new Set([...fromById.keys(), ...toById.keys()])) {
+    const before = fromById.get(id);
+    const after = toById.get(id);
+    const changes = [];
+    const categories = new Set();
+
+    if (!before || !after) {
+      changes.push({ field: after ? 'added' : 'removed', from: before?.runs ?? null, to: after?.runs ?? null });
+      categories.add('runs');
+    } else {
+      for (const field of ['meLevel', 'teLevel']) {
+        if (before[field] !== after[field]) {
+          changes.push({ field, from: before[field], to: after[field] });
+          categories.add('me_te');
+        }
+      }
+      if (before.facilityKey !== after.facilityKey) {
+        changes.push({ field: 'facility', from: before.facilityName, to: after.facilityName });
+        categories.add('facility');
+      }
+      for (const field of ['runs', 'lines']) {
+        if (before[field] !== after[field]) {
+          changes.push({ field, from: before[field], to: after[field] });
+          categories.add('runs');
+        }
+      }
+    }
+
+    if (changes.length > 0) {
+      const row = after || before;
+      result.push({ planBlueprintId: id, blueprintTypeId: row.blueprintTypeId, categories: [...categories], changes });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Split the value change of a set of items into a price effect (new quantity
+ * times the price move) and a quantity effect (quantity change at the old price)
+ */
+function diffItems(fromItems, toItems) {
+  const fromByType = new Map(fromItems.map(item => [item.typeId, item]));
+  const toByType = new Map(toItems.map(item => [item.typeId, item]));
+  const items = [];
+
+  for (const typeId of new Set([...fromByType.keys(), ...toByType.keys()])) {
+    const before = fromByType.get(typeId) || { quantity: 0, price: null };
+    const after = toByType.get(typeId) || { quantity: 0, price: null };
+    const fromPrice = before.price ?? after.price ?? 0;
+    const toPrice = after.price ?? before.price ?? 0;
+
+    items.push({
+      typeId,
+      fromQuantity: before.quantity,
+      toQuantity: after.quantity,
+      fromPrice,
+      toPrice,
+      priceEffect: after.quantity * (toPrice - fromPrice),
+      quantityEffect: (after.quantity - before.quantity) * fromPrice,
+      // Value change in the snapshot's own terms (a missing price counts as 0)
+      valueChange: after.quantity * (after.price || 0) - before.quantity * (before.price || 0),
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Compare two recalculations of a plan and attribute the profit change
+ * @param {number} fromId - Earlier recalculation ID
+ * @param {number} toId - Later recalculation ID
+ * @returns {Promise<Object>} { from, to, profitChange, attribution, rowChanges, priceMoves, jobChanges }
+ */
+async function diffRecalculations(fromId, toId) {
+  const from = getSnapshot(fromId);
+  const to = getSnapshot(toId);
+  if (from.planId !== to.planId) {
+    throw new Error('Recalculations belong to different plans');
+  }
+
+  const amounts = {};
+  const add = (category, amount) => {
+    if (amount) amounts[category] = (amounts[category] || 0) + amount;
+  };
+
+  // Quantity changes come from the row edits; with edits of several kinds the
+  // share of each can't be told apart, so the combination gets its own entry
+  const rowChanges = diffRows(from.rows, to.rows);
+  const editCategories = [...new Set(rowChanges.flatMap(row => row.categories))].sort();
+  const quantityCategory = editCategories.length > 0 ? editCategories.join('+') : 'other';
+
+  const materials = diffItems(from.materials, to.materials);
+  const products = diffItems(from.products, to.products);
+
+  for (const item of materials) {
+    add('price_moves', -item.priceEffect);
+    add(quantityCategory, -item.quantityEffect);
+    add('other', -(item.valueChange - item.priceEffect - item.quantityEffect));
+  }
+  for (const item of products) {
+    add('price_moves', item.priceEffect);
+    add(quantityCategory, item.quantityEffect);
+    add('other', item.valueChange - item.priceEffect - item.quantityEffect);
+  }
+
+  // Job cost per row: an edit to the row explains it first, then a cost
+  // index move; otherwise the EIV moved with adjusted prices
+  const rowCategories = new Map(rowChanges.map(row => [row.planBlueprintId, row.categories]));
+  const rowsById = new Map([...from.rows, ...to.rows].map(row => [row.planBlueprintId, row]));
+  const fromJobs = new Map(from.jobs.map(job => [job.key, job]));
+  const toJobs = new Map(to.jobs.map(job => [job.key, job]));
+  const jobChanges = [];
+
+  for (const key of new Set([...fromJobs.keys(), ...toJobs.keys()])) {
+    const before = fromJobs.get(key);
+    const after = toJobs.get(key);
+    const change = (after?.totalJobCost || 0) - (before?.totalJobCost || 0);
+    if (!change) continue;
+
+    const categories = rowCategories.get(key) || [];
+    let category;
+    if (categories.includes('facility')) category = 'facility';
+    else if (categories.includes('runs')) category = 'runs';
+    else if (before && after && before.systemCostIndex !== after.systemCostIndex) category = 'cost_index';
+    else if (before && after) category = 'price_moves';
+    else category = 'other';
+
+    add(category, -change);
+    jobChanges.push({
+      key,
+      blueprintTypeId: rowsById.get(key)?.blueprintTypeId ?? null,
+      fromCost: before?.totalJobCost ?? null,
+      toCost: after?.totalJobCost ?? null,
+      fromCostIndex: before?.systemCostIndex ?? null,
+      toCostIndex: after?.systemCostIndex ?? null,
+      category,
+    });
+  }
+
+  const priceMoves = [
+    ...materials.map(item => ({ ...item, kind: 'material', effect: -item.priceEffect })),
+    ...products.map(item => ({ ...item, kind: 'product', effect: item.priceEffect })),
+  ]
+    .filter(item => item.effect)
+    .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect));
+
+  const typeIds = [
+    ...new Set([
+      ...priceMoves.map(item => item.typeId),
+      ...rowChanges.map(row => row.blueprintTypeId),
+      ...jobChanges.filter(job => job.blueprintTypeId).map(job => job.blueprintTypeId),
+    ]),
+  ];
+  let names = {};
+  try {
+    const { getTypeNames } = require('./sde-database');
+    names = await getTypeNames(typeIds);
+  } catch (error) {
+    console.error('[Audit History] Error loading type names:', error);
+  }
+  const nameOf = typeId => names[typeId] || `Type ${typeId}`;
+
+  const attribution = Object.entries(amounts)
+    .filter(([, amount]) => Math.abs(amount) >= 0.005)
+    .map(([category, amount]) => ({
+      category,
+      label: category.split('+').map(part => ATTRIBUTION_LABELS[part]).join(' + '),
+      amount,
+    }))
+    .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+
+  const summarize = snapshot => ({ recalculationId: snapshot.recalculationId, startedAt: snapshot.startedAt, totals: snapshot.totals });
+
+  return {
+    from: summarize(from),
+    to: summarize(to),
+    profitChange: to.totals.profit - from.totals.profit,
+    attribution,
+    rowChanges: rowChanges.map(row => ({ ...row, blueprintName: nameOf(row.blueprintTypeId) })),
+    priceMoves: priceMoves.map(item => ({ ...item, typeName: nameOf(item.typeId) })),
+    jobChanges: jobChanges.map(job => ({ ...job, blueprintName: job.blueprintTypeId ? nameOf(job.blueprintTypeId) : 'Research job' })),
+  };
+}
+
+/**
+ * Delete stored recalculations
+ * @param {string} [planId] - Only this plan's (all when omitted)
+ */
+function clearHistory(planId = null) {
+  const historyDb = getAuditHistoryDatabase();
+  if (planId) {
+    historyDb.prepare('DELETE FROM audit_recalculations WHERE plan_id = ?').run(planId);
+  } else {
+    historyDb.prepare('DELETE FROM audit_recalculations').run();
+  }
+}
+
+module.exports = {
+  MAX_RECALCULATIONS_PER_PLAN,
+  setAuditHistoryEnabled,
+  isAuditHistoryEnabled,
+  getAuditHistoryDatabase,
+  closeAuditHistoryDatabase,
+  buildPlanSnapshot,
+  pruneHistory,
+  saveRecalculation,
+  recordPlanRecalculation,
+  getHistoryPlans,
+  getRecalculations,
+  getRecalculationRecords,
+  diffRecalculations,
+  clearHistory,
+};
@@ -10,10 +10,19 @@
  * recalculation can trigger hundreds of calculateRealisticPrice calls, so a
  * DB write per record would add real overhead for data nobody needs after
  * the session ends. The cap below bounds memory instead.
+ *
+ * Plan recalculations can additionally be kept on disk (audit-history.js,
+ * opt-in). Those run inside an audit context: every record made while the
+ * context is active is collected on it and written in one go when the
+ * recalculation ends, whether or not live Audit Mode is on.
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+
 const MAX_RECORDS = 1000;
 
+const auditContext = new AsyncLocalStorage();
+
 let auditEnabled = false;
 let records = [];
 let nextId = 1;
@@ -31,12 +40,36 @@ function setAuditWindow(webContents) {
   auditWindowWebContents = webContents || null;
 }
 
+/**
+ * Run a function with an audit context; records made inside it (across
+ * awaits) are collected on context.records
+ * @param {Object} context - Context object, gets a `records` array
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runInAuditContext(context, fn) {
+  context.records = context.records || [];
+  return auditContext.run(context, fn);
+}
+
+/**
+ * @returns {Object|undefined} The audit context of the current call, if any
+ */
+function getAuditContext() {
+  return auditContext.getStore();
+}
+
+// Whether anyone wants records right now
+function isCapturing() {
+  return auditEnabled || auditContext.getStore() !== undefined;
+}
+
 /**
  * @param {Object} record - must include `type` ('pricing' | 'materials' | 'invention')
  *   and the corresponding `pricing` / `materials` / `invention` payload, plus optional `context`.
  */
 function recordCalculation(record) {
-  if (!auditEnabled) return;
+  if (!isCapturing()) return;
 
   const fullRecord = {
     id: nextId++,
@@ -44,6 +77,12 @@ function recordCalculation(record) {
     ...record,
   };
 
+  const context = auditContext.getStore();
+  if (context) {
+    context.records.push(fullRecord);
+  }
+  if (!auditEnabled) return;
+
   records.push(fullRecord);
   if (records.length > MAX_RECORDS) {
     records.shift();
@@ -55,7 +94,7 @@ function recordCalculation(record) {
 }
 
 function recordPricing(context, priceResult) {
-  if (!auditEnabled) return;
+  if (!isCapturing()) return;
   recordCalculation({
     type: 'pricing',
     context,
@@ -80,7 +119,7 @@ function recordPricing(context, priceResult) {
 }
 
 function recordMaterials(context) {
-  if (!auditEnabled) return;
+  if (!isCapturing()) return;
   recordCalculation({
     type: 'materials',
     context,
@@ -89,7 +128,7 @@ function recordMaterials(context) {
 }
 
 function recordInvention(context) {
-  if (!auditEnabled) return;
+  if (!isCapturing()) return;
   recordCalculation({
     type: 'invention',
     context,
@@ -128,6 +167,8 @@ module.exports = {
   setAuditEnabled,
   isAuditEnabled,
   setAuditWindow,
+  runInAuditContext,
+  getAuditContext,
   recordCalculation,
   recordPricing,
   recordMaterials,
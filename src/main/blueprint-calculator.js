@@ -792,6 +792,101 @@ function getInventionData(blueprintTypeId, db = null) {
     }
 }
 
+/**
+ * Relic quality tiers in order of decreasing quality
+ * Reverse engineering relics are named "<Quality> <Relic Name>" (e.g. "Intact Hull Section")
+ */
+const RELIC_QUALITIES = ['intact', 'malfunctioning', 'wrecked'];
+
+/**
+ * Get the quality tier of a relic from its type name
+ * @param {string} relicName - Relic type name
+ * @returns {string|null} 'intact', 'malfunctioning', 'wrecked' or null if the name is not a relic
+ */
+function getRelicQuality(relicName) {
+    if (!relicName) {
+        return null;
+    }
+
+    const prefix = relicName.split(' ')[0].toLowerCase();
+    return RELIC_QUALITIES.includes(prefix) ? prefix : null;
+}
+
+/**
+ * Get reverse engineering data for a T3 blueprint
+ * Every relic quality that can produce the blueprint is returned as invention data
+ * narrowed to that blueprint, so it can be fed straight into findBestDecryptor
+ * @param {number} t3BlueprintTypeId - T3 hull or subsystem blueprint type ID
+ * @param {Database} db - Optional database connection to reuse
+ * @returns {Object|null} { t3BlueprintTypeID, t3ProductTypeID, t3ProductName, relics } or null if not reverse engineered
+ */
+function getReverseEngineeringData(t3BlueprintTypeId, db = null) {
+    try {
+        const ownConnection = !db;
+        if (!db) {
+            const dbPath = getSDEPath();
+            db           = new Database(dbPath, {readonly: true});
+        }
+
+        // Relics list the T3 blueprint as an activity 8 product, just like T1 blueprints list T2 ones
+        const sources = db.prepare(`
+            SELECT iap.typeID as relicTypeID, it.typeName as relicName
+            FROM industryActivityProducts iap
+                     LEFT JOIN invTypes it ON iap.typeID = it.typeID
+            WHERE iap.productTypeID = ?
+              AND iap.activityID = 8
+        `).all(t3BlueprintTypeId);
+
+        const relics = [];
+        for (const source of sources) {
+            const relicQuality = getRelicQuality(source.relicName);
+            if (!relicQuality) {
+                continue;
+            }
+
+            const inventionData = getInventionData(source.relicTypeID, db);
+            const product       = inventionData?.products.find(p => p.typeID === t3BlueprintTypeId);
+            if (!product) {
+                continue;
+            }
+
+            relics.push({
+                ...inventionData,
+                product,
+                baseProbability:      product.baseProbability,
+                t2BlueprintTypeID:    product.typeID,
+                t2ProductTypeID:      product.manufacturedProduct?.typeID,
+                t2ProductName:        product.manufacturedProduct?.typeName,
+                blueprintTypeID:      source.relicTypeID,
+                isReverseEngineering: true,
+                relicTypeID:          source.relicTypeID,
+                relicName:            source.relicName,
+                relicQuality
+            });
+        }
+
+        if (ownConnection) {
+            db.close();
+        }
+
+        if (relics.length === 0) {
+            return null;
+        }
+
+        relics.sort((a, b) => RELIC_QUALITIES.indexOf(a.relicQuality) - RELIC_QUALITIES.indexOf(b.relicQuality));
+
+        return {
+            t3BlueprintTypeID: t3BlueprintTypeId,
+            t3ProductTypeID:   relics[0].t2ProductTypeID || null,
+            t3ProductName:     relics[0].t2ProductName || null,
+            relics
+        };
+    } catch (error) {
+        console.error('[Reverse Engineering] Error getting reverse engineering data:', error);
+        return null;
+    }
+}
+
 /**
  * Get all decryptors with their modifiers
  * @param {Database} db - Optional database connection to reuse
@@ -985,8 +1080,11 @@ function calculateInventionCost(inventionData, materialPrices, probability, decr
         jobCost = jobGrossCost + taxesTotal;
     }
 
-    // Total cost per attempt = materials + decryptor + job cost
-    const totalCostPerAttempt = materialCost + decryptorPrice + jobCost;
+    // Reverse engineering consumes the relic itself on every attempt
+    const relicCost = inventionData.isReverseEngineering ? (materialPrices[inventionData.relicTypeID] || 0) : 0;
+
+    // Total cost per attempt = materials + relic + decryptor + job cost
+    const totalCostPerAttempt = materialCost + relicCost + decryptorPrice + jobCost;
 
     // Cost per successful invention = cost per attempt / probability
     const costPerSuccess = probability > 0 ? totalCostPerAttempt / probability : 0;
@@ -1012,6 +1110,7 @@ function calculateInventionCost(inventionData, materialPrices, probability, decr
 
     return {
         materialCost,
+        relicCost,
         decryptorCost: decryptorPrice,
         jobCost,
         totalCostPerAttempt,
@@ -1130,67 +1229,167 @@ async function calculateManufacturingCost(inventedBlueprintTypeId, meLevel, runs
     }
 }
 
+// EVE Online skill IDs that reduce manufacturing time
+const INDUSTRY_SKILL_ID          = 3380; // 4% per level
+const ADVANCED_INDUSTRY_SKILL_ID = 3388; // 3% per level
+
+// Science skills required by a T2 blueprint (e.g. Mechanical Engineering) reduce its
+// manufacturing time by 1% per level
+const SCIENCE_SKILL_GROUP_ID = 270;
+
 /**
- * Calculate manufacturing time for invented blueprint at specific TE level
- * @param {number} inventedBlueprintTypeId - TypeID of the invented T2 blueprint
+ * Get the character-dependent manufacturing time modifiers for a blueprint.
+ * Skill levels come from getEffectiveSkillLevel so overrides apply; the implant bonus
+ * comes from the character's industry implant settings.
+ * @param {number} blueprintTypeId - Blueprint type ID
+ * @param {number} characterId - Character ID
+ * @param {Database} db - Open SDE database connection
+ * @returns {Array<Object>} Modifiers [{source, label, skillId, level, percent, multiplier}]
+ */
+function getManufacturingSkillModifiers(blueprintTypeId, characterId, db) {
+    if (!characterId) {
+        return [];
+    }
+
+    const {getEffectiveSkillLevel, getCharacterIndustryImplants} = require('./settings-manager');
+    const modifiers = [];
+
+    const addSkillModifier = (skillId, label, percentPerLevel) => {
+        const level = getEffectiveSkillLevel(characterId, skillId) || 0;
+        if (level > 0) {
+            const percent = level * percentPerLevel;
+            modifiers.push({source: 'skill', label, skillId, level, percent, multiplier: 1 - percent / 100});
+        }
+    };
+
+    addSkillModifier(INDUSTRY_SKILL_ID, 'Industry', 4);
+    addSkillModifier(ADVANCED_INDUSTRY_SKILL_ID, 'Advanced Industry', 3);
+
+    const scienceSkills = db.prepare(`
+        SELECT ias.skillID, it.typeName as skillName
+        FROM industryActivitySkills ias
+                 JOIN invTypes it ON ias.skillID = it.typeID
+        WHERE ias.typeID = ?
+          AND ias.activityID = 1
+          AND it.groupID = ?
+    `).all(blueprintTypeId, SCIENCE_SKILL_GROUP_ID) || [];
+
+    for (const skill of scienceSkills) {
+        addSkillModifier(skill.skillID, skill.skillName, 1);
+    }
+
+    const implants = getCharacterIndustryImplants(characterId);
+    if (implants.manufacturingTimeBonus > 0) {
+        modifiers.push({
+            source:     'implant',
+            label:      `Industry implant (${implants.manufacturingTimeBonus}%)`,
+            percent:    implants.manufacturingTimeBonus,
+            multiplier: 1 - implants.manufacturingTimeBonus / 100
+        });
+    }
+
+    return modifiers;
+}
+
+/**
+ * Calculate manufacturing time for a blueprint at a specific TE level
+ * @param {number} inventedBlueprintTypeId - TypeID of the blueprint (T1 or invented T2)
  * @param {number} teLevel - Time Efficiency level (base TE + decryptor modifier)
  * @param {number} runs - Number of runs to manufacture
  * @param {Object} facility - Facility configuration
  * @param {Database} db - Optional database connection to reuse
- * @returns {Object} Manufacturing time breakdown
+ * @param {number} characterId - Character whose skills and implants apply (optional)
+ * @returns {Object} Manufacturing time breakdown, including every applied modifier
  */
-function calculateManufacturingTime(inventedBlueprintTypeId, teLevel, runs, facility, db = null) {
+function calculateManufacturingTime(inventedBlueprintTypeId, teLevel, runs, facility, db = null, characterId = null) {
+    const emptyResult = {
+        baseTime:     0,
+        adjustedTime: 0,
+        timePerRun:   0,
+        modifiers:    []
+    };
+
     try {
         const ownConnection = !db;
         if (!db) {
             db = new Database(getSDEPath(), {readonly: true});
         }
 
-        // Get base manufacturing time from SDE (activityID = 1 is manufacturing)
-        const timeData = db.prepare(`
-            SELECT time
-            FROM industryActivity
-            WHERE typeID = ? AND activityID = 1
-        `).get(inventedBlueprintTypeId);
-
-        if (ownConnection) db.close();
+        let timeData;
+        let skillModifiers = [];
+        try {
+            // Get base manufacturing time from SDE (activityID = 1 is manufacturing)
+            timeData = db.prepare(`
+                SELECT time
+                FROM industryActivity
+                WHERE typeID = ? AND activityID = 1
+            `).get(inventedBlueprintTypeId);
+
+            if (timeData && timeData.time) {
+                skillModifiers = getManufacturingSkillModifiers(inventedBlueprintTypeId, characterId, db);
+            }
+        } finally {
+            if (ownConnection) db.close();
+        }
 
         if (!timeData || !timeData.time) {
-            return {
-                baseTime:     0,
-                adjustedTime: 0,
-                timePerRun:   0
-            };
+            return emptyResult;
         }
 
-        const baseTime = timeData.time;
+        const baseTime  = timeData.time;
+        const modifiers = [];
 
         // Apply TE modifier
         // Each level of TE reduces time by 1% (formula: time * (1 - TE/100))
-        const teModifier = 1 - (teLevel / 100);
-        let adjustedTime = baseTime * teModifier;
+        if (teLevel) {
+            modifiers.push({source: 'blueprint', label: `Blueprint TE ${teLevel}`, percent: teLevel, multiplier: 1 - (teLevel / 100)});
+        }
 
         // Apply facility time bonuses if provided
-        if (facility && facility.bonuses && facility.bonuses.timeEfficiency) {
-            const facilityTEModifier = 1 - (facility.bonuses.timeEfficiency / 100);
-            adjustedTime             = adjustedTime * facilityTEModifier;
+        const facilityTimeBonus = facility?.bonuses?.timeEfficiency ?? facility?.structureBonuses?.timeEfficiency;
+        if (facilityTimeBonus) {
+            modifiers.push({source: 'facility', label: facility.name || 'Facility', percent: facilityTimeBonus, multiplier: 1 - (facilityTimeBonus / 100)});
         }
 
-        // Multiply by runs
-        adjustedTime = adjustedTime * runs;
+        // Skills and implants stack multiplicatively with the blueprint and facility bonuses
+        modifiers.push(...skillModifiers);
+
+        const timePerRun   = modifiers.reduce((time, modifier) => time * modifier.multiplier, baseTime);
+        const adjustedTime = timePerRun * runs;
 
         return {
             baseTime:     baseTime * runs,
             adjustedTime: adjustedTime,
-            timePerRun:   runs > 0 ? adjustedTime / runs : 0
+            timePerRun:   runs > 0 ? timePerRun : 0,
+            modifiers
         };
     } catch (error) {
         console.error('Error calculating manufacturing time:', error);
-        return {
-            baseTime:     0,
-            adjustedTime: 0,
-            timePerRun:   0
-        };
+        return emptyResult;
+    }
+}
+
+/**
+ * Calculate manufacturing time for several blueprints over one database connection
+ * @param {Array<{blueprintTypeId: number, teLevel: number, runs: number}>} requests - Blueprints to time
+ * @param {Object} facility - Facility configuration
+ * @param {number} characterId - Character whose skills and implants apply (optional)
+ * @returns {Array<Object>} Manufacturing time breakdowns, in request order
+ */
+function calculateManufacturingTimes(requests, facility, characterId = null) {
+    const db = new Database(getSDEPath(), {readonly: true});
+
+    try {
+        return requests.map(request => calculateManufacturingTime(
+            request.blueprintTypeId,
+            request.teLevel || 0,
+            request.runs || 1,
+            facility,
+            db,
+            characterId
+        ));
+    } finally {
+        db.close();
     }
 }
 
@@ -1203,9 +1402,11 @@ function calculateManufacturingTime(inventedBlueprintTypeId, teLevel, runs, faci
  * @param {Object} facility - Facility configuration for cost bonuses and system cost index
  * @param {string} optimizationStrategy - Strategy for selecting best decryptor ('invention-only', 'total-per-item', 'total-full-bpc', 'time-optimized', 'custom-volume')
  * @param {number} customVolume - Number of items to manufacture (used with 'custom-volume' strategy)
+ * @param {Object} marketSet - Market set used for manufacturing material pricing
+ * @param {number} characterId - Character whose skills and implants apply to manufacturing time (optional)
  * @returns {Promise<Object>} Best decryptor analysis with comparison
  */
-async function findBestDecryptor(inventionData, materialPrices, productPrice, skills = {}, facility = null, optimizationStrategy = 'total-per-item', customVolume = 1, marketSet = null) {
+async function findBestDecryptor(inventionData, materialPrices, productPrice, skills = {}, facility = null, optimizationStrategy = 'total-per-item', customVolume = 1, marketSet = null, characterId = null) {
     console.log(`[findBestDecryptor] Called with optimizationStrategy: ${optimizationStrategy}, customVolume: ${customVolume}`);
 
     // Create single database connection for all calculations
@@ -1253,7 +1454,7 @@ async function findBestDecryptor(inventionData, materialPrices, productPrice, sk
                 console.log(`  - Manufacturing cost full BPC: ${mfgCostFullBPC} ISK`);
 
                 // Manufacturing time
-                const mfgTime  = calculateManufacturingTime(inventedBlueprintTypeId, finalTE, 1, facility, sdeDb);
+                const mfgTime  = calculateManufacturingTime(inventedBlueprintTypeId, finalTE, 1, facility, sdeDb, characterId);
                 mfgTimePerItem = mfgTime.timePerRun;
             } else {
                 console.log('[Decryptor Option] No inventedBlueprintTypeId found!');
@@ -1292,6 +1493,7 @@ async function findBestDecryptor(inventionData, materialPrices, productPrice, sk
                 costPerRun:            invCost.costPerRun,
                 runsPerBPC:            invCost.runsPerBPC,
                 materialCost:          invCost.materialCost,
+                relicCost:             invCost.relicCost,
                 decryptorCost:         invCost.decryptorCost,
                 jobCost:               invCost.jobCost,
                 totalCostPerAttempt:   invCost.totalCostPerAttempt,
@@ -1363,6 +1565,72 @@ async function findBestDecryptor(inventionData, materialPrices, productPrice, sk
     }
 }
 
+/**
+ * Find the best relic quality and decryptor combination for reverse engineering a T3 blueprint
+ * Each relic quality is evaluated with findBestDecryptor and the options are compared
+ * using the same optimization strategy
+ * @param {Object} reverseEngineeringData - Data from getReverseEngineeringData
+ * @param {Object} materialPrices - Map of typeID -> price (datacores, relics and decryptors)
+ * @param {number} productPrice - Market price of the T3 product
+ * @param {Object} skills - Character skills { encryption, datacore1, datacore2 }
+ * @param {Object} facility - Facility configuration
+ * @param {string} optimizationStrategy - Strategy for selecting the best option (see findBestDecryptor)
+ * @param {number} customVolume - Number of items to manufacture (used with 'custom-volume' strategy)
+ * @param {Object} marketSet - Market set used for manufacturing material pricing
+ * @param {string} relicQuality - 'best' to compare all qualities, or 'intact', 'malfunctioning', 'wrecked'
+ * @param {number} characterId - Character whose skills and implants apply to manufacturing time (optional)
+ * @returns {Promise<Object|null>} Best relic/decryptor analysis, or null if no relic matches
+ */
+async function findBestReverseEngineering(reverseEngineeringData, materialPrices, productPrice, skills = {}, facility = null, optimizationStrategy = 'total-per-item', customVolume = 1, marketSet = null, relicQuality = 'best', characterId = null) {
+    const relics = (reverseEngineeringData?.relics || []).filter(relic =>
+        relicQuality === 'best' || relic.relicQuality === relicQuality
+    );
+
+    if (relics.length === 0) {
+        console.log(`[findBestReverseEngineering] No ${relicQuality} relic found for blueprint ${reverseEngineeringData?.t3BlueprintTypeID}`);
+        return null;
+    }
+
+    const relicResults = [];
+    for (const relic of relics) {
+        const result = await findBestDecryptor(relic, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSet, characterId);
+
+        const withRelic = option => ({
+            ...option,
+            relicTypeID:  relic.relicTypeID,
+            relicName:    relic.relicName,
+            relicQuality: relic.relicQuality
+        });
+
+        relicResults.push({
+            relicTypeID:  relic.relicTypeID,
+            relicName:    relic.relicName,
+            relicQuality: relic.relicQuality,
+            best:         withRelic(result.best),
+            noDecryptor:  result.noDecryptor,
+            allOptions:   result.allOptions.map(withRelic)
+        });
+    }
+
+    let bestRelic = relicResults[0];
+    for (const relicResult of relicResults) {
+        if (relicResult.best.optimizationMetric < bestRelic.best.optimizationMetric) {
+            bestRelic = relicResult;
+        }
+    }
+
+    console.log(`[findBestReverseEngineering] Best: ${bestRelic.relicName} + ${bestRelic.best.name} with metric ${bestRelic.best.optimizationMetric}`);
+
+    return {
+        best:                 bestRelic.best,
+        noDecryptor:          bestRelic.noDecryptor,
+        allOptions:           relicResults.flatMap(r => r.allOptions),
+        relics:               relicResults,
+        relicQuality,
+        optimizationStrategy
+    };
+}
+
 /**
  * Clear all calculation caches (material tree and type names)
  * Call this when switching to a different blueprint
@@ -1392,8 +1660,15 @@ module.exports = {
     calculateInventionProbability,
     calculateInventionCost,
     findBestDecryptor,
+    // Reverse engineering functions
+    RELIC_QUALITIES,
+    getRelicQuality,
+    getReverseEngineeringData,
+    findBestReverseEngineering,
     // Manufacturing calculations
     calculateManufacturingTime,
+    calculateManufacturingTimes,
+    getManufacturingSkillModifiers,
     calculateManufacturingCost,
     // Cache management
     clearMaterialCache
@@ -212,6 +212,49 @@ async function calculateOutputProductValue(product, marketSettings) {
   }
 }
 
+/**
+ * Calculate the Estimated Item Value (EIV) of a blueprint's manufacturing job
+ * EIV = sum of (adjusted_price × quantity) for each base material at ME 0.
+ * CCP's EIV calculation excludes materials without an adjusted price.
+ * @param {number} blueprintTypeId - Blueprint type ID
+ * @param {number} runs - Number of production runs
+ * @returns {number} Estimated item value in ISK (0 if the blueprint has no materials)
+ */
+function calculateEstimatedItemValue(blueprintTypeId, runs = 1) {
+  let estimatedItemValue = 0;
+  try {
+    const { getBlueprintMaterials } = require('./blueprint-calculator');
+    const { getAdjustedPrice } = require('./market-database');
+
+    // Get base materials at ME 0 (no reductions)
+    const baseMaterials = getBlueprintMaterials(blueprintTypeId);
+
+    if (!baseMaterials || baseMaterials.length === 0) {
+      console.warn(`No materials found for blueprint ${blueprintTypeId}`);
+      return 0;
+    }
+
+    // Calculate EIV from base materials × runs × adjusted prices
+    for (const material of baseMaterials) {
+      const adjustedPriceData = getAdjustedPrice(material.typeID);
+
+      if (adjustedPriceData && adjustedPriceData.adjusted_price) {
+        const materialValue = adjustedPriceData.adjusted_price * material.quantity * runs;
+        estimatedItemValue += materialValue;
+        console.log(`Material ${material.typeID}: ${material.quantity} × ${runs} runs × ${adjustedPriceData.adjusted_price} ISK = ${materialValue} ISK`);
+      } else {
+        console.warn(`No adjusted price found for material ${material.typeID}, excluding from EIV`);
+      }
+    }
+
+    console.log(`Total EIV for blueprint ${blueprintTypeId} (${runs} runs): ${estimatedItemValue} ISK`);
+  } catch (error) {
+    console.error(`Error calculating EIV for blueprint ${blueprintTypeId}:`, error);
+  }
+
+  return estimatedItemValue;
+}
+
 /**
  * Calculate manufacturing job cost breakdown
  * Job costs in EVE are calculated as:
@@ -252,38 +295,7 @@ async function calculateManufacturingJobCost(blueprintTypeId, runs, systemId, fa
   jobCostObj.systemCostIndex = manufacturingIndex.costIndex;
 
   // Calculate EIV (Estimated Item Value) from base materials at ME 0
-  // EIV = sum of (adjusted_price × quantity) for each base material
-  let estimatedItemValue = 0;
-  try {
-    const { getBlueprintMaterials } = require('./blueprint-calculator');
-    const { getAdjustedPrice } = require('./market-database');
-
-    // Get base materials at ME 0 (no reductions)
-    const baseMaterials = getBlueprintMaterials(blueprintTypeId);
-
-    if (!baseMaterials || baseMaterials.length === 0) {
-      console.warn(`No materials found for blueprint ${blueprintTypeId}`);
-      return jobCostObj;
-    }
-
-    // Calculate EIV from base materials × runs × adjusted prices
-    for (const material of baseMaterials) {
-      const adjustedPriceData = getAdjustedPrice(material.typeID);
-
-      if (adjustedPriceData && adjustedPriceData.adjusted_price) {
-        const materialValue = adjustedPriceData.adjusted_price * material.quantity * runs;
-        estimatedItemValue += materialValue;
-        console.log(`Material ${material.typeID}: ${material.quantity} × ${runs} runs × ${adjustedPriceData.adjusted_price} ISK = ${materialValue} ISK`);
-      } else {
-        console.warn(`No adjusted price found for material ${material.typeID}, excluding from EIV`);
-        // CCP's EIV calculation excludes items without adjusted prices
-      }
-    }
-
-    console.log(`Total EIV for blueprint ${blueprintTypeId} (${runs} runs): ${estimatedItemValue} ISK`);
-  } catch (error) {
-    console.error(`Error calculating EIV for blueprint ${blueprintTypeId}:`, error);
-  }
+  const estimatedItemValue = calculateEstimatedItemValue(blueprintTypeId, runs);
   jobCostObj.estimatedItemValue = estimatedItemValue;
 
   // Job Gross Cost = EIV × System Cost Index
@@ -438,6 +450,7 @@ async function calculateBlueprintPricing(materials, product, systemId, facility
 module.exports = {
   calculateInputMaterialsCost,
   calculateOutputProductValue,
+  calculateEstimatedItemValue,
   calculateManufacturingJobCost,
   calculateManufacturingTaxes,
   calculateBlueprintPricing,
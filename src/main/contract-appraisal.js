@@ -0,0 +1,266 @@
+/**
+ * Contract appraisal for item exchange contracts.
+ *
+ * Values a pasted contract item list against an asking price under three
+ * liquidation strategies, all priced with market depth (calculateVWAP over the
+ * cached order book) rather than top-of-book:
+ *  - buy:       dump everything into buy orders now; volume the buy book
+ *               cannot absorb is worth nothing
+ *  - sell:      list everything as sell orders at the depth-weighted price of
+ *               the current sell book; takes quantity / SVR days
+ *  - reprocess: reprocess what can be reprocessed and dump the minerals into
+ *               buy orders (minerals are pooled across the contract so depth
+ *               is shared); everything else goes into buy orders
+ * plus a "best" mix that picks the most valuable strategy per line.
+ *
+ * Risk is the part of an item's expected value that only materialises if the
+ * market absorbs our sell orders: best value minus what buy orders (or
+ * reprocessing) pay right now. Items are ranked by their share of that risk.
+ */
+
+const { calculateVWAP } = require('./market-pricing');
+const { calculateReprocessingYield, calculateReprocessingValue } = require('./reprocessing-calculator');
+
+// Listing an item that takes longer than this to sell is flagged as illiquid
+const ILLIQUID_DAYS = 30;
+
+// Days of market history used for SVR (average daily volume)
+const SVR_DAYS = 7;
+
+/**
+ * Merge contract lines of the same type so each type walks the book once
+ * @param {Array} items - Enriched items from loot:parseAndEnrich
+ * @returns {Array} Items with unique typeIds
+ */
+function mergeItems(items) {
+  const byType = new Map();
+  for (const item of items) {
+    if (!item || !item.typeId || !(item.quantity > 0)) continue;
+    const existing = byType.get(item.typeId);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      byType.set(item.typeId, { ...item });
+    }
+  }
+  return [...byType.values()];
+}
+
+/**
+ * ISK received for a quantity walked through one side of a book; unfilled
+ * volume is worth nothing
+ * @param {Array} orders - Market orders for the type
+ * @param {number} quantity - Quantity to sell
+ * @param {boolean} isBuy - True to sell into buy orders
+ * @returns {{ value: number, price: number, filled: number, incomplete: boolean }}
+ */
+function walkBook(orders, quantity, isBuy) {
+  const vwap = calculateVWAP(orders, quantity, isBuy);
+  const filled = vwap.quantityFilled || 0;
+  return {
+    value: filled > 0 ? vwap.price * filled : 0,
+    price: filled > 0 ? vwap.price : 0,
+    filled,
+    incomplete: vwap.incomplete,
+  };
+}
+
+/**
+ * Appraise contract items against an asking price
+ * @param {Array} items - [{ typeId, typeName, quantity, canReprocess, portionSize, materials }]
+ * @param {number} askingPrice - Contract price in ISK
+ * @param {Object} marketData
+ * @param {Object} marketData.ordersByType - typeId → market orders (items and minerals)
+ * @param {Object} marketData.svrByType - typeId → average daily volume (null when unknown)
+ * @param {Object} marketData.yieldByType - typeId → reprocessing yield rate
+ * @returns {Object} { items, strategies, bestStrategy, expectedProfit, askingPrice, totalRisk }
+ */
+function appraiseItems(items, askingPrice, marketData) {
+  const { ordersByType = {}, svrByType = {}, yieldByType = {} } = marketData;
+  const ordersOf = typeId => ordersByType[typeId] || [];
+  const asking = Number(askingPrice) || 0;
+
+  const merged = mergeItems(items);
+
+  // Minerals from every reprocessable line, pooled so they share buy-order depth
+  const yieldsByItem = {};
+  const mineralTotals = {};
+  for (const item of merged) {
+    if (!item.canReprocess) continue;
+    const refined = calculateReprocessingValue(
+      item.quantity,
+      yieldByType[item.typeId] || 0,
+      { portionSize: item.portionSize, materials: item.materials || [] },
+      {}
+    );
+    yieldsByItem[item.typeId] = refined.materials;
+    for (const m of refined.materials) {
+      mineralTotals[m.materialTypeId] = (mineralTotals[m.materialTypeId] || 0) + m.qty;
+    }
+  }
+
+  // Effective ISK per mineral unit after walking the pooled quantity
+  const mineralUnitValue = {};
+  for (const [typeId, quantity] of Object.entries(mineralTotals)) {
+    const sold = walkBook(ordersOf(typeId), quantity, true);
+    mineralUnitValue[typeId] = quantity > 0 ? sold.value / quantity : 0;
+  }
+
+  const results = merged.map(item => {
+    const orders = ordersOf(item.typeId);
+    const svr = svrByType[item.typeId] ?? null;
+
+    const instant = walkBook(orders, item.quantity, true);
+
+    // Listing competes with the existing sell book: value the whole stack at
+    // the depth-weighted price of that book
+    const listing = calculateVWAP(orders, item.quantity, false);
+    const listValue = listing.quantityFilled > 0 ? listing.price * item.quantity : 0;
+    const daysToLiquidate = svr > 0 ? item.quantity / svr : null;
+
+    const reprocessValue = yieldsByItem[item.typeId]
+      ? yieldsByItem[item.typeId].reduce((sum, m) => sum + m.qty * (mineralUnitValue[m.materialTypeId] || 0), 0)
+      : null;
+
+    const values = { buy: instant.value, sell: listValue, reprocess: reprocessValue };
+    let bestStrategy = 'buy';
+    if ((reprocessValue ?? -Infinity) > values[bestStrategy]) bestStrategy = 'reprocess';
+    if (listValue > values[bestStrategy]) bestStrategy = 'sell';
+    const bestValue = values[bestStrategy];
+
+    const floorValue = Math.max(instant.value, reprocessValue || 0);
+    const riskIsk = Math.max(0, bestValue - floorValue);
+
+    return {
+      typeId: item.typeId,
+      typeName: item.typeName,
+      quantity: item.quantity,
+      buyValue: instant.value,
+      buyFilled: instant.filled,
+      sellValue: listValue,
+      sellPrice: listing.quantityFilled > 0 ? listing.price : 0,
+      reprocessValue,
+      svr,
+      daysToLiquidate,
+      illiquid: listValue > 0 && (daysToLiquidate === null || daysToLiquidate > ILLIQUID_DAYS),
+      bestStrategy,
+      bestValue,
+      riskIsk,
+      riskShare: 0,
+    };
+  });
+
+  const totalRisk = results.reduce((sum, r) => sum + r.riskIsk, 0);
+  for (const r of results) {
+    r.riskShare = totalRisk > 0 ? r.riskIsk / totalRisk : 0;
+  }
+
+  /**
+   * Totals for one strategy; listing time is the slowest listed line since
+   * lines sell in parallel (null when any listed line has no SVR)
+   */
+  const summarize = (valueOf, isListed) => {
+    const value = results.reduce((sum, r) => sum + valueOf(r), 0);
+    const listed = results.filter(r => isListed(r) && valueOf(r) > 0);
+    const daysToLiquidate = listed.length === 0
+      ? 0
+      : (listed.some(r => r.daysToLiquidate === null) ? null : Math.max(...listed.map(r => r.daysToLiquidate)));
+    const profit = value - asking;
+    return { value, profit, margin: asking > 0 ? profit / asking : null, daysToLiquidate };
+  };
+
+  const strategies = {
+    buy: summarize(r => r.buyValue, () => false),
+    sell: summarize(r => r.sellValue, () => true),
+    reprocess: summarize(r => r.reprocessValue ?? r.buyValue, () => false),
+    best: summarize(r => r.bestValue, r => r.bestStrategy === 'sell'),
+  };
+
+  return {
+    askingPrice: asking,
+    items: results.sort((a, b) => b.riskIsk - a.riskIsk || b.bestValue - a.bestValue),
+    strategies,
+    expectedProfit: strategies.best.profit,
+    totalRisk,
+  };
+}
+
+/**
+ * Average daily volume over the cached history (null when there is none)
+ * @param {Function} getCachedMarketHistory - esi-market history reader
+ * @param {number} regionId - Region ID
+ * @param {number} typeId - Type ID
+ * @returns {number|null}
+ */
+function getSvr(getCachedMarketHistory, regionId, typeId) {
+  try {
+    const history = getCachedMarketHistory(regionId, typeId, SVR_DAYS);
+    if (!history || history.length === 0) return null;
+    return history.reduce((sum, day) => sum + (day.volume || 0), 0) / history.length;
+  } catch (error) {
+    console.error(`[Contract Appraisal] Error reading history for ${typeId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Appraise a contract item list from cached market data
+ * @param {Object} params
+ * @param {Array} params.items - Enriched items from loot:parseAndEnrich
+ * @param {number} params.askingPrice - Contract price in ISK
+ * @param {Object} params.market - { regionId, locationId }
+ * @param {Object} params.reprocessingConfig - { stationConfig, baseSkills, implantBonus, oreSkillLevels }
+ * @returns {Object} Result of appraiseItems plus the market used
+ */
+function appraiseContract(params) {
+  const { getCachedMarketOrders, getCachedMarketHistory } = require('./esi-market');
+  const { items = [], askingPrice = 0, market, reprocessingConfig = {} } = params;
+
+  if (!market || !market.regionId) {
+    throw new Error('No market selected');
+  }
+
+  const {
+    stationConfig = { stationType: 'npc', rig: 'none' },
+    baseSkills = {},
+    implantBonus = 0,
+    oreSkillLevels = {},
+  } = reprocessingConfig;
+  const locationFilter = market.locationId ? { stationId: market.locationId } : null;
+
+  const yieldByType = {};
+  const typeIds = new Set();
+  for (const item of items) {
+    typeIds.add(item.typeId);
+    if (!item.canReprocess) continue;
+    for (const m of item.materials || []) typeIds.add(m.materialTypeId);
+
+    const skillId = item.typeSpecificSkillId;
+    yieldByType[item.typeId] = calculateReprocessingYield(
+      stationConfig,
+      {
+        reprocessing: baseSkills.reprocessing,
+        reprocessingEfficiency: baseSkills.reprocessingEfficiency,
+        typeSpecific: skillId ? (oreSkillLevels[skillId] || 0) : 0,
+      },
+      implantBonus
+    );
+  }
+
+  const ordersByType = {};
+  const svrByType = {};
+  for (const typeId of typeIds) {
+    ordersByType[typeId] = getCachedMarketOrders(market.regionId, typeId, locationFilter);
+    svrByType[typeId] = getSvr(getCachedMarketHistory, market.regionId, typeId);
+  }
+
+  return {
+    ...appraiseItems(items, askingPrice, { ordersByType, svrByType, yieldByType }),
+    market,
+  };
+}
+
+module.exports = {
+  appraiseItems,
+  appraiseContract,
+};
@@ -1699,6 +1699,378 @@ const migrations = [
     down: (db) => {
       console.log('[Migration 024] Rollback not implemented (would require table recreation)');
     }
+  },
+  {
+    id: '025_plan_research_jobs_table',
+    description: 'Create plan_research_jobs table for ME/TE research and copy jobs in plans',
+    up: (db) => {
+      console.log('[Migration 025] Ensuring plan_research_jobs table...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_research_jobs (
+            research_job_id   TEXT    PRIMARY KEY,
+            plan_id           TEXT    NOT NULL,
+            blueprint_type_id INTEGER NOT NULL,
+            job_type          TEXT    NOT NULL CHECK(job_type IN ('research_me','research_te','copying')),
+            from_level        INTEGER NOT NULL DEFAULT 0,
+            to_level          INTEGER NOT NULL DEFAULT 0,
+            runs              INTEGER NOT NULL DEFAULT 1,
+            copies            INTEGER NOT NULL DEFAULT 1,
+            facility_id       TEXT,
+            facility_snapshot TEXT,
+            is_completed      INTEGER NOT NULL DEFAULT 0,
+            added_at          INTEGER NOT NULL,
+            FOREIGN KEY (plan_id) REFERENCES manufacturing_plans(plan_id) ON DELETE CASCADE
+          )
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_plan_research_jobs_plan
+            ON plan_research_jobs(plan_id)
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 025] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 025] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 025] Rollback not implemented');
+    }
+  },
+  {
+    id: '026_market_orders_table',
+    description: 'Create esi_market_orders table (character + corp open and historical market orders)',
+    up: (db) => {
+      console.log('[Migration 026] Ensuring esi_market_orders table...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        // order_id is globally unique in EVE; a corp order seen through two
+        // directors' tokens is still one row.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS esi_market_orders (
+            order_id         INTEGER PRIMARY KEY,
+            character_id     INTEGER NOT NULL,
+            is_corporation   INTEGER NOT NULL DEFAULT 0,
+            corporation_id   INTEGER,
+            issued_by        INTEGER,
+            wallet_division  INTEGER,
+            type_id          INTEGER NOT NULL,
+            region_id        INTEGER NOT NULL,
+            location_id      INTEGER NOT NULL,
+            range            TEXT,
+            is_buy_order     INTEGER NOT NULL DEFAULT 0,
+            price            REAL NOT NULL,
+            volume_total     INTEGER NOT NULL,
+            volume_remain    INTEGER NOT NULL,
+            min_volume       INTEGER,
+            escrow           REAL,
+            duration         INTEGER,
+            issued           INTEGER NOT NULL,
+            state            TEXT NOT NULL DEFAULT 'open' CHECK(state IN ('open','closed','expired','cancelled')),
+            last_updated     INTEGER NOT NULL,
+            cache_expires_at INTEGER
+          )
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_market_orders_type_state
+            ON esi_market_orders(type_id, state)
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_market_orders_owner
+            ON esi_market_orders(character_id, is_corporation, corporation_id)
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 026] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 026] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 026] Rollback: DROP TABLE esi_market_orders');
+      db.exec('DROP TABLE IF EXISTS esi_market_orders');
+    }
+  },
+  {
+    id: '027_mining_ledger_tables',
+    description: 'Create esi_mining_ledger and plan_mining_allocations tables',
+    up: (db) => {
+      console.log('[Migration 027] Ensuring mining ledger tables...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        // ESI reports one running total per day, system and ore; a refresh
+        // replaces the quantity rather than adding to it.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS esi_mining_ledger (
+            character_id     INTEGER NOT NULL,
+            date             TEXT    NOT NULL,
+            solar_system_id  INTEGER NOT NULL,
+            type_id          INTEGER NOT NULL,
+            quantity         INTEGER NOT NULL,
+            last_updated     INTEGER NOT NULL,
+            cache_expires_at INTEGER,
+            PRIMARY KEY (character_id, date, solar_system_id, type_id)
+          )
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_mining_ledger_type
+            ON esi_mining_ledger(type_id, date)
+        `);
+        // Ore taken out of the mining ledger to source a plan. The minerals it
+        // yields are plan_material_ledger rows with source_type = 'mining' and
+        // source_ref = allocation_id.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_mining_allocations (
+            allocation_id TEXT    PRIMARY KEY,
+            plan_id       TEXT    NOT NULL,
+            ore_type_id   INTEGER NOT NULL,
+            ore_quantity  INTEGER NOT NULL,
+            ore_value     REAL,
+            yield_rate    REAL    NOT NULL,
+            created_at    INTEGER NOT NULL,
+            FOREIGN KEY (plan_id) REFERENCES manufacturing_plans(plan_id) ON DELETE CASCADE
+          )
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_mining_allocations_ore
+            ON plan_mining_allocations(ore_type_id)
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 027] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 027] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 027] Rollback: DROP TABLE plan_mining_allocations, esi_mining_ledger');
+      db.exec('DROP TABLE IF EXISTS plan_mining_allocations');
+      db.exec('DROP TABLE IF EXISTS esi_mining_ledger');
+    }
+  },
+  {
+    id: '028_job_match_feedback',
+    description: 'Add esi_industry_jobs.location_id and create job_match_feedback table',
+    up: (db) => {
+      console.log('[Migration 028] Ensuring job matching columns and feedback table...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        const jobsTable = db.prepare(`
+          SELECT name FROM sqlite_master WHERE type='table' AND name='esi_industry_jobs'
+        `).get();
+        if (jobsTable) {
+          const cols = db.prepare('PRAGMA table_info(esi_industry_jobs)').all().map(c => c.name);
+          if (!cols.includes('location_id')) {
+            db.exec('ALTER TABLE esi_industry_jobs ADD COLUMN location_id INTEGER');
+            console.log('[Migration 028] Added esi_industry_jobs.location_id');
+          }
+        }
+
+        // One row per user confirm/reject decision, with the match features at
+        // decision time. Not tied to the plan: decisions keep training the
+        // matcher after the plan is deleted.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS job_match_feedback (
+            feedback_id TEXT    PRIMARY KEY,
+            match_id    TEXT    NOT NULL,
+            plan_id     TEXT    NOT NULL,
+            job_id      INTEGER NOT NULL,
+            decision    TEXT    NOT NULL CHECK(decision IN ('confirmed', 'rejected')),
+            features    TEXT    NOT NULL,
+            created_at  INTEGER NOT NULL
+          )
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 028] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 028] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 028] Rollback: DROP TABLE job_match_feedback (location_id column kept)');
+      db.exec('DROP TABLE IF EXISTS job_match_feedback');
+    }
+  },
+  {
+    id: '029_plan_lifecycle',
+    description: 'Plan lifecycle: completed plans become closed, add plan_closeouts and plan_stockpile, link plan_asset_allocations to the stockpile',
+    up: (db) => {
+      console.log('[Migration 029] Ensuring plan lifecycle tables...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        const tableExists = (name) => !!db.prepare(`
+          SELECT name FROM sqlite_master WHERE type='table' AND name=?
+        `).get(name);
+
+        // 'completed' is the closed state of the draft → active → building →
+        // selling → closed lifecycle
+        if (tableExists('manufacturing_plans')) {
+          const result = db.prepare(`
+            UPDATE manufacturing_plans SET status = 'closed' WHERE status = 'completed'
+          `).run();
+          if (result.changes > 0) {
+            console.log(`[Migration 029] Moved ${result.changes} completed plan(s) to closed`);
+          }
+        }
+
+        if (tableExists('plan_asset_allocations')) {
+          const cols = db.prepare('PRAGMA table_info(plan_asset_allocations)').all().map(c => c.name);
+          if (!cols.includes('stockpile_id')) {
+            db.exec('ALTER TABLE plan_asset_allocations ADD COLUMN stockpile_id TEXT');
+            console.log('[Migration 029] Added plan_asset_allocations.stockpile_id');
+          }
+          if (!cols.includes('unit_price')) {
+            db.exec('ALTER TABLE plan_asset_allocations ADD COLUMN unit_price REAL');
+            console.log('[Migration 029] Added plan_asset_allocations.unit_price');
+          }
+        }
+
+        // Close-out report snapshot, written when a plan closes
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_closeouts (
+            plan_id    TEXT    PRIMARY KEY,
+            report     TEXT    NOT NULL,
+            closed_at  INTEGER NOT NULL,
+            FOREIGN KEY (plan_id) REFERENCES manufacturing_plans(plan_id) ON DELETE CASCADE
+          )
+        `);
+        // Leftovers of closed plans. Not tied to the source plan: the items are
+        // still in the hangar after the plan is deleted. Allocations to new
+        // plans are plan_asset_allocations rows with stockpile_id set.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_stockpile (
+            stockpile_id    TEXT    PRIMARY KEY,
+            source_plan_id  TEXT,
+            type_id         INTEGER NOT NULL,
+            kind            TEXT    NOT NULL CHECK(kind IN ('material', 'intermediate')),
+            quantity        INTEGER NOT NULL,
+            unit_price      REAL,
+            created_at      INTEGER NOT NULL
+          )
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_plan_stockpile_type
+            ON plan_stockpile(type_id)
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 029] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 029] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 029] Rollback: DROP TABLE plan_stockpile, plan_closeouts (columns and statuses kept)');
+      db.exec('DROP TABLE IF EXISTS plan_stockpile');
+      db.exec('DROP TABLE IF EXISTS plan_closeouts');
+    }
+  },
+  {
+    id: '030_plan_templates',
+    description: 'Add plan_templates and plan_template_cycles for recurring production cycles',
+    up: (db) => {
+      console.log('[Migration 030] Ensuring plan template tables...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        // definition is a plan export document (plan-export.js) without actuals
+        // or price overrides; spawned plans are priced at current prices
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_templates (
+            template_id             TEXT    PRIMARY KEY,
+            character_id            INTEGER NOT NULL,
+            template_name           TEXT    NOT NULL,
+            description             TEXT,
+            source_plan_id          TEXT,
+            definition              TEXT    NOT NULL,
+            default_multiplier      REAL    NOT NULL DEFAULT 1,
+            schedule_interval_days  INTEGER,
+            next_run_at             INTEGER,
+            created_at              INTEGER NOT NULL,
+            updated_at              INTEGER NOT NULL
+          )
+        `);
+        // One row per plan spawned from a template. plan_id is cleared when the
+        // plan is deleted so the cycle numbering stays intact.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_template_cycles (
+            cycle_id      TEXT    PRIMARY KEY,
+            template_id   TEXT    NOT NULL,
+            plan_id       TEXT,
+            cycle_number  INTEGER NOT NULL,
+            multiplier    REAL    NOT NULL,
+            trigger       TEXT    NOT NULL CHECK(trigger IN ('manual', 'schedule')),
+            created_at    INTEGER NOT NULL,
+            FOREIGN KEY (template_id) REFERENCES plan_templates(template_id) ON DELETE CASCADE,
+            FOREIGN KEY (plan_id) REFERENCES manufacturing_plans(plan_id) ON DELETE SET NULL
+          )
+        `);
+        db.exec(`
+          CREATE INDEX IF NOT EXISTS idx_plan_template_cycles_template
+            ON plan_template_cycles(template_id, cycle_number)
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 030] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 030] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 030] Rollback: DROP TABLE plan_template_cycles, plan_templates');
+      db.exec('DROP TABLE IF EXISTS plan_template_cycles');
+      db.exec('DROP TABLE IF EXISTS plan_templates');
+    }
+  },
+  {
+    id: '031_plan_buy_items',
+    description: 'Add plan_buy_items for materials a plan buys without a blueprint',
+    up: (db) => {
+      console.log('[Migration 031] Ensuring plan_buy_items table...');
+
+      db.exec('BEGIN TRANSACTION');
+      try {
+        // Items bought ready-made (e.g. faction modules of a doctrine). They
+        // count as plan materials next to the blueprint-derived material nodes,
+        // which always belong to a plan_blueprints row.
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS plan_buy_items (
+            plan_id          TEXT    NOT NULL,
+            type_id          INTEGER NOT NULL,
+            quantity         REAL    NOT NULL,
+            price_each       REAL,
+            price_frozen_at  INTEGER,
+            added_at         INTEGER NOT NULL,
+            PRIMARY KEY (plan_id, type_id),
+            FOREIGN KEY (plan_id) REFERENCES manufacturing_plans(plan_id) ON DELETE CASCADE
+          )
+        `);
+        db.exec('COMMIT');
+        console.log('[Migration 031] Completed successfully');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        console.error('[Migration 031] Migration failed:', error);
+        throw error;
+      }
+    },
+    down: (db) => {
+      console.log('[Migration 031] Rollback: DROP TABLE plan_buy_items');
+      db.exec('DROP TABLE IF EXISTS plan_buy_items');
+    }
   }
   // Add future migrations here
 ];
@@ -0,0 +1,303 @@
+/**
+ * Doctrine import: turn EFT fittings into a manufacturing plan
+ *
+ * EFT text is parsed into fits (hull, modules, rigs, subsystems, drones,
+ * charges and cargo), names are resolved with searchItemsByExactName, every
+ * fit is multiplied by its fleet quantity and what the character already owns
+ * (unfitted personal assets) is subtracted. Each remaining item is built when
+ * getBlueprintForProduct finds a manufacturing blueprint, otherwise it is
+ * buy-only (faction, officer, deadspace...): priced with the Manufacturing
+ * Plans market set and added to the plan as a buy item, so it counts toward
+ * the plan's materials, cost and shopping list.
+ */
+
+const { getBlueprintForProduct, getBlueprintProduct, getOwnedBlueprintME } = require('./blueprint-calculator');
+
+// Asset location flags of items fitted to (or loaded in) a ship; those are in use
+const FITTED_FLAG_PATTERN = /(Slot\d+|DroneBay|FighterBay|FighterTube\d*|SubSystemBay)$/;
+
+const SHIP_CATEGORY_ID = 6;
+const MODULE_CATEGORY_ID = 7;
+const CHARGE_CATEGORY_ID = 8;
+const DRONE_CATEGORY_ID = 18;
+const SUBSYSTEM_CATEGORY_ID = 32;
+const FIGHTER_CATEGORY_ID = 87;
+
+/**
+ * Parse EFT fitting text. Several fits can be pasted at once; each starts
+ * with a "[Hull, Fit Name]" header.
+ * @param {string} text - EFT text
+ * @returns {Object} { fits: [{ hullName, fitName, items: [{ name, quantity, loaded }] }], parseErrors }
+ */
+function parseEftFittings(text) {
+  const fits = [];
+  const parseErrors = [];
+  let fit = null;
+
+  const addItem = (name, quantity, loaded = false) => {
+    const existing = fit.items.find(i => i.name === name && i.loaded === loaded);
+    if (existing) existing.quantity += quantity;
+    else fit.items.push({ name, quantity, loaded });
+  };
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const header = line.match(/^\[([^,\]]+)(?:,\s*([^\]]*))?\]$/);
+    if (header && !/^Empty .+ slot$/i.test(header[1].trim())) {
+      fit = { hullName: header[1].trim(), fitName: (header[2] || '').trim() || header[1].trim(), items: [] };
+      fits.push(fit);
+      continue;
+    }
+    if (header) continue; // [Empty High slot]
+
+    if (!fit) {
+      parseErrors.push(line);
+      continue;
+    }
+
+    // Drones, fighters, charges and cargo: "Name x5"
+    const stack = line.match(/^(.+?)\s+x(\d[\d,]*)$/i);
+    if (stack) {
+      addItem(stack[1].trim(), parseInt(stack[2].replace(/,/g, ''), 10));
+      continue;
+    }
+
+    // Modules: "Module, Loaded Charge" with an optional "/OFFLINE" marker
+    const [moduleName, chargeName] = line.replace(/\s*\/offline$/i, '').split(/,\s*/, 2);
+    addItem(moduleName.trim(), 1);
+    if (chargeName && chargeName.trim()) {
+      addItem(chargeName.trim(), 1, true);
+    }
+  }
+
+  return { fits, parseErrors };
+}
+
+/**
+ * Kind of a fitting item by its SDE category
+ * @param {Object} info - { categoryID, groupName } from getTypeCategoryInfo
+ * @returns {string} 'hull' | 'module' | 'rig' | 'subsystem' | 'drone' | 'charge' | 'cargo'
+ */
+function itemKind(info) {
+  switch (info?.categoryID) {
+    case SHIP_CATEGORY_ID: return 'hull';
+    case MODULE_CATEGORY_ID: return /^Rig /.test(info.groupName || '') ? 'rig' : 'module';
+    case SUBSYSTEM_CATEGORY_ID: return 'subsystem';
+    case DRONE_CATEGORY_ID:
+    case FIGHTER_CATEGORY_ID: return 'drone';
+    case CHARGE_CATEGORY_ID: return 'charge';
+    default: return 'cargo';
+  }
+}
+
+/**
+ * Unfitted personal assets of a character per type
+ * @param {number} characterId - Character ID
+ * @returns {Map} typeId → quantity
+ */
+function getUnfittedAssets(characterId) {
+  const { getAssets } = require('./esi-assets');
+  const owned = new Map();
+  for (const asset of getAssets(characterId, false)) {
+    if (asset.isBlueprintCopy || FITTED_FLAG_PATTERN.test(asset.locationFlag || '')) continue;
+    owned.set(asset.typeId, (owned.get(asset.typeId) || 0) + asset.quantity);
+  }
+  return owned;
+}
+
+/**
+ * Price buy-only items with the Manufacturing Plans market set
+ * @param {Array} items - Items with typeId and toAcquire
+ * @returns {Promise<void>} Sets unitPrice and totalPrice on each item
+ */
+async function priceBuyOnlyItems(items) {
+  if (items.length === 0) return;
+
+  const { resolveMarketSetForTool } = require('./settings-manager');
+  const { calculateRealisticPrice } = require('./market-pricing');
+  const { getInputLocation } = require('./blueprint-pricing');
+
+  const marketSet = resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  if (!marketSet) {
+    console.warn('[Doctrine Import] No market set configured, buy-only items are unpriced');
+    return;
+  }
+  const location = getInputLocation(marketSet);
+
+  for (const item of items) {
+    try {
+      const result = await calculateRealisticPrice(
+        item.typeId,
+        location.regionId,
+        location.locationId,
+        marketSet.inputMaterials.priceType,
+        item.toAcquire,
+        marketSet.inputMaterials
+      );
+      item.unitPrice = result.price || null;
+      item.totalPrice = item.unitPrice != null ? item.unitPrice * item.toAcquire : null;
+    } catch (error) {
+      console.error(`[Doctrine Import] Error pricing type ${item.typeId}:`, error);
+    }
+  }
+}
+
+/**
+ * Work out what a doctrine needs: per item the fleet quantity, what is owned,
+ * what is left to acquire and whether it is built or bought
+ * @param {string} text - EFT text
+ * @param {Object} options - Preview options
+ * @param {number} options.characterId - Character whose assets and blueprints are used
+ * @param {number} options.fleetQuantity - Ships per fit (default: 1)
+ * @param {Object} options.fitQuantities - Fit index → ships, overriding fleetQuantity
+ * @param {boolean} options.subtractAssets - Subtract owned items (default: true)
+ * @param {Array<number>} options.buyTypeIds - Buildable types to buy instead
+ * @returns {Promise<Object>} { fits, items, build, buyOnly, buyOnlyTotal, unresolvedNames, parseErrors }
+ */
+async function previewDoctrine(text, options = {}) {
+  const { searchItemsByExactName, getTypeCategoryInfo } = require('./sde-database');
+  const {
+    characterId = null,
+    fleetQuantity = 1,
+    fitQuantities = {},
+    subtractAssets = true,
+    buyTypeIds = [],
+  } = options;
+
+  const { fits, parseErrors } = parseEftFittings(text);
+  if (fits.length === 0) {
+    throw new Error('No EFT fittings found. Each fit starts with a [Hull, Fit Name] line.');
+  }
+
+  const names = [...new Set(fits.flatMap(fit => [fit.hullName, ...fit.items.map(i => i.name)]))];
+  const nameMap = await searchItemsByExactName(names);
+  const unresolvedNames = names.filter(name => !nameMap[name]);
+
+  // Aggregate over fits, each multiplied by its fleet quantity
+  const needed = new Map();
+  const fitSummaries = fits.map((fit, index) => {
+    const ships = Math.max(0, Math.floor(Number(fitQuantities[index] ?? fleetQuantity) || 0));
+    for (const { name, quantity } of [{ name: fit.hullName, quantity: 1 }, ...fit.items]) {
+      const match = nameMap[name];
+      if (!match) continue;
+      const entry = needed.get(match.typeId) || { typeId: match.typeId, typeName: match.typeName, perFleet: 0 };
+      entry.perFleet += quantity * ships;
+      needed.set(match.typeId, entry);
+    }
+    return { hullName: fit.hullName, fitName: fit.fitName, ships, itemCount: fit.items.length };
+  });
+
+  let categories = {};
+  try {
+    categories = await getTypeCategoryInfo([...needed.keys()]);
+  } catch (error) {
+    console.error('[Doctrine Import] Error loading item categories:', error);
+  }
+  const owned = subtractAssets && characterId ? getUnfittedAssets(characterId) : new Map();
+  const buyOverride = new Set(buyTypeIds.map(Number));
+
+  const items = [...needed.values()].filter(item => item.perFleet > 0).map(item => {
+    const ownedQuantity = Math.min(owned.get(item.typeId) || 0, item.perFleet);
+    const toAcquire = item.perFleet - ownedQuantity;
+    const blueprintTypeId = getBlueprintForProduct(item.typeId);
+    const product = blueprintTypeId ? getBlueprintProduct(blueprintTypeId) : null;
+    const perRun = product?.quantity || 1;
+
+    return {
+      ...item,
+      kind: itemKind(categories[item.typeId]),
+      owned: ownedQuantity,
+      toAcquire,
+      blueprintTypeId,
+      buildable: blueprintTypeId != null,
+      build: blueprintTypeId != null && !buyOverride.has(item.typeId),
+      runs: blueprintTypeId ? Math.ceil(toAcquire / perRun) : 0,
+      unitPrice: null,
+      totalPrice: null,
+    };
+  });
+
+  const build = items.filter(item => item.build && item.toAcquire > 0);
+  const buyOnly = items.filter(item => !item.build && item.toAcquire > 0);
+  await priceBuyOnlyItems(buyOnly);
+
+  return {
+    fits: fitSummaries,
+    items,
+    build,
+    buyOnly,
+    buyOnlyTotal: buyOnly.reduce((sum, item) => sum + (item.totalPrice || 0), 0),
+    unresolvedNames,
+    parseErrors,
+  };
+}
+
+/**
+ * Create a manufacturing plan for a doctrine: one blueprint row per item to
+ * build and one buy item per buy-only item, at its preview price.
+ * @param {string} text - EFT text
+ * @param {Object} options - previewDoctrine options plus:
+ * @param {number} options.characterId - Character that will own the plan (required)
+ * @param {string} options.planName - Plan name (default: from the fit names)
+ * @param {string} options.facilityId - Manufacturing facility for every row
+ * @returns {Promise<Object>} { planId, planName, blueprintsAdded, buyOnly, buyOnlyTotal, unresolvedNames }
+ */
+async function createPlanFromDoctrine(text, options = {}) {
+  const { createManufacturingPlan, addBlueprintToPlan, addPlanBuyItems } = require('./manufacturing-plans');
+  const { characterId, facilityId = null } = options;
+
+  if (!characterId) {
+    throw new Error('A character is required to create a doctrine plan');
+  }
+
+  const preview = await previewDoctrine(text, options);
+  if (preview.build.length === 0 && preview.buyOnly.length === 0) {
+    throw new Error('Everything in these fits is already owned');
+  }
+
+  let facilitySnapshot = null;
+  if (facilityId) {
+    const { getManufacturingFacility } = require('./settings-manager');
+    facilitySnapshot = getManufacturingFacility(facilityId) || null;
+  }
+
+  const planName = (options.planName || '').trim() ||
+    `Doctrine: ${preview.fits.map(f => `${f.fitName} x${f.ships}`).join(', ')}`;
+  const plan = createManufacturingPlan(characterId, planName, 'Imported from EFT.');
+
+  let blueprintsAdded = 0;
+  for (const item of preview.build) {
+    await addBlueprintToPlan(plan.planId, {
+      blueprintTypeId: item.blueprintTypeId,
+      runs: item.runs,
+      meLevel: getOwnedBlueprintME(characterId, item.blueprintTypeId),
+      facilityId: facilitySnapshot ? facilityId : null,
+      facilitySnapshot,
+    });
+    blueprintsAdded++;
+  }
+
+  addPlanBuyItems(plan.planId, preview.buyOnly.map(item => ({
+    typeId: item.typeId,
+    quantity: item.toAcquire,
+    unitPrice: item.unitPrice,
+  })));
+
+  console.log(`[Doctrine Import] Created plan ${plan.planId} with ${blueprintsAdded} blueprints, ${preview.buyOnly.length} buy-only items`);
+  return {
+    planId: plan.planId,
+    planName,
+    blueprintsAdded,
+    buyOnly: preview.buyOnly,
+    buyOnlyTotal: preview.buyOnlyTotal,
+    unresolvedNames: preview.unresolvedNames,
+  };
+}
+
+module.exports = {
+  parseEftFittings,
+  previewDoctrine,
+  createPlanFromDoctrine,
+};
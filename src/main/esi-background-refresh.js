@@ -4,13 +4,20 @@
  * The app's first main-process periodic task. On a ~5-minute tick it enumerates
  * all authenticated characters (and their corporations, deduped) and calls the
  * ESI fetchers for them. It is FETCH-ONLY — no plan matching (that stays in the
- * plan/ledger layer). It contains NO cadence logic: every fetcher self-gates via
+ * plan/ledger layer, which the cycle hands over to once the fetches are done:
+ * open plans are matched and their lifecycle evaluated). It contains NO
+ * cadence logic: every fetcher self-gates via
  * the central layer's per-endpoint policy (`canFetchEndpoint`), so the 5-min
  * industry cache vs 1-hr wallet cache "just works" off one cycle.
  *
  * The cycle iterates a LIST of endpoint fetchers (ENDPOINT_TASKS) so Plan B can
  * add wallet-journal / corp-wallet entries by appending to the list — no new
  * cycle logic.
+ *
+ * Characters (and corporations) are refreshed concurrently, each walking its
+ * task list in order. The cycle runs at background priority, so the ESI
+ * scheduler bounds how many requests actually go out per rate-limit group and
+ * lets anything the user is waiting on go first.
  */
 
 const { getCharacters, getCharacter, getCharacterDivisionSettings } = require('./settings-manager');
@@ -27,6 +34,14 @@ const {
   saveWalletTransactions,
   saveWalletJournal,
 } = require('./esi-wallet');
+const {
+  fetchCharacterOrders,
+  fetchCharacterOrderHistory,
+  fetchCorporationOrders,
+  saveMarketOrders,
+} = require('./esi-orders');
+const { fetchMiningLedger, saveMiningLedger } = require('./esi-mining');
+const { runWithPriority } = require('./esi-scheduler');
 
 // Corp wallets are per-division. When a character has no divisions configured,
 // fall back to the master wallet (division 1) so the cycle still fetches something.
@@ -96,6 +111,29 @@ const CHARACTER_TASKS = [
       return `${jData.entries ? jData.entries.length : 0} journal`;
     },
   },
+  {
+    name: 'market_orders',
+    run: async (characterId) => {
+      // Open orders first, so orders that just closed get their final state from history
+      const openData = await fetchCharacterOrders(characterId);
+      if (!openData.skipped) saveMarketOrders(openData);
+
+      const historyData = await fetchCharacterOrderHistory(characterId);
+      if (!historyData.skipped && historyData.orders.length > 0) saveMarketOrders(historyData);
+
+      if (openData.skipped && historyData.skipped) return 'gated';
+      return `${openData.orders.length} orders`;
+    },
+  },
+  {
+    name: 'mining_ledger',
+    run: async (characterId) => {
+      const ledgerData = await fetchMiningLedger(characterId);
+      if (ledgerData.skipped) return 'gated';
+      saveMiningLedger(ledgerData);
+      return `${ledgerData.entries.length} mining entries`;
+    },
+  },
 ];
 
 /**
@@ -166,6 +204,16 @@ const CORPORATION_TASKS = [
       return `${total} corp journal`;
     },
   },
+  {
+    name: 'corporation_orders',
+    run: async (authCharacterId, corporationId) => {
+      const ordersData = await fetchCorporationOrders(authCharacterId, corporationId);
+      if (ordersData.skipped) return 'gated';
+      // An unreadable list (no scope/role) must not close every corp order
+      if (!ordersData.unavailable) saveMarketOrders(ordersData);
+      return `${ordersData.orders.length} corp orders`;
+    },
+  },
 ];
 
 /**
@@ -211,42 +259,56 @@ async function runRefreshCycle() {
       return { ...summary, finishedAt: lastCycleAt, characterCount: 0 };
     }
 
-    // Personal endpoints for every character.
-    for (const character of characters) {
-      const characterId = character.characterId;
-      for (const task of CHARACTER_TASKS) {
-        try {
-          const result = await task.run(characterId);
-          summary.characters.push({ characterId, task: task.name, result });
-        } catch (error) {
-          // ESI_SCOPE_ERROR is surfaced; role-403 already returns empty; a
-          // rate-limited endpoint (ESI_RATE_LIMITED) just retries next tick.
-          if (error.code === 'ESI_RATE_LIMITED') {
-            console.log(`[ESI Refresh] ${task.name} rate-limited for char ${characterId}, will retry next tick`);
-          } else {
-            console.error(`[ESI Refresh] ${task.name} failed for char ${characterId}:`, error.message);
+    const corpMap = buildCorporationCharacterMap(characters);
+
+    // Personal endpoints for every character, then corporation endpoints
+    // (deduped by corp). Corp calls reuse a member's token, so they wait until
+    // the personal calls have refreshed it.
+    await runWithPriority('background', async () => {
+      await Promise.all(characters.map(async (character) => {
+        const characterId = character.characterId;
+        for (const task of CHARACTER_TASKS) {
+          try {
+            const result = await task.run(characterId);
+            summary.characters.push({ characterId, task: task.name, result });
+          } catch (error) {
+            // ESI_SCOPE_ERROR is surfaced; role-403 already returns empty; a
+            // rate-limited endpoint (ESI_RATE_LIMITED) just retries next tick.
+            if (error.code === 'ESI_RATE_LIMITED') {
+              console.log(`[ESI Refresh] ${task.name} rate-limited for char ${characterId}, will retry next tick`);
+            } else {
+              console.error(`[ESI Refresh] ${task.name} failed for char ${characterId}:`, error.message);
+            }
+            summary.errors.push({ characterId, task: task.name, error: error.message, code: error.code });
           }
-          summary.errors.push({ characterId, task: task.name, error: error.message, code: error.code });
         }
-      }
-    }
+      }));
 
-    // Corporation endpoints (deduped by corp).
-    const corpMap = buildCorporationCharacterMap(characters);
-    for (const [corporationId, authCharacterId] of corpMap) {
-      for (const task of CORPORATION_TASKS) {
-        try {
-          const result = await task.run(authCharacterId, corporationId);
-          summary.corporations.push({ corporationId, authCharacterId, task: task.name, result });
-        } catch (error) {
-          if (error.code === 'ESI_RATE_LIMITED') {
-            console.log(`[ESI Refresh] ${task.name} rate-limited for corp ${corporationId}, will retry next tick`);
-          } else {
-            console.error(`[ESI Refresh] ${task.name} failed for corp ${corporationId}:`, error.message);
+      await Promise.all([...corpMap].map(async ([corporationId, authCharacterId]) => {
+        for (const task of CORPORATION_TASKS) {
+          try {
+            const result = await task.run(authCharacterId, corporationId);
+            summary.corporations.push({ corporationId, authCharacterId, task: task.name, result });
+          } catch (error) {
+            if (error.code === 'ESI_RATE_LIMITED') {
+              console.log(`[ESI Refresh] ${task.name} rate-limited for corp ${corporationId}, will retry next tick`);
+            } else {
+              console.error(`[ESI Refresh] ${task.name} failed for corp ${corporationId}:`, error.message);
+            }
+            summary.errors.push({ corporationId, task: task.name, error: error.message, code: error.code });
           }
-          summary.errors.push({ corporationId, task: task.name, error: error.message, code: error.code });
         }
-      }
+      }));
+    });
+
+    // Match open plans against what was just fetched and move them along
+    // their lifecycle
+    try {
+      const { updateOpenPlans } = require('./manufacturing-plans');
+      summary.plans = await updateOpenPlans();
+    } catch (error) {
+      console.error('[ESI Refresh] Open plan update failed:', error.message);
+      summary.errors.push({ task: 'open_plans', error: error.message });
     }
 
     lastCycleAt = Date.now();
@@ -0,0 +1,405 @@
+/**
+ * Offline ESI emulator.
+ *
+ * A stand-in for ESI and EVE SSO that serves recorded fixtures, for
+ * development without network access and for end-to-end tests of the ESI
+ * modules. It is a `fetch`-compatible transport: `installEsiEmulator` swaps
+ * the global fetch for one that answers esi.evetech.net and
+ * login.eveonline.com from the emulator (everything else still goes to the
+ * network), so esiFetch, the SSO calls in esi-auth and the structure-market
+ * helpers all run unchanged.
+ *
+ * What it emulates:
+ *   - SSO: authorization-code and refresh-token grants (refresh tokens
+ *     rotate), /oauth/verify, and access tokens that expire
+ *   - authed routes: a valid, unexpired bearer token is required; the token's
+ *     character must match /characters/{id}/ and belong to /corporations/{id}/;
+ *     a route can require a scope
+ *   - X-Pages pagination, `expires` / `last-modified` headers from the
+ *     route's cache time, type_id filtering of market orders
+ *   - the error budget (X-ESI-Error-Limit-Remain / -Reset), with 420s once it
+ *     is spent
+ *   - injected faults: any status (420, 429 with Retry-After, 5xx) or a
+ *     transport error, for the next N matching requests
+ *
+ * Fixture format (see tests/fixtures/esi/):
+ *   {
+ *     "characters": [{ "characterId", "characterName", "corporationId",
+ *                      "allianceId", "scopes", "authCode" }],
+ *     "routes": {
+ *       "/characters/90000001/industry/jobs/": [...],
+ *       "/markets/10000002/history/?type_id=34": { "body": [...], "cacheSeconds": 3600 }
+ *     }
+ *   }
+ * Route keys are ESI paths without the /latest prefix, plus any query
+ * parameters that select data (type_id, ...). A route is either its body or
+ * { body, cacheSeconds, pageSize, scope, status }.
+ *
+ * Development: start the app with QF_ESI_EMULATOR=/path/to/fixture.json.
+ */
+
+const fs = require('fs');
+
+const ESI_HOST = 'esi.evetech.net';
+const SSO_HOST = 'login.eveonline.com';
+
+// Query parameters that page or tune a request rather than select data
+const IGNORED_QUERY_PARAMS = ['datasource', 'page', 'include_completed', 'from_id', 'strict', 'language', 'token'];
+
+const DEFAULT_CACHE_SECONDS = 300;
+const DEFAULT_PAGE_SIZE = 1000;
+const TOKEN_LIFETIME_SECONDS = 1199;
+const ERROR_LIMIT = 100;
+const ERROR_WINDOW_SECONDS = 60;
+
+/**
+ * Read a fixture file
+ * @param {string} filePath - Path to a fixture JSON file
+ * @returns {Object} Fixture
+ */
+function loadEsiFixture(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=UTF-8', ...headers },
+  });
+}
+
+/**
+ * Route key of an ESI URL: path without /latest, plus the data-selecting
+ * query parameters in a stable order
+ * @param {URL} url
+ * @returns {{path: string, key: string, page: number}}
+ */
+function routeKey(url) {
+  const path = url.pathname.replace(/^\/(latest|v\d+|dev|legacy)(?=\/)/, '');
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !IGNORED_QUERY_PARAMS.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.map(([name, value]) => `${name}=${value}`).join('&');
+  return {
+    path,
+    key: query ? `${path}?${query}` : path,
+    page: parseInt(url.searchParams.get('page'), 10) || 1,
+  };
+}
+
+/**
+ * Create an emulator for a fixture
+ * @param {Object} fixture - { characters, routes }
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock in ms (default Date.now, so Jest fake timers drive it)
+ * @param {number} [options.pageSize] - Items per page for array routes (default 1000)
+ * @returns {Object} Emulator
+ */
+function createEsiEmulator(fixture = {}, options = {}) {
+  const now = options.now || (() => Date.now());
+  const defaultPageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+
+  const characters = new Map((fixture.characters || []).map(c => [c.characterId, {
+    scopes: [],
+    ...c,
+  }]));
+  const routes = new Map(Object.entries(fixture.routes || {}));
+  const accessTokens = new Map();   // token -> { characterId, expiresAt }
+  const refreshTokens = new Map();  // token -> characterId
+  const faults = [];
+  const requests = [];
+  const errorBudget = { remain: ERROR_LIMIT, resetAt: null };
+  let tokenSerial = 0;
+
+  function normalizeRoute(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) && 'body' in value
+      ? value
+      : { body: value };
+  }
+
+  /**
+   * Issue a fresh token pair for a character (what a completed SSO login gives)
+   * @param {number} characterId
+   * @returns {Object} { access_token, refresh_token, expires_in, token_type, expires_at }
+   */
+  function issueTokens(characterId) {
+    if (!characters.has(characterId)) throw new Error(`Unknown emulated character ${characterId}`);
+
+    // Issuing a new pair revokes the character's previous tokens
+    for (const [token, owner] of refreshTokens) {
+      if (owner === characterId) refreshTokens.delete(token);
+    }
+    for (const [token, info] of accessTokens) {
+      if (info.characterId === characterId) accessTokens.delete(token);
+    }
+
+    tokenSerial++;
+    const expiresAt = now() + TOKEN_LIFETIME_SECONDS * 1000;
+    const tokens = {
+      access_token: `emu-access-${characterId}-${tokenSerial}`,
+      refresh_token: `emu-refresh-${characterId}-${tokenSerial}`,
+      expires_in: TOKEN_LIFETIME_SECONDS,
+      token_type: 'Bearer',
+      expires_at: expiresAt,
+    };
+    accessTokens.set(tokens.access_token, { characterId, expiresAt });
+    refreshTokens.set(tokens.refresh_token, characterId);
+    return tokens;
+  }
+
+  /**
+   * Make a character's current access token expire now (its refresh token stays valid)
+   * @param {number} characterId
+   */
+  function expireAccessTokens(characterId) {
+    for (const info of accessTokens.values()) {
+      if (info.characterId === characterId) info.expiresAt = now();
+    }
+  }
+
+  /**
+   * Fail the next matching requests
+   * @param {string|RegExp} pattern - Route key prefix, or a RegExp tested against the route key
+   * @param {Object} fault - { status, times = 1, retryAfter (seconds), body, networkError }
+   */
+  function inject(pattern, fault) {
+    faults.push({ pattern, times: 1, ...fault });
+  }
+
+  /**
+   * Replace (or add) a route
+   * @param {string} key - Route key
+   * @param {*} value - Body, or { body, cacheSeconds, pageSize, scope, status }
+   */
+  function setRoute(key, value) {
+    routes.set(key, value);
+  }
+
+  function takeFault(key) {
+    const index = faults.findIndex(f => (f.pattern instanceof RegExp ? f.pattern.test(key) : key.startsWith(f.pattern)));
+    if (index === -1) return null;
+    const fault = faults[index];
+    fault.times--;
+    if (fault.times <= 0) faults.splice(index, 1);
+    return fault;
+  }
+
+  function errorLimitHeaders(at) {
+    if (errorBudget.resetAt && at >= errorBudget.resetAt) {
+      errorBudget.remain = ERROR_LIMIT;
+      errorBudget.resetAt = null;
+    }
+    const reset = errorBudget.resetAt ? Math.ceil((errorBudget.resetAt - at) / 1000) : ERROR_WINDOW_SECONDS;
+    return {
+      'X-ESI-Error-Limit-Remain': String(errorBudget.remain),
+      'X-ESI-Error-Limit-Reset': String(reset),
+    };
+  }
+
+  function esiError(at, status, message, headers = {}) {
+    errorLimitHeaders(at);
+    if (!errorBudget.resetAt) errorBudget.resetAt = at + ERROR_WINDOW_SECONDS * 1000;
+    errorBudget.remain = Math.max(0, errorBudget.remain - 1);
+    return jsonResponse(status, { error: message }, { ...errorLimitHeaders(at), ...headers });
+  }
+
+  function authorize(request, path, route, at) {
+    const needsAuth = /^\/(characters|corporations)\/\d+\/.+/.test(path) || /^\/(markets|universe)\/structures\//.test(path);
+    if (!needsAuth) return null;
+
+    const header = request.headers.get('authorization') || '';
+    const token = accessTokens.get(header.replace(/^Bearer\s+/i, ''));
+    if (!token) return esiError(at, 401, 'authorization not valid');
+    if (at >= token.expiresAt) return esiError(at, 401, 'token is expired');
+
+    const character = characters.get(token.characterId);
+    const characterMatch = path.match(/^\/characters\/(\d+)\//);
+    if (characterMatch && Number(characterMatch[1]) !== token.characterId) {
+      return esiError(at, 403, 'Character mismatch');
+    }
+    const corporationMatch = path.match(/^\/corporations\/(\d+)\//);
+    if (corporationMatch && Number(corporationMatch[1]) !== character.corporationId) {
+      return esiError(at, 403, 'Character does not have required role(s)');
+    }
+    if (route.scope && !character.scopes.includes(route.scope)) {
+      return esiError(at, 403, 'token not valid for scope');
+    }
+    return null;
+  }
+
+  function findRoute({ key, path }, url) {
+    if (routes.has(key)) return normalizeRoute(routes.get(key));
+    if (!routes.has(path)) return null;
+
+    // Market orders by type come out of the region's order book
+    const route = normalizeRoute(routes.get(path));
+    const typeId = url.searchParams.get('type_id');
+    if (typeId && Array.isArray(route.body)) {
+      return { ...route, body: route.body.filter(item => item.type_id === undefined || String(item.type_id) === typeId) };
+    }
+    return route;
+  }
+
+  function handleEsi(url, request, at) {
+    const { path, key, page } = routeKey(url);
+
+    if (errorBudget.remain === 0 && errorBudget.resetAt && at < errorBudget.resetAt) {
+      return jsonResponse(420, { error: 'This software has exceeded the error limit for ESI.' }, errorLimitHeaders(at));
+    }
+
+    const fault = takeFault(key);
+    if (fault) {
+      if (fault.networkError) throw new TypeError('fetch failed');
+      const headers = fault.retryAfter != null ? { 'Retry-After': String(fault.retryAfter) } : {};
+      if (fault.status === 420) {
+        errorBudget.remain = 0;
+        errorBudget.resetAt = at + ERROR_WINDOW_SECONDS * 1000;
+        return jsonResponse(420, { error: 'This software has exceeded the error limit for ESI.' }, { ...errorLimitHeaders(at), ...headers });
+      }
+      return esiError(at, fault.status, fault.body || `Injected ${fault.status}`, headers);
+    }
+
+    // Public character info, built from the fixture characters
+    const publicCharacter = path.match(/^\/characters\/(\d+)\/$/);
+    if (publicCharacter && characters.has(Number(publicCharacter[1])) && !routes.has(path)) {
+      const character = characters.get(Number(publicCharacter[1]));
+      return jsonResponse(200, {
+        name: character.characterName,
+        corporation_id: character.corporationId,
+        alliance_id: character.allianceId,
+      }, errorLimitHeaders(at));
+    }
+
+    const route = findRoute({ key, path }, url);
+    if (!route) return esiError(at, 404, `Not found: ${key}`);
+
+    const authError = authorize(request, path, route, at);
+    if (authError) return authError;
+
+    if (route.status && route.status >= 400) {
+      return esiError(at, route.status, route.body || `Error ${route.status}`);
+    }
+
+    const cacheSeconds = route.cacheSeconds ?? DEFAULT_CACHE_SECONDS;
+    const headers = {
+      ...errorLimitHeaders(at),
+      'Expires': new Date(at + cacheSeconds * 1000).toUTCString(),
+      'Last-Modified': new Date(at).toUTCString(),
+    };
+
+    if (!Array.isArray(route.body)) {
+      return jsonResponse(200, route.body, headers);
+    }
+
+    const pageSize = route.pageSize || defaultPageSize;
+    const pages = Math.max(1, Math.ceil(route.body.length / pageSize));
+    if (page > pages) return esiError(at, 404, 'Requested page does not exist!');
+    return jsonResponse(200, route.body.slice((page - 1) * pageSize, page * pageSize), {
+      ...headers,
+      'X-Pages': String(pages),
+    });
+  }
+
+  async function handleSso(url, request, at) {
+    if (url.pathname === '/v2/oauth/token' && request.method === 'POST') {
+      const form = new URLSearchParams(await request.text());
+      let characterId = null;
+      if (form.get('grant_type') === 'refresh_token') {
+        characterId = refreshTokens.get(form.get('refresh_token')) ?? null;
+      } else if (form.get('grant_type') === 'authorization_code') {
+        const character = [...characters.values()].find(c => c.authCode && c.authCode === form.get('code'));
+        characterId = character ? character.characterId : null;
+      }
+      if (characterId == null) {
+        return jsonResponse(400, { error: 'invalid_grant', error_description: 'Invalid refresh token or code' });
+      }
+      const { expires_at: _expiresAt, ...tokens } = issueTokens(characterId);
+      return jsonResponse(200, tokens);
+    }
+
+    if (url.pathname === '/oauth/verify') {
+      const header = request.headers.get('authorization') || '';
+      const token = accessTokens.get(header.replace(/^Bearer\s+/i, ''));
+      if (!token || at >= token.expiresAt) return jsonResponse(401, { error: 'invalid_token' });
+      const character = characters.get(token.characterId);
+      return jsonResponse(200, {
+        CharacterID: character.characterId,
+        CharacterName: character.characterName,
+        ExpiresOn: new Date(token.expiresAt).toISOString(),
+        Scopes: character.scopes.join(' '),
+        TokenType: 'Character',
+      });
+    }
+
+    return jsonResponse(404, { error: 'Not found' });
+  }
+
+  /**
+   * fetch-compatible entry point for ESI and SSO URLs
+   * @param {string|URL|Request} input
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  async function emulatedFetch(input, init) {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    const at = now();
+
+    let response;
+    try {
+      if (url.hostname === ESI_HOST) response = handleEsi(url, request, at);
+      else if (url.hostname === SSO_HOST) response = await handleSso(url, request, at);
+      else response = jsonResponse(404, { error: `Not an ESI host: ${url.hostname}` });
+    } catch (error) {
+      requests.push({ method: request.method, url: request.url, key: routeKey(url).key, status: null, at, error: error.message });
+      throw error;
+    }
+
+    requests.push({ method: request.method, url: request.url, key: routeKey(url).key, status: response.status, at });
+    return response;
+  }
+
+  /**
+   * Requests served so far, optionally only those whose route key starts with a prefix
+   * @param {string} [prefix]
+   * @returns {Array} [{ method, url, key, status, at }]
+   */
+  function getRequests(prefix = '') {
+    return requests.filter(r => r.key.startsWith(prefix));
+  }
+
+  return {
+    fetch: emulatedFetch,
+    handles: (url) => [ESI_HOST, SSO_HOST].includes(new URL(url).hostname),
+    issueTokens,
+    expireAccessTokens,
+    inject,
+    setRoute,
+    getRequests,
+    getErrorBudget: () => ({ ...errorBudget }),
+  };
+}
+
+/**
+ * Route the global fetch's ESI and SSO traffic to an emulator
+ * @param {Object} emulator - From createEsiEmulator
+ * @returns {Function} Restores the previous fetch
+ */
+function installEsiEmulator(emulator) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    const url = typeof input === 'string' ? input : (input.url || String(input));
+    return emulator.handles(url) ? emulator.fetch(input, init) : originalFetch(input, init);
+  };
+  return () => {
+    globalThis.fetch = originalFetch;
+  };
+}
+
+module.exports = {
+  loadEsiFixture,
+  createEsiEmulator,
+  installEsiEmulator,
+  // exported for tests
+  routeKey,
+};
@@ -7,6 +7,9 @@
  *   - per-endpoint pre-flight gating (cache TTL + client-side floor + Retry-After)
  *   - the X-Pages pagination loop
  *   - network-error retry that HONORS Retry-After (replaces the 3 copies of retryFetch)
+ *   - queueing every request through the ESI scheduler (esi-scheduler.js):
+ *     concurrency per rate-limit group, interactive-before-background, and the
+ *     global error-budget backoff
  *   - cache + rate-limit header parsing and status recording
  *   - 429/420 rate-limit handling and the ESI error taxonomy
  *     (ESI_TOKEN_REFRESH_FAILED, ESI_SCOPE_ERROR, role-403 -> empty, ESI_RATE_LIMITED)
@@ -27,6 +30,7 @@ const {
   recordRateLimit,
   canFetchEndpoint,
 } = require('./esi-status-tracker');
+const { scheduleRequest, getCurrentPriority } = require('./esi-scheduler');
 
 const MINUTE = 60 * 1000;
 
@@ -59,6 +63,14 @@ const ENDPOINT_POLICY = {
   corporation_blueprints:     { group: 'corporation', minIntervalMs: 5 * MINUTE, paginated: true },
   corporation_divisions:      { group: 'corporation', minIntervalMs: 5 * MINUTE, paginated: false },
 
+  // Own market orders — 1200s ESI cache (open), 3600s (history)
+  character_orders:           { group: 'market',   minIntervalMs: 20 * MINUTE, paginated: false },
+  character_orders_history:   { group: 'market',   minIntervalMs: 60 * MINUTE, paginated: true  },
+  corporation_orders:         { group: 'market',   minIntervalMs: 20 * MINUTE, paginated: true  },
+
+  // Personal mining ledger — 600s ESI cache, last 30 days
+  character_mining:           { group: 'industry', minIntervalMs: 10 * MINUTE, paginated: true  },
+
   // Player structure name/info (authed: needs esi-universe.read_structures.v1).
   // Result is cached persistently by the caller, so this rarely fires.
   structure:                  { group: 'universe', minIntervalMs: 1 * MINUTE,  paginated: false },
@@ -195,6 +207,7 @@ function withPage(url, page) {
  * @param {Object} [opts.recordMetadata] - Extra fields for recordESICallStart metadata
  * @param {string} [opts.category] - Status category ('character' | 'corporation' | 'universe')
  * @param {string} [opts.endpointLabel] - Human label for the status row
+ * @param {string} [opts.priority] - 'interactive' | 'background' (default: from the async context, see esi-scheduler)
  * @returns {Promise<Object>} On success: { data, cacheExpiresAt, nextAllowedAt, rateLimit, status, pages }.
  *   When gated: { skipped: true, reason, nextAllowedAt }.
  *   Throws tagged errors (ESI_TOKEN_REFRESH_FAILED, ESI_SCOPE_ERROR, ESI_RATE_LIMITED).
@@ -221,6 +234,7 @@ async function esiFetch(endpointType, callKey, url, opts = {}) {
     parallelPages = false,
     onProgress = null,
     emptyStatuses = [],
+    priority = getCurrentPriority(),
   } = opts;
 
   // Pre-flight gate — do not even record a start if we're not eligible.
@@ -257,7 +271,11 @@ async function esiFetch(endpointType, callKey, url, opts = {}) {
     // (needed for X-Pages / expires on the first page). Handles the shared error
     // taxonomy: 429/420 rate-limit, 403 scope-vs-role, and emptyStatuses.
     const fetchOne = async (pageUrl) => {
-      const response = await fetchWithRetry(pageUrl, { headers: baseHeaders });
+      const response = await scheduleRequest(
+        policy.group,
+        () => fetchWithRetry(pageUrl, { headers: baseHeaders }),
+        priority
+      );
       const now = Date.now();
       rateLimit = parseRateLimit(response.headers, now);
 
@@ -134,8 +134,8 @@ function saveIndustryJobs(jobsData) {
           job_id, character_id, installer_id, facility_id, activity_id,
           blueprint_type_id, runs, status, start_date, end_date,
           completed_date, last_updated, cache_expires_at, is_corporation, corporation_id,
-          cost, product_type_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          cost, product_type_id, location_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON CONFLICT(job_id) DO UPDATE SET
           status = excluded.status,
           completed_date = excluded.completed_date,
@@ -143,7 +143,8 @@ function saveIndustryJobs(jobsData) {
           last_updated = excluded.last_updated,
           cache_expires_at = excluded.cache_expires_at,
           cost = excluded.cost,
-          product_type_id = excluded.product_type_id
+          product_type_id = excluded.product_type_id,
+          location_id = COALESCE(excluded.location_id, location_id)
       `);
 
       const isCorporation = jobsData.isCorporation ? 1 : 0;
@@ -172,7 +173,8 @@ function saveIndustryJobs(jobsData) {
           isCorporation,
           corporationId,
           job.cost != null ? job.cost : null,
-          job.product_type_id != null ? job.product_type_id : null
+          job.product_type_id != null ? job.product_type_id : null,
+          job.location_id != null ? job.location_id : null
         );
       }
 
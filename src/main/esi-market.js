@@ -1,10 +1,12 @@
 const { getMarketDatabase, clearPriceCache } = require('./market-database');
 const { getUserAgent } = require('./user-agent');
 const { esiFetch } = require('./esi-fetch');
+const { scheduleRequest } = require('./esi-scheduler');
 // NOTE: retryFetch (below) is retained ONLY for the authenticated structure-market
 // helpers (searchStructures / fetchStructureMarketOrders), which are not tracked
 // ESI status endpoints. The 3 tracked market endpoints (orders/history/adjusted)
-// route through esiFetch.
+// route through esiFetch. The helpers still queue through the ESI scheduler so
+// they share its concurrency limits and error budget.
 
 /**
  * Retry a fetch operation with exponential backoff
@@ -874,12 +876,12 @@ async function searchStructures(characterId, accessToken, searchTerm) {
   const searchUrl = `https://esi.evetech.net/latest/characters/${characterId}/search/?categories=structure&search=${encodeURIComponent(searchTerm)}&datasource=tranquility&strict=false`;
 
   const searchResponse = await retryFetch(async () => {
-    const res = await fetch(searchUrl, {
+    const res = await scheduleRequest('universe', () => fetch(searchUrl, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'User-Agent': getUserAgent(),
       },
-    });
+    }));
     if (!res.ok) {
       const error = new Error(`Structure search failed: ${res.status} ${res.statusText}`);
       if (res.status === 403 || res.status === 401) error.noRetry = true;
@@ -906,12 +908,12 @@ async function searchStructures(characterId, accessToken, searchTerm) {
     try {
       const structureUrl = `https://esi.evetech.net/latest/universe/structures/${structureId}/?datasource=tranquility`;
       const structureResponse = await retryFetch(async () => {
-        const res = await fetch(structureUrl, {
+        const res = await scheduleRequest('universe', () => fetch(structureUrl, {
           headers: {
             'Authorization': `Bearer ${accessToken}`,
             'User-Agent': getUserAgent(),
           },
-        });
+        }));
         if (!res.ok) {
           const error = new Error(`Failed to get structure ${structureId}: ${res.status}`);
           if (res.status === 403) error.noRetry = true; // No access to this structure
@@ -972,12 +974,12 @@ async function fetchStructureMarketOrders(structureId, regionId, accessToken, fo
     const baseUrl = `https://esi.evetech.net/latest/markets/structures/${structureId}/?datasource=tranquility`;
 
     const firstResponse = await retryFetch(async () => {
-      const res = await fetch(`${baseUrl}&page=1`, {
+      const res = await scheduleRequest('market', () => fetch(`${baseUrl}&page=1`, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
           'User-Agent': getUserAgent(),
         },
-      });
+      }));
       if (!res.ok) {
         const error = new Error(`Structure market fetch failed: ${res.status} ${res.statusText}`);
         if (res.status === 403 || res.status === 401) error.noRetry = true;
@@ -996,12 +998,12 @@ async function fetchStructureMarketOrders(structureId, regionId, accessToken, fo
       for (let page = 2; page <= totalPages; page++) {
         try {
           const pageResponse = await retryFetch(async () => {
-            const res = await fetch(`${baseUrl}&page=${page}`, {
+            const res = await scheduleRequest('market', () => fetch(`${baseUrl}&page=${page}`, {
               headers: {
                 'Authorization': `Bearer ${accessToken}`,
                 'User-Agent': getUserAgent(),
               },
-            });
+            }));
             if (!res.ok) {
               throw new Error(`Failed to fetch structure market page ${page}: ${res.status}`);
             }
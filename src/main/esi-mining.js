@@ -0,0 +1,596 @@
+/**
+ * Mining ledger import and ore-to-plan sourcing.
+ *
+ * Each character's personal mining ledger (/characters/{id}/mining/, last 30
+ * days) is stored in esi_mining_ledger. Mined ore is valued both as ore and as
+ * the minerals it reprocesses into (reprocessing-calculator.js), and can cover
+ * a plan's mineral needs: the ore is allocated to the plan
+ * (plan_mining_allocations) and the yield-adjusted minerals are recorded as
+ * plan ledger acquisitions priced at the ore's opportunity cost — what the ore
+ * would have fetched on the market instead.
+ */
+
+const { randomUUID } = require('crypto');
+const { getCharacterDatabase } = require('./character-database');
+const { esiFetch } = require('./esi-fetch');
+const { getStillNeededQuantity } = require('./plan-material-needs');
+const {
+  getTypeSpecificSkillId,
+  calculateReprocessingYield,
+  calculateReprocessingValue,
+} = require('./reprocessing-calculator');
+
+const REPROCESSING_SKILL_ID = 3385;
+const REPROCESSING_EFFICIENCY_SKILL_ID = 3389;
+
+const DEFAULT_STATION_CONFIG = { stationType: 'npc', rig: 'none', rig2: 'none' };
+
+/**
+ * Fetch a character's mining ledger from ESI
+ * @param {number} characterId - Character ID
+ * @returns {Promise<Object>} Ledger data with metadata
+ */
+async function fetchMiningLedger(characterId) {
+  const callKey = `character_${characterId}_character_mining`;
+  const url = `https://esi.evetech.net/latest/characters/${characterId}/mining/?datasource=tranquility`;
+
+  const result = await esiFetch('character_mining', callKey, url, {
+    characterId,
+    category: 'character',
+    endpointLabel: 'Mining Ledger',
+  });
+
+  if (result.skipped) {
+    return { entries: [], characterId, lastUpdated: Date.now(), cacheExpiresAt: null, skipped: true };
+  }
+
+  const entries = result.data || [];
+  console.log(`Fetched ${entries.length} mining ledger entries for character ${characterId}`);
+
+  return {
+    entries,
+    characterId,
+    lastUpdated: Date.now(),
+    cacheExpiresAt: result.cacheExpiresAt,
+  };
+}
+
+/**
+ * Save mining ledger entries. ESI reports a running total per day, system and
+ * ore, so an existing row takes the newer quantity. Days older than ESI's
+ * 30-day window are kept.
+ * @param {Object} ledgerData - Ledger data from fetchMiningLedger
+ * @returns {boolean} Success status
+ */
+function saveMiningLedger(ledgerData) {
+  try {
+    const db = getCharacterDatabase();
+
+    const upsert = db.prepare(`
+      INSERT INTO esi_mining_ledger
+        (character_id, date, solar_system_id, type_id, quantity, last_updated, cache_expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(character_id, date, solar_system_id, type_id) DO UPDATE SET
+        quantity = excluded.quantity,
+        last_updated = excluded.last_updated,
+        cache_expires_at = excluded.cache_expires_at
+    `);
+
+    db.transaction(() => {
+      for (const entry of ledgerData.entries) {
+        upsert.run(
+          ledgerData.characterId,
+          entry.date,
+          entry.solar_system_id,
+          entry.type_id,
+          entry.quantity,
+          ledgerData.lastUpdated,
+          ledgerData.cacheExpiresAt || null
+        );
+      }
+    })();
+
+    console.log(`Saved ${ledgerData.entries.length} mining ledger entries for character ${ledgerData.characterId}`);
+    return true;
+  } catch (error) {
+    console.error('Error saving mining ledger to database:', error);
+    return false;
+  }
+}
+
+/**
+ * Get mining ledger rows from the database
+ * @param {Object} filters - Optional filters
+ * @param {Array<number>} filters.characterIds - Only these characters
+ * @param {string} filters.since - Only days on or after this date (YYYY-MM-DD)
+ * @returns {Array} Ledger rows, newest day first
+ */
+function getMiningLedger(filters = {}) {
+  try {
+    const db = getCharacterDatabase();
+
+    let query = 'SELECT * FROM esi_mining_ledger WHERE 1=1';
+    const params = [];
+
+    const characterIds = filters.characterIds || [];
+    if (characterIds.length > 0) {
+      query += ` AND character_id IN (${characterIds.map(() => '?').join(',')})`;
+      params.push(...characterIds);
+    }
+    if (filters.since) {
+      query += ' AND date >= ?';
+      params.push(filters.since);
+    }
+
+    query += ' ORDER BY date DESC, character_id, type_id';
+
+    return db.prepare(query).all(...params).map(row => ({
+      characterId: row.character_id,
+      date: row.date,
+      solarSystemId: row.solar_system_id,
+      typeId: row.type_id,
+      quantity: row.quantity,
+      lastUpdated: row.last_updated,
+    }));
+  } catch (error) {
+    console.error('Error getting mining ledger from database:', error);
+    return [];
+  }
+}
+
+/**
+ * Mined ore per type, less ore already allocated to plans. An allocation whose
+ * mineral ledger rows were all removed from its plan no longer holds ore.
+ * @returns {Array} [{ typeId, mined, allocated, available }]
+ */
+function getAvailableOre() {
+  const db = getCharacterDatabase();
+
+  const mined = db.prepare(`
+    SELECT type_id, SUM(quantity) AS quantity FROM esi_mining_ledger GROUP BY type_id
+  `).all();
+
+  const allocated = new Map(db.prepare(`
+    SELECT a.ore_type_id, SUM(a.ore_quantity) AS quantity
+    FROM plan_mining_allocations a
+    WHERE EXISTS (
+      SELECT 1 FROM plan_material_ledger l
+      WHERE l.plan_id = a.plan_id AND l.source_type = 'mining' AND l.source_ref = a.allocation_id
+    )
+    GROUP BY a.ore_type_id
+  `).all().map(row => [row.ore_type_id, row.quantity]));
+
+  return mined.map(row => {
+    const allocatedQuantity = allocated.get(row.type_id) || 0;
+    return {
+      typeId: row.type_id,
+      mined: row.quantity,
+      allocated: allocatedQuantity,
+      available: Math.max(0, row.quantity - allocatedQuantity),
+    };
+  });
+}
+
+/**
+ * Reprocessing data, names and yield rates for a set of ores
+ * @param {Array<number>} oreTypeIds - Ore type IDs
+ * @param {Object} options
+ * @param {number} options.characterId - Reprocessing character (skills)
+ * @param {Object} options.stationConfig - { stationType, rig, rig2 }
+ * @param {number} options.implantBonus - 0 | 0.01 | 0.02 | 0.04
+ * @returns {Promise<Object>} typeId → { reprocessingData, yieldRate, typeSpecificSkillId }
+ */
+async function getOreReprocessing(oreTypeIds, options = {}) {
+  const { getReprocessingMaterials, getTypeCategoryInfo } = require('./sde-database');
+  const { getEffectiveSkillLevel } = require('./settings-manager');
+
+  const [reprocessingMaterials, categoryInfo] = await Promise.all([
+    getReprocessingMaterials(oreTypeIds),
+    getTypeCategoryInfo(oreTypeIds),
+  ]);
+
+  const typeSkills = {};
+  for (const typeId of oreTypeIds) {
+    const info = categoryInfo[typeId];
+    const typeSkill = info ? getTypeSpecificSkillId(info.categoryID, info.groupID) : null;
+    typeSkills[typeId] = typeSkill ? typeSkill.skillId : null;
+  }
+
+  // Effective levels, so skill overrides apply
+  const level = skillId => (options.characterId && getEffectiveSkillLevel(options.characterId, skillId)) || 0;
+  const stationConfig = { ...DEFAULT_STATION_CONFIG, ...(options.stationConfig || {}) };
+
+  const result = {};
+  for (const typeId of oreTypeIds) {
+    if (!reprocessingMaterials[typeId]) continue;
+    result[typeId] = {
+      reprocessingData: reprocessingMaterials[typeId],
+      typeSpecificSkillId: typeSkills[typeId],
+      yieldRate: calculateReprocessingYield(
+        stationConfig,
+        {
+          reprocessing: level(REPROCESSING_SKILL_ID),
+          reprocessingEfficiency: level(REPROCESSING_EFFICIENCY_SKILL_ID),
+          typeSpecific: typeSkills[typeId] ? level(typeSkills[typeId]) : 0,
+        },
+        options.implantBonus || 0
+      ),
+    };
+  }
+  return result;
+}
+
+/**
+ * Per-unit market value of items, priced like plan products are sold (the
+ * Manufacturing Plans market set's output side)
+ * @param {Array<number>} typeIds - Type IDs
+ * @returns {Promise<Object>} typeId → price (0 when unknown)
+ */
+async function getMarketValues(typeIds) {
+  const { resolveMarketSetForTool } = require('./settings-manager');
+  const { calculateRealisticPrice } = require('./market-pricing');
+  const { getOutputLocation } = require('./blueprint-pricing');
+
+  const prices = {};
+  const marketSet = resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  if (!marketSet) return prices;
+
+  const location = getOutputLocation(marketSet);
+  const side = marketSet.outputProducts;
+  await Promise.all(typeIds.map(async typeId => {
+    try {
+      const result = await calculateRealisticPrice(typeId, location.regionId, location.locationId, side.priceType, 1, side);
+      prices[typeId] = result ? result.price || 0 : 0;
+    } catch (error) {
+      console.error(`[Mining] Error pricing type ${typeId}:`, error);
+      prices[typeId] = 0;
+    }
+  }));
+  return prices;
+}
+
+/**
+ * Value each mined ore both as ore and as reprocessed minerals
+ * @param {Object} options
+ * @param {number} options.days - Only ore mined in the last N days (default 30)
+ * @param {Array<number>} options.characterIds - Only these miners
+ * @param {number} options.characterId - Reprocessing character (skills)
+ * @param {Object} options.stationConfig - { stationType, rig, rig2 }
+ * @param {number} options.implantBonus - Reprocessing implant bonus
+ * @returns {Promise<Object>} { ores, totals }
+ */
+async function getMiningLedgerValuation(options = {}) {
+  const { getTypeNames } = require('./sde-database');
+  const days = options.days || 30;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const rows = getMiningLedger({ characterIds: options.characterIds, since });
+  const minedByType = new Map();
+  for (const row of rows) {
+    minedByType.set(row.typeId, (minedByType.get(row.typeId) || 0) + row.quantity);
+  }
+
+  const oreTypeIds = [...minedByType.keys()];
+  if (oreTypeIds.length === 0) {
+    return { ores: [], totals: { oreValue: 0, refinedValue: 0 }, since };
+  }
+
+  const reprocessing = await getOreReprocessing(oreTypeIds, options);
+  const mineralTypeIds = [...new Set(Object.values(reprocessing)
+    .flatMap(r => r.reprocessingData.materials.map(m => m.materialTypeId)))];
+
+  const prices = await getMarketValues([...oreTypeIds, ...mineralTypeIds]);
+  const materialPrices = {};
+  for (const typeId of mineralTypeIds) {
+    materialPrices[typeId] = { sell: prices[typeId] || 0, buy: prices[typeId] || 0 };
+  }
+
+  let typeNames = {};
+  try {
+    typeNames = await getTypeNames([...oreTypeIds, ...mineralTypeIds]);
+  } catch (error) {
+    console.error('[Mining] Error loading type names:', error);
+  }
+
+  const available = new Map(getAvailableOre().map(ore => [ore.typeId, ore.available]));
+
+  const ores = oreTypeIds.map(typeId => {
+    const quantity = minedByType.get(typeId);
+    const repro = reprocessing[typeId] || null;
+    const refined = repro
+      ? calculateReprocessingValue(quantity, repro.yieldRate, repro.reprocessingData, materialPrices)
+      : { sellValue: 0, materials: [], canReprocess: false };
+    const oreValue = quantity * (prices[typeId] || 0);
+
+    return {
+      typeId,
+      typeName: typeNames[typeId] || `Type ${typeId}`,
+      quantity,
+      available: available.get(typeId) || 0,
+      yieldRate: repro ? repro.yieldRate : null,
+      oreValue,
+      refinedValue: refined.sellValue,
+      bestAction: refined.canReprocess && refined.sellValue > oreValue ? 'reprocess' : 'sell',
+      materials: refined.materials.map(m => ({
+        typeId: m.materialTypeId,
+        typeName: typeNames[m.materialTypeId] || `Type ${m.materialTypeId}`,
+        quantity: m.qty,
+        value: m.sellValue,
+      })),
+    };
+  }).sort((a, b) => Math.max(b.oreValue, b.refinedValue) - Math.max(a.oreValue, a.refinedValue));
+
+  return {
+    ores,
+    totals: {
+      oreValue: ores.reduce((sum, ore) => sum + ore.oreValue, 0),
+      refinedValue: ores.reduce((sum, ore) => sum + ore.refinedValue, 0),
+    },
+    since,
+  };
+}
+
+/**
+ * Choose how much of each ore to reprocess to cover mineral needs. Ores that
+ * yield the most needed mineral value per unit go first; each takes the whole
+ * portions needed to cover what is still missing, up to what is available.
+ *
+ * The opportunity cost of the ore (its market value, or the minerals' value
+ * when the ore itself has no price) is spread over the minerals it yields by
+ * their market value, giving each mineral a unit cost.
+ *
+ * @param {Object} needs - mineralTypeId → quantity still needed
+ * @param {Array} ores - [{ typeId, available, yieldRate, reprocessingData, orePrice }]
+ * @param {Object} mineralPrices - mineralTypeId → unit price
+ * @returns {Array} [{ oreTypeId, oreQuantity, yieldRate, oreValue, refinedValue, opportunityCost,
+ *   minerals: [{ typeId, quantity, covered, unitCost }] }]
+ */
+function planOreSourcing(needs, ores, mineralPrices) {
+  const remaining = { ...needs };
+  const priceOf = typeId => mineralPrices[typeId] || 0;
+
+  const neededValuePerUnit = ore => ore.reprocessingData.materials
+    .filter(m => remaining[m.materialTypeId] > 0)
+    .reduce((sum, m) => sum + m.quantity * ore.yieldRate * priceOf(m.materialTypeId), 0)
+    / ore.reprocessingData.portionSize;
+
+  const candidates = ores
+    .filter(ore => ore.reprocessingData && ore.available >= ore.reprocessingData.portionSize)
+    .filter(ore => ore.reprocessingData.materials.some(m => remaining[m.materialTypeId] > 0))
+    .sort((a, b) => neededValuePerUnit(b) - neededValuePerUnit(a));
+
+  const materialPrices = {};
+  for (const typeId of Object.keys(mineralPrices)) {
+    materialPrices[typeId] = { sell: mineralPrices[typeId], buy: mineralPrices[typeId] };
+  }
+
+  const sources = [];
+  for (const ore of candidates) {
+    const { portionSize, materials } = ore.reprocessingData;
+
+    // Portions needed to cover the most demanding still-missing mineral
+    let portions = 0;
+    for (const material of materials) {
+      const perPortion = material.quantity * ore.yieldRate;
+      if (remaining[material.materialTypeId] > 0 && perPortion > 0) {
+        portions = Math.max(portions, Math.ceil(remaining[material.materialTypeId] / perPortion));
+      }
+    }
+    portions = Math.min(portions, Math.floor(ore.available / portionSize));
+    if (portions <= 0) continue;
+
+    const oreQuantity = portions * portionSize;
+    const refined = calculateReprocessingValue(oreQuantity, ore.yieldRate, ore.reprocessingData, materialPrices);
+    const yielded = refined.materials;
+    if (!yielded.some(m => remaining[m.materialTypeId] > 0)) continue;
+
+    const oreValue = oreQuantity * (ore.orePrice || 0);
+    const opportunityCost = oreValue > 0 ? oreValue : refined.sellValue;
+    const totalQuantity = yielded.reduce((sum, m) => sum + m.qty, 0);
+
+    const minerals = yielded.map(m => {
+      const covered = Math.min(m.qty, Math.max(0, remaining[m.materialTypeId] || 0));
+      if (covered > 0) remaining[m.materialTypeId] -= covered;
+      const share = refined.sellValue > 0 ? m.sellValue / refined.sellValue : m.qty / totalQuantity;
+      return {
+        typeId: m.materialTypeId,
+        quantity: m.qty,
+        covered,
+        unitCost: (opportunityCost * share) / m.qty,
+      };
+    });
+
+    sources.push({
+      oreTypeId: ore.typeId,
+      oreQuantity,
+      yieldRate: ore.yieldRate,
+      oreValue,
+      refinedValue: refined.sellValue,
+      opportunityCost,
+      minerals,
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Offer mined ore as a sourcing option for a plan's still-needed minerals
+ * @param {string} planId - Plan ID
+ * @param {Object} options
+ * @param {number} options.characterId - Reprocessing character (defaults to the plan owner)
+ * @param {Object} options.stationConfig - { stationType, rig, rig2 }
+ * @param {number} options.implantBonus - Reprocessing implant bonus
+ * @returns {Promise<Object>} { sources, coverage, characterId }
+ */
+async function getMiningSourcingOptions(planId, options = {}) {
+  const { getPlanMaterials } = require('./manufacturing-plans');
+  const { getTypeNames } = require('./sde-database');
+  const db = getCharacterDatabase();
+
+  const plan = db.prepare('SELECT character_id FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+  const characterId = options.characterId || plan.character_id;
+
+  const materials = await getPlanMaterials(planId);
+  const needs = {};
+  const planPrices = {};
+  for (const material of materials) {
+    const stillNeeded = getStillNeededQuantity(material);
+    if (stillNeeded > 0) needs[material.typeId] = stillNeeded;
+    planPrices[material.typeId] = material.planOverridePrice ?? material.basePrice ?? null;
+  }
+
+  const pool = getAvailableOre().filter(ore => ore.available > 0);
+  if (pool.length === 0 || Object.keys(needs).length === 0) {
+    return { sources: [], coverage: [], characterId };
+  }
+
+  const reprocessing = await getOreReprocessing(pool.map(ore => ore.typeId), { ...options, characterId });
+  const mineralTypeIds = [...new Set(Object.values(reprocessing)
+    .flatMap(r => r.reprocessingData.materials.map(m => m.materialTypeId)))];
+
+  // Minerals the plan buys are valued at the plan's own price; by-products at market
+  const prices = await getMarketValues([
+    ...pool.map(ore => ore.typeId),
+    ...mineralTypeIds.filter(typeId => planPrices[typeId] == null),
+  ]);
+  const mineralPrices = {};
+  for (const typeId of mineralTypeIds) {
+    mineralPrices[typeId] = planPrices[typeId] ?? prices[typeId] ?? 0;
+  }
+
+  const sources = planOreSourcing(
+    needs,
+    pool.filter(ore => reprocessing[ore.typeId]).map(ore => ({
+      typeId: ore.typeId,
+      available: ore.available,
+      yieldRate: reprocessing[ore.typeId].yieldRate,
+      reprocessingData: reprocessing[ore.typeId].reprocessingData,
+      orePrice: prices[ore.typeId] || 0,
+    })),
+    mineralPrices
+  );
+
+  let typeNames = {};
+  try {
+    typeNames = await getTypeNames([...new Set([...sources.map(s => s.oreTypeId), ...mineralTypeIds])]);
+  } catch (error) {
+    console.error('[Mining] Error loading type names:', error);
+  }
+  const nameOf = typeId => typeNames[typeId] || `Type ${typeId}`;
+
+  const covered = {};
+  for (const source of sources) {
+    source.oreName = nameOf(source.oreTypeId);
+    source.available = pool.find(ore => ore.typeId === source.oreTypeId).available;
+    for (const mineral of source.minerals) {
+      mineral.typeName = nameOf(mineral.typeId);
+      covered[mineral.typeId] = (covered[mineral.typeId] || 0) + mineral.covered;
+    }
+  }
+
+  const coverage = Object.keys(covered).map(Number)
+    .filter(typeId => needs[typeId] > 0)
+    .map(typeId => ({
+      typeId,
+      typeName: nameOf(typeId),
+      stillNeeded: needs[typeId],
+      covered: covered[typeId],
+      marketPrice: mineralPrices[typeId],
+    }));
+
+  return { sources, coverage, characterId };
+}
+
+/**
+ * Cover a plan's mineral needs by reprocessing mined ore: allocates the ore
+ * and records the covered minerals in the plan ledger at opportunity cost
+ * @param {string} planId - Plan ID
+ * @param {Object} options - Same as getMiningSourcingOptions
+ * @returns {Promise<Object>} { success, allocations, mineralsRecorded }
+ */
+async function applyMiningSourcing(planId, options = {}) {
+  const { sources } = await getMiningSourcingOptions(planId, options);
+  if (sources.length === 0) {
+    return { success: false, allocations: 0, mineralsRecorded: 0, reason: 'nothing_to_cover' };
+  }
+
+  const db = getCharacterDatabase();
+  const insertAllocation = db.prepare(`
+    INSERT INTO plan_mining_allocations
+      (allocation_id, plan_id, ore_type_id, ore_quantity, ore_value, yield_rate, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertLedger = db.prepare(`
+    INSERT INTO plan_material_ledger
+      (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, note,
+       source_ref, source_type, created_at)
+    VALUES (?, ?, ?, 'acquired', ?, 'manual', ?, ?, ?, 'mining', ?)
+  `);
+
+  let mineralsRecorded = 0;
+  try {
+    const now = Date.now();
+    db.transaction(() => {
+      for (const source of sources) {
+        const allocationId = randomUUID();
+        insertAllocation.run(allocationId, planId, source.oreTypeId, source.oreQuantity,
+          source.opportunityCost, source.yieldRate, now);
+
+        const note = `Reprocessed ${source.oreQuantity.toLocaleString('en-US')} ${source.oreName} ` +
+          `(${(source.yieldRate * 100).toFixed(1)}% yield)`;
+        for (const mineral of source.minerals) {
+          if (mineral.covered <= 0) continue;
+          insertLedger.run(randomUUID(), planId, mineral.typeId, mineral.covered, mineral.unitCost, note, allocationId, now);
+          mineralsRecorded++;
+        }
+      }
+    })();
+  } catch (error) {
+    console.error('[Mining] Error recording mining sourcing:', error);
+    throw error;
+  }
+
+  console.log(`[Mining] Covered ${mineralsRecorded} mineral need(s) for plan ${planId} from ${sources.length} ore type(s)`);
+  return { success: true, allocations: sources.length, mineralsRecorded };
+}
+
+/**
+ * Remove a mining allocation from its plan: the ore returns to the pool and
+ * its mineral ledger rows are deleted
+ * @param {string} planId - Plan ID
+ * @param {string} allocationId - plan_mining_allocations.allocation_id
+ * @returns {Object} { success }
+ */
+function removeMiningAllocation(planId, allocationId) {
+  const db = getCharacterDatabase();
+
+  try {
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM plan_material_ledger WHERE plan_id = ? AND source_type = 'mining' AND source_ref = ?
+      `).run(planId, allocationId);
+      db.prepare('DELETE FROM plan_mining_allocations WHERE plan_id = ? AND allocation_id = ?').run(planId, allocationId);
+    })();
+    return { success: true };
+  } catch (error) {
+    console.error('[Mining] Error removing mining allocation:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  fetchMiningLedger,
+  saveMiningLedger,
+  getMiningLedger,
+  getAvailableOre,
+  getOreReprocessing,
+  getMiningLedgerValuation,
+  planOreSourcing,
+  getMiningSourcingOptions,
+  applyMiningSourcing,
+  removeMiningAllocation,
+};
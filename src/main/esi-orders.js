@@ -0,0 +1,564 @@
+/**
+ * Our own market orders (character + corporation).
+ *
+ * Open orders are refreshed from /characters/{id}/orders/ and
+ * /corporations/{id}/orders/; /characters/{id}/orders/history/ supplies the
+ * final state of orders that closed. Rows are kept as a durable log in
+ * esi_market_orders: an open order that drops out of its owner's open list is
+ * marked 'closed' until the history endpoint reports whether it expired or was
+ * cancelled.
+ *
+ * Each order's position is read against the cached public order book
+ * (market_orders in the market database) at the same location, and sell
+ * orders of plan products are linked to the plan that produced them so plan
+ * analytics can show listed-but-unsold inventory.
+ */
+
+const { getCharacter } = require('./settings-manager');
+const { getCharacterDatabase } = require('./character-database');
+const { esiFetch } = require('./esi-fetch');
+const { OPEN_STATUSES } = require('./plan-lifecycle');
+
+const CORPORATION_ORDERS_SCOPE = 'esi-markets.read_corporation_orders.v1';
+
+// Plans whose products can still be sitting on the market
+const LINKABLE_PLAN_STATUSES = [...OPEN_STATUSES, 'closed'];
+
+/**
+ * Fetch a character's open market orders from ESI. Includes orders the
+ * character placed on behalf of their corporation (is_corporation = true).
+ * @param {number} characterId - Character ID
+ * @returns {Promise<Object>} Orders data with metadata
+ */
+async function fetchCharacterOrders(characterId) {
+  const callKey = `character_${characterId}_character_orders`;
+  const url = `https://esi.evetech.net/latest/characters/${characterId}/orders/?datasource=tranquility`;
+
+  const result = await esiFetch('character_orders', callKey, url, {
+    characterId,
+    category: 'character',
+    endpointLabel: 'Market Orders',
+  });
+
+  if (result.skipped) {
+    return { orders: [], characterId, lastUpdated: Date.now(), cacheExpiresAt: null, skipped: true };
+  }
+
+  const orders = result.data || [];
+  console.log(`Fetched ${orders.length} open market orders for character ${characterId}`);
+
+  return {
+    orders,
+    characterId,
+    lastUpdated: Date.now(),
+    cacheExpiresAt: result.cacheExpiresAt,
+  };
+}
+
+/**
+ * Fetch a character's closed orders (last 90 days) from ESI
+ * @param {number} characterId - Character ID
+ * @returns {Promise<Object>} Orders data with metadata
+ */
+async function fetchCharacterOrderHistory(characterId) {
+  const callKey = `character_${characterId}_character_orders_history`;
+  const url = `https://esi.evetech.net/latest/characters/${characterId}/orders/history/?datasource=tranquility`;
+
+  const result = await esiFetch('character_orders_history', callKey, url, {
+    characterId,
+    category: 'character',
+    endpointLabel: 'Market Order History',
+  });
+
+  if (result.skipped) {
+    return { orders: [], characterId, lastUpdated: Date.now(), cacheExpiresAt: null, skipped: true, isHistory: true };
+  }
+
+  const orders = result.data || [];
+  console.log(`Fetched ${orders.length} historical market orders for character ${characterId}`);
+
+  return {
+    orders,
+    characterId,
+    isHistory: true,
+    lastUpdated: Date.now(),
+    cacheExpiresAt: result.cacheExpiresAt,
+  };
+}
+
+/**
+ * Fetch a corporation's open market orders from ESI (requires the Accountant
+ * or Trader role)
+ * @param {number} characterId - Character ID (used for authentication)
+ * @param {number} corporationId - Corporation ID
+ * @returns {Promise<Object>} Orders data with metadata; `unavailable` when the
+ *   list could not be read (no scope, no role, error) so callers don't treat
+ *   it as "no open orders"
+ */
+async function fetchCorporationOrders(characterId, corporationId) {
+  const callKey = `corporation_${corporationId}_corporation_orders`;
+  const emptyResult = { orders: [], corporationId, characterId, isCorporation: true, lastUpdated: Date.now(), cacheExpiresAt: null };
+
+  const character = getCharacter(characterId);
+  if (!character) {
+    throw Object.assign(new Error('Character not found'), { code: 'NOT_FOUND', characterId });
+  }
+  if (!character.scopes || !character.scopes.includes(CORPORATION_ORDERS_SCOPE)) {
+    console.log('Character does not have corporation market orders scope, skipping...');
+    return { ...emptyResult, unavailable: true };
+  }
+
+  const url = `https://esi.evetech.net/latest/corporations/${corporationId}/orders/?datasource=tranquility`;
+
+  try {
+    const result = await esiFetch('corporation_orders', callKey, url, {
+      characterId,
+      corporationId,
+      category: 'corporation',
+      endpointLabel: 'Corporation Market Orders',
+    });
+
+    if (result.skipped) {
+      return { ...emptyResult, skipped: true };
+    }
+    if (result.roleForbidden) {
+      console.log('Character does not have permission to view corporation market orders (requires Accountant or Trader role)');
+      return { ...emptyResult, unavailable: true };
+    }
+
+    const orders = result.data || [];
+    console.log(`Fetched ${orders.length} corporation market orders across ${result.pages} page(s)`);
+
+    return {
+      ...emptyResult,
+      orders,
+      lastUpdated: Date.now(),
+      cacheExpiresAt: result.cacheExpiresAt,
+    };
+  } catch (error) {
+    if (error.code === 'ESI_TOKEN_REFRESH_FAILED' || error.code === 'ESI_SCOPE_ERROR') {
+      throw error;
+    }
+    console.error('Error fetching corporation market orders:', error);
+    return { ...emptyResult, unavailable: true };
+  }
+}
+
+/**
+ * Save market orders to the database (upsert by order_id). For an open-orders
+ * snapshot, the owner's previously open orders missing from it are marked
+ * 'closed' — filled, expired or cancelled — until history says which.
+ * @param {Object} ordersData - Orders data from a fetch function
+ * @param {number} ordersData.characterId - Fetching character
+ * @param {boolean} ordersData.isCorporation - Corporation orders snapshot
+ * @param {number} ordersData.corporationId - Corporation ID (for corp orders)
+ * @param {boolean} ordersData.isHistory - Orders come from the history endpoint
+ * @returns {boolean} Success status
+ */
+function saveMarketOrders(ordersData) {
+  try {
+    const db = getCharacterDatabase();
+    const character = ordersData.isCorporation ? null : getCharacter(ordersData.characterId);
+
+    db.exec('BEGIN TRANSACTION');
+
+    try {
+      const upsert = db.prepare(`
+        INSERT INTO esi_market_orders (
+          order_id, character_id, is_corporation, corporation_id, issued_by, wallet_division,
+          type_id, region_id, location_id, range, is_buy_order, price,
+          volume_total, volume_remain, min_volume, escrow, duration, issued,
+          state, last_updated, cache_expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(order_id) DO UPDATE SET
+          corporation_id = COALESCE(excluded.corporation_id, corporation_id),
+          wallet_division = COALESCE(excluded.wallet_division, wallet_division),
+          price = excluded.price,
+          volume_remain = excluded.volume_remain,
+          escrow = excluded.escrow,
+          issued = excluded.issued,
+          state = excluded.state,
+          last_updated = excluded.last_updated,
+          cache_expires_at = excluded.cache_expires_at
+      `);
+
+      for (const order of ordersData.orders) {
+        const isCorporation = ordersData.isCorporation || order.is_corporation ? 1 : 0;
+        const corporationId = ordersData.isCorporation
+          ? ordersData.corporationId
+          : (isCorporation && character ? character.corporationId || null : null);
+
+        upsert.run(
+          order.order_id,
+          ordersData.characterId,
+          isCorporation,
+          corporationId,
+          ordersData.isCorporation ? order.issued_by || null : ordersData.characterId,
+          order.wallet_division || null,
+          order.type_id,
+          order.region_id,
+          order.location_id,
+          order.range || null,
+          order.is_buy_order ? 1 : 0,
+          order.price,
+          order.volume_total,
+          order.volume_remain,
+          order.min_volume != null ? order.min_volume : null,
+          order.escrow != null ? order.escrow : null,
+          order.duration != null ? order.duration : null,
+          new Date(order.issued).getTime(),
+          ordersData.isHistory ? (order.state || 'expired') : 'open',
+          ordersData.lastUpdated,
+          ordersData.cacheExpiresAt || null
+        );
+      }
+
+      let closed = 0;
+      if (!ordersData.isHistory) {
+        const openIds = new Set(ordersData.orders.map(order => order.order_id));
+        const previous = ordersData.isCorporation
+          ? db.prepare(`
+              SELECT order_id FROM esi_market_orders
+              WHERE state = 'open' AND is_corporation = 1 AND corporation_id = ?
+            `).all(ordersData.corporationId)
+          : db.prepare(`
+              SELECT order_id FROM esi_market_orders
+              WHERE state = 'open' AND issued_by = ?
+            `).all(ordersData.characterId);
+
+        const close = db.prepare(`
+          UPDATE esi_market_orders SET state = 'closed', last_updated = ? WHERE order_id = ?
+        `);
+        for (const { order_id: orderId } of previous) {
+          if (!openIds.has(orderId)) {
+            close.run(ordersData.lastUpdated, orderId);
+            closed++;
+          }
+        }
+      }
+
+      db.exec('COMMIT');
+      console.log(`Saved ${ordersData.orders.length} market orders${closed > 0 ? `, ${closed} closed` : ''}`);
+
+      return true;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error saving market orders to database:', error);
+    return false;
+  }
+}
+
+/**
+ * Map a database row to the camelCase order shape
+ */
+function mapOrderRow(row) {
+  return {
+    orderId: row.order_id,
+    characterId: row.character_id,
+    isCorporation: row.is_corporation === 1,
+    corporationId: row.corporation_id,
+    issuedBy: row.issued_by,
+    walletDivision: row.wallet_division,
+    typeId: row.type_id,
+    regionId: row.region_id,
+    locationId: row.location_id,
+    range: row.range,
+    isBuyOrder: row.is_buy_order === 1,
+    price: row.price,
+    volumeTotal: row.volume_total,
+    volumeRemain: row.volume_remain,
+    minVolume: row.min_volume,
+    escrow: row.escrow,
+    duration: row.duration,
+    issued: row.issued,
+    state: row.state,
+    lastUpdated: row.last_updated,
+  };
+}
+
+/**
+ * Get market orders from the database
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.state - 'open' or 'history' (anything not open)
+ * @param {Array<number>} filters.characterIds - Orders issued by these characters
+ * @param {Array<number>} filters.corporationIds - Plus corporation orders of these corporations
+ * @param {number} filters.typeId - Type ID
+ * @param {boolean} filters.isBuyOrder - Buy (true) or sell (false) orders only
+ * @returns {Array} Market orders
+ */
+function getMarketOrders(filters = {}) {
+  try {
+    const db = getCharacterDatabase();
+
+    let query = 'SELECT * FROM esi_market_orders WHERE 1=1';
+    const params = [];
+
+    if (filters.state === 'open') {
+      query += " AND state = 'open'";
+    } else if (filters.state === 'history') {
+      query += " AND state != 'open'";
+    }
+
+    const characterIds = filters.characterIds || [];
+    const corporationIds = filters.corporationIds || [];
+    if (characterIds.length > 0 || corporationIds.length > 0) {
+      const clauses = [];
+      if (characterIds.length > 0) {
+        clauses.push(`issued_by IN (${characterIds.map(() => '?').join(',')})`);
+        params.push(...characterIds);
+      }
+      if (corporationIds.length > 0) {
+        clauses.push(`(is_corporation = 1 AND corporation_id IN (${corporationIds.map(() => '?').join(',')}))`);
+        params.push(...corporationIds);
+      }
+      query += ` AND (${clauses.join(' OR ')})`;
+    }
+
+    if (filters.typeId) {
+      query += ' AND type_id = ?';
+      params.push(filters.typeId);
+    }
+
+    if (filters.isBuyOrder != null) {
+      query += ' AND is_buy_order = ?';
+      params.push(filters.isBuyOrder ? 1 : 0);
+    }
+
+    query += ' ORDER BY issued DESC';
+
+    return db.prepare(query).all(...params).map(mapOrderRow);
+  } catch (error) {
+    console.error('Error getting market orders from database:', error);
+    return [];
+  }
+}
+
+/**
+ * Position of one of our orders against competing orders on the same side at
+ * the same location. Equal prices do not count as ahead of us.
+ * @param {Object} order - Our order ({ price, isBuyOrder })
+ * @param {Array} competitors - Competing book orders ({ price, volume_remain })
+ * @returns {Object} { rank, competitorCount, bestCompetitorPrice, priceGap, depthAhead, undercut, outbid }
+ */
+function calculateOrderPosition(order, competitors) {
+  const isAhead = order.isBuyOrder
+    ? (other) => other.price > order.price
+    : (other) => other.price < order.price;
+
+  const ahead = competitors.filter(isAhead);
+  const prices = competitors.map(other => other.price);
+  const bestCompetitorPrice = prices.length === 0
+    ? null
+    : (order.isBuyOrder ? Math.max(...prices) : Math.min(...prices));
+
+  return {
+    rank: ahead.length + 1,
+    competitorCount: competitors.length,
+    bestCompetitorPrice,
+    // How far the price has to move to match the best competitor
+    priceGap: ahead.length > 0 ? Math.abs(order.price - bestCompetitorPrice) : 0,
+    depthAhead: ahead.reduce((sum, other) => sum + other.volume_remain, 0),
+    undercut: !order.isBuyOrder && ahead.length > 0,
+    outbid: order.isBuyOrder && ahead.length > 0,
+  };
+}
+
+/**
+ * Attach order book positions to open orders. Our own orders (any character)
+ * are left out of the competition.
+ * @param {Array} orders - Orders from getMarketOrders
+ * @returns {Array} Orders with position (null when no cached book covers the location)
+ */
+function attachOrderPositions(orders) {
+  const { getMarketDatabase } = require('./market-database');
+  const marketDb = getMarketDatabase();
+  const db = getCharacterDatabase();
+
+  const ownOrderIds = new Set(db.prepare("SELECT order_id FROM esi_market_orders WHERE state = 'open'").all().map(r => r.order_id));
+  const bookQuery = marketDb.prepare(`
+    SELECT order_id, price, volume_remain, fetched_at
+    FROM market_orders
+    WHERE type_id = ? AND location_id = ? AND is_buy_order = ?
+  `);
+
+  return orders.map(order => {
+    if (order.state !== 'open') return { ...order, position: null };
+
+    const book = bookQuery.all(order.typeId, order.locationId, order.isBuyOrder ? 1 : 0);
+    if (book.length === 0) return { ...order, position: null };
+
+    const competitors = book.filter(other => !ownOrderIds.has(other.order_id));
+    return {
+      ...order,
+      position: {
+        ...calculateOrderPosition(order, competitors),
+        bookFetchedAt: Math.max(...book.map(other => other.fetched_at)),
+      },
+    };
+  });
+}
+
+/**
+ * Plans that can own listed products, per product type, newest first
+ * @returns {Map<number, Array>} typeId -> [{ planId, planName, createdAt, characterIds }]
+ */
+function getProductPlans() {
+  const db = getCharacterDatabase();
+  const { getPlanIndustrySettings } = require('./manufacturing-plans');
+
+  const rows = db.prepare(`
+    SELECT DISTINCT mp.plan_id, mp.plan_name, mp.character_id, mp.created_at, n.type_id
+    FROM manufacturing_plans mp
+    JOIN plan_material_nodes n ON n.plan_id = mp.plan_id
+    WHERE n.node_type = 'product' AND n.depth = 0
+      AND mp.status IN (${LINKABLE_PLAN_STATUSES.map(() => '?').join(',')})
+    ORDER BY mp.created_at DESC
+  `).all(...LINKABLE_PLAN_STATUSES);
+
+  const characterIdsByPlan = new Map();
+  const byType = new Map();
+  for (const row of rows) {
+    if (!characterIdsByPlan.has(row.plan_id)) {
+      let characterIds = [];
+      try {
+        characterIds = getPlanIndustrySettings(row.plan_id).defaultCharacters || [];
+      } catch (error) {
+        console.error('[Orders] Error reading plan characters:', error);
+      }
+      characterIdsByPlan.set(row.plan_id, characterIds.length > 0 ? characterIds.map(Number) : [row.character_id]);
+    }
+
+    if (!byType.has(row.type_id)) byType.set(row.type_id, []);
+    byType.get(row.type_id).push({
+      planId: row.plan_id,
+      planName: row.plan_name,
+      createdAt: row.created_at,
+      characterIds: characterIdsByPlan.get(row.plan_id),
+    });
+  }
+  return byType;
+}
+
+/**
+ * The plan a sell order belongs to: the newest plan making that product,
+ * created before the order was issued, whose characters include the issuer.
+ * @param {Object} order - Order from getMarketOrders
+ * @param {Map} productPlans - From getProductPlans
+ * @returns {Object|null} { planId, planName } or null
+ */
+function findPlanForOrder(order, productPlans) {
+  if (order.isBuyOrder) return null;
+
+  const plans = productPlans.get(order.typeId) || [];
+  const plan = plans.find(p => p.createdAt <= order.issued && p.characterIds.includes(order.issuedBy));
+  return plan ? { planId: plan.planId, planName: plan.planName } : null;
+}
+
+/**
+ * Get orders with names, order book positions and plan links for display
+ * @param {Object} filters - Same as getMarketOrders
+ * @returns {Promise<Array>} Orders with typeName, locationName, position and plan
+ */
+async function getOrdersOverview(filters = {}) {
+  const { getTypeNames, getLocationName, detectLocationType } = require('./sde-database');
+  const { resolveStructureName } = require('./esi-structures');
+
+  const orders = attachOrderPositions(getMarketOrders(filters));
+  if (orders.length === 0) return [];
+
+  let productPlans = new Map();
+  try {
+    productPlans = getProductPlans();
+  } catch (error) {
+    console.error('[Orders] Error loading plan products:', error);
+  }
+
+  const typeIds = [...new Set(orders.map(order => order.typeId))];
+  let typeNames = {};
+  try {
+    typeNames = await getTypeNames(typeIds);
+  } catch (error) {
+    console.error('[Orders] Error loading type names:', error);
+  }
+
+  const locationNames = new Map();
+  for (const order of orders) {
+    if (locationNames.has(order.locationId)) continue;
+    let name = null;
+    try {
+      name = detectLocationType(order.locationId) === 'npc-station'
+        ? await getLocationName(order.locationId)
+        : await resolveStructureName(order.locationId, order.characterId);
+    } catch (error) {
+      console.error('[Orders] Error resolving location name:', error);
+    }
+    locationNames.set(order.locationId, name || `Location ${order.locationId}`);
+  }
+
+  return orders.map(order => ({
+    ...order,
+    typeName: typeNames[order.typeId] || `Type ${order.typeId}`,
+    locationName: locationNames.get(order.locationId),
+    plan: findPlanForOrder(order, productPlans),
+  }));
+}
+
+/**
+ * Open sell orders of a plan's products: listed-but-unsold inventory and the
+ * revenue it brings in if it sells at the listed price (before sales tax)
+ * @param {string} planId - Plan ID
+ * @returns {Object} { orders, listedQuantity, expectedRevenue, byType }
+ */
+function getPlanMarketOrders(planId) {
+  const empty = { orders: [], listedQuantity: 0, expectedRevenue: 0, byType: [] };
+
+  try {
+    const productPlans = getProductPlans();
+    const planTypeIds = [...productPlans.entries()]
+      .filter(([, plans]) => plans.some(p => p.planId === planId))
+      .map(([typeId]) => typeId);
+    if (planTypeIds.length === 0) return empty;
+
+    const orders = planTypeIds
+      .flatMap(typeId => getMarketOrders({ state: 'open', typeId, isBuyOrder: false }))
+      .filter(order => {
+        const plan = findPlanForOrder(order, productPlans);
+        return plan && plan.planId === planId;
+      });
+
+    const byType = new Map();
+    for (const order of orders) {
+      if (!byType.has(order.typeId)) byType.set(order.typeId, { typeId: order.typeId, quantity: 0, value: 0, orderCount: 0 });
+      const entry = byType.get(order.typeId);
+      entry.quantity += order.volumeRemain;
+      entry.value += order.volumeRemain * order.price;
+      entry.orderCount++;
+    }
+
+    return {
+      orders,
+      listedQuantity: orders.reduce((sum, order) => sum + order.volumeRemain, 0),
+      expectedRevenue: orders.reduce((sum, order) => sum + order.volumeRemain * order.price, 0),
+      byType: [...byType.values()],
+    };
+  } catch (error) {
+    console.error('Error getting plan market orders:', error);
+    return empty;
+  }
+}
+
+module.exports = {
+  fetchCharacterOrders,
+  fetchCharacterOrderHistory,
+  fetchCorporationOrders,
+  saveMarketOrders,
+  getMarketOrders,
+  calculateOrderPosition,
+  attachOrderPositions,
+  findPlanForOrder,
+  getOrdersOverview,
+  getPlanMarketOrders,
+};
@@ -0,0 +1,245 @@
+/**
+ * ESI request scheduler.
+ *
+ * Sits between `esiFetch` and the network. Every HTTP request (each page of a
+ * paginated call) is queued under its ENDPOINT_POLICY rate-limit group and
+ * dispatched when the group has a free slot:
+ *   - groups run up to GROUP_CONCURRENCY requests at once, independently of
+ *     each other, so a long market refresh doesn't hold up character calls
+ *   - within a group, interactive requests (the user is waiting) always go
+ *     before background ones (the refresh cycle); FIFO otherwise
+ *   - ESI's error budget (X-ESI-Error-Limit-Remain / -Reset, shared by all
+ *     groups) is tracked from every response. Background requests stop
+ *     dispatching when the budget gets low, interactive ones only when it is
+ *     nearly gone, and a 420 pauses everything until the window resets — so
+ *     the app backs off before ESI blocks it.
+ *
+ * Priority is taken from the async context: `runWithPriority('background', fn)`
+ * marks every ESI call made inside fn (however deep) as background. Calls made
+ * outside any context are interactive.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['interactive', 'background'];
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Public market endpoints page heavily (region order books), character ones don't
+const GROUP_CONCURRENCY = {
+  market: 8,
+};
+
+// Error budget left at which each priority stops dispatching (ESI allows 100
+// errors per window)
+const ERROR_BUDGET_FLOOR = {
+  interactive: 5,
+  background: 20,
+};
+
+// Pause after a 420 that didn't say when the window resets
+const DEFAULT_ERROR_PAUSE_MS = 60 * 1000;
+
+const priorityContext = new AsyncLocalStorage();
+
+const groups = new Map();
+const errorBudget = {
+  remain: null,
+  resetAt: null,
+  pausedUntil: null,
+};
+let wakeTimer = null;
+let wakeAt = null;
+
+function getGroup(name) {
+  if (!groups.has(name)) {
+    groups.set(name, {
+      name,
+      concurrency: GROUP_CONCURRENCY[name] || DEFAULT_CONCURRENCY,
+      inFlight: 0,
+      queues: { interactive: [], background: [] },
+      completed: 0,
+    });
+  }
+  return groups.get(name);
+}
+
+/**
+ * Run fn with every ESI request inside it at the given priority
+ * @param {string} priority - 'interactive' | 'background'
+ * @param {Function} fn
+ * @returns {*} Whatever fn returns
+ */
+function runWithPriority(priority, fn) {
+  return priorityContext.run(priority, fn);
+}
+
+/**
+ * Priority of the current async context
+ * @returns {string} 'interactive' unless inside runWithPriority('background', ...)
+ */
+function getCurrentPriority() {
+  return priorityContext.getStore() || 'interactive';
+}
+
+/**
+ * Time until which a priority may not dispatch, or null if it may
+ * @param {string} priority
+ * @param {number} now
+ * @returns {number|null}
+ */
+function blockedUntil(priority, now) {
+  if (errorBudget.pausedUntil && now < errorBudget.pausedUntil) {
+    return errorBudget.pausedUntil;
+  }
+  if (
+    errorBudget.remain !== null &&
+    errorBudget.resetAt && now < errorBudget.resetAt &&
+    errorBudget.remain <= ERROR_BUDGET_FLOOR[priority]
+  ) {
+    return errorBudget.resetAt;
+  }
+  return null;
+}
+
+function scheduleWake(at) {
+  if (wakeTimer && wakeAt <= at) return;
+  if (wakeTimer) clearTimeout(wakeTimer);
+  wakeAt = at;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    wakeAt = null;
+    pump();
+  }, Math.max(0, at - Date.now()));
+  if (wakeTimer.unref) wakeTimer.unref();
+}
+
+/**
+ * Dispatch queued requests into free slots, highest priority first
+ */
+function pump() {
+  const now = Date.now();
+
+  for (const group of groups.values()) {
+    while (group.inFlight < group.concurrency) {
+      let next = null;
+      for (const priority of PRIORITIES) {
+        if (group.queues[priority].length === 0) continue;
+        const until = blockedUntil(priority, now);
+        if (until) {
+          scheduleWake(until);
+          // Lower priorities are blocked at least as long
+          break;
+        }
+        next = group.queues[priority].shift();
+        break;
+      }
+      if (!next) break;
+      dispatch(group, next);
+    }
+  }
+}
+
+function dispatch(group, request) {
+  group.inFlight++;
+  Promise.resolve()
+    .then(request.task)
+    .then(
+      (response) => {
+        recordErrorBudget(response);
+        request.resolve(response);
+      },
+      (error) => request.reject(error)
+    )
+    .finally(() => {
+      group.inFlight--;
+      group.completed++;
+      pump();
+    });
+}
+
+/**
+ * Update the error budget from a response's X-ESI-Error-Limit-* headers
+ * @param {Object} response - fetch Response (anything without headers is ignored)
+ * @param {number} now - Current time in ms
+ */
+function recordErrorBudget(response, now = Date.now()) {
+  const get = (h) => (response && response.headers && response.headers.get ? response.headers.get(h) : null);
+
+  const remain = parseInt(get('X-ESI-Error-Limit-Remain'), 10);
+  const reset = parseInt(get('X-ESI-Error-Limit-Reset'), 10);
+  const resetAt = Number.isNaN(reset) ? null : now + reset * 1000;
+
+  if (!Number.isNaN(remain)) {
+    const wasLow = blockedUntil('background', now) !== null;
+    errorBudget.remain = remain;
+    errorBudget.resetAt = resetAt;
+    if (remain <= ERROR_BUDGET_FLOOR.background && !wasLow) {
+      console.warn(`[ESI Scheduler] Error budget low (${remain} left), holding background requests until ${new Date(resetAt || now).toISOString()}`);
+    }
+  }
+
+  if (response && response.status === 420) {
+    const retryAfter = parseInt(get('Retry-After'), 10);
+    errorBudget.pausedUntil = resetAt
+      || (Number.isNaN(retryAfter) ? null : now + retryAfter * 1000)
+      || now + DEFAULT_ERROR_PAUSE_MS;
+    console.warn(`[ESI Scheduler] Error limited (420), pausing all ESI requests until ${new Date(errorBudget.pausedUntil).toISOString()}`);
+  }
+}
+
+/**
+ * Queue one ESI request
+ * @param {string} group - Rate-limit group (ENDPOINT_POLICY group)
+ * @param {Function} task - Performs the request; resolves to a fetch Response
+ * @param {string} [priority] - 'interactive' | 'background' (default: from the async context)
+ * @returns {Promise<*>} What task resolves to
+ */
+function scheduleRequest(group, task, priority = getCurrentPriority()) {
+  const queuePriority = PRIORITIES.includes(priority) ? priority : 'interactive';
+  return new Promise((resolve, reject) => {
+    getGroup(group).queues[queuePriority].push({ task, resolve, reject, queuedAt: Date.now() });
+    pump();
+  });
+}
+
+/**
+ * Queue depth and in-flight calls per group, plus the error budget
+ * @returns {Object} { groups: [{group, concurrency, inFlight, queuedInteractive, queuedBackground, oldestQueuedAt, completed}], errorBudget }
+ */
+function getSchedulerStatus() {
+  const now = Date.now();
+  return {
+    groups: [...groups.values()]
+      .map(group => {
+        const queued = [...group.queues.interactive, ...group.queues.background];
+        return {
+          group: group.name,
+          concurrency: group.concurrency,
+          inFlight: group.inFlight,
+          queuedInteractive: group.queues.interactive.length,
+          queuedBackground: group.queues.background.length,
+          oldestQueuedAt: queued.length > 0 ? Math.min(...queued.map(r => r.queuedAt)) : null,
+          completed: group.completed,
+        };
+      })
+      .sort((a, b) => a.group.localeCompare(b.group)),
+    errorBudget: {
+      remain: errorBudget.resetAt && now >= errorBudget.resetAt ? null : errorBudget.remain,
+      resetAt: errorBudget.resetAt,
+      pausedUntil: errorBudget.pausedUntil && now < errorBudget.pausedUntil ? errorBudget.pausedUntil : null,
+      backgroundHeld: blockedUntil('background', now) !== null,
+      interactiveHeld: blockedUntil('interactive', now) !== null,
+    },
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  ERROR_BUDGET_FLOOR,
+  runWithPriority,
+  getCurrentPriority,
+  scheduleRequest,
+  recordErrorBudget,
+  getSchedulerStatus,
+};
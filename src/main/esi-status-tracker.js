@@ -139,6 +139,8 @@ function initializeCharacterEndpoints(characterId, characterName) {
       { type: 'corporation_assets', label: 'Corporation Assets' },
       { type: 'industry_jobs', label: 'Industry Jobs' },
       { type: 'wallet_transactions', label: 'Wallet Transactions' },
+      { type: 'character_orders', label: 'Market Orders' },
+      { type: 'character_mining', label: 'Mining Ledger' },
       { type: 'corporation_divisions', label: 'Corporation Divisions' },
     ];
 
@@ -0,0 +1,164 @@
+/**
+ * Freight (hauling) cost model for manufacturing plans.
+ *
+ * A plan moves cargo on two kinds of legs:
+ *   - inputs:  Market Set input location → each facility that consumes materials
+ *   - outputs: each facility that builds final products → Market Set output location
+ *
+ * Volumes come from getItemVolumes (packaged volume where the SDE has one, so
+ * ships are hauled packaged), jump counts from the route service and the rates
+ * (ISK/m³, ISK/jump, collateral %) from settings.logistics.freightRates.
+ */
+
+const DEFAULT_FREIGHT_RATES = {
+  ratePerM3: 0,
+  ratePerJump: 0,
+  collateralPercent: 0,
+};
+
+/**
+ * Get the configured freight rates
+ * @returns {Object} { ratePerM3, ratePerJump, collateralPercent }
+ */
+function getFreightRates() {
+  try {
+    const { getSetting } = require('./settings-manager');
+    return { ...DEFAULT_FREIGHT_RATES, ...(getSetting('logistics', 'freightRates') || {}) };
+  } catch (error) {
+    console.error('[Freight] Error reading freight rates:', error);
+    return { ...DEFAULT_FREIGHT_RATES };
+  }
+}
+
+/**
+ * Price a single haul
+ * @param {Object} leg - { volume, jumps, collateral }
+ * @param {Object} rates - { ratePerM3, ratePerJump, collateralPercent }
+ * @returns {Object} { volumeCost, jumpCost, collateralCost, total }
+ */
+function calculateFreightCost(leg, rates) {
+  // Cargo that never leaves the system costs nothing to haul
+  if (leg.jumps === 0 || !leg.volume) {
+    return { volumeCost: 0, jumpCost: 0, collateralCost: 0, total: 0 };
+  }
+
+  const volumeCost = leg.volume * (rates.ratePerM3 || 0);
+  const jumpCost = (leg.jumps || 0) * (rates.ratePerJump || 0);
+  const collateralCost = (leg.collateral || 0) * (rates.collateralPercent || 0) / 100;
+
+  return { volumeCost, jumpCost, collateralCost, total: volumeCost + jumpCost + collateralCost };
+}
+
+/**
+ * Parse a facility snapshot, returning null for missing or malformed JSON
+ * @param {string|null} snapshot - facility_snapshot column value
+ * @returns {Object|null} Facility object
+ */
+function parseFacility(snapshot) {
+  if (!snapshot) return null;
+  try {
+    return JSON.parse(snapshot);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Estimate the freight cost of a plan, per leg and in total
+ * @param {string} planId - Plan ID
+ * @param {Object} rates - Freight rates (defaults to the configured rates)
+ * @returns {Promise<Object>} { legs, totalVolume, totalCost, rates }
+ */
+async function estimatePlanFreight(planId, rates = getFreightRates()) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getPlanPriceOverrideMap } = require('./manufacturing-plans');
+  const { resolveMarketSetForTool } = require('./settings-manager');
+  const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
+  const { getItemVolumes, getSystemName } = require('./sde-database');
+  const { getRoutes } = require('./route-calculator');
+
+  const db = getCharacterDatabase();
+  const nodes = db.prepare(`
+    SELECT n.type_id, n.node_type, n.quantity_needed, n.price_each, pb.facility_snapshot
+    FROM plan_material_nodes n
+    LEFT JOIN plan_blueprints pb ON pb.plan_blueprint_id = n.plan_blueprint_id
+    WHERE n.plan_id = ? AND n.node_type IN ('material', 'product')
+  `).all(planId);
+
+  const result = { legs: [], totalVolume: 0, totalCost: 0, rates };
+  if (nodes.length === 0) return result;
+
+  const marketSet = resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  const inputLocation = marketSet ? getInputLocation(marketSet) : {};
+  const outputLocation = marketSet ? getOutputLocation(marketSet) : {};
+  const overrideMap = getPlanPriceOverrideMap(planId);
+  const volumes = await getItemVolumes([...new Set(nodes.map(n => n.type_id))]);
+
+  // Aggregate cargo per leg (direction + facility system)
+  const legMap = new Map();
+  for (const node of nodes) {
+    const facility = parseFacility(node.facility_snapshot);
+    // Snapshots keep systemId as the string the facility form saved; the route graph is keyed by number
+    const facilitySystemId = Number(facility?.systemId) || null;
+    const isInput = node.node_type === 'material';
+    const key = `${isInput ? 'inputs' : 'outputs'}:${facilitySystemId}`;
+
+    if (!legMap.has(key)) {
+      legMap.set(key, {
+        kind: isInput ? 'inputs' : 'outputs',
+        fromSystemId: isInput ? Number(inputLocation.systemId) || null : facilitySystemId,
+        toSystemId: isInput ? facilitySystemId : Number(outputLocation.systemId) || null,
+        facilityName: facility?.name || null,
+        volume: 0,
+        collateral: 0,
+      });
+    }
+
+    const leg = legMap.get(key);
+    const price = overrideMap.has(node.type_id) ? overrideMap.get(node.type_id) : node.price_each;
+    leg.volume += (volumes[node.type_id] || 0) * node.quantity_needed;
+    leg.collateral += (price || 0) * node.quantity_needed;
+  }
+
+  const systemNames = {};
+  for (const leg of legMap.values()) {
+    for (const systemId of [leg.fromSystemId, leg.toSystemId]) {
+      if (systemId && !(systemId in systemNames)) {
+        systemNames[systemId] = await getSystemName(systemId);
+      }
+    }
+
+    // Freight is priced on the shortest route; the safest route and the
+    // low/null-sec systems on the shortest one are shown alongside it
+    try {
+      const routes = getRoutes(leg.fromSystemId, leg.toSystemId);
+      leg.jumps = routes.shortest ? routes.shortest.jumps : null;
+      leg.safeJumps = routes.safest ? routes.safest.jumps : null;
+      leg.insecureSystems = routes.shortest ? routes.shortest.lowSecCount + routes.shortest.nullSecCount : null;
+    } catch (error) {
+      console.error('[Freight] Error computing route:', error);
+      leg.jumps = null;
+      leg.safeJumps = null;
+      leg.insecureSystems = null;
+    }
+
+    leg.fromName = systemNames[leg.fromSystemId] || null;
+    leg.toName = systemNames[leg.toSystemId] || null;
+    leg.cost = calculateFreightCost(leg, rates);
+
+    result.legs.push(leg);
+    result.totalVolume += leg.volume;
+    result.totalCost += leg.cost.total;
+  }
+
+  // Inputs first, then the largest loads
+  result.legs.sort((a, b) => (a.kind === b.kind ? b.volume - a.volume : a.kind === 'inputs' ? -1 : 1));
+  return result;
+}
+
+module.exports = {
+  DEFAULT_FREIGHT_RATES,
+  getFreightRates,
+  calculateFreightCost,
+  estimatePlanFreight,
+};
@@ -0,0 +1,49 @@
+const { BrowserWindow, app } = require('electron');
+const path = require('path');
+const { getWindowBounds, trackWindowState } = require('./window-state-manager');
+
+let industrySlotsWindow = null;
+
+/**
+ * Create or focus the Industry Slots window.
+ */
+function createIndustrySlotsWindow() {
+  if (industrySlotsWindow && !industrySlotsWindow.isDestroyed()) {
+    industrySlotsWindow.focus();
+    return;
+  }
+
+  const windowBounds = getWindowBounds('industry-slots', { width: 1400, height: 900 });
+  const version = app.getVersion();
+
+  industrySlotsWindow = new BrowserWindow({
+    ...windowBounds,
+    show: false,
+    backgroundColor: '#1e1e2e',
+    webPreferences: {
+      preload: path.join(__dirname, '../preload/preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      enableWebSQL: false,
+    },
+    title: `Industry Slots - Quantum Forge v${version}`,
+  });
+
+  trackWindowState(industrySlotsWindow, 'industry-slots');
+
+  industrySlotsWindow.once('ready-to-show', () => {
+    industrySlotsWindow.show();
+  });
+
+  industrySlotsWindow.loadFile(path.join(__dirname, '../../public/industry-slots.html'));
+
+  if (process.env.NODE_ENV === 'development') {
+    industrySlotsWindow.webContents.openDevTools();
+  }
+
+  industrySlotsWindow.on('closed', () => {
+    industrySlotsWindow = null;
+  });
+}
+
+module.exports = { createIndustrySlotsWindow };
@@ -0,0 +1,360 @@
+/**
+ * Industry slot utilization across all characters.
+ *
+ * Slot limits come from skills (with skill overrides applied):
+ *   - manufacturing: 1 + Mass Production + Advanced Mass Production
+ *   - science:       1 + Laboratory Operation + Advanced Laboratory Operation
+ *                    (ME/TE research, copying and invention share these)
+ *   - reactions:     1 + Mass Reactions + Advanced Mass Reactions, 0 without Reactions
+ *
+ * A job occupies its installer's slot from start_date until end_date (paused
+ * jobs until they are resumed). Idle history compares the slot-hours jobs used
+ * with the current slot limits, so it assumes skills have not changed in the
+ * window.
+ */
+
+const SLOT_CATEGORIES = ['manufacturing', 'science', 'reactions'];
+
+const SLOT_SKILLS = {
+  manufacturing: [3387, 24625],  // Mass Production, Advanced Mass Production
+  science: [3406, 24624],        // Laboratory Operation, Advanced Laboratory Operation
+  reactions: [45748, 45749],     // Mass Reactions, Advanced Mass Reactions
+};
+
+const REACTIONS_SKILL_ID = 45746;
+
+const ACTIVITY_SLOT_CATEGORY = {
+  1: 'manufacturing',
+  3: 'science',
+  4: 'science',
+  5: 'science',
+  7: 'science',
+  8: 'science',
+  9: 'reactions',
+  11: 'reactions',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Slot category for an industry activity
+ * @param {number} activityId - ESI/SDE activity ID
+ * @returns {string|null} 'manufacturing', 'science', 'reactions' or null
+ */
+function getSlotCategory(activityId) {
+  return ACTIVITY_SLOT_CATEGORY[activityId] || null;
+}
+
+/**
+ * Maximum slots per category from a character's skill levels
+ * @param {Object} skillLevels - skillId → level
+ * @returns {Object} { manufacturing, science, reactions }
+ */
+function calculateMaxSlots(skillLevels) {
+  const level = (skillId) => skillLevels[skillId] || 0;
+  const slots = {};
+
+  for (const category of SLOT_CATEGORIES) {
+    slots[category] = 1 + SLOT_SKILLS[category].reduce((sum, skillId) => sum + level(skillId), 0);
+  }
+  if (level(REACTIONS_SKILL_ID) === 0) slots.reactions = 0;
+
+  return slots;
+}
+
+/**
+ * Effective levels (overrides applied) of the slot skills
+ * @param {number} characterId - Character ID
+ * @returns {Object} skillId → level
+ */
+function getSlotSkillLevels(characterId) {
+  const { getEffectiveSkillLevel } = require('./settings-manager');
+  const levels = {};
+  for (const skillId of [...Object.values(SLOT_SKILLS).flat(), REACTIONS_SKILL_ID]) {
+    levels[skillId] = getEffectiveSkillLevel(characterId, skillId) || 0;
+  }
+  return levels;
+}
+
+/**
+ * Whether a job holds a slot at a point in time
+ * @param {Object} job - esi_industry_jobs row
+ * @param {number} now - Time in ms
+ * @returns {boolean}
+ */
+function isJobOccupyingSlot(job, now) {
+  if (job.status === 'paused') return true;
+  if (job.status !== 'active') return false;
+  return !job.end_date || job.end_date > now;
+}
+
+/**
+ * Current slot usage for every character
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Array} [{ characterId, characterName, slots: { [category]: { max, used, free, nextFreeAt } } }]
+ */
+function getSlotUtilization(now = Date.now()) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getCharacters } = require('./settings-manager');
+  const db = getCharacterDatabase();
+
+  const jobs = db.prepare(`
+    SELECT job_id, installer_id, activity_id, status, start_date, end_date
+    FROM esi_industry_jobs
+    WHERE status IN ('active', 'paused')
+  `).all();
+
+  return getCharacters().map(character => {
+    const maxSlots = calculateMaxSlots(getSlotSkillLevels(character.characterId));
+    const running = jobs.filter(job => job.installer_id === character.characterId && isJobOccupyingSlot(job, now));
+
+    const slots = {};
+    for (const category of SLOT_CATEGORIES) {
+      const categoryJobs = running.filter(job => getSlotCategory(job.activity_id) === category);
+      const used = categoryJobs.length;
+      const free = Math.max(0, maxSlots[category] - used);
+
+      // With no free slot, the earliest finishing job frees the next one
+      const endDates = categoryJobs.map(job => job.end_date).filter(Boolean);
+      const nextFreeAt = free > 0 || maxSlots[category] === 0 || endDates.length === 0
+        ? null
+        : Math.min(...endDates);
+
+      slots[category] = { max: maxSlots[category], used, free, nextFreeAt };
+    }
+
+    return { characterId: character.characterId, characterName: character.characterName, slots };
+  });
+}
+
+/**
+ * When each slot of every character opens up, for scheduling future jobs
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Array} [{ characterId, characterName, slots: { [category]: [freeAt, ...] } }]
+ *   (one entry per slot, ascending; free slots open at now, paused jobs never)
+ */
+function getSlotFreeTimes(now = Date.now()) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getCharacters } = require('./settings-manager');
+  const db = getCharacterDatabase();
+
+  const jobs = db.prepare(`
+    SELECT installer_id, activity_id, status, end_date
+    FROM esi_industry_jobs
+    WHERE status IN ('active', 'paused')
+  `).all();
+
+  return getCharacters().map(character => {
+    const maxSlots = calculateMaxSlots(getSlotSkillLevels(character.characterId));
+    const running = jobs.filter(job => job.installer_id === character.characterId && isJobOccupyingSlot(job, now));
+
+    const slots = {};
+    for (const category of SLOT_CATEGORIES) {
+      const busyUntil = running
+        .filter(job => getSlotCategory(job.activity_id) === category)
+        .map(job => (job.status === 'paused' || !job.end_date ? Infinity : job.end_date))
+        .sort((a, b) => a - b)
+        .slice(0, maxSlots[category]);
+      const free = Array(Math.max(0, maxSlots[category] - busyUntil.length)).fill(now);
+      slots[category] = [...free, ...busyUntil];
+    }
+
+    return { characterId: character.characterId, characterName: character.characterName, slots };
+  });
+}
+
+/**
+ * Daily slot utilization over the last days, per character and category
+ * @param {Object} options - { days = 14, now }
+ * @returns {Array} [{ characterId, characterName, days: [{ date, [category]: { busyHours, capacityHours, idleHours } }] }]
+ */
+function getIdleHistory({ days = 14, now = Date.now() } = {}) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getCharacters } = require('./settings-manager');
+  const db = getCharacterDatabase();
+
+  // Whole UTC days, ending with today (partial)
+  const todayStart = Math.floor(now / DAY_MS) * DAY_MS;
+  const windowStart = todayStart - (days - 1) * DAY_MS;
+
+  const jobs = db.prepare(`
+    SELECT installer_id, activity_id, status, start_date, end_date, completed_date
+    FROM esi_industry_jobs
+    WHERE start_date IS NOT NULL AND start_date < ?
+      AND (end_date IS NULL OR end_date > ? OR status = 'paused')
+  `).all(now, windowStart);
+
+  return getCharacters().map(character => {
+    const maxSlots = calculateMaxSlots(getSlotSkillLevels(character.characterId));
+    const characterJobs = jobs.filter(job => job.installer_id === character.characterId);
+
+    const history = [];
+    for (let dayStart = windowStart; dayStart <= todayStart; dayStart += DAY_MS) {
+      const dayEnd = Math.min(dayStart + DAY_MS, now);
+      const day = { date: new Date(dayStart).toISOString().slice(0, 10) };
+
+      for (const category of SLOT_CATEGORIES) {
+        let busyMs = 0;
+        for (const job of characterJobs) {
+          if (getSlotCategory(job.activity_id) !== category) continue;
+          // Cancelled jobs stop holding the slot when they were cancelled
+          const jobEnd = job.status === 'paused' ? now
+            : job.status === 'cancelled' && job.completed_date ? job.completed_date
+            : job.end_date || now;
+          busyMs += Math.max(0, Math.min(jobEnd, dayEnd) - Math.max(job.start_date, dayStart));
+        }
+
+        const capacityHours = maxSlots[category] * (dayEnd - dayStart) / HOUR_MS;
+        const busyHours = Math.min(busyMs / HOUR_MS, capacityHours);
+        day[category] = { busyHours, capacityHours, idleHours: capacityHours - busyHours };
+      }
+      history.push(day);
+    }
+
+    return { characterId: character.characterId, characterName: character.characterName, days: history };
+  });
+}
+
+/**
+ * Jobs a plan still has to install: manufacturing/reaction lines not yet
+ * matched to an ESI job, and research/copy jobs not marked completed
+ * @param {string} planId - Plan ID
+ * @returns {Array} [{ key, category, blueprintTypeId, runs, planBlueprintId, researchJobId }]
+ */
+function getPendingPlanJobs(planId) {
+  const { getCharacterDatabase } = require('./character-database');
+  const db = getCharacterDatabase();
+
+  const blueprints = db.prepare(`
+    SELECT pb.plan_blueprint_id, pb.blueprint_type_id, pb.blueprint_type, pb.runs, pb.lines, pb.is_built,
+           (SELECT COUNT(*) FROM plan_job_matches jm
+            WHERE jm.plan_blueprint_id = pb.plan_blueprint_id AND jm.status IN ('pending', 'confirmed')) AS matched_jobs
+    FROM plan_blueprints pb
+    WHERE pb.plan_id = ?
+    ORDER BY pb.added_at
+  `).all(planId);
+
+  const pending = [];
+  for (const bp of blueprints) {
+    if (bp.is_built) continue;
+
+    const lines = Math.max(1, bp.lines || 1);
+    const remaining = lines - (bp.matched_jobs || 0);
+    // Runs are split evenly across lines, the first lines take the remainder
+    const baseRuns = Math.floor(bp.runs / lines);
+    for (let line = lines - remaining; line < lines; line++) {
+      pending.push({
+        key: `${bp.plan_blueprint_id}:${line}`,
+        category: bp.blueprint_type === 'reaction' ? 'reactions' : 'manufacturing',
+        blueprintTypeId: bp.blueprint_type_id,
+        runs: baseRuns + (line < bp.runs % lines ? 1 : 0),
+        planBlueprintId: bp.plan_blueprint_id,
+        researchJobId: null,
+      });
+    }
+  }
+
+  const researchJobs = db.prepare(`
+    SELECT research_job_id, blueprint_type_id, runs FROM plan_research_jobs
+    WHERE plan_id = ? AND is_completed = 0
+    ORDER BY added_at
+  `).all(planId);
+
+  for (const job of researchJobs) {
+    pending.push({
+      key: job.research_job_id,
+      category: 'science',
+      blueprintTypeId: job.blueprint_type_id,
+      runs: job.runs,
+      planBlueprintId: null,
+      researchJobId: job.research_job_id,
+    });
+  }
+
+  return pending;
+}
+
+/**
+ * Assign pending jobs to characters: the character with the most free slots of
+ * the job's category first, otherwise the one whose slot opens soonest
+ * @param {Array} pendingJobs - From getPendingPlanJobs
+ * @param {Array} utilization - From getSlotUtilization
+ * @param {Array<number>} characterIds - Candidate characters (empty for all)
+ * @returns {Array} [{ ...job, characterId, characterName, queued, startsAt }]
+ *   (queued jobs wait for a busy slot; startsAt is when it opens, null if unknown)
+ */
+function assignPendingJobs(pendingJobs, utilization, characterIds = []) {
+  const candidates = utilization
+    .filter(c => characterIds.length === 0 || characterIds.includes(c.characterId))
+    .map(c => ({
+      characterId: c.characterId,
+      characterName: c.characterName,
+      free: Object.fromEntries(SLOT_CATEGORIES.map(cat => [cat, c.slots[cat].free])),
+      max: Object.fromEntries(SLOT_CATEGORIES.map(cat => [cat, c.slots[cat].max])),
+      nextFreeAt: Object.fromEntries(SLOT_CATEGORIES.map(cat => [cat, c.slots[cat].nextFreeAt])),
+    }));
+
+  return pendingJobs.map(job => {
+    const eligible = candidates.filter(c => c.max[job.category] > 0);
+    if (eligible.length === 0) {
+      return { ...job, characterId: null, characterName: null, queued: false, startsAt: null };
+    }
+
+    const withFree = eligible.filter(c => c.free[job.category] > 0);
+    if (withFree.length > 0) {
+      const best = withFree.reduce((a, b) => (b.free[job.category] > a.free[job.category] ? b : a));
+      best.free[job.category]--;
+      return { ...job, characterId: best.characterId, characterName: best.characterName, queued: false, startsAt: null };
+    }
+
+    // Everyone is busy: queue behind the slot that opens first
+    const soonest = eligible.reduce((a, b) => {
+      const aAt = a.nextFreeAt[job.category] ?? Infinity;
+      const bAt = b.nextFreeAt[job.category] ?? Infinity;
+      return bAt < aAt ? b : a;
+    });
+    const startsAt = soonest.nextFreeAt[job.category];
+    // The next job for this character waits for a later slot
+    soonest.nextFreeAt[job.category] = null;
+    return { ...job, characterId: soonest.characterId, characterName: soonest.characterName, queued: true, startsAt: startsAt ?? null };
+  });
+}
+
+/**
+ * Suggest which character should install each pending job of a plan
+ * @param {string} planId - Plan ID
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<Array>} Assignments with blueprintName filled in
+ */
+async function suggestPlanJobAssignments(planId, now = Date.now()) {
+  const { getPlanIndustrySettings } = require('./manufacturing-plans');
+  const { getTypeNames } = require('./sde-database');
+
+  const pendingJobs = getPendingPlanJobs(planId);
+  if (pendingJobs.length === 0) return [];
+
+  const planSettings = getPlanIndustrySettings(planId);
+  const assignments = assignPendingJobs(pendingJobs, getSlotUtilization(now), planSettings?.defaultCharacters || []);
+
+  let names = {};
+  try {
+    names = await getTypeNames([...new Set(pendingJobs.map(job => job.blueprintTypeId))]);
+  } catch (error) {
+    console.error('[Industry Slots] Error loading blueprint names:', error);
+  }
+
+  return assignments.map(a => ({ ...a, blueprintName: names[a.blueprintTypeId] || `Type ${a.blueprintTypeId}` }));
+}
+
+module.exports = {
+  SLOT_CATEGORIES,
+  getSlotCategory,
+  calculateMaxSlots,
+  getSlotUtilization,
+  getSlotFreeTimes,
+  getIdleHistory,
+  getPendingPlanJobs,
+  assignPendingJobs,
+  suggestPlanJobAssignments,
+};
@@ -0,0 +1,178 @@
+/**
+ * Learnable scoring model for industry job → plan blueprint matches.
+ *
+ * A match is described by a handful of features in [0, 1] (null = unknown):
+ *  - runs:      1 when the job runs fit a plan line (or exactly what is left),
+ *               0.5 for a partial split of the remaining runs, 0 when the job
+ *               runs more than the blueprint still needs
+ *  - facility:  1 same system and station/structure type as the blueprint's
+ *               facility snapshot, 0.5 same system only, 0 elsewhere
+ *  - timing:    1 when the job started at the plan's last update, fading to 0
+ *               over TIMING_FADE_DAYS
+ *  - character: 1 when the plan owner ran/installed the job
+ *
+ * Confidence is a logistic model over those features. The weights start from
+ * DEFAULT_WEIGHTS and are refit from the user's own confirm/reject decisions
+ * (job_match_feedback), pulled towards the defaults so a few decisions nudge
+ * rather than overturn them. Unknown features contribute nothing.
+ */
+
+const { randomUUID: uuidv4 } = require('crypto');
+
+const MATCH_FEATURES = ['runs', 'facility', 'timing', 'character'];
+
+const DEFAULT_WEIGHTS = {
+  bias: -1.5,
+  runs: 2.0,
+  facility: 1.5,
+  timing: 1.5,
+  character: 0.5,
+};
+
+// Decisions needed before the weights move away from the defaults
+const MIN_FEEDBACK_FOR_LEARNING = 5;
+
+// Gradient descent settings for the refit
+const LEARNING_EPOCHS = 300;
+const LEARNING_RATE = 0.5;
+// L2 pull towards DEFAULT_WEIGHTS, in "pseudo-decisions"
+const PRIOR_STRENGTH = 5;
+
+const TIMING_FADE_DAYS = 14;
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Score a feature vector
+ * @param {Object} features - feature → value in [0, 1] or null
+ * @param {Object} weights - bias plus one weight per feature
+ * @returns {{ confidence: number, contributions: Object }} contributions are
+ *   weight × value per feature (null when the feature is unknown)
+ */
+function scoreFeatures(features, weights = DEFAULT_WEIGHTS) {
+  let z = weights.bias;
+  const contributions = {};
+  for (const feature of MATCH_FEATURES) {
+    const value = features[feature];
+    if (value == null) {
+      contributions[feature] = null;
+      continue;
+    }
+    contributions[feature] = weights[feature] * value;
+    z += contributions[feature];
+  }
+  return { confidence: sigmoid(z), contributions };
+}
+
+/**
+ * Refit the weights from labelled decisions (logistic regression with an L2
+ * prior centred on the starting weights)
+ * @param {Array} samples - [{ features, label }] label 1 = confirmed, 0 = rejected
+ * @param {Object} prior - Starting weights
+ * @returns {Object} Weights
+ */
+function learnWeights(samples, prior = DEFAULT_WEIGHTS) {
+  const weights = { ...prior };
+  if (samples.length === 0) return weights;
+
+  const keys = ['bias', ...MATCH_FEATURES];
+  for (let epoch = 0; epoch < LEARNING_EPOCHS; epoch++) {
+    const gradient = Object.fromEntries(keys.map(k => [k, 0]));
+
+    for (const { features, label } of samples) {
+      const error = scoreFeatures(features, weights).confidence - label;
+      gradient.bias += error;
+      for (const feature of MATCH_FEATURES) {
+        if (features[feature] != null) gradient[feature] += error * features[feature];
+      }
+    }
+
+    for (const k of keys) {
+      const penalty = PRIOR_STRENGTH * (weights[k] - prior[k]);
+      weights[k] -= LEARNING_RATE * (gradient[k] + penalty) / (samples.length + PRIOR_STRENGTH);
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Current weights for this user: the defaults until enough decisions exist,
+ * then a refit over all recorded decisions
+ * @param {Object} db - character DB
+ * @returns {Object} Weights
+ */
+function getJobMatchWeights(db) {
+  try {
+    const rows = db.prepare('SELECT decision, features FROM job_match_feedback').all();
+    if (rows.length < MIN_FEEDBACK_FOR_LEARNING) {
+      return { ...DEFAULT_WEIGHTS };
+    }
+
+    const samples = rows.map(row => ({
+      features: JSON.parse(row.features),
+      label: row.decision === 'confirmed' ? 1 : 0,
+    }));
+    return learnWeights(samples);
+  } catch (error) {
+    console.error('[Job Match Model] Error loading feedback, using default weights:', error);
+    return { ...DEFAULT_WEIGHTS };
+  }
+}
+
+/**
+ * Pull the feature vector back out of a stored match_reason
+ * @param {string} matchReason - JSON array of reasons written by plan-matching
+ * @returns {Object|null} Features, or null for matches scored before features
+ *   were recorded
+ */
+function featuresFromReason(matchReason) {
+  try {
+    const reasons = JSON.parse(matchReason || '[]');
+    const features = {};
+    let found = false;
+    for (const reason of reasons) {
+      if (MATCH_FEATURES.includes(reason.criterion) && 'value' in reason) {
+        features[reason.criterion] = reason.value;
+        found = true;
+      }
+    }
+    return found ? features : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record a user's confirm/reject decision for a match. Best effort: a failure
+ * here never blocks the decision itself.
+ * @param {Object} db - character DB
+ * @param {Object} match - plan_job_matches row
+ * @param {string} decision - 'confirmed' | 'rejected'
+ */
+function recordJobMatchFeedback(db, match, decision) {
+  try {
+    const features = featuresFromReason(match.match_reason);
+    if (!features) return;
+
+    db.prepare(`
+      INSERT INTO job_match_feedback (feedback_id, match_id, plan_id, job_id, decision, features, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(uuidv4(), match.match_id, match.plan_id, match.job_id, decision, JSON.stringify(features), Date.now());
+  } catch (error) {
+    console.error('[Job Match Model] Error recording match feedback:', error);
+  }
+}
+
+module.exports = {
+  MATCH_FEATURES,
+  DEFAULT_WEIGHTS,
+  TIMING_FADE_DAYS,
+  scoreFeatures,
+  learnWeights,
+  getJobMatchWeights,
+  featuresFromReason,
+  recordJobMatchFeedback,
+};
@@ -0,0 +1,311 @@
+/**
+ * Desktop notifications for industry jobs tracked by open manufacturing plans.
+ *
+ * Jobs come from esi_industry_jobs (kept current by the background refresh
+ * cycle) joined to their plan_job_matches. A watermark in
+ * settings.notifications.lastCheckedAt records the last time finished jobs were
+ * announced, so every job whose end_date falls in (lastCheckedAt, now] is
+ * announced exactly once — including jobs that finished while the app was
+ * closed, which show up as a single "ready to deliver" digest on startup.
+ *
+ * One timer is armed for the next job to finish; a periodic rescan picks up
+ * jobs that arrived with a later ESI sync.
+ */
+
+const RESCAN_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes, same tick as the ESI refresh cycle
+
+// setTimeout overflows above ~24.8 days; the rescan re-arms long waits anyway
+const MAX_TIMER_DELAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVITY_NAMES = {
+  1: 'Manufacturing',
+  3: 'TE Research',
+  4: 'ME Research',
+  5: 'Copying',
+  8: 'Invention',
+  9: 'Reaction',
+  11: 'Reaction',
+};
+
+let rescanHandle = null;
+let nextJobTimer = null;
+let notificationClickHandler = null;
+
+/**
+ * Read the notification preferences
+ * @returns {Object} { enabled, readyDigest, mutedCharacterIds, mutedPlanIds, lastCheckedAt }
+ */
+function getNotificationPreferences() {
+  const { getSetting } = require('./settings-manager');
+  const notifications = getSetting('notifications', 'jobCompletion') || {};
+
+  return {
+    enabled: getSetting('general', 'desktopNotifications') !== false,
+    readyDigest: notifications.readyDigest !== false,
+    mutedCharacterIds: (notifications.mutedCharacterIds || []).map(Number),
+    mutedPlanIds: notifications.mutedPlanIds || [],
+    lastCheckedAt: getSetting('notifications', 'lastCheckedAt') || null,
+  };
+}
+
+/**
+ * Get industry jobs matched to open plans (drafts included) that have not been delivered yet
+ * @returns {Array} Jobs with plan_id, plan_name and the job columns
+ */
+function getTrackedJobs() {
+  const { getCharacterDatabase } = require('./character-database');
+  const { OPEN_STATUSES } = require('./plan-lifecycle');
+  const db = getCharacterDatabase();
+
+  const rows = db.prepare(`
+    SELECT ij.job_id, ij.character_id, ij.installer_id, ij.activity_id, ij.blueprint_type_id,
+           ij.product_type_id, ij.runs, ij.status, ij.end_date,
+           mp.plan_id, mp.plan_name
+    FROM plan_job_matches jm
+    JOIN esi_industry_jobs ij ON ij.job_id = jm.job_id
+    JOIN manufacturing_plans mp ON mp.plan_id = jm.plan_id
+    WHERE jm.status IN ('pending', 'confirmed')
+      AND mp.status IN (${OPEN_STATUSES.map(() => '?').join(',')})
+      AND ij.status IN ('active', 'ready')
+      AND ij.end_date IS NOT NULL
+    ORDER BY ij.end_date
+  `).all(...OPEN_STATUSES);
+
+  // A job can carry more than one pending match; announce it once
+  const seen = new Set();
+  return rows.filter(row => {
+    if (seen.has(row.job_id)) return false;
+    seen.add(row.job_id);
+    return true;
+  });
+}
+
+/**
+ * Whether a job is muted by the per-character or per-plan toggles
+ * @param {Object} job - Tracked job
+ * @param {Object} preferences - Notification preferences
+ * @returns {boolean} True if no notification should be shown
+ */
+function isJobMuted(job, preferences) {
+  return preferences.mutedPlanIds.includes(job.plan_id) ||
+    preferences.mutedCharacterIds.includes(job.installer_id);
+}
+
+/**
+ * Build the notifications for a batch of finished jobs
+ * @param {Array} jobs - Finished jobs (with productName and characterName filled in)
+ * @param {Object} options - { readyDigest }
+ * @returns {Array} Notifications as { title, body, planId }
+ */
+function buildJobNotifications(jobs, { readyDigest = true } = {}) {
+  if (jobs.length === 0) return [];
+
+  const single = (job) => ({
+    title: `Job finished: ${job.productName}`,
+    body: [
+      `${ACTIVITY_NAMES[job.activity_id] || 'Industry'} × ${job.runs} ${job.runs === 1 ? 'run' : 'runs'}`,
+      job.characterName,
+      job.plan_name,
+    ].filter(Boolean).join(' · '),
+    planId: job.plan_id,
+  });
+
+  if (jobs.length === 1 || !readyDigest) return jobs.map(single);
+
+  // Digest: one notification, one line per plan
+  const byPlan = new Map();
+  for (const job of jobs) {
+    if (!byPlan.has(job.plan_id)) byPlan.set(job.plan_id, { name: job.plan_name, count: 0 });
+    byPlan.get(job.plan_id).count++;
+  }
+
+  return [{
+    title: `${jobs.length} industry jobs ready to deliver`,
+    body: [...byPlan.values()]
+      .map(plan => `${plan.name}: ${plan.count} ${plan.count === 1 ? 'job' : 'jobs'}`)
+      .join('\n'),
+    planId: byPlan.size === 1 ? jobs[0].plan_id : null,
+  }];
+}
+
+/**
+ * Fill in product and character names for display
+ * @param {Array} jobs - Tracked jobs
+ * @returns {Promise<Array>} Jobs with productName and characterName
+ */
+async function describeJobs(jobs) {
+  const { getTypeNames } = require('./sde-database');
+  const { getCharacters } = require('./settings-manager');
+
+  const typeIds = [...new Set(jobs.map(job => job.product_type_id || job.blueprint_type_id))];
+  let typeNames = {};
+  try {
+    typeNames = typeIds.length > 0 ? await getTypeNames(typeIds) : {};
+  } catch (error) {
+    console.error('[Job Notifications] Error loading type names:', error);
+  }
+
+  const characterNames = new Map((getCharacters() || []).map(c => [Number(c.characterId), c.characterName]));
+
+  return jobs.map(job => {
+    const typeId = job.product_type_id || job.blueprint_type_id;
+    return {
+      ...job,
+      productName: typeNames[typeId] || `Type ${typeId}`,
+      characterName: characterNames.get(job.installer_id) || null,
+    };
+  });
+}
+
+/**
+ * Show a native notification
+ * @param {Object} notification - { title, body, planId }
+ */
+function showNotification(notification) {
+  const { Notification } = require('electron');
+  if (!Notification || !Notification.isSupported()) return;
+
+  const native = new Notification({ title: notification.title, body: notification.body });
+  native.on('click', () => {
+    if (notificationClickHandler) notificationClickHandler(notification);
+  });
+  native.show();
+}
+
+/**
+ * Announce jobs that finished since the last check and arm the timer for the
+ * next one. The watermark advances even when notifications are disabled, so
+ * re-enabling them does not replay old jobs.
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<Object>} { notified, nextEndDate }
+ */
+async function checkJobNotifications(now = Date.now()) {
+  const { updateSettings } = require('./settings-manager');
+  const preferences = getNotificationPreferences();
+  const jobs = getTrackedJobs();
+  const result = { notified: [], nextEndDate: null };
+
+  // First run ever: start the watermark now instead of announcing history
+  const since = preferences.lastCheckedAt ?? now;
+  const finished = jobs.filter(job => job.end_date > since && job.end_date <= now && !isJobMuted(job, preferences));
+
+  // Advance before awaiting anything so an overlapping check cannot announce the same jobs
+  updateSettings('notifications', { lastCheckedAt: now });
+
+  const upcoming = jobs.find(job => job.end_date > now);
+  result.nextEndDate = upcoming ? upcoming.end_date : null;
+  scheduleNextCheck(result.nextEndDate, now);
+
+  if (preferences.enabled && finished.length > 0) {
+    result.notified = buildJobNotifications(await describeJobs(finished), preferences);
+    for (const notification of result.notified) {
+      try {
+        showNotification(notification);
+      } catch (error) {
+        console.error('[Job Notifications] Error showing notification:', error);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Arm the timer for the next finishing job, replacing any previous one
+ * @param {number|null} endDate - End date of the next job in ms
+ * @param {number} now - Current time in ms
+ */
+function scheduleNextCheck(endDate, now) {
+  if (nextJobTimer) {
+    clearTimeout(nextJobTimer);
+    nextJobTimer = null;
+  }
+  // Nothing to wait for, or the service is not running
+  if (!endDate || !rescanHandle) return;
+
+  const delay = Math.min(Math.max(endDate - now, 0) + 1000, MAX_TIMER_DELAY_MS);
+  nextJobTimer = setTimeout(() => {
+    nextJobTimer = null;
+    checkJobNotifications().catch(err => console.error('[Job Notifications] Check error:', err));
+  }, delay);
+  if (nextJobTimer.unref) nextJobTimer.unref();
+}
+
+/**
+ * Start job notifications. Idempotent (clear-then-set). Runs one immediate
+ * check (which sends the digest for jobs that finished while the app was
+ * closed), then rescans on an interval.
+ * @param {Object} options - { onClick } called with the clicked notification
+ */
+function startJobNotifications({ onClick = null } = {}) {
+  stopJobNotifications();
+  notificationClickHandler = onClick;
+
+  rescanHandle = setInterval(() => {
+    checkJobNotifications().catch(err => console.error('[Job Notifications] Rescan error:', err));
+  }, RESCAN_INTERVAL_MS);
+  if (rescanHandle.unref) rescanHandle.unref();
+
+  console.log('[Job Notifications] Started');
+  checkJobNotifications().catch(err => console.error('[Job Notifications] Initial check error:', err));
+}
+
+/**
+ * Stop job notifications and clear all timers
+ */
+function stopJobNotifications() {
+  if (rescanHandle) {
+    clearInterval(rescanHandle);
+    rescanHandle = null;
+  }
+  if (nextJobTimer) {
+    clearTimeout(nextJobTimer);
+    nextJobTimer = null;
+  }
+}
+
+/**
+ * Mute or unmute job notifications for a plan
+ * @param {string} planId - Plan ID
+ * @param {boolean} enabled - Whether the plan's jobs should notify
+ * @returns {boolean} Success
+ */
+function setPlanNotificationsEnabled(planId, enabled) {
+  const { getSetting, updateSettings } = require('./settings-manager');
+  const jobCompletion = getSetting('notifications', 'jobCompletion') || {};
+  const muted = new Set(jobCompletion.mutedPlanIds || []);
+
+  if (enabled) muted.delete(planId);
+  else muted.add(planId);
+
+  return updateSettings('notifications', { jobCompletion: { ...jobCompletion, mutedPlanIds: [...muted] } });
+}
+
+/**
+ * Mute or unmute job notifications for a character (matched on the job installer)
+ * @param {number} characterId - Character ID
+ * @param {boolean} enabled - Whether the character's jobs should notify
+ * @returns {boolean} Success
+ */
+function setCharacterNotificationsEnabled(characterId, enabled) {
+  const { getSetting, updateSettings } = require('./settings-manager');
+  const jobCompletion = getSetting('notifications', 'jobCompletion') || {};
+  const muted = new Set((jobCompletion.mutedCharacterIds || []).map(Number));
+
+  if (enabled) muted.delete(Number(characterId));
+  else muted.add(Number(characterId));
+
+  return updateSettings('notifications', { jobCompletion: { ...jobCompletion, mutedCharacterIds: [...muted] } });
+}
+
+module.exports = {
+  getNotificationPreferences,
+  getTrackedJobs,
+  isJobMuted,
+  buildJobNotifications,
+  checkJobNotifications,
+  startJobNotifications,
+  stopJobNotifications,
+  setPlanNotificationsEnabled,
+  setCharacterNotificationsEnabled,
+};
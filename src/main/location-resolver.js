@@ -5,6 +5,7 @@ const {
   getSystemNameFromStation,
   getSystemName,
   getTypeName,
+  getStationSystemId,
 } = require('./sde-database');
 
 // Location info cache
@@ -12,6 +13,9 @@ const {
 // This caches resolved location info to avoid redundant lookups
 const locationInfoCache = new Map();
 
+// Facility cache for job matching (same key format; null = unresolvable)
+const facilityCache = new Map();
+
 /**
  * Get cache key for a location
  * @param {number} locationId - Location ID
@@ -48,6 +52,7 @@ function clearLocationCache(characterId, isCorporation) {
 function clearAllLocationCache() {
   const size = locationInfoCache.size;
   locationInfoCache.clear();
+  facilityCache.clear();
   console.log(`Cleared all ${size} location cache entries`);
 }
 
@@ -321,9 +326,69 @@ async function resolveLocationInfo(locationId, characterId, isCorporation = fals
   }
 }
 
+/**
+ * Resolve an industry job's facility (or output location) to the solar system
+ * and station/structure type it sits in, for comparison with a plan
+ * blueprint's facility snapshot. Containers are walked up to their station or
+ * structure; player structures need docking access to resolve.
+ * @param {number} locationId - Job facility_id or location_id
+ * @param {number} characterId - Character ID who owns the job
+ * @param {boolean} isCorporation - Whether this is a corporation job
+ * @returns {Promise<Object|null>} { locationId, name, systemId, structureTypeId, locationType },
+ *   or null when the location cannot be resolved
+ */
+async function resolveFacility(locationId, characterId, isCorporation = false) {
+  if (!locationId) return null;
+
+  const cacheKey = getCacheKey(locationId, characterId, isCorporation);
+  if (facilityCache.has(cacheKey)) {
+    return facilityCache.get(cacheKey);
+  }
+
+  let result = null;
+  try {
+    let targetId = locationId;
+    let locationType = detectLocationType(locationId);
+
+    if (locationType === 'asset') {
+      const assets = getAssets(characterId, isCorporation) || [];
+      const ultimateLocation = findUltimateLocation(locationId, assets);
+      if (ultimateLocation) {
+        targetId = ultimateLocation.locationId;
+        locationType = ultimateLocation.locationType;
+      }
+    }
+
+    if (locationType === 'npc-station') {
+      const [name, systemId] = await Promise.all([getLocationName(targetId), getStationSystemId(targetId)]);
+      if (systemId) {
+        result = { locationId: targetId, name, systemId, structureTypeId: null, locationType: 'npc-station' };
+      }
+    } else if (locationType === 'asset' || locationType === 'structure') {
+      const { resolveStructure } = require('./esi-structures');
+      const structure = await resolveStructure(targetId, characterId);
+      if (structure && structure.solarSystemId) {
+        result = {
+          locationId: targetId,
+          name: structure.name,
+          systemId: structure.solarSystemId,
+          structureTypeId: structure.typeId,
+          locationType: 'structure',
+        };
+      }
+    }
+  } catch (error) {
+    console.error('Error resolving facility:', error);
+  }
+
+  facilityCache.set(cacheKey, result);
+  return result;
+}
+
 module.exports = {
   findUltimateLocation,
   resolveLocationInfo,
+  resolveFacility,
   clearLocationCache,
   clearAllLocationCache,
   getLocationCacheStats,
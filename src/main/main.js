@@ -140,7 +140,12 @@ const {
   updatePlanBlueprint,
   bulkUpdateBlueprints,
   removeBlueprintFromPlan,
+  removePlanBuyItem,
   getPlanBlueprints,
+  addResearchJobToPlan,
+  getPlanResearchJobs,
+  setResearchJobCompleted,
+  removeResearchJobFromPlan,
   getIntermediateBlueprints,
   getAllPlanIntermediates,
   updateIntermediateBlueprint,
@@ -391,6 +396,15 @@ app.whenReady().then(async () => {
     logInfo('App', 'Application ready');
     console.log('[App] Application ready');
 
+    // Development: serve ESI and SSO from a recorded fixture instead of the
+    // network. Never in packaged builds, where an inherited environment
+    // variable must not swap out the live API.
+    if (process.env.QF_ESI_EMULATOR && !app.isPackaged) {
+      const { loadEsiFixture, createEsiEmulator, installEsiEmulator } = require('./esi-emulator');
+      installEsiEmulator(createEsiEmulator(loadEsiFixture(process.env.QF_ESI_EMULATOR)));
+      console.log(`[App] ESI emulator serving ${process.env.QF_ESI_EMULATOR}`);
+    }
+
     // Run config migration BEFORE anything else
     setStartupPhase('config-migration');
     const { needsConfigMigration, migrateConfigFiles } = require('./config-migration');
@@ -458,6 +472,8 @@ app.whenReady().then(async () => {
 
     const { setAuditEnabled } = require('./audit-recorder');
     setAuditEnabled(settings.general.auditModeEnabled);
+    const { setAuditHistoryEnabled } = require('./audit-history');
+    setAuditHistoryEnabled(settings.general.auditHistoryEnabled);
 
     // If config file exists but doesn't have firstLaunchCompleted flag, this is an existing installation
     // Skip wizard and mark as completed
@@ -549,6 +565,64 @@ async function startNormalApplication() {
         console.error('[App] Failed to start background ESI refresh:', err);
       }
 
+      // Announce plan jobs as they finish (and those that finished while closed).
+      // Clicking a notification opens the Manufacturing Plans window.
+      try {
+        const { startJobNotifications } = require('./job-notifications');
+        startJobNotifications({
+          onClick: () => {
+            const { createManufacturingPlansWindow } = require('./manufacturing-plans-window');
+            createManufacturingPlansWindow();
+          },
+        });
+      } catch (err) {
+        console.error('[App] Failed to start job notifications:', err);
+      }
+
+      // Spawn scheduled plan template cycles (and those that came due while closed)
+      try {
+        const { startTemplateScheduler } = require('./plan-templates');
+        startTemplateScheduler({
+          onSpawned: (spawned) => {
+            const { Notification } = require('electron');
+            if (!Notification || !Notification.isSupported()) return;
+
+            const native = new Notification({
+              title: spawned.length === 1 ? 'New plan cycle' : `${spawned.length} new plan cycles`,
+              body: spawned.map(s => s.planName).join(', '),
+            });
+            native.on('click', () => {
+              const { createManufacturingPlansWindow } = require('./manufacturing-plans-window');
+              createManufacturingPlansWindow();
+            });
+            native.show();
+          },
+        });
+      } catch (err) {
+        console.error('[App] Failed to start plan template scheduler:', err);
+      }
+
+      // Snapshot the prices of plan types once a day for the plan value charts
+      try {
+        const { startPriceSnapshots } = require('./price-snapshots');
+        startPriceSnapshots();
+      } catch (err) {
+        console.error('[App] Failed to start price snapshots:', err);
+      }
+
+      // Clicking a price alert opens the alerts tab of the Market page
+      try {
+        const { setAlertClickHandler } = require('./price-alerts');
+        setAlertClickHandler(() => {
+          if (!mainWindow || mainWindow.isDestroyed()) return;
+          mainWindow.show();
+          mainWindow.focus();
+          mainWindow.loadFile(path.join(__dirname, '../../public/market.html'), { hash: 'alerts' });
+        });
+      } catch (err) {
+        console.error('[App] Failed to set up price alerts:', err);
+      }
+
       // Close splash window after main window is visible
       mainWindow.once('ready-to-show', () => {
         mainWindow.show();
@@ -561,6 +635,25 @@ async function startNormalApplication() {
   });
 }
 
+/**
+ * Resolve a configured facility with its structure bonuses for job time calculations
+ * @param {string} facilityId - Facility ID from settings
+ * @returns {Promise<Object|null>} Facility with structureBonuses, or null
+ */
+async function getScienceFacility(facilityId) {
+  if (!facilityId) return null;
+
+  const { getManufacturingFacility } = require('./settings-manager');
+  const facility = getManufacturingFacility(facilityId);
+
+  if (facility && facility.structureTypeId) {
+    const { getStructureBonuses } = require('./sde-database');
+    facility.structureBonuses = await getStructureBonuses(facility.structureTypeId);
+  }
+
+  return facility || null;
+}
+
 // Setup all IPC handlers
 function setupIPCHandlers() {
   // Handle IPC for opening settings
@@ -588,6 +681,31 @@ function setupIPCHandlers() {
     return getSummary();
   });
 
+  ipcMain.handle('audit:getHistoryPlans', () => {
+    const { getHistoryPlans } = require('./audit-history');
+    return getHistoryPlans();
+  });
+
+  ipcMain.handle('audit:getRecalculations', (event, planId) => {
+    const { getRecalculations } = require('./audit-history');
+    return getRecalculations(planId);
+  });
+
+  ipcMain.handle('audit:getRecalculationRecords', (event, recalculationId) => {
+    const { getRecalculationRecords } = require('./audit-history');
+    return getRecalculationRecords(recalculationId);
+  });
+
+  ipcMain.handle('audit:diffRecalculations', async (event, fromId, toId) => {
+    const { diffRecalculations } = require('./audit-history');
+    return await diffRecalculations(fromId, toId);
+  });
+
+  ipcMain.handle('audit:clearHistory', (event, planId) => {
+    const { clearHistory } = require('./audit-history');
+    clearHistory(planId);
+  });
+
   // Handle IPC for settings operations
   ipcMain.handle('settings:load', () => {
     return loadSettings();
@@ -603,6 +721,10 @@ function setupIPCHandlers() {
       const { setAuditEnabled } = require('./audit-recorder');
       setAuditEnabled(updates.auditModeEnabled);
     }
+    if (category === 'general' && Object.prototype.hasOwnProperty.call(updates, 'auditHistoryEnabled')) {
+      const { setAuditHistoryEnabled } = require('./audit-history');
+      setAuditHistoryEnabled(updates.auditHistoryEnabled);
+    }
     return result;
   });
 
@@ -750,6 +872,11 @@ function setupIPCHandlers() {
     };
   });
 
+  ipcMain.handle('esiStatus:getScheduler', () => {
+    const { getSchedulerStatus } = require('./esi-scheduler');
+    return getSchedulerStatus();
+  });
+
   ipcMain.handle('esiStatus:cleanup', () => {
     const { cleanupOldHistory } = require('./esi-status-tracker');
     return cleanupOldHistory(7);
@@ -833,6 +960,16 @@ function setupIPCHandlers() {
     return setDefaultManufacturingCharacters(characterIds);
   });
 
+  ipcMain.handle('industry:getCharacterImplants', (event, characterId) => {
+    const { getCharacterIndustryImplants } = require('./settings-manager');
+    return getCharacterIndustryImplants(characterId);
+  });
+
+  ipcMain.handle('industry:setCharacterImplants', (event, characterId, implants) => {
+    const { setCharacterIndustryImplants } = require('./settings-manager');
+    return setCharacterIndustryImplants(characterId, implants);
+  });
+
   // Handle IPC for SDE management
   ipcMain.handle('sde:checkUpdate', async () => {
     try {
@@ -850,6 +987,7 @@ function setupIPCHandlers() {
       await downloadSDE((progress) => {
         event.sender.send('sde:progress', progress);
       });
+      require('./route-calculator').clearGateGraphCache();
       return { success: true };
     } catch (error) {
       console.error('SDE download error:', error);
@@ -866,6 +1004,7 @@ function setupIPCHandlers() {
 
       // If successful, save validation status to settings
       if (result.success) {
+        require('./route-calculator').clearGateGraphCache();
         const { updateSettings } = require('./settings-manager');
         const { getCurrentVersion } = require('./sde-manager');
         updateSettings('sde', {
@@ -1167,6 +1306,96 @@ function setupIPCHandlers() {
     return getWalletTransactionsCacheStatus(characterId);
   });
 
+  // Market Orders IPC Handlers
+  ipcMain.handle('orders:refresh', async () => {
+    const {
+      fetchCharacterOrders, fetchCharacterOrderHistory, fetchCorporationOrders, saveMarketOrders,
+    } = require('./esi-orders');
+    const characters = getCharacters();
+    const corporations = new Map();
+    let count = 0;
+
+    for (const character of characters) {
+      try {
+        const openData = await fetchCharacterOrders(character.characterId);
+        if (!openData.skipped) saveMarketOrders(openData);
+        count += openData.orders.length;
+
+        const historyData = await fetchCharacterOrderHistory(character.characterId);
+        if (!historyData.skipped && historyData.orders.length > 0) saveMarketOrders(historyData);
+
+        if (character.corporationId && !corporations.has(character.corporationId)) {
+          corporations.set(character.corporationId, character.characterId);
+        }
+      } catch (error) {
+        console.error('Error fetching market orders:', error);
+        if (error.code === 'ESI_TOKEN_REFRESH_FAILED' || error.code === 'ESI_SCOPE_ERROR') {
+          broadcastAuthError(buildAuthErrorInfo(error, character.characterId));
+        }
+      }
+    }
+
+    for (const [corporationId, characterId] of corporations) {
+      try {
+        const corpData = await fetchCorporationOrders(characterId, corporationId);
+        if (!corpData.skipped && !corpData.unavailable) saveMarketOrders(corpData);
+      } catch (error) {
+        console.error('Error fetching corporation market orders:', error);
+        if (error.code === 'ESI_TOKEN_REFRESH_FAILED' || error.code === 'ESI_SCOPE_ERROR') {
+          broadcastAuthError(buildAuthErrorInfo(error, characterId));
+        }
+      }
+    }
+
+    return { success: true, count };
+  });
+
+  ipcMain.handle('orders:get', async (event, filters) => {
+    const { getOrdersOverview } = require('./esi-orders');
+    return await getOrdersOverview(filters);
+  });
+
+  ipcMain.handle('orders:getPlanOrders', (event, planId) => {
+    const { getPlanMarketOrders } = require('./esi-orders');
+    return getPlanMarketOrders(planId);
+  });
+
+  // Mining Ledger IPC Handlers
+  ipcMain.handle('mining:refresh', async () => {
+    const { fetchMiningLedger, saveMiningLedger } = require('./esi-mining');
+    let count = 0;
+
+    for (const character of getCharacters()) {
+      try {
+        const ledgerData = await fetchMiningLedger(character.characterId);
+        if (!ledgerData.skipped) saveMiningLedger(ledgerData);
+        count += ledgerData.entries.length;
+      } catch (error) {
+        console.error('Error fetching mining ledger:', error);
+        if (error.code === 'ESI_TOKEN_REFRESH_FAILED' || error.code === 'ESI_SCOPE_ERROR') {
+          broadcastAuthError(buildAuthErrorInfo(error, character.characterId));
+        }
+      }
+    }
+
+    return { success: true, count };
+  });
+
+  ipcMain.handle('mining:getValuation', async (event, options) => {
+    const { getMiningLedgerValuation } = require('./esi-mining');
+    return await getMiningLedgerValuation(options);
+  });
+
+  ipcMain.handle('mining:getPlanSourcing', async (event, planId, options) => {
+    const { getMiningSourcingOptions } = require('./esi-mining');
+    return await getMiningSourcingOptions(planId, options);
+  });
+
+  ipcMain.handle('mining:applyPlanSourcing', async (event, planId, options) => {
+    const { applyMiningSourcing } = require('./esi-mining');
+    return await applyMiningSourcing(planId, options);
+  });
+
   // Manufacturing Plans IPC Handlers
   ipcMain.handle('plans:create', (event, characterId, planName, description) => {
     return createManufacturingPlan(characterId, planName, description);
@@ -1188,6 +1417,79 @@ function setupIPCHandlers() {
     return deleteManufacturingPlan(planId);
   });
 
+  // Plan lifecycle, close-out and stockpile
+  ipcMain.handle('plans:evaluateLifecycle', async (event, planId) => {
+    const { evaluatePlanLifecycle } = require('./plan-lifecycle');
+    const result = await evaluatePlanLifecycle(planId);
+    return { previousStatus: result.previousStatus, status: result.status, changed: result.changed };
+  });
+
+  ipcMain.handle('plans:setStatus', async (event, planId, status) => {
+    const { setPlanStatus } = require('./plan-lifecycle');
+    return await setPlanStatus(planId, status);
+  });
+
+  ipcMain.handle('plans:getCloseOutReport', async (event, planId) => {
+    const { getCloseOutReport } = require('./plan-lifecycle');
+    return await getCloseOutReport(planId);
+  });
+
+  ipcMain.handle('plans:getSchedule', async (event, planId) => {
+    const { getPlanSchedule } = require('./plan-scheduler');
+    return await getPlanSchedule(planId);
+  });
+
+  ipcMain.handle('plans:proposeRunSplit', async (event, planBlueprintId, options) => {
+    const { proposeRunSplit } = require('./run-splitter');
+    return await proposeRunSplit(planBlueprintId, options);
+  });
+
+  ipcMain.handle('plans:getStockpile', async () => {
+    const { getStockpile } = require('./plan-lifecycle');
+    return await getStockpile();
+  });
+
+  ipcMain.handle('plans:getStockpileSourcing', async (event, planId) => {
+    const { getStockpileSourcing } = require('./plan-lifecycle');
+    return await getStockpileSourcing(planId);
+  });
+
+  ipcMain.handle('plans:allocateFromStockpile', async (event, planId) => {
+    const { allocateFromStockpile } = require('./plan-lifecycle');
+    return await allocateFromStockpile(planId);
+  });
+
+  // Plan templates and recurring cycles
+  ipcMain.handle('planTemplates:createFromPlan', async (event, planId, options) => {
+    const { createTemplateFromPlan } = require('./plan-templates');
+    return createTemplateFromPlan(planId, options);
+  });
+
+  ipcMain.handle('planTemplates:getAll', async (event, characterId) => {
+    const { getPlanTemplates } = require('./plan-templates');
+    return getPlanTemplates(characterId);
+  });
+
+  ipcMain.handle('planTemplates:update', async (event, templateId, updates) => {
+    const { updatePlanTemplate } = require('./plan-templates');
+    return updatePlanTemplate(templateId, updates);
+  });
+
+  ipcMain.handle('planTemplates:delete', async (event, templateId) => {
+    const { deletePlanTemplate } = require('./plan-templates');
+    return deletePlanTemplate(templateId);
+  });
+
+  ipcMain.handle('planTemplates:spawn', async (event, templateId, options) => {
+    const { spawnPlanFromTemplate } = require('./plan-templates');
+    return await spawnPlanFromTemplate(templateId, options);
+  });
+
+  ipcMain.handle('planTemplates:getHistory', async (event, templateId) => {
+    const { getTemplateHistory } = require('./plan-templates');
+    return await getTemplateHistory(templateId);
+  });
+
   // Plan industry settings
   ipcMain.handle('plans:getIndustrySettings', async (event, planId) => {
     return getPlanIndustrySettings(planId);
@@ -1217,10 +1519,150 @@ function setupIPCHandlers() {
     return await removeBlueprintFromPlan(planBlueprintId);
   });
 
+  ipcMain.handle('plans:removeBuyItem', (event, planId, typeId) => {
+    return removePlanBuyItem(planId, typeId);
+  });
+
   ipcMain.handle('plans:getBlueprints', (event, planId) => {
     return getPlanBlueprints(planId);
   });
 
+  // Research and copy job handlers
+  ipcMain.handle('plans:addResearchJob', async (event, planId, jobConfig) => {
+    const facilitySnapshot = await getScienceFacility(jobConfig.facilityId);
+    return addResearchJobToPlan(planId, { ...jobConfig, facilitySnapshot });
+  });
+
+  ipcMain.handle('plans:getResearchJobs', (event, planId) => {
+    return getPlanResearchJobs(planId);
+  });
+
+  ipcMain.handle('plans:setResearchJobCompleted', (event, researchJobId, isCompleted) => {
+    return setResearchJobCompleted(researchJobId, isCompleted);
+  });
+
+  ipcMain.handle('plans:removeResearchJob', (event, researchJobId) => {
+    return removeResearchJobFromPlan(researchJobId);
+  });
+
+  // Plan export/import handlers
+  ipcMain.handle('plans:exportToFile', async (event, planId, options) => {
+    const fs = require('fs');
+    const { exportPlan } = require('./plan-export');
+
+    try {
+      const document = exportPlan(planId, options);
+      const safeName = (document.plan.planName || 'plan').replace(/[^a-z0-9 _-]/gi, '_');
+
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Export Manufacturing Plan',
+        defaultPath: `${safeName}.qfplan.json`,
+        filters: [{ name: 'Quantum Forge Plan', extensions: ['json'] }],
+      });
+
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+
+      fs.writeFileSync(filePath, JSON.stringify(document, null, 2), 'utf8');
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error exporting plan:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('plans:readImportFile', async (event) => {
+    const fs = require('fs');
+    const { summarizePlanExport } = require('./plan-export');
+
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import Manufacturing Plan',
+        properties: ['openFile'],
+        filters: [{ name: 'Quantum Forge Plan', extensions: ['json'] }],
+      });
+
+      if (canceled || !filePaths || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      const document = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+      return { success: true, document, summary: summarizePlanExport(document) };
+    } catch (error) {
+      console.error('Error reading plan import file:', error);
+      return { success: false, error: error instanceof SyntaxError ? 'Plan file is not valid JSON' : error.message };
+    }
+  });
+
+  ipcMain.handle('plans:import', async (event, document, options) => {
+    const { importPlan } = require('./plan-export');
+    return await importPlan(document, options);
+  });
+
+  // Doctrine (EFT fitting) import
+  ipcMain.handle('plans:previewDoctrine', async (event, text, options) => {
+    const { previewDoctrine } = require('./doctrine-import');
+    return await previewDoctrine(text, options);
+  });
+
+  ipcMain.handle('plans:createFromDoctrine', async (event, text, options) => {
+    const { createPlanFromDoctrine } = require('./doctrine-import');
+    return await createPlanFromDoctrine(text, options);
+  });
+
+  // Freight estimate handler
+  ipcMain.handle('plans:getFreightEstimate', async (event, planId) => {
+    const { estimatePlanFreight } = require('./freight-calculator');
+
+    try {
+      return await estimatePlanFreight(planId);
+    } catch (error) {
+      console.error('Error estimating plan freight:', error);
+      return { legs: [], totalVolume: 0, totalCost: 0, rates: null, error: error.message };
+    }
+  });
+
+  // Shopping list export handlers
+  ipcMain.handle('plans:getShoppingList', async (event, planId, options) => {
+    const { buildShoppingList } = require('./shopping-list');
+
+    try {
+      return { success: true, ...(await buildShoppingList(planId, options)) };
+    } catch (error) {
+      console.error('Error building shopping list:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('plans:saveShoppingList', async (event, planId, text, format) => {
+    const fs = require('fs');
+
+    try {
+      const plan = getManufacturingPlan(planId);
+      const safeName = ((plan && plan.planName) || 'plan').replace(/[^a-z0-9 _-]/gi, '_');
+      const isCsv = format === 'csv';
+
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Save Shopping List',
+        defaultPath: `${safeName} shopping list.${isCsv ? 'csv' : 'txt'}`,
+        filters: isCsv
+          ? [{ name: 'CSV', extensions: ['csv'] }]
+          : [{ name: 'Text', extensions: ['txt'] }],
+      });
+
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+
+      fs.writeFileSync(filePath, text, 'utf8');
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error saving shopping list:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Intermediate blueprints handlers
   ipcMain.handle('plans:getIntermediateBlueprints', (event, planBlueprintId) => {
     return getIntermediateBlueprints(planBlueprintId);
@@ -1411,6 +1853,11 @@ function setupIPCHandlers() {
     return await getPlanAnalytics(planId);
   });
 
+  ipcMain.handle('plans:getValueHistory', (event, planId, marketSetId) => {
+    const { getPlanValueHistory } = require('./price-snapshots');
+    return getPlanValueHistory(planId, marketSetId);
+  });
+
   // Material Acquisition Handlers
   ipcMain.handle('plans:markMaterialAcquired', (event, planId, typeId, options) => {
     return markMaterialAcquired(planId, typeId, options);
@@ -1473,6 +1920,21 @@ function setupIPCHandlers() {
     return addManualItemAcquisition(planId, typeId, options);
   });
 
+  ipcMain.handle('plans:getReprocessingOptimization', async (event, planId, options) => {
+    const { getPlanReprocessingOptimization } = require('./reprocessing-optimizer');
+    return await getPlanReprocessingOptimization(planId, options);
+  });
+
+  ipcMain.handle('plans:previewBulkAcquisition', async (event, planId, rawText) => {
+    const { previewBulkAcquisition } = require('./manufacturing-plans');
+    return previewBulkAcquisition(planId, rawText);
+  });
+
+  ipcMain.handle('plans:addBulkAcquisitions', async (event, planId, items, options) => {
+    const { addBulkItemAcquisitions } = require('./manufacturing-plans');
+    return addBulkItemAcquisitions(planId, items, options);
+  });
+
   ipcMain.handle('plans:updateLedgerEntry', async (event, ledgerId, updates) => {
     const { updateLedgerEntry } = require('./manufacturing-plans');
     return updateLedgerEntry(ledgerId, updates);
@@ -1516,6 +1978,45 @@ function setupIPCHandlers() {
     createLootAnalyzerWindow();
   });
 
+  // Industry Slots Window
+  ipcMain.handle('industrySlots:openWindow', () => {
+    const { createIndustrySlotsWindow } = require('./industry-slots-window');
+    createIndustrySlotsWindow();
+  });
+
+  ipcMain.handle('industrySlots:getUtilization', () => {
+    const { getSlotUtilization } = require('./industry-slots');
+
+    try {
+      return getSlotUtilization();
+    } catch (error) {
+      console.error('Error getting slot utilization:', error);
+      return [];
+    }
+  });
+
+  ipcMain.handle('industrySlots:getIdleHistory', (event, days) => {
+    const { getIdleHistory } = require('./industry-slots');
+
+    try {
+      return getIdleHistory({ days: parseInt(days) || 14 });
+    } catch (error) {
+      console.error('Error getting slot idle history:', error);
+      return [];
+    }
+  });
+
+  ipcMain.handle('industrySlots:suggestPlanAssignments', async (event, planId) => {
+    const { suggestPlanJobAssignments } = require('./industry-slots');
+
+    try {
+      return await suggestPlanJobAssignments(planId);
+    } catch (error) {
+      console.error('Error suggesting job assignments:', error);
+      return [];
+    }
+  });
+
   ipcMain.handle('cleanupTool:getAssetSources', async () => {
     const { getAssetSources } = require('./cleanup-tool');
     return getAssetSources();
@@ -1584,6 +2085,36 @@ function setupIPCHandlers() {
     return await calculateBlueprintMaterials(blueprintTypeId, runs, meLevel, characterId, facility, true, 0, null, marketSet);
   });
 
+  ipcMain.handle('calculator:calculateManufacturingTime', async (event, blueprintTypeId, teLevel, runs, characterId, facilityId) => {
+    const { calculateManufacturingTime } = require('./blueprint-calculator');
+
+    let facility = null;
+    if (facilityId) {
+      const { getManufacturingFacility } = require('./settings-manager');
+      facility = getManufacturingFacility(facilityId);
+
+      if (facility && facility.structureTypeId) {
+        const { getStructureBonuses } = require('./sde-database');
+        facility.structureBonuses = await getStructureBonuses(facility.structureTypeId);
+      }
+    }
+
+    return calculateManufacturingTime(blueprintTypeId, teLevel || 0, runs || 1, facility, null, characterId);
+  });
+
+  ipcMain.handle('calculator:calculateManufacturingTimes', async (event, requests, characterId, facilityId) => {
+    const { calculateManufacturingTimes } = require('./blueprint-calculator');
+    const facility = await getScienceFacility(facilityId);
+    return calculateManufacturingTimes(requests || [], facility, characterId);
+  });
+
+  ipcMain.handle('research:calculate', async (event, blueprintTypeId, options = {}) => {
+    const { calculateBlueprintResearch } = require('./research-calculator');
+    const facility = await getScienceFacility(options.facilityId);
+    const marketSet = options.marketSetId ? getMarketSetById(options.marketSetId) : getDefaultMarketSet();
+    return await calculateBlueprintResearch(blueprintTypeId, { ...options, facility, marketSettings: marketSet });
+  });
+
   ipcMain.handle('calculator:getBlueprintProduct', (event, blueprintTypeId) => {
     return getBlueprintProduct(blueprintTypeId);
   });
@@ -1638,7 +2169,7 @@ function setupIPCHandlers() {
     return { success: true };
   });
 
-  ipcMain.handle('calculator:findBestDecryptor', async (event, inventionData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId) => {
+  ipcMain.handle('calculator:findBestDecryptor', async (event, inventionData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId, characterId) => {
     console.log('[IPC Handler] Received optimizationStrategy:', optimizationStrategy, 'customVolume:', customVolume);
 
     const { findBestDecryptor, getDefaultFacility } = require('./blueprint-calculator');
@@ -1656,7 +2187,34 @@ function setupIPCHandlers() {
 
     console.log('[IPC Handler] Using strategy:', strategy, 'volume:', volume);
 
-    return await findBestDecryptor(inventionData, materialPrices, productPrice, skills, facilityToUse, strategy, volume, marketSet);
+    return await findBestDecryptor(inventionData, materialPrices, productPrice, skills, facilityToUse, strategy, volume, marketSet, characterId);
+  });
+
+  // Reverse engineering IPC handlers
+  ipcMain.handle('calculator:getReverseEngineeringData', (event, t3BlueprintTypeId) => {
+    const { getReverseEngineeringData } = require('./blueprint-calculator');
+    return getReverseEngineeringData(t3BlueprintTypeId);
+  });
+
+  ipcMain.handle('calculator:findBestReverseEngineering', async (event, reverseEngineeringData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId, relicQuality, characterId) => {
+    const { findBestReverseEngineering, getDefaultFacility } = require('./blueprint-calculator');
+    const { getMarketSetById, getDefaultMarketSet } = require('./settings-manager');
+
+    const facilityToUse = facility || getDefaultFacility();
+    const marketSet = marketSetId ? getMarketSetById(marketSetId) : getDefaultMarketSet();
+
+    return await findBestReverseEngineering(
+      reverseEngineeringData,
+      materialPrices,
+      productPrice,
+      skills,
+      facilityToUse,
+      optimizationStrategy || 'total-per-item',
+      customVolume || 1,
+      marketSet,
+      relicQuality || 'best',
+      characterId
+    );
   });
 
   // ============================================================================
@@ -1784,10 +2342,23 @@ function setupIPCHandlers() {
     return dashboard;
   });
 
+  // Price alerts are checked after every market data refresh; a failing
+  // check never fails the refresh itself
+  async function evaluatePriceAlertsSafely() {
+    try {
+      const { evaluatePriceAlerts } = require('./price-alerts');
+      return await evaluatePriceAlerts();
+    } catch (error) {
+      console.error('[Price Alerts] Error evaluating alerts:', error);
+      return [];
+    }
+  }
+
   ipcMain.handle('market:updateRegion', async (event, regionId) => {
     const { manualRefreshMarketData, refreshStructuresInRegion } = require('./esi-market');
     const marketResult = await manualRefreshMarketData(regionId);
     const structureResult = await refreshStructuresInRegion(regionId);
+    await evaluatePriceAlertsSafely();
     return {
       ...marketResult,
       structureErrors: structureResult.errors,
@@ -1896,7 +2467,9 @@ function setupIPCHandlers() {
   });
 
   ipcMain.handle('market:manualRefresh', async (event, regionId) => {
-    return await manualRefreshMarketData(regionId);
+    const result = await manualRefreshMarketData(regionId);
+    await evaluatePriceAlertsSafely();
+    return result;
   });
 
   ipcMain.handle('market:getLastHistoryFetchTime', () => {
@@ -1908,7 +2481,9 @@ function setupIPCHandlers() {
   });
 
   ipcMain.handle('market:manualRefreshHistory', async (event, regionId) => {
-    return await manualRefreshHistoryData(regionId);
+    const result = await manualRefreshHistoryData(regionId);
+    await evaluatePriceAlertsSafely();
+    return result;
   });
 
   ipcMain.handle('market:refreshAdjustedPrices', async () => {
@@ -1918,7 +2493,9 @@ function setupIPCHandlers() {
 
   ipcMain.handle('market:refreshMultipleRegions', async (event, regionIds) => {
     const { refreshMultipleRegions } = require('./esi-market');
-    return await refreshMultipleRegions(regionIds);
+    const result = await refreshMultipleRegions(regionIds);
+    await evaluatePriceAlertsSafely();
+    return result;
   });
 
   // Unified market data update - refreshes all configured regions, adjusted prices, and cost indices
@@ -1965,6 +2542,9 @@ function setupIPCHandlers() {
       // Step 5: Refresh cost indices
       results.costIndices = await fetchCostIndices();
 
+      // Step 6: Check price alerts against the fresh data
+      results.alertsFired = (await evaluatePriceAlertsSafely()).length;
+
       results.success = results.errors.length === 0;
       results.message = results.success
         ? `Updated market data for ${regionIds.length} region(s), adjusted prices, and cost indices`
@@ -1979,6 +2559,50 @@ function setupIPCHandlers() {
     }
   });
 
+  // Price alerts
+  ipcMain.handle('alerts:getRules', () => {
+    const { getAlertRules } = require('./price-alerts');
+    return getAlertRules();
+  });
+
+  ipcMain.handle('alerts:createRule', (event, rule) => {
+    const { createAlertRule } = require('./price-alerts');
+    return createAlertRule(rule);
+  });
+
+  ipcMain.handle('alerts:setRuleEnabled', (event, ruleId, enabled) => {
+    const { setAlertRuleEnabled } = require('./price-alerts');
+    setAlertRuleEnabled(ruleId, enabled);
+    return { success: true };
+  });
+
+  ipcMain.handle('alerts:deleteRule', (event, ruleId) => {
+    const { deleteAlertRule } = require('./price-alerts');
+    deleteAlertRule(ruleId);
+    return { success: true };
+  });
+
+  ipcMain.handle('alerts:getHistory', (event, limit) => {
+    const { getAlertHistory } = require('./price-alerts');
+    return getAlertHistory(limit);
+  });
+
+  ipcMain.handle('alerts:clearHistory', () => {
+    const { clearAlertHistory } = require('./price-alerts');
+    clearAlertHistory();
+    return { success: true };
+  });
+
+  ipcMain.handle('alerts:getTargets', () => {
+    const { getAlertTargets } = require('./price-alerts');
+    return getAlertTargets();
+  });
+
+  ipcMain.handle('alerts:evaluate', async () => {
+    const { evaluatePriceAlerts } = require('./price-alerts');
+    return await evaluatePriceAlerts();
+  });
+
   // Search for player-owned structures by name (requires structure search scope)
   ipcMain.handle('market:searchStructures', async (event, characterId, searchTerm) => {
     const { searchStructures } = require('./esi-market');
@@ -2004,7 +2628,9 @@ function setupIPCHandlers() {
       updateCharacterTokens(characterId, newTokens);
       character = getCharacter(characterId);
     }
-    return await fetchStructureMarketOrders(structureId, regionId, character.accessToken, true);
+    const result = await fetchStructureMarketOrders(structureId, regionId, character.accessToken, true);
+    await evaluatePriceAlertsSafely();
+    return result;
   });
 
   // ============================================================
@@ -2308,6 +2934,16 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle('loot:appraiseContract', (event, params) => {
+    try {
+      const { appraiseContract } = require('./contract-appraisal');
+      return appraiseContract(params);
+    } catch (error) {
+      console.error('[loot:appraiseContract] Error:', error);
+      return { error: error.message };
+    }
+  });
+
   // Handle IPC for cost indices
   ipcMain.handle('costIndices:fetch', async () => {
     return await fetchCostIndices();
@@ -2393,6 +3029,51 @@ function setupIPCHandlers() {
     return await getRigEffects(parseInt(typeId));
   });
 
+  // Handle IPC for job completion notification toggles
+  ipcMain.handle('notifications:getPreferences', () => {
+    const { getNotificationPreferences } = require('./job-notifications');
+    return getNotificationPreferences();
+  });
+
+  ipcMain.handle('notifications:setPlanEnabled', (event, planId, enabled) => {
+    const { setPlanNotificationsEnabled } = require('./job-notifications');
+    return setPlanNotificationsEnabled(planId, enabled);
+  });
+
+  ipcMain.handle('notifications:setCharacterEnabled', (event, characterId, enabled) => {
+    const { setCharacterNotificationsEnabled } = require('./job-notifications');
+    return setCharacterNotificationsEnabled(characterId, enabled);
+  });
+
+  ipcMain.handle('notifications:setReadyDigest', (event, enabled) => {
+    const { getSetting } = require('./settings-manager');
+    const jobCompletion = getSetting('notifications', 'jobCompletion') || {};
+    return updateSettings('notifications', { jobCompletion: { ...jobCompletion, readyDigest: enabled } });
+  });
+
+  // Handle IPC for stargate routes
+  ipcMain.handle('routes:find', (event, fromSystemId, toSystemId) => {
+    const { getRoutes } = require('./route-calculator');
+
+    try {
+      return getRoutes(parseInt(fromSystemId), parseInt(toSystemId));
+    } catch (error) {
+      console.error('Error finding routes:', error);
+      return { shortest: null, safest: null, fewestLowSec: null, error: error.message };
+    }
+  });
+
+  ipcMain.handle('routes:getFacilityHubDistances', (event, marketSetId = null) => {
+    const { getFacilityHubDistances } = require('./route-calculator');
+
+    try {
+      return getFacilityHubDistances(marketSetId);
+    } catch (error) {
+      console.error('Error computing facility hub distances:', error);
+      return { marketSetId, marketSetName: null, hubs: [], facilities: [], error: error.message };
+    }
+  });
+
   // Handle IPC for SDE skill lookups
   ipcMain.handle('sde:getSkillName', async (event, skillId) => {
     try {
@@ -2834,4 +3515,19 @@ app.on('before-quit', () => {
   } catch (err) {
     console.error('[App] Error stopping background ESI refresh:', err);
   }
+  try {
+    require('./job-notifications').stopJobNotifications();
+  } catch (err) {
+    console.error('[App] Error stopping job notifications:', err);
+  }
+  try {
+    require('./plan-templates').stopTemplateScheduler();
+  } catch (err) {
+    console.error('[App] Error stopping plan template scheduler:', err);
+  }
+  try {
+    require('./price-snapshots').stopPriceSnapshots();
+  } catch (err) {
+    console.error('[App] Error stopping price snapshots:', err);
+  }
 });
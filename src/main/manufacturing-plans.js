@@ -6,6 +6,7 @@ const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
 const { recordPricing } = require('./audit-recorder');
 const { getAssets } = require('./esi-assets');
 const { getSdePath } = require('./sde-manager');
+const { PLAN_MATERIAL_ROWS, getAcquiredQuantity, getStillNeededQuantity } = require('./plan-material-needs');
 const { randomUUID } = require('crypto');
 const Database = require('better-sqlite3');
 
@@ -135,7 +136,7 @@ function createManufacturingPlan(characterId, planName = null, description = nul
     db.prepare(`
       INSERT INTO manufacturing_plans (plan_id, character_id, plan_name, description, status, created_at, updated_at)
       VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(planId, characterId, planName, description, 'active', now, now);
+    `).run(planId, characterId, planName, description, 'draft', now, now);
 
     console.log(`Created manufacturing plan: ${planId} for character ${characterId}`);
 
@@ -144,7 +145,7 @@ function createManufacturingPlan(characterId, planName = null, description = nul
       characterId,
       planName,
       description,
-      status: 'active',
+      status: 'draft',
       createdAt: now,
       updatedAt: now,
     };
@@ -190,7 +191,7 @@ function getManufacturingPlan(planId) {
 /**
  * Get all manufacturing plans for a character
  * @param {number} characterId - Character ID
- * @param {Object} filters - Optional filters (status)
+ * @param {Object} filters - Optional filters (status: one status or an array of them)
  * @returns {Array} Array of plans
  */
 function getManufacturingPlans(characterId, filters = {}) {
@@ -200,7 +201,10 @@ function getManufacturingPlans(characterId, filters = {}) {
     let query = 'SELECT * FROM manufacturing_plans WHERE character_id = ?';
     const params = [characterId];
 
-    if (filters.status) {
+    if (Array.isArray(filters.status)) {
+      query += ` AND status IN (${filters.status.map(() => '?').join(',')})`;
+      params.push(...filters.status);
+    } else if (filters.status) {
       query += ' AND status = ?';
       params.push(filters.status);
     }
@@ -1080,6 +1084,87 @@ async function removeBlueprintFromPlan(planBlueprintId) {
   }
 }
 
+/**
+ * Add ready-made items a plan buys instead of building (no blueprint in the
+ * plan). They count as plan materials; an item already bought this way gets
+ * the quantity added.
+ * @param {string} planId - Plan ID
+ * @param {Array<{ typeId:number, quantity:number, unitPrice?:number }>} items - unitPrice: price each, when known
+ * @returns {number} Number of items added or updated
+ */
+function addPlanBuyItems(planId, items) {
+  const db = getCharacterDatabase();
+  const now = Date.now();
+  const upsert = db.prepare(`
+    INSERT INTO plan_buy_items (plan_id, type_id, quantity, price_each, price_frozen_at, added_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(plan_id, type_id) DO UPDATE SET
+      quantity = quantity + excluded.quantity,
+      price_each = COALESCE(excluded.price_each, price_each),
+      price_frozen_at = COALESCE(excluded.price_frozen_at, price_frozen_at)
+  `);
+
+  let count = 0;
+  db.transaction(() => {
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      if (!item.typeId || !(quantity > 0)) continue;
+      const price = item.unitPrice > 0 ? Number(item.unitPrice) : null;
+      upsert.run(planId, item.typeId, quantity, price, price !== null ? now : null, now);
+      count++;
+    }
+    db.prepare('UPDATE manufacturing_plans SET updated_at = ? WHERE plan_id = ?').run(now, planId);
+  })();
+
+  console.log(`[Plans] Added ${count} buy item(s) to plan ${planId}`);
+  return count;
+}
+
+/**
+ * Remove a buy item from a plan
+ * @param {string} planId - Plan ID
+ * @param {number} typeId - Item type ID
+ * @returns {boolean} Whether an item was removed
+ */
+function removePlanBuyItem(planId, typeId) {
+  const db = getCharacterDatabase();
+  const result = db.prepare('DELETE FROM plan_buy_items WHERE plan_id = ? AND type_id = ?').run(planId, typeId);
+  if (result.changes > 0) {
+    db.prepare('UPDATE manufacturing_plans SET updated_at = ? WHERE plan_id = ?').run(Date.now(), planId);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Re-price a plan's buy items on the input side of a Market Set, as "Refresh
+ * Prices" does for material nodes
+ * @param {string} planId - Plan ID
+ * @param {Object} marketSet - Market Set
+ */
+async function refreshPlanBuyItemPrices(planId, marketSet) {
+  const db = getCharacterDatabase();
+  const items = db.prepare('SELECT type_id, quantity FROM plan_buy_items WHERE plan_id = ?').all(planId);
+  if (items.length === 0) return;
+
+  const inputLocation = getInputLocation(marketSet);
+  const update = db.prepare('UPDATE plan_buy_items SET price_each = ?, price_frozen_at = ? WHERE plan_id = ? AND type_id = ?');
+  for (const item of items) {
+    try {
+      const priceResult = await calculateRealisticPrice(
+        item.type_id,
+        inputLocation.regionId,
+        inputLocation.locationId,
+        marketSet.inputMaterials.priceType,
+        item.quantity,
+        marketSet.inputMaterials
+      );
+      if (priceResult.price > 0) update.run(priceResult.price, Date.now(), planId, item.type_id);
+    } catch (error) {
+      console.warn(`Could not fetch price for buy item ${item.type_id}:`, error.message);
+    }
+  }
+}
+
 /**
  * Get all blueprints in a plan
  * @param {string} planId - Plan ID
@@ -1121,6 +1206,167 @@ function getPlanBlueprints(planId) {
   }
 }
 
+/**
+ * Add an ME/TE research or copy job to a plan
+ * Science jobs don't consume materials, so they only contribute installation cost
+ * and don't trigger a material recalculation.
+ * @param {string} planId - Plan ID
+ * @param {Object} jobConfig - { blueprintTypeId, jobType, fromLevel, toLevel, runs, copies, facilityId, facilitySnapshot }
+ * @returns {Object} Created research job
+ */
+function addResearchJobToPlan(planId, jobConfig) {
+  try {
+    const db = getCharacterDatabase();
+    const { RESEARCH_JOB_TYPES } = require('./research-calculator');
+    const researchJobId = randomUUID();
+    const now = Date.now();
+
+    const plan = db.prepare('SELECT plan_id FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    const {
+      blueprintTypeId,
+      jobType,
+      fromLevel = 0,
+      toLevel = 0,
+      runs = 1,
+      copies = 1,
+      facilityId = null,
+      facilitySnapshot = null,
+    } = jobConfig;
+
+    if (!RESEARCH_JOB_TYPES[jobType]) {
+      throw new Error(`Invalid research job type: ${jobType}`);
+    }
+    if (jobType !== 'copying' && toLevel <= fromLevel) {
+      throw new Error('Target level must be higher than the current level');
+    }
+
+    db.prepare(`
+      INSERT INTO plan_research_jobs (
+        research_job_id, plan_id, blueprint_type_id, job_type, from_level, to_level,
+        runs, copies, facility_id, facility_snapshot, added_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      researchJobId,
+      planId,
+      blueprintTypeId,
+      jobType,
+      fromLevel,
+      toLevel,
+      runs,
+      copies,
+      facilityId,
+      facilitySnapshot ? JSON.stringify(facilitySnapshot) : null,
+      now
+    );
+
+    db.prepare('UPDATE manufacturing_plans SET updated_at = ? WHERE plan_id = ?').run(now, planId);
+
+    console.log(`Added ${jobType} job for blueprint ${blueprintTypeId} to plan ${planId}`);
+
+    return {
+      researchJobId,
+      planId,
+      blueprintTypeId,
+      jobType,
+      fromLevel,
+      toLevel,
+      runs,
+      copies,
+      facilityId,
+      facilitySnapshot,
+      isCompleted: false,
+      addedAt: now,
+    };
+  } catch (error) {
+    console.error('Error adding research job to plan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all research and copy jobs in a plan
+ * @param {string} planId - Plan ID
+ * @returns {Array} Array of research jobs
+ */
+function getPlanResearchJobs(planId) {
+  try {
+    const db = getCharacterDatabase();
+
+    const jobs = db.prepare(`
+      SELECT * FROM plan_research_jobs WHERE plan_id = ? ORDER BY added_at
+    `).all(planId);
+
+    return jobs.map(job => ({
+      researchJobId: job.research_job_id,
+      planId: job.plan_id,
+      blueprintTypeId: job.blueprint_type_id,
+      jobType: job.job_type,
+      fromLevel: job.from_level,
+      toLevel: job.to_level,
+      runs: job.runs,
+      copies: job.copies,
+      facilityId: job.facility_id,
+      facilitySnapshot: job.facility_snapshot ? JSON.parse(job.facility_snapshot) : null,
+      isCompleted: job.is_completed === 1,
+      addedAt: job.added_at,
+    }));
+  } catch (error) {
+    console.error('Error getting plan research jobs:', error);
+    return [];
+  }
+}
+
+/**
+ * Mark a plan research or copy job as completed (or not)
+ * @param {string} researchJobId - Research job ID
+ * @param {boolean} isCompleted - Completion state
+ * @returns {boolean} Success status
+ */
+function setResearchJobCompleted(researchJobId, isCompleted) {
+  try {
+    const db = getCharacterDatabase();
+    const result = db.prepare(`
+      UPDATE plan_research_jobs SET is_completed = ? WHERE research_job_id = ?
+    `).run(isCompleted ? 1 : 0, researchJobId);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error updating research job:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a research or copy job from a plan
+ * @param {string} researchJobId - Research job ID
+ * @returns {boolean} Success status
+ */
+function removeResearchJobFromPlan(researchJobId) {
+  try {
+    const db = getCharacterDatabase();
+
+    const job = db.prepare('SELECT plan_id FROM plan_research_jobs WHERE research_job_id = ?').get(researchJobId);
+    if (!job) {
+      return false;
+    }
+
+    const result = db.prepare('DELETE FROM plan_research_jobs WHERE research_job_id = ?').run(researchJobId);
+
+    if (result.changes > 0) {
+      console.log(`Removed research job from plan: ${researchJobId}`);
+      db.prepare('UPDATE manufacturing_plans SET updated_at = ? WHERE plan_id = ?').run(Date.now(), job.plan_id);
+    }
+
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error removing research job from plan:', error);
+    return false;
+  }
+}
+
 /**
  * Get intermediate blueprints for a plan blueprint
  * @param {string} planBlueprintId - Parent plan blueprint ID
@@ -2371,11 +2617,23 @@ async function cleanupOrphanedIntermediates(planId) {
  * - When refreshing market prices
  * - Anytime intermediate structure or materials might be out of sync
  *
+ * When the audit history is on, the run and the pricing/material records it
+ * produced are stored (see audit-history.js).
+ *
  * @param {string} planId - Plan ID
  * @param {boolean} refreshPrices - Whether to refresh prices from market (default false)
  * @returns {Promise<boolean>} Success status
  */
 async function recalculatePlanMaterials(planId, refreshPrices = false, marketSet = null) {
+  const { recordPlanRecalculation } = require('./audit-history');
+  return recordPlanRecalculation(planId, { refreshPrices },
+    () => rebuildPlanMaterials(planId, refreshPrices, marketSet));
+}
+
+/**
+ * The recalculation itself - see recalculatePlanMaterials
+ */
+async function rebuildPlanMaterials(planId, refreshPrices, marketSet) {
   try {
     const db = getCharacterDatabase();
 
@@ -2385,6 +2643,12 @@ async function recalculatePlanMaterials(planId, refreshPrices = false, marketSet
       throw new Error('Plan not found');
     }
 
+    if (refreshPrices) {
+      const { resolveMarketSetForTool } = require('./settings-manager');
+      const buyItemMarketSet = marketSet || resolveMarketSetForTool('manufacturingPlansMarketSetId');
+      if (buyItemMarketSet) await refreshPlanBuyItemPrices(planId, buyItemMarketSet);
+    }
+
     // Get all blueprints in this plan
     const blueprints = getPlanBlueprints(planId);
 
@@ -3799,8 +4063,8 @@ async function recalculatePlanMaterials(planId, refreshPrices = false, marketSet
     // Check for materials with excess acquisitions (ledger net > needed)
     const newMaterials = db.prepare(`
       SELECT type_id, SUM(quantity_needed) as quantity_needed
-      FROM plan_material_nodes
-      WHERE plan_id = ? AND node_type = 'material'
+      FROM ${PLAN_MATERIAL_ROWS}
+      WHERE plan_id = ?
       GROUP BY type_id
     `).all(planId);
 
@@ -3854,12 +4118,13 @@ async function getPlanMaterials(planId, includeAssets = false) {
   try {
     const db = getCharacterDatabase();
 
-    // Get aggregated materials from plan_material_nodes
+    // Get aggregated materials from plan_material_nodes and plan_buy_items
     const materialNodes = db.prepare(`
       SELECT type_id, SUM(quantity_needed) as quantity_needed,
-             price_each, MAX(price_frozen_at) as price_frozen_at
-      FROM plan_material_nodes
-      WHERE plan_id = ? AND node_type = 'material'
+             price_each, MAX(price_frozen_at) as price_frozen_at,
+             SUM(is_buy_item) as buy_item_rows
+      FROM ${PLAN_MATERIAL_ROWS}
+      WHERE plan_id = ?
       GROUP BY type_id
       ORDER BY SUM(quantity_needed) DESC
     `).all(planId);
@@ -3978,6 +4243,7 @@ async function getPlanMaterials(planId, includeAssets = false) {
         basePrice: m.price_each,
         planOverridePrice: overrideMap.has(m.type_id) ? overrideMap.get(m.type_id) : null,
         priceFrozenAt: m.price_frozen_at,
+        isBuyItem: m.buy_item_rows > 0,
         manuallyAcquired: netAcquired > 0 ? 1 : 0,
         manuallyAcquiredQuantity: netAcquired,
         acquisitionMethod: ledger?.acquisition_method || null,
@@ -4190,14 +4456,19 @@ function getPlanProducts(planId) {
  * Reaction rows compute EIV from the formula's DIRECT inputs (facility-adjusted),
  * matching how the Reactions/Blueprint Tree detail panels report per-job cost.
  *
+ * Research and copy jobs (plan_research_jobs) are costed with the science job formula.
+ *
  * Rows without a facility snapshot (no system ID) contribute 0 - there's no system
  * cost index to price the job against.
  *
+ * Each costed job is also listed in `jobs` (the audit history compares system cost
+ * indices and EIV per row between recalculations).
+ *
  * @param {string} planId - Plan ID
- * @returns {Promise<{total: number, jobCount: number}>} Total ISK and count of costed jobs
+ * @returns {Promise<{total: number, jobCount: number, jobs: Array}>} Total ISK, count of costed jobs and the jobs
  */
 async function calculatePlanJobInstallationCost(planId) {
-  const result = { total: 0, jobCount: 0 };
+  const result = { total: 0, jobCount: 0, jobs: [] };
 
   try {
     const db = getCharacterDatabase();
@@ -4241,11 +4512,38 @@ async function calculatePlanJobInstallationCost(planId) {
         if (jobCost && jobCost.totalJobCost > 0) {
           result.total += jobCost.totalJobCost;
           result.jobCount++;
+          result.jobs.push({
+            key: row.plan_blueprint_id,
+            totalJobCost: jobCost.totalJobCost,
+            systemCostIndex: jobCost.systemCostIndex,
+            estimatedItemValue: jobCost.estimatedItemValue,
+          });
         }
       } catch (rowError) {
         console.error(`[Plans] Error calculating job cost for plan blueprint ${row.plan_blueprint_id}:`, rowError);
       }
     }
+
+    const { calculateResearchJobInstallCost } = require('./research-calculator');
+    for (const job of getPlanResearchJobs(planId)) {
+      if (!job.facilitySnapshot || !job.facilitySnapshot.systemId) continue;
+
+      try {
+        const jobCost = calculateResearchJobInstallCost(job, job.facilitySnapshot);
+        if (jobCost.totalJobCost > 0) {
+          result.total += jobCost.totalJobCost;
+          result.jobCount++;
+          result.jobs.push({
+            key: `research:${job.researchJobId}`,
+            totalJobCost: jobCost.totalJobCost,
+            systemCostIndex: jobCost.systemCostIndex ?? null,
+            estimatedItemValue: jobCost.estimatedItemValue ?? null,
+          });
+        }
+      } catch (jobError) {
+        console.error(`[Plans] Error calculating job cost for research job ${job.researchJobId}:`, jobError);
+      }
+    }
   } catch (error) {
     console.error('[Plans] Error calculating plan job installation cost:', error);
   }
@@ -4253,7 +4551,14 @@ async function calculatePlanJobInstallationCost(planId) {
   return result;
 }
 
-async function getPlanSummary(planId) {
+/**
+ * Plan cost/value summary
+ * @param {string} planId - Plan ID
+ * @param {Object} [options]
+ * @param {Object} [options.freight] - Freight estimate already computed by the caller (estimatePlanFreight)
+ * @returns {Promise<Object>} Summary
+ */
+async function getPlanSummary(planId, options = {}) {
   try {
     const materials = await getPlanMaterials(planId, false);
     const products = getPlanProducts(planId);
@@ -4300,7 +4605,18 @@ async function getPlanSummary(planId) {
     const jobInstallation = await calculatePlanJobInstallationCost(planId);
     const jobInstallationCost = jobInstallation.total;
 
-    const totalCost = materialCost + jobInstallationCost;
+    let freightCost = 0;
+    let freightVolume = 0;
+    try {
+      const { estimatePlanFreight } = require('./freight-calculator');
+      const freight = options.freight || await estimatePlanFreight(planId);
+      freightCost = freight.totalCost;
+      freightVolume = freight.totalVolume;
+    } catch (freightError) {
+      console.error('[Plans] Error estimating plan freight:', freightError);
+    }
+
+    const totalCost = materialCost + jobInstallationCost + freightCost;
     const estimatedProfit = productValue - totalCost;
     const roi = totalCost > 0 ? (estimatedProfit / totalCost) * 100 : 0;
 
@@ -4310,6 +4626,8 @@ async function getPlanSummary(planId) {
       totalMaterials: materials.length,
       jobInstallationCost,
       jobCount: jobInstallation.jobCount,
+      freightCost,
+      freightVolume,
       productValue,
       productsWithPrice,
       totalProducts: products.length,
@@ -4324,6 +4642,8 @@ async function getPlanSummary(planId) {
       totalMaterials: 0,
       jobInstallationCost: 0,
       jobCount: 0,
+      freightCost: 0,
+      freightVolume: 0,
       productValue: 0,
       productsWithPrice: 0,
       totalProducts: 0,
@@ -4333,6 +4653,71 @@ async function getPlanSummary(planId) {
   }
 }
 
+/**
+ * Characters whose jobs and transactions count for a plan: its default
+ * characters (the plan's own character when none are set), plus each of their
+ * corporations mapped to the first of those characters that belongs to it
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} { characterIds, corporationCharacterMap }, null if the plan doesn't exist
+ */
+function getPlanCharacterScope(planId) {
+  const { getCharacter } = require('./settings-manager');
+  const db = getCharacterDatabase();
+
+  const plan = db.prepare('SELECT character_id FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    return null;
+  }
+
+  const planSettings = getPlanIndustrySettings(planId);
+  let characterIds = planSettings.defaultCharacters || [];
+  if (characterIds.length === 0) {
+    // Fallback: use plan's default character
+    characterIds = [plan.character_id];
+  }
+
+  // corporationId -> auth character, so each corporation is only handled once
+  const corporationCharacterMap = new Map();
+  for (const characterId of characterIds) {
+    const character = getCharacter(characterId);
+    if (character && character.corporationId && !corporationCharacterMap.has(character.corporationId)) {
+      corporationCharacterMap.set(character.corporationId, characterId);
+    }
+  }
+
+  return { characterIds, corporationCharacterMap };
+}
+
+/**
+ * Match a plan against the stored jobs and transactions of the given
+ * characters and corporations, attribute journal fees, then evaluate the
+ * plan's lifecycle (new matches can move it along)
+ * @param {string} planId - Plan ID
+ * @param {number[]} characterIds - Characters whose personal jobs and transactions count
+ * @param {number[]} corporationIds - Corporations whose jobs and transactions count
+ * @returns {Promise<Object|null>} Lifecycle evaluation, or null if it failed
+ */
+async function matchAndEvaluatePlan(planId, characterIds, corporationIds) {
+  const { matchJobsToPlan, matchTransactionsToPlan, attributeJournalFeesToPlan } = require('./plan-matching');
+
+  try {
+    await matchJobsToPlan(planId, { characterIds, corporationIds });
+    matchTransactionsToPlan(planId, { characterIds, corporationIds });
+    // After matches settle, attribute journal fees to already-confirmed tx/jobs.
+    attributeJournalFeesToPlan(planId);
+  } catch (error) {
+    console.error('[Plans] Error running matches:', error);
+  }
+
+  try {
+    const { evaluatePlanLifecycle } = require('./plan-lifecycle');
+    return await evaluatePlanLifecycle(planId);
+  } catch (error) {
+    console.error('[Plans] Error evaluating plan lifecycle:', error);
+    return null;
+  }
+}
+
 /**
  * Refresh ESI data for all characters associated with a plan
  * Fetches personal jobs for each character and corporate jobs (deduplicated by corporation)
@@ -4347,9 +4732,7 @@ async function refreshPlanESIData(planId) {
       fetchCharacterWalletJournal, saveWalletJournal,
       fetchCorporationWalletTransactions, fetchCorporationWalletJournal,
     } = require('./esi-wallet');
-    const { matchJobsToPlan, matchTransactionsToPlan, attributeJournalFeesToPlan } = require('./plan-matching');
-    const { getCharacter, getCharacterDivisionSettings } = require('./settings-manager');
-    const db = getCharacterDatabase();
+    const { getCharacterDivisionSettings } = require('./settings-manager');
 
     // Corp wallets are per-division; fall back to the master wallet (1) if unset.
     const enabledDivisionsFor = (characterId) => {
@@ -4357,34 +4740,11 @@ async function refreshPlanESIData(planId) {
       return (enabledDivisions && enabledDivisions.length > 0) ? enabledDivisions : [1];
     };
 
-    // Get plan industry settings to find all characters
-    const planSettings = getPlanIndustrySettings(planId);
-    const plan = db.prepare('SELECT character_id FROM manufacturing_plans WHERE plan_id = ?').get(planId);
-
-    if (!plan) {
+    const scope = getPlanCharacterScope(planId);
+    if (!scope) {
       return { success: false, message: 'Plan not found' };
     }
-
-    // Determine which characters to refresh
-    let characterIds = planSettings.defaultCharacters || [];
-    if (characterIds.length === 0) {
-      // Fallback: use plan's default character
-      characterIds = [plan.character_id];
-    }
-
-    // Build a map of corporation ID -> first character with access (for deduplication)
-    // This ensures we only fetch each corporation's jobs once, even if multiple characters share the same corp
-    const corporationCharacterMap = new Map(); // corporationId -> characterId (auth character)
-
-    for (const characterId of characterIds) {
-      const character = getCharacter(characterId);
-      if (character && character.corporationId) {
-        // First character with this corp becomes the auth character
-        if (!corporationCharacterMap.has(character.corporationId)) {
-          corporationCharacterMap.set(character.corporationId, characterId);
-        }
-      }
-    }
+    const { characterIds, corporationCharacterMap } = scope;
 
     // Fetch jobs and transactions for ALL characters
     const results = {
@@ -4481,21 +4841,8 @@ async function refreshPlanESIData(planId) {
       }
     }
 
-    // Run matching after fetching all data (include corporation IDs for both).
-    try {
-      matchJobsToPlan(planId, {
-        characterIds: results.charactersRefreshed,
-        corporationIds: results.corporationsFetched
-      });
-      matchTransactionsToPlan(planId, {
-        characterIds: results.charactersRefreshed,
-        corporationIds: results.corporationsFetched
-      });
-      // After matches settle, attribute journal fees to already-confirmed tx/jobs.
-      attributeJournalFeesToPlan(planId);
-    } catch (error) {
-      console.error('[Plans] Error running matches:', error);
-    }
+    // Run matching after fetching all data, then evaluate the lifecycle
+    const lifecycle = await matchAndEvaluatePlan(planId, results.charactersRefreshed, results.corporationsFetched);
 
     const corpMsg = results.corporationsFetched.length > 0
       ? `, ${results.corporationsFetched.length} corporation(s)`
@@ -4506,7 +4853,8 @@ async function refreshPlanESIData(planId) {
       message: `Refreshed ${results.charactersRefreshed.length} character(s)${corpMsg}`,
       charactersRefreshed: results.charactersRefreshed,
       corporationsFetched: results.corporationsFetched,
-      errors: results.errors
+      errors: results.errors,
+      lifecycle: lifecycle && { previousStatus: lifecycle.previousStatus, status: lifecycle.status, changed: lifecycle.changed },
     };
   } catch (error) {
     console.error('[Plans] Error refreshing plan ESI data:', error);
@@ -4514,16 +4862,48 @@ async function refreshPlanESIData(planId) {
   }
 }
 
+/**
+ * Match every open plan against the jobs and transactions already stored and
+ * evaluate its lifecycle. Runs after each background ESI refresh cycle, which
+ * only fetches, so plans advance without being opened or refreshed by hand.
+ * @returns {Promise<Object>} { plansEvaluated, transitions: [{ planId, previousStatus, status }] }
+ */
+async function updateOpenPlans() {
+  const { OPEN_STATUSES } = require('./plan-lifecycle');
+  const db = getCharacterDatabase();
+
+  const plans = db.prepare(`
+    SELECT plan_id FROM manufacturing_plans
+    WHERE status IN (${OPEN_STATUSES.map(() => '?').join(',')})
+  `).all(...OPEN_STATUSES);
+
+  const transitions = [];
+  for (const { plan_id: planId } of plans) {
+    const scope = getPlanCharacterScope(planId);
+    if (!scope) continue;
+
+    const lifecycle = await matchAndEvaluatePlan(planId, scope.characterIds, [...scope.corporationCharacterMap.keys()]);
+    if (lifecycle?.changed) {
+      transitions.push({ planId, previousStatus: lifecycle.previousStatus, status: lifecycle.status });
+    }
+  }
+
+  if (transitions.length > 0) {
+    console.log(`[Plans] ${transitions.length} open plan(s) moved along their lifecycle`);
+  }
+  return { plansEvaluated: plans.length, transitions };
+}
+
 /**
  * Legacy function - refreshes active plans for a single character
  * @deprecated Use refreshPlanESIData(planId) instead
  */
 async function refreshActivePlansESIData(characterId) {
   try {
-    const db = getCharacterDatabase();
+    const { OPEN_STATUSES } = require('./plan-lifecycle');
 
-    // Get active plans for this character
-    const activePlans = getManufacturingPlans(characterId, { status: 'active' });
+    // Get open plans (drafts included, so they can advance) for this character
+    const activePlans = getManufacturingPlans(characterId, { status: OPEN_STATUSES });
 
     if (activePlans.length === 0) {
       return { success: true, message: 'No active plans to refresh', plansRefreshed: 0 };
@@ -4531,7 +4911,7 @@ async function refreshActivePlansESIData(characterId) {
 
     // Refresh each active plan
     for (const plan of activePlans) {
-      await refreshPlanESIData(plan.plan_id);
+      await refreshPlanESIData(plan.planId);
     }
 
     return {
@@ -4595,8 +4975,8 @@ async function getPlanAnalytics(planId) {
     // Calculate material purchase progress - total quantity of materials from nodes
     const materialsAgg = db.prepare(`
       SELECT SUM(quantity_needed) as total_quantity
-      FROM plan_material_nodes
-      WHERE plan_id = ? AND node_type = 'material'
+      FROM ${PLAN_MATERIAL_ROWS}
+      WHERE plan_id = ?
     `).get(planId);
     const totalMaterialQuantity = materialsAgg?.total_quantity || 0;
 
@@ -4635,6 +5015,10 @@ async function getPlanAnalytics(planId) {
     const productQuantitySold = productsSoldResult?.total_quantity || 0;
     const productSalesPercent = totalProductQuantity > 0 ? (productQuantitySold / totalProductQuantity) * 100 : 0;
 
+    // Products listed on the market but not sold yet (open sell orders linked to this plan)
+    const { getPlanMarketOrders } = require('./esi-orders');
+    const listed = getPlanMarketOrders(planId);
+
     // Calculate cost/profit comparisons. ACTUALS come from the ledger (defined
     // above); PLANNED comes from the plan summary (market-price estimate).
     // Material Cost "actual" = ledger material purchases (incl. manual acquisitions).
@@ -4667,6 +5051,7 @@ async function getPlanAnalytics(planId) {
         },
         products: {
           sold: productQuantitySold,
+          listed: listed.listedQuantity,
           total: totalProductQuantity,
           percent: productSalesPercent,
         },
@@ -4689,14 +5074,24 @@ async function getPlanAnalytics(planId) {
         deltaPercent: productValueDeltaPercent,
       },
 
-      // Planned vs Actual - Profit
+      // Planned vs Actual - Profit. Projected adds what the open sell orders
+      // bring in if they fill at their listed price (before sales tax).
       profit: {
         planned: plannedProfit,
         actual: actualProfit,
+        projected: actualProfit + listed.expectedRevenue,
         delta: profitDelta,
         deltaPercent: profitDeltaPercent,
       },
 
+      // Listed-but-unsold products
+      marketListings: {
+        quantity: listed.listedQuantity,
+        expectedRevenue: listed.expectedRevenue,
+        orderCount: listed.orders.length,
+        byType: listed.byType,
+      },
+
       // Summary metrics. ROI is profit over the full realized investment
       // (total spend), consistent with the planned ROI's cost basis.
       summary: {
@@ -4743,8 +5138,8 @@ async function markMaterialAcquired(planId, typeId, options = {}) {
     // Check material exists in plan nodes
     const currentMaterial = db.prepare(`
       SELECT SUM(quantity_needed) as quantity_needed
-      FROM plan_material_nodes
-      WHERE plan_id = ? AND type_id = ? AND node_type = 'material'
+      FROM ${PLAN_MATERIAL_ROWS}
+      WHERE plan_id = ? AND type_id = ?
     `).get(planId, typeId);
 
     if (!currentMaterial || currentMaterial.quantity_needed === null) {
@@ -5107,10 +5502,10 @@ function cleanupExcessAcquisitions(planId, typeId = null) {
       SELECT pmn.type_id,
              SUM(pmn.quantity_needed) as needed,
              SUM(pml.quantity) as net_acquired
-      FROM plan_material_nodes pmn
+      FROM ${PLAN_MATERIAL_ROWS} pmn
       LEFT JOIN plan_material_ledger pml
         ON pmn.plan_id = pml.plan_id AND pmn.type_id = pml.type_id
-      WHERE pmn.plan_id = ? AND pmn.node_type = 'material'
+      WHERE pmn.plan_id = ?
       GROUP BY pmn.type_id
       HAVING net_acquired > needed
     `;
@@ -5355,7 +5750,7 @@ async function getMaterialTreeNodeDetail(planBlueprintId) {
       );
       materials = calculation.materials;
       const { calculateManufacturingTime } = require('./blueprint-calculator');
-      const timeResult = calculateManufacturingTime(row.blueprint_type_id, row.te_level || 0, row.runs, facilitySnapshot);
+      const timeResult = calculateManufacturingTime(row.blueprint_type_id, row.te_level || 0, row.runs, facilitySnapshot, null, plan?.character_id);
       time = timeResult?.adjustedTime ?? null;
       jobCost = calculation.pricing?.jobCost ?? null;
     }
@@ -5859,6 +6254,38 @@ function resolveTypeNames(typeIds) {
   return names;
 }
 
+/**
+ * Batch-resolve pasted item names to types from the SDE (case-insensitive,
+ * published types preferred over unpublished ones with the same name).
+ * @param {string[]} names
+ * @returns {Object} { [lowercased name]: { typeId, typeName } }
+ */
+function resolveTypeIdsByName(names) {
+  const result = {};
+  const unique = [...new Set(names.filter(Boolean))];
+  if (unique.length === 0) return result;
+  try {
+    const sdeDb = new Database(getSdePath(), { readonly: true });
+    try {
+      const placeholders = unique.map(() => '?').join(',');
+      const rows = sdeDb.prepare(`
+        SELECT typeID, typeName FROM invTypes
+        WHERE typeName COLLATE NOCASE IN (${placeholders})
+        ORDER BY published DESC, typeID
+      `).all(...unique);
+      for (const r of rows) {
+        const key = r.typeName.toLowerCase();
+        if (!result[key]) result[key] = { typeId: r.typeID, typeName: r.typeName };
+      }
+    } finally {
+      sdeDb.close();
+    }
+  } catch (error) {
+    console.error('[Plans] Error resolving type IDs by name:', error);
+  }
+  return result;
+}
+
 /**
  * Get the consolidated spend ledger for a plan, grouped by category.
  * Reads the single spend store (plan_material_ledger) rather than joining
@@ -5870,7 +6297,8 @@ function resolveTypeNames(typeIds) {
  *   jobInstallation   — cost rows cost_category='job_install' (actual), plus an
  *                       estimated total when no actual job cost rows exist
  *   marketFees        — cost rows broker_fee/sales_tax/job_tax (journal-sourced)
- *   other             — manual misc cost rows (cost_category shipping/other)
+ *   other             — manual misc cost rows (cost_category shipping/other), plus
+ *                       an estimated freight row when no shipping cost exists
  *
  * @param {string} planId
  * @returns {Promise<Object>} structured spend breakdown + totals + reconciliation
@@ -5940,7 +6368,9 @@ async function getPlanLedger(planId) {
           unitPrice,
           amount: qty * unitPrice,
           method: r.method,
-          source: r.source_type === 'wallet_transaction' ? 'esi' : 'manual',
+          source: r.source_type === 'wallet_transaction' ? 'esi'
+            : r.source_type === 'mining' ? 'mining'
+            : r.source_type === 'stockpile' ? 'stockpile' : 'manual',
         });
       }
       // manufactured/allocated/adjusted rows are quantity bookkeeping, not spend.
@@ -5965,6 +6395,26 @@ async function getPlanLedger(planId) {
       }
     }
 
+    // The freight estimate feeds both the shipping suggestion and the planned cost
+    let freight = null;
+    try {
+      const { estimatePlanFreight } = require('./freight-calculator');
+      freight = await estimatePlanFreight(planId);
+    } catch (e) {
+      console.error('[Plans] Error computing freight estimate for ledger:', e);
+    }
+
+    // Likewise suggest the estimated freight until an actual shipping cost is recorded.
+    let freightEstimated = false;
+    if (freight && freight.totalCost > 0 && !other.some(item => item.category === 'shipping')) {
+      other.push({
+        ledgerId: null, typeId: null, typeName: null, amount: freight.totalCost,
+        category: 'shipping', estimated: true, editable: false,
+        note: `Estimated freight (${Math.round(freight.totalVolume).toLocaleString()} m³, ${freight.legs.length} leg${freight.legs.length === 1 ? '' : 's'})`,
+      });
+      freightEstimated = true;
+    }
+
     const sum = (arr) => arr.reduce((t, x) => t + (x.amount || 0), 0);
     const materialPurchasesTotal = sum(materialPurchases);
     const productSalesTotal = sum(productSales);
@@ -5977,8 +6427,8 @@ async function getPlanLedger(planId) {
     // Reconciliation vs the plan's *planned* cost.
     let plannedCost = null;
     try {
-      const summary = await getPlanSummary(planId);
-      plannedCost = (summary.materialCost || 0) + (summary.jobInstallationCost || 0);
+      const summary = await getPlanSummary(planId, { freight });
+      plannedCost = (summary.materialCost || 0) + (summary.jobInstallationCost || 0) + (summary.freightCost || 0);
     } catch (e) {
       console.error('[Plans] Error getting planned cost for reconciliation:', e);
     }
@@ -5990,7 +6440,7 @@ async function getPlanLedger(planId) {
         productSales: { items: productSales, total: productSalesTotal },
         jobInstallation: { items: jobInstallation, total: jobInstallationTotal, estimated: jobEstimated },
         marketFees: { items: marketFees, total: marketFeesTotal },
-        other: { items: other, total: otherTotal },
+        other: { items: other, total: otherTotal, estimated: freightEstimated },
       },
       totals: {
         materialPurchases: materialPurchasesTotal,
@@ -6056,12 +6506,12 @@ async function getMaterialStillNeeded(planId, typeId) {
   if (!material) {
     return { needed: 0, acquired: 0, stillNeeded: 0, material: null };
   }
-  const needed = material.quantity || 0;
-  const acquired =
-    (material.manuallyAcquiredQuantity || 0) +
-    (material.purchasedQuantity || 0) +
-    (material.manufacturedQuantity || 0);
-  return { needed, acquired, stillNeeded: Math.max(0, needed - acquired), material };
+  return {
+    needed: material.quantity || 0,
+    acquired: getAcquiredQuantity(material),
+    stillNeeded: getStillNeededQuantity(material),
+    material,
+  };
 }
 
 /**
@@ -6122,6 +6572,163 @@ async function addManualItemAcquisition(planId, typeId, opts = {}) {
   }
 }
 
+/**
+ * Parse pasted inventory / contract / multibuy text and match it against the
+ * plan's materials, without writing anything. Uses the same tolerant parser as
+ * the Loot Analyzer (parseLootText).
+ * @param {string} planId
+ * @param {string} rawText - Pasted text
+ * @returns {Promise<{ items, unresolvedNames, parseErrors }>} items are
+ *   { rawName, typeId, typeName, quantity, inPlan, stillNeeded, acceptedQuantity, estimatePrice }
+ */
+async function previewBulkAcquisition(planId, rawText) {
+  const { parseLootText } = require('./reprocessing-calculator');
+  const { items: parsed, parseErrors } = parseLootText(rawText);
+  if (parsed.length === 0) {
+    return { items: [], unresolvedNames: [], parseErrors };
+  }
+
+  const nameMap = resolveTypeIdsByName(parsed.map(i => i.rawName));
+  const materials = await getPlanMaterials(planId);
+  const materialMap = new Map(materials.map(m => [m.typeId, m]));
+
+  const items = [];
+  const unresolvedNames = [];
+  for (const entry of parsed) {
+    const match = nameMap[entry.rawName.toLowerCase()];
+    if (!match) {
+      unresolvedNames.push(entry.rawName);
+      continue;
+    }
+
+    // Several pasted lines can resolve to the same type (e.g. different casing)
+    const existing = items.find(i => i.typeId === match.typeId);
+    if (existing) {
+      existing.quantity += entry.quantity;
+      existing.acceptedQuantity = Math.min(existing.quantity, existing.stillNeeded);
+      continue;
+    }
+
+    const material = materialMap.get(match.typeId);
+    const stillNeeded = material ? getStillNeededQuantity(material) : 0;
+
+    items.push({
+      rawName: entry.rawName,
+      typeId: match.typeId,
+      typeName: match.typeName,
+      quantity: entry.quantity,
+      inPlan: !!material,
+      stillNeeded,
+      acceptedQuantity: Math.min(entry.quantity, stillNeeded),
+      estimatePrice: material ? (material.planOverridePrice ?? material.basePrice ?? null) : null,
+    });
+  }
+
+  return { items, unresolvedNames, parseErrors };
+}
+
+/**
+ * Record several pasted items as manual ledger acquisitions in one step.
+ * Rows of the same type are merged first, then each type is capped at its
+ * still-needed amount, like addManualItemAcquisition. Pricing: a per-item
+ * unitPrice wins (the first one given for a type); otherwise a totalPrice
+ * (e.g. a contract price) is split across the units actually recorded, in
+ * proportion to their estimated value (by quantity when no estimates exist),
+ * so the ledger carries the whole price. When no recorded unit can take a
+ * share, the price is returned as unallocatedPrice instead.
+ * @param {string} planId
+ * @param {Array<{ typeId:number, quantity:number, unitPrice?:number }>} items
+ * @param {Object} opts - { totalPrice, note }
+ * @returns {Promise<{ success, results, recorded, skipped, unallocatedPrice }>}
+ */
+async function addBulkItemAcquisitions(planId, items, opts = {}) {
+  const db = getCharacterDatabase();
+  const { totalPrice = null, note = null } = opts;
+
+  const requestedItems = [];
+  for (const i of items || []) {
+    const typeId = Number(i.typeId);
+    const quantity = Number(i.quantity);
+    if (!typeId || !(quantity > 0)) continue;
+    const unitPrice = i.unitPrice != null && !isNaN(Number(i.unitPrice)) ? Number(i.unitPrice) : null;
+
+    const existing = requestedItems.find(r => r.typeId === typeId);
+    if (existing) {
+      existing.quantity += quantity;
+      if (existing.unitPrice === null) existing.unitPrice = unitPrice;
+    } else {
+      requestedItems.push({ typeId, quantity, unitPrice });
+    }
+  }
+  if (requestedItems.length === 0) {
+    throw new Error('No items to record');
+  }
+
+  const materials = await getPlanMaterials(planId);
+  const materialMap = new Map(materials.map(m => [m.typeId, m]));
+
+  const results = requestedItems.map(item => {
+    const material = materialMap.get(item.typeId);
+    if (!material) {
+      return { typeId: item.typeId, requested: item.quantity, actual: 0, clamped: true, reason: 'not_in_plan' };
+    }
+
+    const stillNeeded = getStillNeededQuantity(material);
+    if (stillNeeded <= 0) {
+      return { typeId: item.typeId, requested: item.quantity, actual: 0, clamped: true, reason: 'already_fully_acquired' };
+    }
+
+    const actual = Math.min(item.quantity, stillNeeded);
+    return { typeId: item.typeId, requested: item.quantity, actual, clamped: actual < item.quantity, unitPrice: item.unitPrice };
+  });
+
+  // Split the total price over the recorded units without their own price,
+  // weighted by estimated value
+  let unallocatedPrice = 0;
+  const splitTotal = totalPrice != null && !isNaN(Number(totalPrice)) ? Number(totalPrice) : null;
+  if (splitTotal !== null) {
+    const sharing = results.filter(r => r.actual > 0 && r.unitPrice === null);
+    const estimateOf = r => {
+      const m = materialMap.get(r.typeId);
+      return m.planOverridePrice ?? m.basePrice ?? 0;
+    };
+    const totalWeight = sharing.reduce((sum, r) => sum + r.actual * estimateOf(r), 0);
+    const totalUnits = sharing.reduce((sum, r) => sum + r.actual, 0);
+
+    for (const result of sharing) {
+      const share = totalWeight > 0
+        ? splitTotal * (result.actual * estimateOf(result) / totalWeight)
+        : splitTotal * (result.actual / totalUnits);
+      result.unitPrice = share / result.actual;
+    }
+    if (sharing.length === 0) unallocatedPrice = splitTotal;
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO plan_material_ledger
+      (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, note, source_ref, created_at)
+    VALUES (?, ?, ?, 'acquired', ?, 'manual', ?, ?, NULL, ?)
+  `);
+
+  try {
+    const now = Date.now();
+    db.transaction(() => {
+      for (const result of results) {
+        if (result.actual <= 0) continue;
+        result.ledgerId = randomUUID();
+        insert.run(result.ledgerId, planId, result.typeId, result.actual, result.unitPrice, note, now);
+      }
+    })();
+  } catch (error) {
+    console.error('[Plans] Error adding bulk item acquisitions:', error);
+    throw error;
+  }
+
+  const recorded = results.filter(r => r.actual > 0).length;
+  console.log(`[Plans] Bulk acquisition: ${recorded} of ${results.length} item(s) recorded for plan ${planId}`);
+  return { success: recorded > 0, results, recorded, skipped: results.length - recorded, unallocatedPrice };
+}
+
 /**
  * Edit a manual ledger entry's price/quantity/note IN PLACE (direct value edits
  * on the row — no adjustment rows). Quantity edits on material acquisition rows
@@ -6208,6 +6815,7 @@ function deleteLedgerEntry(ledgerId) {
  *   - wallet_transaction   → unlink the parent transaction match (reverts the
  *                            match to unmatched, removes its ledger + fee rows)
  *   - industry_job         → unlink the parent job match
+ *   - mining               → release the ore allocation (all minerals it yielded)
  *   - wallet_journal (fee) → remove just that fee row (fees normally follow their
  *                            parent; a standalone fee row is removed on its own)
  * @param {string} planId
@@ -6219,7 +6827,7 @@ function unlinkLedgerEntry(planId, ledgerId) {
 
   try {
     const row = db.prepare(
-      'SELECT source_type, source_id, corporation_id FROM plan_material_ledger WHERE ledger_id = ?'
+      'SELECT source_type, source_id, source_ref, corporation_id FROM plan_material_ledger WHERE ledger_id = ?'
     ).get(ledgerId);
     if (!row) {
       throw new Error('Ledger entry not found');
@@ -6266,6 +6874,20 @@ function unlinkLedgerEntry(planId, ledgerId) {
       return { success: true, action: 'unlinked_job' };
     }
 
+    if (row.source_type === 'mining') {
+      // Minerals from reprocessed ore: release the whole ore allocation.
+      const { removeMiningAllocation } = require('./esi-mining');
+      removeMiningAllocation(planId, row.source_ref);
+      return { success: true, action: 'released_mining_allocation' };
+    }
+
+    if (row.source_type === 'stockpile') {
+      // Leftovers of a closed plan: the items go back to the stockpile.
+      const { releaseStockpileAllocation } = require('./plan-lifecycle');
+      releaseStockpileAllocation(planId, row.source_ref);
+      return { success: true, action: 'released_stockpile_allocation' };
+    }
+
     if (row.source_type === 'wallet_journal') {
       // A fee row: remove just this row (its parent tx/job stays).
       db.prepare('DELETE FROM plan_material_ledger WHERE ledger_id = ?').run(ledgerId);
@@ -6341,7 +6963,13 @@ module.exports = {
   updatePlanBlueprint,
   bulkUpdateBlueprints,
   removeBlueprintFromPlan,
+  addPlanBuyItems,
+  removePlanBuyItem,
   getPlanBlueprints,
+  addResearchJobToPlan,
+  getPlanResearchJobs,
+  setResearchJobCompleted,
+  removeResearchJobFromPlan,
   getIntermediateBlueprints,
   getAllPlanIntermediates,
   updateIntermediateBlueprint,
@@ -6356,6 +6984,7 @@ module.exports = {
   getPlanProducts,
   getPlanSummary,
   refreshActivePlansESIData,
+  updateOpenPlans,
   refreshPlanESIData,
   getPlanAnalytics,
   markMaterialAcquired,
@@ -6365,6 +6994,7 @@ module.exports = {
   setPlanPriceOverride,
   removePlanPriceOverride,
   getPlanPriceOverrides,
+  getPlanPriceOverrideMap,
   cleanupExcessAcquisitions,
   getAcquisitionLog,
   getReactions,
@@ -6375,6 +7005,8 @@ module.exports = {
   getPlanLedger,
   addManualLedgerCost,
   addManualItemAcquisition,
+  previewBulkAcquisition,
+  addBulkItemAcquisitions,
   getMaterialStillNeeded,
   updateLedgerEntry,
   deleteLedgerEntry,
@@ -127,6 +127,57 @@ function createTables() {
     CREATE INDEX IF NOT EXISTS idx_price_cache_expires ON market_price_cache(expires_at);
   `);
 
+  // Daily price snapshots for types used by plans (see price-snapshots.js).
+  // Kept indefinitely so plan charts reach back to plan creation.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS price_snapshots (
+      snapshot_date TEXT NOT NULL,
+      market_set_id TEXT NOT NULL,
+      type_id INTEGER NOT NULL,
+      side TEXT NOT NULL,
+      price REAL NOT NULL,
+      confidence TEXT,
+      taken_at INTEGER NOT NULL,
+      PRIMARY KEY (snapshot_date, market_set_id, type_id, side)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_price_snapshots_set_type ON price_snapshots(market_set_id, type_id, snapshot_date);
+  `);
+
+  // Price alert rules and the alerts they fired (see price-alerts.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS price_alert_rules (
+      rule_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      rule_type TEXT NOT NULL,
+      type_id INTEGER,
+      plan_id TEXT,
+      threshold REAL NOT NULL,
+      market_set_id TEXT,
+      side TEXT NOT NULL DEFAULT 'input',
+      structure_id INTEGER,
+      structure_name TEXT,
+      region_id INTEGER,
+      price_type TEXT NOT NULL DEFAULT 'sell',
+      enabled INTEGER NOT NULL DEFAULT 1,
+      triggered INTEGER NOT NULL DEFAULT 0,
+      last_value REAL,
+      last_evaluated_at INTEGER,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS price_alert_events (
+      event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id TEXT NOT NULL,
+      rule_name TEXT NOT NULL,
+      triggered_at INTEGER NOT NULL,
+      value REAL,
+      message TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_price_alert_events_time ON price_alert_events(triggered_at);
+  `);
+
   // Price overrides (user-defined prices)
   db.exec(`
     CREATE TABLE IF NOT EXISTS price_overrides (
@@ -299,6 +350,8 @@ function cleanupOldData(daysToKeep = 90) {
   const adjustedPricesCutoff = Date.now() - (7 * 24 * 60 * 60 * 1000);
   db.prepare('DELETE FROM adjusted_prices WHERE fetched_at < ?').run(adjustedPricesCutoff);
 
+  // price_snapshots are not pruned: they are small and plan charts need them back to plan creation
+
   console.log(`Cleaned up market data older than ${daysToKeep} days`);
 }
 
@@ -0,0 +1,483 @@
+/**
+ * Manufacturing plan export/import
+ *
+ * Serializes a plan definition (blueprints and their intermediate/reaction rows,
+ * ME/TE, runs, lines, facilities, build plans, research jobs, price overrides and
+ * industry settings) to a versioned, portable JSON document, and recreates a plan
+ * from such a document on another machine or for another character.
+ *
+ * Material nodes are never exported: they are derived data and are rebuilt by
+ * recalculatePlanMaterials() after an import. The ledger (actuals) and built
+ * progress are only included when requested.
+ */
+
+const { randomUUID } = require('crypto');
+const { getCharacterDatabase } = require('./character-database');
+
+const PLAN_EXPORT_FORMAT = 'quantum-forge-plan';
+const PLAN_EXPORT_VERSION = 1;
+
+/**
+ * Parse a stored facility snapshot, tolerating malformed JSON
+ * @param {string|null} snapshot - facility_snapshot column value
+ * @returns {Object|null} Facility object or null
+ */
+function parseFacilitySnapshot(snapshot) {
+  if (!snapshot) return null;
+  try {
+    return JSON.parse(snapshot);
+  } catch (error) {
+    console.warn('[Plan Export] Ignoring malformed facility snapshot:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Order exported blueprint rows so every parent comes before its children
+ * @param {Array} blueprints - Exported blueprint entries ({ ref, parentRef })
+ * @returns {Array} Ordered blueprint entries (rows with unknown parents are kept last)
+ */
+function orderBlueprintsByParent(blueprints) {
+  const ordered = [];
+  const placed = new Set();
+  let remaining = blueprints;
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(bp => !bp.parentRef || placed.has(bp.parentRef));
+    if (ready.length === 0) {
+      // Parent rows missing from the document - keep the orphans rather than drop them
+      ordered.push(...remaining);
+      break;
+    }
+    ready.forEach(bp => {
+      ordered.push(bp);
+      placed.add(bp.ref);
+    });
+    remaining = remaining.filter(bp => !placed.has(bp.ref));
+  }
+
+  return ordered;
+}
+
+/**
+ * Export a manufacturing plan to a portable document
+ * @param {string} planId - Plan ID
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeActuals - Include ledger entries and built/completed progress (default: false)
+ * @returns {Object} Plan export document
+ */
+function exportPlan(planId, options = {}) {
+  const { includeActuals = false } = options;
+  const db = getCharacterDatabase();
+
+  const plan = db.prepare('SELECT * FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+
+  const settingsRow = db.prepare(`
+    SELECT enabled_divisions_json, default_characters_json, reactions_as_intermediates
+    FROM plan_industry_settings
+    WHERE plan_id = ?
+  `).get(planId);
+
+  const blueprintRows = db.prepare(`
+    SELECT * FROM plan_blueprints WHERE plan_id = ? ORDER BY added_at
+  `).all(planId);
+
+  const blueprints = orderBlueprintsByParent(blueprintRows.map(bp => {
+    const entry = {
+      ref: bp.plan_blueprint_id,
+      parentRef: bp.parent_blueprint_id || null,
+      blueprintTypeId: bp.blueprint_type_id,
+      blueprintType: bp.blueprint_type || null,
+      reactionTypeId: bp.reaction_type_id || null,
+      isIntermediate: Boolean(bp.is_intermediate),
+      intermediateProductTypeId: bp.intermediate_product_type_id || null,
+      runs: bp.runs,
+      lines: bp.lines,
+      meLevel: bp.me_level,
+      teLevel: bp.te_level,
+      useIntermediates: bp.use_intermediates || null,
+      facilityId: bp.facility_id || null,
+      facilitySnapshot: parseFacilitySnapshot(bp.facility_snapshot),
+    };
+    if (includeActuals) {
+      entry.isBuilt = Boolean(bp.is_built);
+      entry.builtRuns = bp.built_runs || 0;
+    }
+    return entry;
+  }));
+
+  const researchJobs = db.prepare(`
+    SELECT * FROM plan_research_jobs WHERE plan_id = ? ORDER BY added_at
+  `).all(planId).map(job => {
+    const entry = {
+      blueprintTypeId: job.blueprint_type_id,
+      jobType: job.job_type,
+      fromLevel: job.from_level,
+      toLevel: job.to_level,
+      runs: job.runs,
+      copies: job.copies,
+      facilityId: job.facility_id || null,
+      facilitySnapshot: parseFacilitySnapshot(job.facility_snapshot),
+    };
+    if (includeActuals) {
+      entry.isCompleted = Boolean(job.is_completed);
+    }
+    return entry;
+  });
+
+  const priceOverrides = db.prepare(`
+    SELECT type_id, price, last_market_price FROM plan_price_overrides WHERE plan_id = ? ORDER BY type_id
+  `).all(planId).map(o => ({
+    typeId: o.type_id,
+    price: o.price,
+    lastMarketPrice: o.last_market_price,
+  }));
+
+  const document = {
+    format: PLAN_EXPORT_FORMAT,
+    version: PLAN_EXPORT_VERSION,
+    exportedAt: Date.now(),
+    plan: {
+      planName: plan.plan_name,
+      description: plan.description,
+      status: plan.status,
+      characterId: plan.character_id,
+      createdAt: plan.created_at,
+    },
+    industrySettings: settingsRow ? {
+      enabledDivisions: JSON.parse(settingsRow.enabled_divisions_json || '{}'),
+      defaultCharacters: JSON.parse(settingsRow.default_characters_json || '[]'),
+      reactionsAsIntermediates: Boolean(settingsRow.reactions_as_intermediates),
+    } : null,
+    blueprints,
+    researchJobs,
+    priceOverrides,
+  };
+
+  if (includeActuals) {
+    document.ledger = db.prepare(`
+      SELECT * FROM plan_material_ledger WHERE plan_id = ? ORDER BY created_at
+    `).all(planId).map(entry => ({
+      typeId: entry.type_id,
+      eventType: entry.event_type,
+      quantity: entry.quantity,
+      method: entry.method,
+      unitPrice: entry.unit_price,
+      note: entry.note,
+      sourceRef: entry.source_ref,
+      sourceType: entry.source_type,
+      sourceId: entry.source_id,
+      characterId: entry.character_id,
+      corporationId: entry.corporation_id,
+      costCategory: entry.cost_category,
+      createdAt: entry.created_at,
+    }));
+  }
+
+  // Character names let the importer offer a sensible character mapping
+  const characterIds = new Set([plan.character_id]);
+  if (document.industrySettings) {
+    document.industrySettings.defaultCharacters.forEach(id => characterIds.add(id));
+    Object.keys(document.industrySettings.enabledDivisions).forEach(id => characterIds.add(Number(id)));
+  }
+  (document.ledger || []).forEach(entry => {
+    if (entry.characterId != null) characterIds.add(entry.characterId);
+  });
+  const characterName = db.prepare('SELECT character_name FROM characters WHERE character_id = ?');
+  document.characters = [...characterIds].map(id => ({
+    characterId: id,
+    characterName: characterName.get(id)?.character_name || null,
+  }));
+
+  console.log(`[Plan Export] Exported plan ${planId}: ${blueprints.length} blueprints, ${researchJobs.length} research jobs${includeActuals ? `, ${document.ledger.length} ledger entries` : ''}`);
+  return document;
+}
+
+/**
+ * Validate a plan export document before importing it
+ * @param {Object} document - Parsed plan export document
+ * @throws {Error} If the document is not a supported plan export
+ */
+function validatePlanExport(document) {
+  if (!document || typeof document !== 'object') {
+    throw new Error('Plan file is empty or not valid JSON');
+  }
+  if (document.format !== PLAN_EXPORT_FORMAT) {
+    throw new Error('File is not a Quantum Forge plan export');
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    throw new Error('Plan file has an invalid format version');
+  }
+  if (document.version > PLAN_EXPORT_VERSION) {
+    throw new Error(`Plan file format version ${document.version} is newer than this version of the app supports (${PLAN_EXPORT_VERSION})`);
+  }
+  if (!document.plan || !Array.isArray(document.blueprints)) {
+    throw new Error('Plan file is missing the plan definition');
+  }
+}
+
+/**
+ * Summarize a plan export document for the import dialog
+ * @param {Object} document - Parsed plan export document
+ * @returns {Object} Counts plus the facilities and characters the document references
+ */
+function summarizePlanExport(document) {
+  validatePlanExport(document);
+
+  const facilities = new Map();
+  for (const entry of [...document.blueprints, ...(document.researchJobs || [])]) {
+    const key = entry.facilityId || entry.facilitySnapshot?.name;
+    if (key && !facilities.has(key)) {
+      facilities.set(key, { facilityId: entry.facilityId || null, name: entry.facilitySnapshot?.name || null });
+    }
+  }
+
+  return {
+    planName: document.plan.planName,
+    description: document.plan.description || null,
+    exportedAt: document.exportedAt || null,
+    blueprintCount: document.blueprints.filter(bp => !bp.isIntermediate).length,
+    researchJobCount: (document.researchJobs || []).length,
+    priceOverrideCount: (document.priceOverrides || []).length,
+    hasLedger: Array.isArray(document.ledger),
+    ledgerEntryCount: Array.isArray(document.ledger) ? document.ledger.length : 0,
+    facilities: [...facilities.values()],
+    characters: (document.characters || [{ characterId: document.plan.characterId, characterName: null }]).map(c => ({
+      ...c,
+      isOwner: c.characterId === document.plan.characterId,
+    })),
+  };
+}
+
+/**
+ * Import a plan export document as a new plan
+ *
+ * Character IDs are remapped through options.characterMap; the exporting
+ * character falls back to options.characterId, other characters are kept only if
+ * they exist locally. Facilities are remapped through options.facilityMap, then by
+ * matching ID or name against the local facilities; unmatched facilities keep
+ * their exported snapshot and are reported in unmappedFacilities.
+ *
+ * @param {Object} document - Parsed plan export document
+ * @param {Object} options - Import options
+ * @param {number} options.characterId - Character that will own the imported plan (required)
+ * @param {Object} options.characterMap - Map of exported character ID -> local character ID
+ * @param {Object} options.facilityMap - Map of exported facility ID -> local facility ID
+ * @param {boolean} options.includeActuals - Import ledger and built progress when present (default: true)
+ * @param {string} options.planName - Override the imported plan name
+ * @param {string} options.status - Status of the new plan (default: 'draft')
+ * @returns {Promise<Object>} { planId, planName, blueprintsImported, researchJobsImported, priceOverridesImported, ledgerEntriesImported, unmappedFacilities }
+ */
+async function importPlan(document, options = {}) {
+  validatePlanExport(document);
+
+  const {
+    characterId,
+    characterMap = {},
+    facilityMap = {},
+    includeActuals = true,
+    planName = null,
+    status = 'draft',
+  } = options;
+
+  if (!characterId) {
+    throw new Error('A character is required to import a plan');
+  }
+
+  const db = getCharacterDatabase();
+  const { getManufacturingFacilities } = require('./settings-manager');
+  const localFacilities = getManufacturingFacilities();
+  const unmappedFacilities = new Map();
+
+  const exportedCharacterId = document.plan.characterId;
+  const characterExists = db.prepare('SELECT 1 FROM characters WHERE character_id = ?');
+
+  const mapCharacterId = (id) => {
+    if (id == null) return null;
+    if (characterMap[id] != null) return Number(characterMap[id]);
+    if (id === exportedCharacterId) return characterId;
+    return characterExists.get(id) ? id : null;
+  };
+
+  const mapFacility = (facilityId, snapshot) => {
+    if (!facilityId && !snapshot) {
+      return { facilityId: null, facilitySnapshot: null };
+    }
+
+    const mappedId = facilityMap[facilityId] || facilityId;
+    const local = localFacilities.find(f => f.id === mappedId) ||
+      (snapshot?.name ? localFacilities.find(f => f.name.toLowerCase() === snapshot.name.toLowerCase()) : null);
+
+    if (local) {
+      return { facilityId: local.id, facilitySnapshot: JSON.stringify(local) };
+    }
+
+    unmappedFacilities.set(facilityId || snapshot?.name, snapshot?.name || facilityId);
+    return { facilityId: facilityId || null, facilitySnapshot: snapshot ? JSON.stringify(snapshot) : null };
+  };
+
+  const planId = randomUUID();
+  const now = Date.now();
+  const withActuals = includeActuals && Array.isArray(document.ledger);
+  const blueprints = orderBlueprintsByParent(document.blueprints);
+  const researchJobs = document.researchJobs || [];
+  const priceOverrides = document.priceOverrides || [];
+
+  const insertPlan = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO manufacturing_plans (plan_id, character_id, plan_name, description, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(planId, characterId, planName || document.plan.planName || 'Imported Plan', document.plan.description || null, status, now, now);
+
+    if (document.industrySettings) {
+      const enabledDivisions = {};
+      for (const [id, divisions] of Object.entries(document.industrySettings.enabledDivisions || {})) {
+        const mapped = mapCharacterId(Number(id));
+        if (mapped) enabledDivisions[mapped] = divisions;
+      }
+      const defaultCharacters = (document.industrySettings.defaultCharacters || [])
+        .map(mapCharacterId)
+        .filter(Boolean);
+
+      db.prepare(`
+        INSERT INTO plan_industry_settings (
+          plan_id, enabled_divisions_json, default_characters_json,
+          reactions_as_intermediates, last_updated
+        ) VALUES (?, ?, ?, ?, ?)
+      `).run(
+        planId,
+        JSON.stringify(enabledDivisions),
+        JSON.stringify(defaultCharacters),
+        document.industrySettings.reactionsAsIntermediates ? 1 : 0,
+        now
+      );
+    }
+
+    const refMap = new Map();
+    const insertBlueprint = db.prepare(`
+      INSERT INTO plan_blueprints (
+        plan_blueprint_id, plan_id, parent_blueprint_id, blueprint_type_id, blueprint_type,
+        reaction_type_id, is_intermediate, intermediate_product_type_id, runs, lines,
+        me_level, te_level, use_intermediates, facility_id, facility_snapshot,
+        is_built, built_runs, added_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    blueprints.forEach((bp, index) => {
+      const newId = randomUUID();
+      refMap.set(bp.ref, newId);
+      const facility = mapFacility(bp.facilityId, bp.facilitySnapshot);
+
+      insertBlueprint.run(
+        newId,
+        planId,
+        bp.parentRef ? (refMap.get(bp.parentRef) || null) : null,
+        bp.blueprintTypeId,
+        bp.blueprintType || 'manufacturing',
+        bp.reactionTypeId || null,
+        bp.isIntermediate ? 1 : 0,
+        bp.intermediateProductTypeId || null,
+        bp.runs,
+        bp.lines || 1,
+        bp.meLevel ?? 0,
+        bp.teLevel ?? null,
+        bp.useIntermediates || 'raw_materials',
+        facility.facilityId,
+        facility.facilitySnapshot,
+        withActuals && bp.isBuilt ? 1 : 0,
+        withActuals ? (bp.builtRuns || 0) : 0,
+        // Preserve the exported order; getPlanBlueprints sorts by added_at
+        now + index
+      );
+    });
+
+    const insertResearchJob = db.prepare(`
+      INSERT INTO plan_research_jobs (
+        research_job_id, plan_id, blueprint_type_id, job_type, from_level, to_level,
+        runs, copies, facility_id, facility_snapshot, is_completed, added_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    researchJobs.forEach((job, index) => {
+      const facility = mapFacility(job.facilityId, job.facilitySnapshot);
+      insertResearchJob.run(
+        randomUUID(),
+        planId,
+        job.blueprintTypeId,
+        job.jobType,
+        job.fromLevel ?? 0,
+        job.toLevel ?? 0,
+        job.runs ?? 1,
+        job.copies ?? 1,
+        facility.facilityId,
+        facility.facilitySnapshot,
+        withActuals && job.isCompleted ? 1 : 0,
+        now + index
+      );
+    });
+
+    const insertOverride = db.prepare(`
+      INSERT INTO plan_price_overrides (plan_id, type_id, price, last_market_price, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    for (const override of priceOverrides) {
+      insertOverride.run(planId, override.typeId, override.price, override.lastMarketPrice ?? null, now, now);
+    }
+
+    if (withActuals) {
+      const insertLedger = db.prepare(`
+        INSERT INTO plan_material_ledger
+          (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, note,
+           source_ref, source_type, source_id, character_id, corporation_id, cost_category, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const entry of document.ledger) {
+        insertLedger.run(
+          randomUUID(),
+          planId,
+          entry.typeId,
+          entry.eventType,
+          entry.quantity,
+          entry.method,
+          entry.unitPrice ?? null,
+          entry.note ?? null,
+          entry.sourceRef ?? null,
+          entry.sourceType ?? null,
+          entry.sourceId ?? null,
+          mapCharacterId(entry.characterId),
+          entry.corporationId ?? null,
+          entry.costCategory ?? null,
+          entry.createdAt || now
+        );
+      }
+    }
+  });
+
+  insertPlan();
+
+  console.log(`[Plan Import] Imported plan ${planId} with ${blueprints.length} blueprints for character ${characterId}`);
+
+  const { recalculatePlanMaterials } = require('./manufacturing-plans');
+  await recalculatePlanMaterials(planId, true);
+
+  return {
+    planId,
+    planName: planName || document.plan.planName || 'Imported Plan',
+    blueprintsImported: blueprints.length,
+    researchJobsImported: researchJobs.length,
+    priceOverridesImported: priceOverrides.length,
+    ledgerEntriesImported: withActuals ? document.ledger.length : 0,
+    unmappedFacilities: [...unmappedFacilities.values()],
+  };
+}
+
+module.exports = {
+  PLAN_EXPORT_FORMAT,
+  PLAN_EXPORT_VERSION,
+  exportPlan,
+  importPlan,
+  summarizePlanExport,
+  validatePlanExport,
+};
@@ -0,0 +1,768 @@
+/**
+ * Plan lifecycle: draft → active → building → selling → closed.
+ *
+ * The status follows what has actually happened to the plan:
+ *  - draft:    being set up; no blueprints, or nothing bought or built yet
+ *  - active:   materials are being acquired (ledger material purchases)
+ *  - building: confirmed job matches exist, but not every planned run is done
+ *  - selling:  every planned run is done; products are not all sold yet
+ *  - closed:   every product has sold (ledger sales), or closed by hand
+ * 'archived' is a manual state outside the lifecycle.
+ *
+ * Automatic transitions only move a plan forward. Closing a plan snapshots a
+ * close-out report (planned vs. actual per material, job and product, with
+ * variance reasons) and carries leftover materials and intermediates into the
+ * stockpile. Plans allocate from the stockpile through plan_asset_allocations;
+ * the allocated items are plan ledger acquisitions with source_type
+ * 'stockpile' and source_ref = allocation_id, priced at the closing plan's
+ * unit cost.
+ */
+
+const { randomUUID } = require('crypto');
+const { getCharacterDatabase } = require('./character-database');
+const { getStillNeededQuantity } = require('./plan-material-needs');
+
+const LIFECYCLE_STATUSES = ['draft', 'active', 'building', 'selling', 'closed'];
+
+// Plans being worked on: their jobs, purchases and sales are still matched
+const IN_PROGRESS_STATUSES = ['active', 'building', 'selling'];
+
+// Plans not finished yet: kept refreshed from ESI, matched to jobs and
+// evaluated, so a draft advances on its own once work starts
+const OPEN_STATUSES = ['draft', ...IN_PROGRESS_STATUSES];
+
+const PLAN_STATUSES = [...LIFECYCLE_STATUSES, 'archived'];
+
+// ESI job statuses whose runs are finished
+const FINISHED_JOB_STATUSES = ['ready', 'delivered'];
+
+// Unit price differences within this share of the planned price are not reported
+const PRICE_VARIANCE_TOLERANCE = 0.05;
+
+/**
+ * Runs planned, started and finished per plan blueprint row. Rows bought from
+ * the market (Build Plan = 'buy') install no job. Runs marked built by hand
+ * count as finished.
+ * @param {Object} db - character DB
+ * @param {string} planId - Plan ID
+ * @returns {Array} [{ row, jobs, startedRuns, finishedRuns }]
+ */
+function getBlueprintJobProgress(db, planId) {
+  const rows = db.prepare(`
+    SELECT * FROM plan_blueprints WHERE plan_id = ? ORDER BY added_at
+  `).all(planId).filter(row => row.use_intermediates !== 'buy');
+
+  const jobs = db.prepare(`
+    SELECT jm.plan_blueprint_id, ij.job_id, ij.runs, ij.status
+    FROM plan_job_matches jm
+    JOIN esi_industry_jobs ij ON ij.job_id = jm.job_id
+    WHERE jm.plan_id = ? AND jm.status = 'confirmed'
+  `).all(planId);
+
+  return rows.map(row => {
+    const rowJobs = jobs.filter(job => job.plan_blueprint_id === row.plan_blueprint_id);
+    const jobRuns = rowJobs.reduce((sum, job) => sum + job.runs, 0);
+    const finishedJobRuns = rowJobs
+      .filter(job => FINISHED_JOB_STATUSES.includes(job.status))
+      .reduce((sum, job) => sum + job.runs, 0);
+    const finishedRuns = row.is_built ? row.runs : Math.max(finishedJobRuns, row.built_runs || 0);
+
+    return {
+      row,
+      jobs: rowJobs,
+      startedRuns: Math.max(jobRuns, finishedRuns),
+      finishedRuns,
+    };
+  });
+}
+
+/**
+ * Quantity and ISK per type for a list of ledger items
+ * @param {Array} items - Ledger items with typeId, quantity and amount
+ * @returns {Map} typeId → { quantity, amount }
+ */
+function sumLedgerByType(items) {
+  const byType = new Map();
+  for (const item of items) {
+    const entry = byType.get(item.typeId) || { quantity: 0, amount: 0 };
+    entry.quantity += item.quantity || 0;
+    entry.amount += item.amount || 0;
+    byType.set(item.typeId, entry);
+  }
+  return byType;
+}
+
+/**
+ * Everything the lifecycle is decided from
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} { hasBlueprints, committed, jobs, products, totals }
+ */
+async function getPlanProgress(planId) {
+  const { getPlanLedger, getPlanProducts } = require('./manufacturing-plans');
+  const db = getCharacterDatabase();
+
+  const hasBlueprints = db.prepare('SELECT 1 FROM plan_blueprints WHERE plan_id = ? LIMIT 1').get(planId) != null;
+  const blueprintProgress = getBlueprintJobProgress(db, planId);
+  const ledger = await getPlanLedger(planId);
+
+  const jobs = { planned: 0, started: 0, finished: 0 };
+  for (const { row, startedRuns, finishedRuns } of blueprintProgress) {
+    jobs.planned += row.runs;
+    jobs.started += Math.min(startedRuns, row.runs);
+    jobs.finished += Math.min(finishedRuns, row.runs);
+  }
+
+  const sold = sumLedgerByType(ledger.categories.productSales.items);
+  const plannedProducts = new Map();
+  for (const product of getPlanProducts(planId)) {
+    if (product.isIntermediate) continue;
+    plannedProducts.set(product.typeId, (plannedProducts.get(product.typeId) || 0) + product.quantity);
+  }
+  const products = [...plannedProducts].map(([typeId, planned]) => ({
+    typeId,
+    planned,
+    sold: sold.get(typeId)?.quantity || 0,
+  }));
+
+  return {
+    hasBlueprints,
+    committed: ledger.totals.materialPurchases > 0 || jobs.started > 0 || ledger.totals.productSales > 0,
+    jobs,
+    products,
+    totals: ledger.totals,
+  };
+}
+
+/**
+ * The lifecycle status a plan's progress puts it in
+ * @param {Object} progress - From getPlanProgress
+ * @returns {string} One of LIFECYCLE_STATUSES
+ */
+function derivePlanStatus(progress) {
+  const { hasBlueprints, committed, jobs, products } = progress;
+
+  if (!hasBlueprints || !committed) return 'draft';
+  if (jobs.started === 0 && jobs.planned > 0) return 'active';
+  if (jobs.finished < jobs.planned) return 'building';
+
+  const allSold = products.length > 0 && products.every(p => p.sold >= p.planned);
+  return allSold ? 'closed' : 'selling';
+}
+
+/**
+ * Move a plan forward through the lifecycle if its progress says so. Closed
+ * and archived plans are left alone; a plan never moves back automatically.
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} { planId, previousStatus, status, changed, progress }
+ */
+async function evaluatePlanLifecycle(planId) {
+  const db = getCharacterDatabase();
+  const plan = db.prepare('SELECT status FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+
+  const progress = await getPlanProgress(planId);
+  const derived = derivePlanStatus(progress);
+  const currentRank = LIFECYCLE_STATUSES.indexOf(plan.status);
+  const result = { planId, previousStatus: plan.status, status: plan.status, changed: false, progress };
+
+  if (currentRank === -1 || plan.status === 'closed' || LIFECYCLE_STATUSES.indexOf(derived) <= currentRank) {
+    return result;
+  }
+
+  if (derived === 'closed') {
+    await closePlan(planId);
+  } else {
+    db.prepare('UPDATE manufacturing_plans SET status = ?, updated_at = ? WHERE plan_id = ?')
+      .run(derived, Date.now(), planId);
+  }
+
+  console.log(`[Plan Lifecycle] Plan ${planId}: ${plan.status} → ${derived}`);
+  return { ...result, status: derived, changed: true };
+}
+
+/**
+ * Set a plan's status by hand. Closing writes the close-out report and the
+ * stockpile; reopening a closed plan takes its leftovers back out of the
+ * stockpile.
+ * @param {string} planId - Plan ID
+ * @param {string} status - One of PLAN_STATUSES
+ * @returns {Promise<Object>} { success, status }
+ */
+async function setPlanStatus(planId, status) {
+  if (!PLAN_STATUSES.includes(status)) {
+    throw new Error(`Unknown plan status: ${status}`);
+  }
+
+  const db = getCharacterDatabase();
+  const plan = db.prepare('SELECT status FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+  if (plan.status === status) {
+    return { success: true, status };
+  }
+
+  if (status === 'closed') {
+    await closePlan(planId);
+    return { success: true, status };
+  }
+
+  db.transaction(() => {
+    if (plan.status === 'closed') {
+      removePlanStockpile(db, planId);
+      db.prepare('DELETE FROM plan_closeouts WHERE plan_id = ?').run(planId);
+    }
+    db.prepare(`
+      UPDATE manufacturing_plans SET status = ?, completed_at = NULL, updated_at = ? WHERE plan_id = ?
+    `).run(status, Date.now(), planId);
+  })();
+
+  console.log(`[Plan Lifecycle] Plan ${planId} set to ${status}`);
+  return { success: true, status };
+}
+
+/**
+ * Take a reopened plan's leftovers back out of the stockpile
+ * @param {Object} db - character DB
+ * @param {string} planId - Plan ID
+ */
+function removePlanStockpile(db, planId) {
+  const allocated = db.prepare(`
+    SELECT COUNT(*) AS count
+    FROM plan_asset_allocations a
+    JOIN plan_stockpile s ON s.stockpile_id = a.stockpile_id
+    WHERE s.source_plan_id = ?
+      AND EXISTS (
+        SELECT 1 FROM plan_material_ledger l
+        WHERE l.plan_id = a.plan_id AND l.source_type = 'stockpile' AND l.source_ref = a.allocation_id
+      )
+  `).get(planId).count;
+  if (allocated > 0) {
+    throw new Error('Leftovers of this plan are already allocated to other plans');
+  }
+
+  db.prepare(`
+    DELETE FROM plan_asset_allocations
+    WHERE stockpile_id IN (SELECT stockpile_id FROM plan_stockpile WHERE source_plan_id = ?)
+  `).run(planId);
+  db.prepare('DELETE FROM plan_stockpile WHERE source_plan_id = ?').run(planId);
+}
+
+/**
+ * Variance reasons for a planned vs. actual quantity and unit price
+ * @param {Object} params
+ * @param {number} params.planned - Planned quantity
+ * @param {number} params.actual - Actual quantity
+ * @param {number|null} params.plannedPrice - Planned unit price
+ * @param {number|null} params.actualPrice - Actual unit price
+ * @param {Object} labels - { none, over, under, priceAbove, priceBelow } reason codes
+ * @returns {Array} [{ code, message }]
+ */
+function quantityPriceReasons({ planned, actual, plannedPrice, actualPrice }, labels) {
+  const reasons = [];
+  const format = n => Math.round(n).toLocaleString('en-US');
+
+  if (planned === 0 && actual > 0) {
+    reasons.push({ code: 'not_planned', message: `${format(actual)} not in the plan` });
+  } else if (actual === 0 && planned > 0) {
+    reasons.push({ code: labels.none, message: `None of ${format(planned)} recorded` });
+  } else if (actual > planned) {
+    reasons.push({ code: labels.over, message: `${format(actual - planned)} more than planned` });
+  } else if (actual < planned) {
+    reasons.push({ code: labels.under, message: `${format(planned - actual)} fewer than planned` });
+  }
+
+  if (plannedPrice > 0 && actualPrice != null) {
+    const change = (actualPrice - plannedPrice) / plannedPrice;
+    if (Math.abs(change) > PRICE_VARIANCE_TOLERANCE) {
+      reasons.push({
+        code: change > 0 ? labels.priceAbove : labels.priceBelow,
+        message: `Unit price ${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}% vs. plan`,
+      });
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Units each intermediate row produced beyond what the plan consumes
+ * @param {Object} db - character DB
+ * @param {string} planId - Plan ID
+ * @param {Array} blueprintProgress - From getBlueprintJobProgress
+ * @returns {Promise<Array>} [{ typeId, produced, needed, leftover, unitPrice }]
+ */
+async function getIntermediateLeftovers(db, planId, blueprintProgress) {
+  const { getBlueprintProduct } = require('./blueprint-calculator');
+  const { getReactionProduct } = require('./reaction-calculator');
+
+  const needed = new Map(db.prepare(`
+    SELECT type_id, SUM(quantity_needed) AS quantity, MAX(price_each) AS price
+    FROM plan_material_nodes
+    WHERE plan_id = ? AND node_type = 'intermediate'
+    GROUP BY type_id
+  `).all(planId).map(row => [row.type_id, row]));
+
+  const produced = new Map();
+  for (const { row, finishedRuns } of blueprintProgress) {
+    if (!row.intermediate_product_type_id || finishedRuns <= 0) continue;
+
+    let product = null;
+    try {
+      product = row.blueprint_type === 'reaction'
+        ? await getReactionProduct(row.reaction_type_id || row.blueprint_type_id)
+        : getBlueprintProduct(row.blueprint_type_id);
+    } catch (error) {
+      console.error(`[Plan Lifecycle] Error reading product of blueprint ${row.blueprint_type_id}:`, error);
+    }
+    if (!product) continue;
+
+    const typeId = row.intermediate_product_type_id;
+    produced.set(typeId, (produced.get(typeId) || 0) + finishedRuns * (product.quantity || 1));
+  }
+
+  return [...produced].map(([typeId, quantity]) => {
+    const need = needed.get(typeId);
+    const neededQuantity = need?.quantity || 0;
+    return {
+      typeId,
+      produced: quantity,
+      needed: neededQuantity,
+      leftover: Math.max(0, Math.floor(quantity - neededQuantity)),
+      unitPrice: need?.price ?? null,
+    };
+  });
+}
+
+/**
+ * Planned vs. actual report for a plan, as it would be written on closing
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} { planId, planName, materials, jobs, products, stockpile, totals }
+ */
+async function buildCloseOutReport(planId) {
+  const { getPlanMaterials, getPlanProducts, getPlanLedger } = require('./manufacturing-plans');
+  const { getTypeNames } = require('./sde-database');
+  const db = getCharacterDatabase();
+
+  const plan = db.prepare('SELECT plan_name, status FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+
+  const materials = await getPlanMaterials(planId);
+  const ledger = await getPlanLedger(planId);
+  const blueprintProgress = getBlueprintJobProgress(db, planId);
+
+  // Acquisitions per type. Manufactured rows only book materials consumed by
+  // built intermediates, they are not items in the hangar.
+  const acquired = new Map(db.prepare(`
+    SELECT type_id,
+           SUM(quantity) AS quantity,
+           SUM(CASE WHEN quantity > 0 AND unit_price IS NOT NULL THEN quantity * unit_price ELSE 0 END) AS cost,
+           SUM(CASE WHEN quantity > 0 AND unit_price IS NOT NULL THEN quantity ELSE 0 END) AS priced_quantity
+    FROM plan_material_ledger
+    WHERE plan_id = ? AND event_type NOT IN ('cost', 'sold') AND method != 'manufactured'
+    GROUP BY type_id
+  `).all(planId).map(row => [row.type_id, row]));
+
+  const plannedMaterials = new Map(materials.map(m => [m.typeId, m]));
+  const materialRows = [...new Set([...plannedMaterials.keys(), ...acquired.keys()])].map(typeId => {
+    const material = plannedMaterials.get(typeId);
+    const actual = acquired.get(typeId);
+    const plannedQuantity = material?.quantity || 0;
+    const plannedPrice = material ? (material.planOverridePrice ?? material.basePrice ?? null) : null;
+    const actualQuantity = Math.max(0, actual?.quantity || 0);
+    const actualPrice = actual?.priced_quantity > 0 ? actual.cost / actual.priced_quantity : null;
+    const plannedCost = plannedQuantity * (plannedPrice || 0);
+    const actualCost = actual?.cost || 0;
+
+    return {
+      typeId,
+      plannedQuantity,
+      actualQuantity,
+      plannedPrice,
+      actualPrice,
+      plannedCost,
+      actualCost,
+      variance: actualCost - plannedCost,
+      leftover: Math.max(0, Math.floor(actualQuantity - plannedQuantity)),
+      reasons: quantityPriceReasons(
+        { planned: plannedQuantity, actual: actualQuantity, plannedPrice, actualPrice },
+        { none: 'not_acquired', over: 'over_acquired', under: 'under_acquired', priceAbove: 'price_above_plan', priceBelow: 'price_below_plan' }
+      ),
+    };
+  });
+
+  const installCostByJob = new Map();
+  for (const item of ledger.categories.jobInstallation.items) {
+    if (item.estimated || item.sourceType !== 'industry_job') continue;
+    installCostByJob.set(item.sourceId, (installCostByJob.get(item.sourceId) || 0) + item.amount);
+  }
+
+  const jobRows = blueprintProgress.map(({ row, jobs, startedRuns, finishedRuns }) => {
+    const actualRuns = jobs.reduce((sum, job) => sum + job.runs, 0);
+    const reasons = [];
+    if (jobs.length === 0) {
+      reasons.push(finishedRuns > 0
+        ? { code: 'marked_built', message: 'Marked built by hand; no ESI job matched' }
+        : { code: 'no_jobs', message: 'No job matched' });
+    } else {
+      if (actualRuns > row.runs) {
+        reasons.push({ code: 'extra_runs', message: `${actualRuns - row.runs} more runs than planned` });
+      } else if (actualRuns < row.runs && finishedRuns < row.runs) {
+        reasons.push({ code: 'fewer_runs', message: `${row.runs - Math.max(actualRuns, finishedRuns)} fewer runs than planned` });
+      }
+      if (jobs.length > (row.lines || 1)) {
+        reasons.push({ code: 'split_jobs', message: `Split over ${jobs.length} jobs (${row.lines || 1} planned)` });
+      }
+      if (finishedRuns < startedRuns) {
+        reasons.push({ code: 'unfinished', message: `${startedRuns - finishedRuns} runs not delivered` });
+      }
+    }
+
+    return {
+      planBlueprintId: row.plan_blueprint_id,
+      blueprintTypeId: row.blueprint_type_id,
+      isIntermediate: row.is_intermediate === 1,
+      plannedRuns: row.runs,
+      plannedLines: row.lines || 1,
+      jobCount: jobs.length,
+      actualRuns,
+      finishedRuns,
+      installCost: jobs.reduce((sum, job) => sum + (installCostByJob.get(job.job_id) || 0), 0),
+      reasons,
+    };
+  });
+
+  const sales = sumLedgerByType(ledger.categories.productSales.items);
+  const plannedProducts = new Map();
+  for (const product of getPlanProducts(planId)) {
+    if (product.isIntermediate) continue;
+    const entry = plannedProducts.get(product.typeId) || {
+      quantity: 0,
+      price: product.planOverridePrice ?? product.basePrice ?? null,
+    };
+    entry.quantity += product.quantity;
+    plannedProducts.set(product.typeId, entry);
+  }
+  const productRows = [...new Set([...plannedProducts.keys(), ...sales.keys()])].map(typeId => {
+    const planned = plannedProducts.get(typeId);
+    const sold = sales.get(typeId) || { quantity: 0, amount: 0 };
+    const plannedQuantity = planned?.quantity || 0;
+    const plannedPrice = planned?.price ?? null;
+    const actualPrice = sold.quantity > 0 ? sold.amount / sold.quantity : null;
+    const plannedValue = plannedQuantity * (plannedPrice || 0);
+
+    return {
+      typeId,
+      plannedQuantity,
+      soldQuantity: sold.quantity,
+      plannedPrice,
+      actualPrice,
+      plannedValue,
+      revenue: sold.amount,
+      variance: sold.amount - plannedValue,
+      reasons: quantityPriceReasons(
+        { planned: plannedQuantity, actual: sold.quantity, plannedPrice, actualPrice },
+        { none: 'unsold', over: 'sold_more', under: 'partly_unsold', priceAbove: 'sold_above_plan', priceBelow: 'sold_below_plan' }
+      ),
+    };
+  });
+
+  const stockpile = [
+    ...materialRows.filter(m => m.leftover > 0).map(m => ({
+      typeId: m.typeId,
+      kind: 'material',
+      quantity: m.leftover,
+      unitPrice: m.actualPrice ?? m.plannedPrice,
+    })),
+    ...(await getIntermediateLeftovers(db, planId, blueprintProgress)).filter(i => i.leftover > 0).map(i => ({
+      typeId: i.typeId,
+      kind: 'intermediate',
+      quantity: i.leftover,
+      unitPrice: i.unitPrice,
+    })),
+  ];
+
+  let typeNames = {};
+  try {
+    typeNames = await getTypeNames([...new Set([
+      ...materialRows.map(m => m.typeId),
+      ...jobRows.map(j => j.blueprintTypeId),
+      ...productRows.map(p => p.typeId),
+      ...stockpile.map(s => s.typeId),
+    ])]);
+  } catch (error) {
+    console.error('[Plan Lifecycle] Error loading type names:', error);
+  }
+  const nameOf = typeId => typeNames[typeId] || `Type ${typeId}`;
+  for (const row of [...materialRows, ...productRows, ...stockpile]) row.typeName = nameOf(row.typeId);
+  for (const row of jobRows) row.blueprintName = nameOf(row.blueprintTypeId);
+
+  const plannedCost = ledger.reconciliation.plannedCost || 0;
+  const plannedRevenue = productRows.reduce((sum, p) => sum + p.plannedValue, 0);
+  const actualCost = ledger.totals.totalSpend;
+  const actualRevenue = ledger.totals.productSales;
+  const stockpileValue = stockpile.reduce((sum, s) => sum + s.quantity * (s.unitPrice || 0), 0);
+
+  return {
+    planId,
+    planName: plan.plan_name,
+    generatedAt: Date.now(),
+    materials: materialRows.sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance)),
+    jobs: jobRows,
+    products: productRows,
+    stockpile,
+    totals: {
+      planned: { cost: plannedCost, revenue: plannedRevenue, profit: plannedRevenue - plannedCost },
+      actual: { cost: actualCost, revenue: actualRevenue, profit: actualRevenue - actualCost },
+      stockpileValue,
+      // Leftovers keep their value: they are carried into the stockpile
+      profitWithStockpile: actualRevenue - actualCost + stockpileValue,
+    },
+  };
+}
+
+/**
+ * Close a plan: snapshot its close-out report and carry its leftovers into
+ * the stockpile
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} The close-out report
+ */
+async function closePlan(planId) {
+  const db = getCharacterDatabase();
+  const plan = db.prepare('SELECT status FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+  if (plan.status === 'closed') {
+    return getCloseOutReport(planId);
+  }
+
+  const now = Date.now();
+  const report = { ...(await buildCloseOutReport(planId)), closedAt: now };
+
+  const insertStockpile = db.prepare(`
+    INSERT INTO plan_stockpile (stockpile_id, source_plan_id, type_id, kind, quantity, unit_price, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    db.transaction(() => {
+      for (const item of report.stockpile) {
+        insertStockpile.run(randomUUID(), planId, item.typeId, item.kind, item.quantity, item.unitPrice, now);
+      }
+      db.prepare('INSERT OR REPLACE INTO plan_closeouts (plan_id, report, closed_at) VALUES (?, ?, ?)')
+        .run(planId, JSON.stringify(report), now);
+      db.prepare(`
+        UPDATE manufacturing_plans SET status = 'closed', completed_at = ?, updated_at = ? WHERE plan_id = ?
+      `).run(now, now, planId);
+    })();
+  } catch (error) {
+    console.error('[Plan Lifecycle] Error closing plan:', error);
+    throw error;
+  }
+
+  console.log(`[Plan Lifecycle] Closed plan ${planId}; ${report.stockpile.length} leftover type(s) carried to the stockpile`);
+  return report;
+}
+
+/**
+ * Close-out report for a plan: the snapshot taken when it closed, or a
+ * preview of what closing it now would write
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} Report; preview is true when not yet closed
+ */
+async function getCloseOutReport(planId) {
+  const db = getCharacterDatabase();
+  const stored = db.prepare('SELECT report FROM plan_closeouts WHERE plan_id = ?').get(planId);
+  if (stored) {
+    try {
+      return { ...JSON.parse(stored.report), preview: false };
+    } catch (error) {
+      console.error('[Plan Lifecycle] Error reading stored close-out report:', error);
+    }
+  }
+  return { ...(await buildCloseOutReport(planId)), closedAt: null, preview: true };
+}
+
+/**
+ * Stockpile entries with what is still unallocated. An allocation whose
+ * ledger rows were all removed from its plan no longer holds items.
+ * @returns {Promise<Array>} [{ stockpileId, sourcePlanId, sourcePlanName, typeId, typeName, kind, quantity, allocated, available, unitPrice, createdAt }]
+ */
+async function getStockpile() {
+  const { getTypeNames } = require('./sde-database');
+  const db = getCharacterDatabase();
+
+  const rows = db.prepare(`
+    SELECT s.*, mp.plan_name,
+           COALESCE((
+             SELECT SUM(a.quantity) FROM plan_asset_allocations a
+             WHERE a.stockpile_id = s.stockpile_id
+               AND EXISTS (
+                 SELECT 1 FROM plan_material_ledger l
+                 WHERE l.plan_id = a.plan_id AND l.source_type = 'stockpile' AND l.source_ref = a.allocation_id
+               )
+           ), 0) AS allocated
+    FROM plan_stockpile s
+    LEFT JOIN manufacturing_plans mp ON mp.plan_id = s.source_plan_id
+    ORDER BY s.created_at, s.type_id
+  `).all();
+
+  let typeNames = {};
+  try {
+    typeNames = await getTypeNames([...new Set(rows.map(row => row.type_id))]);
+  } catch (error) {
+    console.error('[Plan Lifecycle] Error loading type names:', error);
+  }
+
+  return rows.map(row => ({
+    stockpileId: row.stockpile_id,
+    sourcePlanId: row.source_plan_id,
+    sourcePlanName: row.plan_name || 'Deleted plan',
+    typeId: row.type_id,
+    typeName: typeNames[row.type_id] || `Type ${row.type_id}`,
+    kind: row.kind,
+    quantity: row.quantity,
+    allocated: row.allocated,
+    available: Math.max(0, row.quantity - row.allocated),
+    unitPrice: row.unit_price,
+    createdAt: row.created_at,
+  }));
+}
+
+/**
+ * Stockpile allocations that cover a plan's still-needed materials, oldest
+ * leftovers first
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} { allocations, coverage }
+ */
+async function getStockpileSourcing(planId) {
+  const { getPlanMaterials } = require('./manufacturing-plans');
+  const db = getCharacterDatabase();
+
+  if (!db.prepare('SELECT 1 FROM manufacturing_plans WHERE plan_id = ?').get(planId)) {
+    throw new Error('Plan not found');
+  }
+
+  const needs = new Map();
+  for (const material of await getPlanMaterials(planId)) {
+    const stillNeeded = Math.floor(getStillNeededQuantity(material));
+    if (stillNeeded > 0) needs.set(material.typeId, stillNeeded);
+  }
+
+  const allocations = [];
+  const coverage = new Map();
+  for (const entry of await getStockpile()) {
+    const remaining = needs.get(entry.typeId) || 0;
+    if (remaining <= 0 || entry.available <= 0 || entry.sourcePlanId === planId) continue;
+
+    const quantity = Math.min(remaining, entry.available);
+    needs.set(entry.typeId, remaining - quantity);
+    allocations.push({
+      stockpileId: entry.stockpileId,
+      typeId: entry.typeId,
+      typeName: entry.typeName,
+      sourcePlanName: entry.sourcePlanName,
+      quantity,
+      unitPrice: entry.unitPrice,
+    });
+
+    const covered = coverage.get(entry.typeId) || { typeId: entry.typeId, typeName: entry.typeName, stillNeeded: remaining, covered: 0 };
+    covered.covered += quantity;
+    coverage.set(entry.typeId, covered);
+  }
+
+  return { allocations, coverage: [...coverage.values()] };
+}
+
+/**
+ * Cover a plan's still-needed materials from the stockpile: records the
+ * allocations and their ledger acquisitions at the stockpiled unit price
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} { success, allocations, typesCovered }
+ */
+async function allocateFromStockpile(planId) {
+  const { allocations } = await getStockpileSourcing(planId);
+  if (allocations.length === 0) {
+    return { success: false, allocations: 0, typesCovered: 0, reason: 'nothing_to_cover' };
+  }
+
+  const db = getCharacterDatabase();
+  const insertAllocation = db.prepare(`
+    INSERT INTO plan_asset_allocations
+      (allocation_id, plan_id, type_id, quantity, is_corporation, allocated_at, stockpile_id, unit_price)
+    VALUES (?, ?, ?, ?, 0, ?, ?, ?)
+  `);
+  const insertLedger = db.prepare(`
+    INSERT INTO plan_material_ledger
+      (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, note,
+       source_ref, source_type, created_at)
+    VALUES (?, ?, ?, 'acquired', ?, 'manual', ?, ?, ?, 'stockpile', ?)
+  `);
+
+  try {
+    const now = Date.now();
+    db.transaction(() => {
+      for (const allocation of allocations) {
+        const allocationId = randomUUID();
+        insertAllocation.run(allocationId, planId, allocation.typeId, allocation.quantity, now,
+          allocation.stockpileId, allocation.unitPrice);
+        insertLedger.run(randomUUID(), planId, allocation.typeId, allocation.quantity, allocation.unitPrice,
+          `Leftover from ${allocation.sourcePlanName}`, allocationId, now);
+      }
+    })();
+  } catch (error) {
+    console.error('[Plan Lifecycle] Error allocating from stockpile:', error);
+    throw error;
+  }
+
+  const typesCovered = new Set(allocations.map(a => a.typeId)).size;
+  console.log(`[Plan Lifecycle] Allocated ${allocations.length} stockpile entr${allocations.length === 1 ? 'y' : 'ies'} to plan ${planId}`);
+  return { success: true, allocations: allocations.length, typesCovered };
+}
+
+/**
+ * Return a stockpile allocation: the items go back to the stockpile and its
+ * ledger rows are deleted
+ * @param {string} planId - Plan ID
+ * @param {string} allocationId - plan_asset_allocations.allocation_id
+ * @returns {Object} { success }
+ */
+function releaseStockpileAllocation(planId, allocationId) {
+  const db = getCharacterDatabase();
+
+  try {
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM plan_material_ledger WHERE plan_id = ? AND source_type = 'stockpile' AND source_ref = ?
+      `).run(planId, allocationId);
+      db.prepare('DELETE FROM plan_asset_allocations WHERE plan_id = ? AND allocation_id = ?').run(planId, allocationId);
+    })();
+    return { success: true };
+  } catch (error) {
+    console.error('[Plan Lifecycle] Error releasing stockpile allocation:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  LIFECYCLE_STATUSES,
+  IN_PROGRESS_STATUSES,
+  OPEN_STATUSES,
+  PLAN_STATUSES,
+  getPlanProgress,
+  derivePlanStatus,
+  evaluatePlanLifecycle,
+  setPlanStatus,
+  buildCloseOutReport,
+  closePlan,
+  getCloseOutReport,
+  getStockpile,
+  getStockpileSourcing,
+  allocateFromStockpile,
+  releaseStockpileAllocation,
+};
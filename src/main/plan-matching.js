@@ -1,17 +1,33 @@
 // Plan Matching System - Smart heuristic-based matching for jobs and transactions
 const { randomUUID: uuidv4 } = require('crypto');
 const { getCharacterDatabase } = require('./character-database');
+const {
+  MATCH_FEATURES,
+  DEFAULT_WEIGHTS,
+  TIMING_FADE_DAYS,
+  scoreFeatures,
+  getJobMatchWeights,
+  recordJobMatchFeedback,
+} = require('./job-match-model');
+const { OPEN_STATUSES } = require('./plan-lifecycle');
+const { PLAN_MATERIAL_ROWS } = require('./plan-material-needs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Match industry jobs to a manufacturing plan's blueprints
- * Uses heuristic scoring to determine confidence
  *
- * Matching Heuristics (confidence 0.0 - 1.0):
- * - Blueprint Type Match (Required) - 0.0 if no match
- * - Exact Runs Match - +0.4 if job runs match plan blueprint runs
- * - Facility Match - +0.3 if job facility matches plan blueprint facility
- * - Time Window - +0.2 if job started within 7 days of plan update
- * - Recent Start - +0.1 if within 24 hours
+ * Every unclaimed job of a matching blueprint type is scored against each
+ * blueprint of that type, in this plan and in every other open plan (see
+ * job-match-model.js for the features and the weights learned from the
+ * user's confirm/reject decisions). Jobs are then assigned globally, best
+ * score first:
+ * - A job goes to at most one plan blueprint; jobs already pending or
+ *   confirmed anywhere are skipped
+ * - A blueprint takes jobs until its runs are covered, so a blueprint split
+ *   across several jobs and lines collects them one by one
+ * - Job/blueprint pairs the user rejected are never suggested again
+ * Only the assignments for this plan are returned.
  *
  * @param {string} planId - Plan ID to match jobs against
  * @param {Object} options - Matching options
@@ -20,9 +36,9 @@ const { getCharacterDatabase } = require('./character-database');
  * @param {number[]} options.corporationIds - Corporation IDs for filtering corporate jobs
  * @param {number} options.maxDaysAgo - Max days to look back (default: 30)
  * @param {number} options.minConfidence - Minimum confidence threshold (default: 0.5)
- * @returns {Array} Array of potential matches with confidence scores
+ * @returns {Promise<Array>} Array of potential matches with confidence scores
  */
-function matchJobsToPlan(planId, options = {}) {
+async function matchJobsToPlan(planId, options = {}) {
   const { characterId, characterIds, corporationIds, maxDaysAgo = 30, minConfidence = 0.5 } = options;
 
   const db = getCharacterDatabase();
@@ -61,7 +77,7 @@ function matchJobsToPlan(planId, options = {}) {
 
     // Get industry jobs within time window
     // Query personal jobs for characters AND corporate jobs for corporations
-    const timeWindow = Date.now() - (maxDaysAgo * 24 * 60 * 60 * 1000);
+    const timeWindow = Date.now() - (maxDaysAgo * DAY_MS);
     let jobs = [];
 
     // Build query based on what IDs we have
@@ -103,116 +119,282 @@ function matchJobsToPlan(planId, options = {}) {
       `).all(...corpIds, timeWindow);
     }
 
-    if (jobs.length === 0) {
+    // A job already pending or confirmed in any plan is taken
+    const claimedJobIds = new Set(db.prepare(`
+      SELECT job_id FROM plan_job_matches
+      WHERE status IN ('pending', 'confirmed')
+    `).all().map(m => m.job_id));
+
+    const openJobs = jobs.filter(job => !claimedJobIds.has(job.job_id));
+    if (openJobs.length === 0) {
       return [];
     }
 
-    // Check for existing matches (don't re-match)
-    const existingMatches = db.prepare(`
-      SELECT job_id FROM plan_job_matches
-      WHERE plan_id = ? AND status IN ('pending', 'confirmed')
-    `).all(planId).map(m => m.job_id);
+    // Blueprints competing for the same jobs: this plan's and other open plans' (drafts included)
+    const typeIds = [...new Set(planBlueprints.map(pb => pb.blueprint_type_id))];
+    const competingBlueprints = db.prepare(`
+      SELECT pb.* FROM plan_blueprints pb
+      JOIN manufacturing_plans mp ON mp.plan_id = pb.plan_id
+      WHERE pb.blueprint_type_id IN (${typeIds.map(() => '?').join(',')})
+        AND (pb.plan_id = ? OR mp.status IN (${OPEN_STATUSES.map(() => '?').join(',')}))
+      ORDER BY pb.added_at DESC
+    `).all(...typeIds, planId, ...OPEN_STATUSES);
+
+    const planIds = [...new Set(competingBlueprints.map(pb => pb.plan_id))];
+    const plansById = new Map(db.prepare(`
+      SELECT * FROM manufacturing_plans WHERE plan_id IN (${planIds.map(() => '?').join(',')})
+    `).all(...planIds).map(p => [p.plan_id, p]));
+
+    // Runs already covered by pending/confirmed jobs, per blueprint
+    const coveredRuns = new Map(db.prepare(`
+      SELECT jm.plan_blueprint_id, SUM(ij.runs) AS runs
+      FROM plan_job_matches jm
+      JOIN esi_industry_jobs ij ON ij.job_id = jm.job_id
+      WHERE jm.status IN ('pending', 'confirmed')
+      GROUP BY jm.plan_blueprint_id
+    `).all().map(r => [r.plan_blueprint_id, r.runs || 0]));
+
+    const rejectedPairs = new Set(db.prepare(`
+      SELECT plan_blueprint_id, job_id FROM plan_job_matches WHERE status = 'rejected'
+    `).all().map(r => `${r.plan_blueprint_id}:${r.job_id}`));
+
+    const facilities = await resolveJobFacilities(openJobs);
+    const weights = getJobMatchWeights(db);
+
+    const candidates = [];
+    for (const job of openJobs) {
+      for (const planBlueprint of competingBlueprints) {
+        if (planBlueprint.blueprint_type_id !== job.blueprint_type_id) continue;
+        // Runs already covered by matched jobs leave nothing for another job
+        if ((coveredRuns.get(planBlueprint.plan_blueprint_id) || 0) >= planBlueprint.runs) continue;
+        if (rejectedPairs.has(`${planBlueprint.plan_blueprint_id}:${job.job_id}`)) continue;
+        candidates.push({
+          job,
+          planBlueprint,
+          plan: plansById.get(planBlueprint.plan_id),
+          facility: facilities.get(job.job_id) || null,
+        });
+      }
+    }
 
-    // Match jobs to plan blueprints
-    const matches = [];
+    const assignments = assignJobsGlobally(candidates, { coveredRuns, weights, minConfidence });
 
-    for (const job of jobs) {
-      // Skip if already matched
-      if (existingMatches.includes(job.job_id)) {
-        continue;
-      }
+    return assignments
+      .filter(match => match.planBlueprint.plan_id === planId)
+      .sort((a, b) => b.confidence - a.confidence);
 
-      // Find matching plan blueprints (same blueprint type)
-      const matchingBlueprints = planBlueprints.filter(pb =>
-        pb.blueprint_type_id === job.blueprint_type_id
-      );
+  } catch (error) {
+    console.error('Error matching jobs to plan:', error);
+    throw error;
+  }
+}
 
-      if (matchingBlueprints.length === 0) {
-        continue;
-      }
+/**
+ * Resolve each job's facility, falling back to its output location when the
+ * facility itself cannot be resolved
+ * @param {Array} jobs - esi_industry_jobs rows
+ * @returns {Promise<Map<number, Object|null>>} job_id → resolved facility
+ */
+async function resolveJobFacilities(jobs) {
+  const { resolveFacility } = require('./location-resolver');
+  const facilities = new Map();
 
-      // Calculate confidence for each matching blueprint
-      for (const planBlueprint of matchingBlueprints) {
-        const matchScore = calculateJobMatchScore(job, planBlueprint, plan);
+  await Promise.all(jobs.map(async job => {
+    const isCorporation = job.is_corporation === 1;
+    try {
+      const facility = await resolveFacility(job.facility_id, job.character_id, isCorporation)
+        || await resolveFacility(job.location_id, job.character_id, isCorporation);
+      facilities.set(job.job_id, facility || null);
+    } catch (error) {
+      console.error(`[Plan Matching] Error resolving facility for job ${job.job_id}:`, error);
+      facilities.set(job.job_id, null);
+    }
+  }));
 
-        if (matchScore.confidence >= minConfidence) {
-          matches.push({
-            job,
-            planBlueprint,
-            ...matchScore
-          });
-        }
+  return facilities;
+}
+
+/**
+ * Assign jobs to blueprints across all plans, best confidence first. Scores
+ * are recomputed after every assignment, since covering part of a blueprint's
+ * runs changes how well the next job fits it.
+ * @param {Array} candidates - [{ job, planBlueprint, plan, facility }]
+ * @param {Object} context
+ * @param {Map} context.coveredRuns - plan_blueprint_id → runs already matched
+ * @param {Object} context.weights - Model weights
+ * @param {number} context.minConfidence - Minimum confidence to assign
+ * @returns {Array} [{ job, planBlueprint, confidence, matchReason }]
+ */
+function assignJobsGlobally(candidates, { coveredRuns, weights, minConfidence }) {
+  const covered = new Map(coveredRuns);
+  const assignments = [];
+  let open = candidates;
+
+  while (open.length > 0) {
+    let best = null;
+    for (const candidate of open) {
+      const score = calculateJobMatchScore(candidate.job, candidate.planBlueprint, candidate.plan, {
+        facility: candidate.facility,
+        coveredRuns: covered.get(candidate.planBlueprint.plan_blueprint_id) || 0,
+        weights,
+      });
+      if (score.confidence < minConfidence) continue;
+      if (!best || score.confidence > best.score.confidence) {
+        best = { candidate, score };
       }
     }
+    if (!best) break;
 
-    return matches.sort((a, b) => b.confidence - a.confidence);
+    const { job, planBlueprint } = best.candidate;
+    const rivalPlanIds = [...new Set(open
+      .filter(c => c.job.job_id === job.job_id && c.planBlueprint.plan_id !== planBlueprint.plan_id)
+      .map(c => c.planBlueprint.plan_id))];
 
-  } catch (error) {
-    console.error('Error matching jobs to plan:', error);
-    throw error;
+    const reasons = JSON.parse(best.score.matchReason);
+    if (rivalPlanIds.length > 0) {
+      reasons.push({ criterion: 'competing_plans', match: true, count: rivalPlanIds.length });
+    }
+
+    assignments.push({
+      job,
+      planBlueprint,
+      confidence: best.score.confidence,
+      matchReason: JSON.stringify(reasons),
+    });
+
+    const blueprintId = planBlueprint.plan_blueprint_id;
+    covered.set(blueprintId, (covered.get(blueprintId) || 0) + (job.runs || 0));
+
+    open = open.filter(c =>
+      c.job.job_id !== job.job_id &&
+      (covered.get(c.planBlueprint.plan_blueprint_id) || 0) < c.planBlueprint.runs
+    );
   }
+
+  return assignments;
 }
 
 /**
- * Calculate confidence score for a job-blueprint match
+ * Compare a resolved job facility with a plan blueprint's facility snapshot
+ * @param {Object|null} facility - From location-resolver resolveFacility
+ * @param {string|null} facilitySnapshot - plan_blueprints.facility_snapshot
+ * @returns {{ value: number|null, detail: Object }}
  */
-function calculateJobMatchScore(job, planBlueprint, plan) {
-  let confidence = 0.0;
-  const reasons = [];
-
-  // Base confidence for blueprint type match
-  confidence = 0.3;
-  reasons.push({ criterion: 'blueprint_type', match: true, weight: 0.3 });
+function compareFacility(facility, facilitySnapshot) {
+  let snapshot = null;
+  try {
+    snapshot = facilitySnapshot ? JSON.parse(facilitySnapshot) : null;
+  } catch (e) {
+    // Unreadable snapshot - treat as no facility
+  }
 
-  // Exact runs match
-  if (job.runs === planBlueprint.runs) {
-    confidence += 0.4;
-    reasons.push({ criterion: 'exact_runs', match: true, weight: 0.4, value: job.runs });
-  } else {
-    reasons.push({ criterion: 'exact_runs', match: false, weight: 0.0, expected: planBlueprint.runs, actual: job.runs });
+  if (!snapshot || !snapshot.systemId) {
+    return { value: null, detail: { note: 'No facility on the plan blueprint' } };
+  }
+  if (!facility) {
+    return { value: null, detail: { expected: snapshot.name || null, note: 'Job facility could not be resolved' } };
   }
 
-  // Facility match
-  if (planBlueprint.facility_snapshot) {
-    try {
-      const facilitySnapshot = JSON.parse(planBlueprint.facility_snapshot);
-      // Check if job facility matches (would need to lookup facility by ID)
-      // For now, we can't reliably match without more facility data
-      reasons.push({ criterion: 'facility', match: 'unknown', weight: 0.0 });
-    } catch (e) {
-      // Ignore parse errors
-    }
+  const detail = { expected: snapshot.name || null, actual: facility.name || null };
+  if (Number(facility.systemId) !== Number(snapshot.systemId)) {
+    return { value: 0, detail: { ...detail, note: 'Different system' } };
   }
 
-  // Time window match (job started within 7 days of plan update)
-  const planUpdated = plan.updated_at * 1000;
-  const jobStarted = job.start_date * 1000;
-  const daysDiff = Math.abs((jobStarted - planUpdated) / (1000 * 60 * 60 * 24));
+  const sameName = !!(facility.name && snapshot.name &&
+    facility.name.toLowerCase() === snapshot.name.toLowerCase());
+  const snapshotIsStation = snapshot.facilityType === 'station' || !snapshot.structureTypeId;
+  const sameKind = facility.locationType === 'npc-station'
+    ? snapshotIsStation
+    : Number(facility.structureTypeId) === Number(snapshot.structureTypeId);
+
+  if (sameName || sameKind) {
+    return { value: 1, detail: { ...detail, note: sameName ? 'Same facility' : 'Same system and facility type' } };
+  }
+  return { value: 0.5, detail: { ...detail, note: 'Same system, different facility type' } };
+}
 
-  if (daysDiff <= 7) {
-    confidence += 0.2;
-    reasons.push({ criterion: 'time_window_7d', match: true, weight: 0.2, daysDiff: daysDiff.toFixed(1) });
+/**
+ * Calculate confidence score for a job-blueprint match
+ * @param {Object} job - esi_industry_jobs row
+ * @param {Object} planBlueprint - plan_blueprints row
+ * @param {Object} plan - manufacturing_plans row
+ * @param {Object} context
+ * @param {Object|null} context.facility - Resolved job facility
+ * @param {number} context.coveredRuns - Runs of this blueprint already matched
+ * @param {Object} context.weights - Model weights
+ * @returns {{ confidence: number, matchReason: string, features: Object }} matchReason
+ *   is a JSON array with one entry per criterion: its feature value, weight and
+ *   contribution to the score
+ */
+function calculateJobMatchScore(job, planBlueprint, plan, context = {}) {
+  const { facility = null, coveredRuns = 0, weights = DEFAULT_WEIGHTS } = context;
+  const details = {};
+  const features = {};
+
+  // Runs: a whole line, exactly what is left, or a partial split of it
+  const runsPerLine = Math.ceil(planBlueprint.runs / (planBlueprint.lines || 1));
+  const remainingRuns = planBlueprint.runs - coveredRuns;
+  if (remainingRuns <= 0) {
+    features.runs = 0;
+  } else if (job.runs === runsPerLine || job.runs === remainingRuns) {
+    features.runs = 1;
+  } else if (job.runs < remainingRuns) {
+    features.runs = 0.5;
   } else {
-    reasons.push({ criterion: 'time_window_7d', match: false, weight: 0.0, daysDiff: daysDiff.toFixed(1) });
+    features.runs = 0;
+  }
+  details.runs = { expected: runsPerLine, remaining: remainingRuns, actual: job.runs };
+
+  const facilityMatch = compareFacility(facility, planBlueprint.facility_snapshot);
+  features.facility = facilityMatch.value;
+  details.facility = facilityMatch.detail;
+
+  // Timing: started around the plan's last update; a job from well before
+  // the plan existed belongs to something else
+  if (job.start_date && plan && plan.updated_at) {
+    const daysDiff = Math.abs(job.start_date - plan.updated_at) / DAY_MS;
+    const predatesPlan = plan.created_at && job.start_date < plan.created_at - DAY_MS;
+    features.timing = predatesPlan ? 0 : Math.max(0, 1 - daysDiff / TIMING_FADE_DAYS);
+    details.timing = { daysDiff: daysDiff.toFixed(1), predatesPlan: !!predatesPlan };
+  } else {
+    features.timing = null;
+    details.timing = {};
   }
 
-  // Recent start bonus (within 24 hours)
-  if (daysDiff <= 1) {
-    confidence += 0.1;
-    reasons.push({ criterion: 'recent_start_24h', match: true, weight: 0.1 });
+  if (plan && plan.character_id) {
+    const ownJob = job.installer_id === plan.character_id ||
+      (job.is_corporation !== 1 && job.character_id === plan.character_id);
+    features.character = ownJob ? 1 : 0;
+  } else {
+    features.character = null;
   }
+  details.character = { installerId: job.installer_id };
 
-  // Cap confidence at 1.0
-  confidence = Math.min(confidence, 1.0);
+  const { confidence, contributions } = scoreFeatures(features, weights);
+
+  const reasons = [{ criterion: 'blueprint_type', match: true }];
+  for (const feature of MATCH_FEATURES) {
+    const value = features[feature];
+    reasons.push({
+      criterion: feature,
+      match: value == null ? 'unknown' : value >= 1 ? true : value <= 0 ? false : 'partial',
+      value,
+      weight: weights[feature],
+      contribution: contributions[feature],
+      ...details[feature],
+    });
+  }
 
   return {
     confidence,
-    matchReason: JSON.stringify(reasons)
+    matchReason: JSON.stringify(reasons),
+    features,
   };
 }
 
 /**
- * Save job matches to database
+ * Save job matches to database. A job that is already pending or confirmed
+ * in any plan is skipped, so one job never satisfies two plans.
  */
 function saveJobMatches(matches) {
   const db = getCharacterDatabase();
@@ -221,26 +403,34 @@ function saveJobMatches(matches) {
     INSERT INTO plan_job_matches (
       match_id, plan_id, plan_blueprint_id, job_id,
       match_confidence, match_reason, status
-    ) VALUES (?, ?, ?, ?, ?, ?, 'pending')
+    )
+    SELECT ?, ?, ?, ?, ?, ?, 'pending'
+    WHERE NOT EXISTS (
+      SELECT 1 FROM plan_job_matches
+      WHERE job_id = ? AND status IN ('pending', 'confirmed')
+    )
   `);
 
   const saveMany = db.transaction((matchArray) => {
+    let saved = 0;
     for (const match of matchArray) {
       const matchId = uuidv4();
-      insert.run(
+      saved += insert.run(
         matchId,
         match.planBlueprint.plan_id,
         match.planBlueprint.plan_blueprint_id,
         match.job.job_id,
         match.confidence,
-        match.matchReason
-      );
+        match.matchReason,
+        match.job.job_id
+      ).changes;
     }
+    return saved;
   });
 
   try {
-    saveMany(matches);
-    return { success: true, count: matches.length };
+    const count = saveMany(matches);
+    return { success: true, count };
   } catch (error) {
     console.error('Error saving job matches:', error);
     throw error;
@@ -276,12 +466,12 @@ function matchTransactionsToPlan(planId, options = {}) {
       throw new Error('Plan not found');
     }
 
-    // Get plan materials and products from plan_material_nodes
+    // Get plan materials (material nodes and buy items) and products
     const materials = db.prepare(`
       SELECT type_id, SUM(quantity_needed) as quantity,
              MAX(price_each) as base_price
-      FROM plan_material_nodes
-      WHERE plan_id = ? AND node_type = 'material'
+      FROM ${PLAN_MATERIAL_ROWS}
+      WHERE plan_id = ?
       GROUP BY type_id
     `).all(planId);
 
@@ -550,6 +740,14 @@ function confirmJobMatch(matchId) {
       WHERE match_id = ?
     `).run(Math.floor(Date.now() / 1000), matchId);
 
+    // A job satisfies one plan: drop suggestions of it elsewhere
+    db.prepare(`
+      DELETE FROM plan_job_matches
+      WHERE job_id = ? AND match_id != ? AND status = 'pending'
+    `).run(match.job_id, matchId);
+
+    recordJobMatchFeedback(db, match, 'confirmed');
+
     // Write the job-installation cost ledger row (real ESI cost).
     const job = db.prepare('SELECT * FROM esi_industry_jobs WHERE job_id = ?').get(match.job_id);
     writeJobLedgerRow(db, match, job);
@@ -580,6 +778,7 @@ function rejectJobMatch(matchId) {
     // Remove any ledger cost row written when this job was confirmed.
     if (match) {
       removeLedgerRowsForSource(db, match.plan_id, 'industry_job', match.job_id);
+      recordJobMatchFeedback(db, match, 'rejected');
     }
 
     return { success: result.changes > 0 };
@@ -1294,5 +1493,7 @@ module.exports = {
   unlinkJobMatch,
   getConfirmedTransactionMatches,
   unlinkTransactionMatch,
-  attributeJournalFeesToPlan
+  attributeJournalFeesToPlan,
+  // exported for tests
+  calculateJobMatchScore,
 };
@@ -0,0 +1,48 @@
+/**
+ * What a plan needs to acquire, and how much of it is still needed
+ *
+ * A plan's materials are its blueprint-derived material nodes plus its buy
+ * items (plan_buy_items: ready-made items without a blueprint in the plan,
+ * e.g. the faction modules of a doctrine). A material counts as acquired from
+ * every source getPlanMaterials reports: the ledger net (purchases, stockpile
+ * and mining allocations, manual entries), confirmed market purchases and
+ * confirmed manufacturing jobs. What is left is the figure the Materials tab
+ * shows as "still needed".
+ */
+
+// Plan material rows from both sources: plan_id, type_id, quantity_needed,
+// price_each, price_frozen_at, is_buy_item. Use as FROM ${PLAN_MATERIAL_ROWS}.
+const PLAN_MATERIAL_ROWS = `(
+  SELECT plan_id, type_id, quantity_needed, price_each, price_frozen_at, 0 AS is_buy_item
+  FROM plan_material_nodes
+  WHERE node_type = 'material'
+  UNION ALL
+  SELECT plan_id, type_id, quantity AS quantity_needed, price_each, price_frozen_at, 1 AS is_buy_item
+  FROM plan_buy_items
+)`;
+
+/**
+ * Units of a material acquired from all sources
+ * @param {Object} material - Item from getPlanMaterials
+ * @returns {number}
+ */
+function getAcquiredQuantity(material) {
+  return (material.manuallyAcquiredQuantity || 0) +
+    (material.purchasedQuantity || 0) +
+    (material.manufacturedQuantity || 0);
+}
+
+/**
+ * Units of a material the plan still needs
+ * @param {Object} material - Item from getPlanMaterials
+ * @returns {number} Never negative
+ */
+function getStillNeededQuantity(material) {
+  return Math.max(0, (material.quantity || 0) - getAcquiredQuantity(material));
+}
+
+module.exports = {
+  PLAN_MATERIAL_ROWS,
+  getAcquiredQuantity,
+  getStillNeededQuantity,
+};
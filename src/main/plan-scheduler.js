@@ -0,0 +1,380 @@
+/**
+ * Production scheduler for manufacturing plans
+ *
+ * Orders a plan's manufacturing and reaction jobs on a timeline:
+ *   - a blueprint row starts only after every row producing one of its inputs
+ *     has finished (edges come from plan_material_nodes: a node produced by
+ *     one row whose parent node is produced by another row)
+ *   - each row is split into its lines, and lines are split further so no job
+ *     runs longer than 30 days
+ *   - jobs are placed on the manufacturing/reaction slots of the plan's
+ *     default characters (all characters when none are set), starting with
+ *     slots that are free now and then as running jobs finish
+ *   - confirmed job matches are pinned to their real start and end dates
+ *
+ * Among the jobs whose inputs are scheduled, the one that can start earliest
+ * goes next; ties go to the job with the longest chain of work after it. The
+ * critical path is walked back from the last job to finish, following
+ * whatever held each job back (an input job or the job before it on its slot).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_JOB_DURATION_MS = 30 * DAY_MS;
+
+/**
+ * Split a row's runs into jobs: evenly across lines (the first lines take the
+ * remainder), then each line into jobs of at most 30 days
+ * @param {number} runs - Runs left to install
+ * @param {number} lines - Parallel lines
+ * @param {number} runDurationMs - Duration of one run
+ * @returns {Array} [{ line, runs }]
+ */
+function splitRunsIntoJobs(runs, lines, runDurationMs) {
+  if (runs <= 0) return [];
+
+  const lineCount = Math.min(Math.max(1, lines || 1), runs);
+  const maxRunsPerJob = runDurationMs > 0
+    ? Math.max(1, Math.floor(MAX_JOB_DURATION_MS / runDurationMs))
+    : runs;
+  const baseRuns = Math.floor(runs / lineCount);
+
+  const jobs = [];
+  for (let line = 0; line < lineCount; line++) {
+    let lineRuns = baseRuns + (line < runs % lineCount ? 1 : 0);
+    while (lineRuns > 0) {
+      const jobRuns = Math.min(lineRuns, maxRunsPerJob);
+      jobs.push({ line, runs: jobRuns });
+      lineRuns -= jobRuns;
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Which rows each row waits for, from the material tree
+ * @param {Array} nodes - plan_material_nodes rows (node_id, parent_node_id, source_plan_blueprint_id)
+ * @returns {Map} consumer plan_blueprint_id → Set of producer plan_blueprint_ids
+ */
+function buildDependencies(nodes) {
+  const nodeById = new Map(nodes.map(node => [node.node_id, node]));
+  const dependencies = new Map();
+
+  for (const node of nodes) {
+    const producer = node.source_plan_blueprint_id;
+    const parent = nodeById.get(node.parent_node_id);
+    const consumer = parent?.source_plan_blueprint_id;
+    if (!producer || !consumer || producer === consumer) continue;
+
+    if (!dependencies.has(consumer)) dependencies.set(consumer, new Set());
+    dependencies.get(consumer).add(producer);
+  }
+  return dependencies;
+}
+
+/**
+ * Place jobs on character slots
+ * @param {Array} jobs - [{ key, planBlueprintId, category, durationMs, fixed: { start, end, characterId, characterName } | null }]
+ * @param {Map} dependencies - From buildDependencies
+ * @param {Array} slotTimes - From industry-slots getSlotFreeTimes
+ * @param {number} now - Current time in ms
+ * @returns {Object} { jobs: [{ ...job, start, end, characterId, characterName, unassigned, critical, waitsFor }],
+ *   projectedCompletion, criticalPath }
+ */
+function scheduleJobs(jobs, dependencies, slotTimes, now = Date.now()) {
+  const jobsByRow = new Map();
+  for (const job of jobs) {
+    if (!jobsByRow.has(job.planBlueprintId)) jobsByRow.set(job.planBlueprintId, []);
+    jobsByRow.get(job.planBlueprintId).push(job);
+  }
+
+  // Only rows that have jobs on this timeline hold anything back
+  const producersOf = (rowId) => [...(dependencies.get(rowId) || [])].filter(id => jobsByRow.has(id) && id !== rowId);
+  const consumersOf = new Map();
+  for (const rowId of jobsByRow.keys()) {
+    for (const producer of producersOf(rowId)) {
+      if (!consumersOf.has(producer)) consumersOf.set(producer, []);
+      consumersOf.get(producer).push(rowId);
+    }
+  }
+
+  // Longest chain of work from a row to the end of the plan
+  const tailLength = new Map();
+  const visiting = new Set();
+  const getTailLength = (rowId) => {
+    if (tailLength.has(rowId)) return tailLength.get(rowId);
+    if (visiting.has(rowId)) return 0; // Circular reference in the tree
+    visiting.add(rowId);
+    const own = Math.max(...jobsByRow.get(rowId).map(job => job.fixed ? 0 : job.durationMs));
+    const after = Math.max(0, ...(consumersOf.get(rowId) || []).map(getTailLength));
+    visiting.delete(rowId);
+    tailLength.set(rowId, own + after);
+    return own + after;
+  };
+
+  const lanes = slotTimes.flatMap(character => Object.entries(character.slots).flatMap(([category, freeTimes]) =>
+    freeTimes.map(freeAt => ({
+      characterId: character.characterId,
+      characterName: character.characterName,
+      category,
+      freeAt: Math.max(freeAt, now),
+      lastJobKey: null,
+    }))
+  ));
+
+  const placed = new Map();
+  for (const job of jobs) {
+    if (!job.fixed) continue;
+    placed.set(job.key, {
+      ...job,
+      start: job.fixed.start,
+      end: job.fixed.end,
+      characterId: job.fixed.characterId ?? null,
+      characterName: job.fixed.characterName ?? null,
+      unassigned: false,
+      waitsFor: null,
+    });
+  }
+
+  const isRowPlaced = (rowId) => jobsByRow.get(rowId).every(job => placed.has(job.key));
+
+  // Latest-finishing input job, and when all inputs are done
+  const getReadyAt = (job) => {
+    let readyAt = now;
+    let blockingKey = null;
+    for (const producer of producersOf(job.planBlueprintId)) {
+      for (const input of jobsByRow.get(producer)) {
+        const end = placed.get(input.key)?.end; // Unplaced only inside a circular reference
+        if (end > readyAt) {
+          readyAt = end;
+          blockingKey = input.key;
+        }
+      }
+    }
+    return { readyAt, blockingKey };
+  };
+
+  // Slot with the earliest start; null when no character can run this category
+  const findLane = (category, readyAt) => {
+    let best = null;
+    for (const lane of lanes) {
+      if (lane.category !== category || lane.freeAt === Infinity) continue;
+      if (!best || Math.max(readyAt, lane.freeAt) < Math.max(readyAt, best.freeAt)) best = lane;
+    }
+    return best;
+  };
+
+  const pending = jobs.filter(job => !job.fixed);
+  while (pending.length > 0) {
+    let ready = pending.filter(job => producersOf(job.planBlueprintId).every(isRowPlaced));
+    if (ready.length === 0) {
+      console.warn('[Plan Scheduler] Circular dependency between plan rows, ignoring it for the remaining jobs');
+      ready = pending;
+    }
+
+    let next = null;
+    for (const job of ready) {
+      const { readyAt, blockingKey } = getReadyAt(job);
+      const lane = findLane(job.category, readyAt);
+      const start = lane ? Math.max(readyAt, lane.freeAt) : readyAt;
+      const better = !next || start < next.start ||
+        (start === next.start && getTailLength(job.planBlueprintId) > getTailLength(next.job.planBlueprintId));
+      if (better) next = { job, start, readyAt, blockingKey, lane };
+    }
+
+    const { job, start, readyAt, blockingKey, lane } = next;
+    const end = start + job.durationMs;
+    placed.set(job.key, {
+      ...job,
+      start,
+      end,
+      characterId: lane?.characterId ?? null,
+      characterName: lane?.characterName ?? null,
+      unassigned: !lane,
+      waitsFor: lane && lane.freeAt > readyAt ? lane.lastJobKey : blockingKey,
+    });
+    if (lane) {
+      lane.freeAt = end;
+      lane.lastJobKey = job.key;
+    }
+    pending.splice(pending.indexOf(job), 1);
+  }
+
+  const scheduled = jobs.map(job => placed.get(job.key));
+  const last = scheduled.reduce((latest, job) => (!latest || job.end > latest.end ? job : latest), null);
+
+  const criticalPath = [];
+  for (let job = last; job; job = job.waitsFor ? placed.get(job.waitsFor) : null) {
+    criticalPath.unshift(job.key);
+  }
+  const critical = new Set(criticalPath);
+
+  return {
+    jobs: scheduled.map(job => ({ ...job, critical: critical.has(job.key) })),
+    projectedCompletion: last ? last.end : null,
+    criticalPath,
+  };
+}
+
+/**
+ * Duration of one run of a plan row in ms, with its TE, facility and the plan
+ * character's skills
+ * @param {Object} row - plan_blueprints row
+ * @param {number} characterId - Plan character
+ * @returns {Promise<number>}
+ */
+async function getRunDuration(row, characterId) {
+  const facility = row.facility_snapshot ? JSON.parse(row.facility_snapshot) : null;
+
+  if (row.blueprint_type === 'reaction') {
+    const { getReactionTime, calculateReactionTime } = require('./reaction-calculator');
+    const baseTime = await getReactionTime(row.blueprint_type_id);
+    return calculateReactionTime(baseTime, 1, facility, characterId) * 1000;
+  }
+
+  const { calculateManufacturingTime } = require('./blueprint-calculator');
+  const time = calculateManufacturingTime(row.blueprint_type_id, row.te_level || 0, 1, facility, null, characterId);
+  return (time?.timePerRun || 0) * 1000;
+}
+
+/**
+ * Build the production schedule of a plan
+ * @param {string} planId - Plan ID
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<Object>} { planId, now, projectedCompletion, criticalPath, jobs, warnings }
+ */
+async function getPlanSchedule(planId, now = Date.now()) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getPlanIndustrySettings } = require('./manufacturing-plans');
+  const { getSlotFreeTimes } = require('./industry-slots');
+  const { getTypeNames } = require('./sde-database');
+  const db = getCharacterDatabase();
+
+  const plan = db.prepare('SELECT plan_id, character_id FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+
+  const rows = db.prepare(`
+    SELECT * FROM plan_blueprints WHERE plan_id = ? ORDER BY added_at
+  `).all(planId).filter(row => row.use_intermediates !== 'buy');
+
+  const confirmedJobs = db.prepare(`
+    SELECT jm.plan_blueprint_id, ij.job_id, ij.installer_id, ij.runs, ij.status, ij.start_date, ij.end_date
+    FROM plan_job_matches jm
+    JOIN esi_industry_jobs ij ON ij.job_id = jm.job_id
+    WHERE jm.plan_id = ? AND jm.status = 'confirmed'
+    ORDER BY ij.start_date
+  `).all(planId);
+
+  const characterNames = new Map();
+  const planSettings = getPlanIndustrySettings(planId);
+  const defaultCharacters = planSettings?.defaultCharacters || [];
+  const slotTimes = getSlotFreeTimes(now).filter(character => {
+    characterNames.set(character.characterId, character.characterName);
+    return defaultCharacters.length === 0 || defaultCharacters.includes(character.characterId);
+  });
+
+  const jobs = [];
+  for (const row of rows) {
+    const category = row.blueprint_type === 'reaction' ? 'reactions' : 'manufacturing';
+    const rowJobs = confirmedJobs.filter(job => job.plan_blueprint_id === row.plan_blueprint_id);
+
+    for (const job of rowJobs) {
+      jobs.push({
+        key: `job:${job.job_id}`,
+        planBlueprintId: row.plan_blueprint_id,
+        blueprintTypeId: row.blueprint_type_id,
+        category,
+        runs: job.runs,
+        durationMs: Math.max(0, (job.end_date || now) - (job.start_date || now)),
+        jobId: job.job_id,
+        jobStatus: job.status,
+        overLimit: false,
+        fixed: {
+          start: job.start_date || now,
+          end: job.end_date || now,
+          characterId: job.installer_id,
+          characterName: characterNames.get(job.installer_id) || null,
+        },
+      });
+    }
+
+    if (row.is_built) continue;
+
+    const remainingRuns = row.runs - rowJobs.reduce((sum, job) => sum + job.runs, 0);
+    if (remainingRuns <= 0) continue;
+
+    let runDuration = 0;
+    try {
+      runDuration = await getRunDuration(row, plan.character_id);
+    } catch (error) {
+      console.error(`[Plan Scheduler] Error getting job time for ${row.plan_blueprint_id}:`, error);
+    }
+
+    const remainingLines = Math.max(1, (row.lines || 1) - rowJobs.length);
+    splitRunsIntoJobs(remainingRuns, remainingLines, runDuration).forEach((split, index) => {
+      jobs.push({
+        key: `${row.plan_blueprint_id}:${index}`,
+        planBlueprintId: row.plan_blueprint_id,
+        blueprintTypeId: row.blueprint_type_id,
+        category,
+        runs: split.runs,
+        durationMs: Math.round(runDuration * split.runs),
+        jobId: null,
+        jobStatus: null,
+        // A single run longer than 30 days cannot be installed
+        overLimit: runDuration > MAX_JOB_DURATION_MS,
+        fixed: null,
+      });
+    });
+  }
+
+  const nodes = db.prepare(`
+    SELECT node_id, parent_node_id, source_plan_blueprint_id
+    FROM plan_material_nodes
+    WHERE plan_id = ?
+  `).all(planId);
+
+  const dependencies = buildDependencies(nodes);
+  const { jobs: scheduled, projectedCompletion, criticalPath } = scheduleJobs(jobs, dependencies, slotTimes, now);
+
+  let names = {};
+  try {
+    names = await getTypeNames([...new Set(rows.map(row => row.blueprint_type_id))]);
+  } catch (error) {
+    console.error('[Plan Scheduler] Error loading blueprint names:', error);
+  }
+
+  const warnings = [];
+  for (const category of ['manufacturing', 'reactions']) {
+    if (scheduled.some(job => job.unassigned && job.category === category)) {
+      warnings.push(`None of the plan characters can run ${category} jobs; those jobs are shown without slot limits`);
+    }
+  }
+  if (scheduled.some(job => job.overLimit)) {
+    warnings.push('Some jobs take longer than 30 days for a single run');
+  }
+
+  return {
+    planId,
+    now,
+    projectedCompletion,
+    criticalPath,
+    warnings,
+    jobs: scheduled.map(({ fixed, ...job }) => ({
+      ...job,
+      blueprintName: names[job.blueprintTypeId] || `Type ${job.blueprintTypeId}`,
+      confirmed: Boolean(fixed),
+      dependsOn: [...(dependencies.get(job.planBlueprintId) || [])],
+    })),
+  };
+}
+
+module.exports = {
+  MAX_JOB_DURATION_MS,
+  splitRunsIntoJobs,
+  buildDependencies,
+  scheduleJobs,
+  getPlanSchedule,
+};
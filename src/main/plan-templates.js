@@ -0,0 +1,460 @@
+/**
+ * Plan templates and recurring production cycles
+ *
+ * A template is a saved plan definition: the plan export document
+ * (plan-export.js) of its source plan, without actuals or price overrides.
+ * New plans are spawned from it on demand or on a schedule, with the top-level
+ * runs scaled by a multiplier, through importPlan() — which rebuilds the
+ * material tree with recalculatePlanMaterials() at current prices.
+ *
+ * Every spawned plan is a numbered cycle of its template, so profit can be
+ * compared across cycles.
+ */
+
+const { randomUUID } = require('crypto');
+const { getCharacterDatabase } = require('./character-database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Hourly; schedules are in days
+
+let scheduleHandle = null;
+
+/**
+ * Convert a plan_templates row to the API shape
+ * @param {Object} row - plan_templates row, optionally with cycle_count and last_cycle_at
+ * @returns {Object} Template
+ */
+function toTemplate(row) {
+  let definition = null;
+  try {
+    definition = JSON.parse(row.definition);
+  } catch (error) {
+    console.error(`[Plan Templates] Malformed definition for template ${row.template_id}:`, error.message);
+  }
+
+  return {
+    templateId: row.template_id,
+    characterId: row.character_id,
+    templateName: row.template_name,
+    description: row.description,
+    sourcePlanId: row.source_plan_id,
+    defaultMultiplier: row.default_multiplier,
+    scheduleIntervalDays: row.schedule_interval_days,
+    nextRunAt: row.next_run_at,
+    blueprintCount: definition ? definition.blueprints.filter(bp => !bp.isIntermediate).length : 0,
+    cycleCount: row.cycle_count || 0,
+    lastCycleAt: row.last_cycle_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validate a multiplier
+ * @param {number} multiplier - Run multiplier
+ * @returns {number} The multiplier as a number
+ * @throws {Error} If it is not a positive number
+ */
+function validateMultiplier(multiplier) {
+  const value = Number(multiplier);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Multiplier must be a positive number');
+  }
+  return value;
+}
+
+/**
+ * Validate a schedule interval
+ * @param {number|null} days - Days between cycles, or null for no schedule
+ * @returns {number|null} Whole days, or null
+ * @throws {Error} If it is not a positive whole number of days
+ */
+function validateInterval(days) {
+  if (days == null || days === '') return null;
+  const value = Number(days);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error('Schedule interval must be a whole number of days');
+  }
+  return value;
+}
+
+/**
+ * Save a plan as a template
+ * @param {string} planId - Plan to save
+ * @param {Object} options - Template options
+ * @param {string} options.templateName - Template name (default: the plan name)
+ * @param {string} options.description - Template description
+ * @param {number} options.defaultMultiplier - Multiplier for scheduled cycles (default: 1)
+ * @param {number|null} options.scheduleIntervalDays - Days between scheduled cycles (default: none)
+ * @returns {Object} Created template
+ */
+function createTemplateFromPlan(planId, options = {}) {
+  const { exportPlan } = require('./plan-export');
+  const db = getCharacterDatabase();
+
+  const definition = exportPlan(planId, { includeActuals: false });
+  // Spawned plans are priced at current prices, and blueprint research is a
+  // one-off: only copy jobs recur
+  definition.priceOverrides = [];
+  definition.researchJobs = (definition.researchJobs || []).filter(job => job.jobType === 'copying');
+
+  const defaultMultiplier = validateMultiplier(options.defaultMultiplier ?? 1);
+  const interval = validateInterval(options.scheduleIntervalDays);
+  const templateName = (options.templateName || '').trim() || definition.plan.planName;
+  const now = Date.now();
+  const templateId = randomUUID();
+
+  try {
+    db.prepare(`
+      INSERT INTO plan_templates (
+        template_id, character_id, template_name, description, source_plan_id, definition,
+        default_multiplier, schedule_interval_days, next_run_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      templateId,
+      definition.plan.characterId,
+      templateName,
+      options.description ?? definition.plan.description ?? null,
+      planId,
+      JSON.stringify(definition),
+      defaultMultiplier,
+      interval,
+      interval ? now + interval * DAY_MS : null,
+      now,
+      now
+    );
+  } catch (error) {
+    console.error('[Plan Templates] Error saving template:', error);
+    throw error;
+  }
+
+  console.log(`[Plan Templates] Saved plan ${planId} as template ${templateId} (${templateName})`);
+  return getPlanTemplate(templateId);
+}
+
+/**
+ * Get a template
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template or null
+ */
+function getPlanTemplate(templateId) {
+  const db = getCharacterDatabase();
+  const row = db.prepare(`
+    SELECT t.*,
+           (SELECT COUNT(*) FROM plan_template_cycles c WHERE c.template_id = t.template_id) AS cycle_count,
+           (SELECT MAX(created_at) FROM plan_template_cycles c WHERE c.template_id = t.template_id) AS last_cycle_at
+    FROM plan_templates t
+    WHERE t.template_id = ?
+  `).get(templateId);
+
+  return row ? toTemplate(row) : null;
+}
+
+/**
+ * Get a character's templates
+ * @param {number} characterId - Character ID
+ * @returns {Array} Templates, by name
+ */
+function getPlanTemplates(characterId) {
+  const db = getCharacterDatabase();
+
+  try {
+    return db.prepare(`
+      SELECT t.*,
+             (SELECT COUNT(*) FROM plan_template_cycles c WHERE c.template_id = t.template_id) AS cycle_count,
+             (SELECT MAX(created_at) FROM plan_template_cycles c WHERE c.template_id = t.template_id) AS last_cycle_at
+      FROM plan_templates t
+      WHERE t.character_id = ?
+      ORDER BY t.template_name COLLATE NOCASE
+    `).all(characterId).map(toTemplate);
+  } catch (error) {
+    console.error('[Plan Templates] Error getting templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Update a template's name, description, multiplier or schedule. Setting a
+ * new interval starts the schedule from now.
+ * @param {string} templateId - Template ID
+ * @param {Object} updates - { templateName, description, defaultMultiplier, scheduleIntervalDays }
+ * @returns {Object} Updated template
+ */
+function updatePlanTemplate(templateId, updates = {}) {
+  const db = getCharacterDatabase();
+  const row = db.prepare('SELECT * FROM plan_templates WHERE template_id = ?').get(templateId);
+  if (!row) {
+    throw new Error('Template not found');
+  }
+
+  const now = Date.now();
+  const fields = [];
+  const values = [];
+
+  if (updates.templateName !== undefined) {
+    const name = String(updates.templateName).trim();
+    if (!name) throw new Error('Template name is required');
+    fields.push('template_name = ?');
+    values.push(name);
+  }
+  if (updates.description !== undefined) {
+    fields.push('description = ?');
+    values.push(updates.description || null);
+  }
+  if (updates.defaultMultiplier !== undefined) {
+    fields.push('default_multiplier = ?');
+    values.push(validateMultiplier(updates.defaultMultiplier));
+  }
+  if (updates.scheduleIntervalDays !== undefined) {
+    const interval = validateInterval(updates.scheduleIntervalDays);
+    fields.push('schedule_interval_days = ?', 'next_run_at = ?');
+    values.push(interval, interval && interval !== row.schedule_interval_days
+      ? now + interval * DAY_MS
+      : (interval ? row.next_run_at : null));
+  }
+
+  if (fields.length > 0) {
+    fields.push('updated_at = ?');
+    values.push(now, templateId);
+    db.prepare(`UPDATE plan_templates SET ${fields.join(', ')} WHERE template_id = ?`).run(...values);
+  }
+
+  return getPlanTemplate(templateId);
+}
+
+/**
+ * Delete a template and its cycle history. Plans spawned from it are kept.
+ * @param {string} templateId - Template ID
+ * @returns {boolean} Whether a template was deleted
+ */
+function deletePlanTemplate(templateId) {
+  const db = getCharacterDatabase();
+
+  try {
+    const result = db.transaction(() => {
+      db.prepare('DELETE FROM plan_template_cycles WHERE template_id = ?').run(templateId);
+      return db.prepare('DELETE FROM plan_templates WHERE template_id = ?').run(templateId);
+    })();
+    return result.changes > 0;
+  } catch (error) {
+    console.error('[Plan Templates] Error deleting template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Scale a template definition's runs. Only top-level blueprints and copy jobs
+ * are scaled: intermediate runs are recomputed from their parents when the
+ * spawned plan is recalculated.
+ * @param {Object} definition - Plan export document
+ * @param {number} multiplier - Run multiplier
+ * @returns {Object} Scaled copy of the definition
+ */
+function scaleTemplateDefinition(definition, multiplier) {
+  const scale = value => Math.max(1, Math.ceil((value || 1) * multiplier));
+
+  return {
+    ...definition,
+    blueprints: definition.blueprints.map(bp => (bp.isIntermediate ? { ...bp } : { ...bp, runs: scale(bp.runs) })),
+    researchJobs: (definition.researchJobs || []).map(job => ({ ...job, copies: scale(job.copies) })),
+  };
+}
+
+/**
+ * Spawn a new plan from a template as its next cycle
+ * @param {string} templateId - Template ID
+ * @param {Object} options - Spawn options
+ * @param {number} options.multiplier - Run multiplier (default: the template's default multiplier)
+ * @param {string} options.trigger - 'manual' | 'schedule' (default: 'manual')
+ * @returns {Promise<Object>} { templateId, planId, planName, cycleNumber, multiplier, unmappedFacilities }
+ */
+async function spawnPlanFromTemplate(templateId, options = {}) {
+  const { importPlan } = require('./plan-export');
+  const db = getCharacterDatabase();
+
+  const row = db.prepare('SELECT * FROM plan_templates WHERE template_id = ?').get(templateId);
+  if (!row) {
+    throw new Error('Template not found');
+  }
+
+  const { trigger = 'manual' } = options;
+  const multiplier = validateMultiplier(options.multiplier ?? row.default_multiplier);
+  const cycleNumber = (db.prepare(`
+    SELECT MAX(cycle_number) AS n FROM plan_template_cycles WHERE template_id = ?
+  `).get(templateId).n || 0) + 1;
+  const planName = `${row.template_name} #${cycleNumber}`;
+
+  const definition = scaleTemplateDefinition(JSON.parse(row.definition), multiplier);
+  const result = await importPlan(definition, {
+    characterId: row.character_id,
+    planName,
+    includeActuals: false,
+    status: 'draft',
+  });
+
+  db.prepare(`
+    INSERT INTO plan_template_cycles (cycle_id, template_id, plan_id, cycle_number, multiplier, trigger, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(randomUUID(), templateId, result.planId, cycleNumber, multiplier, trigger, Date.now());
+
+  console.log(`[Plan Templates] Spawned cycle ${cycleNumber} of template ${templateId} (x${multiplier}, ${trigger}): plan ${result.planId}`);
+  return {
+    templateId,
+    planId: result.planId,
+    planName,
+    cycleNumber,
+    multiplier,
+    unmappedFacilities: result.unmappedFacilities,
+  };
+}
+
+/**
+ * Spawn the next cycle of every template whose schedule is due. A template
+ * that missed several cycles (app closed) spawns once and its schedule moves
+ * past now.
+ * @param {number} now - Current time (default: Date.now())
+ * @returns {Promise<Array>} Spawn results
+ */
+async function runDueTemplates(now = Date.now()) {
+  const db = getCharacterDatabase();
+  const due = db.prepare(`
+    SELECT template_id, schedule_interval_days, next_run_at
+    FROM plan_templates
+    WHERE schedule_interval_days IS NOT NULL AND next_run_at IS NOT NULL AND next_run_at <= ?
+  `).all(now);
+
+  const spawned = [];
+  for (const template of due) {
+    const interval = template.schedule_interval_days * DAY_MS;
+    let next = template.next_run_at + interval;
+    while (next <= now) next += interval;
+    // Move the schedule first so a failing spawn is not retried every check
+    db.prepare('UPDATE plan_templates SET next_run_at = ? WHERE template_id = ?').run(next, template.template_id);
+
+    try {
+      spawned.push(await spawnPlanFromTemplate(template.template_id, { trigger: 'schedule' }));
+    } catch (error) {
+      console.error(`[Plan Templates] Scheduled cycle of template ${template.template_id} failed:`, error);
+    }
+  }
+
+  return spawned;
+}
+
+/**
+ * Planned vs. actual profit for every cycle of a template. Closed cycles use
+ * their close-out report; open cycles a preview of it.
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} { template, cycles, summary }
+ */
+async function getTemplateHistory(templateId) {
+  const { getCloseOutReport } = require('./plan-lifecycle');
+  const db = getCharacterDatabase();
+
+  const template = getPlanTemplate(templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  const rows = db.prepare(`
+    SELECT c.*, mp.plan_name, mp.status
+    FROM plan_template_cycles c
+    LEFT JOIN manufacturing_plans mp ON mp.plan_id = c.plan_id
+    WHERE c.template_id = ?
+    ORDER BY c.cycle_number
+  `).all(templateId);
+
+  const cycles = [];
+  for (const row of rows) {
+    const cycle = {
+      cycleId: row.cycle_id,
+      cycleNumber: row.cycle_number,
+      planId: row.plan_id,
+      planName: row.plan_name,
+      status: row.status,
+      multiplier: row.multiplier,
+      trigger: row.trigger,
+      createdAt: row.created_at,
+      planDeleted: !row.plan_id || !row.status,
+      planned: null,
+      actual: null,
+      margin: null,
+    };
+
+    if (!cycle.planDeleted) {
+      try {
+        const report = await getCloseOutReport(row.plan_id);
+        cycle.planned = report.totals.planned;
+        cycle.actual = { ...report.totals.actual, profitWithStockpile: report.totals.profitWithStockpile };
+        cycle.margin = report.totals.actual.revenue > 0
+          ? report.totals.actual.profit / report.totals.actual.revenue
+          : null;
+      } catch (error) {
+        console.error(`[Plan Templates] Error reading profit of plan ${row.plan_id}:`, error);
+      }
+    }
+    cycles.push(cycle);
+  }
+
+  const closed = cycles.filter(c => c.status === 'closed' && c.actual);
+  const averageProfit = closed.length > 0
+    ? closed.reduce((sum, c) => sum + c.actual.profit, 0) / closed.length
+    : null;
+
+  return {
+    template,
+    cycles,
+    summary: {
+      cycleCount: cycles.length,
+      closedCycles: closed.length,
+      averageProfit,
+      bestCycle: closed.reduce((best, c) => (!best || c.actual.profit > best.actual.profit ? c : best), null)?.cycleNumber ?? null,
+      worstCycle: closed.reduce((worst, c) => (!worst || c.actual.profit < worst.actual.profit ? c : worst), null)?.cycleNumber ?? null,
+    },
+  };
+}
+
+/**
+ * Start checking for due scheduled cycles. Idempotent (clear-then-set); runs
+ * one immediate check for cycles that came due while the app was closed.
+ * @param {Object} options - { onSpawned } called with each batch of spawned plans
+ */
+function startTemplateScheduler({ onSpawned = null } = {}) {
+  stopTemplateScheduler();
+
+  const check = () => runDueTemplates()
+    .then(spawned => {
+      if (spawned.length > 0 && onSpawned) onSpawned(spawned);
+    })
+    .catch(err => console.error('[Plan Templates] Schedule check error:', err));
+
+  scheduleHandle = setInterval(check, SCHEDULE_CHECK_INTERVAL_MS);
+  if (scheduleHandle.unref) scheduleHandle.unref();
+
+  console.log('[Plan Templates] Scheduler started');
+  check();
+}
+
+/**
+ * Stop checking for scheduled cycles
+ */
+function stopTemplateScheduler() {
+  if (scheduleHandle) {
+    clearInterval(scheduleHandle);
+    scheduleHandle = null;
+  }
+}
+
+module.exports = {
+  createTemplateFromPlan,
+  getPlanTemplate,
+  getPlanTemplates,
+  updatePlanTemplate,
+  deletePlanTemplate,
+  scaleTemplateDefinition,
+  spawnPlanFromTemplate,
+  runDueTemplates,
+  getTemplateHistory,
+  startTemplateScheduler,
+  stopTemplateScheduler,
+};
@@ -0,0 +1,465 @@
+/**
+ * Price alerts on plan products and materials
+ *
+ * A rule watches one type (or, for margin rules, one plan) on one market:
+ *   - price_above / price_below: the computed price crosses the threshold
+ *   - change_vs_7d: the price is at least threshold % away from the 7-day
+ *     average of the market history (either direction)
+ *   - depth_below: fewer than threshold units are up for sale
+ *   - margin_below: a plan's estimated profit falls below threshold % of its
+ *     product value, with the plan re-priced on the rule's Market Set
+ *
+ * The market is either a Market Set side (its location, price type and
+ * pricing settings) or a specific structure market. Rules are evaluated
+ * against the cached order books after every market data refresh. An alert
+ * fires when its condition becomes true and re-arms once it is false again,
+ * so a price sitting below a threshold notifies once rather than on every
+ * refresh.
+ */
+
+const { randomUUID } = require('crypto');
+const { getMarketDatabase } = require('./market-database');
+
+const RULE_TYPES = ['price_above', 'price_below', 'change_vs_7d', 'depth_below', 'margin_below'];
+
+const MAX_ALERT_EVENTS = 500;
+
+// More alerts than this in one evaluation become a single digest notification
+const MAX_SEPARATE_NOTIFICATIONS = 3;
+
+let notificationClickHandler = null;
+
+const formatISK = n => `${n.toLocaleString('en-US', { maximumFractionDigits: 2 })} ISK`;
+const formatUnits = n => Math.round(n).toLocaleString('en-US');
+
+function rowToRule(row) {
+  return {
+    ruleId: row.rule_id,
+    name: row.name,
+    ruleType: row.rule_type,
+    typeId: row.type_id,
+    planId: row.plan_id,
+    threshold: row.threshold,
+    marketSetId: row.market_set_id,
+    side: row.side,
+    structureId: row.structure_id,
+    structureName: row.structure_name,
+    regionId: row.region_id,
+    priceType: row.price_type,
+    enabled: row.enabled === 1,
+    triggered: row.triggered === 1,
+    lastValue: row.last_value,
+    lastEvaluatedAt: row.last_evaluated_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Get all alert rules
+ * @returns {Array} Rules, newest first
+ */
+function getAlertRules() {
+  const db = getMarketDatabase();
+  return db.prepare('SELECT * FROM price_alert_rules ORDER BY created_at DESC').all().map(rowToRule);
+}
+
+/**
+ * Create an alert rule
+ * @param {Object} rule - { name, ruleType, typeId, planId, threshold, marketSetId, side, structureId, structureName, regionId, priceType }
+ * @returns {Object} The created rule
+ */
+function createAlertRule(rule) {
+  if (!RULE_TYPES.includes(rule.ruleType)) {
+    throw new Error(`Unknown alert type: ${rule.ruleType}`);
+  }
+  if (!Number.isFinite(Number(rule.threshold))) {
+    throw new Error('A threshold is required');
+  }
+  if (rule.ruleType === 'margin_below') {
+    if (!rule.planId) throw new Error('A plan is required for margin alerts');
+  } else {
+    if (!rule.typeId) throw new Error('An item is required');
+    if (!rule.marketSetId && !(rule.structureId && rule.regionId)) {
+      throw new Error('A Market Set or a structure market is required');
+    }
+  }
+
+  const db = getMarketDatabase();
+  const ruleId = randomUUID();
+  db.prepare(`
+    INSERT INTO price_alert_rules (
+      rule_id, name, rule_type, type_id, plan_id, threshold, market_set_id, side,
+      structure_id, structure_name, region_id, price_type, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    ruleId,
+    (rule.name || '').trim() || rule.ruleType,
+    rule.ruleType,
+    rule.typeId || null,
+    rule.planId || null,
+    Number(rule.threshold),
+    rule.structureId ? null : (rule.marketSetId || null),
+    rule.side === 'output' ? 'output' : 'input',
+    rule.structureId || null,
+    rule.structureName || null,
+    rule.structureId ? rule.regionId : null,
+    rule.priceType === 'buy' ? 'buy' : 'sell',
+    Date.now()
+  );
+
+  return rowToRule(db.prepare('SELECT * FROM price_alert_rules WHERE rule_id = ?').get(ruleId));
+}
+
+/**
+ * Turn a rule on or off; turning it on re-arms it
+ * @param {string} ruleId - Rule ID
+ * @param {boolean} enabled
+ */
+function setAlertRuleEnabled(ruleId, enabled) {
+  const db = getMarketDatabase();
+  db.prepare('UPDATE price_alert_rules SET enabled = ?, triggered = 0 WHERE rule_id = ?').run(enabled ? 1 : 0, ruleId);
+}
+
+/**
+ * Delete a rule (its history stays)
+ * @param {string} ruleId - Rule ID
+ */
+function deleteAlertRule(ruleId) {
+  const db = getMarketDatabase();
+  db.prepare('DELETE FROM price_alert_rules WHERE rule_id = ?').run(ruleId);
+}
+
+/**
+ * Alerts that fired, newest first
+ * @param {number} limit - Maximum number of alerts
+ * @returns {Array} { eventId, ruleId, ruleName, triggeredAt, value, message }
+ */
+function getAlertHistory(limit = 100) {
+  const db = getMarketDatabase();
+  return db.prepare(`
+    SELECT * FROM price_alert_events ORDER BY triggered_at DESC, event_id DESC LIMIT ?
+  `).all(limit).map(row => ({
+    eventId: row.event_id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    triggeredAt: row.triggered_at,
+    value: row.value,
+    message: row.message,
+  }));
+}
+
+/**
+ * Delete the alert history
+ */
+function clearAlertHistory() {
+  const db = getMarketDatabase();
+  db.prepare('DELETE FROM price_alert_events').run();
+}
+
+/**
+ * Markets a rule can target: every Market Set, plus every private structure
+ * market a Market Set buys or sells at; and the open plans for margin rules
+ * @returns {{marketSets: Array, structures: Array, plans: Array}}
+ */
+function getAlertTargets() {
+  const { getMarketSets } = require('./settings-manager');
+  const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
+
+  const marketSets = getMarketSets();
+  const structures = new Map();
+  for (const marketSet of marketSets) {
+    for (const location of [getInputLocation(marketSet), getOutputLocation(marketSet)]) {
+      if (location.locationType !== 'private_structure' || structures.has(location.structureId)) continue;
+      structures.set(location.structureId, {
+        structureId: location.structureId,
+        structureName: location.structureName || `Structure ${location.structureId}`,
+        regionId: location.regionId,
+      });
+    }
+  }
+
+  const { getCharacterDatabase } = require('./character-database');
+  const { OPEN_STATUSES } = require('./plan-lifecycle');
+  const plans = getCharacterDatabase().prepare(`
+    SELECT plan_id, plan_name FROM manufacturing_plans
+    WHERE status IN (${OPEN_STATUSES.map(() => '?').join(',')})
+    ORDER BY plan_name
+  `).all(...OPEN_STATUSES);
+
+  return {
+    marketSets: marketSets.map(set => ({ id: set.id, name: set.name })),
+    structures: [...structures.values()],
+    plans: plans.map(plan => ({ planId: plan.plan_id, planName: plan.plan_name })),
+  };
+}
+
+/**
+ * Where and how a rule is priced
+ * @param {Object} rule - Rule
+ * @returns {Object|null} { regionId, locationId, priceType, settings, label }, or null when the Market Set is gone
+ */
+function resolveAlertMarket(rule) {
+  if (rule.structureId) {
+    return {
+      regionId: rule.regionId,
+      locationId: rule.structureId,
+      priceType: rule.priceType,
+      settings: {},
+      label: rule.structureName || `Structure ${rule.structureId}`,
+    };
+  }
+
+  const { getMarketSetById } = require('./settings-manager');
+  const marketSet = getMarketSetById(rule.marketSetId);
+  if (!marketSet) return null;
+
+  const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
+  const isOutput = rule.side === 'output';
+  const location = isOutput ? getOutputLocation(marketSet) : getInputLocation(marketSet);
+  const settings = isOutput ? marketSet.outputProducts : marketSet.inputMaterials;
+  return {
+    regionId: location.regionId,
+    locationId: location.locationId,
+    priceType: settings.priceType,
+    settings,
+    label: `${marketSet.name} (${isOutput ? 'selling' : 'buying'})`,
+  };
+}
+
+/**
+ * A plan's margin at current prices on the rule's Market Set (the plan's own
+ * Market Set by default). The stored plan prices only change when the plan is
+ * recalculated, so products and materials still to buy are re-priced from the
+ * cached order books; acquired materials (ledger entries, confirmed purchases
+ * and confirmed builds) keep what was paid, plan price overrides still apply,
+ * and job and freight costs come from the plan summary.
+ * @param {Object} rule - margin_below rule
+ * @returns {Promise<{value: number, label: string}|null>} Margin in %, null when it can't be measured
+ */
+async function measurePlanMargin(rule) {
+  const { getPlanSummary, getPlanMaterials, getPlanProducts } = require('./manufacturing-plans');
+  const { getMarketSetById, resolveMarketSetForTool } = require('./settings-manager');
+  const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
+  const { calculateRealisticPrice } = require('./market-pricing');
+  const { getAcquiredQuantity, getStillNeededQuantity } = require('./plan-material-needs');
+
+  const marketSet = (rule.marketSetId && getMarketSetById(rule.marketSetId)) || resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  if (!marketSet) return null;
+
+  const summary = await getPlanSummary(rule.planId);
+  if (!summary) return null;
+
+  // Falls back to the stored plan price when the market has no usable price
+  const currentPrice = async (typeId, quantity, location, settings, storedPrice) => {
+    try {
+      const priceResult = await calculateRealisticPrice(
+        typeId, location.regionId, location.locationId, settings.priceType, quantity, settings
+      );
+      if (priceResult.price > 0) return priceResult.price;
+    } catch (error) {
+      console.warn(`[Price Alerts] Could not price type ${typeId} for ${marketSet.name}:`, error.message);
+    }
+    return storedPrice || 0;
+  };
+
+  const inputLocation = getInputLocation(marketSet);
+  let materialCost = 0;
+  for (const material of await getPlanMaterials(rule.planId, false)) {
+    const acquiredQty = getAcquiredQuantity(material);
+    const toBuyQty = getStillNeededQuantity(material);
+    if (acquiredQty > 0) {
+      materialCost += acquiredQty * (material.customPrice || material.basePrice || 0);
+    }
+    if (toBuyQty > 0) {
+      const price = material.planOverridePrice
+        ?? await currentPrice(material.typeId, toBuyQty, inputLocation, marketSet.inputMaterials, material.basePrice);
+      materialCost += toBuyQty * price;
+    }
+  }
+
+  // Final products only: intermediates are consumed by the plan itself
+  const outputLocation = getOutputLocation(marketSet);
+  let productValue = 0;
+  for (const product of getPlanProducts(rule.planId)) {
+    if (product.isIntermediate) continue;
+    const price = product.planOverridePrice
+      ?? await currentPrice(product.typeId, product.quantity, outputLocation, marketSet.outputProducts, product.basePrice);
+    productValue += product.quantity * price;
+  }
+  if (!(productValue > 0)) return null;
+
+  const totalCost = materialCost + (summary.jobInstallationCost || 0) + (summary.freightCost || 0);
+  return {
+    value: ((productValue - totalCost) / productValue) * 100,
+    label: marketSet.name,
+  };
+}
+
+/**
+ * Measure a rule's value and whether its condition holds
+ * @param {Object} rule - Rule
+ * @returns {Promise<{value: number, triggered: boolean, describe: Function}|null>} null when it can't be measured
+ */
+async function measureAlertRule(rule) {
+  if (rule.ruleType === 'margin_below') {
+    const margin = await measurePlanMargin(rule);
+    if (!margin) return null;
+
+    const value = margin.value;
+    return {
+      value,
+      triggered: value < rule.threshold,
+      describe: name => `${name} margin is ${value.toFixed(1)}% at ${margin.label} (floor ${rule.threshold}%)`,
+    };
+  }
+
+  const market = resolveAlertMarket(rule);
+  if (!market) return null;
+
+  if (rule.ruleType === 'depth_below') {
+    const { getCachedMarketOrders } = require('./esi-market');
+    const orders = getCachedMarketOrders(market.regionId, rule.typeId)
+      .filter(o => !o.is_buy_order && (!market.locationId || o.location_id === market.locationId));
+    const value = orders.reduce((sum, o) => sum + o.volume_remain, 0);
+    return {
+      value,
+      triggered: value < rule.threshold,
+      describe: name => `${name}: ${formatUnits(value)} units for sale at ${market.label} (below ${formatUnits(rule.threshold)})`,
+    };
+  }
+
+  const { calculateRealisticPrice, calculateHistoricalAverage } = require('./market-pricing');
+  const priceResult = await calculateRealisticPrice(
+    rule.typeId, market.regionId, market.locationId, market.priceType, 1, market.settings
+  );
+  const price = priceResult.price;
+  if (!(price > 0)) return null;
+
+  if (rule.ruleType === 'change_vs_7d') {
+    const { getCachedMarketHistory } = require('./esi-market');
+    const average = calculateHistoricalAverage(getCachedMarketHistory(market.regionId, rule.typeId), 'average', 7);
+    if (!(average > 0)) return null;
+
+    const value = ((price - average) / average) * 100;
+    return {
+      value,
+      triggered: Math.abs(value) >= rule.threshold,
+      describe: name => `${name} is ${value > 0 ? 'up' : 'down'} ${Math.abs(value).toFixed(1)}% vs the 7-day average (${formatISK(price)} at ${market.label})`,
+    };
+  }
+
+  const above = rule.ruleType === 'price_above';
+  return {
+    value: price,
+    triggered: above ? price >= rule.threshold : price <= rule.threshold,
+    describe: name => `${name} is ${formatISK(price)} at ${market.label} (${above ? 'above' : 'below'} ${formatISK(rule.threshold)})`,
+  };
+}
+
+function showAlertNotifications(events) {
+  const { getSetting } = require('./settings-manager');
+  if (getSetting('general', 'desktopNotifications') === false) return;
+
+  const { Notification } = require('electron');
+  if (!Notification || !Notification.isSupported()) return;
+
+  const notifications = events.length > MAX_SEPARATE_NOTIFICATIONS
+    ? [{ title: `${events.length} price alerts`, body: events.map(e => e.ruleName).join(', ') }]
+    : events.map(e => ({ title: `Price alert: ${e.ruleName}`, body: e.message }));
+
+  for (const notification of notifications) {
+    const native = new Notification(notification);
+    if (notificationClickHandler) native.on('click', notificationClickHandler);
+    native.show();
+  }
+}
+
+/**
+ * Set what clicking an alert notification does
+ * @param {Function|null} handler
+ */
+function setAlertClickHandler(handler) {
+  notificationClickHandler = handler;
+}
+
+/**
+ * Evaluate every enabled rule, record and announce the ones that fired
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Array>} Alerts that fired
+ */
+async function evaluatePriceAlerts(now = Date.now()) {
+  const db = getMarketDatabase();
+  const rules = getAlertRules().filter(rule => rule.enabled);
+  if (rules.length === 0) return [];
+
+  const names = {};
+  try {
+    const { getTypeNames } = require('./sde-database');
+    Object.assign(names, await getTypeNames([...new Set(rules.filter(r => r.typeId).map(r => r.typeId))]));
+  } catch (error) {
+    console.error('[Price Alerts] Error loading type names:', error);
+  }
+
+  const updateRule = db.prepare(`
+    UPDATE price_alert_rules SET triggered = ?, last_value = ?, last_evaluated_at = ? WHERE rule_id = ?
+  `);
+  const insertEvent = db.prepare(`
+    INSERT INTO price_alert_events (rule_id, rule_name, triggered_at, value, message) VALUES (?, ?, ?, ?, ?)
+  `);
+  const fired = [];
+
+  for (const rule of rules) {
+    try {
+      const measurement = await measureAlertRule(rule);
+      if (!measurement) continue;
+
+      if (measurement.triggered && !rule.triggered) {
+        const subject = rule.typeId ? (names[rule.typeId] || `Type ${rule.typeId}`) : rule.name;
+        const event = {
+          ruleId: rule.ruleId,
+          ruleName: rule.name,
+          triggeredAt: now,
+          value: measurement.value,
+          message: measurement.describe(subject),
+        };
+        insertEvent.run(event.ruleId, event.ruleName, event.triggeredAt, event.value, event.message);
+        fired.push(event);
+      }
+      updateRule.run(measurement.triggered ? 1 : 0, measurement.value, now, rule.ruleId);
+    } catch (error) {
+      console.error(`[Price Alerts] Error evaluating rule ${rule.name}:`, error);
+    }
+  }
+
+  if (fired.length > 0) {
+    db.prepare(`
+      DELETE FROM price_alert_events WHERE event_id NOT IN (
+        SELECT event_id FROM price_alert_events ORDER BY triggered_at DESC, event_id DESC LIMIT ?
+      )
+    `).run(MAX_ALERT_EVENTS);
+
+    try {
+      showAlertNotifications(fired);
+    } catch (error) {
+      console.error('[Price Alerts] Error showing notifications:', error);
+    }
+  }
+
+  return fired;
+}
+
+module.exports = {
+  RULE_TYPES,
+  getAlertRules,
+  createAlertRule,
+  setAlertRuleEnabled,
+  deleteAlertRule,
+  getAlertHistory,
+  clearAlertHistory,
+  getAlertTargets,
+  resolveAlertMarket,
+  measurePlanMargin,
+  measureAlertRule,
+  setAlertClickHandler,
+  evaluatePriceAlerts,
+};
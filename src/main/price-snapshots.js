@@ -0,0 +1,245 @@
+/**
+ * Daily price snapshots for manufacturing plans
+ *
+ * market_price_cache only keeps the latest computed price, so once a day the
+ * input and output prices of every type used by an open plan are computed for
+ * every Market Set and stored in price_snapshots (market database):
+ *   - types that plans consume (material nodes) get an input price, using the
+ *     Market Set's input location and price type
+ *   - types that plans produce (product and intermediate nodes) get an output
+ *     price, using the output location and price type
+ * Prices are computed for the total quantity all open plans need, the same
+ * way a plan's "Refresh Prices" computes them.
+ *
+ * getPlanValueHistory turns the snapshots into a plan's projected cost,
+ * revenue and margin per day since the plan was created, valuing the plan's
+ * current materials and products at each day's prices.
+ */
+
+const { getCharacterDatabase } = require('./character-database');
+const { getMarketDatabase } = require('./market-database');
+const { OPEN_STATUSES } = require('./plan-lifecycle');
+
+const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Drafts count too, so a plan's chart starts at its creation
+const SNAPSHOT_PLAN_STATUSES = OPEN_STATUSES;
+
+let snapshotHandle = null;
+let snapshotInProgress = false;
+
+/**
+ * UTC calendar day of a timestamp
+ * @param {number} timestamp - Time in ms
+ * @returns {string} YYYY-MM-DD
+ */
+function toSnapshotDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Types used by open plans, with the total quantity needed on each side
+ * @returns {{input: Map<number, number>, output: Map<number, number>}}
+ */
+function getSnapshotTypes() {
+  const db = getCharacterDatabase();
+  const rows = db.prepare(`
+    SELECT n.type_id, n.node_type, SUM(n.quantity_needed) as quantity
+    FROM plan_material_nodes n
+    JOIN manufacturing_plans p ON p.plan_id = n.plan_id
+    WHERE p.status IN (${SNAPSHOT_PLAN_STATUSES.map(() => '?').join(',')})
+    GROUP BY n.type_id, n.node_type
+  `).all(...SNAPSHOT_PLAN_STATUSES);
+
+  const types = { input: new Map(), output: new Map() };
+  for (const row of rows) {
+    const side = row.node_type === 'material' ? types.input : types.output;
+    side.set(row.type_id, (side.get(row.type_id) || 0) + Math.ceil(row.quantity));
+  }
+  return types;
+}
+
+/**
+ * Snapshot today's prices for every Market Set. Types already snapshotted
+ * today are skipped, so an interrupted run picks up where it stopped.
+ * @param {number} now - Current time in ms
+ * @returns {Promise<{date: string, saved: number, failed: number}>}
+ */
+async function takePriceSnapshots(now = Date.now()) {
+  const date = toSnapshotDate(now);
+  const result = { date, saved: 0, failed: 0 };
+  if (snapshotInProgress) return result;
+  snapshotInProgress = true;
+
+  try {
+    const { getMarketSets } = require('./settings-manager');
+    const { calculateRealisticPrice } = require('./market-pricing');
+    const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
+
+    const types = getSnapshotTypes();
+    const marketDb = getMarketDatabase();
+    const existing = marketDb.prepare(`
+      SELECT type_id, side FROM price_snapshots WHERE snapshot_date = ? AND market_set_id = ?
+    `);
+    const insert = marketDb.prepare(`
+      INSERT OR REPLACE INTO price_snapshots (snapshot_date, market_set_id, type_id, side, price, confidence, taken_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const marketSet of getMarketSets()) {
+      const done = new Set(existing.all(date, marketSet.id).map(row => `${row.side}:${row.type_id}`));
+      const sides = [
+        { side: 'input', quantities: types.input, location: getInputLocation(marketSet), settings: marketSet.inputMaterials },
+        { side: 'output', quantities: types.output, location: getOutputLocation(marketSet), settings: marketSet.outputProducts },
+      ];
+
+      for (const { side, quantities, location, settings } of sides) {
+        for (const [typeId, quantity] of quantities) {
+          if (done.has(`${side}:${typeId}`)) continue;
+
+          try {
+            const priceResult = await calculateRealisticPrice(
+              typeId, location.regionId, location.locationId, settings.priceType, quantity, settings
+            );
+            if (priceResult.price > 0) {
+              insert.run(date, marketSet.id, typeId, side, priceResult.price, priceResult.confidence || null, now);
+              result.saved++;
+            }
+          } catch (error) {
+            result.failed++;
+            console.warn(`[Price Snapshots] Could not price type ${typeId} for ${marketSet.name}:`, error.message);
+          }
+        }
+      }
+    }
+
+    console.log(`[Price Snapshots] ${date}: saved ${result.saved} prices, ${result.failed} failed`);
+  } catch (error) {
+    console.error('[Price Snapshots] Error taking snapshots:', error);
+  } finally {
+    snapshotInProgress = false;
+  }
+
+  return result;
+}
+
+/**
+ * Check every hour whether today's snapshot has been taken
+ */
+function startPriceSnapshots() {
+  stopPriceSnapshots();
+
+  let lastDate = null;
+  const check = () => {
+    const date = toSnapshotDate(Date.now());
+    if (date === lastDate) return;
+    takePriceSnapshots()
+      .then(result => {
+        if (result.failed === 0) lastDate = date;
+      })
+      .catch(err => console.error('[Price Snapshots] Snapshot check error:', err));
+  };
+
+  snapshotHandle = setInterval(check, SNAPSHOT_CHECK_INTERVAL_MS);
+  if (snapshotHandle.unref) snapshotHandle.unref();
+
+  console.log('[Price Snapshots] Scheduler started');
+  check();
+}
+
+/**
+ * Stop the daily snapshots
+ */
+function stopPriceSnapshots() {
+  if (snapshotHandle) {
+    clearInterval(snapshotHandle);
+    snapshotHandle = null;
+  }
+}
+
+/**
+ * Projected cost, revenue and margin of a plan for each snapshot day since the
+ * plan was created. Each day values the plan's current material and product
+ * quantities; a type without a snapshot that day keeps its last known price.
+ * @param {string} planId - Plan ID
+ * @param {string} [marketSetId] - Market Set (the Manufacturing Plans one by default)
+ * @returns {Object} { marketSetId, marketSetName, points: [{date, cost, revenue, margin, marginPercent, pricedTypes, totalTypes}] }
+ */
+function getPlanValueHistory(planId, marketSetId = null) {
+  const db = getCharacterDatabase();
+  const plan = db.prepare('SELECT created_at FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) throw new Error('Plan not found');
+
+  const { getMarketSetById, resolveMarketSetForTool } = require('./settings-manager');
+  const marketSet = (marketSetId && getMarketSetById(marketSetId)) || resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  if (!marketSet) throw new Error('No Market Set configured');
+
+  // Final products only: intermediates are consumed by the plan itself
+  const items = db.prepare(`
+    SELECT type_id, node_type, SUM(quantity_needed) as quantity
+    FROM plan_material_nodes
+    WHERE plan_id = ? AND node_type IN ('material', 'product')
+    GROUP BY type_id, node_type
+  `).all(planId).map(row => ({
+    typeId: row.type_id,
+    side: row.node_type === 'material' ? 'input' : 'output',
+    quantity: row.quantity,
+  }));
+
+  const result = { marketSetId: marketSet.id, marketSetName: marketSet.name, points: [] };
+  if (items.length === 0) return result;
+
+  const typeIds = [...new Set(items.map(item => item.typeId))];
+  const snapshots = getMarketDatabase().prepare(`
+    SELECT snapshot_date, type_id, side, price
+    FROM price_snapshots
+    WHERE market_set_id = ? AND snapshot_date >= ? AND type_id IN (${typeIds.map(() => '?').join(',')})
+    ORDER BY snapshot_date
+  `).all(marketSet.id, toSnapshotDate(plan.created_at), ...typeIds);
+
+  const byDate = new Map();
+  for (const row of snapshots) {
+    if (!byDate.has(row.snapshot_date)) byDate.set(row.snapshot_date, []);
+    byDate.get(row.snapshot_date).push(row);
+  }
+
+  const lastPrice = new Map();
+  for (const [date, rows] of byDate) {
+    for (const row of rows) {
+      lastPrice.set(`${row.side}:${row.type_id}`, row.price);
+    }
+
+    let cost = 0;
+    let revenue = 0;
+    let pricedTypes = 0;
+    for (const item of items) {
+      const price = lastPrice.get(`${item.side}:${item.typeId}`);
+      if (price === undefined) continue;
+      pricedTypes++;
+      if (item.side === 'input') cost += item.quantity * price;
+      else revenue += item.quantity * price;
+    }
+
+    const margin = revenue - cost;
+    result.points.push({
+      date,
+      cost,
+      revenue,
+      margin,
+      marginPercent: revenue > 0 ? (margin / revenue) * 100 : 0,
+      pricedTypes,
+      totalTypes: items.length,
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  toSnapshotDate,
+  getSnapshotTypes,
+  takePriceSnapshots,
+  startPriceSnapshots,
+  stopPriceSnapshots,
+  getPlanValueHistory,
+};
@@ -488,21 +488,25 @@ async function calculateReactionJobCost(reactionTypeId, runs, materials, facilit
   return jobCostObj;
 }
 
+// Reactions skill: 4% reduction in reaction time per level
+const REACTIONS_SKILL_ID = 45746;
+
 /**
- * Calculate reaction time with facility bonuses
- * @param {number} baseTime - Base reaction time in seconds
- * @param {number} runs - Number of runs
+ * Get the reaction time modifiers from the facility and the character's skills.
+ * Reactions skill level comes from getEffectiveSkillLevel so overrides apply.
+ * There are no implants that affect reaction time.
  * @param {Object} facility - Facility with bonuses
- * @returns {number} Total time in seconds
+ * @param {number} characterId - Character ID (optional)
+ * @returns {Array<Object>} Modifiers [{source, label, percent, multiplier}]
  */
-function calculateReactionTime(baseTime, runs, facility = null) {
-  let timePerRun = baseTime;
+function getReactionTimeModifiers(facility = null, characterId = null) {
+  const modifiers = [];
 
   // Apply structure bonus (Tatara has 25% TE reduction, Athanor has no TE bonus)
   if (facility && facility.structureTypeId) {
     // Tatara (35836) has 25% TE reduction
     if (facility.structureTypeId === 35836) {
-      timePerRun = timePerRun * 0.75; // 25% reduction
+      modifiers.push({ source: 'facility', label: 'Tatara', percent: 25, multiplier: 0.75 });
     }
     // Athanor (35835) has no TE bonus for reactions
   }
@@ -516,10 +520,37 @@ function calculateReactionTime(baseTime, runs, facility = null) {
       // Rig bonus is negative (e.g., -20.0 for 20% reduction)
       // Apply as: time * (1 + bonus/100)
       // Example: -20.0 → (1 + (-20.0)/100) = 0.80 (20% reduction)
-      timePerRun = timePerRun * (1 + rigBonus / 100);
+      modifiers.push({ source: 'rig', label: 'Reactor rigs', percent: -rigBonus, multiplier: 1 + rigBonus / 100 });
     }
   }
 
+  if (characterId) {
+    try {
+      const { getEffectiveSkillLevel } = require('./settings-manager');
+      const level = getEffectiveSkillLevel(characterId, REACTIONS_SKILL_ID) || 0;
+      if (level > 0) {
+        modifiers.push({ source: 'skill', label: 'Reactions', skillId: REACTIONS_SKILL_ID, level, percent: level * 4, multiplier: 1 - (level * 4) / 100 });
+      }
+    } catch (error) {
+      console.warn('Could not fetch Reactions skill level for time calculation:', error);
+    }
+  }
+
+  return modifiers;
+}
+
+/**
+ * Calculate reaction time with facility and skill bonuses
+ * @param {number} baseTime - Base reaction time in seconds
+ * @param {number} runs - Number of runs
+ * @param {Object} facility - Facility with bonuses
+ * @param {number} characterId - Character whose Reactions skill applies (optional)
+ * @returns {number} Total time in seconds
+ */
+function calculateReactionTime(baseTime, runs, facility = null, characterId = null) {
+  const modifiers = getReactionTimeModifiers(facility, characterId);
+  const timePerRun = modifiers.reduce((time, modifier) => time * modifier.multiplier, baseTime);
+
   return Math.ceil(timePerRun * runs);
 }
 
@@ -531,7 +562,7 @@ function calculateReactionTime(baseTime, runs, facility = null) {
  * specific nodes (mirrors the Blueprints tab's per-intermediate use_intermediates choice).
  * @param {number} reactionTypeId - Reaction formula type ID
  * @param {number} runs - Number of reaction runs
- * @param {number} characterId - Character ID (for future skill bonuses)
+ * @param {number} characterId - Character ID (skill bonuses for time and trading fees)
  * @param {Object} facility - Refinery facility configuration
  * @param {number} depth - Recursion depth (internal)
  * @param {object} db - Optional database connection
@@ -720,7 +751,8 @@ async function calculateReactionMaterials(reactionTypeId, runs = 1, characterId
 
     // Get reaction time and calculate total production time with bonuses
     const baseReactionTime = await getReactionTime(reactionTypeId, db);
-    const totalProductionTime = calculateReactionTime(baseReactionTime, runs, facility);
+    const timeModifiers = getReactionTimeModifiers(facility, characterId);
+    const totalProductionTime = calculateReactionTime(baseReactionTime, runs, facility, characterId);
 
     // Calculate pricing (always at depth 0 for material prices)
     let pricing = null;
@@ -878,7 +910,8 @@ async function calculateReactionMaterials(reactionTypeId, runs = 1, characterId
       time: {
         baseTime: baseReactionTime,
         totalTime: totalProductionTime,
-        runs: runs
+        runs: runs,
+        modifiers: timeModifiers
       },
       pricing: pricing
     };
@@ -957,6 +990,8 @@ module.exports = {
   calculateReactionMaterials,
   calculateReactionMaterialQuantity,
   calculateReactionJobCost,
+  calculateReactionTime,
+  getReactionTimeModifiers,
   getTypeName,
   clearReactionCache
 };
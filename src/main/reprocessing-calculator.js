@@ -96,11 +96,24 @@ const SKILL_NAMES = {
 // Loot Text Parser
 // ============================================================
 
+/**
+ * Parse a pasted quantity, tolerating thousands separators from any client locale
+ * @param {string} text - Quantity column text (e.g. "1,000", "1.000", "1 000")
+ * @returns {number} Parsed integer quantity (NaN if not a number)
+ */
+function parseQuantity(text) {
+  const cleaned = text.replace(/[,.'\s\u00a0]/g, '');
+  return /^\d+$/.test(cleaned) ? parseInt(cleaned, 10) : NaN;
+}
+
 /**
  * Parse raw pasted loot text from Eve Online.
- * Supports two formats:
+ * Supports these formats:
  *   Format 1 (Inventory): "ItemName\tQuantity"
  *   Format 2 (Assets):    "ItemName\tQuantity\tCategory\tVolume\tPrice ISK"
+ *   Format 3 (Contract):  "ItemName\tQuantity\tGroup\tCategory\tDetails"
+ *   Format 4 (Multibuy):  "ItemName Quantity" or "ItemName x Quantity"
+ * Tab-separated rows with an empty quantity column (unstacked items) count as 1.
  *
  * @param {string} rawText - Raw clipboard paste
  * @returns {{ items: Array<{rawName: string, quantity: number}>, parseErrors: string[] }}
@@ -126,14 +139,20 @@ function parseLootText(rawText) {
     if (cols.length >= 5 && cols[4] && cols[4].includes('ISK')) {
       // Format 2: Assets window
       name = cols[0].trim();
-      quantity = parseInt(cols[1].replace(/,/g, ''), 10);
+      quantity = parseQuantity(cols[1]);
     } else if (cols.length >= 2) {
-      // Format 1: Inventory window
+      // Format 1/3: Inventory window or contract item list
       name = cols[0].trim();
-      quantity = parseInt(cols[1].replace(/,/g, ''), 10);
+      quantity = cols[1].trim() === '' ? 1 : parseQuantity(cols[1]);
     } else {
-      parseErrors.push(trimmed);
-      continue;
+      // Format 4: Multibuy "Name qty" / "Name x qty"
+      const match = trimmed.match(/^(.+?)\s+x?\s*(\d[\d,.']*)$/i);
+      if (!match) {
+        parseErrors.push(trimmed);
+        continue;
+      }
+      name = match[1].trim();
+      quantity = parseQuantity(match[2]);
     }
 
     if (!name || isNaN(quantity) || quantity <= 0) {
@@ -0,0 +1,308 @@
+/**
+ * Reprocessing optimizer: buy ore / compressed ore instead of minerals.
+ *
+ * For a plan's mineral needs, finds a cheap mix of ore purchases (reprocessed
+ * at the user's yield) plus direct mineral purchases, priced from the cached
+ * sell orders (market_orders) at the plan market set's input location. Ore is
+ * bought by walking its sell book, so thin books get more expensive.
+ *
+ * The solver is greedy: it keeps buying the ore chunk with the best value of
+ * still-needed minerals per ISK spent, as long as those minerals are worth more
+ * than the ore costs. Overflow (minerals beyond the need) earns nothing, so
+ * ores that mostly yield unneeded minerals lose out. Whatever is left is
+ * bought as minerals.
+ */
+
+const { calculateReprocessingValue } = require('./reprocessing-calculator');
+const { getStillNeededQuantity } = require('./plan-material-needs');
+
+// Safety net for the greedy loop; each step normally covers a mineral or an order
+const MAX_SOLVER_STEPS = 10000;
+
+/**
+ * Cost of buying units from a sorted sell book, starting after what was
+ * already bought
+ * @param {Array} offers - [{ price, volume }] cheapest first
+ * @param {number} alreadyBought - Units bought from this book so far
+ * @param {number} units - Units to buy
+ * @returns {number} ISK cost (Infinity if the book is too thin)
+ */
+function costOfUnits(offers, alreadyBought, units) {
+  let skip = alreadyBought;
+  let left = units;
+  let cost = 0;
+
+  for (const offer of offers) {
+    if (left <= 0) break;
+    const remainingHere = offer.volume - Math.min(skip, offer.volume);
+    skip = Math.max(0, skip - offer.volume);
+    if (remainingHere <= 0) continue;
+
+    const take = Math.min(remainingHere, left);
+    cost += take * offer.price;
+    left -= take;
+  }
+
+  return left > 0 ? Infinity : cost;
+}
+
+/**
+ * Units left at the cheapest offer level not yet exhausted
+ * @param {Array} offers - [{ price, volume }] cheapest first
+ * @param {number} alreadyBought - Units bought so far
+ * @returns {number}
+ */
+function unitsAtCurrentLevel(offers, alreadyBought) {
+  let bought = alreadyBought;
+  for (const offer of offers) {
+    if (bought < offer.volume) return offer.volume - bought;
+    bought -= offer.volume;
+  }
+  return 0;
+}
+
+/**
+ * Find the cheapest mix of ore and direct mineral purchases for mineral needs
+ * @param {Object} needs - mineralTypeId → quantity needed
+ * @param {Array} candidates - [{ typeId, yieldRate, reprocessingData: { portionSize, materials },
+ *   offers: [{ price, volume }] }]
+ * @param {Object} mineralPrices - mineralTypeId → unit price when bought directly
+ * @returns {Object} { ores, minerals, plainCost, oreCost, directCost, optimizedCost, savings, overflowValue }
+ */
+function optimizeMineralPurchase(needs, candidates, mineralPrices) {
+  const remaining = { ...needs };
+  const priceOf = typeId => mineralPrices[typeId] || 0;
+
+  const state = candidates
+    .filter(c => c.reprocessingData && c.offers && c.offers.length > 0)
+    .map(c => ({
+      ...c,
+      offers: [...c.offers].sort((a, b) => a.price - b.price),
+      totalVolume: c.offers.reduce((sum, o) => sum + o.volume, 0),
+      bought: 0,
+      portions: 0,
+      cost: 0,
+    }));
+
+  for (let step = 0; step < MAX_SOLVER_STEPS; step++) {
+    let best = null;
+
+    for (const c of state) {
+      const { portionSize, materials } = c.reprocessingData;
+      const needed = materials
+        .map(m => ({ typeId: m.materialTypeId, perPortion: m.quantity * c.yieldRate }))
+        .filter(m => remaining[m.typeId] > 0 && m.perPortion > 0);
+      if (needed.length === 0) continue;
+
+      // Buy up to the point the first needed mineral is covered, at most one
+      // overflowing portion, and without leaving the cheapest price level
+      let portions = Math.max(1, Math.min(...needed.map(m => Math.floor(remaining[m.typeId] / m.perPortion))));
+      portions = Math.min(portions, Math.max(1, Math.floor(unitsAtCurrentLevel(c.offers, c.bought) / portionSize)));
+      portions = Math.min(portions, Math.floor((c.totalVolume - c.bought) / portionSize));
+      if (portions <= 0) continue;
+
+      const cost = costOfUnits(c.offers, c.bought, portions * portionSize);
+      const value = needed.reduce((sum, m) =>
+        sum + Math.min(m.perPortion * portions, remaining[m.typeId]) * priceOf(m.typeId), 0);
+      if (!(value > cost)) continue;
+
+      const score = cost > 0 ? value / cost : Infinity;
+      if (!best || score > best.score) {
+        best = { candidate: c, portions, cost, needed, score };
+      }
+    }
+
+    if (!best) break;
+
+    const { candidate, portions, cost, needed } = best;
+    candidate.portions += portions;
+    candidate.bought += portions * candidate.reprocessingData.portionSize;
+    candidate.cost += cost;
+    for (const m of needed) {
+      remaining[m.typeId] -= m.perPortion * portions;
+    }
+  }
+
+  // Actual yields floor per reprocessing batch; any shortfall is bought directly
+  const fromOre = {};
+  const ores = state.filter(c => c.portions > 0).map(c => {
+    const quantity = c.portions * c.reprocessingData.portionSize;
+    const refined = calculateReprocessingValue(quantity, c.yieldRate, c.reprocessingData, {});
+    for (const m of refined.materials) {
+      fromOre[m.materialTypeId] = (fromOre[m.materialTypeId] || 0) + m.qty;
+    }
+    return {
+      typeId: c.typeId,
+      portions: c.portions,
+      quantity,
+      cost: c.cost,
+      averagePrice: c.cost / quantity,
+      yieldRate: c.yieldRate,
+      yields: refined.materials.map(m => ({ typeId: m.materialTypeId, quantity: m.qty })),
+    };
+  });
+
+  const mineralTypeIds = [...new Set([...Object.keys(needs), ...Object.keys(fromOre)].map(Number))];
+  const minerals = mineralTypeIds.map(typeId => {
+    const needed = needs[typeId] || 0;
+    const oreQuantity = fromOre[typeId] || 0;
+    return {
+      typeId,
+      needed,
+      fromOre: oreQuantity,
+      direct: Math.max(0, needed - oreQuantity),
+      overflow: Math.max(0, oreQuantity - needed),
+      price: priceOf(typeId),
+    };
+  });
+
+  const plainCost = minerals.reduce((sum, m) => sum + m.needed * m.price, 0);
+  const oreCost = ores.reduce((sum, o) => sum + o.cost, 0);
+  const directCost = minerals.reduce((sum, m) => sum + m.direct * m.price, 0);
+  const optimizedCost = oreCost + directCost;
+
+  return {
+    ores,
+    minerals,
+    plainCost,
+    oreCost,
+    directCost,
+    optimizedCost,
+    savings: plainCost - optimizedCost,
+    overflowValue: minerals.reduce((sum, m) => sum + m.overflow * m.price, 0),
+  };
+}
+
+/**
+ * Cached sell orders per type at a location (or across the region when the
+ * location has no station/structure)
+ * @param {Array<number>} typeIds - Type IDs
+ * @param {Object} location - { regionId, locationId }
+ * @returns {Map<number, Array>} typeId → [{ price, volume }] cheapest first
+ */
+function getSellOffers(typeIds, location) {
+  const { getMarketDatabase } = require('./market-database');
+  const offers = new Map();
+  if (typeIds.length === 0) return offers;
+
+  const db = getMarketDatabase();
+  let query = `
+    SELECT type_id, price, volume_remain FROM market_orders
+    WHERE is_buy_order = 0 AND region_id = ? AND type_id IN (${typeIds.map(() => '?').join(',')})
+  `;
+  const params = [location.regionId, ...typeIds];
+  if (location.locationId) {
+    query += ' AND location_id = ?';
+    params.push(location.locationId);
+  }
+  query += ' ORDER BY type_id, price ASC';
+
+  for (const row of db.prepare(query).all(...params)) {
+    if (!offers.has(row.type_id)) offers.set(row.type_id, []);
+    offers.get(row.type_id).push({ price: row.price, volume: row.volume_remain });
+  }
+  return offers;
+}
+
+/**
+ * Compare buying a plan's still-needed minerals outright with buying ore and
+ * reprocessing it
+ * @param {string} planId - Plan ID
+ * @param {Object} options
+ * @param {number} options.characterId - Reprocessing character (defaults to the plan owner)
+ * @param {Object} options.stationConfig - { stationType, rig, rig2 }
+ * @param {number} options.implantBonus - Reprocessing implant bonus
+ * @returns {Promise<Object>} Result of optimizeMineralPurchase with type names
+ *   and the location searched
+ */
+async function getPlanReprocessingOptimization(planId, options = {}) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getPlanMaterials } = require('./manufacturing-plans');
+  const { getReprocessableOreTypes, getTypeNames } = require('./sde-database');
+  const { getOreReprocessing } = require('./esi-mining');
+  const { resolveMarketSetForTool } = require('./settings-manager');
+  const { getInputLocation } = require('./blueprint-pricing');
+
+  const plan = getCharacterDatabase()
+    .prepare('SELECT character_id FROM manufacturing_plans WHERE plan_id = ?').get(planId);
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+
+  const marketSet = resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  if (!marketSet) {
+    throw new Error('No Market Set configured');
+  }
+  const location = getInputLocation(marketSet);
+
+  const oreTypes = await getReprocessableOreTypes();
+  const reprocessing = await getOreReprocessing(oreTypes.map(o => o.typeId), {
+    ...options,
+    characterId: options.characterId || plan.character_id,
+  });
+  const mineralTypeIds = new Set(Object.values(reprocessing)
+    .flatMap(r => r.reprocessingData.materials.map(m => m.materialTypeId)));
+
+  // Only plan materials that some ore reprocesses into
+  const materials = await getPlanMaterials(planId);
+  const needs = {};
+  const mineralPrices = {};
+  for (const material of materials) {
+    if (!mineralTypeIds.has(material.typeId)) continue;
+    const stillNeeded = getStillNeededQuantity(material);
+    if (stillNeeded <= 0) continue;
+    needs[material.typeId] = stillNeeded;
+    mineralPrices[material.typeId] = material.planOverridePrice ?? material.basePrice;
+  }
+
+  const empty = {
+    ores: [], minerals: [], plainCost: 0, oreCost: 0, directCost: 0,
+    optimizedCost: 0, savings: 0, overflowValue: 0, location,
+  };
+  if (Object.keys(needs).length === 0) return empty;
+
+  // Ores yielding anything needed, plus book prices for by-product minerals
+  const usefulOreIds = Object.keys(reprocessing).map(Number).filter(typeId =>
+    reprocessing[typeId].reprocessingData.materials.some(m => needs[m.materialTypeId] > 0));
+  const offers = getSellOffers([...usefulOreIds, ...mineralTypeIds], location);
+  for (const typeId of mineralTypeIds) {
+    if (mineralPrices[typeId] == null && offers.has(typeId)) {
+      mineralPrices[typeId] = offers.get(typeId)[0].price;
+    }
+  }
+
+  const result = optimizeMineralPurchase(
+    needs,
+    usefulOreIds.filter(typeId => offers.has(typeId)).map(typeId => ({
+      typeId,
+      yieldRate: reprocessing[typeId].yieldRate,
+      reprocessingData: reprocessing[typeId].reprocessingData,
+      offers: offers.get(typeId),
+    })),
+    mineralPrices
+  );
+
+  let typeNames = {};
+  try {
+    typeNames = await getTypeNames([...result.ores.map(o => o.typeId), ...result.minerals.map(m => m.typeId)]);
+  } catch (error) {
+    console.error('[Reprocessing Optimizer] Error loading type names:', error);
+  }
+  const nameOf = typeId => typeNames[typeId] || `Type ${typeId}`;
+
+  return {
+    ...result,
+    ores: result.ores.map(o => ({
+      ...o,
+      typeName: nameOf(o.typeId),
+      yields: o.yields.map(y => ({ ...y, typeName: nameOf(y.typeId) })),
+    })),
+    minerals: result.minerals.map(m => ({ ...m, typeName: nameOf(m.typeId) })),
+    location,
+  };
+}
+
+module.exports = {
+  optimizeMineralPurchase,
+  getPlanReprocessingOptimization,
+};
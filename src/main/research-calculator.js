@@ -0,0 +1,455 @@
+/**
+ * Research Calculator Module
+ * Handles Eve Online science jobs on blueprint originals:
+ * TE research (activityID = 3), ME research (activityID = 4) and copying (activityID = 5)
+ */
+
+const Database = require('better-sqlite3');
+const { getSdePath } = require('./sde-manager');
+const { getCostIndices } = require('./esi-cost-indices');
+
+// Science skills that reduce research and copying time
+const RESEARCH_SKILL_ID = 3403;                    // 5% per level (TE research)
+const METALLURGY_SKILL_ID = 3409;                  // 5% per level (ME research)
+const SCIENCE_SKILL_ID = 3402;                     // 5% per level (copying)
+const ADVANCED_LABORATORY_OPERATION_SKILL_ID = 24624; // 3% per level (all science jobs)
+
+/**
+ * Science job types, keyed by the value stored in plan_research_jobs.job_type
+ */
+const RESEARCH_JOB_TYPES = {
+  research_te: {
+    activityId: 3,
+    costIndexActivity: 'researching_time_efficiency',
+    label: 'TE Research',
+    skillId: RESEARCH_SKILL_ID,
+    skillLabel: 'Research',
+    maxValue: 20,
+    valuePerLevel: 2,
+  },
+  research_me: {
+    activityId: 4,
+    costIndexActivity: 'researching_material_efficiency',
+    label: 'ME Research',
+    skillId: METALLURGY_SKILL_ID,
+    skillLabel: 'Metallurgy',
+    maxValue: 10,
+    valuePerLevel: 1,
+  },
+  copying: {
+    activityId: 5,
+    costIndexActivity: 'copying',
+    label: 'Copying',
+    skillId: SCIENCE_SKILL_ID,
+    skillLabel: 'Science',
+  },
+};
+
+/**
+ * Research time multipliers for levels 1-10, relative to the level 1 time stored in the SDE.
+ * The same multipliers scale the job base cost of each level.
+ */
+const RESEARCH_LEVEL_MODIFIERS = [105, 250, 595, 1414, 3360, 8000, 19000, 45255, 107700, 256000].map(m => m / 105);
+
+/**
+ * Get the SDE science data for a blueprint
+ * @param {number} blueprintTypeId - Blueprint type ID
+ * @param {Database} db - Optional database connection to reuse
+ * @returns {Object|null} { researchTimeTime, researchMaterialTime, copyingTime, maxProductionLimit } or null if not found
+ */
+function getBlueprintScienceData(blueprintTypeId, db = null) {
+  const ownConnection = !db;
+  try {
+    if (!db) {
+      db = new Database(getSdePath(), { readonly: true });
+    }
+
+    const activities = db.prepare(`
+      SELECT activityID, time
+      FROM industryActivity
+      WHERE typeID = ? AND activityID IN (3, 4, 5)
+    `).all(blueprintTypeId);
+
+    const blueprint = db.prepare(`
+      SELECT maxProductionLimit
+      FROM industryBlueprints
+      WHERE typeID = ?
+    `).get(blueprintTypeId);
+
+    if (!blueprint && activities.length === 0) {
+      return null;
+    }
+
+    const timeFor = (activityId) => {
+      const row = activities.find(a => a.activityID === activityId);
+      return row ? row.time : 0;
+    };
+
+    return {
+      researchTimeTime: timeFor(RESEARCH_JOB_TYPES.research_te.activityId),
+      researchMaterialTime: timeFor(RESEARCH_JOB_TYPES.research_me.activityId),
+      copyingTime: timeFor(RESEARCH_JOB_TYPES.copying.activityId),
+      maxProductionLimit: blueprint ? blueprint.maxProductionLimit : 0,
+    };
+  } catch (error) {
+    console.error('Error getting blueprint science data:', error);
+    return null;
+  } finally {
+    if (ownConnection && db) db.close();
+  }
+}
+
+/**
+ * Get the research levels (1-10) needed to go from one ME/TE value to another.
+ * TE research advances 2% per level, ME research 1% per level.
+ * @param {string} jobType - 'research_me' or 'research_te'
+ * @param {number} fromValue - Current ME/TE value
+ * @param {number} toValue - Target ME/TE value
+ * @returns {Array<Object>} Levels [{level, value, modifier}]
+ */
+function getResearchLevels(jobType, fromValue, toValue) {
+  const jobInfo = RESEARCH_JOB_TYPES[jobType];
+  if (!jobInfo || !jobInfo.valuePerLevel) {
+    return [];
+  }
+
+  const clamp = (value) => Math.max(0, Math.min(jobInfo.maxValue, value || 0));
+  const fromLevel = Math.floor(clamp(fromValue) / jobInfo.valuePerLevel);
+  const toLevel = Math.ceil(clamp(toValue) / jobInfo.valuePerLevel);
+
+  const levels = [];
+  for (let level = fromLevel + 1; level <= toLevel; level++) {
+    levels.push({
+      level,
+      value: level * jobInfo.valuePerLevel,
+      modifier: RESEARCH_LEVEL_MODIFIERS[level - 1],
+    });
+  }
+  return levels;
+}
+
+/**
+ * Get the time modifiers for a science job from the facility and the character's skills.
+ * Skill levels come from getEffectiveSkillLevel so overrides apply.
+ * @param {string} jobType - 'research_me', 'research_te' or 'copying'
+ * @param {Object} facility - Facility configuration (optional)
+ * @param {number} characterId - Character ID (optional)
+ * @returns {Array<Object>} Modifiers [{source, label, skillId, level, percent, multiplier}]
+ */
+function getScienceTimeModifiers(jobType, facility = null, characterId = null) {
+  const jobInfo = RESEARCH_JOB_TYPES[jobType];
+  const modifiers = [];
+
+  // Engineering complex role bonuses apply to science jobs as well as manufacturing;
+  // refinery time bonuses only apply to reactions
+  const isRefinery = facility?.structureBonuses?.structureType === 'refinery';
+  const facilityTimeBonus = facility?.bonuses?.timeEfficiency ?? facility?.structureBonuses?.timeEfficiency;
+  if (facilityTimeBonus && !isRefinery) {
+    modifiers.push({ source: 'facility', label: facility.name || 'Facility', percent: facilityTimeBonus, multiplier: 1 - facilityTimeBonus / 100 });
+  }
+
+  if (characterId && jobInfo) {
+    try {
+      const { getEffectiveSkillLevel } = require('./settings-manager');
+
+      const addSkillModifier = (skillId, label, percentPerLevel) => {
+        const level = getEffectiveSkillLevel(characterId, skillId) || 0;
+        if (level > 0) {
+          const percent = level * percentPerLevel;
+          modifiers.push({ source: 'skill', label, skillId, level, percent, multiplier: 1 - percent / 100 });
+        }
+      };
+
+      addSkillModifier(jobInfo.skillId, jobInfo.skillLabel, 5);
+      addSkillModifier(ADVANCED_LABORATORY_OPERATION_SKILL_ID, 'Advanced Laboratory Operation', 3);
+    } catch (error) {
+      console.warn('Could not fetch science skill levels for time calculation:', error);
+    }
+  }
+
+  return modifiers;
+}
+
+/**
+ * Calculate the time to research a blueprint from one ME/TE value to another
+ * @param {number} levelOneTime - Level 1 research time from the SDE (seconds)
+ * @param {string} jobType - 'research_me' or 'research_te'
+ * @param {number} fromValue - Current ME/TE value
+ * @param {number} toValue - Target ME/TE value
+ * @param {Object} facility - Facility configuration (optional)
+ * @param {number} characterId - Character ID (optional)
+ * @returns {Object} { baseTime, adjustedTime, levels, modifiers }
+ */
+function calculateResearchTime(levelOneTime, jobType, fromValue, toValue, facility = null, characterId = null) {
+  const modifiers = getScienceTimeModifiers(jobType, facility, characterId);
+  const multiplier = modifiers.reduce((product, modifier) => product * modifier.multiplier, 1);
+
+  const levels = getResearchLevels(jobType, fromValue, toValue).map(level => ({
+    ...level,
+    time: levelOneTime * level.modifier * multiplier,
+  }));
+
+  return {
+    baseTime: levels.reduce((sum, level) => sum + levelOneTime * level.modifier, 0),
+    adjustedTime: levels.reduce((sum, level) => sum + level.time, 0),
+    levels,
+    modifiers,
+  };
+}
+
+/**
+ * Calculate the time to copy a blueprint
+ * @param {number} copyTimePerRun - Copying time per run from the SDE (seconds)
+ * @param {number} runsPerCopy - Runs on each copy
+ * @param {number} copies - Number of copies
+ * @param {Object} facility - Facility configuration (optional)
+ * @param {number} characterId - Character ID (optional)
+ * @returns {Object} { baseTime, adjustedTime, modifiers }
+ */
+function calculateCopyTime(copyTimePerRun, runsPerCopy, copies, facility = null, characterId = null) {
+  const modifiers = getScienceTimeModifiers('copying', facility, characterId);
+  const baseTime = copyTimePerRun * runsPerCopy * copies;
+
+  return {
+    baseTime,
+    adjustedTime: modifiers.reduce((time, modifier) => time * modifier.multiplier, baseTime),
+    modifiers,
+  };
+}
+
+/**
+ * Calculate the installation cost of a science job
+ * Job Base Cost = EIV × 2% × job multiplier
+ *   (research: sum of the level modifiers, copying: runs per copy × copies)
+ * Job Gross Cost = Job Base Cost × System Cost Index × (1 - Structure Cost Bonus)
+ * Taxes = Job Base Cost × (4% SCC surcharge + Facility Tax Rate)
+ * Total Job Cost = Job Gross Cost + Taxes
+ *
+ * @param {number} estimatedItemValue - EIV of one manufacturing run of the blueprint
+ * @param {string} jobType - 'research_me', 'research_te' or 'copying'
+ * @param {number} jobMultiplier - Level modifier sum (research) or total copied runs (copying)
+ * @param {Object} facility - Facility configuration (optional)
+ * @returns {Object} Job cost breakdown
+ */
+function calculateScienceJobCost(estimatedItemValue, jobType, jobMultiplier, facility = null) {
+  const jobInfo = RESEARCH_JOB_TYPES[jobType];
+  const jobCost = {
+    estimatedItemValue: estimatedItemValue || 0,
+    jobBaseCost: 0,
+    systemCostIndex: 0,
+    jobGrossCost: 0,
+    structureRollBonus: 0,
+    facilityTaxRate: 0,
+    facilityTax: 0,
+    sccSurcharge: 0,
+    totalJobCost: 0,
+  };
+
+  if (!jobInfo || !estimatedItemValue || !jobMultiplier) {
+    return jobCost;
+  }
+
+  jobCost.jobBaseCost = estimatedItemValue * 0.02 * jobMultiplier;
+
+  if (facility && facility.systemId) {
+    const costIndex = getCostIndices(facility.systemId).find(idx => idx.activity === jobInfo.costIndexActivity);
+    jobCost.systemCostIndex = costIndex ? costIndex.costIndex : 0;
+  }
+
+  if (facility && facility.structureTypeId && facility.structureBonuses) {
+    jobCost.structureRollBonus = facility.structureBonuses.costReduction || 0;
+  }
+
+  // Same facility tax defaults as manufacturing: NPC stations 0.25%, player structures 0% unless set
+  let facilityTaxRate = 0.25;
+  if (facility) {
+    if (facility.facilityTax !== undefined) {
+      facilityTaxRate = facility.facilityTax;
+    } else if (facility.structureTypeId) {
+      facilityTaxRate = 0;
+    }
+  }
+  jobCost.facilityTaxRate = facilityTaxRate;
+
+  jobCost.jobGrossCost = jobCost.jobBaseCost * jobCost.systemCostIndex * (1 - jobCost.structureRollBonus / 100);
+  jobCost.facilityTax = jobCost.jobBaseCost * (facilityTaxRate / 100);
+  jobCost.sccSurcharge = jobCost.jobBaseCost * 0.04;
+  jobCost.totalJobCost = jobCost.jobGrossCost + jobCost.facilityTax + jobCost.sccSurcharge;
+
+  return jobCost;
+}
+
+/**
+ * Compare researching ME against building at the current ME.
+ * Material quantities are rounded per job, so savings are measured over a job of runsPerJob runs.
+ * @param {Array<Object>} baseMaterials - Base manufacturing materials [{typeID, quantity}]
+ * @param {Object} unitPrices - Map of typeID -> unit price
+ * @param {number} currentME - Current blueprint ME
+ * @param {number} targetME - Researched blueprint ME
+ * @param {number} researchCost - Total installation cost of the ME research
+ * @param {number} runsPerJob - Runs per manufacturing job (default 1)
+ * @param {Object} facility - Manufacturing facility (optional)
+ * @returns {Object} { materialCostPerRunCurrent, materialCostPerRunTarget, savingsPerRun, breakEvenRuns }
+ */
+function calculateResearchBreakEven(baseMaterials, unitPrices, currentME, targetME, researchCost, runsPerJob = 1, facility = null) {
+  const { calculateMaterialQuantity } = require('./blueprint-calculator');
+  const runs = Math.max(1, runsPerJob || 1);
+
+  let costCurrent = 0;
+  let costTarget = 0;
+  for (const material of baseMaterials || []) {
+    const price = unitPrices[material.typeID] || 0;
+    costCurrent += price * calculateMaterialQuantity(material.quantity, currentME, runs, facility);
+    costTarget += price * calculateMaterialQuantity(material.quantity, targetME, runs, facility);
+  }
+
+  const savingsPerRun = (costCurrent - costTarget) / runs;
+
+  return {
+    materialCostPerRunCurrent: costCurrent / runs,
+    materialCostPerRunTarget: costTarget / runs,
+    savingsPerRun,
+    // Runs that must be built before the research pays for itself (null if it never does)
+    breakEvenRuns: savingsPerRun > 0 ? Math.ceil(researchCost / savingsPerRun) : null,
+  };
+}
+
+/**
+ * Plan the research and copying of an owned blueprint original
+ * @param {number} blueprintTypeId - Blueprint type ID
+ * @param {Object} options - Research options
+ * @param {number} options.currentME - Current ME (default 0)
+ * @param {number} options.currentTE - Current TE (default 0)
+ * @param {number} options.targetME - Target ME (default currentME)
+ * @param {number} options.targetTE - Target TE (default currentTE)
+ * @param {number} options.copies - Number of copies (default 0)
+ * @param {number} options.runsPerCopy - Runs per copy (default blueprint max production limit)
+ * @param {number} options.runsPerJob - Manufacturing runs per job for the break-even (default 1)
+ * @param {number} options.characterId - Character whose skills apply (optional)
+ * @param {Object} options.facility - Research facility (optional)
+ * @param {Object} options.marketSettings - Market set used to price materials for the break-even (optional)
+ * @returns {Promise<Object|null>} Research plan or null if the blueprint is not found
+ */
+async function calculateBlueprintResearch(blueprintTypeId, options = {}) {
+  const {
+    currentME = 0,
+    currentTE = 0,
+    characterId = null,
+    facility = null,
+    marketSettings = null,
+    copies = 0,
+    runsPerJob = 1,
+  } = options;
+  const targetME = options.targetME ?? currentME;
+  const targetTE = options.targetTE ?? currentTE;
+
+  const scienceData = getBlueprintScienceData(blueprintTypeId);
+  if (!scienceData) {
+    return null;
+  }
+
+  // Copies cannot carry more runs than the blueprint's max production limit
+  const maxRunsPerCopy = scienceData.maxProductionLimit || 1;
+  const runsPerCopy = Math.max(1, Math.min(options.runsPerCopy || maxRunsPerCopy, maxRunsPerCopy));
+
+  const { calculateEstimatedItemValue } = require('./blueprint-pricing');
+  const estimatedItemValue = calculateEstimatedItemValue(blueprintTypeId, 1);
+
+  const researchJob = (jobType, levelOneTime, fromValue, toValue) => {
+    const time = calculateResearchTime(levelOneTime, jobType, fromValue, toValue, facility, characterId);
+    const levelModifierSum = time.levels.reduce((sum, level) => sum + level.modifier, 0);
+    return {
+      jobType,
+      fromValue,
+      toValue: time.levels.length > 0 ? time.levels[time.levels.length - 1].value : fromValue,
+      time,
+      cost: calculateScienceJobCost(estimatedItemValue, jobType, levelModifierSum, facility),
+    };
+  };
+
+  const materialResearch = researchJob('research_me', scienceData.researchMaterialTime, currentME, targetME);
+  const timeResearch = researchJob('research_te', scienceData.researchTimeTime, currentTE, targetTE);
+
+  const copyTime = calculateCopyTime(scienceData.copyingTime, runsPerCopy, copies, facility, characterId);
+  const copyCost = calculateScienceJobCost(estimatedItemValue, 'copying', runsPerCopy * copies, facility);
+  const copying = {
+    jobType: 'copying',
+    copies,
+    runsPerCopy,
+    time: copyTime,
+    cost: copyCost,
+    costPerCopy: copies > 0 ? copyCost.totalJobCost / copies : 0,
+    costPerRun: copies > 0 ? copyCost.totalJobCost / (copies * runsPerCopy) : 0,
+  };
+
+  let breakEven = null;
+  if (materialResearch.time.levels.length > 0) {
+    try {
+      const { getBlueprintMaterials } = require('./blueprint-calculator');
+      const baseMaterials = getBlueprintMaterials(blueprintTypeId);
+
+      const unitPrices = {};
+      if (marketSettings && baseMaterials.length > 0) {
+        const { calculateInputMaterialsCost } = require('./blueprint-pricing');
+        const quantities = {};
+        baseMaterials.forEach(mat => { quantities[mat.typeID] = mat.quantity * runsPerJob; });
+        const pricing = await calculateInputMaterialsCost(quantities, marketSettings);
+        for (const [typeId, price] of Object.entries(pricing.materialPrices || {})) {
+          unitPrices[typeId] = price.unitPrice;
+        }
+      }
+
+      breakEven = calculateResearchBreakEven(
+        baseMaterials, unitPrices, currentME, materialResearch.toValue,
+        materialResearch.cost.totalJobCost, runsPerJob
+      );
+    } catch (error) {
+      console.error('Error calculating research break-even:', error);
+    }
+  }
+
+  return {
+    blueprintTypeId,
+    estimatedItemValue,
+    maxProductionLimit: scienceData.maxProductionLimit,
+    materialResearch,
+    timeResearch,
+    copying,
+    breakEven,
+  };
+}
+
+/**
+ * Calculate the installation cost of a stored plan research/copy job
+ * @param {Object} job - { blueprintTypeId, jobType, fromLevel, toLevel, runs, copies }
+ * @param {Object} facility - Facility snapshot (optional)
+ * @returns {Object} Job cost breakdown
+ */
+function calculateResearchJobInstallCost(job, facility = null) {
+  const { calculateEstimatedItemValue } = require('./blueprint-pricing');
+  const estimatedItemValue = calculateEstimatedItemValue(job.blueprintTypeId, 1);
+
+  let jobMultiplier;
+  if (job.jobType === 'copying') {
+    jobMultiplier = (job.runs || 1) * (job.copies || 1);
+  } else {
+    jobMultiplier = getResearchLevels(job.jobType, job.fromLevel, job.toLevel)
+      .reduce((sum, level) => sum + level.modifier, 0);
+  }
+
+  return calculateScienceJobCost(estimatedItemValue, job.jobType, jobMultiplier, facility);
+}
+
+module.exports = {
+  RESEARCH_JOB_TYPES,
+  RESEARCH_LEVEL_MODIFIERS,
+  getBlueprintScienceData,
+  getResearchLevels,
+  getScienceTimeModifiers,
+  calculateResearchTime,
+  calculateCopyTime,
+  calculateScienceJobCost,
+  calculateResearchBreakEven,
+  calculateBlueprintResearch,
+  calculateResearchJobInstallCost,
+};
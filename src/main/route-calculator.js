@@ -0,0 +1,371 @@
+/**
+ * Stargate route calculations over the SDE jump graph (mapSolarSystemJumps).
+ * The graph and the system index (names, security) are loaded once per SDE
+ * path and kept in memory.
+ *
+ * Route preferences mirror the in-game autopilot:
+ *   - shortest:      fewest jumps
+ *   - safest:        high-sec systems only (null when no such route exists)
+ *   - fewest-lowsec: fewest low/null-sec systems, then fewest jumps
+ */
+
+const Database = require('better-sqlite3');
+const { getSdePath } = require('./sde-manager');
+
+const ROUTE_PREFERENCES = ['shortest', 'safest', 'fewest-lowsec'];
+
+// Entering a low/null-sec system costs more than any plausible number of
+// high-sec jumps, so fewest-lowsec only takes extra jumps to avoid one
+const INSECURE_SYSTEM_PENALTY = 10000;
+
+let cachedGraph = null;
+let cachedGraphPath = null;
+let cachedSystems = null;
+let cachedSystemsPath = null;
+
+/**
+ * Build the stargate adjacency list from an SDE database
+ * @param {Object} sdeDb - better-sqlite3 SDE database
+ * @returns {Map<number, number[]>} solarSystemID → neighbouring solarSystemIDs
+ */
+function buildGateGraph(sdeDb) {
+  const graph = new Map();
+  const jumps = sdeDb.prepare('SELECT fromSolarSystemID, toSolarSystemID FROM mapSolarSystemJumps').all();
+
+  for (const { fromSolarSystemID, toSolarSystemID } of jumps) {
+    if (!graph.has(fromSolarSystemID)) graph.set(fromSolarSystemID, []);
+    graph.get(fromSolarSystemID).push(toSolarSystemID);
+  }
+
+  return graph;
+}
+
+/**
+ * Get the stargate graph for the current SDE, loading it on first use
+ * @returns {Map<number, number[]>} solarSystemID → neighbouring solarSystemIDs
+ */
+function getGateGraph() {
+  const sdePath = getSdePath();
+  if (cachedGraph && cachedGraphPath === sdePath) return cachedGraph;
+
+  const sdeDb = new Database(sdePath, { readonly: true });
+  try {
+    cachedGraph = buildGateGraph(sdeDb);
+    cachedGraphPath = sdePath;
+    console.log(`[Routes] Loaded stargate graph with ${cachedGraph.size} systems`);
+  } finally {
+    sdeDb.close();
+  }
+  return cachedGraph;
+}
+
+/**
+ * Build the solar system index from an SDE database
+ * @param {Object} sdeDb - better-sqlite3 SDE database
+ * @returns {Map<number, Object>} solarSystemID → { name, security }
+ */
+function buildSystemIndex(sdeDb) {
+  const systems = new Map();
+  const rows = sdeDb.prepare('SELECT solarSystemID, solarSystemName, security FROM mapSolarSystems').all();
+
+  for (const row of rows) {
+    systems.set(row.solarSystemID, { name: row.solarSystemName, security: row.security });
+  }
+
+  return systems;
+}
+
+/**
+ * Get the solar system index for the current SDE, loading it on first use
+ * @returns {Map<number, Object>} solarSystemID → { name, security }
+ */
+function getSystemIndex() {
+  const sdePath = getSdePath();
+  if (cachedSystems && cachedSystemsPath === sdePath) return cachedSystems;
+
+  const sdeDb = new Database(sdePath, { readonly: true });
+  try {
+    cachedSystems = buildSystemIndex(sdeDb);
+    cachedSystemsPath = sdePath;
+  } finally {
+    sdeDb.close();
+  }
+  return cachedSystems;
+}
+
+/**
+ * Drop the cached stargate graph and system index (e.g. after an SDE update)
+ */
+function clearGateGraphCache() {
+  cachedGraph = null;
+  cachedGraphPath = null;
+  cachedSystems = null;
+  cachedSystemsPath = null;
+}
+
+/**
+ * Classify a raw security status the way the game displays it
+ * (rounded to one decimal, anything above 0.0 is at least 0.1)
+ * @param {number|null} security - Raw security status
+ * @returns {string} 'high', 'low' or 'null'
+ */
+function getSecurityClass(security) {
+  if (security === null || security === undefined) return 'null';
+  if (security <= 0) return 'null';
+  const displayed = Math.max(0.1, Math.round(security * 10) / 10);
+  return displayed >= 0.5 ? 'high' : 'low';
+}
+
+/**
+ * Shortest number of gate jumps between two systems (breadth-first search)
+ * @param {number} fromSystemId - Origin solar system ID
+ * @param {number} toSystemId - Destination solar system ID
+ * @param {Map<number, number[]>} graph - Gate graph (defaults to the SDE graph)
+ * @returns {number|null} Jump count, or null when no gate route exists
+ */
+function getJumpCount(fromSystemId, toSystemId, graph = getGateGraph()) {
+  if (!fromSystemId || !toSystemId) return null;
+  if (fromSystemId === toSystemId) return 0;
+
+  const visited = new Set([fromSystemId]);
+  let frontier = [fromSystemId];
+  let jumps = 0;
+
+  while (frontier.length > 0) {
+    jumps++;
+    const next = [];
+    for (const systemId of frontier) {
+      for (const neighbour of graph.get(systemId) || []) {
+        if (neighbour === toSystemId) return jumps;
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return null;
+}
+
+/**
+ * Push a [cost, systemId] pair onto a binary min-heap
+ * @param {Array} heap - Heap array
+ * @param {number} cost - Route cost so far
+ * @param {number} systemId - Solar system ID
+ */
+function heapPush(heap, cost, systemId) {
+  heap.push([cost, systemId]);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+/**
+ * Pop the cheapest [cost, systemId] pair from a binary min-heap
+ * @param {Array} heap - Heap array
+ * @returns {Array} [cost, systemId]
+ */
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+/**
+ * Find a gate route between two systems
+ * @param {number} fromSystemId - Origin solar system ID
+ * @param {number} toSystemId - Destination solar system ID
+ * @param {string} preference - 'shortest', 'safest' or 'fewest-lowsec'
+ * @param {Object} options - { graph, systems } (default to the SDE graph and system index)
+ * @returns {Object|null} { preference, jumps, route, highSecCount, lowSecCount, nullSecCount },
+ *   or null when no route exists for the preference
+ */
+function findRoute(fromSystemId, toSystemId, preference = 'shortest', options = {}) {
+  if (!ROUTE_PREFERENCES.includes(preference)) {
+    throw new Error(`Unknown route preference: ${preference}`);
+  }
+  if (!fromSystemId || !toSystemId) return null;
+
+  const graph = options.graph || getGateGraph();
+  const systems = options.systems || getSystemIndex();
+  const securityOf = (systemId) => getSecurityClass(systems.get(systemId)?.security);
+
+  // Cost of entering a system; Infinity means the system may not be entered
+  const entryCost = (systemId) => {
+    const securityClass = securityOf(systemId);
+    if (preference === 'safest') return securityClass === 'high' ? 1 : Infinity;
+    if (preference === 'fewest-lowsec') return securityClass === 'high' ? 1 : 1 + INSECURE_SYSTEM_PENALTY;
+    return 1;
+  };
+
+  const costs = new Map([[fromSystemId, 0]]);
+  const previous = new Map();
+  const queue = [];
+  heapPush(queue, 0, fromSystemId);
+
+  while (queue.length > 0) {
+    const [cost, systemId] = heapPop(queue);
+    if (systemId === toSystemId) break;
+    if (cost > costs.get(systemId)) continue;
+
+    for (const neighbour of graph.get(systemId) || []) {
+      const nextCost = cost + entryCost(neighbour);
+      if (nextCost === Infinity) continue;
+      if (!costs.has(neighbour) || nextCost < costs.get(neighbour)) {
+        costs.set(neighbour, nextCost);
+        previous.set(neighbour, systemId);
+        heapPush(queue, nextCost, neighbour);
+      }
+    }
+  }
+
+  if (!costs.has(toSystemId)) return null;
+
+  const path = [toSystemId];
+  while (path[0] !== fromSystemId) {
+    path.unshift(previous.get(path[0]));
+  }
+
+  const result = {
+    preference,
+    jumps: path.length - 1,
+    route: path.map(systemId => ({
+      systemId,
+      name: systems.get(systemId)?.name || null,
+      security: systems.get(systemId)?.security ?? null,
+    })),
+    highSecCount: 0,
+    lowSecCount: 0,
+    nullSecCount: 0,
+  };
+
+  // Count the systems passed through, not the one the haul starts in
+  for (const systemId of path.slice(1)) {
+    const securityClass = securityOf(systemId);
+    if (securityClass === 'high') result.highSecCount++;
+    else if (securityClass === 'low') result.lowSecCount++;
+    else result.nullSecCount++;
+  }
+
+  return result;
+}
+
+/**
+ * Find the shortest, safest and fewest-low-sec routes between two systems
+ * @param {number} fromSystemId - Origin solar system ID
+ * @param {number} toSystemId - Destination solar system ID
+ * @param {Object} options - { graph, systems } (default to the SDE graph and system index)
+ * @returns {Object} { shortest, safest, fewestLowSec } (each a route or null)
+ */
+function getRoutes(fromSystemId, toSystemId, options = {}) {
+  const resolved = {
+    graph: options.graph || getGateGraph(),
+    systems: options.systems || getSystemIndex(),
+  };
+
+  return {
+    shortest: findRoute(fromSystemId, toSystemId, 'shortest', resolved),
+    safest: findRoute(fromSystemId, toSystemId, 'safest', resolved),
+    fewestLowSec: findRoute(fromSystemId, toSystemId, 'fewest-lowsec', resolved),
+  };
+}
+
+/**
+ * Summarise a route without its system list
+ * @param {Object|null} route - Route from findRoute
+ * @returns {Object|null} { jumps, lowSecCount, nullSecCount }
+ */
+function summarizeRoute(route) {
+  if (!route) return null;
+  return { jumps: route.jumps, lowSecCount: route.lowSecCount, nullSecCount: route.nullSecCount };
+}
+
+/**
+ * Distances between every configured facility and the hubs of a Market Set
+ * @param {string|null} marketSetId - Market Set ID (null for the default set)
+ * @returns {Object} { marketSetId, marketSetName, hubs, facilities }
+ */
+function getFacilityHubDistances(marketSetId = null) {
+  const { getManufacturingFacilities, getMarketSetById, getDefaultMarketSet } = require('./settings-manager');
+  const { getInputLocation, getOutputLocation } = require('./blueprint-pricing');
+
+  const marketSet = (marketSetId && getMarketSetById(marketSetId)) || getDefaultMarketSet();
+  const result = {
+    marketSetId: marketSet?.id || null,
+    marketSetName: marketSet?.name || null,
+    hubs: [],
+    facilities: [],
+  };
+  if (!marketSet) return result;
+
+  const systems = getSystemIndex();
+  const graph = getGateGraph();
+
+  // Input and output locations, merged when they share a system
+  for (const [role, location] of [['input', getInputLocation(marketSet)], ['output', getOutputLocation(marketSet)]]) {
+    const systemId = parseInt(location.systemId) || null;
+    if (!systemId) continue;
+
+    const existing = result.hubs.find(h => h.systemId === systemId);
+    if (existing) {
+      existing.roles.push(role);
+    } else {
+      result.hubs.push({ systemId, systemName: systems.get(systemId)?.name || null, roles: [role] });
+    }
+  }
+
+  for (const facility of getManufacturingFacilities()) {
+    const systemId = parseInt(facility.systemId) || null;
+    result.facilities.push({
+      facilityId: facility.id,
+      facilityName: facility.name,
+      systemId,
+      systemName: systems.get(systemId)?.name || null,
+      distances: result.hubs.map(hub => {
+        const routes = getRoutes(systemId, hub.systemId, { graph, systems });
+        return {
+          hubSystemId: hub.systemId,
+          shortest: summarizeRoute(routes.shortest),
+          safest: summarizeRoute(routes.safest),
+          fewestLowSec: summarizeRoute(routes.fewestLowSec),
+        };
+      }),
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  ROUTE_PREFERENCES,
+  buildGateGraph,
+  getGateGraph,
+  buildSystemIndex,
+  getSystemIndex,
+  clearGateGraphCache,
+  getSecurityClass,
+  getJumpCount,
+  findRoute,
+  getRoutes,
+  getFacilityHubDistances,
+};
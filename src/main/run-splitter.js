@@ -0,0 +1,302 @@
+/**
+ * Run splitting for plan blueprint rows
+ *
+ * Proposes how many parallel lines to run a blueprint on. More lines finish
+ * sooner but every job rounds each material up on its own (the Math.ceil in
+ * calculateMaterialQuantity), so small batches waste material. For every line
+ * count up to the free manufacturing slots of the plan characters this
+ * evaluates:
+ *   - the jobs: runs spread evenly over the lines, each line split into jobs
+ *     within the per-job run limit (blueprint max production limit, largest
+ *     owned copy when only copies are owned) and the 30-day job cap
+ *   - the wall-clock time: the longest line, its jobs back to back
+ *   - the materials, and how much more than the single-line split they take
+ *
+ * Line counts that are no faster than a smaller one are dropped. The
+ * recommended split is the fastest one whose extra material stays within
+ * maxExtraMaterialPercent of the single-line material cost.
+ */
+
+const { splitRunsIntoJobs, MAX_JOB_DURATION_MS } = require('./plan-scheduler');
+
+const DEFAULT_MAX_EXTRA_MATERIAL_PERCENT = 1;
+
+/**
+ * Jobs for a line count, with every job also within the per-job run limit
+ * @param {number} totalRuns - Runs to install
+ * @param {number} lines - Parallel lines
+ * @param {number} runDurationMs - Duration of one run
+ * @param {number} runLimit - Max runs per job (Infinity for none)
+ * @returns {Array} [{ line, runs }]
+ */
+function buildSplitJobs(totalRuns, lines, runDurationMs, runLimit = Infinity) {
+  return splitRunsIntoJobs(totalRuns, lines, runDurationMs).flatMap(job => {
+    const chunks = [];
+    for (let left = job.runs; left > 0; left -= runLimit) {
+      chunks.push({ line: job.line, runs: Math.min(left, runLimit) });
+    }
+    return chunks;
+  });
+}
+
+/**
+ * Materials for a set of jobs, rounded per job like the game does
+ * @param {Array} jobs - [{ runs }]
+ * @param {Array} materials - Blueprint materials [{ typeID, quantity }]
+ * @param {number} meLevel - Blueprint ME
+ * @param {Object} facility - Facility snapshot
+ * @param {number} productGroupId - Product group for rig bonuses
+ * @returns {Object} typeId → quantity
+ */
+function calculateJobMaterials(jobs, materials, meLevel, facility, productGroupId) {
+  const { calculateMaterialQuantity } = require('./blueprint-calculator');
+  const totals = {};
+  for (const job of jobs) {
+    for (const material of materials) {
+      totals[material.typeID] = (totals[material.typeID] || 0) +
+        calculateMaterialQuantity(material.quantity, meLevel, job.runs, facility, productGroupId);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Evaluate line counts for a blueprint
+ * @param {Object} input - Split input
+ * @param {number} input.totalRuns - Runs to install
+ * @param {number} input.maxLines - Most lines to consider (free slots)
+ * @param {number} input.runDurationMs - Duration of one run
+ * @param {number} input.runLimit - Max runs per job
+ * @param {Array} input.materials - Blueprint materials [{ typeID, quantity }]
+ * @param {number} input.meLevel - Blueprint ME
+ * @param {Object} input.facility - Facility snapshot
+ * @param {number} input.productGroupId - Product group for rig bonuses
+ * @param {Object} input.prices - typeId → unit price
+ * @param {number} input.maxExtraMaterialPercent - Extra material accepted for speed
+ * @returns {Array} [{ lines, jobs, wallClockMs, materials: [{ typeId, quantity, delta }], materialCost,
+ *   extraMaterialCost, extraMaterialPercent, recommended }]
+ */
+function evaluateSplits(input) {
+  const {
+    totalRuns,
+    maxLines,
+    runDurationMs,
+    runLimit = Infinity,
+    materials,
+    meLevel = 0,
+    facility = null,
+    productGroupId = null,
+    prices = {},
+    maxExtraMaterialPercent = DEFAULT_MAX_EXTRA_MATERIAL_PERCENT,
+  } = input;
+
+  if (totalRuns <= 0) return [];
+
+  const options = [];
+  let baseline = null;
+  for (let lines = 1; lines <= Math.min(maxLines, totalRuns); lines++) {
+    const jobs = buildSplitJobs(totalRuns, lines, runDurationMs, runLimit);
+    const lineRuns = new Map();
+    for (const job of jobs) lineRuns.set(job.line, (lineRuns.get(job.line) || 0) + job.runs);
+    const wallClockMs = Math.max(...lineRuns.values()) * runDurationMs;
+
+    // More lines that finish no sooner only waste material
+    if (options.length > 0 && wallClockMs >= options[options.length - 1].wallClockMs) continue;
+
+    const quantities = calculateJobMaterials(jobs, materials, meLevel, facility, productGroupId);
+    baseline = baseline || quantities;
+    const materialRows = Object.entries(quantities).map(([typeId, quantity]) => ({
+      typeId: parseInt(typeId),
+      quantity,
+      delta: quantity - baseline[typeId],
+    }));
+    const cost = rows => rows.reduce((sum, row) => sum + row.quantity * (prices[row.typeId] || 0), 0);
+    const materialCost = cost(materialRows);
+
+    options.push({
+      lines,
+      jobs,
+      wallClockMs,
+      materials: materialRows,
+      materialCost,
+      extraMaterialCost: materialRows.reduce((sum, row) => sum + row.delta * (prices[row.typeId] || 0), 0),
+      extraMaterialUnits: materialRows.reduce((sum, row) => sum + row.delta, 0),
+      recommended: false,
+    });
+  }
+
+  const baselineCost = options[0]?.materialCost || 0;
+  for (const option of options) {
+    option.extraMaterialPercent = baselineCost > 0 ? (option.extraMaterialCost / baselineCost) * 100 : 0;
+  }
+
+  // Fastest within the material allowance; without prices, the fastest that wastes nothing
+  const acceptable = options.filter(option => (baselineCost > 0
+    ? option.extraMaterialPercent <= maxExtraMaterialPercent
+    : option.extraMaterialUnits === 0));
+  const recommended = acceptable[acceptable.length - 1] || options[0];
+  if (recommended) recommended.recommended = true;
+
+  return options;
+}
+
+/**
+ * Owned blueprints of a type across characters
+ * @param {number} blueprintTypeId - Blueprint type ID
+ * @param {Array<number>} characterIds - Characters to look at
+ * @returns {Object} { originals, copies: [runs, ...] }
+ */
+function getOwnedBlueprintRuns(blueprintTypeId, characterIds) {
+  const { getBlueprints } = require('./settings-manager');
+  const owned = { originals: 0, copies: [] };
+  const seen = new Set();
+
+  for (const characterId of characterIds) {
+    for (const blueprint of getBlueprints(characterId)) {
+      if (blueprint.typeId !== blueprintTypeId || seen.has(blueprint.itemId)) continue;
+      seen.add(blueprint.itemId);
+      if (blueprint.isCopy) owned.copies.push(blueprint.runs || 0);
+      else owned.originals++;
+    }
+  }
+  return owned;
+}
+
+/**
+ * Propose run splits for a manufacturing row of a plan
+ * @param {string} planBlueprintId - Plan blueprint row
+ * @param {Object} options - Split options
+ * @param {number} options.units - Units to produce (default: the row's runs)
+ * @param {Array<number>} options.characterIds - Characters whose slots and blueprints count
+ *   (default: the plan's default characters, or all)
+ * @param {number} options.maxExtraMaterialPercent - Extra material accepted for speed (default: 1)
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<Object>} { planBlueprintId, blueprintName, units, unitsPerRun, totalRuns, currentLines,
+ *   runLimit, maxLines, characters, ownedBlueprints, options, materialNames, warnings }
+ */
+async function proposeRunSplit(planBlueprintId, options = {}, now = Date.now()) {
+  const { getCharacterDatabase } = require('./character-database');
+  const { getBlueprintMaterials, getBlueprintProduct, getProductGroupId, calculateManufacturingTime } = require('./blueprint-calculator');
+  const { getBlueprintScienceData } = require('./research-calculator');
+  const { getPlanIndustrySettings } = require('./manufacturing-plans');
+  const { getSlotFreeTimes } = require('./industry-slots');
+  const { getTypeNames } = require('./sde-database');
+  const db = getCharacterDatabase();
+
+  const row = db.prepare(`
+    SELECT pb.*, mp.character_id
+    FROM plan_blueprints pb
+    JOIN manufacturing_plans mp ON mp.plan_id = pb.plan_id
+    WHERE pb.plan_blueprint_id = ?
+  `).get(planBlueprintId);
+  if (!row) {
+    throw new Error('Plan blueprint not found');
+  }
+  if (row.blueprint_type === 'reaction') {
+    throw new Error('Run splitting applies to manufacturing blueprints');
+  }
+
+  const product = getBlueprintProduct(row.blueprint_type_id);
+  const unitsPerRun = product?.quantity || 1;
+  const units = Math.max(1, Math.floor(Number(options.units) || row.runs * unitsPerRun));
+  const totalRuns = Math.ceil(units / unitsPerRun);
+  const facility = row.facility_snapshot ? JSON.parse(row.facility_snapshot) : null;
+
+  const defaultCharacters = options.characterIds?.length
+    ? options.characterIds
+    : (getPlanIndustrySettings(row.plan_id)?.defaultCharacters || []);
+  const slotTimes = getSlotFreeTimes(now)
+    .filter(c => defaultCharacters.length === 0 || defaultCharacters.includes(c.characterId));
+
+  const characters = slotTimes.map(c => ({
+    characterId: c.characterId,
+    characterName: c.characterName,
+    totalSlots: c.slots.manufacturing.length,
+    freeSlots: c.slots.manufacturing.filter(freeAt => freeAt <= now).length,
+  }));
+  const freeSlots = characters.reduce((sum, c) => sum + c.freeSlots, 0);
+  const totalSlots = characters.reduce((sum, c) => sum + c.totalSlots, 0);
+
+  const warnings = [];
+  const owned = getOwnedBlueprintRuns(row.blueprint_type_id, characters.map(c => c.characterId));
+  const maxProductionLimit = getBlueprintScienceData(row.blueprint_type_id)?.maxProductionLimit || Infinity;
+  let runLimit = maxProductionLimit;
+  // Each running job holds its own blueprint
+  let maxLines = Math.max(1, freeSlots || totalSlots);
+
+  if (owned.originals === 0 && owned.copies.length > 0) {
+    runLimit = Math.min(runLimit, Math.max(...owned.copies));
+    maxLines = Math.min(maxLines, owned.copies.length);
+    const copyRuns = owned.copies.reduce((sum, runs) => sum + runs, 0);
+    if (copyRuns < totalRuns) {
+      warnings.push(`Owned copies cover ${copyRuns} of ${totalRuns} runs`);
+    }
+  } else if (owned.originals === 0) {
+    warnings.push('No owned blueprint of this type found for these characters');
+  }
+  if (freeSlots === 0) {
+    warnings.push('No manufacturing slot is free right now; lines will wait for running jobs');
+  }
+
+  const time = calculateManufacturingTime(row.blueprint_type_id, row.te_level || 0, 1, facility, null, row.character_id);
+  const runDurationMs = (time?.timePerRun || 0) * 1000;
+  if (runDurationMs > MAX_JOB_DURATION_MS) {
+    warnings.push('A single run takes longer than 30 days');
+  }
+
+  const materials = getBlueprintMaterials(row.blueprint_type_id);
+  const prices = {};
+  for (const price of db.prepare(`
+    SELECT type_id, MAX(price_each) AS price_each
+    FROM plan_material_nodes
+    WHERE plan_id = ? AND price_each IS NOT NULL
+    GROUP BY type_id
+  `).all(row.plan_id)) {
+    prices[price.type_id] = price.price_each;
+  }
+
+  const splitOptions = evaluateSplits({
+    totalRuns,
+    maxLines,
+    runDurationMs,
+    runLimit,
+    materials,
+    meLevel: row.me_level || 0,
+    facility,
+    productGroupId: product ? getProductGroupId(product.typeID) : null,
+    prices,
+    maxExtraMaterialPercent: options.maxExtraMaterialPercent ?? DEFAULT_MAX_EXTRA_MATERIAL_PERCENT,
+  });
+
+  let names = {};
+  try {
+    names = await getTypeNames([row.blueprint_type_id, ...materials.map(m => m.typeID)]);
+  } catch (error) {
+    console.error('[Run Splitter] Error loading type names:', error);
+  }
+
+  return {
+    planBlueprintId,
+    blueprintTypeId: row.blueprint_type_id,
+    blueprintName: names[row.blueprint_type_id] || `Type ${row.blueprint_type_id}`,
+    units,
+    unitsPerRun,
+    totalRuns,
+    currentRuns: row.runs,
+    currentLines: row.lines || 1,
+    runLimit: Number.isFinite(runLimit) ? runLimit : null,
+    maxLines,
+    characters,
+    ownedBlueprints: owned,
+    options: splitOptions,
+    materialNames: Object.fromEntries(materials.map(m => [m.typeID, names[m.typeID] || `Type ${m.typeID}`])),
+    warnings,
+  };
+}
+
+module.exports = {
+  buildSplitJobs,
+  calculateJobMaterials,
+  evaluateSplits,
+  proposeRunSplit,
+};
@@ -1224,6 +1224,35 @@ async function getSystemNameFromStation(stationId) {
   }
 }
 
+/**
+ * Get the solar system a station is in
+ * @param {number} stationId - Station ID
+ * @returns {Promise<number|null>} Solar system ID or null if not found
+ */
+async function getStationSystemId(stationId) {
+  try {
+    const database = await getDatabase();
+
+    return new Promise((resolve, reject) => {
+      database.get(
+        'SELECT solarSystemID FROM staStations WHERE stationID = ?',
+        [stationId],
+        (err, row) => {
+          if (err) {
+            console.error('Error querying station system:', err);
+            reject(err);
+          } else {
+            resolve(row ? row.solarSystemID : null);
+          }
+        }
+      );
+    });
+  } catch (error) {
+    console.error('Error getting station system:', error);
+    return null;
+  }
+}
+
 /**
  * Get system name by system ID
  * @param {number} systemId - Solar system ID
@@ -1353,6 +1382,37 @@ async function getReprocessingMaterials(typeIds) {
   }
 }
 
+/**
+ * Get all published ores, compressed ores and ice (category 25) that can be
+ * reprocessed
+ * @returns {Promise<Array>} Array of { typeId, typeName, groupId }
+ */
+async function getReprocessableOreTypes() {
+  try {
+    const database = await getDatabase();
+
+    return await new Promise((resolve, reject) => {
+      database.all(
+        `SELECT t.typeID, t.typeName, t.groupID
+         FROM invTypes t
+         JOIN invGroups g ON t.groupID = g.groupID
+         WHERE g.categoryID = 25
+           AND t.published = 1
+           AND EXISTS (SELECT 1 FROM invTypeMaterials m WHERE m.typeID = t.typeID)
+         ORDER BY t.typeName`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({ typeId: row.typeID, typeName: row.typeName, groupId: row.groupID })));
+        }
+      );
+    });
+  } catch (error) {
+    console.error('Error in getReprocessableOreTypes:', error);
+    return [];
+  }
+}
+
 module.exports = {
   getDatabase,
   closeDatabase,
@@ -1385,7 +1445,9 @@ module.exports = {
   getLocationName,
   detectLocationType,
   getSystemNameFromStation,
+  getStationSystemId,
   getSystemName,
   searchItemsByExactName,
   getReprocessingMaterials,
+  getReprocessableOreTypes,
 };
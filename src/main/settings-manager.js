@@ -24,6 +24,8 @@ const defaultSettings = {
     wizardCompletedAt: null,
     skippedUpdateVersion: null,  // Version string that user chose to skip
     auditModeEnabled: false,
+    auditHistoryEnabled: false,
+    auditHistoryRetentionDays: 30,
   },
   accounts: {
     characters: [],
@@ -41,6 +43,7 @@ const defaultSettings = {
       enabled: false,
       decryptorStrategy: 'total-per-item',
       customVolume: 1,
+      relicQuality: 'best',
       showOnlyProfitable: true,
       minProfitThreshold: 0,
     },
@@ -56,6 +59,22 @@ const defaultSettings = {
     enabledDivisions: [],  // Array of division IDs (1-7) - empty by default, user selects which divisions to use
     calculateReactionsAsIntermediates: false,  // Global toggle for reaction intermediate calculation
     defaultManufacturingCharacters: [],  // Array of character IDs for manufacturing defaults
+    characterImplants: {},  // characterId -> { manufacturingTimeBonus: 0 | 1 | 2 | 4 } (percent)
+  },
+  logistics: {
+    freightRates: {
+      ratePerM3: 0,          // ISK per m³ hauled
+      ratePerJump: 0,        // ISK per gate jump
+      collateralPercent: 0,  // Percent of cargo value charged as collateral fee
+    },
+  },
+  notifications: {
+    jobCompletion: {
+      readyDigest: true,       // Combine several finished jobs into one "ready to deliver" notification
+      mutedCharacterIds: [],   // Installer character IDs whose jobs never notify
+      mutedPlanIds: [],        // Plan IDs whose jobs never notify
+    },
+    lastCheckedAt: null,       // ms timestamp up to which finished jobs have been announced
   },
 };
 
@@ -1867,6 +1886,44 @@ function setDefaultManufacturingCharacters(characterIds) {
   }
 }
 
+/**
+ * Get the industry implants a character has plugged in
+ * @param {number} characterId - Character ID
+ * @returns {Object} { manufacturingTimeBonus } as a percent (0 when none set)
+ */
+function getCharacterIndustryImplants(characterId) {
+  const settings = loadSettings();
+  const implants = settings.industry?.characterImplants?.[characterId] || {};
+  return {
+    manufacturingTimeBonus: implants.manufacturingTimeBonus || 0,
+  };
+}
+
+/**
+ * Set the industry implants for a character
+ * @param {number} characterId - Character ID
+ * @param {Object} implants - { manufacturingTimeBonus } as a percent (0, 1, 2 or 4)
+ * @returns {boolean} Success status
+ */
+function setCharacterIndustryImplants(characterId, implants) {
+  try {
+    const bonus = Number(implants?.manufacturingTimeBonus) || 0;
+    if (![0, 1, 2, 4].includes(bonus)) {
+      throw new Error(`Invalid manufacturing time implant bonus: ${bonus}`);
+    }
+
+    const settings = loadSettings();
+    settings.industry = settings.industry || {};
+    settings.industry.characterImplants = settings.industry.characterImplants || {};
+    settings.industry.characterImplants[characterId] = { manufacturingTimeBonus: bonus };
+
+    return saveSettings(settings);
+  } catch (error) {
+    console.error('[Settings] Error setting character industry implants:', error);
+    return false;
+  }
+}
+
 module.exports = {
   loadSettings,
   saveSettings,
@@ -1919,4 +1976,6 @@ module.exports = {
   migrateAutoUpdateCharacterDataSetting,
   getDefaultManufacturingCharacters,
   setDefaultManufacturingCharacters,
+  getCharacterIndustryImplants,
+  setCharacterIndustryImplants,
 };
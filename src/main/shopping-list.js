@@ -0,0 +1,299 @@
+/**
+ * Manufacturing plan shopping list export
+ *
+ * Turns the still-needed materials of a plan (getPlanMaterials) into text that
+ * can be acted on outside the app:
+ *   - multibuy: EVE's in-game multibuy paste format ("Name qty" per line)
+ *   - csv:      one row per item with price, volume and market location columns
+ *   - hub:      multibuy blocks grouped by the trade hub each item is cheapest at
+ *
+ * Quantities covered by owned assets and by intermediates we have already built
+ * (confirmed manufacturing job matches) can be left on the list or subtracted.
+ */
+
+const Database = require('better-sqlite3');
+const { getSdePath } = require('./sde-manager');
+
+const SHOPPING_LIST_FORMATS = ['multibuy', 'csv', 'hub'];
+
+/**
+ * Quantity of a plan material that still has to be bought
+ * @param {Object} material - Material from getPlanMaterials()
+ * @param {Object} options - { excludeOwned, excludeBuilt }
+ * @returns {number} Quantity still to buy (never negative)
+ */
+function getQuantityToBuy(material, options = {}) {
+  const { excludeOwned = true, excludeBuilt = true } = options;
+
+  let covered = (material.manuallyAcquiredQuantity || 0) + (material.purchasedQuantity || 0);
+  if (excludeBuilt) covered += material.manufacturedQuantity || 0;
+  if (excludeOwned) covered += (material.ownedPersonal || 0) + (material.ownedCorp || 0);
+
+  return Math.max(0, Math.ceil((material.quantity || 0) - covered));
+}
+
+/**
+ * Read names and packaged volumes for a set of types from the SDE
+ * @param {number[]} typeIds - Type IDs
+ * @returns {Object} { [typeId]: { name, volume } }
+ */
+function getTypeInfo(typeIds) {
+  const info = {};
+  if (typeIds.length === 0) return info;
+
+  let sdeDb = null;
+  try {
+    sdeDb = new Database(getSdePath(), { readonly: true });
+    const placeholders = typeIds.map(() => '?').join(',');
+    const rows = sdeDb.prepare(`
+      SELECT it.typeID, it.typeName, COALESCE(iv.volume, it.volume, 0) as volume
+      FROM invTypes it
+      LEFT JOIN invVolumes iv ON it.typeID = iv.typeID
+      WHERE it.typeID IN (${placeholders})
+    `).all(...typeIds);
+
+    for (const row of rows) {
+      info[row.typeID] = { name: row.typeName, volume: row.volume || 0 };
+    }
+  } catch (error) {
+    console.error('[Shopping List] Error reading type info from SDE:', error);
+  } finally {
+    if (sdeDb) sdeDb.close();
+  }
+  return info;
+}
+
+/**
+ * Describe the market set's input (buy) location as a hub entry
+ * @param {Object} marketSet - Full Market Set object
+ * @param {Array} tradeHubs - Known trade hubs ({ stationID, stationName, regionID })
+ * @returns {Object} { locationId, name, regionId }
+ */
+function getMarketSetHub(marketSet, tradeHubs) {
+  const input = marketSet?.inputMaterials || {};
+  const locationId = input.locationId || null;
+  const knownHub = tradeHubs.find(h => h.stationID === locationId);
+
+  let name = knownHub ? knownHub.stationName : null;
+  if (!name && input.locationType === 'private_structure') name = input.structureName || null;
+  if (!name) name = marketSet?.name ? `${marketSet.name} location` : 'Market Set location';
+
+  return { locationId, name, regionId: input.regionId || null };
+}
+
+/**
+ * Best cached order price for a type at a station, if the cached orders can fill the quantity
+ * @param {Function} getCachedMarketOrders - esi-market getCachedMarketOrders
+ * @param {Object} hub - { locationId, regionId }
+ * @param {number} typeId - Type ID
+ * @param {number} quantity - Quantity to buy
+ * @param {string} priceType - 'sell' (buy from sell orders) or 'buy'
+ * @returns {number|null} Best price or null when there are not enough cached orders
+ */
+function getCachedHubPrice(getCachedMarketOrders, hub, typeId, quantity, priceType) {
+  const isBuy = priceType === 'buy';
+  const orders = getCachedMarketOrders(hub.regionId, typeId, { stationId: hub.locationId })
+    .filter(o => o.is_buy_order === isBuy);
+
+  const available = orders.reduce((sum, o) => sum + (o.volume_remain || 0), 0);
+  if (orders.length === 0 || available < quantity) return null;
+
+  return isBuy
+    ? orders.reduce((max, o) => Math.max(max, o.price), -Infinity)
+    : orders.reduce((min, o) => Math.min(min, o.price), Infinity);
+}
+
+/**
+ * Assign every item to the hub where it is cheapest to buy.
+ * The market set location keeps the plan's estimated price; other trade hubs are
+ * compared using cached market orders only, so building the list never hits ESI.
+ * @param {Array} items - Shopping list items
+ * @param {Object} marketSet - Full Market Set object
+ * @param {Array} tradeHubs - Known trade hubs
+ * @returns {Array} Hub groups: [{ locationId, name, items, totalCost, totalVolume }]
+ */
+function groupItemsByHub(items, marketSet, tradeHubs) {
+  const { getCachedMarketOrders } = require('./esi-market');
+  const homeHub = getMarketSetHub(marketSet, tradeHubs);
+  const priceType = marketSet?.inputMaterials?.priceType || 'sell';
+  const otherHubs = tradeHubs
+    .filter(h => h.stationID !== homeHub.locationId)
+    .map(h => ({ locationId: h.stationID, name: h.stationName, regionId: h.regionID }));
+
+  const groups = new Map();
+  const addToGroup = (hub, item) => {
+    if (!groups.has(hub.locationId)) {
+      groups.set(hub.locationId, { locationId: hub.locationId, name: hub.name, items: [], totalCost: 0, totalVolume: 0 });
+    }
+    const group = groups.get(hub.locationId);
+    group.items.push(item);
+    group.totalCost += item.totalPrice || 0;
+    group.totalVolume += item.totalVolume;
+  };
+
+  for (const item of items) {
+    let bestHub = homeHub;
+    let bestPrice = item.unitPrice;
+
+    for (const hub of otherHubs) {
+      let price = null;
+      try {
+        price = getCachedHubPrice(getCachedMarketOrders, hub, item.typeId, item.quantity, priceType);
+      } catch (error) {
+        console.error(`[Shopping List] Error reading cached orders for ${item.typeId} at ${hub.locationId}:`, error);
+      }
+      if (price !== null && (bestPrice === null || price < bestPrice)) {
+        bestHub = hub;
+        bestPrice = price;
+      }
+    }
+
+    const hubItem = { ...item, location: bestHub.name, locationId: bestHub.locationId };
+    if (bestHub !== homeHub) {
+      hubItem.unitPrice = bestPrice;
+      hubItem.totalPrice = bestPrice * item.quantity;
+    }
+    addToGroup(bestHub, hubItem);
+  }
+
+  // Market set location first, then the other hubs by spend
+  return [...groups.values()].sort((a, b) => {
+    if (a.locationId === homeHub.locationId) return -1;
+    if (b.locationId === homeHub.locationId) return 1;
+    return b.totalCost - a.totalCost;
+  });
+}
+
+/**
+ * Format items in EVE's multibuy paste format
+ * @param {Array} items - Shopping list items ({ name, quantity })
+ * @returns {string} One "Name qty" line per item
+ */
+function formatMultibuy(items) {
+  return items.map(item => `${item.name} ${item.quantity}`).join('\n');
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or newline
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format items as CSV with price, volume and location columns
+ * @param {Array} items - Shopping list items
+ * @returns {string} CSV text including a header row
+ */
+function formatShoppingListCsv(items) {
+  const header = ['Type ID', 'Name', 'Quantity', 'Unit Price', 'Total Price', 'Unit Volume (m3)', 'Total Volume (m3)', 'Location'];
+  const rows = items.map(item => [
+    item.typeId,
+    item.name,
+    item.quantity,
+    item.unitPrice !== null ? item.unitPrice.toFixed(2) : '',
+    item.totalPrice !== null ? item.totalPrice.toFixed(2) : '',
+    item.unitVolume,
+    Math.round(item.totalVolume * 100) / 100,
+    item.location,
+  ].map(csvField).join(','));
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+/**
+ * Format hub groups as multibuy blocks, each preceded by a hub header line
+ * @param {Array} groups - Hub groups from groupItemsByHub()
+ * @returns {string} Text with one block per hub
+ */
+function formatHubGroups(groups) {
+  return groups
+    .map(group => `# ${group.name} (${group.items.length} items)\n${formatMultibuy(group.items)}`)
+    .join('\n\n');
+}
+
+/**
+ * Build the shopping list for a plan
+ * @param {string} planId - Plan ID
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'multibuy' | 'csv' | 'hub' (default 'multibuy')
+ * @param {boolean} options.excludeOwned - Subtract owned assets (default true)
+ * @param {boolean} options.excludeBuilt - Subtract intermediates already built (default true)
+ * @returns {Promise<Object>} { format, text, items, groups, totals, marketSetName }
+ */
+async function buildShoppingList(planId, options = {}) {
+  const { format = 'multibuy', excludeOwned = true, excludeBuilt = true } = options;
+
+  if (!SHOPPING_LIST_FORMATS.includes(format)) {
+    throw new Error(`Unknown shopping list format: ${format}`);
+  }
+
+  const { getPlanMaterials } = require('./manufacturing-plans');
+  const { resolveMarketSetForTool } = require('./settings-manager');
+  const { getTradeHubs } = require('./sde-database');
+
+  const materials = await getPlanMaterials(planId, excludeOwned);
+  const marketSet = resolveMarketSetForTool('manufacturingPlansMarketSetId');
+  const tradeHubs = await getTradeHubs();
+  const homeHub = getMarketSetHub(marketSet, tradeHubs);
+
+  const toBuy = materials
+    .map(m => ({ material: m, quantity: getQuantityToBuy(m, { excludeOwned, excludeBuilt }) }))
+    .filter(entry => entry.quantity > 0);
+  const typeInfo = getTypeInfo(toBuy.map(entry => entry.material.typeId));
+
+  const items = toBuy.map(({ material, quantity }) => {
+    const info = typeInfo[material.typeId] || { name: `Type ${material.typeId}`, volume: 0 };
+    const unitPrice = material.planOverridePrice ?? material.basePrice ?? null;
+    return {
+      typeId: material.typeId,
+      name: info.name,
+      quantity,
+      unitPrice,
+      totalPrice: unitPrice !== null ? unitPrice * quantity : null,
+      unitVolume: info.volume,
+      totalVolume: info.volume * quantity,
+      location: homeHub.name,
+      locationId: homeHub.locationId,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  let groups = null;
+  let text;
+  if (format === 'hub') {
+    groups = groupItemsByHub(items, marketSet, tradeHubs);
+    text = formatHubGroups(groups);
+  } else if (format === 'csv') {
+    text = formatShoppingListCsv(items);
+  } else {
+    text = formatMultibuy(items);
+  }
+
+  const pricedItems = groups ? groups.flatMap(g => g.items) : items;
+  return {
+    format,
+    text,
+    items: pricedItems,
+    groups,
+    totals: {
+      itemCount: items.length,
+      totalCost: pricedItems.reduce((sum, item) => sum + (item.totalPrice || 0), 0),
+      totalVolume: items.reduce((sum, item) => sum + item.totalVolume, 0),
+    },
+    marketSetName: marketSet?.name || null,
+  };
+}
+
+module.exports = {
+  SHOPPING_LIST_FORMATS,
+  getQuantityToBuy,
+  groupItemsByHub,
+  formatMultibuy,
+  formatShoppingListCsv,
+  formatHubGroups,
+  buildShoppingList,
+};
@@ -21,6 +21,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getRecords: (filters) => ipcRenderer.invoke('audit:getRecords', filters),
     clearRecords: () => ipcRenderer.invoke('audit:clearRecords'),
     getSummary: () => ipcRenderer.invoke('audit:getSummary'),
+    getHistoryPlans: () => ipcRenderer.invoke('audit:getHistoryPlans'),
+    getRecalculations: (planId) => ipcRenderer.invoke('audit:getRecalculations', planId),
+    getRecalculationRecords: (recalculationId) => ipcRenderer.invoke('audit:getRecalculationRecords', recalculationId),
+    diffRecalculations: (fromId, toId) => ipcRenderer.invoke('audit:diffRecalculations', fromId, toId),
+    clearHistory: (planId) => ipcRenderer.invoke('audit:clearHistory', planId),
     onRecordAdded: (callback) => {
       const listener = (event, record) => callback(record);
       ipcRenderer.on('audit:recordAdded', listener);
@@ -141,6 +146,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   industry: {
     getDefaultManufacturingCharacters: () => ipcRenderer.invoke('industry:getDefaultManufacturingCharacters'),
     setDefaultManufacturingCharacters: (characterIds) => ipcRenderer.invoke('industry:setDefaultManufacturingCharacters', characterIds),
+    getCharacterImplants: (characterId) => ipcRenderer.invoke('industry:getCharacterImplants', characterId),
+    setCharacterImplants: (characterId, implants) => ipcRenderer.invoke('industry:setCharacterImplants', characterId, implants),
   },
 
   // Industry Jobs API
@@ -158,6 +165,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getCacheStatus: (characterId) => ipcRenderer.invoke('wallet:getCacheStatus', characterId),
   },
 
+  // Market Orders API
+  orders: {
+    refresh: () => ipcRenderer.invoke('orders:refresh'),
+    get: (filters) => ipcRenderer.invoke('orders:get', filters),
+    getPlanOrders: (planId) => ipcRenderer.invoke('orders:getPlanOrders', planId),
+  },
+
+  // Mining Ledger API
+  mining: {
+    refresh: () => ipcRenderer.invoke('mining:refresh'),
+    getValuation: (options) => ipcRenderer.invoke('mining:getValuation', options),
+    getPlanSourcing: (planId, options) => ipcRenderer.invoke('mining:getPlanSourcing', planId, options),
+    applyPlanSourcing: (planId, options) => ipcRenderer.invoke('mining:applyPlanSourcing', planId, options),
+  },
+
+  // Plan templates and recurring production cycles
+  planTemplates: {
+    createFromPlan: (planId, options) => ipcRenderer.invoke('planTemplates:createFromPlan', planId, options),
+    getAll: (characterId) => ipcRenderer.invoke('planTemplates:getAll', characterId),
+    update: (templateId, updates) => ipcRenderer.invoke('planTemplates:update', templateId, updates),
+    delete: (templateId) => ipcRenderer.invoke('planTemplates:delete', templateId),
+    spawn: (templateId, options) => ipcRenderer.invoke('planTemplates:spawn', templateId, options),
+    getHistory: (templateId) => ipcRenderer.invoke('planTemplates:getHistory', templateId),
+  },
+
   // Manufacturing Plans API
   plans: {
     create: (characterId, planName, description) => ipcRenderer.invoke('plans:create', characterId, planName, description),
@@ -165,6 +197,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getAll: (characterId, filters) => ipcRenderer.invoke('plans:getAll', characterId, filters),
     update: (planId, updates) => ipcRenderer.invoke('plans:update', planId, updates),
     delete: (planId) => ipcRenderer.invoke('plans:delete', planId),
+    // Lifecycle, close-out and stockpile
+    evaluateLifecycle: (planId) => ipcRenderer.invoke('plans:evaluateLifecycle', planId),
+    setStatus: (planId, status) => ipcRenderer.invoke('plans:setStatus', planId, status),
+    getCloseOutReport: (planId) => ipcRenderer.invoke('plans:getCloseOutReport', planId),
+    getStockpile: () => ipcRenderer.invoke('plans:getStockpile'),
+    getStockpileSourcing: (planId) => ipcRenderer.invoke('plans:getStockpileSourcing', planId),
+    allocateFromStockpile: (planId) => ipcRenderer.invoke('plans:allocateFromStockpile', planId),
+    // Production schedule and run splitting
+    getSchedule: (planId) => ipcRenderer.invoke('plans:getSchedule', planId),
+    proposeRunSplit: (planBlueprintId, options) => ipcRenderer.invoke('plans:proposeRunSplit', planBlueprintId, options),
     // Industry settings
     getIndustrySettings: (planId) => ipcRenderer.invoke('plans:getIndustrySettings', planId),
     updateIndustrySettings: (planId, settings) => ipcRenderer.invoke('plans:updateIndustrySettings', planId, settings),
@@ -173,7 +215,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
     updateBlueprint: (planBlueprintId, updates) => ipcRenderer.invoke('plans:updateBlueprint', planBlueprintId, updates),
     bulkUpdateBlueprints: (planId, bulkUpdates) => ipcRenderer.invoke('plans:bulkUpdateBlueprints', planId, bulkUpdates),
     removeBlueprint: (planBlueprintId) => ipcRenderer.invoke('plans:removeBlueprint', planBlueprintId),
+    removeBuyItem: (planId, typeId) => ipcRenderer.invoke('plans:removeBuyItem', planId, typeId),
     getBlueprints: (planId) => ipcRenderer.invoke('plans:getBlueprints', planId),
+    // Research and copy jobs
+    addResearchJob: (planId, jobConfig) => ipcRenderer.invoke('plans:addResearchJob', planId, jobConfig),
+    getResearchJobs: (planId) => ipcRenderer.invoke('plans:getResearchJobs', planId),
+    setResearchJobCompleted: (researchJobId, isCompleted) => ipcRenderer.invoke('plans:setResearchJobCompleted', researchJobId, isCompleted),
+    removeResearchJob: (researchJobId) => ipcRenderer.invoke('plans:removeResearchJob', researchJobId),
+    // Export / import
+    exportToFile: (planId, options) => ipcRenderer.invoke('plans:exportToFile', planId, options),
+    readImportFile: () => ipcRenderer.invoke('plans:readImportFile'),
+    import: (document, options) => ipcRenderer.invoke('plans:import', document, options),
+    previewDoctrine: (text, options) => ipcRenderer.invoke('plans:previewDoctrine', text, options),
+    createFromDoctrine: (text, options) => ipcRenderer.invoke('plans:createFromDoctrine', text, options),
+    getFreightEstimate: (planId) => ipcRenderer.invoke('plans:getFreightEstimate', planId),
+    // Shopping list
+    getShoppingList: (planId, options) => ipcRenderer.invoke('plans:getShoppingList', planId, options),
+    saveShoppingList: (planId, text, format) => ipcRenderer.invoke('plans:saveShoppingList', planId, text, format),
     getIntermediateBlueprints: (planBlueprintId) => ipcRenderer.invoke('plans:getIntermediateBlueprints', planBlueprintId),
     getAllIntermediates: (planId) => ipcRenderer.invoke('plans:getAllIntermediates', planId),
     updateIntermediateBlueprint: (intermediateBlueprintId, updates) => ipcRenderer.invoke('plans:updateIntermediateBlueprint', intermediateBlueprintId, updates),
@@ -209,6 +267,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     unlinkTransactionMatch: (matchId) => ipcRenderer.invoke('plans:unlinkTransactionMatch', matchId),
     getActuals: (planId) => ipcRenderer.invoke('plans:getActuals', planId),
     getAnalytics: (planId) => ipcRenderer.invoke('plans:getAnalytics', planId),
+    getValueHistory: (planId, marketSetId) => ipcRenderer.invoke('plans:getValueHistory', planId, marketSetId),
     refreshESIData: (characterId) => ipcRenderer.invoke('plans:refreshESIData', characterId),
     // Material acquisition functions
     markMaterialAcquired: (planId, typeId, options) => ipcRenderer.invoke('plans:markMaterialAcquired', planId, typeId, options),
@@ -226,6 +285,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getLedger: (planId) => ipcRenderer.invoke('plans:getLedger', planId),
     addLedgerCost: (planId, options) => ipcRenderer.invoke('plans:addLedgerCost', planId, options),
     addItemAcquisition: (planId, typeId, options) => ipcRenderer.invoke('plans:addItemAcquisition', planId, typeId, options),
+    getReprocessingOptimization: (planId, options) => ipcRenderer.invoke('plans:getReprocessingOptimization', planId, options),
+    previewBulkAcquisition: (planId, rawText) => ipcRenderer.invoke('plans:previewBulkAcquisition', planId, rawText),
+    addBulkAcquisitions: (planId, items, options) => ipcRenderer.invoke('plans:addBulkAcquisitions', planId, items, options),
     updateLedgerEntry: (ledgerId, updates) => ipcRenderer.invoke('plans:updateLedgerEntry', ledgerId, updates),
     deleteLedgerEntry: (ledgerId) => ipcRenderer.invoke('plans:deleteLedgerEntry', ledgerId),
     unlinkLedgerEntry: (planId, ledgerId) => ipcRenderer.invoke('plans:unlinkLedgerEntry', planId, ledgerId),
@@ -239,6 +301,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.invoke('location:resolve', locationId, characterId, isCorporation),
   },
 
+  // Price Alerts API
+  alerts: {
+    getRules: () => ipcRenderer.invoke('alerts:getRules'),
+    createRule: (rule) => ipcRenderer.invoke('alerts:createRule', rule),
+    setRuleEnabled: (ruleId, enabled) => ipcRenderer.invoke('alerts:setRuleEnabled', ruleId, enabled),
+    deleteRule: (ruleId) => ipcRenderer.invoke('alerts:deleteRule', ruleId),
+    getHistory: (limit) => ipcRenderer.invoke('alerts:getHistory', limit),
+    clearHistory: () => ipcRenderer.invoke('alerts:clearHistory'),
+    getTargets: () => ipcRenderer.invoke('alerts:getTargets'),
+    evaluate: () => ipcRenderer.invoke('alerts:evaluate'),
+  },
+
   // Market API
   market: {
     // Market Sets CRUD
@@ -295,17 +369,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getRigBonuses: (rigTypeId) => ipcRenderer.invoke('calculator:getRigBonuses', rigTypeId),
     getAllBlueprints: (limit) => ipcRenderer.invoke('calculator:getAllBlueprints', limit),
     getAllReactions: (limit) => ipcRenderer.invoke('calculator:getAllReactions', limit),
+    calculateManufacturingTime: (blueprintTypeId, teLevel, runs, characterId, facilityId) =>
+      ipcRenderer.invoke('calculator:calculateManufacturingTime', blueprintTypeId, teLevel, runs, characterId, facilityId),
+    calculateManufacturingTimes: (requests, characterId, facilityId) =>
+      ipcRenderer.invoke('calculator:calculateManufacturingTimes', requests, characterId, facilityId),
     // Invention API
     getInventionData: (blueprintTypeId) => ipcRenderer.invoke('calculator:getInventionData', blueprintTypeId),
     getAllDecryptors: () => ipcRenderer.invoke('calculator:getAllDecryptors'),
     getBlueprintMaterials: (blueprintTypeId) => ipcRenderer.invoke('calculator:getBlueprintMaterials', blueprintTypeId),
     calculateInventionProbability: (baseProbability, skills, decryptorMultiplier) =>
       ipcRenderer.invoke('calculator:calculateInventionProbability', baseProbability, skills, decryptorMultiplier),
-    findBestDecryptor: (inventionData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId) =>
-      ipcRenderer.invoke('calculator:findBestDecryptor', inventionData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId),
+    findBestDecryptor: (inventionData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId, characterId) =>
+      ipcRenderer.invoke('calculator:findBestDecryptor', inventionData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId, characterId),
+    // Reverse Engineering API
+    getReverseEngineeringData: (t3BlueprintTypeId) => ipcRenderer.invoke('calculator:getReverseEngineeringData', t3BlueprintTypeId),
+    findBestReverseEngineering: (reverseEngineeringData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId, relicQuality, characterId) =>
+      ipcRenderer.invoke('calculator:findBestReverseEngineering', reverseEngineeringData, materialPrices, productPrice, skills, facility, optimizationStrategy, customVolume, marketSetId, relicQuality, characterId),
     clearCaches: () => ipcRenderer.invoke('calculator:clearCaches'),
   },
 
+  // Research & Copying API
+  research: {
+    calculate: (blueprintTypeId, options) => ipcRenderer.invoke('research:calculate', blueprintTypeId, options),
+  },
+
   // Reactions Calculator API
   reactions: {
     searchReactions: (searchTerm, limit) => ipcRenderer.invoke('reactions:searchReactions', searchTerm, limit),
@@ -342,6 +429,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getRigEffects: (typeId) => ipcRenderer.invoke('facilities:getRigEffects', typeId),
   },
 
+  // Job Completion Notifications API
+  notifications: {
+    getPreferences: () => ipcRenderer.invoke('notifications:getPreferences'),
+    setPlanEnabled: (planId, enabled) => ipcRenderer.invoke('notifications:setPlanEnabled', planId, enabled),
+    setCharacterEnabled: (characterId, enabled) => ipcRenderer.invoke('notifications:setCharacterEnabled', characterId, enabled),
+    setReadyDigest: (enabled) => ipcRenderer.invoke('notifications:setReadyDigest', enabled),
+  },
+
+  // Stargate Routes API
+  routes: {
+    find: (fromSystemId, toSystemId) => ipcRenderer.invoke('routes:find', fromSystemId, toSystemId),
+    getFacilityHubDistances: (marketSetId = null) => ipcRenderer.invoke('routes:getFacilityHubDistances', marketSetId),
+  },
+
   // Manufacturing Summary API
   manufacturingSummary: {
     openWindow: () => ipcRenderer.invoke('manufacturingSummary:openWindow'),
@@ -352,11 +453,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     openWindow: () => ipcRenderer.invoke('lootAnalyzer:openWindow'),
   },
 
+  // Industry Slots API
+  industrySlots: {
+    openWindow: () => ipcRenderer.invoke('industrySlots:openWindow'),
+    getUtilization: () => ipcRenderer.invoke('industrySlots:getUtilization'),
+    getIdleHistory: (days = 14) => ipcRenderer.invoke('industrySlots:getIdleHistory', days),
+    suggestPlanAssignments: (planId) => ipcRenderer.invoke('industrySlots:suggestPlanAssignments', planId),
+  },
+
   // Loot Analyzer data API (used by the window's renderer)
   loot: {
     parseAndEnrich: (rawText) => ipcRenderer.invoke('loot:parseAndEnrich', rawText),
     fetchPrices: (params) => ipcRenderer.invoke('loot:fetchPrices', params),
     getCharacterSkills: (characterId) => ipcRenderer.invoke('loot:getCharacterSkills', characterId),
+    appraiseContract: (params) => ipcRenderer.invoke('loot:appraiseContract', params),
   },
 
   // Cleanup Tool API
@@ -416,6 +526,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getCharacterCalls: (characterId) => ipcRenderer.invoke('esiStatus:getCharacterCalls', characterId),
     getUniverseCalls: () => ipcRenderer.invoke('esiStatus:getUniverseCalls'),
     getCallDetails: (callKey) => ipcRenderer.invoke('esiStatus:getCallDetails', callKey),
+    getScheduler: () => ipcRenderer.invoke('esiStatus:getScheduler'),
     cleanup: () => ipcRenderer.invoke('esiStatus:cleanup'),
   },
 
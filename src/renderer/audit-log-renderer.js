@@ -4,6 +4,9 @@ let allRecords = [];
 let selectedRecordId = null;
 let sortKey = 'timestamp';
 let sortDir = 'desc';
+// 'live' follows Audit Mode; 'replay' shows a stored recalculation's records; 'diff' compares two
+let viewMode = 'live';
+let historyRecalculations = [];
 
 const ICON_EMPTY_LIST = '<circle cx="12" cy="12" r="10"></circle><line x1="9" y1="9" x2="15" y2="15"></line><line x1="15" y1="9" x2="9" y2="15"></line>';
 const ICON_EMPTY_DETAIL = '<path d="M9 11l3 3L22 4"></path><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>';
@@ -71,6 +74,7 @@ async function loadInitialRecords() {
 }
 
 async function refreshStatus() {
+  if (viewMode !== 'live') return;
   const summary = await window.electronAPI.audit.getSummary();
   const dot = document.getElementById('audit-status-dot');
   const text = document.getElementById('audit-status-text');
@@ -297,6 +301,185 @@ function renderInventionDetail(record) {
   `;
 }
 
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { hour12: false });
+}
+
+function formatSignedISK(value) {
+  const sign = value > 0 ? '+' : '';
+  const cls = value > 0 ? 'audit-diff-positive' : value < 0 ? 'audit-diff-negative' : '';
+  return `<span class="${cls}">${sign}${formatISK(value)}</span>`;
+}
+
+async function loadHistoryPlans() {
+  const select = document.getElementById('history-plan');
+  const plans = await window.electronAPI.audit.getHistoryPlans();
+  select.innerHTML = `<option value="">${plans.length ? 'Select a plan...' : 'No stored recalculations'}</option>` +
+    plans.map(p => `<option value="${escapeHtml(p.planId)}">${escapeHtml(p.planName || p.planId)} (${p.count})</option>`).join('');
+}
+
+async function loadHistoryRecalculations() {
+  const planId = document.getElementById('history-plan').value;
+  historyRecalculations = planId ? await window.electronAPI.audit.getRecalculations(planId) : [];
+
+  const options = historyRecalculations.map(r => {
+    const label = `${formatDateTime(r.startedAt)}${r.refreshPrices ? ' (prices refreshed)' : ''}`;
+    return `<option value="${r.recalculationId}">${escapeHtml(label)}</option>`;
+  }).join('');
+  const fromSelect = document.getElementById('history-from');
+  const toSelect = document.getElementById('history-to');
+  fromSelect.innerHTML = options;
+  toSelect.innerHTML = options;
+
+  // Newest first: compare the latest run with the one before it
+  if (historyRecalculations.length > 1) fromSelect.selectedIndex = 1;
+  document.getElementById('history-compare-btn').disabled = historyRecalculations.length < 2;
+  document.getElementById('history-replay-btn').disabled = historyRecalculations.length === 0;
+}
+
+function setViewMode(mode, statusText = '') {
+  viewMode = mode;
+  document.getElementById('audit-body').style.display = mode === 'diff' ? 'none' : 'flex';
+  document.querySelector('.audit-filters').style.display = mode === 'diff' ? 'none' : 'flex';
+  document.getElementById('audit-diff-pane').style.display = mode === 'diff' ? 'block' : 'none';
+  document.getElementById('history-live-btn').style.display = mode === 'live' ? 'none' : '';
+
+  if (mode !== 'live') {
+    document.getElementById('audit-status-dot').className = 'pulse-dot';
+    document.getElementById('audit-status-text').textContent = statusText;
+  }
+}
+
+async function replayRecalculation() {
+  const recalculationId = parseInt(document.getElementById('history-to').value, 10);
+  const recalculation = historyRecalculations.find(r => r.recalculationId === recalculationId);
+  if (!recalculation) return;
+
+  allRecords = await window.electronAPI.audit.getRecalculationRecords(recalculationId);
+  selectedRecordId = null;
+  setViewMode('replay', `Replaying ${recalculation.planName || 'plan'} - ${formatDateTime(recalculation.startedAt)}`);
+  renderTable();
+  renderDetail();
+  updateSummary();
+}
+
+async function compareRecalculations() {
+  const fromId = parseInt(document.getElementById('history-from').value, 10);
+  const toId = parseInt(document.getElementById('history-to').value, 10);
+  const pane = document.getElementById('audit-diff-pane');
+
+  try {
+    const diff = await window.electronAPI.audit.diffRecalculations(fromId, toId);
+    setViewMode('diff', 'Comparing recalculations');
+    pane.innerHTML = renderDiff(diff);
+  } catch (error) {
+    setViewMode('diff', 'Comparing recalculations');
+    renderEmptyState(pane, 'Could not compare', escapeHtml(error.message), ICON_EMPTY_LIST);
+  }
+}
+
+function renderDiff(diff) {
+  const totalsRow = (label, key, sign) => {
+    const from = diff.from.totals[key];
+    const to = diff.to.totals[key];
+    return `<tr><td>${label}</td><td class="amount">${formatISK(from)}</td><td class="amount">${formatISK(to)}</td><td class="amount">${formatSignedISK(sign * (to - from))}</td></tr>`;
+  };
+
+  const attributionRows = diff.attribution.map(a =>
+    `<tr><td>${escapeHtml(a.label)}</td><td class="amount">${formatSignedISK(a.amount)}</td></tr>`
+  ).join('');
+
+  const rowChangeRows = diff.rowChanges.map(row => {
+    const changes = row.changes.map(c => {
+      if (c.field === 'added' || c.field === 'removed') return `${c.field} (${c.to ?? c.from} runs)`;
+      return `${c.field}: ${c.from ?? '—'} → ${c.to ?? '—'}`;
+    }).join(', ');
+    return `<tr><td>${escapeHtml(row.blueprintName)}</td><td>${escapeHtml(changes)}</td></tr>`;
+  }).join('');
+
+  const priceMoveRows = diff.priceMoves.slice(0, 25).map(item => `
+    <tr>
+      <td>${escapeHtml(item.typeName)}</td>
+      <td>${item.kind}</td>
+      <td class="amount">${formatISK(item.fromPrice)}</td>
+      <td class="amount">${formatISK(item.toPrice)}</td>
+      <td class="amount">${formatSignedISK(item.effect)}</td>
+    </tr>`).join('');
+
+  const costIndexRows = diff.jobChanges.filter(j => j.category === 'cost_index').map(j => `
+    <tr>
+      <td>${escapeHtml(j.blueprintName)}</td>
+      <td class="amount">${(j.fromCostIndex * 100).toFixed(2)}%</td>
+      <td class="amount">${(j.toCostIndex * 100).toFixed(2)}%</td>
+      <td class="amount">${formatSignedISK(-(j.toCost - j.fromCost))}</td>
+    </tr>`).join('');
+
+  return `
+    <div class="audit-detail-section">
+      <h3>Profit ${formatDateTime(diff.from.startedAt)} → ${formatDateTime(diff.to.startedAt)}</h3>
+      <table class="audit-candidates-table">
+        <thead><tr><th></th><th>From</th><th>To</th><th>Profit Effect</th></tr></thead>
+        <tbody>
+          ${totalsRow('Product value', 'productValue', 1)}
+          ${totalsRow('Material cost', 'materialCost', -1)}
+          ${totalsRow('Job cost', 'jobCost', -1)}
+          <tr><td><strong>Profit</strong></td><td class="amount">${formatISK(diff.from.totals.profit)}</td><td class="amount">${formatISK(diff.to.totals.profit)}</td><td class="amount">${formatSignedISK(diff.profitChange)}</td></tr>
+        </tbody>
+      </table>
+    </div>
+
+    <div class="audit-detail-section">
+      <h3>Why Profit Changed</h3>
+      <table class="audit-candidates-table">
+        <thead><tr><th>Cause</th><th>Profit Effect</th></tr></thead>
+        <tbody>${attributionRows || '<tr><td colspan="2">No change</td></tr>'}</tbody>
+      </table>
+    </div>
+
+    ${rowChangeRows ? `
+    <div class="audit-detail-section">
+      <h3>Blueprint Edits</h3>
+      <table class="audit-candidates-table">
+        <thead><tr><th>Blueprint</th><th>Changes</th></tr></thead>
+        <tbody>${rowChangeRows}</tbody>
+      </table>
+    </div>` : ''}
+
+    ${costIndexRows ? `
+    <div class="audit-detail-section">
+      <h3>Cost Index Changes</h3>
+      <table class="audit-candidates-table">
+        <thead><tr><th>Blueprint</th><th>From</th><th>To</th><th>Profit Effect</th></tr></thead>
+        <tbody>${costIndexRows}</tbody>
+      </table>
+    </div>` : ''}
+
+    ${priceMoveRows ? `
+    <div class="audit-detail-section">
+      <h3>Largest Price Moves</h3>
+      <table class="audit-candidates-table">
+        <thead><tr><th>Item</th><th>Kind</th><th>From</th><th>To</th><th>Profit Effect</th></tr></thead>
+        <tbody>${priceMoveRows}</tbody>
+      </table>
+    </div>` : ''}
+  `;
+}
+
+async function backToLive() {
+  setViewMode('live');
+  selectedRecordId = null;
+  renderDetail();
+  await loadInitialRecords();
+  await refreshStatus();
+}
+
+function setupHistory() {
+  document.getElementById('history-plan').addEventListener('change', loadHistoryRecalculations);
+  document.getElementById('history-compare-btn').addEventListener('click', compareRecalculations);
+  document.getElementById('history-replay-btn').addEventListener('click', replayRecalculation);
+  document.getElementById('history-live-btn').addEventListener('click', backToLive);
+}
+
 function setupSorting() {
   document.querySelectorAll('.audit-table th[data-sort]').forEach(th => {
     th.addEventListener('click', () => {
@@ -320,6 +503,7 @@ function setupFilters() {
 
 function setupActions() {
   document.getElementById('clear-records-btn').addEventListener('click', async () => {
+    if (viewMode !== 'live') return;
     await window.electronAPI.audit.clearRecords();
     allRecords = [];
     selectedRecordId = null;
@@ -335,6 +519,7 @@ function setupActions() {
 
 function setupLiveUpdates() {
   window.electronAPI.audit.onRecordAdded((record) => {
+    if (viewMode !== 'live') return;
     allRecords.push(record);
     if (allRecords.length > 1000) allRecords.shift();
     renderTable(record.id);
@@ -347,8 +532,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupFilters();
   setupActions();
   setupLiveUpdates();
+  setupHistory();
   renderDetail();
   await loadInitialRecords();
   await refreshStatus();
+  await loadHistoryPlans();
   setInterval(refreshStatus, 5000);
 });
@@ -103,10 +103,14 @@ async function initializeCalculator() {
     // Load default character avatar
     await loadDefaultCharacterAvatar();
 
+    // Load the default character's industry implant
+    await loadCharacterImplants();
+
     // Listen for default character changes
     window.electronAPI.esi.onDefaultCharacterChanged(async () => {
       currentDefaultCharacter = await window.electronAPI.esi.getDefaultCharacter();
       loadDefaultCharacterAvatar();
+      loadCharacterImplants();
       // Also update character count in footer when default character changes
       window.footerUtils.updateCharacterCount();
     });
@@ -171,9 +175,11 @@ function setupEventListeners() {
     addToPlanBtn.addEventListener('click', handleAddToPlan);
   }
 
-  // ME and Runs inputs - recalculate on change
+  // ME, TE and Runs inputs - recalculate on change
   const meInput = document.getElementById('me-level');
+  const teInput = document.getElementById('te-level');
   const runsInput = document.getElementById('runs');
+  const implantSelect = document.getElementById('implant-select');
 
   if (meInput) {
     meInput.addEventListener('change', () => {
@@ -183,6 +189,14 @@ function setupEventListeners() {
     });
   }
 
+  if (teInput) {
+    teInput.addEventListener('change', () => {
+      if (currentBlueprint) {
+        handleCalculate();
+      }
+    });
+  }
+
   if (runsInput) {
     runsInput.addEventListener('change', () => {
       if (currentBlueprint) {
@@ -191,6 +205,20 @@ function setupEventListeners() {
     });
   }
 
+  // Implant is stored per character so the plans and Manufacturing Summary use it too
+  if (implantSelect) {
+    implantSelect.addEventListener('change', async () => {
+      if (currentDefaultCharacter?.characterId) {
+        await window.electronAPI.industry.setCharacterImplants(currentDefaultCharacter.characterId, {
+          manufacturingTimeBonus: parseInt(implantSelect.value) || 0
+        });
+      }
+      if (currentBlueprint) {
+        handleCalculate();
+      }
+    });
+  }
+
   // Tab switching
   const tabButtons = document.querySelectorAll('.blueprint-tab');
   tabButtons.forEach(button => {
@@ -361,6 +389,7 @@ async function selectBlueprint(blueprintTypeId) {
 
     // Set ME level to owned blueprint value, or 0 if not owned
     document.getElementById('me-level').value = ownedME;
+    document.getElementById('te-level').value = 0;
     document.getElementById('runs').value = 1;
 
     // Reset to Blueprint Results tab when loading new blueprint
@@ -386,6 +415,7 @@ async function handleCalculate() {
   }
 
   const meLevel = parseInt(document.getElementById('me-level').value) || 0;
+  const teLevel = parseInt(document.getElementById('te-level').value) || 0;
   const runs = parseInt(document.getElementById('runs').value) || 1;
 
   // Validate inputs
@@ -399,6 +429,11 @@ async function handleCalculate() {
     return;
   }
 
+  if (teLevel < 0 || teLevel > 20) {
+    alert('TE level must be between 0 and 20');
+    return;
+  }
+
   // Show loading indicator
   showLoading();
 
@@ -428,6 +463,7 @@ async function handleCalculate() {
 
     // Display results
     await displayMaterialsCalculation(result, runs, facilityId);
+    await displayProductionTime(teLevel, runs, characterId, facilityId);
 
     hideLoading();
 
@@ -579,7 +615,7 @@ function showPlanSelectionModal(plans, characterId) {
 async function addCurrentBlueprintToPlan(planId) {
   const meLevel = parseInt(document.getElementById('me-level').value) || 0;
   const runs = parseInt(document.getElementById('runs').value) || 1;
-  const teLevel = 0; // Calculator doesn't currently expose TE
+  const teLevel = parseInt(document.getElementById('te-level').value) || 0;
   const facilityId = document.getElementById('facility-select').value || null;
 
   try {
@@ -1073,6 +1109,92 @@ async function displayFacilityBonuses(facilityId) {
   }
 }
 
+// Load the default character's industry implant into the selector
+async function loadCharacterImplants() {
+  const implantSelect = document.getElementById('implant-select');
+  if (!implantSelect) return;
+
+  try {
+    if (!currentDefaultCharacter?.characterId) {
+      implantSelect.value = '0';
+      implantSelect.disabled = true;
+      return;
+    }
+
+    const implants = await window.electronAPI.industry.getCharacterImplants(currentDefaultCharacter.characterId);
+    implantSelect.value = String(implants?.manufacturingTimeBonus || 0);
+    implantSelect.disabled = false;
+  } catch (error) {
+    console.error('Error loading character implants:', error);
+  }
+}
+
+// Format a duration in seconds as "1d 2h 3m 4s"
+function formatDuration(seconds) {
+  const total = Math.round(seconds || 0);
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (hours > 0) parts.push(`${hours}h`);
+  if (minutes > 0) parts.push(`${minutes}m`);
+  if (secs > 0 || parts.length === 0) parts.push(`${secs}s`);
+  return parts.join(' ');
+}
+
+// Display production time with the breakdown of every time modifier
+async function displayProductionTime(teLevel, runs, characterId, facilityId) {
+  const timeEl = document.getElementById('production-time');
+  const contentEl = document.getElementById('production-time-content');
+  if (!timeEl || !contentEl) return;
+
+  try {
+    const time = await window.electronAPI.calculator.calculateManufacturingTime(
+      currentBlueprint.typeID,
+      teLevel,
+      runs,
+      characterId,
+      facilityId
+    );
+
+    if (!time || !time.baseTime) {
+      timeEl.style.display = 'none';
+      return;
+    }
+
+    let html = `<div class="facility-info">`;
+    html += `<p><strong>Base Time:</strong> ${formatDuration(time.baseTime / runs)} per run</p>`;
+
+    if (time.modifiers.length > 0) {
+      html += `<ul class="rig-list">`;
+      for (const modifier of time.modifiers) {
+        const level = modifier.level ? ` ${modifier.level}` : '';
+        html += `<li>${modifier.label}${level}: -${modifier.percent.toFixed(1)}%</li>`;
+      }
+      html += `</ul>`;
+    } else {
+      html += `<p><em>No time modifiers apply</em></p>`;
+    }
+
+    const totalReduction = (1 - time.adjustedTime / time.baseTime) * 100;
+    html += `<p><strong>Time per Run:</strong> ${formatDuration(time.timePerRun)} (-${totalReduction.toFixed(1)}%)</p>`;
+    html += `<p><strong>Total Time (${runs} run${runs === 1 ? '' : 's'}):</strong> ${formatDuration(time.adjustedTime)}</p>`;
+    if (!characterId) {
+      html += `<p class="bonus-note">Set a default character to include skill and implant bonuses</p>`;
+    }
+    html += `</div>`;
+
+    contentEl.innerHTML = html;
+    timeEl.style.display = 'block';
+  } catch (error) {
+    console.error('Error displaying production time:', error);
+    timeEl.style.display = 'none';
+  }
+}
+
 // Display pricing information
 async function displayPricingInformation(pricing) {
   try {
@@ -1672,7 +1794,8 @@ async function displayInventionAnalysis(blueprintTypeId, runs, cachedInventionDa
       null,  // facility - use default
       optimizationStrategy,
       customVolume,
-      activeMarketSet?.id
+      activeMarketSet?.id,
+      currentDefaultCharacter?.characterId || null
     );
 
     console.log('[Frontend] Best decryptor result:', bestDecryptorResult);
@@ -8,6 +8,8 @@ let allBlueprints = [];
 let filteredBlueprints = [];
 let blueprintNamesCache = {};
 let cacheCheckInterval = null;
+let researchGroup = null;
+let researchResult = null;
 
 // Listen for character ID from IPC
 window.electronAPI.blueprints.onCharacterId((characterId) => {
@@ -263,6 +265,7 @@ function renderBlueprints() {
     const expandBtn = document.getElementById(`expand-${groupKey}`);
     const itemsDiv = document.getElementById(`items-${groupKey}`);
     const calcBtn = document.getElementById(`calc-${groupKey}`);
+    const researchBtn = document.getElementById(`research-${groupKey}`);
 
     if (expandBtn && itemsDiv) {
       expandBtn.addEventListener('click', (e) => {
@@ -279,6 +282,13 @@ function renderBlueprints() {
         openInCalculator(group.typeId, group.materialEfficiency);
       });
     }
+
+    if (researchBtn) {
+      researchBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openResearchPlanner(group);
+      });
+    }
   });
 
   // Add event listeners to controls
@@ -391,6 +401,14 @@ function createBlueprintGroupItem(group) {
           </div>
         </div>
         <div class="blueprint-group-actions">
+          ${group.isCopy ? '' : `
+          <button class="calculator-btn" id="research-${groupKey}" title="Plan Research &amp; Copying">
+            <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M9 2h6"></path>
+              <path d="M10 2v6.5L4.5 18A2 2 0 0 0 6.2 21h11.6a2 2 0 0 0 1.7-3L14 8.5V2"></path>
+              <line x1="7" y1="15" x2="17" y2="15"></line>
+            </svg>
+          </button>`}
           <button class="calculator-btn" id="calc-${groupKey}" data-type-id="${group.typeId}" title="Open in Blueprint Calculator">
             <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <rect x="4" y="2" width="16" height="20" rx="2" ry="2"></rect>
@@ -867,6 +885,239 @@ function setupEventListeners() {
   if (modalSearchInput) {
     modalSearchInput.addEventListener('input', (e) => searchBlueprintsModal(e.target.value));
   }
+
+  // Research planner modal
+  const closeResearchBtn = document.getElementById('close-research-modal-btn');
+  if (closeResearchBtn) {
+    closeResearchBtn.addEventListener('click', hideResearchPlanner);
+  }
+
+  const researchModal = document.getElementById('research-modal');
+  if (researchModal) {
+    researchModal.addEventListener('click', (e) => {
+      if (e.target === researchModal) {
+        hideResearchPlanner();
+      }
+    });
+  }
+
+  ['research-target-me', 'research-target-te', 'research-copies', 'research-runs-per-copy',
+    'research-runs-per-job', 'research-facility-select'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('change', updateResearchResults);
+    }
+  });
+
+  const researchPlanSelect = document.getElementById('research-plan-select');
+  const researchAddBtn = document.getElementById('research-add-to-plan-btn');
+  if (researchPlanSelect && researchAddBtn) {
+    researchPlanSelect.addEventListener('change', () => {
+      researchAddBtn.disabled = !researchPlanSelect.value;
+    });
+    researchAddBtn.addEventListener('click', addResearchJobsToPlan);
+  }
+}
+
+// Open the research planner for a BPO group
+async function openResearchPlanner(group) {
+  researchGroup = group;
+  researchResult = null;
+
+  document.getElementById('research-modal-title').textContent = `Research & Copying - ${group.blueprintName}`;
+  document.getElementById('research-target-me').value = 10;
+  document.getElementById('research-target-te').value = 20;
+  document.getElementById('research-copies').value = 0;
+  document.getElementById('research-runs-per-copy').value = '';
+  document.getElementById('research-modal').style.display = 'flex';
+
+  try {
+    const facilities = await window.electronAPI.facilities.getFacilities();
+    const facilitySelect = document.getElementById('research-facility-select');
+    facilitySelect.innerHTML = '<option value="">NPC Station</option>' + facilities
+      .filter(f => f.usage !== 'reactions')
+      .map(f => `<option value="${f.id}">${escapeHtml(f.name)}</option>`)
+      .join('');
+    const copyFacility = facilities.find(f => f.usage === 'copy');
+    if (copyFacility) {
+      facilitySelect.value = copyFacility.id;
+    }
+
+    const plans = await window.electronAPI.plans.getAll(currentCharacterId, { status: ['draft', 'active', 'building'] });
+    const planSelect = document.getElementById('research-plan-select');
+    planSelect.innerHTML = '<option value="">Select a plan...</option>' + (plans || [])
+      .map(plan => `<option value="${plan.planId}">${escapeHtml(plan.planName)}</option>`)
+      .join('');
+    document.getElementById('research-add-to-plan-btn').disabled = true;
+  } catch (error) {
+    console.error('Error loading research planner options:', error);
+  }
+
+  await updateResearchResults();
+}
+
+// Hide the research planner
+function hideResearchPlanner() {
+  document.getElementById('research-modal').style.display = 'none';
+  researchGroup = null;
+  researchResult = null;
+}
+
+// Read the research planner inputs
+function getResearchOptions() {
+  const readInt = (id, fallback) => {
+    const value = parseInt(document.getElementById(id).value);
+    return isNaN(value) ? fallback : value;
+  };
+
+  return {
+    currentME: researchGroup.materialEfficiency,
+    currentTE: researchGroup.timeEfficiency,
+    targetME: Math.max(researchGroup.materialEfficiency, Math.min(10, readInt('research-target-me', 10))),
+    targetTE: Math.max(researchGroup.timeEfficiency, Math.min(20, readInt('research-target-te', 20))),
+    copies: Math.max(0, readInt('research-copies', 0)),
+    runsPerCopy: readInt('research-runs-per-copy', null),
+    runsPerJob: Math.max(1, readInt('research-runs-per-job', 10)),
+    facilityId: document.getElementById('research-facility-select').value || null,
+    characterId: currentCharacterId,
+  };
+}
+
+// Recalculate research time, cost and break-even
+async function updateResearchResults() {
+  if (!researchGroup) return;
+
+  const resultsDiv = document.getElementById('research-results');
+  resultsDiv.innerHTML = '<div class="loading-state"><p>Calculating...</p></div>';
+
+  try {
+    researchResult = await window.electronAPI.research.calculate(researchGroup.typeId, getResearchOptions());
+
+    if (!researchResult) {
+      resultsDiv.innerHTML = '<div class="empty-state"><p>No research data found for this blueprint.</p></div>';
+      return;
+    }
+
+    const runsPerCopyInput = document.getElementById('research-runs-per-copy');
+    if (!runsPerCopyInput.value) {
+      runsPerCopyInput.value = researchResult.copying.runsPerCopy;
+    }
+
+    renderResearchResults(researchResult);
+  } catch (error) {
+    console.error('Error calculating research:', error);
+    resultsDiv.innerHTML = `<div class="empty-state"><p>Error calculating research: ${escapeHtml(error.message)}</p></div>`;
+  }
+}
+
+// Render research results
+function renderResearchResults(result) {
+  const { materialResearch, timeResearch, copying, breakEven } = result;
+
+  const researchRow = (label, job) => `
+    <tr>
+      <td>${label}</td>
+      <td>${job.fromValue} &rarr; ${job.toValue}</td>
+      <td>${formatDuration(job.time.adjustedTime)}</td>
+      <td>${formatISK(job.cost.totalJobCost)}</td>
+    </tr>
+  `;
+
+  let html = `
+    <table>
+      <thead><tr><th>Job</th><th>Levels</th><th>Time</th><th>Install Cost</th></tr></thead>
+      <tbody>
+        ${researchRow('ME Research', materialResearch)}
+        ${researchRow('TE Research', timeResearch)}
+        <tr>
+          <td>Copying</td>
+          <td>${copying.copies} &times; ${copying.runsPerCopy} runs</td>
+          <td>${formatDuration(copying.time.adjustedTime)}</td>
+          <td>${formatISK(copying.cost.totalJobCost)}${copying.copies > 0 ? ` (${formatISK(copying.costPerCopy)}/copy)` : ''}</td>
+        </tr>
+      </tbody>
+    </table>
+  `;
+
+  if (breakEven) {
+    html += `
+      <div class="research-break-even">
+        <div>Material cost per run: ${formatISK(breakEven.materialCostPerRunCurrent)} at ME ${materialResearch.fromValue},
+          ${formatISK(breakEven.materialCostPerRunTarget)} at ME ${materialResearch.toValue}</div>
+        <div>Savings per run: ${formatISK(breakEven.savingsPerRun)}</div>
+        <div><strong>${breakEven.breakEvenRuns !== null
+          ? `ME research pays for itself after ${breakEven.breakEvenRuns.toLocaleString()} runs`
+          : 'ME research never pays for itself at current prices'}</strong></div>
+      </div>
+    `;
+  }
+
+  document.getElementById('research-results').innerHTML = html;
+}
+
+// Add the planned research and copy jobs to the selected plan
+async function addResearchJobsToPlan() {
+  const planId = document.getElementById('research-plan-select').value;
+  if (!planId || !researchGroup || !researchResult) return;
+
+  const facilityId = document.getElementById('research-facility-select').value || null;
+  const { materialResearch, timeResearch, copying } = researchResult;
+  const jobs = [];
+
+  if (materialResearch.toValue > materialResearch.fromValue) {
+    jobs.push({ jobType: 'research_me', fromLevel: materialResearch.fromValue, toLevel: materialResearch.toValue });
+  }
+  if (timeResearch.toValue > timeResearch.fromValue) {
+    jobs.push({ jobType: 'research_te', fromLevel: timeResearch.fromValue, toLevel: timeResearch.toValue });
+  }
+  if (copying.copies > 0) {
+    jobs.push({ jobType: 'copying', runs: copying.runsPerCopy, copies: copying.copies });
+  }
+
+  if (jobs.length === 0) {
+    alert('Nothing to add: the blueprint is already at the target levels and no copies are planned.');
+    return;
+  }
+
+  try {
+    for (const job of jobs) {
+      await window.electronAPI.plans.addResearchJob(planId, {
+        ...job,
+        blueprintTypeId: researchGroup.typeId,
+        facilityId,
+      });
+    }
+    alert(`Added ${jobs.length} job${jobs.length === 1 ? '' : 's'} to the plan.`);
+  } catch (error) {
+    console.error('Error adding research jobs to plan:', error);
+    alert('Failed to add research jobs to plan: ' + error.message);
+  }
+}
+
+// Format ISK value
+function formatISK(value) {
+  return `${(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })} ISK`;
+}
+
+// Format seconds as a d/h/m duration
+function formatDuration(seconds) {
+  const total = Math.round(seconds || 0);
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (hours > 0) parts.push(`${hours}h`);
+  if (minutes > 0 || parts.length === 0) parts.push(`${minutes}m`);
+  return parts.join(' ');
+}
+
+// Escape HTML special characters
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
 }
 
 // Open blueprint in calculator
@@ -998,9 +998,15 @@ async function calculateBlueprintData(blueprint, facility, characterId, threshol
     const product = materialResult.product || await window.electronAPI.calculator.getBlueprintProduct(blueprintTypeId);
     const productTypeId = product?.typeID || product?.productTypeId;
 
-    // Calculate ISK/hour using production time (same as Manufacturing Summary)
-    // Use result.time if available, otherwise calculate from blueprint baseTime
-    const productionTimeSeconds = materialResult.time || blueprint.baseTime || 3600;
+    // Calculate ISK/hour using skill-aware production time (same as Manufacturing Summary)
+    const timeResult = await window.electronAPI.calculator.calculateManufacturingTime(
+      blueprintTypeId,
+      teLevel,
+      1,
+      characterId,
+      facility?.id || null
+    );
+    const productionTimeSeconds = timeResult?.adjustedTime || blueprint.baseTime || 3600;
     const productionTimeHours = productionTimeSeconds / 3600;
     const iskPerHour = productionTimeHours > 0 ? pricing.profit / productionTimeHours : 0;
 
@@ -4,6 +4,7 @@
 
 let currentSelectedCall = null;
 let refreshInterval = null;
+let schedulerInterval = null;
 
 /**
  * Initialize the ESI Status window
@@ -18,6 +19,46 @@ async function initialize() {
 
   // Start auto-refresh every 10 seconds
   startAutoRefresh();
+
+  // The request queue changes by the second, so it refreshes on its own
+  await loadSchedulerStatus();
+  schedulerInterval = setInterval(loadSchedulerStatus, 2000);
+}
+
+/**
+ * Show the ESI request queue: error budget, then in-flight and queued
+ * requests per rate-limit group
+ */
+async function loadSchedulerStatus() {
+  const container = document.getElementById('scheduler-status');
+  try {
+    const status = await window.electronAPI.esiStatus.getScheduler();
+    const budget = status.errorBudget;
+
+    let budgetText = budget.remain === null ? 'Error budget: no errors reported' : `Error budget: ${budget.remain} left`;
+    if (budget.pausedUntil) {
+      budgetText = `Error limited — paused until ${new Date(budget.pausedUntil).toLocaleTimeString()}`;
+    } else if (budget.backgroundHeld) {
+      budgetText += ` · ${budget.interactiveHeld ? 'all' : 'background'} requests held until ${new Date(budget.resetAt).toLocaleTimeString()}`;
+    }
+
+    const groupRows = status.groups.map(group => {
+      const queued = group.queuedInteractive + group.queuedBackground;
+      return `
+        <div class="scheduler-group" title="${group.completed} completed · ${group.queuedInteractive} interactive, ${group.queuedBackground} background queued">
+          <span class="scheduler-group-name">${group.group}</span>
+          <span>${group.inFlight}/${group.concurrency} active · ${queued} queued</span>
+        </div>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="scheduler-budget ${budget.backgroundHeld || budget.pausedUntil ? 'held' : ''}">${budgetText}</div>
+      ${groupRows || '<div class="scheduler-group">No requests yet</div>'}
+    `;
+  } catch (error) {
+    console.error('[ESI Status] Error loading request queue:', error);
+  }
 }
 
 /**
@@ -552,6 +593,9 @@ window.addEventListener('beforeunload', () => {
   if (refreshInterval) {
     clearInterval(refreshInterval);
   }
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+  }
 });
 
 // Initialize when DOM is ready
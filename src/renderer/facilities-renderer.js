@@ -8,6 +8,7 @@ let systems = [];
 let structureTypes = [];
 let structureRigs = [];
 let editingFacilityId = null; // Track which facility is being edited
+let hubDistances = null; // Facility → Market Set hub distances
 let currentDefaultCharacterId = null;
 
 // Store event listeners so they can be removed
@@ -648,12 +649,55 @@ function clearForm() {
 async function loadFacilities() {
   try {
     facilities = await window.electronAPI.facilities.getFacilities();
+    await loadHubDistances();
     displayFacilities();
   } catch (error) {
     console.error('Error loading facilities:', error);
   }
 }
 
+// Load the distance from each facility to the default Market Set hubs
+async function loadHubDistances() {
+  try {
+    hubDistances = await window.electronAPI.routes.getFacilityHubDistances();
+  } catch (error) {
+    console.error('Error loading hub distances:', error);
+    hubDistances = null;
+  }
+}
+
+// Format one facility → hub distance (shortest, safest and low-sec on the shortest route)
+function formatHubDistance(distance) {
+  if (!distance.shortest) return 'No gate route';
+
+  const { jumps, lowSecCount, nullSecCount } = distance.shortest;
+  const parts = [`${jumps} ${jumps === 1 ? 'jump' : 'jumps'}`];
+  const insecure = lowSecCount + nullSecCount;
+  if (insecure > 0) {
+    parts.push(`${insecure} low/null-sec`);
+    parts.push(distance.safest ? `safest ${distance.safest.jumps}` : 'no high-sec route');
+  }
+  return parts.join(' · ');
+}
+
+// Create the hub distances block for a facility card
+function createHubDistancesHtml(facility) {
+  if (!hubDistances || hubDistances.hubs.length === 0) return '';
+  const entry = hubDistances.facilities.find(f => f.facilityId === facility.id);
+  if (!entry || !entry.systemId) return '';
+
+  return `
+    <div class="facility-hub-distances" title="Distance to the hubs of the ${hubDistances.marketSetName || 'default'} Market Set">
+      ${hubDistances.hubs.map((hub, index) => `
+        <div class="facility-detail-item">
+          <span class="facility-detail-label">${hub.systemName || 'Unknown'} (${hub.roles.join('/')})</span>
+          <span class="facility-detail-value">${formatHubDistance(entry.distances[index])}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
 // Display facilities list
 function displayFacilities() {
   const listContainer = document.getElementById('facilities-list');
@@ -739,6 +783,7 @@ function createFacilityCard(facility) {
       <div class="facility-location">
         ${system ? system.systemName : 'Unknown System'}, ${region ? region.regionName : 'Unknown Region'}
       </div>
+      ${createHubDistancesHtml(facility)}
       ${facility.facilityType === 'structure' && structureName ? `
         <div class="facility-details">
           <div class="facility-detail-item">
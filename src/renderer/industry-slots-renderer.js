@@ -0,0 +1,194 @@
+/**
+ * Industry Slots Renderer
+ * Free manufacturing, science and reaction slots per character, when the next
+ * slot opens, and daily idle time.
+ */
+
+const SLOT_CATEGORIES = [
+  { key: 'manufacturing', label: 'Manufacturing' },
+  { key: 'science', label: 'Science' },
+  { key: 'reactions', label: 'Reactions' },
+];
+
+// Days with less than this share of slot-hours in use are highlighted as idle
+const IDLE_THRESHOLD = 0.25;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('close-btn').addEventListener('click', () => window.close());
+  document.getElementById('refresh-slots-btn').addEventListener('click', loadDashboard);
+  document.getElementById('history-days').addEventListener('change', loadIdleHistory);
+
+  await loadDashboard();
+});
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a future timestamp as a relative duration ("in 3h 20m")
+ */
+function formatTimeUntil(timestamp) {
+  const ms = timestamp - Date.now();
+  if (ms <= 0) return 'now';
+
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) return `in ${days}d ${hours}h`;
+  if (hours > 0) return `in ${hours}h ${mins}m`;
+  return `in ${mins}m`;
+}
+
+async function loadDashboard() {
+  await Promise.all([loadUtilization(), loadIdleHistory()]);
+}
+
+// ============================================================
+// Current slots
+// ============================================================
+
+async function loadUtilization() {
+  const container = document.getElementById('slots-table-container');
+
+  try {
+    const characters = await window.electronAPI.industrySlots.getUtilization();
+
+    renderTotals(characters);
+
+    if (characters.length === 0) {
+      container.innerHTML = '<div class="empty-state-inline">No characters authenticated. Add characters in Settings.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="slots-table">
+        <thead>
+          <tr>
+            <th>Character</th>
+            ${SLOT_CATEGORIES.map(c => `<th>${c.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${characters.map(character => `
+            <tr>
+              <td>${escapeHtml(character.characterName)}</td>
+              ${SLOT_CATEGORIES.map(c => `<td>${renderSlotCell(character.slots[c.key])}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('[Industry Slots] Error loading utilization:', error);
+    container.innerHTML = '<div class="empty-state-inline">Failed to load slots.</div>';
+  }
+}
+
+function renderSlotCell(slot) {
+  if (slot.max === 0) {
+    return '<span class="slot-none" title="Requires the Reactions skill">Not trained</span>';
+  }
+
+  const pips = Array.from({ length: slot.max }, (_, i) =>
+    `<span class="slot-pip${i < slot.used ? ' used' : ''}"></span>`
+  ).join('');
+
+  let meta;
+  if (slot.free > 0) {
+    meta = `<span class="slot-meta free">${slot.free} of ${slot.max} free</span>`;
+  } else if (slot.nextFreeAt) {
+    meta = `<span class="slot-meta" title="${new Date(slot.nextFreeAt).toLocaleString()}">Full · next ${formatTimeUntil(slot.nextFreeAt)}</span>`;
+  } else {
+    meta = '<span class="slot-meta">Full</span>';
+  }
+
+  return `<div class="slot-cell"><div class="slot-bar">${pips}</div>${meta}</div>`;
+}
+
+function renderTotals(characters) {
+  const container = document.getElementById('slot-totals');
+
+  container.innerHTML = SLOT_CATEGORIES.map(c => {
+    let free = 0;
+    let max = 0;
+    let nextFreeAt = null;
+    for (const character of characters) {
+      const slot = character.slots[c.key];
+      free += slot.free;
+      max += slot.max;
+      if (slot.nextFreeAt && (!nextFreeAt || slot.nextFreeAt < nextFreeAt)) nextFreeAt = slot.nextFreeAt;
+    }
+
+    const meta = free === 0 && nextFreeAt ? `Next opens ${formatTimeUntil(nextFreeAt)}` : `of ${max} slots`;
+    return `
+      <div class="slot-total-card">
+        <div class="slot-total-label">${c.label} free</div>
+        <div class="slot-total-value">${free}</div>
+        <div class="slot-total-meta">${meta}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+// ============================================================
+// Idle history
+// ============================================================
+
+async function loadIdleHistory() {
+  const container = document.getElementById('idle-history-container');
+  const days = parseInt(document.getElementById('history-days').value) || 14;
+
+  try {
+    const history = await window.electronAPI.industrySlots.getIdleHistory(days);
+
+    if (history.length === 0) {
+      container.innerHTML = '<div class="empty-state-inline">No characters authenticated.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="slots-table">
+        <thead>
+          <tr>
+            <th>Character</th>
+            ${SLOT_CATEGORIES.map(c => `<th>${c.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${history.map(character => `
+            <tr>
+              <td>${escapeHtml(character.characterName)}</td>
+              ${SLOT_CATEGORIES.map(c => `<td>${renderHistoryCell(character.days, c.key)}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('[Industry Slots] Error loading idle history:', error);
+    container.innerHTML = '<div class="empty-state-inline">Failed to load idle history.</div>';
+  }
+}
+
+function renderHistoryCell(days, category) {
+  const capacity = days.reduce((sum, day) => sum + day[category].capacityHours, 0);
+  if (capacity === 0) return '<span class="slot-none">—</span>';
+
+  const busy = days.reduce((sum, day) => sum + day[category].busyHours, 0);
+  const idle = capacity - busy;
+
+  const bars = days.map(day => {
+    const { busyHours, capacityHours } = day[category];
+    const share = capacityHours > 0 ? busyHours / capacityHours : 0;
+    const title = `${day.date}: ${Math.round(share * 100)}% in use, ${Math.round(capacityHours - busyHours)} idle slot-hours`;
+    return `<div class="history-bar${share < IDLE_THRESHOLD ? ' idle' : ''}" style="height: ${Math.max(2, share * 100)}%" title="${title}"></div>`;
+  }).join('');
+
+  return `
+    <div class="history-chart">${bars}</div>
+    <div class="history-summary">${Math.round(busy / capacity * 100)}% in use · ${Math.round(idle)} idle slot-hours</div>
+  `;
+}
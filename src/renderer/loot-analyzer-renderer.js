@@ -115,6 +115,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Wire analyze button
   document.getElementById('analyze-btn').addEventListener('click', handleAnalyze);
+  document.getElementById('appraise-contract-btn').addEventListener('click', handleAppraiseContract);
 
   // Wire column sort
   document.querySelectorAll('th.sortable').forEach(th => {
@@ -515,19 +516,7 @@ async function handleAnalyze() {
     const parseResult = await window.electronAPI.loot.parseAndEnrich(rawText);
     currentItems = parseResult.items || [];
 
-    // Show unresolved banner
-    const unresolvedBanner = document.getElementById('unresolved-banner');
-    const unresolvedList   = document.getElementById('unresolved-list');
-    const allBadLines = [
-      ...(parseResult.unresolvedNames || []),
-      ...(parseResult.parseErrors || []),
-    ];
-    if (allBadLines.length > 0) {
-      unresolvedList.textContent = allBadLines.join(', ');
-      unresolvedBanner.classList.remove('hidden');
-    } else {
-      unresolvedBanner.classList.add('hidden');
-    }
+    showUnresolved(parseResult);
 
     if (currentItems.length === 0) {
       hideLoading();
@@ -546,17 +535,7 @@ async function handleAnalyze() {
 
     const market2 = getLocationForSlot(2);
 
-    const stationConfig = {
-      stationType: document.getElementById('station-type').value,
-      rig: document.getElementById('rig-1').value,
-      rig2: document.getElementById('rig-2').value,
-    };
-    const baseSkills = {
-      reprocessing: parseInt(document.getElementById('skill-reprocessing').value, 10) || 0,
-      reprocessingEfficiency: parseInt(document.getElementById('skill-reprocessing-eff').value, 10) || 0,
-    };
-    const implantBonus = parseFloat(document.getElementById('implant-bonus').value) || 0;
-    const oreSkillLevels = getOreSkillLevels();
+    const { stationConfig, baseSkills, implantBonus, oreSkillLevels } = readReprocessingConfig();
 
     // Store config for per-item yield recalculation in renderTable
     currentReprocessingConfig = { stationConfig, baseSkills, implantBonus, oreSkillLevels };
@@ -602,6 +581,153 @@ async function handleAnalyze() {
   }
 }
 
+/**
+ * Show items that failed to parse or resolve against the SDE
+ * @param {Object} parseResult - Result of loot:parseAndEnrich
+ */
+function showUnresolved(parseResult) {
+  const unresolvedBanner = document.getElementById('unresolved-banner');
+  const unresolvedList   = document.getElementById('unresolved-list');
+  const allBadLines = [
+    ...(parseResult.unresolvedNames || []),
+    ...(parseResult.parseErrors || []),
+  ];
+  if (allBadLines.length > 0) {
+    unresolvedList.textContent = allBadLines.join(', ');
+    unresolvedBanner.classList.remove('hidden');
+  } else {
+    unresolvedBanner.classList.add('hidden');
+  }
+}
+
+/**
+ * Read the reprocessing configuration panel and ore skills
+ * @returns {{ stationConfig: Object, baseSkills: Object, implantBonus: number, oreSkillLevels: Object }}
+ */
+function readReprocessingConfig() {
+  return {
+    stationConfig: {
+      stationType: document.getElementById('station-type').value,
+      rig: document.getElementById('rig-1').value,
+      rig2: document.getElementById('rig-2').value,
+    },
+    baseSkills: {
+      reprocessing: parseInt(document.getElementById('skill-reprocessing').value, 10) || 0,
+      reprocessingEfficiency: parseInt(document.getElementById('skill-reprocessing-eff').value, 10) || 0,
+    },
+    implantBonus: parseFloat(document.getElementById('implant-bonus').value) || 0,
+    oreSkillLevels: getOreSkillLevels(),
+  };
+}
+
+// ============================================================
+// Contract appraisal
+// ============================================================
+async function handleAppraiseContract() {
+  const rawText = document.getElementById('loot-input').value.trim();
+  if (!rawText) return;
+
+  const market = getLocationForSlot(1);
+  if (!market) {
+    alert('Please select a Market 1 region.');
+    return;
+  }
+
+  const askingPrice = parseFloat(document.getElementById('contract-asking-price').value);
+  if (!(askingPrice >= 0)) {
+    alert('Please enter the contract asking price.');
+    return;
+  }
+
+  showLoading('Parsing items...');
+
+  try {
+    const parseResult = await window.electronAPI.loot.parseAndEnrich(rawText);
+    showUnresolved(parseResult);
+
+    const items = parseResult.items || [];
+    if (items.length === 0) {
+      hideLoading();
+      return;
+    }
+
+    updateLoadingMessage('Walking order books...');
+    const appraisal = await window.electronAPI.loot.appraiseContract({
+      items,
+      askingPrice,
+      market,
+      reprocessingConfig: readReprocessingConfig(),
+    });
+
+    hideLoading();
+    if (appraisal.error) {
+      alert(`Appraisal failed: ${appraisal.error}`);
+      return;
+    }
+
+    renderAppraisal(appraisal);
+    document.getElementById('appraisal-section').classList.remove('hidden');
+  } catch (error) {
+    console.error('[LootAnalyzer] Appraisal error:', error);
+    hideLoading();
+  }
+}
+
+const APPRAISAL_STRATEGY_LABELS = {
+  buy: 'Buy Orders',
+  sell: 'List Sell Orders',
+  reprocess: 'Reprocess',
+  best: 'Best per Item',
+};
+
+function formatDays(days) {
+  if (days === null || days === undefined) return '<span class="muted">Unknown</span>';
+  if (days === 0) return 'Instant';
+  if (days < 1) return '&lt;1 day';
+  return `${days.toFixed(1)} days`;
+}
+
+function renderAppraisal(appraisal) {
+  const { strategies, askingPrice } = appraisal;
+
+  // The best-per-item mix is never worse than a pure strategy, so highlight it
+  // and show the pure strategies next to it for comparison
+  document.getElementById('appraisal-strategies').innerHTML = Object.entries(APPRAISAL_STRATEGY_LABELS)
+    .map(([key, label]) => {
+      const s = strategies[key];
+      const profitClass = s.profit >= 0 ? 'pct-positive' : 'pct-negative';
+      const sign = s.profit >= 0 ? '+' : '-';
+      return `
+        <div class="appraisal-strategy${key === 'best' ? ' best' : ''}">
+          <div class="appraisal-strategy-name">${label}</div>
+          <div class="appraisal-strategy-value">${formatISK(s.value)}</div>
+          <div>Profit: <span class="${profitClass}">${sign}${formatISK(Math.abs(s.profit))}</span>
+            ${s.margin !== null ? formatPct(s.margin * 100) : ''}</div>
+          <div>Liquidation: ${formatDays(s.daysToLiquidate)}</div>
+        </div>`;
+    }).join('') + `
+      <div class="appraisal-strategy">
+        <div class="appraisal-strategy-name">Asking Price</div>
+        <div class="appraisal-strategy-value">${formatISK(askingPrice)}</div>
+        <div>ISK at risk: ${formatISK(appraisal.totalRisk)}</div>
+      </div>`;
+
+  const pillClass = { buy: 'buy', sell: 'sell-m1', reprocess: 'reprocess' };
+  document.getElementById('appraisal-tbody').innerHTML = appraisal.items.map(item => `
+    <tr>
+      <td class="col-name" title="${escapeHtml(item.typeName || '')}">${escapeHtml(item.typeName || String(item.typeId))}</td>
+      <td>${formatQty(item.quantity)}</td>
+      <td title="${formatQty(item.buyFilled)} filled by buy orders">${formatISK(item.buyValue)}</td>
+      <td>${formatISK(item.sellValue)}</td>
+      <td>${item.reprocessValue === null ? '<span class="muted">—</span>' : formatISK(item.reprocessValue)}</td>
+      <td>${formatSVR(item.svr === null ? null : Math.round(item.svr))}</td>
+      <td>${item.sellValue > 0 ? formatDays(item.daysToLiquidate) : '<span class="muted">—</span>'}${item.illiquid ? ' <span class="svr-badge low">Illiquid</span>' : ''}</td>
+      <td><span class="action-pill ${pillClass[item.bestStrategy]}">${APPRAISAL_STRATEGY_LABELS[item.bestStrategy]}</span></td>
+      <td>${formatISK(item.riskIsk)}</td>
+      <td>${(item.riskShare * 100).toFixed(1)}%</td>
+    </tr>`).join('');
+}
+
 // ============================================================
 // Client-side yield formula (mirrors reprocessing-calculator.js)
 // ============================================================
@@ -62,6 +62,10 @@ const blueprintTreeNodeDetailCache = new Map(); // sourcePlanBlueprintId -> deta
 let autoRefreshInterval = null;
 let bulkEditMode = false;
 
+// Plan lifecycle, in order; 'archived' sits outside it
+const PLAN_LIFECYCLE = ['draft', 'active', 'building', 'selling', 'closed'];
+const OPEN_PLAN_STATUSES = ['draft', 'active', 'building', 'selling'];
+
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   await loadCharacters();
@@ -138,7 +142,44 @@ function setupEventListeners() {
 
   // Plan actions
   document.getElementById('delete-plan-btn').addEventListener('click', deletePlan);
-  document.getElementById('complete-plan-btn').addEventListener('click', completePlan);
+  document.getElementById('close-plan-btn').addEventListener('click', closePlan);
+  document.getElementById('reopen-plan-btn').addEventListener('click', reopenPlan);
+
+  // Plan export / import
+  document.getElementById('export-plan-btn').addEventListener('click', showExportPlanModal);
+  document.getElementById('close-export-plan-btn').addEventListener('click', hideExportPlanModal);
+  document.getElementById('cancel-export-plan-btn').addEventListener('click', hideExportPlanModal);
+  document.getElementById('confirm-export-plan-btn').addEventListener('click', confirmExportPlan);
+  document.getElementById('import-plan-btn').addEventListener('click', showImportPlanModal);
+  document.getElementById('close-import-plan-btn').addEventListener('click', hideImportPlanModal);
+  document.getElementById('cancel-import-plan-btn').addEventListener('click', hideImportPlanModal);
+  document.getElementById('confirm-import-plan-btn').addEventListener('click', confirmImportPlan);
+
+  // Doctrine import
+  document.getElementById('import-doctrine-btn').addEventListener('click', showDoctrineImportModal);
+  document.getElementById('close-doctrine-import-btn').addEventListener('click', hideDoctrineImportModal);
+  document.getElementById('cancel-doctrine-import-btn').addEventListener('click', hideDoctrineImportModal);
+  document.getElementById('preview-doctrine-btn').addEventListener('click', previewDoctrine);
+  document.getElementById('confirm-doctrine-import-btn').addEventListener('click', confirmDoctrineImport);
+  document.getElementById('doctrine-preview').addEventListener('change', (e) => {
+    if (e.target.matches('input[data-doctrine-build]')) previewDoctrine();
+  });
+
+  // Run splitting
+  document.getElementById('close-run-split-btn').addEventListener('click', hideRunSplitModal);
+  document.getElementById('cancel-run-split-btn').addEventListener('click', hideRunSplitModal);
+  document.getElementById('refresh-run-split-btn').addEventListener('click', loadRunSplit);
+  document.getElementById('run-split-results').addEventListener('click', handleRunSplitAction);
+
+  // Plan templates
+  document.getElementById('save-template-btn').addEventListener('click', showSaveTemplateModal);
+  document.getElementById('close-save-template-btn').addEventListener('click', hideSaveTemplateModal);
+  document.getElementById('cancel-save-template-btn').addEventListener('click', hideSaveTemplateModal);
+  document.getElementById('confirm-save-template-btn').addEventListener('click', confirmSaveTemplate);
+  document.getElementById('plan-templates-btn').addEventListener('click', showTemplatesModal);
+  document.getElementById('close-plan-templates-btn').addEventListener('click', hideTemplatesModal);
+  document.getElementById('done-plan-templates-btn').addEventListener('click', hideTemplatesModal);
+  document.getElementById('plan-templates-list').addEventListener('click', handleTemplateAction);
 
   // Plan name editing
   document.getElementById('plan-name').addEventListener('blur', updatePlanName);
@@ -168,12 +209,25 @@ function setupEventListeners() {
   document.getElementById('config-runs').addEventListener('input', updateRunsPerLinePreview);
   document.getElementById('config-lines').addEventListener('input', updateRunsPerLinePreview);
 
+  // Overview tab
+  document.getElementById('save-freight-rates-btn').addEventListener('click', saveFreightRates);
+
   // Materials tab
   document.getElementById('include-assets-checkbox').addEventListener('change', loadMaterials);
   document.getElementById('refresh-prices-btn').addEventListener('click', refreshPrices);
+  document.getElementById('export-shopping-list-btn').addEventListener('click', showShoppingListModal);
+  document.getElementById('run-ore-optimizer-btn').addEventListener('click', runOreOptimizer);
+  document.getElementById('close-shopping-list-btn').addEventListener('click', hideShoppingListModal);
+  document.getElementById('cancel-shopping-list-btn').addEventListener('click', hideShoppingListModal);
+  document.getElementById('copy-shopping-list-btn').addEventListener('click', copyShoppingList);
+  document.getElementById('save-shopping-list-btn').addEventListener('click', saveShoppingList);
+  ['shopping-list-format', 'shopping-list-exclude-owned', 'shopping-list-exclude-built'].forEach(id => {
+    document.getElementById(id).addEventListener('change', loadShoppingList);
+  });
 
   // Jobs tab
   document.getElementById('match-jobs-btn').addEventListener('click', matchJobs);
+  document.getElementById('suggest-installers-btn').addEventListener('click', suggestInstallers);
 
   // Transactions tab
   document.getElementById('match-transactions-btn').addEventListener('click', matchTransactions);
@@ -194,6 +248,24 @@ function setupEventListeners() {
   document.getElementById('acquire-item-value').addEventListener('input', updateAcquireDerivedValue);
   document.querySelectorAll('input[name="acquire-value-mode"]').forEach(r =>
     r.addEventListener('change', updateAcquireDerivedValue));
+  // Paste Items modal
+  document.getElementById('ledger-paste-items-btn').addEventListener('click', showPasteItemsModal);
+  document.getElementById('close-ledger-paste-items-btn').addEventListener('click', hidePasteItemsModal);
+  document.getElementById('cancel-paste-items-btn').addEventListener('click', hidePasteItemsModal);
+  document.getElementById('preview-paste-items-btn').addEventListener('click', previewPasteItems);
+  document.getElementById('confirm-paste-items-btn').addEventListener('click', submitPasteItems);
+  // Mined Ore modal
+  document.getElementById('ledger-mined-ore-btn').addEventListener('click', showMinedOreModal);
+  document.getElementById('close-ledger-mined-ore-btn').addEventListener('click', hideMinedOreModal);
+  document.getElementById('cancel-mined-ore-btn').addEventListener('click', hideMinedOreModal);
+  document.getElementById('refresh-mining-ledger-btn').addEventListener('click', refreshMiningLedger);
+  document.getElementById('preview-mined-ore-btn').addEventListener('click', previewMinedOre);
+  document.getElementById('confirm-mined-ore-btn').addEventListener('click', submitMinedOre);
+  // Stockpile modal
+  document.getElementById('ledger-stockpile-btn').addEventListener('click', showStockpileModal);
+  document.getElementById('close-ledger-stockpile-btn').addEventListener('click', hideStockpileModal);
+  document.getElementById('cancel-stockpile-btn').addEventListener('click', hideStockpileModal);
+  document.getElementById('confirm-stockpile-btn').addEventListener('click', submitStockpileAllocation);
   // Edit Ledger Entry modal
   document.getElementById('close-ledger-edit-btn').addEventListener('click', hideLedgerEditModal);
   document.getElementById('cancel-ledger-edit-btn').addEventListener('click', hideLedgerEditModal);
@@ -229,7 +301,9 @@ async function loadPlans() {
   if (!currentCharacterId) return;
 
   const statusFilter = document.querySelector('input[name="status-filter"]:checked').value;
-  const filters = statusFilter === 'all' ? {} : { status: statusFilter };
+  const filters = statusFilter === 'all' ? {}
+    : statusFilter === 'open' ? { status: OPEN_PLAN_STATUSES }
+    : { status: statusFilter };
 
   allPlans = await window.electronAPI.plans.getAll(currentCharacterId, filters);
   renderPlansList();
@@ -278,9 +352,42 @@ function renderPlansList() {
 async function selectPlan(planId) {
   selectedPlanId = planId;
   renderPlansList();
+  await syncPlanLifecycle();
   await loadPlanDetails();
 }
 
+// Move the selected plan along its lifecycle if its jobs, purchases or sales
+// say so. Returns true when the status changed.
+async function syncPlanLifecycle() {
+  if (!selectedPlanId) return false;
+
+  try {
+    const result = await window.electronAPI.plans.evaluateLifecycle(selectedPlanId);
+    if (result.changed) {
+      showToast(`Plan moved from ${result.previousStatus} to ${result.status}`, 'info');
+      await loadPlans();
+      return true;
+    }
+  } catch (error) {
+    console.error('Failed to evaluate plan lifecycle:', error);
+  }
+  return false;
+}
+
+// Lifecycle steps under the plan name, up to the plan's current step
+function renderPlanLifecycle(status) {
+  const container = document.getElementById('plan-lifecycle');
+  const currentIndex = PLAN_LIFECYCLE.indexOf(status);
+  container.style.display = currentIndex === -1 ? 'none' : '';
+  container.innerHTML = PLAN_LIFECYCLE.map((step, index) => {
+    const state = index < currentIndex ? 'done' : (index === currentIndex ? 'current' : '');
+    return `<li class="lifecycle-step ${state}">${step}</li>`;
+  }).join('');
+
+  document.getElementById('close-plan-btn').style.display = status === 'closed' ? 'none' : '';
+  document.getElementById('reopen-plan-btn').style.display = status === 'closed' ? '' : 'none';
+}
+
 // Load and display plan details
 async function loadPlanDetails() {
   if (!selectedPlanId) {
@@ -302,6 +409,7 @@ async function loadPlanDetails() {
   document.getElementById('plan-name').textContent = plan.planName;
   document.getElementById('plan-status').textContent = plan.status;
   document.getElementById('plan-status').className = `status-badge ${plan.status}`;
+  renderPlanLifecycle(plan.status);
 
   const created = new Date(plan.createdAt);
   document.getElementById('plan-created').textContent = `Created: ${created.toLocaleDateString()} ${created.toLocaleTimeString()}`;
@@ -368,6 +476,7 @@ async function loadTabContent(tabName) {
       break;
     case 'blueprints':
       await loadBlueprints();
+      await loadResearchJobs();
       break;
     case 'build-list':
       await loadBuildList();
@@ -396,6 +505,12 @@ async function loadTabContent(tabName) {
     case 'analytics':
       await loadAnalytics();
       break;
+    case 'schedule':
+      await loadSchedule();
+      break;
+    case 'closeout':
+      await loadCloseOut();
+      break;
     case 'settings':
       await loadSettings();
       break;
@@ -414,6 +529,10 @@ async function loadOverview() {
   document.getElementById('overview-job-cost').textContent =
     `+ ${formatISK(jobCost)} job installation${jobCount > 0 ? ` (${jobCount} job${jobCount === 1 ? '' : 's'})` : ''}`;
 
+  const freightCost = summary.freightCost || 0;
+  document.getElementById('overview-freight-cost').textContent =
+    `+ ${formatISK(freightCost)} freight (${formatNumber(summary.freightVolume || 0)} m³)`;
+
   document.getElementById('overview-product-value').textContent = formatISK(summary.productValue);
   document.getElementById('overview-product-meta').textContent = `${summary.productsWithPrice}/${summary.totalProducts} priced`;
 
@@ -423,6 +542,80 @@ async function loadOverview() {
   profitEl.style.color = profit >= 0 ? '#57f287' : '#ed4245';
 
   document.getElementById('overview-roi').textContent = `${summary.roi.toFixed(1)}% ROI`;
+
+  await loadFreight();
+}
+
+// Load freight rates and the per-leg hauling estimate
+async function loadFreight() {
+  const container = document.getElementById('freight-legs');
+
+  try {
+    const [rates, freight] = await Promise.all([
+      window.electronAPI.settings.get('logistics', 'freightRates'),
+      window.electronAPI.plans.getFreightEstimate(selectedPlanId),
+    ]);
+
+    document.getElementById('freight-rate-m3').value = rates?.ratePerM3 ?? 0;
+    document.getElementById('freight-rate-jump').value = rates?.ratePerJump ?? 0;
+    document.getElementById('freight-collateral').value = rates?.collateralPercent ?? 0;
+
+    if (!freight.legs || freight.legs.length === 0) {
+      container.innerHTML = '<p class="stat-meta">No materials or products to haul yet.</p>';
+      return;
+    }
+
+    const rows = freight.legs.map(leg => {
+      const from = leg.fromName || (leg.kind === 'outputs' ? leg.facilityName : null);
+      const to = leg.toName || (leg.kind === 'inputs' ? leg.facilityName : null);
+      const jumps = leg.jumps === null
+        ? '<span class="freight-unknown" title="No facility system or no gate route between the systems">unknown</span>'
+        : formatNumber(leg.jumps);
+      const routeNotes = [];
+      if (leg.insecureSystems > 0) {
+        routeNotes.push(`${leg.insecureSystems} low/null-sec`);
+        routeNotes.push(leg.safeJumps === null || leg.safeJumps === undefined ? 'no high-sec route' : `safest ${formatNumber(leg.safeJumps)}`);
+      }
+      const routeNote = routeNotes.length > 0 ? ` <span class="freight-route-note">(${routeNotes.join(', ')})</span>` : '';
+      return `
+        <tr>
+          <td>${leg.kind === 'inputs' ? 'Materials' : 'Products'}</td>
+          <td>${escapeHtml(from || 'Unknown')} → ${escapeHtml(to || 'Unknown')}</td>
+          <td>${jumps}${routeNote}</td>
+          <td>${formatNumber(leg.volume, 2)} m³</td>
+          <td>${formatISK(leg.collateral)}</td>
+          <td>${formatISK(leg.cost.total)}</td>
+        </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Cargo</th><th>Route</th><th>Jumps</th><th>Volume</th><th>Collateral</th><th>Freight</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  } catch (error) {
+    console.error('Error loading freight estimate:', error);
+    container.innerHTML = '<p class="stat-meta">Could not estimate freight.</p>';
+  }
+}
+
+async function saveFreightRates() {
+  const freightRates = {
+    ratePerM3: parseFloat(document.getElementById('freight-rate-m3').value) || 0,
+    ratePerJump: parseFloat(document.getElementById('freight-rate-jump').value) || 0,
+    collateralPercent: parseFloat(document.getElementById('freight-collateral').value) || 0,
+  };
+
+  const saved = await window.electronAPI.settings.update('logistics', { freightRates });
+  if (!saved) {
+    showToast('Failed to save freight rates', 'error');
+    return;
+  }
+
+  showToast('Freight rates saved', 'success');
+  if (selectedPlanId) await loadOverview();
 }
 
 // Load blueprints tab
@@ -522,6 +715,7 @@ async function loadBlueprints() {
           <button class="secondary-button small edit-btn" data-action="edit">Edit</button>
           <button class="primary-button small save-btn" data-action="save" style="display: none;">Save</button>
           <button class="secondary-button small cancel-btn" data-action="cancel" style="display: none;">Cancel</button>
+          <button class="secondary-button small" data-action="split" title="Compare line counts for time and material waste">Split</button>
           <button class="secondary-button small remove-btn" data-action="remove">Remove</button>
         </td>
       </tr>
@@ -605,6 +799,7 @@ async function loadBlueprints() {
     row.querySelector('[data-action="edit"]')?.addEventListener('click', () => editBlueprint(blueprintId));
     row.querySelector('[data-action="save"]')?.addEventListener('click', () => saveBlueprintEdit(blueprintId));
     row.querySelector('[data-action="cancel"]')?.addEventListener('click', () => cancelBlueprintEdit(blueprintId));
+    row.querySelector('[data-action="split"]')?.addEventListener('click', () => showRunSplitModal(blueprintId));
     row.querySelector('[data-action="remove"]')?.addEventListener('click', () => removeBlueprint(blueprintId));
   });
 
@@ -615,6 +810,83 @@ async function loadBlueprints() {
   });
 }
 
+// Load research and copy jobs (shown below the blueprints table)
+async function loadResearchJobs() {
+  const section = document.getElementById('research-jobs-section');
+  const container = document.getElementById('research-jobs-list');
+  const jobs = await window.electronAPI.plans.getResearchJobs(selectedPlanId);
+
+  if (!jobs || jobs.length === 0) {
+    section.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  const names = await window.electronAPI.sde.getBlueprintNames(jobs.map(job => job.blueprintTypeId));
+  const jobLabels = { research_me: 'ME Research', research_te: 'TE Research', copying: 'Copying' };
+
+  let html = '<table><thead><tr>';
+  html += '<th>Blueprint</th><th>Job</th><th>Details</th><th>Facility</th><th>Status</th><th>Actions</th>';
+  html += '</tr></thead><tbody>';
+
+  for (const job of jobs) {
+    const name = names[job.blueprintTypeId] || `Type ${job.blueprintTypeId}`;
+    const details = job.jobType === 'copying'
+      ? `${job.copies} &times; ${job.runs} run${job.runs === 1 ? '' : 's'}`
+      : `${job.fromLevel} &rarr; ${job.toLevel}`;
+    const facilityName = job.facilitySnapshot ? (job.facilitySnapshot.name || 'Unknown') : 'None';
+
+    html += `
+      <tr data-research-job-id="${job.researchJobId}">
+        <td><strong>${escapeHtml(name)}</strong></td>
+        <td>${jobLabels[job.jobType] || job.jobType}</td>
+        <td>${details}</td>
+        <td>${escapeHtml(facilityName)}</td>
+        <td>${job.isCompleted ? '<span class="status-badge fully-built">Completed</span>' : 'Planned'}</td>
+        <td class="blueprint-actions">
+          <button class="secondary-button small" data-action="toggle-completed">${job.isCompleted ? 'Reopen' : 'Mark Completed'}</button>
+          <button class="secondary-button small remove-btn" data-action="remove-research">Remove</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  html += '</tbody></table>';
+  container.innerHTML = html;
+  section.style.display = 'block';
+
+  container.querySelectorAll('tr[data-research-job-id]').forEach(row => {
+    const researchJobId = row.dataset.researchJobId;
+    const job = jobs.find(j => j.researchJobId === researchJobId);
+    row.querySelector('[data-action="toggle-completed"]')?.addEventListener('click', async () => {
+      await window.electronAPI.plans.setResearchJobCompleted(researchJobId, !job.isCompleted);
+      await loadResearchJobs();
+    });
+    row.querySelector('[data-action="remove-research"]')?.addEventListener('click', () => removeResearchJob(researchJobId));
+  });
+}
+
+// Remove a research or copy job
+async function removeResearchJob(researchJobId) {
+  const confirmed = await showConfirmDialog(
+    'Remove this research job from the plan?',
+    'Remove Research Job',
+    'Remove',
+    'Cancel'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    await window.electronAPI.plans.removeResearchJob(researchJobId);
+    await loadResearchJobs();
+    await loadOverview();
+    showToast('Research job removed from plan', 'success');
+  } catch (error) {
+    showToast('Failed to remove research job: ' + error.message, 'error');
+  }
+}
+
 // ============================================================================
 // BUILD LIST TAB - aggregated per-type editing home for ME/TE/Build Plan/etc.
 // ============================================================================
@@ -1232,6 +1504,7 @@ function formatTime(seconds) {
 
 // Load materials tab
 async function loadMaterials() {
+  prepareOreOptimizer();
   const includeAssets = document.getElementById('include-assets-checkbox').checked;
   const materials = await window.electronAPI.plans.getMaterials(selectedPlanId, includeAssets);
   const container = document.getElementById('materials-list-tab');
@@ -1452,7 +1725,10 @@ async function loadMaterials() {
             ${priceTooltip ? `<span class="tooltip-text"><div class="tooltip-line">${escapeHtml(priceTooltip)}</div></span>` : ''}
           </td>
           <td>${total}</td>
-          <td>${acquisitionDisplay}</td>
+          <td>
+            ${acquisitionDisplay}
+            ${m.isBuyItem ? `<button class="secondary-button small remove-buy-item-btn" data-type-id="${m.typeId}" title="Remove the buy item (not its blueprint materials)">Remove</button>` : ''}
+          </td>
         </tr>
       `;
     }
@@ -1515,12 +1791,37 @@ async function loadMaterials() {
     });
   });
 
+  container.querySelectorAll('.remove-buy-item-btn').forEach(btn => {
+    btn.addEventListener('click', () => removeBuyItem(parseInt(btn.dataset.typeId)));
+  });
+
   wirePriceOverrideCells(container, loadMaterials);
 
   // After rendering, check for warnings
   checkAndDisplayMaterialWarnings(materials);
 }
 
+// Remove a buy item (an item bought ready-made, e.g. from a doctrine import)
+async function removeBuyItem(typeId) {
+  const confirmed = await showConfirmDialog(
+    'Remove this buy item from the plan?',
+    'Remove Buy Item',
+    'Remove',
+    'Cancel'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    await window.electronAPI.plans.removeBuyItem(selectedPlanId, typeId);
+    await loadMaterials();
+    await loadPlans();
+    showToast('Buy item removed from plan', 'success');
+  } catch (error) {
+    showToast('Failed to remove buy item: ' + error.message, 'error');
+  }
+}
+
 // Check and display material warnings
 async function checkAndDisplayMaterialWarnings(materials) {
   const warningsContainer = document.getElementById('material-warnings');
@@ -2577,184 +2878,920 @@ async function deletePlan() {
   }
 }
 
-// Complete plan
-async function completePlan() {
+// ─── Shopping list export ─────────────────────────────────────────────────────
+
+// Last shopping list built for the modal ({ format, text, ... })
+let currentShoppingList = null;
+
+async function showShoppingListModal() {
   if (!selectedPlanId) return;
+  document.getElementById('shopping-list-modal').style.display = 'flex';
+  await loadShoppingList();
+}
 
-  const confirmed = await showConfirmDialog(
-    'Mark this plan as completed? You can still view it later.',
-    'Complete Plan',
-    'Mark Complete',
-    'Cancel'
-  );
+function hideShoppingListModal() {
+  document.getElementById('shopping-list-modal').style.display = 'none';
+  currentShoppingList = null;
+}
 
-  if (!confirmed) return;
+async function loadShoppingList() {
+  const output = document.getElementById('shopping-list-output');
+  const summary = document.getElementById('shopping-list-summary');
+  const options = {
+    format: document.getElementById('shopping-list-format').value,
+    excludeOwned: document.getElementById('shopping-list-exclude-owned').checked,
+    excludeBuilt: document.getElementById('shopping-list-exclude-built').checked,
+  };
 
-  try {
-    showLoading('Updating plan status...');
-    await window.electronAPI.plans.update(selectedPlanId, {
-      status: 'completed',
-      completedAt: Date.now(),
-    });
-    await loadPlans();
-    await loadPlanDetails();
-    showToast('Plan marked as completed', 'success');
-  } catch (error) {
-    showToast('Failed to complete plan: ' + error.message, 'error');
-  } finally {
-    hideLoading();
+  output.value = '';
+  summary.textContent = 'Building shopping list...';
+
+  const result = await window.electronAPI.plans.getShoppingList(selectedPlanId, options);
+  if (!result.success) {
+    currentShoppingList = null;
+    summary.textContent = 'Failed to build shopping list: ' + result.error;
+    return;
   }
-}
 
-// Update plan name
-async function updatePlanName() {
-  if (!selectedPlanId) return;
+  currentShoppingList = result;
+  output.value = result.text;
 
-  const newName = document.getElementById('plan-name').textContent.trim();
-  if (!newName) {
-    await loadPlanDetails();
+  const { itemCount, totalCost, totalVolume } = result.totals;
+  if (itemCount === 0) {
+    summary.textContent = 'Nothing left to buy for this plan.';
     return;
   }
 
-  try {
-    await window.electronAPI.plans.update(selectedPlanId, { planName: newName });
-    await loadPlans();
-  } catch (error) {
-    console.error('Failed to update plan name:', error);
-    await loadPlanDetails();
+  let text = `${formatNumber(itemCount)} item${itemCount === 1 ? '' : 's'} · ${formatISK(totalCost)} · ${formatNumber(totalVolume, 2)} m³`;
+  if (result.groups) {
+    text += ` · ${result.groups.length} hub${result.groups.length === 1 ? '' : 's'}`;
   }
+  if (result.marketSetName) {
+    text += ` · Market Set: ${result.marketSetName}`;
+  }
+  summary.textContent = text;
 }
 
-// Update plan description
-async function updatePlanDescription() {
-  if (!selectedPlanId) return;
-
-  const description = document.getElementById('plan-description').value.trim();
+async function copyShoppingList() {
+  if (!currentShoppingList || !currentShoppingList.text) return;
 
   try {
-    await window.electronAPI.plans.update(selectedPlanId, { description: description || null });
+    await navigator.clipboard.writeText(currentShoppingList.text);
+    showToast('Shopping list copied to clipboard', 'success');
   } catch (error) {
-    console.error('Failed to update plan description:', error);
+    showToast('Failed to copy shopping list: ' + error.message, 'error');
   }
 }
 
-// Show add blueprint modal
-function showAddBlueprintModal() {
-  document.getElementById('blueprint-search-modal').value = '';
-  document.getElementById('blueprint-search-results').innerHTML = '<div class="loading">Search for blueprints...</div>';
-  document.getElementById('add-blueprint-modal').style.display = 'flex';
-}
-
-// Hide add blueprint modal
-function hideAddBlueprintModal() {
-  document.getElementById('add-blueprint-modal').style.display = 'none';
-}
+async function saveShoppingList() {
+  if (!currentShoppingList || !currentShoppingList.text) return;
 
-// Search blueprints
-let searchTimeout;
-async function searchBlueprints(e) {
-  clearTimeout(searchTimeout);
+  const result = await window.electronAPI.plans.saveShoppingList(
+    selectedPlanId, currentShoppingList.text, currentShoppingList.format
+  );
+  if (result.canceled) return;
 
-  const query = e.target.value.trim();
-  if (query.length < 2) {
-    document.getElementById('blueprint-search-results').innerHTML = '<div class="loading">Search for blueprints...</div>';
+  if (!result.success) {
+    showToast('Failed to save shopping list: ' + result.error, 'error');
     return;
   }
 
-  searchTimeout = setTimeout(async () => {
-    const results = await window.electronAPI.sde.searchBlueprints(query);
-    const container = document.getElementById('blueprint-search-results');
+  showToast(`Shopping list saved to ${result.filePath}`, 'success');
+}
 
-    if (results.length === 0) {
-      container.innerHTML = renderEmptyState(
-        'No blueprints found',
-        'Try a different search term.',
-        '<circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line>'
-      );
-      return;
-    }
+// ─── Plan export / import ─────────────────────────────────────────────────────
 
-    container.innerHTML = results.slice(0, 100).map(bp => `
-      <div class="search-result-item" data-type-id="${bp.typeID}">
-        <strong>${escapeHtml(bp.typeName)}</strong>
-      </div>
-    `).join('');
+// Parsed plan file waiting for the user to confirm the import mapping
+let pendingPlanImport = null;
 
-    // Add click handlers
-    container.querySelectorAll('.search-result-item').forEach(item => {
-      item.addEventListener('click', () => {
-        selectedBlueprintTypeId = parseInt(item.dataset.typeId);
-        showConfigureBlueprintModal(item.querySelector('strong').textContent);
-      });
-    });
-  }, 300);
+function showExportPlanModal() {
+  if (!selectedPlanId) return;
+  document.getElementById('export-include-actuals').checked = false;
+  document.getElementById('export-plan-modal').style.display = 'flex';
 }
 
-// Show configure blueprint modal
-async function showConfigureBlueprintModal(blueprintName) {
-  hideAddBlueprintModal();
+function hideExportPlanModal() {
+  document.getElementById('export-plan-modal').style.display = 'none';
+}
 
-  document.getElementById('config-blueprint-name').textContent = blueprintName;
-  document.getElementById('config-runs').value = 1;
-  document.getElementById('config-lines').value = 1;
+async function confirmExportPlan() {
+  const includeActuals = document.getElementById('export-include-actuals').checked;
 
-  // Get character's owned blueprints to pre-fill ME/TE
-  let meLevel = 0;
-  let teLevel = 0;
+  const result = await window.electronAPI.plans.exportToFile(selectedPlanId, { includeActuals });
+  if (result.canceled) return;
 
-  if (currentCharacterId && selectedBlueprintTypeId) {
-    try {
-      const blueprints = await window.electronAPI.blueprints.getAll(currentCharacterId);
-      if (blueprints && blueprints.length > 0) {
-        const ownedBlueprint = blueprints.find(bp => bp.typeId === selectedBlueprintTypeId);
-        if (ownedBlueprint) {
-          meLevel = ownedBlueprint.materialEfficiency || 0;
-          teLevel = ownedBlueprint.timeEfficiency || 0;
-        }
-      }
-    } catch (error) {
-      console.warn('Could not fetch character blueprints:', error);
-    }
+  if (!result.success) {
+    showToast('Failed to export plan: ' + result.error, 'error');
+    return;
   }
 
-  document.getElementById('config-me').value = meLevel;
-  document.getElementById('config-te').value = teLevel;
+  hideExportPlanModal();
+  showToast(`Plan exported to ${result.filePath}`, 'success');
+}
 
-  // Populate facilities dropdown and select default
-  const facilitySelect = document.getElementById('config-facility');
-  facilitySelect.innerHTML = '<option value="">No facility</option>';
+async function showImportPlanModal() {
+  if (!currentCharacterId) {
+    showToast('Select a character before importing a plan', 'warning');
+    return;
+  }
 
-  let defaultFacilityId = null;
-  facilities.forEach(facility => {
-    const option = document.createElement('option');
-    option.value = facility.id;
-    option.textContent = facility.name;
-    facilitySelect.appendChild(option);
+  const result = await window.electronAPI.plans.readImportFile();
+  if (result.canceled) return;
 
-    // Track default facility (usage === 'default')
-    if (facility.usage === 'default') {
-      defaultFacilityId = facility.id;
-    }
-  });
+  if (!result.success) {
+    showToast('Failed to read plan file: ' + result.error, 'error');
+    return;
+  }
 
-  // Select default facility if one exists
-  if (defaultFacilityId) {
-    facilitySelect.value = defaultFacilityId;
+  pendingPlanImport = result.document;
+  const summary = result.summary;
+
+  const counts = [
+    `${summary.blueprintCount} blueprint${summary.blueprintCount === 1 ? '' : 's'}`,
+    `${summary.researchJobCount} research job${summary.researchJobCount === 1 ? '' : 's'}`,
+    `${summary.priceOverrideCount} price override${summary.priceOverrideCount === 1 ? '' : 's'}`,
+  ];
+  if (summary.hasLedger) {
+    counts.push(`${summary.ledgerEntryCount} ledger entr${summary.ledgerEntryCount === 1 ? 'y' : 'ies'}`);
   }
+  document.getElementById('import-plan-summary').innerHTML = `
+    <strong>${escapeHtml(summary.planName)}</strong><br>
+    ${counts.join(', ')}
+  `;
+  document.getElementById('import-plan-name').value = summary.planName || '';
+
+  // Facilities: default to a local facility with the same ID or name
+  const facilityContainer = document.getElementById('import-facility-mapping');
+  facilityContainer.innerHTML = summary.facilities.length === 0 ? '' : `
+    <label>Facilities</label>
+    ${summary.facilities.map(f => {
+      const match = facilities.find(local => local.id === f.facilityId) ||
+        facilities.find(local => f.name && local.name.toLowerCase() === f.name.toLowerCase());
+      return `
+        <div class="import-mapping-row">
+          <span class="import-mapping-source">${escapeHtml(f.name || f.facilityId)}</span>
+          <select class="input-field" data-facility-id="${escapeHtml(f.facilityId || '')}">
+            <option value="">Keep exported facility settings</option>
+            ${facilities.map(local => `
+              <option value="${escapeHtml(local.id)}" ${match && match.id === local.id ? 'selected' : ''}>${escapeHtml(local.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+    }).join('')}
+  `;
 
-  // Initialize runs per line preview
-  updateRunsPerLinePreview();
+  // Characters: the plan owner maps to the selected character, others to themselves if present
+  const localCharacters = await window.electronAPI.esi.getCharacters();
+  const characterContainer = document.getElementById('import-character-mapping');
+  characterContainer.innerHTML = `
+    <label>Characters</label>
+    ${summary.characters.map(c => {
+      const selectedId = c.isOwner
+        ? currentCharacterId
+        : (localCharacters.some(local => local.characterId === c.characterId) ? c.characterId : null);
+      return `
+        <div class="import-mapping-row">
+          <span class="import-mapping-source">${escapeHtml(c.characterName || `Character ${c.characterId}`)}${c.isOwner ? ' (plan owner)' : ''}</span>
+          <select class="input-field" data-character-id="${c.characterId}" data-owner="${c.isOwner}">
+            ${c.isOwner ? '' : '<option value="">Not mapped</option>'}
+            ${localCharacters.map(local => `
+              <option value="${local.characterId}" ${local.characterId === selectedId ? 'selected' : ''}>${escapeHtml(local.characterName)}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+    }).join('')}
+  `;
 
-  document.getElementById('configure-blueprint-modal').style.display = 'flex';
+  const includeActuals = document.getElementById('import-include-actuals');
+  includeActuals.checked = summary.hasLedger;
+  includeActuals.disabled = !summary.hasLedger;
+
+  document.getElementById('import-plan-modal').style.display = 'flex';
 }
 
-// Update runs per line preview in configure modal
-function updateRunsPerLinePreview() {
-  const runs = parseInt(document.getElementById('config-runs').value) || 1;
-  const lines = parseInt(document.getElementById('config-lines').value) || 1;
-  const runsPerLine = Math.ceil(runs / lines);
-  const previewElement = document.getElementById('runs-per-line-value');
-  if (previewElement) {
+function hideImportPlanModal() {
+  document.getElementById('import-plan-modal').style.display = 'none';
+  pendingPlanImport = null;
+}
+
+async function confirmImportPlan() {
+  if (!pendingPlanImport) return;
+
+  const facilityMap = {};
+  document.querySelectorAll('#import-facility-mapping select[data-facility-id]').forEach(select => {
+    if (select.dataset.facilityId && select.value) {
+      facilityMap[select.dataset.facilityId] = select.value;
+    }
+  });
+
+  let characterId = currentCharacterId;
+  const characterMap = {};
+  document.querySelectorAll('#import-character-mapping select[data-character-id]').forEach(select => {
+    if (!select.value) return;
+    const mappedId = parseInt(select.value);
+    characterMap[select.dataset.characterId] = mappedId;
+    if (select.dataset.owner === 'true') {
+      characterId = mappedId;
+    }
+  });
+
+  try {
+    showLoading('Importing plan...');
+    const result = await window.electronAPI.plans.import(pendingPlanImport, {
+      characterId,
+      characterMap,
+      facilityMap,
+      includeActuals: document.getElementById('import-include-actuals').checked,
+      planName: document.getElementById('import-plan-name').value.trim() || null,
+    });
+
+    hideImportPlanModal();
+
+    if (characterId === currentCharacterId) {
+      await loadPlans();
+      await selectPlan(result.planId);
+    }
+
+    showToast(`Imported "${result.planName}" with ${result.blueprintsImported} blueprint rows`, 'success');
+    if (result.unmappedFacilities.length > 0) {
+      showToast(`No local facility found for: ${result.unmappedFacilities.join(', ')}. The exported facility settings were kept.`, 'warning');
+    }
+  } catch (error) {
+    showToast('Failed to import plan: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+// ─── Doctrine import ──────────────────────────────────────────────────────────
+
+function showDoctrineImportModal() {
+  if (!currentCharacterId) {
+    showToast('Select a character before importing a doctrine', 'warning');
+    return;
+  }
+
+  const facilitySelect = document.getElementById('doctrine-facility');
+  facilitySelect.innerHTML = '<option value="">No facility</option>' + facilities
+    .filter(f => f.usage !== 'reactions')
+    .map(f => `<option value="${f.id}"${f.usage === 'default' ? ' selected' : ''}>${escapeHtml(f.name)}</option>`)
+    .join('');
+
+  document.getElementById('doctrine-preview').innerHTML = '';
+  document.getElementById('confirm-doctrine-import-btn').disabled = true;
+  document.getElementById('doctrine-import-modal').style.display = 'flex';
+  document.getElementById('doctrine-eft').focus();
+}
+
+function hideDoctrineImportModal() {
+  document.getElementById('doctrine-import-modal').style.display = 'none';
+}
+
+// Options shared by the preview and the import; buildable items the user
+// unticked are bought instead
+function getDoctrineOptions() {
+  const buyTypeIds = [...document.querySelectorAll('#doctrine-preview input[data-doctrine-build]')]
+    .filter(input => !input.checked)
+    .map(input => parseInt(input.dataset.doctrineBuild));
+
+  return {
+    characterId: currentCharacterId,
+    fleetQuantity: parseInt(document.getElementById('doctrine-fleet-quantity').value) || 1,
+    subtractAssets: document.getElementById('doctrine-subtract-assets').checked,
+    facilityId: document.getElementById('doctrine-facility').value || null,
+    planName: document.getElementById('doctrine-plan-name').value.trim() || null,
+    buyTypeIds,
+  };
+}
+
+async function previewDoctrine() {
+  const container = document.getElementById('doctrine-preview');
+  const confirmBtn = document.getElementById('confirm-doctrine-import-btn');
+  const text = document.getElementById('doctrine-eft').value;
+
+  try {
+    const preview = await window.electronAPI.plans.previewDoctrine(text, getDoctrineOptions());
+
+    const itemRows = preview.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.typeName)}</td>
+        <td>${item.kind}</td>
+        <td>${formatNumber(item.perFleet)}</td>
+        <td>${formatNumber(item.owned)}</td>
+        <td>${formatNumber(item.toAcquire)}</td>
+        <td>
+          ${item.buildable
+            ? `<label><input type="checkbox" data-doctrine-build="${item.typeId}"${item.build ? ' checked' : ''}> ${item.build ? `${formatNumber(item.runs)} run${item.runs === 1 ? '' : 's'}` : 'Buy'}</label>`
+            : '<span class="ledger-tag">buy only</span>'}
+        </td>
+      </tr>
+    `).join('');
+
+    const buyRows = preview.buyOnly.map(item => `
+      <tr>
+        <td>${escapeHtml(item.typeName)}</td>
+        <td>${formatNumber(item.toAcquire)}</td>
+        <td>${item.unitPrice != null ? formatISK(item.unitPrice) : '—'}</td>
+        <td>${item.totalPrice != null ? formatISK(item.totalPrice) : '—'}</td>
+      </tr>
+    `).join('');
+
+    const warnings = [];
+    if (preview.unresolvedNames.length > 0) {
+      warnings.push(`Unknown items (skipped): ${preview.unresolvedNames.map(escapeHtml).join(', ')}`);
+    }
+    if (preview.parseErrors.length > 0) {
+      warnings.push(`Lines outside a fit (skipped): ${preview.parseErrors.map(escapeHtml).join(', ')}`);
+    }
+
+    container.innerHTML = `
+      <div class="mined-ore-preview-heading">
+        ${preview.fits.map(f => `${escapeHtml(f.fitName)} (${escapeHtml(f.hullName)}) x${f.ships}`).join(', ')}
+      </div>
+      ${warnings.map(w => `<p class="input-help">${w}</p>`).join('')}
+      <table>
+        <thead><tr><th>Item</th><th>Kind</th><th>Fleet Needs</th><th>Owned</th><th>To Acquire</th><th>Build</th></tr></thead>
+        <tbody>${itemRows}</tbody>
+      </table>
+      ${buyRows ? `
+        <div class="mined-ore-preview-heading">Buy-only: ${formatISK(preview.buyOnlyTotal)}</div>
+        <table>
+          <thead><tr><th>Item</th><th>Quantity</th><th>Unit Price</th><th>Total</th></tr></thead>
+          <tbody>${buyRows}</tbody>
+        </table>
+      ` : ''}
+    `;
+
+    confirmBtn.disabled = preview.build.length === 0 && preview.buyOnly.length === 0;
+  } catch (error) {
+    confirmBtn.disabled = true;
+    container.innerHTML = '';
+    showToast('Failed to read fittings: ' + error.message, 'error');
+  }
+}
+
+async function confirmDoctrineImport() {
+  const text = document.getElementById('doctrine-eft').value;
+
+  try {
+    showLoading('Creating doctrine plan...');
+    const result = await window.electronAPI.plans.createFromDoctrine(text, getDoctrineOptions());
+
+    hideDoctrineImportModal();
+    await loadPlans();
+    await selectPlan(result.planId);
+
+    showToast(`Created "${result.planName}" with ${result.blueprintsAdded} blueprint${result.blueprintsAdded === 1 ? '' : 's'}`, 'success');
+    if (result.buyOnly.length > 0) {
+      showToast(`${result.buyOnly.length} buy-only item(s), ${formatISK(result.buyOnlyTotal)}: listed in the plan description`, 'info');
+    }
+  } catch (error) {
+    showToast('Failed to create doctrine plan: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+// ─── Run splitting ────────────────────────────────────────────────────────────
+
+let runSplitBlueprintId = null;
+let runSplitProposal = null;
+
+function showRunSplitModal(planBlueprintId) {
+  runSplitBlueprintId = planBlueprintId;
+  runSplitProposal = null;
+  document.getElementById('run-split-units').value = '';
+  document.getElementById('run-split-results').innerHTML = '';
+  document.getElementById('run-split-delta').innerHTML = '';
+  document.getElementById('run-split-modal').style.display = 'flex';
+  loadRunSplit();
+}
+
+function hideRunSplitModal() {
+  document.getElementById('run-split-modal').style.display = 'none';
+  runSplitBlueprintId = null;
+  runSplitProposal = null;
+}
+
+async function loadRunSplit() {
+  if (!runSplitBlueprintId) return;
+
+  const container = document.getElementById('run-split-results');
+  const unitsInput = document.getElementById('run-split-units');
+
+  try {
+    const proposal = await window.electronAPI.plans.proposeRunSplit(runSplitBlueprintId, {
+      units: parseInt(unitsInput.value) || null,
+      maxExtraMaterialPercent: parseFloat(document.getElementById('run-split-max-extra').value) || 0,
+    });
+    runSplitProposal = proposal;
+    unitsInput.value = proposal.units;
+    renderRunSplit(proposal);
+  } catch (error) {
+    container.innerHTML = '';
+    showToast('Failed to compare splits: ' + error.message, 'error');
+  }
+}
+
+// "3 × 10 runs, 1 × 4 runs" for a list of jobs
+function describeSplitJobs(jobs) {
+  const counts = new Map();
+  for (const job of jobs) counts.set(job.runs, (counts.get(job.runs) || 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([runs, count]) => `${count} × ${formatNumber(runs)} run${runs === 1 ? '' : 's'}`)
+    .join(', ');
+}
+
+function renderRunSplit(proposal) {
+  const container = document.getElementById('run-split-results');
+
+  const slots = proposal.characters.map(c => `${escapeHtml(c.characterName)} ${c.freeSlots}/${c.totalSlots}`).join(', ');
+  const owned = proposal.ownedBlueprints.originals > 0
+    ? `${proposal.ownedBlueprints.originals} original${proposal.ownedBlueprints.originals === 1 ? '' : 's'}`
+    : `${proposal.ownedBlueprints.copies.length} cop${proposal.ownedBlueprints.copies.length === 1 ? 'y' : 'ies'}`;
+
+  const rows = proposal.options.map(option => `
+    <tr class="${option.recommended ? 'run-split-recommended' : ''}">
+      <td>${option.lines}${option.lines === proposal.currentLines ? ' <span class="ledger-tag">current</span>' : ''}</td>
+      <td>${describeSplitJobs(option.jobs)}</td>
+      <td>${formatTime(option.wallClockMs / 1000)}</td>
+      <td>${formatISK(option.materialCost)}</td>
+      <td class="${option.extraMaterialCost > 0 ? 'closeout-over' : ''}">
+        ${option.extraMaterialCost > 0 ? '+' : ''}${formatISK(option.extraMaterialCost)} (${option.extraMaterialPercent.toFixed(2)}%)
+      </td>
+      <td class="template-actions">
+        <button class="secondary-button small" data-split-delta="${option.lines}">Materials</button>
+        <button class="${option.recommended ? 'primary-button' : 'secondary-button'} small" data-split-apply="${option.lines}">Apply</button>
+      </td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="mined-ore-preview-heading">
+      ${escapeHtml(proposal.blueprintName)}: ${formatNumber(proposal.units)} units in ${formatNumber(proposal.totalRuns)} runs
+      (${formatNumber(proposal.unitsPerRun)} per run${proposal.runLimit ? `, at most ${formatNumber(proposal.runLimit)} per job` : ''})
+    </div>
+    <p class="input-help">Free manufacturing slots: ${slots || 'none'} · Owned: ${owned}</p>
+    ${proposal.warnings.map(w => `<p class="input-help">${escapeHtml(w)}</p>`).join('')}
+    <table>
+      <thead><tr><th>Lines</th><th>Jobs</th><th>Wall-clock</th><th>Material Cost</th><th>Extra Material</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  const recommended = proposal.options.find(option => option.recommended);
+  renderRunSplitDelta(recommended || proposal.options[0]);
+}
+
+// Material quantities of one split against the single-line split
+function renderRunSplitDelta(option) {
+  const container = document.getElementById('run-split-delta');
+  if (!option || !runSplitProposal) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const rows = option.materials.map(material => `
+    <tr>
+      <td>${escapeHtml(runSplitProposal.materialNames[material.typeId] || `Type ${material.typeId}`)}</td>
+      <td>${formatNumber(material.quantity)}</td>
+      <td class="${material.delta > 0 ? 'closeout-over' : ''}">${material.delta > 0 ? '+' : ''}${formatNumber(material.delta)}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="mined-ore-preview-heading">Materials with ${option.lines} line${option.lines === 1 ? '' : 's'} vs 1 line</div>
+    <table class="ledger-table">
+      <thead><tr><th>Material</th><th>Quantity</th><th>Difference</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+async function handleRunSplitAction(e) {
+  const button = e.target.closest('button');
+  if (!button || !runSplitProposal) return;
+
+  if (button.dataset.splitDelta) {
+    renderRunSplitDelta(runSplitProposal.options.find(o => o.lines === parseInt(button.dataset.splitDelta)));
+    return;
+  }
+  if (!button.dataset.splitApply) return;
+
+  const lines = parseInt(button.dataset.splitApply);
+  try {
+    showLoading('Updating blueprint...');
+    await window.electronAPI.plans.updateBlueprint(runSplitProposal.planBlueprintId, {
+      runs: runSplitProposal.totalRuns,
+      lines,
+    });
+    await window.electronAPI.plans.recalculateMaterials(selectedPlanId, false, activeMarketSet?.id);
+    hideRunSplitModal();
+    await loadBlueprints();
+    await loadOverview();
+    await loadPlans();
+    showToast(`Split into ${lines} line${lines === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    showToast('Failed to apply split: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+// ─── Plan templates ───────────────────────────────────────────────────────────
+
+function showSaveTemplateModal() {
+  if (!selectedPlanId) return;
+  const plan = allPlans.find(p => p.planId === selectedPlanId);
+  document.getElementById('template-name').value = plan ? plan.planName : '';
+  document.getElementById('template-multiplier').value = '1';
+  document.getElementById('template-interval').value = '';
+  document.getElementById('save-template-modal').style.display = 'flex';
+}
+
+function hideSaveTemplateModal() {
+  document.getElementById('save-template-modal').style.display = 'none';
+}
+
+async function confirmSaveTemplate() {
+  try {
+    const template = await window.electronAPI.planTemplates.createFromPlan(selectedPlanId, {
+      templateName: document.getElementById('template-name').value.trim(),
+      defaultMultiplier: parseFloat(document.getElementById('template-multiplier').value) || 1,
+      scheduleIntervalDays: document.getElementById('template-interval').value || null,
+    });
+    hideSaveTemplateModal();
+    showToast(`Saved template "${template.templateName}"`, 'success');
+  } catch (error) {
+    showToast('Failed to save template: ' + error.message, 'error');
+  }
+}
+
+async function showTemplatesModal() {
+  if (!currentCharacterId) {
+    showToast('Select a character to see its templates', 'warning');
+    return;
+  }
+  document.getElementById('template-history').innerHTML = '';
+  document.getElementById('plan-templates-modal').style.display = 'flex';
+  await loadTemplates();
+}
+
+function hideTemplatesModal() {
+  document.getElementById('plan-templates-modal').style.display = 'none';
+}
+
+async function loadTemplates() {
+  const container = document.getElementById('plan-templates-list');
+
+  try {
+    const templates = await window.electronAPI.planTemplates.getAll(currentCharacterId);
+    if (templates.length === 0) {
+      container.innerHTML = renderEmptyState(
+        'No templates yet',
+        'Open a plan and use Save as Template to rebuild it on demand or on a schedule.'
+      );
+      return;
+    }
+
+    const rows = templates.map(t => `
+      <tr data-template-id="${t.templateId}">
+        <td>
+          <strong>${escapeHtml(t.templateName)}</strong>
+          <div class="input-help">${t.blueprintCount} blueprint${t.blueprintCount === 1 ? '' : 's'}, ${t.cycleCount} cycle${t.cycleCount === 1 ? '' : 's'}</div>
+        </td>
+        <td>
+          <input type="number" class="input-field template-interval-input" min="1" step="1"
+                 value="${t.scheduleIntervalDays || ''}" placeholder="On demand">
+          ${t.nextRunAt ? `<div class="input-help">Next: ${new Date(t.nextRunAt).toLocaleDateString()}</div>` : ''}
+        </td>
+        <td>
+          <input type="number" class="input-field template-multiplier-input" min="0.1" step="0.1" value="${t.defaultMultiplier}">
+        </td>
+        <td class="template-actions">
+          <button class="primary-button" data-template-action="spawn">Spawn</button>
+          <button class="secondary-button" data-template-action="save">Save</button>
+          <button class="secondary-button" data-template-action="history">History</button>
+          <button class="link-button danger" data-template-action="delete">Delete</button>
+        </td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <table class="ledger-table">
+        <thead><tr><th>Template</th><th>Every (days)</th><th>Multiplier</th><th>Actions</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    container.innerHTML = renderEmptyState('Could not load templates', error.message);
+  }
+}
+
+async function handleTemplateAction(event) {
+  const button = event.target.closest('[data-template-action]');
+  if (!button) return;
+
+  const row = button.closest('tr[data-template-id]');
+  const templateId = row.dataset.templateId;
+  const multiplier = parseFloat(row.querySelector('.template-multiplier-input').value) || 1;
+  const interval = row.querySelector('.template-interval-input').value || null;
+
+  try {
+    switch (button.dataset.templateAction) {
+      case 'spawn': {
+        showLoading('Spawning plan at current prices...');
+        const result = await window.electronAPI.planTemplates.spawn(templateId, { multiplier });
+        hideLoading();
+        hideTemplatesModal();
+        await loadPlans();
+        await selectPlan(result.planId);
+        showToast(`Created "${result.planName}" (x${result.multiplier})`, 'success');
+        if (result.unmappedFacilities.length > 0) {
+          showToast(`No local facility found for: ${result.unmappedFacilities.join(', ')}. The template's facility settings were kept.`, 'warning');
+        }
+        break;
+      }
+      case 'save':
+        await window.electronAPI.planTemplates.update(templateId, {
+          defaultMultiplier: multiplier,
+          scheduleIntervalDays: interval,
+        });
+        showToast('Template updated', 'success');
+        await loadTemplates();
+        break;
+      case 'history':
+        await showTemplateHistory(templateId);
+        break;
+      case 'delete': {
+        const confirmed = await showConfirmDialog(
+          'Delete this template and its cycle history? Plans spawned from it are kept.',
+          'Delete Template',
+          'Delete',
+          'Cancel'
+        );
+        if (!confirmed) return;
+        await window.electronAPI.planTemplates.delete(templateId);
+        document.getElementById('template-history').innerHTML = '';
+        await loadTemplates();
+        break;
+      }
+    }
+  } catch (error) {
+    hideLoading();
+    showToast('Template action failed: ' + error.message, 'error');
+  }
+}
+
+async function showTemplateHistory(templateId) {
+  const container = document.getElementById('template-history');
+  container.innerHTML = '<p class="input-help">Loading cycle history...</p>';
+
+  const history = await window.electronAPI.planTemplates.getHistory(templateId);
+  if (history.cycles.length === 0) {
+    container.innerHTML = `<p class="input-help">No plans have been spawned from "${escapeHtml(history.template.templateName)}" yet.</p>`;
+    return;
+  }
+
+  const profitCell = value => (value == null
+    ? '—'
+    : `<span class="${value < 0 ? 'closeout-over' : 'closeout-under'}">${formatISK(value)}</span>`);
+
+  const rows = history.cycles.map(c => `
+    <tr>
+      <td>#${c.cycleNumber}${c.trigger === 'schedule' ? ' <span class="ledger-tag">scheduled</span>' : ''}</td>
+      <td>${c.planDeleted ? '<em>Plan deleted</em>' : `${escapeHtml(c.planName)} <span class="status-badge ${c.status}">${c.status}</span>`}</td>
+      <td>x${c.multiplier}</td>
+      <td>${profitCell(c.planned?.profit)}</td>
+      <td>${profitCell(c.actual?.profit)}</td>
+      <td>${profitCell(c.actual?.profitWithStockpile)}</td>
+      <td>${c.margin != null ? `${(c.margin * 100).toFixed(1)}%` : '—'}</td>
+    </tr>
+  `).join('');
+
+  const { summary } = history;
+  container.innerHTML = `
+    <div class="mined-ore-preview-heading">${escapeHtml(history.template.templateName)}: cycle history</div>
+    ${summary.closedCycles > 0 ? `
+      <div class="ledger-reconciliation">
+        <span>Closed cycles: <strong>${summary.closedCycles}</strong></span>
+        <span>Average profit: <strong>${formatISK(summary.averageProfit)}</strong></span>
+        <span>Best: <strong>#${summary.bestCycle}</strong></span>
+        <span>Worst: <strong>#${summary.worstCycle}</strong></span>
+      </div>` : ''}
+    <table class="ledger-table">
+      <thead><tr><th>Cycle</th><th>Plan</th><th>Size</th><th>Planned Profit</th><th>Actual Profit</th><th>Incl. Leftovers</th><th>Margin</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Close plan
+async function closePlan() {
+  if (!selectedPlanId) return;
+
+  const confirmed = await showConfirmDialog(
+    'Close this plan? Its close-out report is saved and leftover materials and intermediates are carried into the stockpile for other plans.',
+    'Close Plan',
+    'Close Plan',
+    'Cancel'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    showLoading('Closing plan...');
+    await window.electronAPI.plans.setStatus(selectedPlanId, 'closed');
+    await loadPlans();
+    await loadPlanDetails();
+    showToast('Plan closed', 'success');
+  } catch (error) {
+    showToast('Failed to close plan: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+// Reopen a closed plan
+async function reopenPlan() {
+  if (!selectedPlanId) return;
+
+  const confirmed = await showConfirmDialog(
+    'Reopen this plan? Its close-out report is discarded, its leftovers are taken back out of the stockpile, and its status follows its jobs and sales again.',
+    'Reopen Plan',
+    'Reopen',
+    'Cancel'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    showLoading('Reopening plan...');
+    await window.electronAPI.plans.setStatus(selectedPlanId, 'active');
+    await syncPlanLifecycle();
+    await loadPlans();
+    await loadPlanDetails();
+    showToast('Plan reopened', 'success');
+  } catch (error) {
+    showToast('Failed to reopen plan: ' + error.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+// Update plan name
+async function updatePlanName() {
+  if (!selectedPlanId) return;
+
+  const newName = document.getElementById('plan-name').textContent.trim();
+  if (!newName) {
+    await loadPlanDetails();
+    return;
+  }
+
+  try {
+    await window.electronAPI.plans.update(selectedPlanId, { planName: newName });
+    await loadPlans();
+  } catch (error) {
+    console.error('Failed to update plan name:', error);
+    await loadPlanDetails();
+  }
+}
+
+// Update plan description
+async function updatePlanDescription() {
+  if (!selectedPlanId) return;
+
+  const description = document.getElementById('plan-description').value.trim();
+
+  try {
+    await window.electronAPI.plans.update(selectedPlanId, { description: description || null });
+  } catch (error) {
+    console.error('Failed to update plan description:', error);
+  }
+}
+
+// Show add blueprint modal
+function showAddBlueprintModal() {
+  document.getElementById('blueprint-search-modal').value = '';
+  document.getElementById('blueprint-search-results').innerHTML = '<div class="loading">Search for blueprints...</div>';
+  document.getElementById('add-blueprint-modal').style.display = 'flex';
+}
+
+// Hide add blueprint modal
+function hideAddBlueprintModal() {
+  document.getElementById('add-blueprint-modal').style.display = 'none';
+}
+
+// Search blueprints
+let searchTimeout;
+async function searchBlueprints(e) {
+  clearTimeout(searchTimeout);
+
+  const query = e.target.value.trim();
+  if (query.length < 2) {
+    document.getElementById('blueprint-search-results').innerHTML = '<div class="loading">Search for blueprints...</div>';
+    return;
+  }
+
+  searchTimeout = setTimeout(async () => {
+    const results = await window.electronAPI.sde.searchBlueprints(query);
+    const container = document.getElementById('blueprint-search-results');
+
+    if (results.length === 0) {
+      container.innerHTML = renderEmptyState(
+        'No blueprints found',
+        'Try a different search term.',
+        '<circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line>'
+      );
+      return;
+    }
+
+    container.innerHTML = results.slice(0, 100).map(bp => `
+      <div class="search-result-item" data-type-id="${bp.typeID}">
+        <strong>${escapeHtml(bp.typeName)}</strong>
+      </div>
+    `).join('');
+
+    // Add click handlers
+    container.querySelectorAll('.search-result-item').forEach(item => {
+      item.addEventListener('click', () => {
+        selectedBlueprintTypeId = parseInt(item.dataset.typeId);
+        showConfigureBlueprintModal(item.querySelector('strong').textContent);
+      });
+    });
+  }, 300);
+}
+
+// Show configure blueprint modal
+async function showConfigureBlueprintModal(blueprintName) {
+  hideAddBlueprintModal();
+
+  document.getElementById('config-blueprint-name').textContent = blueprintName;
+  document.getElementById('config-runs').value = 1;
+  document.getElementById('config-lines').value = 1;
+
+  // Get character's owned blueprints to pre-fill ME/TE
+  let meLevel = 0;
+  let teLevel = 0;
+
+  if (currentCharacterId && selectedBlueprintTypeId) {
+    try {
+      const blueprints = await window.electronAPI.blueprints.getAll(currentCharacterId);
+      if (blueprints && blueprints.length > 0) {
+        const ownedBlueprint = blueprints.find(bp => bp.typeId === selectedBlueprintTypeId);
+        if (ownedBlueprint) {
+          meLevel = ownedBlueprint.materialEfficiency || 0;
+          teLevel = ownedBlueprint.timeEfficiency || 0;
+        }
+      }
+    } catch (error) {
+      console.warn('Could not fetch character blueprints:', error);
+    }
+  }
+
+  document.getElementById('config-me').value = meLevel;
+  document.getElementById('config-te').value = teLevel;
+
+  // Populate facilities dropdown and select default
+  const facilitySelect = document.getElementById('config-facility');
+  facilitySelect.innerHTML = '<option value="">No facility</option>';
+
+  let defaultFacilityId = null;
+  facilities.forEach(facility => {
+    const option = document.createElement('option');
+    option.value = facility.id;
+    option.textContent = facility.name;
+    facilitySelect.appendChild(option);
+
+    // Track default facility (usage === 'default')
+    if (facility.usage === 'default') {
+      defaultFacilityId = facility.id;
+    }
+  });
+
+  // Select default facility if one exists
+  if (defaultFacilityId) {
+    facilitySelect.value = defaultFacilityId;
+  }
+
+  // Initialize runs per line preview
+  updateRunsPerLinePreview();
+
+  document.getElementById('configure-blueprint-modal').style.display = 'flex';
+}
+
+// Update runs per line preview in configure modal
+function updateRunsPerLinePreview() {
+  const runs = parseInt(document.getElementById('config-runs').value) || 1;
+  const lines = parseInt(document.getElementById('config-lines').value) || 1;
+  const runsPerLine = Math.ceil(runs / lines);
+  const previewElement = document.getElementById('runs-per-line-value');
+  if (previewElement) {
     previewElement.textContent = runsPerLine;
   }
 }
@@ -3469,6 +4506,59 @@ function filterPlans() {
   renderPlansList();
 }
 
+// Suggest which character should install each job the plan has not started yet
+async function suggestInstallers() {
+  const container = document.getElementById('job-assignments');
+  container.style.display = '';
+  container.innerHTML = '<p class="stat-meta">Checking industry slots...</p>';
+
+  try {
+    const assignments = await window.electronAPI.industrySlots.suggestPlanAssignments(selectedPlanId);
+
+    if (assignments.length === 0) {
+      container.innerHTML = '<p class="stat-meta">Every job in this plan has been installed.</p>';
+      return;
+    }
+
+    const categoryLabels = { manufacturing: 'Manufacturing', science: 'Science', reactions: 'Reaction' };
+    const rows = assignments.map(a => {
+      let installer;
+      if (!a.characterId) {
+        installer = '<span class="assignment-unavailable">No character can run this job</span>';
+      } else if (a.queued) {
+        installer = `${escapeHtml(a.characterName)} <span class="stat-meta">(slot opens ${a.startsAt ? formatDateTime(a.startsAt) : 'later'})</span>`;
+      } else {
+        installer = `${escapeHtml(a.characterName)} <span class="stat-meta">(free slot)</span>`;
+      }
+      return `
+        <tr>
+          <td>${escapeHtml(a.blueprintName)}</td>
+          <td>${categoryLabels[a.category]}</td>
+          <td>${formatNumber(a.runs)}</td>
+          <td>${installer}</td>
+        </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="job-assignments-header">
+        <h4>Suggested Installers</h4>
+        <button class="secondary-button" id="close-job-assignments-btn">Hide</button>
+      </div>
+      <table>
+        <thead>
+          <tr><th>Blueprint</th><th>Slot</th><th>Runs</th><th>Install With</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+    document.getElementById('close-job-assignments-btn').addEventListener('click', () => {
+      container.style.display = 'none';
+    });
+  } catch (error) {
+    console.error('Error suggesting installers:', error);
+    container.innerHTML = '<p class="stat-meta">Could not suggest installers.</p>';
+  }
+}
+
 // Load jobs tab
 async function loadJobs() {
   const container = document.getElementById('jobs-list-tab');
@@ -3552,7 +4642,10 @@ async function loadJobs() {
                   <td>${jobStatus}</td>
                   <td>${escapeHtml(facilityName)}</td>
                   <td>${formatDateTime(match.job?.startDate)}</td>
-                  <td><span class="confidence-badge ${confidenceClass}">${confidence}%</span></td>
+                  <td>
+                    <span class="confidence-badge ${confidenceClass}">${confidence}%</span>
+                    ${formatJobMatchReasons(match.matchReason)}
+                  </td>
                   <td>
                     <button class="secondary-button small" data-action="confirm-job">Confirm</button>
                     <button class="secondary-button small" data-action="reject-job">Reject</button>
@@ -3895,6 +4988,7 @@ async function matchTransactions() {
 window.confirmJobMatch = async function(matchId) {
   try {
     await window.electronAPI.plans.confirmJobMatch(matchId);
+    if (await syncPlanLifecycle()) await loadPlanDetails();
     await loadJobs();
     await loadOverview(); // Update stats
     // Reload analytics tab if active
@@ -3938,6 +5032,7 @@ window.unlinkJobMatch = async function(matchId) {
 window.confirmTransactionMatch = async function(matchId) {
   try {
     await window.electronAPI.plans.confirmTransactionMatch(matchId);
+    if (await syncPlanLifecycle()) await loadPlanDetails();
     await loadTransactions();
     await loadOverview(); // Update stats
     // Reload analytics tab if active
@@ -4007,118 +5102,548 @@ async function submitAddCost() {
     await loadLedger();
     showToast('Cost added to ledger', 'success');
   } catch (error) {
-    showToast('Failed to add cost: ' + error.message, 'error');
+    showToast('Failed to add cost: ' + error.message, 'error');
+  }
+}
+
+// ── Acquire Item (manual quantity acquisition, capped at still-needed) ─────────
+
+// Cache of { typeId -> stillNeeded } for the currently-open acquire modal.
+let acquireStillNeededMap = {};
+
+async function showAcquireItemModal() {
+  if (!selectedPlanId) return;
+
+  try {
+    const materials = await window.electronAPI.plans.getMaterials(selectedPlanId, false);
+    const materialTypeIds = materials.map(m => m.typeId);
+    const names = materialTypeIds.length > 0
+      ? await window.electronAPI.sde.getTypeNames(materialTypeIds)
+      : {};
+
+    // Only materials that still need quantity.
+    acquireStillNeededMap = {};
+    const options = [];
+    for (const m of materials) {
+      const acquired = (m.manuallyAcquiredQuantity || 0) + (m.purchasedQuantity || 0) + (m.manufacturedQuantity || 0);
+      const stillNeeded = Math.max(0, (m.quantity || 0) - acquired);
+      if (stillNeeded > 0) {
+        acquireStillNeededMap[m.typeId] = stillNeeded;
+        options.push({ typeId: m.typeId, name: names[m.typeId] || `Type ${m.typeId}`, stillNeeded });
+      }
+    }
+
+    const select = document.getElementById('acquire-item-select');
+    if (options.length === 0) {
+      select.innerHTML = '<option value="">All materials fully acquired</option>';
+      showToast('All materials are already fully acquired for this plan', 'info');
+      return;
+    }
+    options.sort((a, b) => a.name.localeCompare(b.name));
+    select.innerHTML = options
+      .map(o => `<option value="${o.typeId}">${escapeHtml(o.name)}</option>`)
+      .join('');
+
+    document.getElementById('acquire-item-quantity').value = '';
+    document.getElementById('acquire-item-value').value = '';
+    document.getElementById('acquire-item-note').value = '';
+    document.querySelector('input[name="acquire-value-mode"][value="unit"]').checked = true;
+    document.getElementById('acquire-value-derived').textContent = '';
+    updateAcquireStillNeededHint();
+    document.getElementById('ledger-acquire-item-modal').style.display = 'flex';
+  } catch (error) {
+    showToast('Failed to open acquire dialog: ' + error.message, 'error');
+  }
+}
+
+function hideAcquireItemModal() {
+  document.getElementById('ledger-acquire-item-modal').style.display = 'none';
+}
+
+function updateAcquireStillNeededHint() {
+  const typeId = parseInt(document.getElementById('acquire-item-select').value);
+  const stillNeeded = acquireStillNeededMap[typeId] || 0;
+  const qtyInput = document.getElementById('acquire-item-quantity');
+  qtyInput.max = stillNeeded;
+  document.getElementById('acquire-item-still-needed').textContent =
+    stillNeeded > 0 ? `${formatNumber(stillNeeded)} still needed` : '';
+  updateAcquireDerivedValue();
+}
+
+// Live-preview the derived value (the "other" of unit price / total).
+function updateAcquireDerivedValue() {
+  const qty = parseFloat(document.getElementById('acquire-item-quantity').value) || 0;
+  const value = parseFloat(document.getElementById('acquire-item-value').value) || 0;
+  const mode = document.querySelector('input[name="acquire-value-mode"]:checked')?.value || 'unit';
+  const hint = document.getElementById('acquire-value-derived');
+  if (!qty || !value) { hint.textContent = ''; return; }
+  if (mode === 'unit') {
+    hint.textContent = `Total: ${formatISK(value * qty)}`;
+  } else {
+    hint.textContent = `Unit: ${formatISK(value / qty)}`;
+  }
+}
+
+async function submitAcquireItem() {
+  const typeId = parseInt(document.getElementById('acquire-item-select').value);
+  const quantity = parseInt(document.getElementById('acquire-item-quantity').value);
+  const valueRaw = document.getElementById('acquire-item-value').value;
+  const mode = document.querySelector('input[name="acquire-value-mode"]:checked')?.value || 'unit';
+  const note = document.getElementById('acquire-item-note').value.trim() || null;
+
+  if (!typeId) { showToast('Please select an item', 'warning'); return; }
+  if (!quantity || quantity <= 0) { showToast('Please enter a valid quantity', 'warning'); return; }
+
+  const opts = { quantity, note };
+  const value = valueRaw ? parseFloat(valueRaw) : null;
+  if (value != null && !isNaN(value)) {
+    if (mode === 'unit') opts.unitPrice = value;
+    else opts.totalValue = value;
+  }
+
+  try {
+    const result = await window.electronAPI.plans.addItemAcquisition(selectedPlanId, typeId, opts);
+    hideAcquireItemModal();
+    await loadLedger();
+    await loadOverview();
+    if (activeTab === 'materials') await loadMaterials();
+    if (result && result.clamped) {
+      showToast(`Acquired ${formatNumber(result.actual)} (clamped to remaining need)`, 'warning');
+    } else {
+      showToast(`Acquired ${formatNumber(result.actual)}`, 'success');
+    }
+  } catch (error) {
+    showToast('Failed to acquire item: ' + error.message, 'error');
+  }
+}
+
+// ── Paste Items (bulk acquisition from inventory / contract / multibuy text) ──
+
+// Preview items for the currently-open paste modal
+let pasteItemsPreview = [];
+
+function showPasteItemsModal() {
+  if (!selectedPlanId) return;
+  pasteItemsPreview = [];
+  document.getElementById('paste-items-text').value = '';
+  document.getElementById('paste-items-preview').innerHTML = '';
+  document.getElementById('paste-items-total-price').value = '';
+  document.getElementById('paste-items-note').value = '';
+  document.getElementById('confirm-paste-items-btn').disabled = true;
+  document.getElementById('ledger-paste-items-modal').style.display = 'flex';
+  document.getElementById('paste-items-text').focus();
+}
+
+function hidePasteItemsModal() {
+  document.getElementById('ledger-paste-items-modal').style.display = 'none';
+}
+
+async function previewPasteItems() {
+  const rawText = document.getElementById('paste-items-text').value;
+  const container = document.getElementById('paste-items-preview');
+  const confirmBtn = document.getElementById('confirm-paste-items-btn');
+
+  try {
+    const preview = await window.electronAPI.plans.previewBulkAcquisition(selectedPlanId, rawText);
+    pasteItemsPreview = preview.items;
+
+    const rows = preview.items.map((item, index) => {
+      const skipped = item.acceptedQuantity <= 0;
+      const status = !item.inPlan ? 'Not in plan'
+        : skipped ? 'Already acquired'
+        : item.acceptedQuantity < item.quantity ? `Capped to ${formatNumber(item.acceptedQuantity)}`
+        : 'OK';
+      return `
+        <tr class="${skipped ? 'paste-item-skipped' : ''}">
+          <td>${escapeHtml(item.typeName)}</td>
+          <td>${formatNumber(item.quantity)}</td>
+          <td>${formatNumber(item.stillNeeded)}</td>
+          <td>${item.estimatePrice != null ? formatISK(item.estimatePrice) : 'N/A'}</td>
+          <td>
+            <input type="number" class="input-field paste-item-unit-price" data-index="${index}"
+              min="0" step="0.01" placeholder="auto" ${skipped ? 'disabled' : ''}>
+          </td>
+          <td>${status}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const warnings = [];
+    if (preview.unresolvedNames.length > 0) {
+      warnings.push(`Unknown items: ${preview.unresolvedNames.map(escapeHtml).join(', ')}`);
+    }
+    if (preview.parseErrors.length > 0) {
+      warnings.push(`Unreadable lines: ${preview.parseErrors.map(escapeHtml).join(', ')}`);
+    }
+
+    container.innerHTML = `
+      ${rows ? `
+        <table>
+          <thead>
+            <tr><th>Item</th><th>Pasted</th><th>Still Needed</th><th>Estimate</th><th>Unit Price</th><th>Status</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      ` : '<p class="input-help">No items recognised.</p>'}
+      ${warnings.length > 0 ? `<div class="paste-items-warnings">${warnings.join('<br>')}</div>` : ''}
+    `;
+
+    confirmBtn.disabled = !preview.items.some(i => i.acceptedQuantity > 0);
+  } catch (error) {
+    pasteItemsPreview = [];
+    confirmBtn.disabled = true;
+    showToast('Failed to read pasted items: ' + error.message, 'error');
+  }
+}
+
+async function submitPasteItems() {
+  const unitPriceInputs = document.querySelectorAll('#paste-items-preview .paste-item-unit-price');
+  const items = pasteItemsPreview
+    .filter(item => item.inPlan)
+    .map(item => ({ typeId: item.typeId, quantity: item.quantity }));
+
+  unitPriceInputs.forEach(input => {
+    const previewItem = pasteItemsPreview[parseInt(input.dataset.index)];
+    const value = parseFloat(input.value);
+    const item = items.find(i => i.typeId === previewItem.typeId);
+    if (item && !isNaN(value)) item.unitPrice = value;
+  });
+
+  const totalRaw = parseFloat(document.getElementById('paste-items-total-price').value);
+  const note = document.getElementById('paste-items-note').value.trim() || null;
+
+  try {
+    const result = await window.electronAPI.plans.addBulkAcquisitions(selectedPlanId, items, {
+      totalPrice: isNaN(totalRaw) ? null : totalRaw,
+      note,
+    });
+    hidePasteItemsModal();
+    await loadLedger();
+    await loadOverview();
+    if (activeTab === 'materials') await loadMaterials();
+
+    const clamped = result.results.filter(r => r.actual > 0 && r.clamped).length;
+    if (result.unallocatedPrice > 0) {
+      showToast(`Recorded ${result.recorded} item(s); ${formatISK(result.unallocatedPrice)} of the total price was not recorded (every recorded item has its own unit price)`, 'warning');
+    } else if (result.skipped > 0 || clamped > 0) {
+      showToast(`Recorded ${result.recorded} item(s); ${result.skipped} skipped, ${clamped} capped to remaining need`, 'warning');
+    } else {
+      showToast(`Recorded ${result.recorded} item(s)`, 'success');
+    }
+  } catch (error) {
+    showToast('Failed to record acquisitions: ' + error.message, 'error');
+  }
+}
+
+// ── Ore optimizer (buy ore / compressed ore instead of minerals) ──
+
+// Plan the comparison on screen belongs to
+let oreOptimizerPlanId = null;
+
+function prepareOreOptimizer() {
+  const select = document.getElementById('ore-optimizer-character');
+  if (select.options.length === 0) {
+    populateReprocessingCharacterSelect('ore-optimizer-character');
+  }
+  if (oreOptimizerPlanId !== selectedPlanId) {
+    oreOptimizerPlanId = null;
+    document.getElementById('ore-optimizer-results').innerHTML = '';
+    document.getElementById('ore-optimizer-summary').textContent =
+      'Compare the mineral cost with buying ore or compressed ore and reprocessing it.';
+  }
+}
+
+async function runOreOptimizer() {
+  if (!selectedPlanId) return;
+  const btn = document.getElementById('run-ore-optimizer-btn');
+  const summary = document.getElementById('ore-optimizer-summary');
+  const container = document.getElementById('ore-optimizer-results');
+
+  btn.disabled = true;
+  summary.textContent = 'Searching cached sell orders...';
+  try {
+    const result = await window.electronAPI.plans.getReprocessingOptimization(
+      selectedPlanId, getReprocessingOptions('ore-optimizer'));
+    oreOptimizerPlanId = selectedPlanId;
+    renderOreOptimizer(result);
+  } catch (error) {
+    summary.textContent = '';
+    container.innerHTML = '';
+    showToast('Failed to compare ore prices: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderOreOptimizer(result) {
+  const summary = document.getElementById('ore-optimizer-summary');
+  const container = document.getElementById('ore-optimizer-results');
+
+  if (result.minerals.length === 0) {
+    summary.textContent = 'No minerals left to buy for this plan.';
+    container.innerHTML = '';
+    return;
+  }
+
+  if (result.ores.length === 0) {
+    summary.textContent = `Mineral cost ${formatISK(result.plainCost)}: no cached ore order beats buying minerals.`;
+    container.innerHTML = '';
+    return;
+  }
+
+  const savingsClass = result.savings >= 0 ? 'ore-optimizer-savings' : 'ore-optimizer-loss';
+  summary.innerHTML = `Minerals ${formatISK(result.plainCost)} vs ore mix ${formatISK(result.optimizedCost)}
+    <span class="${savingsClass}">(${result.savings >= 0 ? 'saves' : 'costs'} ${formatISK(Math.abs(result.savings))})</span>`;
+
+  const oreRows = result.ores.map(ore => `
+    <tr>
+      <td>${escapeHtml(ore.typeName)}</td>
+      <td>${formatNumber(ore.quantity)}</td>
+      <td>${formatISK(ore.averagePrice)}</td>
+      <td>${formatISK(ore.cost)}</td>
+      <td class="mined-ore-minerals">${ore.yields.map(y => `${escapeHtml(y.typeName)} ${formatNumber(y.quantity)}`).join(', ')}</td>
+    </tr>
+  `).join('');
+
+  const mineralRows = result.minerals.map(m => `
+    <tr>
+      <td>${escapeHtml(m.typeName)}</td>
+      <td>${formatNumber(m.needed)}</td>
+      <td>${formatNumber(m.fromOre)}</td>
+      <td>${formatNumber(m.direct)}</td>
+      <td>${m.overflow > 0 ? formatNumber(m.overflow) : '—'}</td>
+      <td>${formatISK(m.price)}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="mined-ore-preview-heading">Ore to buy (ore ${formatISK(result.oreCost)} + minerals ${formatISK(result.directCost)})</div>
+    <table>
+      <thead><tr><th>Ore</th><th>Quantity</th><th>Avg Price</th><th>Cost</th><th>Yields</th></tr></thead>
+      <tbody>${oreRows}</tbody>
+    </table>
+    <div class="mined-ore-preview-heading">Minerals${result.overflowValue > 0 ? ` (overflow worth ${formatISK(result.overflowValue)})` : ''}</div>
+    <table>
+      <thead><tr><th>Mineral</th><th>Needed</th><th>From Ore</th><th>Buy Directly</th><th>Overflow</th><th>Mineral Price</th></tr></thead>
+      <tbody>${mineralRows}</tbody>
+    </table>
+  `;
+}
+
+// ── Mined Ore (cover mineral needs from the mining ledger) ──
+
+async function showMinedOreModal() {
+  if (!selectedPlanId) return;
+  document.getElementById('mined-ore-preview').innerHTML = '';
+  document.getElementById('confirm-mined-ore-btn').disabled = true;
+
+  await populateReprocessingCharacterSelect('mined-ore-character');
+  document.getElementById('ledger-mined-ore-modal').style.display = 'flex';
+  await previewMinedOre();
+}
+
+function hideMinedOreModal() {
+  document.getElementById('ledger-mined-ore-modal').style.display = 'none';
+}
+
+// Reads the reprocessing character/station/rig/implant selects sharing an id prefix
+function getReprocessingOptions(prefix) {
+  const stationType = document.getElementById(`${prefix}-station`).value;
+  const rig = stationType === 'npc' ? 'none' : document.getElementById(`${prefix}-rig`).value;
+  return {
+    characterId: parseInt(document.getElementById(`${prefix}-character`).value) || null,
+    stationConfig: { stationType, rig, rig2: stationType === 'tatara' ? rig : 'none' },
+    implantBonus: parseFloat(document.getElementById(`${prefix}-implant`).value) || 0,
+  };
+}
+
+async function populateReprocessingCharacterSelect(selectId) {
+  const select = document.getElementById(selectId);
+  const characters = await window.electronAPI.esi.getCharacters();
+  select.innerHTML = characters.map(c =>
+    `<option value="${c.characterId}">${escapeHtml(c.characterName)}</option>`).join('');
+  if (currentCharacterId) select.value = currentCharacterId;
+}
+
+async function refreshMiningLedger() {
+  const btn = document.getElementById('refresh-mining-ledger-btn');
+  btn.disabled = true;
+  try {
+    const result = await window.electronAPI.mining.refresh();
+    showToast(`Mining ledger refreshed (${formatNumber(result.count)} entries)`, 'success');
+    await previewMinedOre();
+  } catch (error) {
+    showToast('Failed to refresh mining ledger: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
   }
 }
 
-// ── Acquire Item (manual quantity acquisition, capped at still-needed) ─────────
-
-// Cache of { typeId -> stillNeeded } for the currently-open acquire modal.
-let acquireStillNeededMap = {};
-
-async function showAcquireItemModal() {
-  if (!selectedPlanId) return;
+async function previewMinedOre() {
+  const container = document.getElementById('mined-ore-preview');
+  const confirmBtn = document.getElementById('confirm-mined-ore-btn');
+  const options = getReprocessingOptions('mined-ore');
 
   try {
-    const materials = await window.electronAPI.plans.getMaterials(selectedPlanId, false);
-    const materialTypeIds = materials.map(m => m.typeId);
-    const names = materialTypeIds.length > 0
-      ? await window.electronAPI.sde.getTypeNames(materialTypeIds)
-      : {};
+    const [sourcing, valuation] = await Promise.all([
+      window.electronAPI.mining.getPlanSourcing(selectedPlanId, options),
+      window.electronAPI.mining.getValuation(options),
+    ]);
+
+    const sourceRows = sourcing.sources.map(source => {
+      const minerals = source.minerals
+        .filter(m => m.covered > 0)
+        .map(m => `${escapeHtml(m.typeName)} ${formatNumber(m.covered)} @ ${formatISK(m.unitCost)}`)
+        .join(', ');
+      return `
+        <tr>
+          <td>${escapeHtml(source.oreName)}</td>
+          <td>${formatNumber(source.oreQuantity)} / ${formatNumber(source.available)}</td>
+          <td>${(source.yieldRate * 100).toFixed(1)}%</td>
+          <td>${formatISK(source.opportunityCost)}</td>
+          <td class="mined-ore-minerals">${minerals}</td>
+        </tr>
+      `;
+    }).join('');
 
-    // Only materials that still need quantity.
-    acquireStillNeededMap = {};
-    const options = [];
-    for (const m of materials) {
-      const acquired = (m.manuallyAcquiredQuantity || 0) + (m.purchasedQuantity || 0) + (m.manufacturedQuantity || 0);
-      const stillNeeded = Math.max(0, (m.quantity || 0) - acquired);
-      if (stillNeeded > 0) {
-        acquireStillNeededMap[m.typeId] = stillNeeded;
-        options.push({ typeId: m.typeId, name: names[m.typeId] || `Type ${m.typeId}`, stillNeeded });
-      }
-    }
+    const coverageRows = sourcing.coverage.map(c => `
+      <tr>
+        <td>${escapeHtml(c.typeName)}</td>
+        <td>${formatNumber(c.stillNeeded)}</td>
+        <td>${formatNumber(c.covered)}</td>
+        <td>${formatISK(c.marketPrice)}</td>
+      </tr>
+    `).join('');
 
-    const select = document.getElementById('acquire-item-select');
-    if (options.length === 0) {
-      select.innerHTML = '<option value="">All materials fully acquired</option>';
-      showToast('All materials are already fully acquired for this plan', 'info');
-      return;
-    }
-    options.sort((a, b) => a.name.localeCompare(b.name));
-    select.innerHTML = options
-      .map(o => `<option value="${o.typeId}">${escapeHtml(o.name)}</option>`)
-      .join('');
+    const oreRows = valuation.ores.map(ore => `
+      <tr>
+        <td>${escapeHtml(ore.typeName)}</td>
+        <td>${formatNumber(ore.quantity)}</td>
+        <td>${formatNumber(ore.available)}</td>
+        <td>${formatISK(ore.oreValue)}</td>
+        <td>${formatISK(ore.refinedValue)}</td>
+        <td>${ore.bestAction === 'reprocess' ? 'Reprocess' : 'Sell ore'}</td>
+      </tr>
+    `).join('');
 
-    document.getElementById('acquire-item-quantity').value = '';
-    document.getElementById('acquire-item-value').value = '';
-    document.getElementById('acquire-item-note').value = '';
-    document.querySelector('input[name="acquire-value-mode"][value="unit"]').checked = true;
-    document.getElementById('acquire-value-derived').textContent = '';
-    updateAcquireStillNeededHint();
-    document.getElementById('ledger-acquire-item-modal').style.display = 'flex';
+    container.innerHTML = `
+      ${sourceRows ? `
+        <div class="mined-ore-preview-heading">Ore to reprocess</div>
+        <table>
+          <thead><tr><th>Ore</th><th>Used / Available</th><th>Yield</th><th>Opportunity Cost</th><th>Minerals Covered</th></tr></thead>
+          <tbody>${sourceRows}</tbody>
+        </table>
+        <div class="mined-ore-preview-heading">Plan needs</div>
+        <table>
+          <thead><tr><th>Mineral</th><th>Still Needed</th><th>Covered</th><th>Plan Price</th></tr></thead>
+          <tbody>${coverageRows}</tbody>
+        </table>
+      ` : '<p class="input-help">No unallocated mined ore covers this plan\'s remaining mineral needs.</p>'}
+      ${oreRows ? `
+        <div class="mined-ore-preview-heading">Mined since ${escapeHtml(valuation.since)}</div>
+        <table>
+          <thead><tr><th>Ore</th><th>Mined</th><th>Unallocated</th><th>Ore Value</th><th>Refined Value</th><th>Best</th></tr></thead>
+          <tbody>${oreRows}</tbody>
+        </table>
+      ` : ''}
+    `;
+
+    confirmBtn.disabled = sourcing.sources.length === 0;
   } catch (error) {
-    showToast('Failed to open acquire dialog: ' + error.message, 'error');
+    confirmBtn.disabled = true;
+    showToast('Failed to load mined ore: ' + error.message, 'error');
   }
 }
 
-function hideAcquireItemModal() {
-  document.getElementById('ledger-acquire-item-modal').style.display = 'none';
+async function submitMinedOre() {
+  try {
+    const result = await window.electronAPI.mining.applyPlanSourcing(selectedPlanId, getReprocessingOptions('mined-ore'));
+    hideMinedOreModal();
+    await loadLedger();
+    await loadOverview();
+    if (activeTab === 'materials') await loadMaterials();
+
+    if (result.success) {
+      showToast(`Covered ${result.mineralsRecorded} mineral(s) from ${result.allocations} ore type(s)`, 'success');
+    } else {
+      showToast('No mined ore could cover the remaining needs', 'warning');
+    }
+  } catch (error) {
+    showToast('Failed to use mined ore: ' + error.message, 'error');
+  }
 }
 
-function updateAcquireStillNeededHint() {
-  const typeId = parseInt(document.getElementById('acquire-item-select').value);
-  const stillNeeded = acquireStillNeededMap[typeId] || 0;
-  const qtyInput = document.getElementById('acquire-item-quantity');
-  qtyInput.max = stillNeeded;
-  document.getElementById('acquire-item-still-needed').textContent =
-    stillNeeded > 0 ? `${formatNumber(stillNeeded)} still needed` : '';
-  updateAcquireDerivedValue();
+async function showStockpileModal() {
+  if (!selectedPlanId) return;
+  document.getElementById('stockpile-preview').innerHTML = '';
+  document.getElementById('confirm-stockpile-btn').disabled = true;
+  document.getElementById('ledger-stockpile-modal').style.display = 'flex';
+  await previewStockpile();
 }
 
-// Live-preview the derived value (the "other" of unit price / total).
-function updateAcquireDerivedValue() {
-  const qty = parseFloat(document.getElementById('acquire-item-quantity').value) || 0;
-  const value = parseFloat(document.getElementById('acquire-item-value').value) || 0;
-  const mode = document.querySelector('input[name="acquire-value-mode"]:checked')?.value || 'unit';
-  const hint = document.getElementById('acquire-value-derived');
-  if (!qty || !value) { hint.textContent = ''; return; }
-  if (mode === 'unit') {
-    hint.textContent = `Total: ${formatISK(value * qty)}`;
-  } else {
-    hint.textContent = `Unit: ${formatISK(value / qty)}`;
-  }
+function hideStockpileModal() {
+  document.getElementById('ledger-stockpile-modal').style.display = 'none';
 }
 
-async function submitAcquireItem() {
-  const typeId = parseInt(document.getElementById('acquire-item-select').value);
-  const quantity = parseInt(document.getElementById('acquire-item-quantity').value);
-  const valueRaw = document.getElementById('acquire-item-value').value;
-  const mode = document.querySelector('input[name="acquire-value-mode"]:checked')?.value || 'unit';
-  const note = document.getElementById('acquire-item-note').value.trim() || null;
+async function previewStockpile() {
+  const container = document.getElementById('stockpile-preview');
+  const confirmBtn = document.getElementById('confirm-stockpile-btn');
 
-  if (!typeId) { showToast('Please select an item', 'warning'); return; }
-  if (!quantity || quantity <= 0) { showToast('Please enter a valid quantity', 'warning'); return; }
+  try {
+    const sourcing = await window.electronAPI.plans.getStockpileSourcing(selectedPlanId);
 
-  const opts = { quantity, note };
-  const value = valueRaw ? parseFloat(valueRaw) : null;
-  if (value != null && !isNaN(value)) {
-    if (mode === 'unit') opts.unitPrice = value;
-    else opts.totalValue = value;
+    const allocationRows = sourcing.allocations.map(a => `
+      <tr>
+        <td>${escapeHtml(a.typeName)}</td>
+        <td>${escapeHtml(a.sourcePlanName || 'Unknown plan')}</td>
+        <td>${formatNumber(a.quantity)}</td>
+        <td>${formatISK(a.unitPrice)}</td>
+      </tr>
+    `).join('');
+
+    const coverageRows = sourcing.coverage.map(c => `
+      <tr>
+        <td>${escapeHtml(c.typeName)}</td>
+        <td>${formatNumber(c.stillNeeded)}</td>
+        <td>${formatNumber(c.covered)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = allocationRows ? `
+      <div class="mined-ore-preview-heading">Leftovers to allocate</div>
+      <table>
+        <thead><tr><th>Item</th><th>From Plan</th><th>Quantity</th><th>Unit Cost</th></tr></thead>
+        <tbody>${allocationRows}</tbody>
+      </table>
+      <div class="mined-ore-preview-heading">Plan needs</div>
+      <table>
+        <thead><tr><th>Item</th><th>Still Needed</th><th>Covered</th></tr></thead>
+        <tbody>${coverageRows}</tbody>
+      </table>
+    ` : '<p class="input-help">Nothing in the stockpile covers this plan\'s remaining needs.</p>';
+
+    confirmBtn.disabled = sourcing.allocations.length === 0;
+  } catch (error) {
+    confirmBtn.disabled = true;
+    showToast('Failed to load stockpile: ' + error.message, 'error');
   }
+}
 
+async function submitStockpileAllocation() {
   try {
-    const result = await window.electronAPI.plans.addItemAcquisition(selectedPlanId, typeId, opts);
-    hideAcquireItemModal();
+    const result = await window.electronAPI.plans.allocateFromStockpile(selectedPlanId);
+    hideStockpileModal();
     await loadLedger();
     await loadOverview();
     if (activeTab === 'materials') await loadMaterials();
-    if (result && result.clamped) {
-      showToast(`Acquired ${formatNumber(result.actual)} (clamped to remaining need)`, 'warning');
+
+    if (result.success) {
+      showToast(`Covered ${result.typesCovered} item type(s) from the stockpile`, 'success');
     } else {
-      showToast(`Acquired ${formatNumber(result.actual)}`, 'success');
+      showToast('Nothing in the stockpile covers the remaining needs', 'warning');
     }
   } catch (error) {
-    showToast('Failed to acquire item: ' + error.message, 'error');
+    showToast('Failed to allocate from stockpile: ' + error.message, 'error');
   }
 }
 
@@ -4168,7 +5693,7 @@ function renderLedger(ledger) {
       ${productSales.items.length > 0 ? ledgerStatCard('Product Sales', productSales.total, 'revenue') : ''}
       ${ledgerStatCard('Job Installation', totals.jobInstallation, categories.jobInstallation.estimated ? 'estimated' : null)}
       ${ledgerStatCard('Market Fees', totals.marketFees)}
-      ${ledgerStatCard('Other', totals.other)}
+      ${ledgerStatCard('Other', totals.other, categories.other.estimated ? 'estimated' : null)}
       ${ledgerStatCard('Total Spend', totals.totalSpend, null, true)}
     </div>
     ${reconciliation.plannedCost != null ? `
@@ -4205,6 +5730,8 @@ function wireLedgerActions(container) {
         editLedgerEntry(btn.dataset.ledgerId, parseFloat(btn.dataset.amount), qty);
       } else if (action === 'unlink') {
         unlinkLedgerRow(btn.dataset.ledgerId, btn.dataset.sourceType);
+      } else if (action === 'record-estimate') {
+        recordEstimatedLedgerCost(btn.dataset.category, parseFloat(btn.dataset.amount), btn.dataset.note);
       }
     });
   });
@@ -4243,6 +5770,10 @@ function renderLedgerSection(title, items, kind) {
       sourceCell = `<button class="link-button" data-ledger-action="journal-detail" data-source-id="${item.sourceId}" data-is-corp="${corpAttr}">Fee #${item.sourceId}</button>`;
     } else if (item.sourceType === 'industry_job') {
       sourceCell = `Job #${item.sourceId}`;
+    } else if (item.sourceType === 'mining') {
+      sourceCell = 'Mined ore';
+    } else if (item.sourceType === 'stockpile') {
+      sourceCell = 'Stockpile';
     } else if (item.sourceType === 'manual' || item.editable) {
       sourceCell = 'Manual';
     }
@@ -4259,6 +5790,9 @@ function renderLedgerSection(title, items, kind) {
       actions.push(`<button class="link-button danger" data-ledger-action="unlink" data-ledger-id="${item.ledgerId}" data-source-type="manual">Delete</button>`);
     } else if (item.ledgerId && item.sourceType) {
       actions.push(`<button class="link-button danger" data-ledger-action="unlink" data-ledger-id="${item.ledgerId}" data-source-type="${item.sourceType}">Unlink</button>`);
+    } else if (item.estimated && item.category === 'shipping') {
+      // Suggested freight line: record it as an actual shipping cost
+      actions.push(`<button class="link-button" data-ledger-action="record-estimate" data-category="shipping" data-amount="${item.amount}" data-note="${escapeHtml(item.note || '')}">Record</button>`);
     }
 
     return `
@@ -4288,6 +5822,16 @@ function renderLedgerSection(title, items, kind) {
 
 // ── Ledger detail modals + CRUD (window-scoped; invoked via delegated wiring) ──
 
+async function recordEstimatedLedgerCost(category, amount, note) {
+  try {
+    await window.electronAPI.plans.addLedgerCost(selectedPlanId, { category, amount: Math.round(amount), note });
+    await loadLedger();
+    showToast('Estimated cost recorded in the ledger', 'success');
+  } catch (error) {
+    showToast('Failed to record cost: ' + error.message, 'error');
+  }
+}
+
 window.openTransactionDetail = async function(transactionId, isCorp) {
   try {
     const tx = await window.electronAPI.plans.getTransactionDetail(transactionId, isCorp);
@@ -4409,6 +5953,8 @@ window.unlinkLedgerRow = async function(ledgerId, sourceType) {
   if (isEsi) {
     const label = sourceType === 'wallet_transaction' ? 'transaction match'
       : sourceType === 'industry_job' ? 'job match'
+      : sourceType === 'mining' ? 'mined ore (all minerals it yielded)'
+      : sourceType === 'stockpile' ? 'stockpile leftovers (they return to the stockpile)'
       : 'fee entry';
     const confirmed = await showConfirmDialog(
       `This will unlink the matched ${label} from this plan and remove its ledger entries. Continue?`,
@@ -4428,6 +5974,216 @@ window.unlinkLedgerRow = async function(ledgerId, sourceType) {
   }
 };
 
+// ── Production schedule ──
+
+async function loadSchedule() {
+  if (!selectedPlanId) return;
+
+  const container = document.getElementById('schedule-content');
+  const completion = document.getElementById('schedule-completion');
+
+  try {
+    const schedule = await window.electronAPI.plans.getSchedule(selectedPlanId);
+    completion.textContent = schedule.projectedCompletion
+      ? `Projected completion: ${formatDateTime(schedule.projectedCompletion)}`
+      : '';
+    renderSchedule(schedule);
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    completion.textContent = '';
+    container.innerHTML = renderEmptyState(
+      'Could not build schedule',
+      error.message || 'An error occurred while scheduling the plan jobs.'
+    );
+  }
+}
+
+function renderSchedule(schedule) {
+  const container = document.getElementById('schedule-content');
+
+  if (schedule.jobs.length === 0) {
+    container.innerHTML = renderEmptyState(
+      'Nothing to schedule',
+      'Add blueprints to this plan, or every job is already built.'
+    );
+    return;
+  }
+
+  const jobs = [...schedule.jobs].sort((a, b) => a.start - b.start || a.end - b.end);
+  const rangeStart = Math.min(schedule.now, ...jobs.map(job => job.start));
+  const rangeEnd = Math.max(rangeStart + 60 * 60 * 1000, ...jobs.map(job => job.end));
+  const span = rangeEnd - rangeStart;
+  const percent = time => ((time - rangeStart) / span) * 100;
+
+  // One tick per day, or per week on long schedules
+  const dayMs = 24 * 60 * 60 * 1000;
+  const tickStep = span > 21 * dayMs ? 7 * dayMs : dayMs;
+  const ticks = [];
+  for (let tick = Math.ceil(rangeStart / dayMs) * dayMs; tick <= rangeEnd; tick += tickStep) {
+    ticks.push(`<span class="gantt-tick" style="left: ${percent(tick)}%">${new Date(tick).toLocaleDateString()}</span>`);
+  }
+
+  const nowMarker = `<div class="gantt-now" style="left: ${percent(schedule.now)}%"></div>`;
+  const rows = jobs.map(job => {
+    const classes = ['gantt-bar', `gantt-bar-${job.category}`];
+    if (job.critical) classes.push('gantt-bar-critical');
+    if (job.confirmed) classes.push('gantt-bar-confirmed');
+    if (job.unassigned) classes.push('gantt-bar-unassigned');
+
+    const title = [
+      `${job.blueprintName} × ${formatNumber(job.runs)} runs`,
+      `${formatDateTime(job.start)} → ${formatDateTime(job.end)} (${formatTime((job.end - job.start) / 1000)})`,
+      job.confirmed ? `Confirmed job ${job.jobId} (${job.jobStatus})` : 'Planned',
+      job.characterName ? `Character: ${job.characterName}` : 'No character slot',
+      job.critical ? 'On the critical path' : '',
+      job.overLimit ? 'A single run exceeds 30 days' : '',
+    ].filter(Boolean).join('\n');
+
+    return `
+      <div class="gantt-row">
+        <div class="gantt-label">
+          <span class="gantt-name">${escapeHtml(job.blueprintName)}</span>
+          <span class="gantt-meta">${formatNumber(job.runs)} runs · ${escapeHtml(job.characterName || 'Unassigned')}</span>
+        </div>
+        <div class="gantt-track">
+          ${nowMarker}
+          <div class="${classes.join(' ')}" style="left: ${percent(job.start)}%; width: ${Math.max(0.5, percent(job.end) - percent(job.start))}%" title="${escapeHtml(title)}"></div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const warnings = schedule.warnings.map(warning => `<div class="gantt-warning">${escapeHtml(warning)}</div>`).join('');
+
+  container.innerHTML = `
+    ${warnings}
+    <div class="gantt-legend">
+      <span><span class="gantt-swatch gantt-bar-manufacturing"></span>Manufacturing</span>
+      <span><span class="gantt-swatch gantt-bar-reactions"></span>Reaction</span>
+      <span><span class="gantt-swatch gantt-bar-critical"></span>Critical path</span>
+      <span><span class="gantt-swatch gantt-bar-confirmed"></span>Confirmed job</span>
+    </div>
+    <div class="gantt">
+      <div class="gantt-row gantt-axis">
+        <div class="gantt-label"></div>
+        <div class="gantt-track">${ticks.join('')}</div>
+      </div>
+      ${rows}
+    </div>
+  `;
+}
+
+// ── Close-out report ──
+
+async function loadCloseOut() {
+  if (!selectedPlanId) return;
+
+  const container = document.getElementById('closeout-content');
+  const state = document.getElementById('closeout-state');
+
+  try {
+    const report = await window.electronAPI.plans.getCloseOutReport(selectedPlanId);
+    state.textContent = report.preview
+      ? 'Preview: the report is saved when the plan closes'
+      : `Closed ${new Date(report.closedAt).toLocaleString()}`;
+    renderCloseOut(report);
+  } catch (error) {
+    console.error('Error loading close-out report:', error);
+    state.textContent = '';
+    container.innerHTML = renderEmptyState(
+      'Could not load close-out report',
+      error.message || 'An error occurred while building the report.'
+    );
+  }
+}
+
+function renderCloseOut(report) {
+  const container = document.getElementById('closeout-content');
+  const { totals } = report;
+
+  const profitClass = value => (value < 0 ? 'delta-negative' : 'delta-positive');
+  const summary = `
+    <div class="ledger-summary">
+      ${ledgerStatCard('Planned Cost', totals.planned.cost)}
+      ${ledgerStatCard('Actual Cost', totals.actual.cost)}
+      ${ledgerStatCard('Planned Revenue', totals.planned.revenue)}
+      ${ledgerStatCard('Actual Revenue', totals.actual.revenue, 'revenue')}
+      ${ledgerStatCard('Stockpiled Leftovers', totals.stockpileValue)}
+      ${ledgerStatCard('Profit incl. Leftovers', totals.profitWithStockpile, null, true)}
+    </div>
+    <div class="ledger-reconciliation">
+      <span>Planned profit: <strong>${formatISK(totals.planned.profit)}</strong></span>
+      <span class="${profitClass(totals.actual.profit)}">Actual profit: <strong>${formatISK(totals.actual.profit)}</strong></span>
+    </div>
+  `;
+
+  const materialRows = report.materials.map(m => `
+    <tr>
+      <td>${escapeHtml(m.typeName)}</td>
+      <td>${formatNumber(m.plannedQuantity)} / ${formatNumber(m.actualQuantity)}</td>
+      <td>${m.plannedPrice != null ? formatISK(m.plannedPrice) : '—'} / ${m.actualPrice != null ? formatISK(m.actualPrice) : '—'}</td>
+      <td class="${m.variance > 0 ? 'closeout-over' : (m.variance < 0 ? 'closeout-under' : '')}">${m.variance > 0 ? '+' : ''}${formatISK(m.variance)}</td>
+      <td>${renderCloseOutReasons(m.reasons)}</td>
+    </tr>
+  `).join('');
+
+  const jobRows = report.jobs.map(j => `
+    <tr>
+      <td>${escapeHtml(j.blueprintName)}${j.isIntermediate ? ' <span class="ledger-tag">intermediate</span>' : ''}</td>
+      <td>${formatNumber(j.plannedRuns)} / ${formatNumber(j.actualRuns)}</td>
+      <td>${formatNumber(j.plannedLines)} / ${formatNumber(j.jobCount)}</td>
+      <td>${formatNumber(j.finishedRuns)}</td>
+      <td>${formatISK(j.installCost)}</td>
+      <td>${renderCloseOutReasons(j.reasons)}</td>
+    </tr>
+  `).join('');
+
+  const productRows = report.products.map(p => `
+    <tr>
+      <td>${escapeHtml(p.typeName)}</td>
+      <td>${formatNumber(p.plannedQuantity)} / ${formatNumber(p.soldQuantity)}</td>
+      <td>${p.plannedPrice != null ? formatISK(p.plannedPrice) : '—'} / ${p.actualPrice != null ? formatISK(p.actualPrice) : '—'}</td>
+      <td class="${p.variance < 0 ? 'closeout-over' : (p.variance > 0 ? 'closeout-under' : '')}">${p.variance > 0 ? '+' : ''}${formatISK(p.variance)}</td>
+      <td>${renderCloseOutReasons(p.reasons)}</td>
+    </tr>
+  `).join('');
+
+  const stockpileRows = report.stockpile.map(s => `
+    <tr>
+      <td>${escapeHtml(s.typeName)}</td>
+      <td>${s.kind}</td>
+      <td>${formatNumber(s.quantity)}</td>
+      <td>${s.unitPrice != null ? formatISK(s.unitPrice) : '—'}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = summary +
+    closeOutSection('Materials', ['Item', 'Planned / Acquired', 'Planned / Actual Price', 'Variance', 'Why'], materialRows) +
+    closeOutSection('Jobs', ['Blueprint', 'Planned / Actual Runs', 'Planned / Actual Jobs', 'Finished', 'Install Cost', 'Why'], jobRows) +
+    closeOutSection('Products', ['Item', 'Planned / Sold', 'Planned / Actual Price', 'Variance', 'Why'], productRows) +
+    closeOutSection('Leftovers Carried to Stockpile', ['Item', 'Kind', 'Quantity', 'Unit Cost'], stockpileRows);
+}
+
+function closeOutSection(title, headers, rows) {
+  if (!rows) return '';
+  return `
+    <div class="ledger-section">
+      <h4>${escapeHtml(title)}</h4>
+      <div class="ledger-table-container">
+        <table class="ledger-table">
+          <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>`;
+}
+
+function renderCloseOutReasons(reasons) {
+  if (!reasons || reasons.length === 0) return '<span class="closeout-on-plan">On plan</span>';
+  return `<div class="match-reasons">${reasons.map(r =>
+    `<span class="match-reason partial" title="${escapeHtml(r.code)}">${escapeHtml(r.message)}</span>`).join('')}</div>`;
+}
+
 // Load analytics tab
 async function loadAnalytics() {
   try {
@@ -4439,6 +6195,12 @@ async function loadAnalytics() {
     updateProgressBar('products', analytics.progress.products.sold, analytics.progress.products.total, analytics.progress.products.percent);
     updateProgressBar('overall', 0, 0, analytics.progress.overall);
 
+    // Products listed on the market but not sold yet
+    const listings = analytics.marketListings;
+    document.getElementById('products-listed-text').textContent = listings && listings.quantity > 0
+      ? `${listings.quantity.toLocaleString()} listed in ${listings.orderCount} ${listings.orderCount === 1 ? 'order' : 'orders'} · ${formatISK(listings.expectedRevenue)}`
+      : '';
+
     // Update material costs comparison
     document.getElementById('planned-material-cost').textContent = formatISK(analytics.materialCosts.planned);
     document.getElementById('actual-material-cost').textContent = formatISK(analytics.materialCosts.actual);
@@ -4459,6 +6221,9 @@ async function loadAnalytics() {
     const profitDeltaEl = document.getElementById('profit-delta');
     profitDeltaEl.textContent = `${formatISK(analytics.profit.delta)} (${analytics.profit.deltaPercent.toFixed(1)}%)`;
     profitDeltaEl.style.color = analytics.profit.delta > 0 ? '#57f287' : '#ed4245';
+    const hasListings = listings && listings.quantity > 0;
+    document.getElementById('projected-profit-row').style.display = hasListings ? '' : 'none';
+    document.getElementById('projected-profit').textContent = formatISK(analytics.profit.projected);
 
     // Update ROI comparison
     document.getElementById('planned-roi').textContent = `${analytics.summary.plannedROI.toFixed(1)}%`;
@@ -4471,6 +6236,91 @@ async function loadAnalytics() {
   } catch (error) {
     console.error('Failed to load analytics:', error);
   }
+
+  await loadValueHistory();
+}
+
+let valueHistoryChart = null;
+
+/**
+ * Chart the plan's projected cost, revenue and margin from the daily price snapshots
+ */
+async function loadValueHistory() {
+  const container = document.getElementById('value-history-chart-container');
+  const empty = document.getElementById('value-history-empty');
+
+  if (valueHistoryChart) {
+    valueHistoryChart.destroy();
+    valueHistoryChart = null;
+  }
+
+  try {
+    const history = await window.electronAPI.plans.getValueHistory(selectedPlanId, activeMarketSet?.id);
+
+    if (history.points.length === 0) {
+      container.style.display = 'none';
+      empty.innerHTML = renderEmptyState(
+        'No price snapshots yet',
+        `Prices for ${escapeHtml(history.marketSetName)} are snapshotted once a day while the app runs; the chart fills in from the plan's creation onwards.`,
+        '<path d="M3 3v18h18"></path><path d="M7 15l4-4 3 3 5-6"></path>'
+      );
+      return;
+    }
+
+    container.style.display = '';
+    empty.innerHTML = '';
+
+    const points = history.points;
+    const dataset = (label, key, color, extra = {}) => ({
+      label,
+      data: points.map(p => p[key]),
+      borderColor: color,
+      backgroundColor: 'transparent',
+      tension: 0.2,
+      ...extra,
+    });
+
+    valueHistoryChart = new Chart(document.getElementById('value-history-chart').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: points.map(p => p.date),
+        datasets: [
+          dataset('Projected Cost', 'cost', '#ed4245'),
+          dataset('Projected Revenue', 'revenue', '#5865f2'),
+          dataset('Margin', 'margin', '#57f287', { backgroundColor: 'rgba(87, 242, 135, 0.1)', fill: true }),
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { labels: { color: '#dcddde' } },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${formatISK(context.parsed.y)}`,
+              footer: (items) => {
+                const point = points[items[0].dataIndex];
+                const lines = [`Margin: ${point.marginPercent.toFixed(1)}%`];
+                if (point.pricedTypes < point.totalTypes) {
+                  lines.push(`${point.totalTypes - point.pricedTypes} of ${point.totalTypes} items unpriced`);
+                }
+                return lines;
+              },
+            },
+          },
+        },
+        scales: {
+          x: { ticks: { color: '#b9bbbe', maxTicksLimit: 10 }, grid: { color: 'rgba(255, 255, 255, 0.05)' } },
+          y: { ticks: { color: '#b9bbbe', callback: (value) => formatISK(value) }, grid: { color: 'rgba(255, 255, 255, 0.05)' } },
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Failed to load plan value history:', error);
+    container.style.display = 'none';
+    empty.innerHTML = '';
+  }
 }
 
 /**
@@ -4502,6 +6352,16 @@ async function loadSettings() {
       reactionsCheckbox.addEventListener('change', handlePlanReactionsToggle);
     }
 
+    // Load job notification toggle
+    const notificationsCheckbox = document.getElementById('plan-job-notifications');
+    if (notificationsCheckbox) {
+      const preferences = await window.electronAPI.notifications.getPreferences();
+      notificationsCheckbox.checked = !preferences.mutedPlanIds.includes(selectedPlanId);
+
+      notificationsCheckbox.removeEventListener('change', handlePlanNotificationsToggle);
+      notificationsCheckbox.addEventListener('change', handlePlanNotificationsToggle);
+    }
+
     // Load plan-specific price overrides
     await loadPlanPriceOverrides();
 
@@ -4917,6 +6777,25 @@ async function handlePlanDefaultCharacterToggle(event) {
   }
 }
 
+/**
+ * Handle job notifications toggle change
+ */
+async function handlePlanNotificationsToggle(event) {
+  const isChecked = event.target.checked;
+
+  try {
+    const success = await window.electronAPI.notifications.setPlanEnabled(selectedPlanId, isChecked);
+    if (!success) {
+      event.target.checked = !isChecked;
+      showToast('Failed to update notification setting', 'error');
+    }
+  } catch (error) {
+    console.error('Error updating plan notifications:', error);
+    event.target.checked = !isChecked;
+    showToast('Failed to update notification setting', 'error');
+  }
+}
+
 /**
  * Handle reactions toggle change
  */
@@ -4988,6 +6867,12 @@ async function refreshESIData() {
       } else {
         showToast(message, 'success');
       }
+      if (result.lifecycle && result.lifecycle.changed) {
+        showToast(`Plan moved from ${result.lifecycle.previousStatus} to ${result.lifecycle.status}`, 'info');
+        await loadPlans();
+        await loadPlanDetails();
+        return;
+      }
       // Reload current tab to show updated data
       await loadTabContent(activeTab);
     } else {
@@ -5144,6 +7029,50 @@ function formatDateTime(ms) {
   return new Date(ms).toLocaleString();
 }
 
+const JOB_MATCH_CRITERIA = {
+  runs: 'Runs',
+  facility: 'Facility',
+  timing: 'Timing',
+  character: 'Character',
+};
+
+/**
+ * Render why a job was matched: one chip per criterion (matched, partial,
+ * missed or unknown), with the details and learned weight in the tooltip
+ * @param {string} matchReason - JSON reasons from job matching
+ * @returns {string} HTML
+ */
+function formatJobMatchReasons(matchReason) {
+  let reasons = [];
+  try {
+    reasons = JSON.parse(matchReason || '[]');
+  } catch (e) {
+    return '';
+  }
+
+  const chips = reasons.filter(r => JOB_MATCH_CRITERIA[r.criterion]).map(r => {
+    const state = r.match === true ? 'match' : r.match === false ? 'miss' : r.match === 'partial' ? 'partial' : 'unknown';
+    const details = [];
+    if (r.criterion === 'runs') {
+      details.push(`job ${r.actual} runs, ${r.expected} per line, ${r.remaining} still unmatched`);
+    } else if (r.criterion === 'facility') {
+      if (r.note) details.push(r.note);
+      if (r.expected || r.actual) details.push(`plan: ${r.expected || '?'}, job: ${r.actual || '?'}`);
+    } else if (r.criterion === 'timing' && r.daysDiff != null) {
+      details.push(r.predatesPlan ? 'started before the plan existed' : `${r.daysDiff} days from the plan's last update`);
+    }
+    if (r.weight != null) details.push(`weight ${r.weight.toFixed(2)}`);
+    return `<span class="match-reason ${state}" title="${escapeHtml(details.join(' · '))}">${JOB_MATCH_CRITERIA[r.criterion]}</span>`;
+  });
+
+  const competing = reasons.find(r => r.criterion === 'competing_plans');
+  if (competing) {
+    chips.push(`<span class="match-reason unknown" title="Scored higher here than in ${competing.count} other plan(s)">Contested</span>`);
+  }
+
+  return chips.length > 0 ? `<div class="match-reasons">${chips.join('')}</div>` : '';
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
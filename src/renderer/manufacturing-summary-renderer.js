@@ -51,7 +51,8 @@ let marketFilters = {
 let speculativeInventionSettings = {
   enabled: false,
   decryptorStrategy: 'total-per-item',
-  customVolume: 1
+  customVolume: 1,
+  relicQuality: 'best'
 };
 
 // Filter configuration
@@ -89,7 +90,8 @@ async function loadSpeculativeInventionSettings() {
       speculativeInventionSettings = {
         enabled: settings.enabled || false,
         decryptorStrategy: settings.decryptorStrategy || 'total-per-item',
-        customVolume: settings.customVolume || 1
+        customVolume: settings.customVolume || 1,
+        relicQuality: settings.relicQuality || 'best'
       };
     }
   } catch (error) {
@@ -114,6 +116,7 @@ function syncSpeculativeInventionUI() {
   const strategySelect = document.getElementById('decryptor-strategy');
   const customVolumeRow = document.getElementById('custom-volume-row');
   const customVolumeInput = document.getElementById('custom-volume');
+  const relicQualitySelect = document.getElementById('relic-quality');
 
   if (enabledCheckbox) {
     enabledCheckbox.checked = speculativeInventionSettings.enabled;
@@ -134,6 +137,10 @@ function syncSpeculativeInventionUI() {
   if (customVolumeInput) {
     customVolumeInput.value = speculativeInventionSettings.customVolume;
   }
+
+  if (relicQualitySelect) {
+    relicQualitySelect.value = speculativeInventionSettings.relicQuality;
+  }
 }
 
 // Column configuration
@@ -180,6 +187,7 @@ const ALL_COLUMNS = [
   // Speculative Invention Columns
   { id: 'invention-status', label: 'Invention Status', default: false, sortable: true, align: 'center' },
   { id: 'optimal-decryptor', label: 'Optimal Decryptor', default: false, sortable: true, align: 'left' },
+  { id: 'optimal-relic', label: 'Optimal Relic', default: false, sortable: true, align: 'left' },
   { id: 'invention-probability', label: 'Invention Probability', default: false, sortable: true, align: 'right' },
   { id: 'invention-cost-attempt', label: 'Invention Cost/Attempt', default: false, sortable: true, align: 'right' },
   { id: 'total-cost-with-invention', label: 'Total Cost w/ Invention', default: false, sortable: true, align: 'right' },
@@ -516,6 +524,12 @@ function setupEventListeners() {
     }
   });
 
+  // Relic quality for T3 reverse engineering
+  document.getElementById('relic-quality')?.addEventListener('change', async (e) => {
+    speculativeInventionSettings.relicQuality = e.target.value;
+    await saveSpeculativeInventionSettings();
+  });
+
   // Add to Plan button
   document.getElementById('add-selected-to-plan-btn')?.addEventListener('click', handleBulkAddToPlan);
 }
@@ -676,9 +690,12 @@ async function calculateSummary() {
         // Update loading message
         showLoading(`Calculating... ${processedCount}/${totalBlueprints}`);
 
+        // Time the whole batch in one request instead of one per blueprint
+        const productionTimes = await fetchProductionTimes(batch, ownedBlueprintsList, defaultCharacter?.characterId || null, facility);
+
         // Calculate batch in parallel using Promise.allSettled
         const batchPromises = batch.map(blueprint =>
-          calculateBlueprintData(blueprint, facility, svrPeriod, defaultCharacter, ownedBlueprintsList)
+          calculateBlueprintData(blueprint, facility, svrPeriod, defaultCharacter, ownedBlueprintsList, productionTimes)
             .catch(error => {
               console.error(`Error calculating blueprint ${blueprint.typeName}:`, error);
               return null; // Return null on error
@@ -962,8 +979,31 @@ async function getBlueprintsByFilter() {
       }
     }
 
+    // T3 blueprints come from relics rather than owned blueprints, so consider every one in the SDE
+    for (const t3Blueprint of allBPs.filter(bp => bp.productMetaGroupID === 14)) {
+      if (blueprints.some(bp => bp.typeID === t3Blueprint.typeID)) {
+        continue;
+      }
+
+      try {
+        const reverseEngineeringData = await window.electronAPI.calculator.getReverseEngineeringData(t3Blueprint.typeID);
+
+        if (reverseEngineeringData) {
+          speculativeBlueprints.push({
+            ...t3Blueprint,
+            isSpeculativeInvention: true,
+            isReverseEngineering: true,
+            reverseEngineeringData
+          });
+          console.log(`[SPECULATIVE] Added T3 blueprint ${t3Blueprint.typeName} from ${reverseEngineeringData.relics.length} relic(s)`);
+        }
+      } catch (error) {
+        console.error(`Error fetching reverse engineering data for ${t3Blueprint.typeName}:`, error);
+      }
+    }
+
     if (speculativeBlueprints.length > 0) {
-      console.log(`[SPECULATIVE] Added ${speculativeBlueprints.length} speculative T2 blueprints`);
+      console.log(`[SPECULATIVE] Added ${speculativeBlueprints.length} speculative T2/T3 blueprints`);
       blueprints = [...blueprints, ...speculativeBlueprints];
     }
   }
@@ -1086,19 +1126,50 @@ async function getReactionsByFilter() {
   }
 }
 
-// Calculate data for a speculative invention blueprint (T2 that isn't owned)
+// Fetch input prices for reverse engineering: datacores of every relic quality, the relics and decryptors
+async function fetchReverseEngineeringPrices(reverseEngineeringData, regionId, locationId) {
+  const typeIds = new Set();
+  for (const relic of reverseEngineeringData.relics) {
+    typeIds.add(relic.relicTypeID);
+    relic.materials.forEach(mat => typeIds.add(mat.typeID));
+  }
+
+  const decryptors = await window.electronAPI.calculator.getAllDecryptors();
+  decryptors.forEach(dec => typeIds.add(dec.typeID));
+
+  const prices = {};
+  for (const typeId of typeIds) {
+    const priceData = await window.electronAPI.market.calculatePrice(
+      typeId,
+      regionId,
+      locationId,
+      activeMarketSet?.inputMaterials?.priceType || 'sell',
+      1,
+      activeMarketSet?.id,
+      'input'
+    );
+    prices[typeId] = priceData.price;
+  }
+
+  return prices;
+}
+
+// Calculate data for a speculative invention blueprint (T2 that isn't owned, or T3 from relics)
 async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod, defaultCharacter, ownedBlueprintsList) {
   try {
-    console.log(`[SPECULATIVE] Calculating invention data for T2 blueprint: ${blueprint.typeName}`);
+    const isReverseEngineering = !!blueprint.isReverseEngineering;
+    console.log(`[SPECULATIVE] Calculating ${isReverseEngineering ? 'reverse engineering' : 'invention'} data for blueprint: ${blueprint.typeName}`);
 
     const characterId = defaultCharacter ? defaultCharacter.characterId : null;
     const parentT1BlueprintTypeID = blueprint.parentT1BlueprintTypeID;
 
-    // Get invention info for the parent T1 blueprint
-    const inventionInfo = await window.electronAPI.calculator.getInventionData(parentT1BlueprintTypeID);
+    // Get invention info for the parent T1 blueprint, or the first relic for T3 (all relic qualities share skills)
+    const inventionInfo = isReverseEngineering
+      ? blueprint.reverseEngineeringData?.relics?.[0]
+      : await window.electronAPI.calculator.getInventionData(parentT1BlueprintTypeID);
 
     if (!inventionInfo || !inventionInfo.t2BlueprintTypeID) {
-      console.error(`[SPECULATIVE] No invention data for T1 blueprint ${parentT1BlueprintTypeID}`);
+      console.error(`[SPECULATIVE] No invention data for ${isReverseEngineering ? `T3 blueprint ${blueprint.typeID}` : `T1 blueprint ${parentT1BlueprintTypeID}`}`);
       return null;
     }
 
@@ -1107,8 +1178,15 @@ async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod,
     const locationId = activeMarketSet?.inputMaterials?.locationId || null;
 
     // Fetch real market prices for invention materials (datacores, etc.)
-    const inventionMaterialPrices = {};
-    if (inventionInfo.materials) {
+    let inventionMaterialPrices = {};
+    if (isReverseEngineering) {
+      try {
+        inventionMaterialPrices = await fetchReverseEngineeringPrices(blueprint.reverseEngineeringData, regionId, locationId);
+      } catch (error) {
+        console.error(`[SPECULATIVE ERROR] Error fetching reverse engineering prices for ${blueprint.typeName}:`, error);
+        return null;
+      }
+    } else if (inventionInfo.materials) {
       for (const [typeId, quantity] of Object.entries(inventionInfo.materials)) {
         try {
           const parsedTypeId = parseInt(typeId);
@@ -1206,17 +1284,31 @@ async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod,
       }
     }
 
-    // Find best decryptor
-    const decryptorResult = await window.electronAPI.calculator.findBestDecryptor(
-      inventionInfo,
-      inventionMaterialPrices,
-      t2ProductPrice,
-      characterSkills,
-      facility,
-      speculativeInventionSettings.decryptorStrategy,
-      speculativeInventionSettings.customVolume,
-      activeMarketSet?.id
-    );
+    // Find best decryptor (and relic quality for reverse engineering)
+    const decryptorResult = isReverseEngineering
+      ? await window.electronAPI.calculator.findBestReverseEngineering(
+        blueprint.reverseEngineeringData,
+        inventionMaterialPrices,
+        t2ProductPrice,
+        characterSkills,
+        facility,
+        speculativeInventionSettings.decryptorStrategy,
+        speculativeInventionSettings.customVolume,
+        activeMarketSet?.id,
+        speculativeInventionSettings.relicQuality,
+        characterId
+      )
+      : await window.electronAPI.calculator.findBestDecryptor(
+        inventionInfo,
+        inventionMaterialPrices,
+        t2ProductPrice,
+        characterSkills,
+        facility,
+        speculativeInventionSettings.decryptorStrategy,
+        speculativeInventionSettings.customVolume,
+        activeMarketSet?.id,
+        characterId
+      );
 
     if (!decryptorResult || !decryptorResult.best) {
       console.error(`[SPECULATIVE] No best decryptor found`);
@@ -1231,7 +1323,7 @@ async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod,
     const profit = t2ProductPrice - totalCostWithInvention;
 
     // Calculate other metrics
-    const productionTimeSeconds = calculateProductionTime(blueprint.baseTime, 0, facility);
+    const productionTimeSeconds = await calculateProductionTime(blueprint.typeID, best.finalTE || 0, characterId, facility);
     const productionTimeHours = productionTimeSeconds / 3600;
     const iskPerHour = productionTimeHours > 0 ? profit / productionTimeHours : 0;
     const svr = await calculateSVR(blueprint.productTypeID, svrPeriod, productionTimeHours);
@@ -1276,7 +1368,7 @@ async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod,
       productName: blueprint.productTypeName,
       isOwned: false,
       techLevel: techLevel,
-      bpType: 'BPC (Invented)',
+      bpType: isReverseEngineering ? 'BPC (Reverse Engineered)' : 'BPC (Invented)',
       meLevel: best.finalME,
       teLevel: best.finalTE,
       profit: profit,
@@ -1306,6 +1398,7 @@ async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod,
       // Speculative Invention data
       inventionStatus: 'Speculative',
       optimalDecryptor: best.name || 'No Decryptor',
+      optimalRelic: best.relicName || null,
       inventionProbability: best.probability || 0,
       inventionCostAttempt: best.totalCostPerAttempt || 0,
       totalCostWithInvention: totalCostWithInvention,
@@ -1321,7 +1414,7 @@ async function calculateSpeculativeInventionData(blueprint, facility, svrPeriod,
 }
 
 // Calculate all data for a single blueprint
-async function calculateBlueprintData(blueprint, facility, svrPeriod, defaultCharacter, ownedBlueprintsList = null) {
+async function calculateBlueprintData(blueprint, facility, svrPeriod, defaultCharacter, ownedBlueprintsList = null, productionTimes = null) {
   try {
     // Handle speculative invention blueprints differently
     if (blueprint.isSpeculativeInvention) {
@@ -1380,7 +1473,9 @@ async function calculateBlueprintData(blueprint, facility, svrPeriod, defaultCha
     const pricing = result.pricing;
 
     // Calculate ISK per Hour
-    const productionTimeSeconds = calculateProductionTime(blueprint.baseTime, teLevel, facility);
+    const productionTimeSeconds = productionTimes?.has(blueprint.typeID)
+      ? productionTimes.get(blueprint.typeID)
+      : await calculateProductionTime(blueprint.typeID, teLevel, characterId, facility);
     const productionTimeHours = productionTimeSeconds / 3600;
     const iskPerHour = productionTimeHours > 0 ? pricing.profit / productionTimeHours : 0;
 
@@ -1672,21 +1767,50 @@ async function calculateReactionData(reaction, facility, svrPeriod, defaultChara
 }
 
 // Calculate production time with bonuses
-function calculateProductionTime(baseTime, teLevel, facility) {
-  if (!baseTime) return 0;
-
-  // Apply TE reduction (1% per level)
-  let time = baseTime * (1 - (teLevel / 100));
+async function calculateProductionTime(blueprintTypeId, teLevel, characterId, facility) {
+  if (!blueprintTypeId) return 0;
+
+  // Blueprint TE, facility bonus, Industry/Advanced Industry/science skills and implants
+  // are all applied by the backend time calculator
+  const time = await window.electronAPI.calculator.calculateManufacturingTime(
+    blueprintTypeId,
+    teLevel,
+    1,
+    characterId,
+    facility?.id || null
+  );
+
+  return time?.adjustedTime || 0;
+}
 
-  // Apply facility bonuses
-  if (facility && facility.structureBonuses && facility.structureBonuses.timeEfficiency) {
-    time = time * (1 - (facility.structureBonuses.timeEfficiency / 100));
-  }
+// Calculate 1-run production times for a batch of blueprints in a single request
+// Returns a Map of blueprint typeID -> seconds (speculative invention blueprints are
+// skipped: their TE depends on the chosen decryptor)
+async function fetchProductionTimes(blueprints, ownedBlueprintsList, characterId, facility) {
+  const regularBlueprints = blueprints.filter(bp => bp.typeID && !bp.isSpeculativeInvention);
+  if (regularBlueprints.length === 0) return new Map();
 
-  // Apply rig bonuses (if applicable)
-  // TODO: Add rig time bonuses when implemented
+  const requests = regularBlueprints.map(bp => {
+    const ownedBP = ownedBlueprintsList ?
+      ownedBlueprintsList.find(owned => owned.typeId === bp.typeID) : null;
+    return {
+      blueprintTypeId: bp.typeID,
+      teLevel: ownedBP ? (ownedBP.timeEfficiency || 0) : 0,
+      runs: 1
+    };
+  });
 
-  return time;
+  try {
+    const times = await window.electronAPI.calculator.calculateManufacturingTimes(
+      requests,
+      characterId,
+      facility?.id || null
+    );
+    return new Map(regularBlueprints.map((bp, index) => [bp.typeID, times?.[index]?.adjustedTime || 0]));
+  } catch (error) {
+    console.error('Error calculating production times:', error);
+    return new Map();
+  }
 }
 
 // Calculate SVR (Sales to Volume Ratio)
@@ -2719,6 +2843,8 @@ function getCellContent(columnId, item) {
     }
     case 'optimal-decryptor':
       return `<td>${escapeHtml(item.optimalDecryptor || 'N/A')}</td>`;
+    case 'optimal-relic':
+      return `<td>${escapeHtml(item.optimalRelic || 'N/A')}</td>`;
     case 'invention-probability': {
       if (!item.inventionProbability) return '<td class="text-right">N/A</td>';
       return `<td class="text-right">${(item.inventionProbability * 100).toFixed(2)}%</td>`;
@@ -40,6 +40,9 @@ window.addEventListener('beforeunload', () => {
   if (overrideSearchClickOutsideListener) {
     document.removeEventListener('click', overrideSearchClickOutsideListener);
   }
+  if (alertSearchClickOutsideListener) {
+    document.removeEventListener('click', alertSearchClickOutsideListener);
+  }
   if (characterMenuClickOutsideListener) {
     document.removeEventListener('click', characterMenuClickOutsideListener);
   }
@@ -1192,6 +1195,7 @@ async function loadMarketSets() {
   try {
     marketSets = await window.electronAPI.market.getMarketSets();
     renderMarketSetsList();
+    loadMarketSetDistances();
   } catch (err) {
     console.error('[Market Sets] Error loading:', err);
   }
@@ -1214,6 +1218,7 @@ function renderMarketSetsList() {
         <span class="market-set-name">${escapeHtml(set.name)}</span>
         ${set.isDefault ? '<span class="market-set-default-badge">Default</span>' : ''}
         <span class="market-set-meta">${escapeHtml(describeMarketSet(set))}</span>
+        <span class="market-set-meta market-set-distances" data-id="${set.id}"></span>
       </div>
       <div class="market-set-actions">
         ${!set.isDefault ? `<button class="secondary-button small-btn set-default-btn" data-id="${set.id}">Default</button>` : ''}
@@ -1241,6 +1246,36 @@ function renderMarketSetsList() {
   });
 }
 
+// Show the jump distance from each facility to every Market Set's hubs
+async function loadMarketSetDistances() {
+  for (const el of document.querySelectorAll('.market-set-distances')) {
+    try {
+      const distances = await window.electronAPI.routes.getFacilityHubDistances(el.dataset.id);
+      if (!distances.facilities.length || !distances.hubs.length) continue;
+
+      const describe = (distance) => {
+        if (!distance.shortest) return 'no route';
+        const insecure = distance.shortest.lowSecCount + distance.shortest.nullSecCount;
+        return `${distance.shortest.jumps}j${insecure > 0 ? ` (${insecure} low/null)` : ''}`;
+      };
+
+      // Card shows the distance to the input hub; the tooltip lists every hub
+      el.textContent = distances.facilities
+        .map(f => `${f.facilityName}: ${describe(f.distances[0])}`)
+        .join(' · ');
+      el.title = distances.facilities.map(f =>
+        distances.hubs.map((hub, i) => {
+          const d = f.distances[i];
+          const safest = d.safest ? `, safest ${d.safest.jumps}j` : ', no high-sec route';
+          return `${f.facilityName} → ${hub.systemName || 'Unknown'} (${hub.roles.join('/')}): ${describe(d)}${d.shortest ? safest : ''}`;
+        }).join('\n')
+      ).join('\n');
+    } catch (err) {
+      console.error('[Market Sets] Error loading hub distances:', err);
+    }
+  }
+}
+
 function describeMarketSet(set) {
   const input = set.inputMaterials;
   if (!input) return '';
@@ -1639,6 +1674,17 @@ function setupEventListeners() {
     refreshHistoryDataBtn.addEventListener('click', handleHistoryDataRefresh);
   }
 
+  // My Orders
+  const ordersStateFilter = document.getElementById('orders-state-filter');
+  if (ordersStateFilter) {
+    ordersStateFilter.addEventListener('change', loadMyOrders);
+  }
+
+  const refreshOrdersBtn = document.getElementById('refresh-orders-btn');
+  if (refreshOrdersBtn) {
+    refreshOrdersBtn.addEventListener('click', handleRefreshOrders);
+  }
+
   // Tab switching
   const tabButtons = document.querySelectorAll('.tab-btn');
   tabButtons.forEach(btn => {
@@ -1753,6 +1799,14 @@ function switchTab(tabName) {
     loadRegionDashboard();
   }
 
+  if (tabName === 'orders') {
+    loadMyOrders();
+  }
+
+  if (tabName === 'alerts') {
+    loadPriceAlerts();
+  }
+
   // Reload Market Sets list when switching to settings tab
   if (tabName === 'settings') {
     loadMarketSets();
@@ -2364,6 +2418,439 @@ function formatNumber(value) {
   return value.toLocaleString('en-US');
 }
 
+// ============================================================
+// My Orders
+// ============================================================
+
+async function handleRefreshOrders() {
+  const btn = document.getElementById('refresh-orders-btn');
+  btn.disabled = true;
+  try {
+    await window.electronAPI.orders.refresh();
+    await loadMyOrders();
+  } catch (error) {
+    console.error('Error refreshing market orders:', error);
+    alert('Failed to refresh market orders: ' + error.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function loadMyOrders() {
+  const container = document.getElementById('my-orders-list');
+  const summary = document.getElementById('orders-summary');
+  const state = document.getElementById('orders-state-filter').value;
+
+  try {
+    const [orders, characters] = await Promise.all([
+      window.electronAPI.orders.get({ state }),
+      window.electronAPI.esi.getCharacters(),
+    ]);
+    const characterNames = new Map((characters || []).map(c => [c.characterId, c.characterName]));
+
+    if (orders.length === 0) {
+      summary.textContent = '';
+      container.innerHTML = `<div class="my-orders-empty">${state === 'open' ? 'No open orders. Refresh from ESI to load them.' : 'No closed orders recorded yet.'}</div>`;
+      return;
+    }
+
+    if (state === 'open') {
+      const beaten = orders.filter(o => o.position && (o.position.undercut || o.position.outbid)).length;
+      const listedValue = orders.filter(o => !o.isBuyOrder).reduce((sum, o) => sum + o.price * o.volumeRemain, 0);
+      summary.textContent = `${orders.length} orders · ${beaten} undercut or outbid · ${formatISK(listedValue)} listed`;
+    } else {
+      summary.textContent = `${orders.length} orders`;
+    }
+
+    container.innerHTML = `
+      <table class="my-orders-table">
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Location</th>
+            <th class="numeric">Price</th>
+            <th class="numeric">Remaining</th>
+            <th>${state === 'open' ? 'Position' : 'State'}</th>
+            <th>Plan</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${orders.map(order => `
+            <tr>
+              <td>
+                <span class="order-side ${order.isBuyOrder ? 'buy' : 'sell'}">${order.isBuyOrder ? 'Buy' : 'Sell'}</span>
+                ${escapeHtml(order.typeName)}
+                <span class="order-owner">${escapeHtml(characterNames.get(order.issuedBy) || 'Unknown')}${order.isCorporation ? ' (corp)' : ''}</span>
+              </td>
+              <td>${escapeHtml(order.locationName)}</td>
+              <td class="numeric">${formatISK(order.price)}</td>
+              <td class="numeric">${formatNumber(order.volumeRemain)} / ${formatNumber(order.volumeTotal)}</td>
+              <td>${state === 'open' ? renderOrderPosition(order) : renderOrderState(order)}</td>
+              <td>${order.plan ? escapeHtml(order.plan.planName) : '—'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Error loading market orders:', error);
+    container.innerHTML = '<div class="my-orders-empty">Failed to load market orders.</div>';
+  }
+}
+
+function renderOrderPosition(order) {
+  const position = order.position;
+  if (!position) {
+    return '<span class="order-position" title="Update market data for this region to compare">No cached order book</span>';
+  }
+
+  const asOf = `Order book from ${new Date(position.bookFetchedAt).toLocaleString()}`;
+  if (position.undercut || position.outbid) {
+    return `
+      <span class="order-position beaten" title="${asOf}">${position.undercut ? 'Undercut' : 'Outbid'} · #${position.rank} of ${position.competitorCount + 1}</span>
+      <span class="order-position-detail">Best ${formatISK(position.bestCompetitorPrice)} (${formatISK(position.priceGap)} away) · ${formatNumber(position.depthAhead)} units ahead</span>
+    `;
+  }
+  return `<span class="order-position best" title="${asOf}">Best price · ${position.competitorCount} competing</span>`;
+}
+
+function renderOrderState(order) {
+  if (order.state === 'closed') return 'Closed';
+  if (order.state === 'cancelled') return 'Cancelled';
+  return order.volumeRemain === 0 ? 'Filled' : 'Expired';
+}
+
+// ============================================================
+// Price Alerts
+// ============================================================
+
+const ALERT_TYPE_LABELS = {
+  price_below: 'Price at or below',
+  price_above: 'Price at or above',
+  change_vs_7d: 'Moves vs 7-day average by',
+  depth_below: 'Units for sale below',
+  margin_below: 'Margin below',
+};
+
+let alertSearchTimeout = null;
+let alertSearchClickOutsideListener = null;
+let selectedAlertItem = null;
+let alertTargets = { marketSets: [], structures: [], plans: [] };
+
+function initializePriceAlerts() {
+  const alertSearch = document.getElementById('alert-item-search');
+  if (!alertSearch) return;
+
+  alertSearch.addEventListener('input', handleAlertItemSearch);
+
+  if (alertSearchClickOutsideListener) {
+    document.removeEventListener('click', alertSearchClickOutsideListener);
+  }
+  alertSearchClickOutsideListener = (e) => {
+    if (!e.target.closest('.alert-search-group')) {
+      document.getElementById('alert-search-results').classList.add('hidden');
+    }
+  };
+  document.addEventListener('click', alertSearchClickOutsideListener);
+
+  document.getElementById('alert-rule-type').addEventListener('change', updateAlertFormFields);
+  document.getElementById('add-alert-btn').addEventListener('click', handleAddAlert);
+  document.getElementById('check-alerts-btn').addEventListener('click', handleCheckAlerts);
+  document.getElementById('clear-alert-history-btn').addEventListener('click', handleClearAlertHistory);
+
+  // Alert notifications open this tab
+  if (window.location.hash === '#alerts') {
+    switchTab('alerts');
+  }
+}
+
+function handleAlertItemSearch(e) {
+  clearTimeout(alertSearchTimeout);
+  selectedAlertItem = null;
+  const searchTerm = e.target.value.trim();
+  const resultsContainer = document.getElementById('alert-search-results');
+
+  if (searchTerm.length < 2) {
+    resultsContainer.classList.add('hidden');
+    return;
+  }
+
+  alertSearchTimeout = setTimeout(async () => {
+    try {
+      const items = await window.electronAPI.sde.searchMarketItems(searchTerm);
+      if (!items || items.length === 0) {
+        resultsContainer.innerHTML = '<div class="search-result-item">No items found</div>';
+      } else {
+        resultsContainer.innerHTML = items.map(item => `
+          <div class="search-result-item" data-typeid="${item.typeID}" data-name="${escapeHtml(item.typeName)}">
+            <div class="search-result-name">${escapeHtml(item.typeName)}</div>
+            <div class="search-result-details">Type ID: ${item.typeID}</div>
+          </div>
+        `).join('');
+        resultsContainer.querySelectorAll('.search-result-item[data-typeid]').forEach(el => {
+          el.addEventListener('click', () => {
+            selectedAlertItem = { typeId: parseInt(el.dataset.typeid), typeName: el.dataset.name };
+            document.getElementById('alert-item-search').value = selectedAlertItem.typeName;
+            resultsContainer.classList.add('hidden');
+          });
+        });
+      }
+      resultsContainer.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error searching items:', error);
+    }
+  }, 300);
+}
+
+function updateAlertFormFields() {
+  const isMargin = document.getElementById('alert-rule-type').value === 'margin_below';
+  document.querySelector('.alert-market-fields').classList.toggle('hidden', isMargin);
+  document.querySelector('.alert-plan-fields').classList.toggle('hidden', !isMargin);
+}
+
+async function loadPriceAlerts() {
+  try {
+    alertTargets = await window.electronAPI.alerts.getTargets();
+    renderAlertTargetOptions();
+  } catch (error) {
+    console.error('Error loading alert targets:', error);
+  }
+  await Promise.all([loadAlertRules(), loadAlertHistory()]);
+}
+
+function renderAlertTargetOptions() {
+  const targetSelect = document.getElementById('alert-target');
+  const selected = targetSelect.value;
+  targetSelect.innerHTML = `
+    <optgroup label="Market Sets">
+      ${alertTargets.marketSets.map(set => `
+        <option value="set:${escapeHtml(set.id)}:input">${escapeHtml(set.name)} (buying)</option>
+        <option value="set:${escapeHtml(set.id)}:output">${escapeHtml(set.name)} (selling)</option>
+      `).join('')}
+    </optgroup>
+    ${alertTargets.structures.length > 0 ? `
+      <optgroup label="Structure Markets">
+        ${alertTargets.structures.map(s => `
+          <option value="structure:${s.structureId}:sell">${escapeHtml(s.structureName)} (sell orders)</option>
+          <option value="structure:${s.structureId}:buy">${escapeHtml(s.structureName)} (buy orders)</option>
+        `).join('')}
+      </optgroup>
+    ` : ''}
+  `;
+  if (selected) targetSelect.value = selected;
+
+  const planSelect = document.getElementById('alert-plan');
+  planSelect.innerHTML = alertTargets.plans.length > 0
+    ? alertTargets.plans.map(p => `<option value="${escapeHtml(p.planId)}">${escapeHtml(p.planName)}</option>`).join('')
+    : '<option value="">No open plans</option>';
+
+  const planMarketSelect = document.getElementById('alert-plan-market');
+  const selectedPlanMarket = planMarketSelect.value;
+  planMarketSelect.innerHTML = `
+    <option value="">Plan's Market Set</option>
+    ${alertTargets.marketSets.map(set => `<option value="${escapeHtml(set.id)}">${escapeHtml(set.name)}</option>`).join('')}
+  `;
+  if (selectedPlanMarket) planMarketSelect.value = selectedPlanMarket;
+}
+
+function describeAlertTarget(rule) {
+  if (rule.ruleType === 'margin_below') {
+    if (!rule.marketSetId) return "Plan's Market Set";
+    const set = alertTargets.marketSets.find(s => s.id === rule.marketSetId);
+    return set ? set.name : 'Deleted Market Set';
+  }
+  if (rule.structureId) {
+    return `${rule.structureName || `Structure ${rule.structureId}`} (${rule.priceType} orders)`;
+  }
+  const set = alertTargets.marketSets.find(s => s.id === rule.marketSetId);
+  return `${set ? set.name : 'Deleted Market Set'} (${rule.side === 'output' ? 'selling' : 'buying'})`;
+}
+
+function formatAlertThreshold(ruleType, value) {
+  if (ruleType === 'change_vs_7d' || ruleType === 'margin_below') return `${Number(value).toFixed(1)}%`;
+  if (ruleType === 'depth_below') return `${formatNumber(Math.round(value))} units`;
+  return formatISK(value);
+}
+
+async function loadAlertRules() {
+  const container = document.getElementById('alert-rules-list');
+  try {
+    const rules = await window.electronAPI.alerts.getRules();
+    if (rules.length === 0) {
+      container.innerHTML = '<div class="my-orders-empty">No price alerts yet.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="my-orders-table">
+        <thead>
+          <tr>
+            <th>Alert</th>
+            <th>Market</th>
+            <th class="numeric">Last Value</th>
+            <th>State</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rules.map(rule => `
+            <tr>
+              <td>
+                ${escapeHtml(rule.name)}
+                <span class="alert-rule-detail">${ALERT_TYPE_LABELS[rule.ruleType]} ${formatAlertThreshold(rule.ruleType, rule.threshold)}</span>
+              </td>
+              <td>${escapeHtml(describeAlertTarget(rule)) || '—'}</td>
+              <td class="numeric">${rule.lastValue === null ? '—' : formatAlertThreshold(rule.ruleType, rule.lastValue)}</td>
+              <td>${renderAlertState(rule)}</td>
+              <td class="numeric">
+                <label class="alert-enabled">
+                  <input type="checkbox" data-action="toggle" data-rule-id="${rule.ruleId}" ${rule.enabled ? 'checked' : ''}>
+                  On
+                </label>
+                <button class="secondary-button" data-action="delete" data-rule-id="${rule.ruleId}">Delete</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll('[data-action="toggle"]').forEach(input => {
+      input.addEventListener('change', async () => {
+        await window.electronAPI.alerts.setRuleEnabled(input.dataset.ruleId, input.checked);
+        loadAlertRules();
+      });
+    });
+    container.querySelectorAll('[data-action="delete"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Delete this price alert?')) return;
+        await window.electronAPI.alerts.deleteRule(btn.dataset.ruleId);
+        loadAlertRules();
+      });
+    });
+  } catch (error) {
+    console.error('Error loading price alerts:', error);
+    container.innerHTML = '<div class="my-orders-empty">Failed to load price alerts.</div>';
+  }
+}
+
+function renderAlertState(rule) {
+  if (!rule.enabled) return '<span class="alert-state disabled">Off</span>';
+  if (!rule.lastEvaluatedAt) return '<span class="alert-state">Not checked yet</span>';
+  const checked = `Checked ${new Date(rule.lastEvaluatedAt).toLocaleString()}`;
+  return rule.triggered
+    ? `<span class="alert-state triggered" title="${checked}">Triggered</span>`
+    : `<span class="alert-state clear" title="${checked}">Watching</span>`;
+}
+
+async function loadAlertHistory() {
+  const container = document.getElementById('alert-history-list');
+  try {
+    const events = await window.electronAPI.alerts.getHistory(100);
+    if (events.length === 0) {
+      container.innerHTML = '<div class="my-orders-empty">No alerts have fired yet.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="my-orders-table">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Alert</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${events.map(e => `
+            <tr>
+              <td>${new Date(e.triggeredAt).toLocaleString()}</td>
+              <td>${escapeHtml(e.ruleName)}</td>
+              <td>${escapeHtml(e.message)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Error loading alert history:', error);
+    container.innerHTML = '<div class="my-orders-empty">Failed to load alert history.</div>';
+  }
+}
+
+async function handleAddAlert() {
+  const ruleType = document.getElementById('alert-rule-type').value;
+  const threshold = parseFloat(document.getElementById('alert-threshold').value);
+  const rule = { ruleType, threshold };
+
+  if (ruleType === 'margin_below') {
+    rule.planId = document.getElementById('alert-plan').value;
+    const plan = alertTargets.plans.find(p => p.planId === rule.planId);
+    rule.name = plan ? plan.planName : '';
+    rule.marketSetId = document.getElementById('alert-plan-market').value || null;
+  } else {
+    if (!selectedAlertItem) {
+      alert('Select an item first');
+      return;
+    }
+    rule.typeId = selectedAlertItem.typeId;
+    rule.name = selectedAlertItem.typeName;
+
+    const [kind, id, option] = document.getElementById('alert-target').value.split(':');
+    if (kind === 'structure') {
+      const structure = alertTargets.structures.find(s => String(s.structureId) === id);
+      rule.structureId = structure.structureId;
+      rule.structureName = structure.structureName;
+      rule.regionId = structure.regionId;
+      rule.priceType = option;
+    } else {
+      rule.marketSetId = id;
+      rule.side = option;
+    }
+  }
+
+  try {
+    await window.electronAPI.alerts.createRule(rule);
+    selectedAlertItem = null;
+    document.getElementById('alert-item-search').value = '';
+    document.getElementById('alert-threshold').value = '';
+    loadAlertRules();
+  } catch (error) {
+    console.error('Error creating price alert:', error);
+    alert('Failed to create price alert: ' + error.message);
+  }
+}
+
+async function handleCheckAlerts() {
+  const btn = document.getElementById('check-alerts-btn');
+  btn.disabled = true;
+  try {
+    await window.electronAPI.alerts.evaluate();
+    await Promise.all([loadAlertRules(), loadAlertHistory()]);
+  } catch (error) {
+    console.error('Error checking price alerts:', error);
+    alert('Failed to check price alerts: ' + error.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function handleClearAlertHistory() {
+  if (!confirm('Clear the alert history?')) return;
+  try {
+    await window.electronAPI.alerts.clearHistory();
+    loadAlertHistory();
+  } catch (error) {
+    console.error('Error clearing alert history:', error);
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializePriceAlerts);
+} else {
+  initializePriceAlerts();
+}
+
 // Initialize viewer when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeMarketViewer);
@@ -447,6 +447,16 @@ function displayProductionTime(timeData) {
   baseTimeEl.textContent = `${baseTimeFormatted} per run`;
   totalTimeEl.textContent = `${totalTimeFormatted} for ${timeData.runs} run(s)${timeSavedFormatted}`;
 
+  // Breakdown of each time modifier (structure, rigs, Reactions skill)
+  const modifiersItem = document.getElementById('time-modifiers-item');
+  const modifiers = timeData.modifiers || [];
+  if (modifiersItem) {
+    document.getElementById('time-modifiers').textContent = modifiers
+      .map(m => `${m.label}${m.level ? ` ${m.level}` : ''} -${m.percent.toFixed(1)}%`)
+      .join(', ');
+    modifiersItem.style.display = modifiers.length > 0 ? 'flex' : 'none';
+  }
+
   section.style.display = 'block';
 }
 
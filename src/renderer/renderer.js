@@ -164,6 +164,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Industry Slots card handler
+  const industrySlotsCard = document.getElementById('industry-slots-card');
+  if (industrySlotsCard) {
+    industrySlotsCard.addEventListener('click', () => {
+      console.log('Opening Industry Slots');
+      window.electronAPI.industrySlots.openWindow();
+    });
+  }
+
   // Cleanup Tool card handler
   const cleanupToolCard = document.getElementById('cleanup-tool-card');
   if (cleanupToolCard) {
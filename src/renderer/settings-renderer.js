@@ -60,6 +60,16 @@ function populateSettings() {
     auditModeEnabled.checked = currentSettings.general?.auditModeEnabled === true;
   }
 
+  const auditHistoryEnabled = document.getElementById('audit-history-enabled');
+  if (auditHistoryEnabled) {
+    auditHistoryEnabled.checked = currentSettings.general?.auditHistoryEnabled === true;
+  }
+
+  const auditHistoryRetention = document.getElementById('audit-history-retention');
+  if (auditHistoryRetention) {
+    auditHistoryRetention.value = String(currentSettings.general?.auditHistoryRetentionDays || 30);
+  }
+
   // Industry settings - reactions toggle only
   const reactionsToggle = document.getElementById('reactions-as-intermediates');
   if (reactionsToggle) {
@@ -192,6 +202,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Job completion notifications: digest toggle and per-character toggles
+  const jobReadyDigest = document.getElementById('job-ready-digest');
+  if (jobReadyDigest) {
+    jobReadyDigest.addEventListener('change', (e) => {
+      console.log('Job ready digest:', e.target.checked);
+      window.electronAPI.notifications.setReadyDigest(e.target.checked);
+    });
+  }
+  loadJobNotificationCharacters();
+
   // Audit Mode
   const auditModeEnabled = document.getElementById('audit-mode-enabled');
   if (auditModeEnabled) {
@@ -201,6 +221,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Audit History
+  const auditHistoryEnabled = document.getElementById('audit-history-enabled');
+  if (auditHistoryEnabled) {
+    auditHistoryEnabled.addEventListener('change', (e) => {
+      saveSetting('general', 'auditHistoryEnabled', e.target.checked);
+    });
+  }
+
+  const auditHistoryRetention = document.getElementById('audit-history-retention');
+  if (auditHistoryRetention) {
+    auditHistoryRetention.addEventListener('change', (e) => {
+      saveSetting('general', 'auditHistoryRetentionDays', parseInt(e.target.value, 10));
+    });
+  }
+
   // Open Audit Log window
   const openAuditLog = document.getElementById('open-audit-log');
   if (openAuditLog) {
@@ -839,6 +874,61 @@ async function loadDefaultManufacturingCharacters() {
   }
 }
 
+/**
+ * Load the per-character job notification toggles
+ */
+async function loadJobNotificationCharacters() {
+  const containerEl = document.getElementById('job-notification-characters');
+  if (!containerEl) return;
+
+  try {
+    const [characters, preferences] = await Promise.all([
+      window.electronAPI.esi.getCharacters(),
+      window.electronAPI.notifications.getPreferences(),
+    ]);
+
+    const digestToggle = document.getElementById('job-ready-digest');
+    if (digestToggle) digestToggle.checked = preferences.readyDigest;
+
+    if (characters.length === 0) {
+      containerEl.innerHTML = '<p class="no-data">No characters authenticated. Go to Accounts tab to add characters.</p>';
+      return;
+    }
+
+    containerEl.innerHTML = `
+      <div class="default-characters-grid">
+        ${characters.map(character => `
+          <div class="character-checkbox-item">
+            <label class="character-checkbox-label">
+              <input
+                type="checkbox"
+                class="character-checkbox"
+                data-character-id="${character.characterId}"
+                ${preferences.mutedCharacterIds.includes(character.characterId) ? '' : 'checked'}
+              />
+              <span class="character-checkbox-name">${character.characterName}</span>
+            </label>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    containerEl.querySelectorAll('.character-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', async (e) => {
+        const characterId = parseInt(e.target.getAttribute('data-character-id'));
+        const success = await window.electronAPI.notifications.setCharacterEnabled(characterId, e.target.checked);
+        if (!success) {
+          console.error('Failed to update job notifications for character', characterId);
+          e.target.checked = !e.target.checked;
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Error loading job notification characters:', error);
+    containerEl.innerHTML = '<p class="error-text">Failed to load characters</p>';
+  }
+}
+
 /**
  * Handle default manufacturing character checkbox toggle
  */
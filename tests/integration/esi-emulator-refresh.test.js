@@ -0,0 +1,248 @@
+/**
+ * ESI flows end to end, against the offline ESI emulator
+ *
+ * Runs the real background refresh cycle, market/cost-index fetchers and plan
+ * matching with the global fetch pointed at src/main/esi-emulator.js serving
+ * tests/fixtures/esi/two-characters.json (Aria and Bram, both in one corp).
+ * Nothing is mocked between esiFetch and the databases: tokens go through the
+ * emulated SSO, gating runs off the emulated `expires` headers, and every
+ * database lives in a throwaway data directory.
+ *
+ * Only Date is faked (pinned to the fixture's "now"), so timers, retries and
+ * the scheduler still run for real.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const FIXTURE_PATH = path.join(__dirname, '../fixtures/esi/two-characters.json');
+const FIXTURE_NOW = Date.parse('2026-03-10T12:00:00Z');
+const ARIA = 90000001;
+const BRAM = 90000002;
+const CORP = 98000001;
+const KEEP = 1040000000001;
+
+let mockDataDir;
+jest.mock('../../src/main/portable-mode', () => ({
+  getDataPath: jest.fn(() => mockDataDir),
+  isPortable: jest.fn(() => false),
+  detectPortableMode: jest.fn(() => false),
+  getPortableDir: jest.fn(() => null),
+}));
+
+// Fake only the clock
+const REAL_TIMER_APIS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask',
+  'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout',
+];
+
+describe('ESI flows against the emulator', () => {
+  let emulator;
+  let uninstall;
+  let esi;
+
+  function advanceClock(ms) {
+    jest.setSystemTime(Date.now() + ms);
+  }
+
+  function addEmulatedCharacter(characterId) {
+    const character = esi.fixture.characters.find(c => c.characterId === characterId);
+    const tokens = emulator.issueTokens(characterId);
+    esi.settings.addCharacter({
+      character: {
+        characterId,
+        characterName: character.characterName,
+        corporationId: character.corporationId,
+        scopes: character.scopes,
+      },
+      ...tokens,
+    });
+  }
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: FIXTURE_NOW, doNotFake: REAL_TIMER_APIS });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    mockDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quantum-esi-emulator-test-'));
+    fs.mkdirSync(path.join(mockDataDir, 'config'), { recursive: true });
+
+    jest.resetModules();
+    const { loadEsiFixture, createEsiEmulator, installEsiEmulator } = require('../../src/main/esi-emulator');
+    const fixture = loadEsiFixture(FIXTURE_PATH);
+    emulator = createEsiEmulator(fixture);
+    uninstall = installEsiEmulator(emulator);
+
+    esi = {
+      fixture,
+      settings: require('../../src/main/settings-manager'),
+      db: require('../../src/main/character-database').initializeCharacterDatabase(),
+      refresh: require('../../src/main/esi-background-refresh'),
+      status: require('../../src/main/esi-status-tracker'),
+      scheduler: require('../../src/main/esi-scheduler'),
+    };
+
+    // The app's startup path: base schema, then the numbered migrations
+    await require('../../src/main/database-schema-migrations').runSchemaMigrations();
+
+    addEmulatedCharacter(ARIA);
+    addEmulatedCharacter(BRAM);
+  });
+
+  afterEach(() => {
+    uninstall();
+    esi.status.closeDatabase();
+    require('../../src/main/character-database').closeCharacterDatabase();
+    require('../../src/main/market-database').closeMarketDatabase();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    fs.rmSync(mockDataDir, { recursive: true, force: true });
+  });
+
+  describe('background refresh cycle', () => {
+    test('stores every character and corporation endpoint, following pagination', async () => {
+      const summary = await esi.refresh.runRefreshCycle();
+
+      expect(summary.errors).toEqual([]);
+      expect(summary.characterCount).toBe(2);
+      expect(summary.corporationCount).toBe(1);
+
+      const jobs = esi.db.prepare('SELECT job_id, character_id, is_corporation FROM esi_industry_jobs ORDER BY job_id').all();
+      expect(jobs).toEqual([
+        { job_id: 500000001, character_id: ARIA, is_corporation: 0 },
+        { job_id: 500000002, character_id: ARIA, is_corporation: 0 },
+        { job_id: 500000003, character_id: BRAM, is_corporation: 0 },
+        { job_id: 500000101, character_id: ARIA, is_corporation: 1 },
+      ]);
+
+      // Aria's five journal entries come two to a page
+      expect(emulator.getRequests(`/characters/${ARIA}/wallet/journal/`)).toHaveLength(3);
+      expect(esi.db.prepare('SELECT COUNT(*) AS n FROM esi_wallet_journal WHERE character_id = ? AND is_corporation = 0').get(ARIA).n).toBe(5);
+      expect(esi.db.prepare('SELECT COUNT(*) AS n FROM esi_wallet_transactions').get().n).toBe(3);
+      expect(esi.db.prepare('SELECT COUNT(*) AS n FROM esi_market_orders').get().n).toBe(2);
+      expect(esi.db.prepare('SELECT COUNT(*) AS n FROM esi_mining_ledger').get().n).toBe(1);
+    });
+
+    test('the next cycle is gated until the emulated cache expires', async () => {
+      await esi.refresh.runRefreshCycle();
+      const served = emulator.getRequests().length;
+
+      const second = await esi.refresh.runRefreshCycle();
+      expect(emulator.getRequests()).toHaveLength(served);
+      expect(second.characters.every(r => r.result === 'gated')).toBe(true);
+
+      // Industry jobs cache for 5 minutes, the wallet for an hour
+      advanceClock(10 * 60 * 1000);
+      await esi.refresh.runRefreshCycle();
+      expect(emulator.getRequests(`/characters/${ARIA}/industry/jobs/`)).toHaveLength(2);
+      expect(emulator.getRequests(`/characters/${ARIA}/wallet/transactions/`)).toHaveLength(1);
+    });
+
+    test('expired access tokens are refreshed through SSO and the rotated tokens stored', async () => {
+      const before = esi.settings.getCharacter(ARIA);
+      advanceClock(30 * 60 * 1000);
+
+      const summary = await esi.refresh.runRefreshCycle();
+
+      expect(summary.errors).toEqual([]);
+      expect(emulator.getRequests().filter(r => r.method === 'POST' && r.url.includes('/v2/oauth/token'))).toHaveLength(2);
+      const after = esi.settings.getCharacter(ARIA);
+      expect(after.refreshToken).not.toBe(before.refreshToken);
+      expect(after.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    test('a revoked refresh token fails only that character', async () => {
+      esi.settings.updateCharacterTokens(BRAM, { access_token: 'gone', refresh_token: 'revoked', expires_at: 0 });
+
+      const summary = await esi.refresh.runRefreshCycle();
+
+      const bramErrors = summary.errors.filter(e => e.characterId === BRAM);
+      expect(bramErrors.length).toBeGreaterThan(0);
+      expect(bramErrors.every(e => e.code === 'ESI_TOKEN_REFRESH_FAILED')).toBe(true);
+      expect(summary.errors.filter(e => e.characterId === ARIA)).toEqual([]);
+    });
+
+    test('a 429 and a 5xx fail only their endpoints; the rest of the cycle is saved', async () => {
+      emulator.inject(`/characters/${ARIA}/industry/jobs/`, { status: 429, retryAfter: 120 });
+      emulator.inject(`/characters/${ARIA}/wallet/journal/`, { status: 503 });
+
+      const summary = await esi.refresh.runRefreshCycle();
+
+      expect(summary.errors).toEqual([
+        expect.objectContaining({ characterId: ARIA, task: 'industry_jobs', code: 'ESI_RATE_LIMITED' }),
+        expect.objectContaining({ characterId: ARIA, task: 'wallet_journal', error: expect.stringContaining('503') }),
+      ]);
+      expect(esi.status.getESICallStatus(`character_${ARIA}_wallet_journal`)).toMatchObject({ status: 'error', error_code: '503' });
+
+      // The rate-limited endpoint waits out Retry-After
+      const jobsStatus = esi.status.getESICallStatus(`character_${ARIA}_industry_jobs`);
+      expect(jobsStatus.next_allowed_at).toBeGreaterThanOrEqual(Date.now() + 110 * 1000);
+
+      expect(esi.db.prepare('SELECT job_id FROM esi_industry_jobs WHERE character_id = ? AND is_corporation = 0').all(BRAM)).toHaveLength(1);
+      expect(esi.db.prepare('SELECT COUNT(*) AS n FROM esi_wallet_transactions WHERE character_id = ? AND is_corporation = 0').get(ARIA).n).toBe(2);
+    });
+
+    test('a 420 pauses the scheduler until the error window resets', async () => {
+      const { fetchCharacterIndustryJobs } = require('../../src/main/esi-industry-jobs');
+      emulator.inject(`/characters/${ARIA}/industry/jobs/`, { status: 420 });
+
+      await expect(fetchCharacterIndustryJobs(ARIA, true)).rejects.toMatchObject({ code: 'ESI_RATE_LIMITED' });
+      expect(esi.scheduler.getSchedulerStatus().errorBudget.pausedUntil).toBe(Date.now() + 60 * 1000);
+
+      const { fetchCostIndices } = require('../../src/main/esi-cost-indices');
+      const held = fetchCostIndices(true);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(emulator.getRequests('/industry/systems/')).toHaveLength(0);
+
+      // Once the window is over the next request releases the queue
+      advanceClock(61 * 1000);
+      const { fetchAdjustedPrices } = require('../../src/main/esi-market');
+      await fetchAdjustedPrices();
+      await held;
+      expect(emulator.getRequests('/industry/systems/')).toEqual([expect.objectContaining({ status: 200 })]);
+    });
+  });
+
+  describe('market and universe data', () => {
+    test('region orders, history, structure markets and cost indices', async () => {
+      const market = require('../../src/main/esi-market');
+      const { fetchCostIndices, getCostIndices } = require('../../src/main/esi-cost-indices');
+
+      await market.fetchMarketOrders(10000002, 34, null, true);
+      await market.fetchMarketHistory(10000002, 34, true);
+      await market.fetchStructureMarketOrders(KEEP, 10000002, esi.settings.getCharacter(ARIA).accessToken, true);
+      await fetchCostIndices(true);
+
+      expect(market.getCachedMarketOrders(10000002, 34, { stationId: 60003760 }).map(o => o.order_id).sort())
+        .toEqual([6100000001, 6100000002]);
+      expect(market.getCachedMarketHistory(10000002, 34)).toHaveLength(3);
+      expect(market.getCachedMarketOrders(10000002, 34, { stationId: KEEP })).toHaveLength(2);
+      expect(getCostIndices(30000144)).toEqual(expect.arrayContaining([
+        expect.objectContaining({ activity: 'manufacturing', costIndex: 0.0312 }),
+      ]));
+    });
+  });
+
+  describe('plan matching', () => {
+    test('suggests the refreshed job for the plan blueprint it was started from', async () => {
+      const { matchJobsToPlan } = require('../../src/main/plan-matching');
+      const planCreatedAt = FIXTURE_NOW - 24 * 60 * 60 * 1000;
+      esi.db.prepare(`
+        INSERT INTO manufacturing_plans (plan_id, character_id, plan_name, status, created_at, updated_at)
+        VALUES ('plan-rifters', ?, 'Rifters', 'active', ?, ?)
+      `).run(ARIA, planCreatedAt, FIXTURE_NOW - 3 * 60 * 60 * 1000);
+      esi.db.prepare(`
+        INSERT INTO plan_blueprints (plan_blueprint_id, plan_id, blueprint_type_id, runs, lines, me_level, te_level, facility_snapshot, added_at)
+        VALUES ('pb-rifter', 'plan-rifters', 691, 10, 1, 10, 20, ?, ?)
+      `).run(JSON.stringify({ systemId: 30000144, name: "Perimeter - Aria's Keep" }), planCreatedAt);
+
+      await esi.refresh.runRefreshCycle();
+      const matches = await matchJobsToPlan('plan-rifters', { characterIds: [ARIA, BRAM], corporationIds: [CORP] });
+
+      expect(matches.map(m => m.job.job_id)).toEqual([500000001]);
+      const reasons = JSON.parse(matches[0].matchReason);
+      expect(reasons.find(r => r.criterion === 'facility')).toMatchObject({ match: true, actual: "Perimeter - Aria's Keep" });
+      expect(emulator.getRequests(`/universe/structures/${KEEP}/`)).toHaveLength(1);
+    });
+  });
+});
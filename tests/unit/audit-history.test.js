@@ -0,0 +1,186 @@
+/**
+ * Tests for the persistent audit history:
+ *  - recalculations are stored only when the history is on, with the records
+ *    made during the run (whether or not live Audit Mode is on)
+ *  - a diff splits the profit change into price moves, cost index changes and
+ *    row edits, and the parts add up to the change
+ *  - old runs and runs beyond the per-plan cap are pruned
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RealDatabase = require('better-sqlite3');
+
+let mockConfigDir;
+jest.mock('../../src/main/config-migration', () => ({
+  getConfigDir: jest.fn(() => mockConfigDir),
+}));
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+let mockJobs = [];
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  calculatePlanJobInstallationCost: jest.fn(async () => ({ jobs: mockJobs })),
+}));
+
+jest.mock('../../src/main/settings-manager', () => ({
+  getSetting: jest.fn(() => 30),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn(async (typeIds) => Object.fromEntries(typeIds.map(id => [id, `Item ${id}`]))),
+}));
+
+const {
+  MAX_RECALCULATIONS_PER_PLAN,
+  setAuditHistoryEnabled,
+  closeAuditHistoryDatabase,
+  saveRecalculation,
+  recordPlanRecalculation,
+  getHistoryPlans,
+  getRecalculations,
+  getRecalculationRecords,
+  diffRecalculations,
+} = require('../../src/main/audit-history');
+const { recordPricing, getRecords } = require('../../src/main/audit-recorder');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TRITANIUM = 34;
+const SHIP = 500;
+
+function setPlan({ meLevel = 0, tritaniumQuantity = 1000, tritaniumPrice = 5, shipPrice = 10000 } = {}) {
+  mockDb.exec(`
+    DELETE FROM plan_blueprints;
+    DELETE FROM plan_material_nodes;
+    INSERT INTO plan_blueprints VALUES ('bp', 'P1', 501, NULL, 2, 1, ${meLevel}, 0, '{"name":"Raitaru"}');
+    INSERT INTO plan_material_nodes VALUES
+      ('P1', ${TRITANIUM}, 'material', ${tritaniumQuantity}, ${tritaniumPrice}),
+      ('P1', ${SHIP}, 'product', 2, ${shipPrice});
+  `);
+}
+
+beforeEach(() => {
+  mockConfigDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-history-'));
+  mockDb = new RealDatabase(':memory:');
+  mockDb.exec(`
+    CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, plan_name TEXT);
+    CREATE TABLE plan_blueprints (
+      plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER, blueprint_type TEXT,
+      runs INTEGER, lines INTEGER, me_level INTEGER, te_level INTEGER, facility_snapshot TEXT
+    );
+    CREATE TABLE plan_material_nodes (plan_id TEXT, type_id INTEGER, node_type TEXT, quantity_needed INTEGER, price_each REAL);
+    INSERT INTO manufacturing_plans VALUES ('P1', 'Ships');
+  `);
+  setPlan();
+  mockJobs = [{ key: 'bp', totalJobCost: 500, systemCostIndex: 0.05, estimatedItemValue: 10000 }];
+  setAuditHistoryEnabled(true);
+});
+
+afterEach(() => {
+  closeAuditHistoryDatabase();
+  mockDb.close();
+  fs.rmSync(mockConfigDir, { recursive: true, force: true });
+});
+
+describe('recordPlanRecalculation', () => {
+  test('stores the run with the records made during it', async () => {
+    const result = await recordPlanRecalculation('P1', { refreshPrices: true }, async () => {
+      await Promise.resolve();
+      recordPricing({ typeId: TRITANIUM, planId: 'P1', marketSetName: 'Jita' }, { price: 5, method: 'vwap', vwap: 5 });
+      return { success: true };
+    });
+
+    expect(result).toEqual({ success: true });
+    const [recalculation] = getRecalculations('P1');
+    expect(recalculation).toMatchObject({
+      planName: 'Ships', refreshPrices: true, marketSetName: 'Jita', recordCount: 1,
+      totals: { materialCost: 5000, productValue: 20000, jobCost: 500, profit: 14500 },
+    });
+    expect(getRecalculationRecords(recalculation.recalculationId)[0].pricing).toMatchObject({ typeId: TRITANIUM, method: 'vwap' });
+    expect(getHistoryPlans()).toEqual([expect.objectContaining({ planId: 'P1', count: 1 })]);
+
+    // Live Audit Mode is off, so its buffer stays empty
+    expect(getRecords()).toEqual([]);
+  });
+
+  test('stores nothing when off or when the run fails', async () => {
+    setAuditHistoryEnabled(false);
+    await recordPlanRecalculation('P1', {}, async () => true);
+    setAuditHistoryEnabled(true);
+    await recordPlanRecalculation('P1', {}, async () => false);
+
+    expect(getRecalculations('P1')).toEqual([]);
+  });
+});
+
+describe('diffRecalculations', () => {
+  test('attributes the profit change to price moves, cost index and ME edits', async () => {
+    await recordPlanRecalculation('P1', {}, async () => true);
+    const [{ recalculationId: fromId }] = getRecalculations('P1');
+
+    // ME 10 saves 100 Tritanium, Tritanium goes up by 1 ISK, the ship by 500
+    // and the system cost index rises
+    setPlan({ meLevel: 10, tritaniumQuantity: 900, tritaniumPrice: 6, shipPrice: 10500 });
+    mockJobs = [{ key: 'bp', totalJobCost: 800, systemCostIndex: 0.08, estimatedItemValue: 10000 }];
+    await recordPlanRecalculation('P1', {}, async () => true);
+    const [{ recalculationId: toId }] = getRecalculations('P1');
+
+    const diff = await diffRecalculations(fromId, toId);
+    const amount = category => diff.attribution.find(a => a.category === category)?.amount;
+
+    expect(diff.profitChange).toBe((21000 - 5400 - 800) - 14500);
+    expect(amount('price_moves')).toBe(1000 - 900);
+    expect(amount('me_te')).toBe(500);
+    expect(amount('cost_index')).toBe(-300);
+    expect(diff.attribution.reduce((sum, a) => sum + a.amount, 0)).toBeCloseTo(diff.profitChange);
+
+    expect(diff.rowChanges).toEqual([expect.objectContaining({
+      blueprintName: 'Item 501', categories: ['me_te'], changes: [{ field: 'meLevel', from: 0, to: 10 }],
+    })]);
+    expect(diff.priceMoves.map(m => [m.typeName, m.effect])).toEqual([['Item 500', 1000], ['Item 34', -900]]);
+  });
+
+  test('puts facility changes ahead of the cost index for a row', async () => {
+    await recordPlanRecalculation('P1', {}, async () => true);
+    mockDb.exec(`UPDATE plan_blueprints SET facility_snapshot = '{"name":"Azbel"}'`);
+    mockJobs = [{ key: 'bp', totalJobCost: 300, systemCostIndex: 0.03, estimatedItemValue: 10000 }];
+    await recordPlanRecalculation('P1', {}, async () => true);
+    const [to, from] = getRecalculations('P1');
+
+    const diff = await diffRecalculations(from.recalculationId, to.recalculationId);
+
+    expect(diff.attribution).toEqual([{ category: 'facility', label: 'Facility changes', amount: 200 }]);
+    expect(diff.rowChanges[0].changes).toEqual([{ field: 'facility', from: 'Raitaru', to: 'Azbel' }]);
+  });
+});
+
+describe('retention', () => {
+  const snapshot = { planName: 'Ships', rows: [], materials: [], products: [], jobs: [], totals: {} };
+  const save = (planId, at) => saveRecalculation({ planId, startedAt: at, finishedAt: at, records: [], snapshot });
+
+  test('drops runs older than the retention window', () => {
+    const now = Date.UTC(2026, 5, 1);
+    save('P1', now - 40 * DAY);
+    save('P2', now - 31 * DAY);
+    save('P1', now - 5 * DAY);
+    save('P1', now);
+
+    expect(getRecalculations('P1').map(r => r.startedAt)).toEqual([now, now - 5 * DAY]);
+    expect(getRecalculations('P2')).toEqual([]);
+  });
+
+  test('keeps the newest runs of a plan up to the cap', () => {
+    const now = Date.now();
+    for (let i = 0; i <= MAX_RECALCULATIONS_PER_PLAN; i++) {
+      save('P1', now - (MAX_RECALCULATIONS_PER_PLAN - i) * 1000);
+    }
+
+    const kept = getRecalculations('P1');
+    expect(kept).toHaveLength(MAX_RECALCULATIONS_PER_PLAN);
+    expect(kept[kept.length - 1].startedAt).toBe(now - (MAX_RECALCULATIONS_PER_PLAN - 1) * 1000);
+  });
+});
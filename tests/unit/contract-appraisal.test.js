@@ -0,0 +1,116 @@
+/**
+ * Tests for contract appraisal (contract-appraisal.js):
+ *  - appraiseItems: depth-aware (VWAP) values for buy / sell / reprocess,
+ *    expected profit against the asking price, SVR days-to-liquidate and
+ *    risk ranking.
+ *  - appraiseContract: reads cached orders and history for items and minerals.
+ */
+
+jest.mock('../../src/main/esi-market', () => ({
+  getCachedMarketOrders: jest.fn(),
+  getCachedMarketHistory: jest.fn(),
+}));
+
+const { getCachedMarketOrders, getCachedMarketHistory } = require('../../src/main/esi-market');
+const { appraiseItems, appraiseContract } = require('../../src/main/contract-appraisal');
+
+const SHIELD = 1000;
+const PLATE = 2000;
+const TRITANIUM = 34;
+
+const buy = (price, volume_remain) => ({ is_buy_order: true, price, volume_remain });
+const sell = (price, volume_remain) => ({ is_buy_order: false, price, volume_remain });
+
+const plate = {
+  typeId: PLATE, typeName: 'Plate', quantity: 10, canReprocess: true, portionSize: 1,
+  materials: [{ materialTypeId: TRITANIUM, quantity: 100 }],
+};
+const shield = { typeId: SHIELD, typeName: 'Shield', quantity: 10, canReprocess: false, materials: [] };
+
+describe('appraiseItems', () => {
+  test('walks the book instead of pricing everything at top-of-book', () => {
+    const result = appraiseItems([shield], 0, {
+      ordersByType: { [SHIELD]: [buy(100, 4), buy(50, 4), sell(200, 5), sell(300, 100)] },
+      svrByType: { [SHIELD]: 5 },
+    });
+
+    const [item] = result.items;
+    // 4×100 + 4×50; the last 2 find no buyer
+    expect(item).toMatchObject({ buyValue: 600, buyFilled: 8 });
+    // 5×200 + 5×300 listed against the existing sell book
+    expect(item.sellValue).toBe(2500);
+    expect(item.daysToLiquidate).toBe(2);
+    expect(item.reprocessValue).toBeNull();
+  });
+
+  test('pools minerals across lines and reports profit per strategy', () => {
+    const result = appraiseItems([plate, { ...plate, quantity: 10 }, shield], 5000, {
+      ordersByType: {
+        [PLATE]: [buy(10, 100), sell(20, 100)],
+        [SHIELD]: [buy(100, 100), sell(150, 100)],
+        // 1,000 Tritanium fills the first level; the second 1,000 goes at 1
+        [TRITANIUM]: [buy(2, 1000), buy(1, 5000)],
+      },
+      svrByType: { [PLATE]: 2, [SHIELD]: 100 },
+      yieldByType: { [PLATE]: 1 },
+    });
+
+    expect(result.items).toHaveLength(2);
+    const plateResult = result.items.find(i => i.typeId === PLATE);
+    expect(plateResult).toMatchObject({ quantity: 20, buyValue: 200, reprocessValue: 3000, sellValue: 400 });
+    expect(plateResult.bestStrategy).toBe('reprocess');
+
+    expect(result.strategies.buy).toMatchObject({ value: 1200, profit: -3800 });
+    expect(result.strategies.reprocess).toMatchObject({ value: 4000, daysToLiquidate: 0 });
+    expect(result.strategies.sell).toMatchObject({ value: 1900, daysToLiquidate: 10 });
+    expect(result.strategies.best).toMatchObject({ value: 4500, profit: -500 });
+    expect(result.strategies.best.margin).toBeCloseTo(-0.1);
+    expect(result.expectedProfit).toBe(-500);
+  });
+
+  test('ranks items by ISK that depends on selling through the sell book', () => {
+    const result = appraiseItems([plate, shield], 0, {
+      ordersByType: {
+        [PLATE]: [buy(10, 100), sell(15, 100)],
+        [SHIELD]: [buy(100, 100), sell(400, 100)],
+      },
+      svrByType: { [PLATE]: 100 },
+      yieldByType: { [PLATE]: 1 },
+    });
+
+    // Shield: listed 4,000 vs 1,000 now; Plate: listed 150 vs 100 now
+    expect(result.items.map(i => [i.typeId, i.riskIsk])).toEqual([[SHIELD, 3000], [PLATE, 50]]);
+    expect(result.items[0].riskShare).toBeCloseTo(3000 / 3050);
+    expect(result.items[0].illiquid).toBe(true);
+    expect(result.strategies.best.daysToLiquidate).toBeNull();
+  });
+});
+
+describe('appraiseContract', () => {
+  beforeEach(() => {
+    getCachedMarketOrders.mockReset().mockImplementation((regionId, typeId) => ({
+      [PLATE]: [buy(10, 100)],
+      [TRITANIUM]: [buy(1, 100000)],
+    }[typeId] || []));
+    getCachedMarketHistory.mockReset().mockReturnValue([{ volume: 10 }, { volume: 30 }]);
+  });
+
+  test('prices items and minerals at the selected station with the item\'s yield', () => {
+    const result = appraiseContract({
+      items: [plate],
+      askingPrice: 100,
+      market: { regionId: 10000002, locationId: 60003760 },
+      reprocessingConfig: { stationConfig: { stationType: 'athanor', rig: 'none' }, baseSkills: {}, implantBonus: 0 },
+    });
+
+    expect(getCachedMarketOrders).toHaveBeenCalledWith(10000002, PLATE, { stationId: 60003760 });
+    expect(getCachedMarketOrders).toHaveBeenCalledWith(10000002, TRITANIUM, { stationId: 60003760 });
+    // 10 × 100 × 54% = 540 Tritanium at 1 ISK
+    expect(result.items[0]).toMatchObject({ reprocessValue: 540, svr: 20 });
+    expect(result.strategies.best.profit).toBe(440);
+  });
+
+  test('requires a market', () => {
+    expect(() => appraiseContract({ items: [plate], askingPrice: 0 })).toThrow('No market selected');
+  });
+});
@@ -598,6 +598,191 @@ describe('Database Schema Migrations', () => {
     });
   });
 
+  describe('Migration 025: plan_research_jobs table', () => {
+    const migration = byId('025');
+
+    it('creates plan_research_jobs restricted to research and copy job types', () => {
+      db.exec(`
+        CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY);
+        INSERT INTO manufacturing_plans (plan_id) VALUES ('P1');
+      `);
+
+      migration.up(db);
+
+      const cols = db.prepare('PRAGMA table_info(plan_research_jobs)').all().map(c => c.name);
+      expect(cols).toEqual(expect.arrayContaining(['job_type', 'from_level', 'to_level', 'runs', 'copies', 'is_completed']));
+
+      expect(() => db.prepare(`INSERT INTO plan_research_jobs (research_job_id, plan_id, blueprint_type_id, job_type, added_at)
+        VALUES ('R1','P1',691,'research_me',1)`).run()).not.toThrow();
+      expect(() => db.prepare(`INSERT INTO plan_research_jobs (research_job_id, plan_id, blueprint_type_id, job_type, added_at)
+        VALUES ('R2','P1',691,'invention',1)`).run()).toThrow();
+    });
+
+    it('is idempotent', () => {
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
+  describe('Migration 026: esi_market_orders table', () => {
+    const migration = byId('026');
+
+    it('creates esi_market_orders restricted to known order states', () => {
+      migration.up(db);
+
+      const cols = db.prepare('PRAGMA table_info(esi_market_orders)').all().map(c => c.name);
+      expect(cols).toEqual(expect.arrayContaining(['order_id', 'is_corporation', 'issued_by', 'volume_remain', 'state']));
+
+      expect(() => db.prepare(`INSERT INTO esi_market_orders (order_id, character_id, type_id, region_id, location_id, price, volume_total, volume_remain, issued, state, last_updated)
+        VALUES (1, 1, 587, 10000002, 60003760, 100, 10, 10, 1, 'expired', 1)`).run()).not.toThrow();
+      expect(() => db.prepare(`INSERT INTO esi_market_orders (order_id, character_id, type_id, region_id, location_id, price, volume_total, volume_remain, issued, state, last_updated)
+        VALUES (2, 1, 587, 10000002, 60003760, 100, 10, 10, 1, 'pending', 1)`).run()).toThrow();
+    });
+
+    it('is idempotent', () => {
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
+  describe('Migration 027: mining ledger tables', () => {
+    const migration = byId('027');
+
+    it('keys the mining ledger by character, day, system and ore', () => {
+      migration.up(db);
+
+      const insert = db.prepare(`INSERT INTO esi_mining_ledger (character_id, date, solar_system_id, type_id, quantity, last_updated)
+        VALUES (1, '2026-01-01', 30000142, 1230, ?, 1)`);
+      insert.run(100);
+      expect(() => insert.run(200)).toThrow();
+
+      const cols = db.prepare('PRAGMA table_info(plan_mining_allocations)').all().map(c => c.name);
+      expect(cols).toEqual(expect.arrayContaining(['allocation_id', 'plan_id', 'ore_type_id', 'ore_quantity', 'yield_rate']));
+    });
+
+    it('is idempotent', () => {
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
+  describe('Migration 028: job match feedback', () => {
+    const migration = byId('028');
+
+    it('adds location_id to industry jobs and only accepts confirm/reject decisions', () => {
+      db.exec('CREATE TABLE esi_industry_jobs (job_id INTEGER PRIMARY KEY, facility_id INTEGER)');
+      migration.up(db);
+
+      const cols = db.prepare('PRAGMA table_info(esi_industry_jobs)').all().map(c => c.name);
+      expect(cols).toContain('location_id');
+
+      const insert = db.prepare(`INSERT INTO job_match_feedback (feedback_id, match_id, plan_id, job_id, decision, features, created_at)
+        VALUES (?, 'M1', 'P1', 1, ?, '{}', 1)`);
+      expect(() => insert.run('F1', 'confirmed')).not.toThrow();
+      expect(() => insert.run('F2', 'maybe')).toThrow();
+    });
+
+    it('is idempotent', () => {
+      db.exec('CREATE TABLE esi_industry_jobs (job_id INTEGER PRIMARY KEY)');
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
+  describe('Migration 029: plan lifecycle', () => {
+    const migration = byId('029');
+
+    beforeEach(() => {
+      db.exec(`
+        CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, status TEXT);
+        INSERT INTO manufacturing_plans VALUES ('P1', 'completed'), ('P2', 'active'), ('P3', 'archived');
+        CREATE TABLE plan_asset_allocations (allocation_id TEXT PRIMARY KEY, plan_id TEXT, type_id INTEGER,
+          quantity INTEGER, is_corporation INTEGER DEFAULT 0, allocated_at INTEGER);
+      `);
+    });
+
+    it('closes completed plans and links allocations to the stockpile', () => {
+      migration.up(db);
+
+      const statuses = db.prepare('SELECT plan_id, status FROM manufacturing_plans ORDER BY plan_id').all();
+      expect(statuses.map(p => p.status)).toEqual(['closed', 'active', 'archived']);
+
+      const cols = db.prepare('PRAGMA table_info(plan_asset_allocations)').all().map(c => c.name);
+      expect(cols).toEqual(expect.arrayContaining(['stockpile_id', 'unit_price']));
+
+      const insert = db.prepare(`INSERT INTO plan_stockpile (stockpile_id, type_id, kind, quantity, created_at) VALUES (?, 34, ?, 10, 1)`);
+      expect(() => insert.run('S1', 'material')).not.toThrow();
+      expect(() => insert.run('S2', 'product')).toThrow();
+    });
+
+    it('is idempotent', () => {
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
+  describe('Migration 030: plan templates', () => {
+    const migration = byId('030');
+
+    beforeEach(() => {
+      db.exec(`
+        PRAGMA foreign_keys = ON;
+        CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, status TEXT);
+        INSERT INTO manufacturing_plans VALUES ('P1', 'draft');
+      `);
+    });
+
+    it('keeps cycles when their plan is deleted and drops them with the template', () => {
+      migration.up(db);
+
+      db.exec(`
+        INSERT INTO plan_templates (template_id, character_id, template_name, definition, created_at, updated_at)
+          VALUES ('T1', 1, 'Weekly', '{}', 1, 1);
+        INSERT INTO plan_template_cycles (cycle_id, template_id, plan_id, cycle_number, multiplier, trigger, created_at)
+          VALUES ('C1', 'T1', 'P1', 1, 1, 'manual', 1);
+      `);
+
+      db.exec("DELETE FROM manufacturing_plans WHERE plan_id = 'P1'");
+      expect(db.prepare("SELECT plan_id FROM plan_template_cycles WHERE cycle_id = 'C1'").get().plan_id).toBeNull();
+
+      db.exec("DELETE FROM plan_templates WHERE template_id = 'T1'");
+      expect(db.prepare('SELECT COUNT(*) AS n FROM plan_template_cycles').get().n).toBe(0);
+    });
+
+    it('is idempotent', () => {
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
+  describe('Migration 031: plan buy items', () => {
+    const migration = byId('031');
+
+    beforeEach(() => {
+      db.exec(`
+        PRAGMA foreign_keys = ON;
+        CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, status TEXT);
+        INSERT INTO manufacturing_plans VALUES ('P1', 'draft');
+      `);
+    });
+
+    it('keeps one row per plan and type and drops them with the plan', () => {
+      migration.up(db);
+
+      const insert = db.prepare('INSERT INTO plan_buy_items (plan_id, type_id, quantity, added_at) VALUES (?, ?, ?, ?)');
+      insert.run('P1', 3001, 2, 1);
+      expect(() => insert.run('P1', 3001, 1, 2)).toThrow();
+
+      db.exec("DELETE FROM manufacturing_plans WHERE plan_id = 'P1'");
+      expect(db.prepare('SELECT COUNT(*) AS n FROM plan_buy_items').get().n).toBe(0);
+    });
+
+    it('is idempotent', () => {
+      migration.up(db);
+      expect(() => migration.up(db)).not.toThrow();
+    });
+  });
+
   describe('Migration system', () => {
     it('should have valid migration structure', () => {
       expect(migrations).toBeInstanceOf(Array);
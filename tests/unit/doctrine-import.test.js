@@ -0,0 +1,188 @@
+/**
+ * Tests for doctrine (EFT fitting) import:
+ *  - parseEftFittings reads hulls, modules, loaded charges, drones and cargo
+ *  - previewDoctrine multiplies by fleet size, subtracts unfitted assets and
+ *    splits items into blueprint rows and priced buy-only items
+ *  - createPlanFromDoctrine adds one blueprint row per item to build and
+ *    the buy-only items as priced buy items
+ */
+
+const mockTypes = {
+  Ishtar: { typeId: 12005, categoryID: 6, groupName: 'Heavy Assault Cruiser', blueprintTypeId: 12006, perRun: 1 },
+  'Drone Damage Amplifier II': { typeId: 4405, categoryID: 7, groupName: 'Drone Damage Modules', blueprintTypeId: 4406, perRun: 1 },
+  'Medium Armor Repairer II': { typeId: 3530, categoryID: 7, groupName: 'Armor Repair Unit', blueprintTypeId: 3531, perRun: 1 },
+  'Medium Drone Speed Augmentor I': { typeId: 31366, categoryID: 7, groupName: 'Rig Drones', blueprintTypeId: 31367, perRun: 1 },
+  'Heavy Missile Launcher II': { typeId: 2410, categoryID: 7, groupName: 'Missile Launcher Heavy', blueprintTypeId: 2411, perRun: 1 },
+  'Scourge Fury Heavy Missile': { typeId: 2629, categoryID: 8, groupName: 'Advanced Heavy Missile', blueprintTypeId: 2630, perRun: 100 },
+  'Hammerhead II': { typeId: 2185, categoryID: 18, groupName: 'Combat Drone', blueprintTypeId: 2186, perRun: 1 },
+  'Gist X-Type 100MN Afterburner': { typeId: 19325, categoryID: 7, groupName: 'Propulsion Module', blueprintTypeId: null },
+  'Nanite Repair Paste': { typeId: 28668, categoryID: 17, groupName: 'Commodities', blueprintTypeId: null },
+};
+const mockByTypeId = Object.fromEntries(Object.entries(mockTypes).map(([name, t]) => [t.typeId, { name, ...t }]));
+
+jest.mock('../../src/main/sde-database', () => ({
+  searchItemsByExactName: jest.fn(async (names) => {
+    const result = {};
+    for (const name of names) {
+      if (mockTypes[name]) result[name] = { typeId: mockTypes[name].typeId, typeName: name };
+    }
+    return result;
+  }),
+  getTypeCategoryInfo: jest.fn(async (typeIds) => Object.fromEntries(typeIds.map(id => [id, {
+    categoryID: mockByTypeId[id].categoryID, groupName: mockByTypeId[id].groupName,
+  }]))),
+}));
+
+jest.mock('../../src/main/blueprint-calculator', () => ({
+  getBlueprintForProduct: jest.fn((typeId) => mockByTypeId[typeId]?.blueprintTypeId ?? null),
+  getBlueprintProduct: jest.fn((blueprintTypeId) => {
+    const type = Object.values(mockTypes).find(t => t.blueprintTypeId === blueprintTypeId);
+    return { typeID: type.typeId, quantity: type.perRun };
+  }),
+  getOwnedBlueprintME: jest.fn((characterId, blueprintTypeId) => (blueprintTypeId === 4406 ? 10 : 0)),
+}));
+
+const mockAssets = [];
+jest.mock('../../src/main/esi-assets', () => ({
+  getAssets: jest.fn((characterId, isCorporation) => (isCorporation ? [] : mockAssets)),
+}));
+
+jest.mock('../../src/main/settings-manager', () => ({
+  resolveMarketSetForTool: jest.fn(() => ({ id: 'jita', inputMaterials: { priceType: 'sell' } })),
+  getManufacturingFacility: jest.fn((id) => (id === 'raitaru' ? { id: 'raitaru', name: 'Home Raitaru' } : null)),
+}));
+
+jest.mock('../../src/main/blueprint-pricing', () => ({
+  getInputLocation: jest.fn(() => ({ regionId: 10000002, locationId: 60003760 })),
+}));
+
+jest.mock('../../src/main/market-pricing', () => ({
+  calculateRealisticPrice: jest.fn(async (typeId) => ({ price: typeId === 19325 ? 50000000 : 15000 })),
+}));
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  createManufacturingPlan: jest.fn((characterId, planName, description) => ({ planId: 'NEW', planName, description })),
+  addBlueprintToPlan: jest.fn(async () => ({})),
+  addPlanBuyItems: jest.fn(() => 2),
+}));
+
+const { parseEftFittings, previewDoctrine, createPlanFromDoctrine } = require('../../src/main/doctrine-import');
+const { createManufacturingPlan, addBlueprintToPlan, addPlanBuyItems } = require('../../src/main/manufacturing-plans');
+
+const ISHTAR = `[Ishtar, Fleet Ishtar]
+Drone Damage Amplifier II
+Drone Damage Amplifier II
+Medium Armor Repairer II /OFFLINE
+[Empty Low slot]
+
+Gist X-Type 100MN Afterburner
+
+Heavy Missile Launcher II, Scourge Fury Heavy Missile
+Heavy Missile Launcher II, Scourge Fury Heavy Missile
+
+Medium Drone Speed Augmentor I
+Medium Drone Speed Augmentor I
+
+
+Hammerhead II x5
+
+Scourge Fury Heavy Missile x500
+Nanite Repair Paste x50
+Mystery Module
+`;
+
+beforeEach(() => {
+  mockAssets.length = 0;
+  jest.clearAllMocks();
+});
+
+describe('parseEftFittings', () => {
+  test('reads the hull, modules, loaded charges and stacks', () => {
+    const { fits, parseErrors } = parseEftFittings(ISHTAR);
+
+    expect(parseErrors).toEqual([]);
+    expect(fits).toHaveLength(1);
+    expect(fits[0]).toMatchObject({ hullName: 'Ishtar', fitName: 'Fleet Ishtar' });
+
+    const quantity = (name, loaded = false) => fits[0].items.find(i => i.name === name && i.loaded === loaded)?.quantity;
+    expect(quantity('Drone Damage Amplifier II')).toBe(2);
+    expect(quantity('Medium Armor Repairer II')).toBe(1);
+    expect(quantity('Scourge Fury Heavy Missile', true)).toBe(2);
+    expect(quantity('Scourge Fury Heavy Missile')).toBe(500);
+    expect(quantity('Hammerhead II')).toBe(5);
+    expect(fits[0].items.some(i => /Empty/.test(i.name))).toBe(false);
+  });
+
+  test('splits several fits and reports lines before the first header', () => {
+    const { fits, parseErrors } = parseEftFittings('stray line\n[Ishtar]\nHammerhead II x5\n\n[Ishtar, Second]\nHammerhead II x2');
+
+    expect(parseErrors).toEqual(['stray line']);
+    expect(fits.map(f => [f.fitName, f.items[0].quantity])).toEqual([['Ishtar', 5], ['Second', 2]]);
+  });
+});
+
+describe('previewDoctrine', () => {
+  test('multiplies by fleet size, subtracts unfitted assets and sizes the runs', async () => {
+    mockAssets.push(
+      { typeId: 2185, quantity: 12, locationFlag: 'Hangar' },
+      { typeId: 2185, quantity: 5, locationFlag: 'DroneBay' },
+      { typeId: 4405, quantity: 3, locationFlag: 'LoSlot0' }
+    );
+
+    const preview = await previewDoctrine(ISHTAR, { characterId: 1001, fleetQuantity: 10 });
+    const item = name => preview.items.find(i => i.typeName === name);
+
+    expect(preview.unresolvedNames).toEqual(['Mystery Module']);
+    expect(item('Ishtar')).toMatchObject({ kind: 'hull', perFleet: 10, runs: 10, build: true });
+    expect(item('Hammerhead II')).toMatchObject({ kind: 'drone', perFleet: 50, owned: 12, toAcquire: 38, runs: 38 });
+    expect(item('Drone Damage Amplifier II')).toMatchObject({ kind: 'module', owned: 0, toAcquire: 20 });
+    expect(item('Medium Drone Speed Augmentor I').kind).toBe('rig');
+    // 20 loaded + 5000 in cargo, 100 missiles per run
+    expect(item('Scourge Fury Heavy Missile')).toMatchObject({ kind: 'charge', perFleet: 5020, runs: 51 });
+  });
+
+  test('lists unbuildable and unticked items as buy-only with market prices', async () => {
+    const preview = await previewDoctrine(ISHTAR, { characterId: 1001, fleetQuantity: 2, buyTypeIds: [2185] });
+
+    expect(preview.buyOnly.map(i => [i.typeName, i.toAcquire, i.unitPrice])).toEqual([
+      ['Gist X-Type 100MN Afterburner', 2, 50000000],
+      ['Hammerhead II', 10, 15000],
+      ['Nanite Repair Paste', 100, 15000],
+    ]);
+    expect(preview.buyOnlyTotal).toBe(100000000 + 150000 + 1500000);
+    expect(preview.build.some(i => i.typeName === 'Hammerhead II')).toBe(false);
+  });
+
+  test('uses per-fit quantities when given', async () => {
+    const preview = await previewDoctrine('[Ishtar, A]\nHammerhead II x5\n\n[Ishtar, B]\nHammerhead II x2', {
+      fleetQuantity: 1, fitQuantities: { 1: 3 }, subtractAssets: false,
+    });
+
+    expect(preview.fits.map(f => f.ships)).toEqual([1, 3]);
+    expect(preview.items.find(i => i.typeName === 'Hammerhead II').perFleet).toBe(11);
+  });
+
+  test('rejects text without fits', async () => {
+    await expect(previewDoctrine('Hammerhead II x5')).rejects.toThrow('No EFT fittings found');
+  });
+});
+
+describe('createPlanFromDoctrine', () => {
+  test('adds a blueprint row per item to build and buys the buy-only items', async () => {
+    const result = await createPlanFromDoctrine(ISHTAR, { characterId: 1001, fleetQuantity: 1, facilityId: 'raitaru' });
+
+    expect(createManufacturingPlan).toHaveBeenCalledWith(1001, 'Doctrine: Fleet Ishtar x1', 'Imported from EFT.');
+    expect(addPlanBuyItems).toHaveBeenCalledWith('NEW', [
+      { typeId: 19325, quantity: 1, unitPrice: 50000000 },
+      { typeId: 28668, quantity: 50, unitPrice: 15000 },
+    ]);
+    expect(result).toMatchObject({ planId: 'NEW', blueprintsAdded: 7, unresolvedNames: ['Mystery Module'] });
+    expect(addBlueprintToPlan).toHaveBeenCalledWith('NEW', {
+      blueprintTypeId: 4406, runs: 2, meLevel: 10, facilityId: 'raitaru', facilitySnapshot: { id: 'raitaru', name: 'Home Raitaru' },
+    });
+  });
+
+  test('requires a character', async () => {
+    await expect(createPlanFromDoctrine(ISHTAR, {})).rejects.toThrow('A character is required');
+  });
+});
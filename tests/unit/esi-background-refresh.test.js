@@ -2,7 +2,8 @@
  * Unit tests for the global background refresh cycle.
  *
  * Covers: runRefreshCycle enumerates characters + corp dedup; a throwing /
- * rate-limited / scope-error character doesn't abort the others; start/stop
+ * rate-limited / scope-error character doesn't abort the others; open plans are
+ * matched and evaluated after the fetches; start/stop
  * set/clear the interval (fake timers); start is idempotent.
  */
 
@@ -27,11 +28,30 @@ jest.mock('../../src/main/esi-wallet', () => ({
   saveWalletJournal: jest.fn(),
 }));
 
+jest.mock('../../src/main/esi-orders', () => ({
+  fetchCharacterOrders: jest.fn(),
+  fetchCharacterOrderHistory: jest.fn(),
+  fetchCorporationOrders: jest.fn(),
+  saveMarketOrders: jest.fn(),
+}));
+
+jest.mock('../../src/main/esi-mining', () => ({
+  fetchMiningLedger: jest.fn(),
+  saveMiningLedger: jest.fn(),
+}));
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  updateOpenPlans: jest.fn(),
+}));
+
 let refresh;
 let getCharacters;
 let fetchCharacterIndustryJobs, fetchCorporationIndustryJobs, saveIndustryJobs;
 let fetchCharacterWalletTransactions, saveWalletTransactions;
 let fetchCorporationWalletTransactions, fetchCharacterWalletJournal, fetchCorporationWalletJournal, saveWalletJournal;
+let fetchCharacterOrders, fetchCharacterOrderHistory, fetchCorporationOrders, saveMarketOrders;
+let fetchMiningLedger, saveMiningLedger;
+let updateOpenPlans;
 
 beforeEach(() => {
   jest.resetModules();
@@ -43,6 +63,10 @@ beforeEach(() => {
   ({ fetchCharacterWalletTransactions, saveWalletTransactions,
      fetchCorporationWalletTransactions, fetchCharacterWalletJournal,
      fetchCorporationWalletJournal, saveWalletJournal } = require('../../src/main/esi-wallet'));
+  ({ fetchCharacterOrders, fetchCharacterOrderHistory, fetchCorporationOrders, saveMarketOrders } =
+    require('../../src/main/esi-orders'));
+  ({ fetchMiningLedger, saveMiningLedger } = require('../../src/main/esi-mining'));
+  ({ updateOpenPlans } = require('../../src/main/manufacturing-plans'));
   refresh = require('../../src/main/esi-background-refresh');
 
   // Sensible default happy-path fetcher responses.
@@ -52,6 +76,11 @@ beforeEach(() => {
   fetchCharacterWalletJournal.mockResolvedValue({ entries: [], lastUpdated: 1 });
   fetchCorporationWalletTransactions.mockResolvedValue({ transactions: [], lastUpdated: 1 });
   fetchCorporationWalletJournal.mockResolvedValue({ entries: [], lastUpdated: 1 });
+  fetchCharacterOrders.mockResolvedValue({ orders: [], lastUpdated: 1 });
+  fetchCharacterOrderHistory.mockResolvedValue({ orders: [], lastUpdated: 1, isHistory: true });
+  fetchCorporationOrders.mockResolvedValue({ orders: [], lastUpdated: 1, isCorporation: true });
+  fetchMiningLedger.mockResolvedValue({ entries: [], lastUpdated: 1 });
+  updateOpenPlans.mockResolvedValue({ plansEvaluated: 0, transitions: [] });
 });
 
 describe('buildCorporationCharacterMap', () => {
@@ -178,6 +207,64 @@ describe('runRefreshCycle', () => {
     expect(fetchCorporationWalletJournal).toHaveBeenCalledTimes(2);
   });
 
+  test('saves open orders (closing vanished ones) and order history', async () => {
+    getCharacters.mockReturnValue([{ characterId: 1, corporationId: null }]);
+    fetchCharacterOrderHistory.mockResolvedValue({ orders: [{ order_id: 7 }], lastUpdated: 1, isHistory: true });
+
+    await refresh.runRefreshCycle();
+
+    // An empty open list is still saved: it closes orders that were open before.
+    expect(saveMarketOrders).toHaveBeenCalledTimes(2);
+    expect(saveMarketOrders).toHaveBeenLastCalledWith(expect.objectContaining({ isHistory: true }));
+  });
+
+  test('does not save corp orders it could not read', async () => {
+    getCharacters.mockReturnValue([{ characterId: 1, corporationId: 100 }]);
+    fetchCorporationOrders.mockResolvedValue({ orders: [], isCorporation: true, unavailable: true });
+
+    await refresh.runRefreshCycle();
+
+    expect(fetchCorporationOrders).toHaveBeenCalledWith(1, 100);
+    expect(saveMarketOrders).not.toHaveBeenCalledWith(expect.objectContaining({ isCorporation: true }));
+  });
+
+  test('saves the mining ledger unless the fetch was gated', async () => {
+    getCharacters.mockReturnValue([{ characterId: 1, corporationId: null }, { characterId: 2, corporationId: null }]);
+    fetchMiningLedger
+      .mockResolvedValueOnce({ entries: [{ type_id: 1230 }], characterId: 1, lastUpdated: 1 })
+      .mockResolvedValueOnce({ entries: [], characterId: 2, lastUpdated: 1, skipped: true });
+
+    await refresh.runRefreshCycle();
+
+    expect(fetchMiningLedger).toHaveBeenCalledTimes(2);
+    expect(saveMiningLedger).toHaveBeenCalledTimes(1);
+    expect(saveMiningLedger).toHaveBeenCalledWith(expect.objectContaining({ characterId: 1 }));
+  });
+
+  test('updates open plans once the fetches are done', async () => {
+    getCharacters.mockReturnValue([{ characterId: 1, corporationId: null }]);
+    updateOpenPlans.mockImplementation(async () => {
+      // Everything fetched this cycle is saved before plans are matched
+      expect(saveIndustryJobs).toHaveBeenCalled();
+      return { plansEvaluated: 2, transitions: [{ planId: 'P1', previousStatus: 'draft', status: 'active' }] };
+    });
+
+    const summary = await refresh.runRefreshCycle();
+
+    expect(updateOpenPlans).toHaveBeenCalledTimes(1);
+    expect(summary.plans.transitions).toEqual([{ planId: 'P1', previousStatus: 'draft', status: 'active' }]);
+  });
+
+  test('a failing open plan update is recorded, not thrown', async () => {
+    getCharacters.mockReturnValue([{ characterId: 1, corporationId: null }]);
+    updateOpenPlans.mockRejectedValue(new Error('db locked'));
+
+    const summary = await refresh.runRefreshCycle();
+
+    expect(summary.errors).toContainEqual({ task: 'open_plans', error: 'db locked' });
+    expect(summary.finishedAt).toBeDefined();
+  });
+
   test('defaults to division 1 when no divisions configured', async () => {
     const { getCharacterDivisionSettings } = require('../../src/main/settings-manager');
     getCharacterDivisionSettings.mockReturnValue({ enabledDivisions: [] });
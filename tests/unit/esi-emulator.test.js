@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the offline ESI emulator.
+ *
+ * Covers: route matching (datasource/page ignored, type_id filtering);
+ * X-Pages pagination and expires headers; bearer-token checks (expiry,
+ * character mismatch, corporation membership, scopes); the SSO refresh grant
+ * rotating tokens; injected faults; the error budget running out into 420s.
+ */
+
+const path = require('path');
+const {
+  loadEsiFixture,
+  createEsiEmulator,
+  installEsiEmulator,
+  routeKey,
+} = require('../../src/main/esi-emulator');
+
+const FIXTURE = loadEsiFixture(path.join(__dirname, '../fixtures/esi/two-characters.json'));
+const ESI = 'https://esi.evetech.net/latest';
+const ARIA = 90000001;
+const BRAM = 90000002;
+
+let clock;
+let emulator;
+
+function authed(tokens) {
+  return { headers: { Authorization: `Bearer ${tokens.access_token}` } };
+}
+
+beforeEach(() => {
+  clock = Date.parse('2026-03-10T12:00:00Z');
+  emulator = createEsiEmulator(FIXTURE, { now: () => clock });
+});
+
+describe('routeKey', () => {
+  test('drops the version prefix and paging/tuning parameters', () => {
+    expect(routeKey(new URL(`${ESI}/characters/1/industry/jobs/?datasource=tranquility&include_completed=true&page=3`)))
+      .toEqual({ path: '/characters/1/industry/jobs/', key: '/characters/1/industry/jobs/', page: 3 });
+    expect(routeKey(new URL(`${ESI}/markets/10000002/history/?type_id=34&datasource=tranquility`)).key)
+      .toBe('/markets/10000002/history/?type_id=34');
+  });
+});
+
+describe('public routes', () => {
+  test('serves a body with expires and error-limit headers', async () => {
+    const response = await emulator.fetch(`${ESI}/markets/prices/?datasource=tranquility`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toHaveLength(3);
+    expect(Date.parse(response.headers.get('expires'))).toBe(clock + 3600 * 1000);
+    expect(response.headers.get('X-ESI-Error-Limit-Remain')).toBe('100');
+  });
+
+  test('filters a region order book by type_id', async () => {
+    const response = await emulator.fetch(`${ESI}/markets/10000002/orders/?datasource=tranquility&type_id=34&page=1`);
+    const orders = await response.json();
+
+    expect(orders.map(o => o.order_id)).toEqual([6100000001, 6100000002]);
+    expect(response.headers.get('X-Pages')).toBe('1');
+  });
+
+  test('unknown routes are 404s', async () => {
+    expect((await emulator.fetch(`${ESI}/universe/types/34/`)).status).toBe(404);
+  });
+});
+
+describe('pagination', () => {
+  test('splits array routes into pages and 404s past the last one', async () => {
+    const tokens = emulator.issueTokens(ARIA);
+    const url = `${ESI}/characters/${ARIA}/wallet/journal/?datasource=tranquility`;
+
+    const first = await emulator.fetch(`${url}&page=1`, authed(tokens));
+    const last = await emulator.fetch(`${url}&page=3`, authed(tokens));
+
+    expect(first.headers.get('X-Pages')).toBe('3');
+    expect((await first.json()).map(e => e.id)).toEqual([8000000001, 8000000002]);
+    expect((await last.json()).map(e => e.id)).toEqual([8000000005]);
+    expect((await emulator.fetch(`${url}&page=4`, authed(tokens))).status).toBe(404);
+  });
+});
+
+describe('authorization', () => {
+  test('requires a valid, unexpired token for the same character', async () => {
+    const url = `${ESI}/characters/${ARIA}/skills/?datasource=tranquility`;
+    const aria = emulator.issueTokens(ARIA);
+    const bram = emulator.issueTokens(BRAM);
+
+    expect((await emulator.fetch(url)).status).toBe(401);
+    expect((await emulator.fetch(url, authed(bram))).status).toBe(403);
+    expect((await emulator.fetch(url, authed(aria))).status).toBe(200);
+
+    clock += 1200 * 1000;
+    const expired = await emulator.fetch(url, authed(aria));
+    expect(expired.status).toBe(401);
+    expect(await expired.text()).toContain('token is expired');
+  });
+
+  test('corporation routes need membership and the route scope', async () => {
+    const bram = emulator.issueTokens(BRAM);
+    const response = await emulator.fetch(`${ESI}/corporations/98000001/industry/jobs/`, authed(bram));
+
+    expect(response.status).toBe(403);
+    expect(await response.text()).toContain('token not valid for scope');
+
+    emulator.setRoute('/corporations/98000002/orders/', []);
+    const other = await emulator.fetch(`${ESI}/corporations/98000002/orders/`, authed(emulator.issueTokens(ARIA)));
+    expect(await other.text()).toContain('required role');
+  });
+
+  test('the refresh grant rotates tokens and verify reports the character', async () => {
+    const original = emulator.issueTokens(ARIA);
+    emulator.expireAccessTokens(ARIA);
+
+    const refresh = () => emulator.fetch('https://login.eveonline.com/v2/oauth/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'refresh_token', refresh_token: original.refresh_token }).toString(),
+    });
+
+    const response = await refresh();
+    const tokens = await response.json();
+    expect(response.status).toBe(200);
+    expect(tokens.refresh_token).not.toBe(original.refresh_token);
+
+    // The old refresh token was revoked by the rotation
+    expect((await refresh()).status).toBe(400);
+
+    const verify = await emulator.fetch('https://login.eveonline.com/oauth/verify', authed(tokens));
+    expect(await verify.json()).toMatchObject({ CharacterID: ARIA, CharacterName: 'Aria Vex' });
+  });
+});
+
+describe('fault injection and the error budget', () => {
+  test('injected faults apply to the next matching requests only', async () => {
+    emulator.inject('/markets/prices/', { status: 429, retryAfter: 30 });
+    emulator.inject(/^\/industry\//, { status: 503, times: 2 });
+
+    const limited = await emulator.fetch(`${ESI}/markets/prices/`);
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBe('30');
+    expect((await emulator.fetch(`${ESI}/markets/prices/`)).status).toBe(200);
+
+    expect((await emulator.fetch(`${ESI}/industry/systems/`)).status).toBe(503);
+    expect((await emulator.fetch(`${ESI}/industry/systems/`)).status).toBe(503);
+    expect((await emulator.fetch(`${ESI}/industry/systems/`)).status).toBe(200);
+
+    emulator.inject('/status/', { networkError: true });
+    await expect(emulator.fetch(`${ESI}/status/`)).rejects.toThrow('fetch failed');
+  });
+
+  test('errors spend the budget; once it is gone every request is a 420 until the window resets', async () => {
+    for (let i = 0; i < 99; i++) await emulator.fetch(`${ESI}/nope/`);
+    const lastError = await emulator.fetch(`${ESI}/nope/`);
+    expect(lastError.headers.get('X-ESI-Error-Limit-Remain')).toBe('0');
+
+    const blocked = await emulator.fetch(`${ESI}/markets/prices/`);
+    expect(blocked.status).toBe(420);
+
+    clock += 60 * 1000;
+    const after = await emulator.fetch(`${ESI}/markets/prices/`);
+    expect(after.status).toBe(200);
+    expect(after.headers.get('X-ESI-Error-Limit-Remain')).toBe('100');
+  });
+
+  test('an injected 420 spends the whole budget', async () => {
+    emulator.inject('/status/', { status: 420 });
+    expect((await emulator.fetch(`${ESI}/status/`)).status).toBe(420);
+    expect((await emulator.fetch(`${ESI}/markets/prices/`)).status).toBe(420);
+  });
+});
+
+describe('installEsiEmulator', () => {
+  test('routes ESI and SSO hosts to the emulator and everything else to the previous fetch', async () => {
+    const previous = global.fetch;
+    const passthrough = jest.fn(async () => new Response('elsewhere'));
+    global.fetch = passthrough;
+
+    const uninstall = installEsiEmulator(emulator);
+    try {
+      expect((await fetch(`${ESI}/markets/prices/`)).status).toBe(200);
+      expect(await (await fetch('https://www.fuzzwork.co.uk/dump/')).text()).toBe('elsewhere');
+      expect(emulator.getRequests('/markets/')).toHaveLength(1);
+    } finally {
+      uninstall();
+      expect(global.fetch).toBe(passthrough);
+      global.fetch = previous;
+    }
+  });
+});
@@ -36,6 +36,10 @@ const TRACKED_ENDPOINT_TYPES = [
   'blueprints',
   'corporation_blueprints',
   'corporation_divisions',
+  'character_orders',
+  'character_orders_history',
+  'corporation_orders',
+  'character_mining',
   'market_orders',
   'market_history',
   'adjusted_prices',
@@ -42,7 +42,8 @@ function makeJobsDb() {
       is_corporation INTEGER DEFAULT 0,
       corporation_id INTEGER,
       cost REAL,
-      product_type_id INTEGER
+      product_type_id INTEGER,
+      location_id INTEGER
     );
   `);
   return db;
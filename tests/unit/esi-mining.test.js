@@ -0,0 +1,203 @@
+/**
+ * Tests for mining ledger import and ore-to-plan sourcing (esi-mining.js):
+ *  - saveMiningLedger: ESI running totals replace the stored quantity.
+ *  - getAvailableOre: allocations hold ore only while their ledger rows exist.
+ *  - planOreSourcing: greedy ore choice, yield-adjusted coverage and
+ *    opportunity-cost unit prices.
+ *  - applyMiningSourcing / removeMiningAllocation against a plan.
+ */
+
+const RealDatabase = require('better-sqlite3');
+const { calculateReprocessingYield } = require('../../src/main/reprocessing-calculator');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+jest.mock('../../src/main/esi-fetch', () => ({ esiFetch: jest.fn() }));
+
+const VELDSPAR = 1230;
+const SCORDITE = 1228;
+const TRITANIUM = 34;
+const PYERITE = 35;
+
+jest.mock('../../src/main/sde-database', () => ({
+  getReprocessingMaterials: jest.fn(async (ids) => Object.fromEntries(ids.filter(id => id === 1230).map(id =>
+    [id, { portionSize: 100, materials: [{ materialTypeId: 34, quantity: 400 }] }]))),
+  getTypeCategoryInfo: jest.fn(async (ids) => Object.fromEntries(ids.map(id => [id, { categoryID: 25, groupID: 462 }]))),
+  getTypeNames: jest.fn(async (ids) => Object.fromEntries(ids.map(id => [id, id === 1230 ? 'Veldspar' : `Type ${id}`]))),
+}));
+
+let mockPlanMaterials = [];
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanMaterials: jest.fn(async () => mockPlanMaterials),
+}));
+let mockSkillLevels = {};
+jest.mock('../../src/main/settings-manager', () => ({
+  resolveMarketSetForTool: jest.fn(() => ({ outputProducts: { priceType: 'sell' } })),
+  getEffectiveSkillLevel: jest.fn((characterId, skillId) => mockSkillLevels[characterId]?.[skillId] ?? 0),
+}));
+jest.mock('../../src/main/blueprint-pricing', () => ({
+  getOutputLocation: jest.fn(() => ({ regionId: 10000002, locationId: 60003760 })),
+}));
+jest.mock('../../src/main/market-pricing', () => ({
+  calculateRealisticPrice: jest.fn(async (typeId) => ({ price: { 1230: 15, 34: 4 }[typeId] || 0 })),
+}));
+
+const {
+  saveMiningLedger,
+  getMiningLedger,
+  getAvailableOre,
+  planOreSourcing,
+  applyMiningSourcing,
+  removeMiningAllocation,
+} = require('../../src/main/esi-mining');
+
+function buildDb() {
+  mockDb = new RealDatabase(':memory:');
+  mockDb.exec(`
+    CREATE TABLE esi_mining_ledger (
+      character_id INTEGER NOT NULL, date TEXT NOT NULL, solar_system_id INTEGER NOT NULL, type_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL, last_updated INTEGER NOT NULL, cache_expires_at INTEGER,
+      PRIMARY KEY (character_id, date, solar_system_id, type_id)
+    );
+    CREATE TABLE plan_mining_allocations (
+      allocation_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, ore_type_id INTEGER NOT NULL,
+      ore_quantity INTEGER NOT NULL, ore_value REAL, yield_rate REAL NOT NULL, created_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_material_ledger (
+      ledger_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, type_id INTEGER NOT NULL, event_type TEXT NOT NULL,
+      quantity REAL NOT NULL, method TEXT NOT NULL, unit_price REAL, note TEXT, source_ref TEXT,
+      source_type TEXT, source_id INTEGER, created_at INTEGER NOT NULL
+    );
+    CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, character_id INTEGER);
+    INSERT INTO manufacturing_plans VALUES ('P1', 1);
+  `);
+}
+
+function saveEntries(characterId, entries, lastUpdated = 1) {
+  saveMiningLedger({ characterId, entries, lastUpdated, cacheExpiresAt: null });
+}
+
+beforeEach(() => {
+  buildDb();
+  mockPlanMaterials = [];
+  mockSkillLevels = {};
+});
+
+afterEach(() => {
+  mockDb.close();
+});
+
+describe('saveMiningLedger', () => {
+  test('replaces a day\'s running total instead of adding to it', () => {
+    saveEntries(1, [{ date: '2026-01-01', solar_system_id: 30000142, type_id: VELDSPAR, quantity: 400 }]);
+    saveEntries(1, [
+      { date: '2026-01-01', solar_system_id: 30000142, type_id: VELDSPAR, quantity: 1000 },
+      { date: '2026-01-02', solar_system_id: 30000142, type_id: SCORDITE, quantity: 50 },
+    ], 2);
+    saveEntries(2, [{ date: '2026-01-01', solar_system_id: 30000142, type_id: VELDSPAR, quantity: 300 }]);
+
+    expect(getMiningLedger({ characterIds: [1] }).map(r => [r.date, r.typeId, r.quantity])).toEqual([
+      ['2026-01-02', SCORDITE, 50],
+      ['2026-01-01', VELDSPAR, 1000],
+    ]);
+    expect(getMiningLedger({ since: '2026-01-02' })).toHaveLength(1);
+    expect(getAvailableOre().find(o => o.typeId === VELDSPAR)).toMatchObject({ mined: 1300, available: 1300 });
+  });
+});
+
+describe('planOreSourcing', () => {
+  const veldspar = {
+    typeId: VELDSPAR, available: 1000, yieldRate: 0.5, orePrice: 15,
+    reprocessingData: { portionSize: 100, materials: [{ materialTypeId: TRITANIUM, quantity: 400 }] },
+  };
+  const scordite = {
+    typeId: SCORDITE, available: 500, yieldRate: 0.5, orePrice: 0,
+    reprocessingData: { portionSize: 100, materials: [
+      { materialTypeId: TRITANIUM, quantity: 150 },
+      { materialTypeId: PYERITE, quantity: 90 },
+    ] },
+  };
+
+  test('reprocesses whole portions of the best ore first until needs are covered', () => {
+    const sources = planOreSourcing({ [TRITANIUM]: 1000, [PYERITE]: 180 }, [scordite, veldspar], { [TRITANIUM]: 4, [PYERITE]: 10 });
+
+    expect(sources.map(s => [s.oreTypeId, s.oreQuantity])).toEqual([[VELDSPAR, 500], [SCORDITE, 400]]);
+
+    // Veldspar: 500 ore worth 7,500 ISK yields 1,000 Tritanium
+    expect(sources[0].opportunityCost).toBe(7500);
+    expect(sources[0].minerals).toEqual([{ typeId: TRITANIUM, quantity: 1000, covered: 1000, unitCost: 7.5 }]);
+
+    // Scordite has no ore price: its refined value (300×4 + 180×10) is the cost;
+    // surplus Tritanium still takes its share
+    expect(sources[1].opportunityCost).toBe(3000);
+    expect(sources[1].minerals).toEqual([
+      { typeId: TRITANIUM, quantity: 300, covered: 0, unitCost: 4 },
+      { typeId: PYERITE, quantity: 180, covered: 180, unitCost: 10 },
+    ]);
+  });
+
+  test('skips ore that cannot fill a portion or yields nothing needed', () => {
+    const sources = planOreSourcing({ [PYERITE]: 100 }, [veldspar, { ...scordite, available: 99 }], { [PYERITE]: 10 });
+    expect(sources).toEqual([]);
+  });
+});
+
+describe('applyMiningSourcing', () => {
+  beforeEach(() => {
+    saveEntries(1, [{ date: '2026-01-01', solar_system_id: 30000142, type_id: VELDSPAR, quantity: 1000 }]);
+    mockPlanMaterials = [{ typeId: TRITANIUM, quantity: 1000, basePrice: 4, manuallyAcquiredQuantity: 0 }];
+  });
+
+  test('allocates ore and records covered minerals at opportunity cost', async () => {
+    // Untrained character at an NPC station
+    const yieldRate = calculateReprocessingYield({ stationType: 'npc', rig: 'none' }, {}, 0);
+
+    const result = await applyMiningSourcing('P1');
+
+    expect(result).toMatchObject({ success: true, allocations: 1, mineralsRecorded: 1 });
+
+    // 190 Tritanium per portion: 6 portions cover 1,000
+    const allocation = mockDb.prepare('SELECT * FROM plan_mining_allocations').get();
+    expect(allocation).toMatchObject({ plan_id: 'P1', ore_type_id: VELDSPAR, ore_quantity: 600, ore_value: 9000 });
+    expect(allocation.yield_rate).toBeCloseTo(yieldRate);
+
+    const ledger = mockDb.prepare('SELECT * FROM plan_material_ledger').get();
+    expect(ledger).toMatchObject({
+      type_id: TRITANIUM, quantity: 1000, event_type: 'acquired', source_type: 'mining', source_ref: allocation.allocation_id,
+    });
+    expect(ledger.unit_price).toBeCloseTo(9000 / Math.floor(600 * 4 * yieldRate));
+    expect(getAvailableOre()[0]).toMatchObject({ allocated: 600, available: 400 });
+  });
+
+  test('uses the reprocessing character\'s skills', async () => {
+    mockSkillLevels = { 2: { 3385: 5, 3389: 5, 60377: 5 } };
+
+    await applyMiningSourcing('P1', { characterId: 2 });
+
+    const allocation = mockDb.prepare('SELECT * FROM plan_mining_allocations').get();
+    expect(allocation.yield_rate).toBeCloseTo(calculateReprocessingYield(
+      { stationType: 'npc', rig: 'none' },
+      { reprocessing: 5, reprocessingEfficiency: 5, typeSpecific: 5 },
+      0
+    ));
+  });
+
+  test('removing an allocation returns its ore to the pool', async () => {
+    await applyMiningSourcing('P1');
+    const { allocation_id: allocationId } = mockDb.prepare('SELECT allocation_id FROM plan_mining_allocations').get();
+
+    removeMiningAllocation('P1', allocationId);
+
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM plan_material_ledger').get().n).toBe(0);
+    expect(getAvailableOre()[0].available).toBe(1000);
+  });
+
+  test('ore whose mineral rows were deleted is available again', async () => {
+    await applyMiningSourcing('P1');
+    mockDb.exec('DELETE FROM plan_material_ledger');
+
+    expect(getAvailableOre()[0].available).toBe(1000);
+  });
+});
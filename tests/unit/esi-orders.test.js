@@ -0,0 +1,217 @@
+/**
+ * Tests for our own market orders (esi-orders.js):
+ *  - saveMarketOrders: upsert by order_id, vanished open orders become 'closed',
+ *    history sets the final state, corp snapshots only close corp orders.
+ *  - calculateOrderPosition / attachOrderPositions against the cached book,
+ *    ignoring our own orders.
+ *  - Plan linking: newest plan making the product, created before the order,
+ *    whose characters include the issuer.
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+let mockMarketDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+jest.mock('../../src/main/market-database', () => ({
+  getMarketDatabase: jest.fn(() => mockMarketDb),
+}));
+jest.mock('../../src/main/esi-fetch', () => ({ esiFetch: jest.fn() }));
+jest.mock('../../src/main/settings-manager', () => ({
+  getCharacter: jest.fn((id) => ({ characterId: id, corporationId: 500, scopes: [] })),
+}));
+
+let mockPlanCharacters = {};
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanIndustrySettings: jest.fn((planId) => ({ defaultCharacters: mockPlanCharacters[planId] || [] })),
+}));
+
+const {
+  saveMarketOrders,
+  getMarketOrders,
+  calculateOrderPosition,
+  attachOrderPositions,
+  getPlanMarketOrders,
+  fetchCorporationOrders,
+} = require('../../src/main/esi-orders');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+const JITA = 60003760;
+
+function buildDb() {
+  mockDb = new RealDatabase(':memory:');
+  mockDb.exec(`
+    CREATE TABLE esi_market_orders (
+      order_id INTEGER PRIMARY KEY, character_id INTEGER NOT NULL, is_corporation INTEGER NOT NULL DEFAULT 0,
+      corporation_id INTEGER, issued_by INTEGER, wallet_division INTEGER, type_id INTEGER NOT NULL,
+      region_id INTEGER NOT NULL, location_id INTEGER NOT NULL, range TEXT, is_buy_order INTEGER NOT NULL DEFAULT 0,
+      price REAL NOT NULL, volume_total INTEGER NOT NULL, volume_remain INTEGER NOT NULL, min_volume INTEGER,
+      escrow REAL, duration INTEGER, issued INTEGER NOT NULL,
+      state TEXT NOT NULL DEFAULT 'open' CHECK(state IN ('open','closed','expired','cancelled')),
+      last_updated INTEGER NOT NULL, cache_expires_at INTEGER
+    );
+    CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, plan_name TEXT, character_id INTEGER, status TEXT, created_at INTEGER);
+    CREATE TABLE plan_material_nodes (node_id TEXT PRIMARY KEY, plan_id TEXT, type_id INTEGER, node_type TEXT, depth INTEGER);
+  `);
+
+  mockMarketDb = new RealDatabase(':memory:');
+  mockMarketDb.exec(`
+    CREATE TABLE market_orders (
+      order_id INTEGER PRIMARY KEY, type_id INTEGER, location_id INTEGER, region_id INTEGER,
+      is_buy_order INTEGER, price REAL, volume_remain INTEGER, fetched_at INTEGER
+    );
+  `);
+}
+
+function esiOrder(overrides = {}) {
+  return {
+    order_id: 1, type_id: 587, region_id: 10000002, location_id: JITA, range: 'station',
+    price: 1000000, volume_total: 10, volume_remain: 10, issued: new Date(T0 + DAY).toISOString(),
+    duration: 90, ...overrides,
+  };
+}
+
+function addBookOrder(orderId, price, volume, isBuy = 0, typeId = 587) {
+  mockMarketDb.prepare('INSERT INTO market_orders VALUES (?, ?, ?, 10000002, ?, ?, ?, ?)')
+    .run(orderId, typeId, JITA, isBuy, price, volume, T0);
+}
+
+beforeEach(() => {
+  buildDb();
+  mockPlanCharacters = {};
+});
+
+afterEach(() => {
+  mockDb.close();
+  mockMarketDb.close();
+});
+
+describe('saveMarketOrders', () => {
+  test('upserts open orders and closes orders missing from the next snapshot', () => {
+    saveMarketOrders({ characterId: 1, orders: [esiOrder({ order_id: 1 }), esiOrder({ order_id: 2 })], lastUpdated: T0 });
+    saveMarketOrders({ characterId: 1, orders: [esiOrder({ order_id: 1, volume_remain: 4, price: 900000 })], lastUpdated: T0 + 1 });
+
+    const rows = mockDb.prepare('SELECT order_id, state, volume_remain, price, issued_by FROM esi_market_orders ORDER BY order_id').all();
+    expect(rows).toEqual([
+      { order_id: 1, state: 'open', volume_remain: 4, price: 900000, issued_by: 1 },
+      { order_id: 2, state: 'closed', volume_remain: 10, price: 1000000, issued_by: 1 },
+    ]);
+  });
+
+  test('history sets the final state of closed orders', () => {
+    saveMarketOrders({ characterId: 1, orders: [esiOrder({ order_id: 2 })], lastUpdated: T0 });
+    saveMarketOrders({ characterId: 1, orders: [], lastUpdated: T0 + 1 });
+    saveMarketOrders({ characterId: 1, isHistory: true, orders: [esiOrder({ order_id: 2, state: 'cancelled' })], lastUpdated: T0 + 2 });
+
+    expect(getMarketOrders({ state: 'history' }).map(o => [o.orderId, o.state])).toEqual([[2, 'cancelled']]);
+  });
+
+  test('corporation snapshots only close orders of that corporation', () => {
+    saveMarketOrders({ characterId: 1, orders: [esiOrder({ order_id: 1 })], lastUpdated: T0 });
+    saveMarketOrders({
+      characterId: 1, corporationId: 500, isCorporation: true, lastUpdated: T0,
+      orders: [esiOrder({ order_id: 3, issued_by: 2, wallet_division: 2 })],
+    });
+    saveMarketOrders({ characterId: 1, corporationId: 500, isCorporation: true, orders: [], lastUpdated: T0 + 1 });
+
+    const states = Object.fromEntries(mockDb.prepare('SELECT order_id, state FROM esi_market_orders').all().map(r => [r.order_id, r.state]));
+    expect(states).toEqual({ 1: 'open', 3: 'closed' });
+    expect(getMarketOrders({ corporationIds: [500] })[0]).toMatchObject({ orderId: 3, isCorporation: true, issuedBy: 2, walletDivision: 2 });
+  });
+});
+
+describe('fetchCorporationOrders', () => {
+  test('reports the list as unavailable without the corporation orders scope', async () => {
+    const result = await fetchCorporationOrders(1, 500);
+    expect(result).toMatchObject({ orders: [], unavailable: true });
+  });
+});
+
+describe('order book position', () => {
+  test('ranks a sell order against cheaper competitors', () => {
+    const position = calculateOrderPosition(
+      { price: 100, isBuyOrder: false },
+      [{ price: 95, volume_remain: 5 }, { price: 98, volume_remain: 3 }, { price: 100, volume_remain: 7 }, { price: 120, volume_remain: 1 }]
+    );
+
+    expect(position).toEqual({
+      rank: 3, competitorCount: 4, bestCompetitorPrice: 95, priceGap: 5, depthAhead: 8, undercut: true, outbid: false,
+    });
+  });
+
+  test('a buy order is outbid by higher bids', () => {
+    const position = calculateOrderPosition({ price: 50, isBuyOrder: true }, [{ price: 40, volume_remain: 5 }, { price: 55, volume_remain: 2 }]);
+    expect(position).toMatchObject({ rank: 2, outbid: true, undercut: false, bestCompetitorPrice: 55, depthAhead: 2 });
+  });
+
+  test('ignores our own orders in the cached book and flags missing books', () => {
+    saveMarketOrders({
+      characterId: 1, lastUpdated: T0,
+      orders: [esiOrder({ order_id: 1, price: 100 }), esiOrder({ order_id: 2, price: 90 }), esiOrder({ order_id: 3, type_id: 34 })],
+    });
+    addBookOrder(1, 100, 10);
+    addBookOrder(2, 90, 10);   // our alt's cheaper order is not competition
+    addBookOrder(10, 110, 4);
+
+    const positions = Object.fromEntries(attachOrderPositions(getMarketOrders({ state: 'open' })).map(o => [o.orderId, o.position]));
+
+    expect(positions[1]).toMatchObject({ rank: 1, undercut: false, competitorCount: 1, bookFetchedAt: T0 });
+    expect(positions[3]).toBeNull();
+  });
+});
+
+describe('getPlanMarketOrders', () => {
+  beforeEach(() => {
+    mockDb.exec(`
+      INSERT INTO manufacturing_plans VALUES
+        ('P1', 'First batch', 1, 'active', ${T0}),
+        ('P2', 'Second batch', 1, 'active', ${T0 + 10 * DAY}),
+        ('P3', 'Alt batch', 9, 'archived', ${T0});
+      INSERT INTO plan_material_nodes VALUES
+        ('n1', 'P1', 587, 'product', 0),
+        ('n2', 'P2', 587, 'product', 0),
+        ('n3', 'P1', 34, 'material', 1),
+        ('n4', 'P3', 587, 'product', 0);
+    `);
+  });
+
+  test('links sell orders to the newest plan created before they were issued', () => {
+    saveMarketOrders({
+      characterId: 1, lastUpdated: T0,
+      orders: [
+        esiOrder({ order_id: 1, volume_remain: 4, price: 100 }),                                           // before P2 -> P1
+        esiOrder({ order_id: 2, volume_remain: 6, price: 110, issued: new Date(T0 + 11 * DAY).toISOString() }), // -> P2
+        esiOrder({ order_id: 3, is_buy_order: true }),                                                      // buy order
+        esiOrder({ order_id: 4, type_id: 34 }),                                                             // plan material
+      ],
+    });
+
+    const p1 = getPlanMarketOrders('P1');
+    expect(p1.orders.map(o => o.orderId)).toEqual([1]);
+    expect(p1.listedQuantity).toBe(4);
+    expect(p1.expectedRevenue).toBe(400);
+    expect(p1.byType).toEqual([{ typeId: 587, quantity: 4, value: 400, orderCount: 1 }]);
+
+    expect(getPlanMarketOrders('P2').orders.map(o => o.orderId)).toEqual([2]);
+  });
+
+  test('links orders to draft plans', () => {
+    mockDb.exec(`UPDATE manufacturing_plans SET status = 'draft' WHERE plan_id = 'P2'`);
+    saveMarketOrders({
+      characterId: 1, lastUpdated: T0,
+      orders: [esiOrder({ order_id: 2, issued: new Date(T0 + 11 * DAY).toISOString() })],
+    });
+
+    expect(getPlanMarketOrders('P2').orders.map(o => o.orderId)).toEqual([2]);
+  });
+
+  test('only links orders issued by the plan characters', () => {
+    mockPlanCharacters = { P1: [2], P2: [2] };
+    saveMarketOrders({ characterId: 1, orders: [esiOrder({ order_id: 1 })], lastUpdated: T0 });
+
+    expect(getPlanMarketOrders('P1').orders).toEqual([]);
+  });
+});
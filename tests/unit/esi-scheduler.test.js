@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the ESI request scheduler.
+ *
+ * Covers: per-group concurrency (groups independent); interactive before
+ * background within a group; priority from the async context; a low error
+ * budget holding background requests until the window resets; a 420 pausing
+ * everything.
+ */
+
+let scheduler;
+
+/** A task whose response the test resolves by hand. */
+function deferredTask(log, name, headers = {}, status = 200) {
+  let finish;
+  const task = jest.fn(() => {
+    log.push(name);
+    return new Promise(resolve => {
+      finish = () => resolve({ status, headers: { get: (h) => (h in headers ? headers[h] : null) } });
+    });
+  });
+  return { task, finish: () => finish() };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  jest.resetModules();
+  scheduler = require('../../src/main/esi-scheduler');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('concurrency', () => {
+  test('limits in-flight requests per group, independently', async () => {
+    const log = [];
+    const character = Array.from({ length: 6 }, (_, i) => deferredTask(log, `c${i}`));
+    character.forEach(t => scheduler.scheduleRequest('character', t.task));
+    const wallet = deferredTask(log, 'w0');
+    scheduler.scheduleRequest('wallet', wallet.task);
+    await flush();
+
+    expect(log).toEqual(['c0', 'c1', 'c2', 'c3', 'w0']);
+    expect(scheduler.getSchedulerStatus().groups).toEqual([
+      expect.objectContaining({ group: 'character', inFlight: 4, concurrency: 4, queuedInteractive: 2 }),
+      expect.objectContaining({ group: 'wallet', inFlight: 1, queuedInteractive: 0 }),
+    ]);
+
+    character[0].finish();
+    await flush();
+    expect(log).toContain('c4');
+    expect(log).not.toContain('c5');
+  });
+});
+
+describe('priority', () => {
+  test('interactive requests jump ahead of queued background ones', async () => {
+    const log = [];
+    const blockers = Array.from({ length: 4 }, (_, i) => deferredTask(log, `b${i}`));
+    blockers.forEach(t => scheduler.scheduleRequest('character', t.task, 'background'));
+    scheduler.scheduleRequest('character', deferredTask(log, 'background').task, 'background');
+    scheduler.scheduleRequest('character', deferredTask(log, 'interactive').task, 'interactive');
+    await flush();
+
+    blockers[0].finish();
+    await flush();
+    expect(log.slice(4)).toEqual(['interactive']);
+  });
+
+  test('takes the priority from the async context', async () => {
+    expect(scheduler.getCurrentPriority()).toBe('interactive');
+
+    const seen = await scheduler.runWithPriority('background', async () => {
+      await flush();
+      return scheduler.getCurrentPriority();
+    });
+    expect(seen).toBe('background');
+  });
+});
+
+describe('error budget', () => {
+  test('holds background requests while the budget is low', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const log = [];
+
+    // A response reports 10 errors left, resetting in 30s
+    const first = deferredTask(log, 'first', { 'X-ESI-Error-Limit-Remain': '10', 'X-ESI-Error-Limit-Reset': '30' });
+    const firstDone = scheduler.scheduleRequest('market', first.task);
+    await flush();
+    first.finish();
+    await firstDone;
+
+    scheduler.scheduleRequest('market', deferredTask(log, 'background').task, 'background');
+    scheduler.scheduleRequest('market', deferredTask(log, 'interactive').task, 'interactive');
+    await flush();
+    expect(log).toEqual(['first', 'interactive']);
+    expect(scheduler.getSchedulerStatus().errorBudget).toMatchObject({ remain: 10, backgroundHeld: true, interactiveHeld: false });
+
+    // The window resets: background goes out
+    jest.advanceTimersByTime(30 * 1000);
+    await flush();
+    expect(log).toEqual(['first', 'interactive', 'background']);
+  });
+
+  test('a 420 pauses every request until the window resets', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const log = [];
+
+    const limited = deferredTask(log, 'limited', { 'X-ESI-Error-Limit-Remain': '0', 'X-ESI-Error-Limit-Reset': '15' }, 420);
+    const limitedDone = scheduler.scheduleRequest('industry', limited.task);
+    await flush();
+    limited.finish();
+    expect((await limitedDone).status).toBe(420);
+
+    scheduler.scheduleRequest('wallet', deferredTask(log, 'interactive').task, 'interactive');
+    await flush();
+    expect(log).toEqual(['limited']);
+    expect(scheduler.getSchedulerStatus().errorBudget.pausedUntil).not.toBeNull();
+
+    jest.advanceTimersByTime(15 * 1000);
+    await flush();
+    expect(log).toEqual(['limited', 'interactive']);
+  });
+
+  test('a failing request frees its slot and rejects', async () => {
+    await expect(scheduler.scheduleRequest('market', () => Promise.reject(new Error('offline')))).rejects.toThrow('offline');
+    expect(scheduler.getSchedulerStatus().groups[0]).toMatchObject({ inFlight: 0, completed: 1 });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for the plan freight model.
+ *
+ *  - calculateFreightCost applies ISK/m³, ISK/jump and collateral %, and charges
+ *    nothing for cargo that stays in the same system.
+ *  - getJumpCount walks the stargate graph (shortest route, unreachable systems).
+ *  - estimatePlanFreight builds input/output legs per facility system from the
+ *    plan's material nodes, using packaged volumes and plan price overrides,
+ *    whether system IDs were saved as numbers or strings.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+let mockSdePath;
+jest.mock('../../src/main/sde-manager', () => ({
+  getSdePath: jest.fn(() => mockSdePath),
+  sdeExists: jest.fn(() => true),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getItemVolumes: jest.fn(() => Promise.resolve({ 34: 0.01, 11399: 0.01, 587: 2500 })),
+  getSystemName: jest.fn((systemId) => Promise.resolve({ 1: 'Jita', 2: 'Perimeter', 3: 'Urlen', 4: 'Amarr' }[systemId] || null)),
+}));
+
+jest.mock('../../src/main/settings-manager', () => ({
+  getSetting: jest.fn(() => ({ ratePerM3: 100, ratePerJump: 1000000 })),
+  resolveMarketSetForTool: jest.fn(() => ({
+    inputMaterials: { systemId: 1, regionId: 10000002, locationId: 60003760 },
+    outputProducts: { useSameLocation: false, systemId: 4, regionId: 10000043, locationId: 60008494 },
+  })),
+}));
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanPriceOverrideMap: jest.fn(() => new Map([[11399, 8000]])),
+}));
+
+const { calculateFreightCost, estimatePlanFreight, getFreightRates } = require('../../src/main/freight-calculator');
+const { buildGateGraph, getJumpCount, clearGateGraphCache } = require('../../src/main/route-calculator');
+
+let sdeDir;
+
+// Gate chain: Jita(1) – Perimeter(2) – Urlen(3) – Amarr(4); system 9 is isolated
+function buildSde() {
+  sdeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qf-sde-'));
+  mockSdePath = path.join(sdeDir, 'sde.db');
+  const db = new RealDatabase(mockSdePath);
+  db.exec(`
+    CREATE TABLE mapSolarSystemJumps (fromSolarSystemID INTEGER, toSolarSystemID INTEGER);
+    INSERT INTO mapSolarSystemJumps VALUES (1, 2), (2, 1), (2, 3), (3, 2), (3, 4), (4, 3);
+    CREATE TABLE mapSolarSystems (solarSystemID INTEGER PRIMARY KEY, solarSystemName TEXT, security REAL);
+    INSERT INTO mapSolarSystems VALUES (1, 'Jita', 0.95), (2, 'Perimeter', 0.95), (3, 'Urlen', 0.96), (4, 'Amarr', 1.0), (9, 'Thera', -1.0);
+  `);
+  db.close();
+}
+
+function buildPlan(db) {
+  db.exec(`
+    CREATE TABLE plan_blueprints (plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, facility_snapshot TEXT);
+    CREATE TABLE plan_material_nodes (
+      node_id TEXT PRIMARY KEY, plan_id TEXT, plan_blueprint_id TEXT, type_id INTEGER,
+      node_type TEXT, quantity_needed REAL, price_each REAL
+    );
+  `);
+  db.prepare('INSERT INTO plan_blueprints VALUES (?, ?, ?)')
+    .run('B1', 'P1', JSON.stringify({ id: 'f1', name: 'Urlen Raitaru', systemId: 3 }));
+  db.prepare('INSERT INTO plan_blueprints VALUES (?, ?, ?)')
+    .run('B2', 'P1', JSON.stringify({ id: 'f2', name: 'Jita Sotiyo', systemId: 1 }));
+
+  const insert = db.prepare('INSERT INTO plan_material_nodes VALUES (?, ?, ?, ?, ?, ?, ?)');
+  insert.run('n1', 'P1', 'B1', 34, 'material', 100000, 5);
+  insert.run('n2', 'P1', 'B1', 11399, 'material', 100, 7000);
+  insert.run('n3', 'P1', 'B1', 587, 'product', 2, 400000);
+  insert.run('n4', 'P1', 'B2', 34, 'material', 5000, 5);
+}
+
+beforeEach(() => {
+  clearGateGraphCache();
+  buildSde();
+  mockDb = new RealDatabase(':memory:');
+  buildPlan(mockDb);
+});
+
+afterEach(() => {
+  mockDb.close();
+  fs.rmSync(sdeDir, { recursive: true, force: true });
+});
+
+describe('calculateFreightCost', () => {
+  const rates = { ratePerM3: 500, ratePerJump: 100000, collateralPercent: 1 };
+
+  test('adds volume, jump and collateral charges', () => {
+    const cost = calculateFreightCost({ volume: 1000, jumps: 5, collateral: 200000000 }, rates);
+
+    expect(cost.volumeCost).toBe(500000);
+    expect(cost.jumpCost).toBe(500000);
+    expect(cost.collateralCost).toBe(2000000);
+    expect(cost.total).toBe(3000000);
+  });
+
+  test('charges nothing when the cargo stays in the same system', () => {
+    expect(calculateFreightCost({ volume: 1000, jumps: 0, collateral: 1e9 }, rates).total).toBe(0);
+  });
+
+  test('prices unknown routes by volume and collateral only', () => {
+    const cost = calculateFreightCost({ volume: 10, jumps: null, collateral: 1000 }, rates);
+    expect(cost.jumpCost).toBe(0);
+    expect(cost.total).toBe(5010);
+  });
+});
+
+describe('getJumpCount', () => {
+  test('finds the shortest gate route', () => {
+    const sdeDb = new RealDatabase(mockSdePath, { readonly: true });
+    const graph = buildGateGraph(sdeDb);
+    sdeDb.close();
+
+    expect(getJumpCount(1, 4, graph)).toBe(3);
+    expect(getJumpCount(4, 2, graph)).toBe(2);
+    expect(getJumpCount(3, 3, graph)).toBe(0);
+  });
+
+  test('returns null for unreachable or missing systems', () => {
+    expect(getJumpCount(1, 9)).toBeNull();
+    expect(getJumpCount(null, 4)).toBeNull();
+  });
+});
+
+describe('estimatePlanFreight', () => {
+  test('reads rates from settings with defaults for missing fields', () => {
+    expect(getFreightRates()).toEqual({ ratePerM3: 100, ratePerJump: 1000000, collateralPercent: 0 });
+  });
+
+  test('builds one leg per direction and facility system', async () => {
+    const freight = await estimatePlanFreight('P1');
+
+    expect(freight.legs).toHaveLength(3);
+    const [urlenInputs, jitaInputs, outputs] = freight.legs;
+
+    // 100,000 Tritanium + 100 Morphite at 0.01 m³, Jita → Urlen (2 jumps)
+    expect(urlenInputs).toMatchObject({
+      kind: 'inputs', fromName: 'Jita', toName: 'Urlen', jumps: 2, safeJumps: 2, insecureSystems: 0, facilityName: 'Urlen Raitaru',
+    });
+    expect(urlenInputs.volume).toBeCloseTo(1001);
+    // Morphite collateral uses the plan override (8,000) instead of the node price
+    expect(urlenInputs.collateral).toBe(500000 + 800000);
+    expect(urlenInputs.cost.total).toBeCloseTo(1001 * 100 + 2 * 1000000);
+
+    // Materials for the Jita facility never leave Jita
+    expect(jitaInputs).toMatchObject({ kind: 'inputs', jumps: 0 });
+    expect(jitaInputs.cost.total).toBe(0);
+
+    // Products hauled packaged from Urlen to Amarr (1 jump)
+    expect(outputs).toMatchObject({ kind: 'outputs', fromName: 'Urlen', toName: 'Amarr', jumps: 1, volume: 5000 });
+    expect(outputs.cost.total).toBe(5000 * 100 + 1000000);
+
+    expect(freight.totalVolume).toBeCloseTo(1001 + 50 + 5000);
+    expect(freight.totalCost).toBeCloseTo(2100100 + 1500000);
+  });
+
+  test('routes facility and Market Set systems saved as strings', async () => {
+    const { resolveMarketSetForTool } = require('../../src/main/settings-manager');
+    resolveMarketSetForTool.mockReturnValueOnce({
+      inputMaterials: { systemId: '1', regionId: 10000002, locationId: 60003760 },
+      outputProducts: { useSameLocation: false, systemId: '4', regionId: 10000043, locationId: 60008494 },
+    });
+    mockDb.prepare('UPDATE plan_blueprints SET facility_snapshot = ? WHERE plan_blueprint_id = ?')
+      .run(JSON.stringify({ id: 'f1', name: 'Urlen Raitaru', systemId: '3' }), 'B1');
+    mockDb.prepare('UPDATE plan_blueprints SET facility_snapshot = ? WHERE plan_blueprint_id = ?')
+      .run(JSON.stringify({ id: 'f2', name: 'Jita Sotiyo', systemId: '1' }), 'B2');
+
+    const [urlenInputs, jitaInputs, outputs] = (await estimatePlanFreight('P1')).legs;
+
+    expect(urlenInputs).toMatchObject({ fromSystemId: 1, toSystemId: 3, jumps: 2 });
+    expect(jitaInputs).toMatchObject({ jumps: 0 });
+    expect(jitaInputs.cost.total).toBe(0);
+    expect(outputs).toMatchObject({ fromSystemId: 3, toSystemId: 4, jumps: 1 });
+  });
+
+  test('returns an empty estimate for plans without material nodes', async () => {
+    const freight = await estimatePlanFreight('P2');
+    expect(freight).toMatchObject({ legs: [], totalVolume: 0, totalCost: 0 });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Tests for industry slot utilization.
+ *
+ *  - Max slots from effective skill levels (reactions need the Reactions skill).
+ *  - Free slots subtract running jobs per installer; full categories report
+ *    when the next slot opens, and every slot's opening time is listed for
+ *    scheduling.
+ *  - Idle history splits job time into UTC days against slot capacity.
+ *  - Pending plan jobs (unmatched lines, open research jobs) and their
+ *    suggested installers.
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+// Builder: Mass Production 5, Advanced Mass Production 4 (overridden from 2), no Reactions
+// Scientist: Laboratory Operation 5, Advanced Laboratory Operation 5, Reactions 1, Mass Reactions 3
+const mockSkillLevels = {
+  1: { 3387: 5, 24625: 4 },
+  2: { 3406: 5, 24624: 5, 45746: 1, 45748: 3 },
+};
+jest.mock('../../src/main/settings-manager', () => ({
+  getCharacters: jest.fn(() => [
+    { characterId: 1, characterName: 'Builder' },
+    { characterId: 2, characterName: 'Scientist' },
+  ]),
+  getEffectiveSkillLevel: jest.fn((characterId, skillId) => mockSkillLevels[characterId]?.[skillId] ?? 0),
+}));
+
+let mockDefaultCharacters = [];
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanIndustrySettings: jest.fn(() => ({ defaultCharacters: mockDefaultCharacters })),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn((ids) => Promise.resolve(Object.fromEntries(ids.map(id => [id, `Blueprint ${id}`])))),
+}));
+
+const {
+  calculateMaxSlots,
+  getSlotUtilization,
+  getSlotFreeTimes,
+  getIdleHistory,
+  getPendingPlanJobs,
+  assignPendingJobs,
+  suggestPlanJobAssignments,
+} = require('../../src/main/industry-slots');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Midday UTC so "today" is half over
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+function buildDb() {
+  mockDb = new RealDatabase(':memory:');
+  mockDb.exec(`
+    CREATE TABLE esi_industry_jobs (
+      job_id INTEGER PRIMARY KEY, installer_id INTEGER, activity_id INTEGER, status TEXT,
+      start_date INTEGER, end_date INTEGER, completed_date INTEGER
+    );
+    CREATE TABLE plan_blueprints (
+      plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER, blueprint_type TEXT,
+      runs INTEGER, lines INTEGER, is_built INTEGER DEFAULT 0, added_at INTEGER
+    );
+    CREATE TABLE plan_job_matches (match_id TEXT PRIMARY KEY, plan_blueprint_id TEXT, job_id INTEGER, status TEXT);
+    CREATE TABLE plan_research_jobs (
+      research_job_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER, runs INTEGER,
+      is_completed INTEGER DEFAULT 0, added_at INTEGER
+    );
+  `);
+}
+
+function addJob(jobId, installerId, activityId, startDate, endDate, status = 'active', completedDate = null) {
+  mockDb.prepare('INSERT INTO esi_industry_jobs VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .run(jobId, installerId, activityId, status, startDate, endDate, completedDate);
+}
+
+beforeEach(() => {
+  buildDb();
+  mockDefaultCharacters = [];
+});
+
+afterEach(() => {
+  mockDb.close();
+});
+
+describe('calculateMaxSlots', () => {
+  test('adds one slot per skill level to the base slot', () => {
+    expect(calculateMaxSlots({ 3387: 5, 24625: 5, 3406: 4, 45746: 1, 45748: 2, 45749: 1 }))
+      .toEqual({ manufacturing: 11, science: 5, reactions: 4 });
+  });
+
+  test('has no reaction slots without the Reactions skill', () => {
+    expect(calculateMaxSlots({ 45748: 5 })).toEqual({ manufacturing: 1, science: 1, reactions: 0 });
+  });
+});
+
+describe('getSlotUtilization', () => {
+  test('subtracts running jobs from skill-based maximums', () => {
+    addJob(1, 1, 1, NOW - HOUR, NOW + HOUR);
+    addJob(2, 1, 1, NOW - HOUR, NOW + 2 * HOUR);
+    addJob(3, 1, 1, NOW - 2 * HOUR, NOW - HOUR);             // finished, not delivered
+    addJob(4, 1, 1, NOW - 2 * HOUR, NOW - HOUR, 'delivered');
+    addJob(5, 2, 8, NOW - HOUR, NOW + 3 * HOUR);              // invention uses a science slot
+    addJob(6, 2, 5, NOW - HOUR, NOW + 3 * HOUR, 'paused');
+
+    const [builder, scientist] = getSlotUtilization(NOW);
+
+    // Override lifts Advanced Mass Production to 4: 1 + 5 + 4
+    expect(builder.slots.manufacturing).toEqual({ max: 10, used: 2, free: 8, nextFreeAt: null });
+    expect(builder.slots.reactions.max).toBe(0);
+    expect(scientist.slots.science).toEqual({ max: 11, used: 2, free: 9, nextFreeAt: null });
+    expect(scientist.slots.reactions).toEqual({ max: 4, used: 0, free: 4, nextFreeAt: null });
+  });
+
+  test('reports when the next slot opens in a full category', () => {
+    addJob(1, 2, 1, NOW - HOUR, NOW + 5 * HOUR);
+
+    const scientist = getSlotUtilization(NOW)[1];
+    expect(scientist.slots.manufacturing).toEqual({ max: 1, used: 1, free: 0, nextFreeAt: NOW + 5 * HOUR });
+  });
+});
+
+describe('getSlotFreeTimes', () => {
+  test('lists when each slot opens, free slots first and paused jobs never', () => {
+    addJob(1, 2, 1, NOW - HOUR, NOW + 5 * HOUR);
+    addJob(2, 2, 11, NOW - HOUR, NOW + 2 * HOUR);
+    addJob(3, 2, 11, NOW - HOUR, NOW + 9 * HOUR, 'paused');
+
+    const scientist = getSlotFreeTimes(NOW)[1];
+    expect(scientist.slots.manufacturing).toEqual([NOW + 5 * HOUR]);
+    expect(scientist.slots.reactions).toEqual([NOW, NOW, NOW + 2 * HOUR, Infinity]);
+  });
+});
+
+describe('getIdleHistory', () => {
+  test('splits job time into days against slot capacity', () => {
+    const todayStart = Date.UTC(2026, 0, 15);
+    // Runs from 06:00 yesterday to 06:00 today
+    addJob(1, 2, 1, todayStart - 18 * HOUR, todayStart + 6 * HOUR, 'delivered');
+    // Cancelled 2h after starting today, though planned to run for 10h
+    addJob(2, 2, 1, todayStart + 8 * HOUR, todayStart + 18 * HOUR, 'cancelled', todayStart + 10 * HOUR);
+
+    const scientist = getIdleHistory({ days: 3, now: NOW })[1];
+
+    expect(scientist.days.map(d => d.date)).toEqual(['2026-01-13', '2026-01-14', '2026-01-15']);
+    expect(scientist.days[0].manufacturing).toEqual({ busyHours: 0, capacityHours: 24, idleHours: 24 });
+    expect(scientist.days[1].manufacturing).toEqual({ busyHours: 18, capacityHours: 24, idleHours: 6 });
+    // Today is half over: 12 slot-hours, 6h + 2h busy
+    expect(scientist.days[2].manufacturing).toEqual({ busyHours: 8, capacityHours: 12, idleHours: 4 });
+    expect(scientist.days[2].science.capacityHours).toBe(11 * 12);
+  });
+});
+
+describe('pending plan jobs', () => {
+  beforeEach(() => {
+    const bp = mockDb.prepare('INSERT INTO plan_blueprints VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+    bp.run('B1', 'P1', 1001, 'manufacturing', 10, 3, 0, 1);
+    bp.run('B2', 'P1', 2001, 'reaction', 20, 1, 0, 2);
+    bp.run('B3', 'P1', 3001, 'manufacturing', 5, 1, 1, 3);  // already built
+    mockDb.prepare("INSERT INTO plan_job_matches VALUES ('m1', 'B1', 99, 'confirmed')").run();
+    mockDb.prepare("INSERT INTO plan_job_matches VALUES ('m2', 'B1', 98, 'rejected')").run();
+    mockDb.prepare("INSERT INTO plan_research_jobs VALUES ('R1', 'P1', 1001, 1, 0, 4)").run();
+    mockDb.prepare("INSERT INTO plan_research_jobs VALUES ('R2', 'P1', 1001, 1, 1, 5)").run();
+  });
+
+  test('lists unmatched lines and open research jobs', () => {
+    const pending = getPendingPlanJobs('P1');
+
+    expect(pending.map(j => [j.key, j.category, j.runs])).toEqual([
+      // 10 runs over 3 lines (4/3/3); line 0 is matched
+      ['B1:1', 'manufacturing', 3],
+      ['B1:2', 'manufacturing', 3],
+      ['B2:0', 'reactions', 20],
+      ['R1', 'science', 1],
+    ]);
+  });
+
+  test('assigns jobs to free slots first, then to the slot that opens soonest', () => {
+    const utilization = [
+      { characterId: 1, characterName: 'A', slots: {
+        manufacturing: { max: 2, free: 1, nextFreeAt: null },
+        science: { max: 1, free: 0, nextFreeAt: NOW + 2 * HOUR },
+        reactions: { max: 0, free: 0, nextFreeAt: null },
+      } },
+      { characterId: 2, characterName: 'B', slots: {
+        manufacturing: { max: 1, free: 0, nextFreeAt: NOW + HOUR },
+        science: { max: 1, free: 0, nextFreeAt: NOW + DAY },
+        reactions: { max: 0, free: 0, nextFreeAt: null },
+      } },
+    ];
+    const jobs = [
+      { key: 'j1', category: 'manufacturing' },
+      { key: 'j2', category: 'manufacturing' },
+      { key: 'j3', category: 'science' },
+      { key: 'j4', category: 'reactions' },
+    ];
+
+    const result = assignPendingJobs(jobs, utilization);
+
+    expect(result.map(r => [r.key, r.characterId, r.queued, r.startsAt])).toEqual([
+      ['j1', 1, false, null],
+      ['j2', 2, true, NOW + HOUR],
+      ['j3', 1, true, NOW + 2 * HOUR],
+      ['j4', null, false, null],
+    ]);
+  });
+
+  test('suggests installers among the plan characters', async () => {
+    mockDefaultCharacters = [2];
+
+    const suggestions = await suggestPlanJobAssignments('P1', NOW);
+
+    expect(suggestions.map(s => [s.key, s.characterName, s.blueprintName])).toEqual([
+      ['B1:1', 'Scientist', 'Blueprint 1001'],
+      ['B1:2', 'Scientist', 'Blueprint 1001'],
+      ['B2:0', 'Scientist', 'Blueprint 2001'],
+      ['R1', 'Scientist', 'Blueprint 1001'],
+    ]);
+    // Scientist has one manufacturing slot: the second line waits for it
+    expect(suggestions[1].queued).toBe(true);
+  });
+});
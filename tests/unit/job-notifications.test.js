@@ -0,0 +1,239 @@
+/**
+ * Tests for desktop notifications of finished plan jobs.
+ *
+ *  - Only undelivered jobs matched to active plans are tracked.
+ *  - The lastCheckedAt watermark announces each finished job once, including
+ *    jobs that finished while the app was closed (as a digest).
+ *  - Per-character and per-plan mutes, the global toggle and the digest toggle.
+ *  - start/stop arm and clear the rescan and next-job timers.
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+let mockSettings;
+jest.mock('../../src/main/settings-manager', () => ({
+  getSetting: jest.fn((category, key) => mockSettings[category]?.[key]),
+  updateSettings: jest.fn((category, updates) => {
+    mockSettings[category] = { ...mockSettings[category], ...updates };
+    return true;
+  }),
+  getCharacters: jest.fn(() => [
+    { characterId: 1001, characterName: 'Builder One' },
+    { characterId: 1002, characterName: 'Builder Two' },
+  ]),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn((typeIds) => Promise.resolve(
+    Object.fromEntries(typeIds.map(id => [id, { 587: 'Rifter', 11379: 'Hound' }[id] || `Unknown Type (${id})`]))
+  )),
+}));
+
+const mockShown = [];
+jest.mock('electron', () => ({
+  Notification: Object.assign(
+    jest.fn().mockImplementation((options) => ({
+      on: jest.fn(),
+      show: jest.fn(() => mockShown.push(options)),
+    })),
+    { isSupported: jest.fn(() => true) }
+  ),
+}));
+
+const {
+  getTrackedJobs,
+  buildJobNotifications,
+  checkJobNotifications,
+  startJobNotifications,
+  stopJobNotifications,
+  setPlanNotificationsEnabled,
+  setCharacterNotificationsEnabled,
+} = require('../../src/main/job-notifications');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 1_700_000_000_000;
+
+function buildDb() {
+  mockDb = new RealDatabase(':memory:');
+  mockDb.exec(`
+    CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, plan_name TEXT, status TEXT);
+    CREATE TABLE plan_job_matches (match_id TEXT PRIMARY KEY, plan_id TEXT, job_id INTEGER, status TEXT);
+    CREATE TABLE esi_industry_jobs (
+      job_id INTEGER PRIMARY KEY, character_id INTEGER, installer_id INTEGER, activity_id INTEGER,
+      blueprint_type_id INTEGER, product_type_id INTEGER, runs INTEGER, status TEXT, end_date INTEGER
+    );
+    INSERT INTO manufacturing_plans VALUES ('P1', 'Rifter Batch', 'active'), ('P2', 'Hound Batch', 'active'), ('P3', 'Old Plan', 'completed'), ('P4', 'Draft Plan', 'draft');
+  `);
+}
+
+function addJob(jobId, planId, endDate, extra = {}) {
+  const job = {
+    installer_id: 1001, activity_id: 1, blueprint_type_id: 691, product_type_id: 587, runs: 10, status: 'active', ...extra,
+  };
+  mockDb.prepare('INSERT INTO esi_industry_jobs VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+    .run(jobId, 1001, job.installer_id, job.activity_id, job.blueprint_type_id, job.product_type_id, job.runs, job.status, endDate);
+  mockDb.prepare('INSERT INTO plan_job_matches VALUES (?, ?, ?, ?)')
+    .run(`m${jobId}-${planId}`, planId, jobId, extra.matchStatus || 'confirmed');
+}
+
+beforeEach(() => {
+  buildDb();
+  mockShown.length = 0;
+  mockSettings = {
+    general: { desktopNotifications: true },
+    notifications: {
+      jobCompletion: { readyDigest: true, mutedCharacterIds: [], mutedPlanIds: [] },
+      lastCheckedAt: NOW - HOUR,
+    },
+  };
+});
+
+afterEach(() => {
+  stopJobNotifications();
+  mockDb.close();
+});
+
+describe('getTrackedJobs', () => {
+  test('returns undelivered jobs in open plans once each', () => {
+    addJob(1, 'P1', NOW);
+    addJob(2, 'P3', NOW);                               // plan completed
+    addJob(5, 'P4', NOW + HOUR);                        // draft plans are tracked too
+    addJob(3, 'P1', NOW, { status: 'delivered' });      // already delivered
+    addJob(4, 'P1', NOW, { matchStatus: 'rejected' });  // match rejected
+    mockDb.prepare("INSERT INTO plan_job_matches VALUES ('dup', 'P1', 1, 'pending')").run();
+
+    expect(getTrackedJobs().map(j => j.job_id)).toEqual([1, 5]);
+  });
+});
+
+describe('buildJobNotifications', () => {
+  const job = (planId, planName) => ({
+    plan_id: planId, plan_name: planName, activity_id: 1, runs: 1, productName: 'Rifter', characterName: 'Builder One',
+  });
+
+  test('describes a single finished job', () => {
+    expect(buildJobNotifications([job('P1', 'Rifter Batch')])).toEqual([{
+      title: 'Job finished: Rifter',
+      body: 'Manufacturing × 1 run · Builder One · Rifter Batch',
+      planId: 'P1',
+    }]);
+  });
+
+  test('combines several jobs into a ready to deliver digest per plan', () => {
+    const [digest] = buildJobNotifications([job('P1', 'Rifter Batch'), job('P1', 'Rifter Batch'), job('P2', 'Hound Batch')]);
+
+    expect(digest.title).toBe('3 industry jobs ready to deliver');
+    expect(digest.body).toBe('Rifter Batch: 2 jobs\nHound Batch: 1 job');
+    expect(digest.planId).toBeNull();
+  });
+
+  test('sends one notification per job when the digest is off', () => {
+    expect(buildJobNotifications([job('P1', 'A'), job('P2', 'B')], { readyDigest: false })).toHaveLength(2);
+  });
+});
+
+describe('checkJobNotifications', () => {
+  test('announces jobs finished since the last check and advances the watermark', async () => {
+    addJob(1, 'P1', NOW - 2 * HOUR);  // announced before the last check
+    addJob(2, 'P1', NOW - 10 * 60 * 1000);
+    addJob(3, 'P2', NOW + HOUR, { product_type_id: 11379 });
+
+    const result = await checkJobNotifications(NOW);
+
+    expect(mockShown).toEqual([{ title: 'Job finished: Rifter', body: 'Manufacturing × 10 runs · Builder One · Rifter Batch' }]);
+    expect(result.nextEndDate).toBe(NOW + HOUR);
+    expect(mockSettings.notifications.lastCheckedAt).toBe(NOW);
+
+    // Nothing is announced twice
+    await checkJobNotifications(NOW + 1000);
+    expect(mockShown).toHaveLength(1);
+  });
+
+  test('sends a digest for jobs that finished while the app was closed', async () => {
+    mockSettings.notifications.lastCheckedAt = NOW - 24 * HOUR;
+    addJob(1, 'P1', NOW - 20 * HOUR);
+    addJob(2, 'P1', NOW - 5 * HOUR, { status: 'ready' });
+    addJob(3, 'P2', NOW - HOUR, { product_type_id: 11379 });
+
+    await checkJobNotifications(NOW);
+
+    expect(mockShown).toHaveLength(1);
+    expect(mockShown[0].title).toBe('3 industry jobs ready to deliver');
+  });
+
+  test('starts the watermark without announcing history on first run', async () => {
+    mockSettings.notifications.lastCheckedAt = null;
+    addJob(1, 'P1', NOW - HOUR);
+
+    const result = await checkJobNotifications(NOW);
+
+    expect(result.notified).toEqual([]);
+    expect(mockSettings.notifications.lastCheckedAt).toBe(NOW);
+  });
+
+  test('skips muted plans and characters', async () => {
+    addJob(1, 'P1', NOW - 1000);
+    addJob(2, 'P2', NOW - 1000, { installer_id: 1002 });
+
+    setPlanNotificationsEnabled('P1', false);
+    setCharacterNotificationsEnabled(1002, false);
+    await checkJobNotifications(NOW);
+
+    expect(mockShown).toEqual([]);
+    expect(mockSettings.notifications.jobCompletion).toMatchObject({ mutedPlanIds: ['P1'], mutedCharacterIds: [1002] });
+
+    setPlanNotificationsEnabled('P1', true);
+    expect(mockSettings.notifications.jobCompletion.mutedPlanIds).toEqual([]);
+  });
+
+  test('advances the watermark silently when desktop notifications are off', async () => {
+    mockSettings.general.desktopNotifications = false;
+    addJob(1, 'P1', NOW - 1000);
+
+    await checkJobNotifications(NOW);
+    mockSettings.general.desktopNotifications = true;
+    await checkJobNotifications(NOW + 1000);
+
+    expect(mockShown).toEqual([]);
+  });
+});
+
+describe('startJobNotifications', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('fires when the next tracked job finishes', async () => {
+    addJob(1, 'P1', NOW + HOUR);
+
+    startJobNotifications();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(mockShown).toEqual([]);
+
+    jest.advanceTimersByTime(HOUR + 1000);
+    // Let the async check (type names) settle
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+
+    expect(mockShown).toHaveLength(1);
+    expect(mockShown[0].title).toBe('Job finished: Rifter');
+  });
+
+  test('stop clears all timers', () => {
+    addJob(1, 'P1', NOW + HOUR);
+    startJobNotifications();
+    stopJobNotifications();
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -41,6 +41,7 @@ function buildSchema(db) {
       type_id INTEGER, node_type TEXT, depth INTEGER, quantity_needed REAL, price_each REAL, price_frozen_at INTEGER
     );
     CREATE TABLE plan_price_overrides (plan_id TEXT, type_id INTEGER, price REAL);
+    CREATE TABLE plan_buy_items (plan_id TEXT, type_id INTEGER, quantity REAL, price_each REAL, price_frozen_at INTEGER, added_at INTEGER, PRIMARY KEY (plan_id, type_id));
     CREATE TABLE characters (character_id INTEGER PRIMARY KEY, character_name TEXT);
     CREATE TABLE esi_industry_jobs (
       job_id INTEGER PRIMARY KEY, character_id INTEGER, blueprint_type_id INTEGER, runs INTEGER,
@@ -152,4 +153,32 @@ describe('getPlanAnalytics — actuals from ledger', () => {
     // Full spend = 1000 + 400 + 100 = 1500; profit = 3000 − 1500 = 1500.
     expect(a.profit.actual).toBeCloseTo(1500);
   });
+
+  test('open sell orders of plan products show as listed inventory and projected profit', async () => {
+    mockDb.exec(`
+      ALTER TABLE manufacturing_plans ADD COLUMN plan_name TEXT;
+      ALTER TABLE manufacturing_plans ADD COLUMN status TEXT;
+      UPDATE manufacturing_plans SET plan_name = 'Plan', status = 'active';
+      CREATE TABLE plan_industry_settings (plan_id TEXT PRIMARY KEY, enabled_divisions_json TEXT, default_characters_json TEXT,
+        reactions_as_intermediates INTEGER, last_updated INTEGER);
+      INSERT INTO plan_industry_settings VALUES ('P1', '{}', '[1]', 0, 0);
+      INSERT INTO plan_material_nodes (node_id, plan_id, type_id, node_type, depth, quantity_needed, price_each)
+        VALUES ('p1','P1',35,'product',0,100,100);
+      CREATE TABLE esi_market_orders (order_id INTEGER PRIMARY KEY, character_id INTEGER, is_corporation INTEGER DEFAULT 0,
+        corporation_id INTEGER, issued_by INTEGER, wallet_division INTEGER, type_id INTEGER, region_id INTEGER, location_id INTEGER,
+        range TEXT, is_buy_order INTEGER, price REAL, volume_total INTEGER, volume_remain INTEGER, min_volume INTEGER,
+        escrow REAL, duration INTEGER, issued INTEGER, state TEXT, last_updated INTEGER, cache_expires_at INTEGER);
+      INSERT INTO esi_market_orders (order_id, character_id, issued_by, type_id, region_id, location_id, is_buy_order,
+        price, volume_total, volume_remain, issued, state, last_updated)
+        VALUES (1, 1, 1, 35, 10000002, 60003760, 0, 120, 40, 25, 10, 'open', 10);
+    `);
+    insLedger({ type_id: 35, event_type: 'sold', quantity: 15, method: 'sold', unit_price: 120, source_type: 'wallet_transaction', source_id: 2 });
+
+    const a = await mp.getPlanAnalytics('P1');
+
+    expect(a.marketListings).toMatchObject({ quantity: 25, expectedRevenue: 3000, orderCount: 1 });
+    expect(a.progress.products.listed).toBe(25);
+    // Realized profit 1800 (no spend) plus 3000 still listed.
+    expect(a.profit.projected).toBeCloseTo(4800);
+  });
 });
@@ -0,0 +1,262 @@
+/**
+ * Tests for manufacturing plan export/import.
+ *
+ *  - exportPlan captures the plan definition (blueprint tree, facilities, research
+ *    jobs, price overrides, industry settings) and only includes the ledger and
+ *    build progress when asked.
+ *  - importPlan creates a new plan with fresh IDs, keeps the parent/child tree,
+ *    remaps characters and facilities and triggers a material recalculation.
+ *  - validatePlanExport rejects foreign or newer documents.
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+jest.mock('../../src/main/settings-manager', () => {
+  const { createMockSettingsManager } = require('./helpers/settings-mocks');
+  return createMockSettingsManager({
+    manufacturing_facilities: [
+      { id: 'local-raitaru', name: 'Home Raitaru', usage: 'default', systemId: 30000142, structureTypeId: 35825, rigs: [] },
+      { id: 'local-athanor', name: 'Moon Athanor', usage: 'reactions', systemId: 30000144, structureTypeId: 35835, rigs: [] },
+    ],
+  });
+});
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  recalculatePlanMaterials: jest.fn(() => Promise.resolve(true)),
+}));
+
+const { exportPlan, importPlan, summarizePlanExport, validatePlanExport, PLAN_EXPORT_VERSION } = require('../../src/main/plan-export');
+const { recalculatePlanMaterials } = require('../../src/main/manufacturing-plans');
+
+function buildSchema(db) {
+  db.exec(`
+    CREATE TABLE characters (character_id INTEGER PRIMARY KEY, character_name TEXT);
+    CREATE TABLE manufacturing_plans (
+      plan_id TEXT PRIMARY KEY, character_id INTEGER NOT NULL, plan_name TEXT NOT NULL, description TEXT,
+      status TEXT NOT NULL DEFAULT 'active', created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL, completed_at INTEGER
+    );
+    CREATE TABLE plan_blueprints (
+      plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, parent_blueprint_id TEXT,
+      blueprint_type_id INTEGER NOT NULL, blueprint_type TEXT NOT NULL DEFAULT 'manufacturing', reaction_type_id INTEGER,
+      is_intermediate INTEGER DEFAULT 0, intermediate_product_type_id INTEGER, runs INTEGER NOT NULL,
+      lines INTEGER NOT NULL DEFAULT 1, me_level INTEGER NOT NULL, te_level INTEGER,
+      use_intermediates TEXT DEFAULT 'raw_materials', facility_id TEXT, facility_snapshot TEXT,
+      is_built INTEGER DEFAULT 0, built_runs INTEGER DEFAULT 0, added_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_industry_settings (
+      plan_id TEXT PRIMARY KEY, enabled_divisions_json TEXT NOT NULL DEFAULT '{}',
+      default_characters_json TEXT NOT NULL DEFAULT '[]', reactions_as_intermediates INTEGER DEFAULT 0,
+      last_updated INTEGER NOT NULL
+    );
+    CREATE TABLE plan_price_overrides (
+      plan_id TEXT NOT NULL, type_id INTEGER NOT NULL, price REAL NOT NULL, last_market_price REAL,
+      created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL, PRIMARY KEY (plan_id, type_id)
+    );
+    CREATE TABLE plan_research_jobs (
+      research_job_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, blueprint_type_id INTEGER NOT NULL,
+      job_type TEXT NOT NULL, from_level INTEGER NOT NULL DEFAULT 0, to_level INTEGER NOT NULL DEFAULT 0,
+      runs INTEGER NOT NULL DEFAULT 1, copies INTEGER NOT NULL DEFAULT 1, facility_id TEXT, facility_snapshot TEXT,
+      is_completed INTEGER NOT NULL DEFAULT 0, added_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_material_ledger (
+      ledger_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, type_id INTEGER NOT NULL, event_type TEXT NOT NULL,
+      quantity REAL NOT NULL, method TEXT NOT NULL, unit_price REAL, note TEXT, source_ref TEXT, source_type TEXT,
+      source_id INTEGER, character_id INTEGER, corporation_id INTEGER, cost_category TEXT, created_at INTEGER NOT NULL
+    );
+  `);
+}
+
+function seedPlan(db) {
+  const raitaru = JSON.stringify({ id: 'remote-raitaru', name: 'Home Raitaru', structureTypeId: 35825 });
+  const tatara = JSON.stringify({ id: 'remote-tatara', name: 'Corp Tatara', structureTypeId: 35836 });
+
+  db.exec(`
+    INSERT INTO characters (character_id, character_name) VALUES (1001, 'Builder'), (1002, 'Hauler');
+    INSERT INTO manufacturing_plans (plan_id, character_id, plan_name, description, status, created_at, updated_at)
+      VALUES ('P1', 1001, 'Ishtar Batch', 'Weekly run', 'active', 100, 200);
+    INSERT INTO plan_industry_settings VALUES ('P1', '{"1001":[1,2],"1002":[3]}', '[1001,1002]', 1, 200);
+    INSERT INTO plan_price_overrides VALUES ('P1', 34, 4.5, 5.1, 100, 100);
+    INSERT INTO plan_material_ledger (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, source_type, source_id, character_id, created_at)
+      VALUES ('L1', 'P1', 34, 'acquired', 1000, 'purchased', 5, 'wallet_transaction', 555, 1002, 150);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO plan_blueprints (plan_blueprint_id, plan_id, parent_blueprint_id, blueprint_type_id, blueprint_type,
+      reaction_type_id, is_intermediate, intermediate_product_type_id, runs, lines, me_level, te_level,
+      use_intermediates, facility_id, facility_snapshot, is_built, built_runs, added_at)
+    VALUES (?, 'P1', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  // Child is inserted first to check that exports order parents before children
+  insert.run('B2', 'B1', 11531, 'manufacturing', null, 1, 11530, 10, 1, 10, 20, 'buy', 'remote-raitaru', raitaru, 1, 10, 120);
+  insert.run('B1', null, 12006, 'manufacturing', null, 0, null, 5, 2, 2, 4, 'raw_materials', 'remote-raitaru', raitaru, 0, 0, 110);
+  insert.run('R1', null, 46166, 'reaction', 46166, 0, null, 20, 1, 0, 0, 'components', 'remote-tatara', tatara, 0, 0, 130);
+
+  db.prepare(`
+    INSERT INTO plan_research_jobs VALUES ('J1', 'P1', 12006, 'research_me', 0, 10, 1, 1, 'remote-raitaru', ?, 1, 140)
+  `).run(raitaru);
+}
+
+beforeEach(() => {
+  mockDb = new RealDatabase(':memory:');
+  buildSchema(mockDb);
+  seedPlan(mockDb);
+  recalculatePlanMaterials.mockClear();
+});
+
+afterEach(() => {
+  mockDb.close();
+});
+
+describe('exportPlan', () => {
+  test('captures the plan definition with parents ordered before children', () => {
+    const doc = exportPlan('P1');
+
+    expect(doc.format).toBe('quantum-forge-plan');
+    expect(doc.version).toBe(PLAN_EXPORT_VERSION);
+    expect(doc.plan).toMatchObject({ planName: 'Ishtar Batch', description: 'Weekly run', characterId: 1001 });
+    // Top-level rows first, then their children
+    expect(doc.blueprints.map(bp => bp.ref)).toEqual(['B1', 'R1', 'B2']);
+    expect(doc.blueprints[2]).toMatchObject({
+      parentRef: 'B1', isIntermediate: true, intermediateProductTypeId: 11530, meLevel: 10, teLevel: 20, useIntermediates: 'buy',
+    });
+    expect(doc.blueprints[1]).toMatchObject({ blueprintType: 'reaction', reactionTypeId: 46166, useIntermediates: 'components' });
+    expect(doc.blueprints[0].facilitySnapshot).toEqual({ id: 'remote-raitaru', name: 'Home Raitaru', structureTypeId: 35825 });
+    expect(doc.researchJobs).toEqual([expect.objectContaining({ jobType: 'research_me', toLevel: 10 })]);
+    expect(doc.priceOverrides).toEqual([{ typeId: 34, price: 4.5, lastMarketPrice: 5.1 }]);
+    expect(doc.industrySettings).toEqual({
+      enabledDivisions: { 1001: [1, 2], 1002: [3] },
+      defaultCharacters: [1001, 1002],
+      reactionsAsIntermediates: true,
+    });
+    expect(doc.characters).toEqual([
+      { characterId: 1001, characterName: 'Builder' },
+      { characterId: 1002, characterName: 'Hauler' },
+    ]);
+  });
+
+  test('leaves out ledger and progress unless actuals are requested', () => {
+    const plain = exportPlan('P1');
+    expect(plain.ledger).toBeUndefined();
+    expect(plain.blueprints[2].isBuilt).toBeUndefined();
+    expect(plain.researchJobs[0].isCompleted).toBeUndefined();
+
+    const withActuals = exportPlan('P1', { includeActuals: true });
+    expect(withActuals.ledger).toEqual([expect.objectContaining({ typeId: 34, quantity: 1000, sourceType: 'wallet_transaction', sourceId: 555 })]);
+    expect(withActuals.blueprints[2]).toMatchObject({ isBuilt: true, builtRuns: 10 });
+    expect(withActuals.researchJobs[0].isCompleted).toBe(true);
+  });
+
+  test('throws for unknown plans', () => {
+    expect(() => exportPlan('missing')).toThrow('Plan not found');
+  });
+});
+
+describe('validatePlanExport', () => {
+  test('rejects documents that are not plan exports or are too new', () => {
+    expect(() => validatePlanExport(null)).toThrow('not valid JSON');
+    expect(() => validatePlanExport({ format: 'other' })).toThrow('not a Quantum Forge plan export');
+    expect(() => validatePlanExport({ format: 'quantum-forge-plan', version: PLAN_EXPORT_VERSION + 1, plan: {}, blueprints: [] }))
+      .toThrow('newer than this version');
+  });
+});
+
+describe('summarizePlanExport', () => {
+  test('lists the facilities and characters the document references', () => {
+    const summary = summarizePlanExport(exportPlan('P1', { includeActuals: true }));
+
+    expect(summary.blueprintCount).toBe(2);
+    expect(summary.ledgerEntryCount).toBe(1);
+    expect(summary.facilities).toEqual([
+      { facilityId: 'remote-raitaru', name: 'Home Raitaru' },
+      { facilityId: 'remote-tatara', name: 'Corp Tatara' },
+    ]);
+    expect(summary.characters.find(c => c.isOwner).characterId).toBe(1001);
+  });
+});
+
+describe('importPlan', () => {
+  test('recreates the plan tree with new IDs and recalculates materials', async () => {
+    const doc = exportPlan('P1');
+    const result = await importPlan(doc, { characterId: 1001 });
+
+    expect(result.planId).not.toBe('P1');
+    expect(result.blueprintsImported).toBe(3);
+    expect(recalculatePlanMaterials).toHaveBeenCalledWith(result.planId, true);
+
+    const rows = mockDb.prepare('SELECT * FROM plan_blueprints WHERE plan_id = ?').all(result.planId);
+    expect(rows).toHaveLength(3);
+    const parent = rows.find(r => r.blueprint_type_id === 12006);
+    const child = rows.find(r => r.blueprint_type_id === 11531);
+    expect(parent.plan_blueprint_id).not.toBe('B1');
+    expect(child.parent_blueprint_id).toBe(parent.plan_blueprint_id);
+    expect(child).toMatchObject({ me_level: 10, te_level: 20, use_intermediates: 'buy', is_built: 0 });
+
+    const plan = mockDb.prepare('SELECT * FROM manufacturing_plans WHERE plan_id = ?').get(result.planId);
+    expect(plan).toMatchObject({ plan_name: 'Ishtar Batch', character_id: 1001, status: 'draft' });
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM plan_research_jobs WHERE plan_id = ?').get(result.planId).n).toBe(1);
+    expect(mockDb.prepare('SELECT price FROM plan_price_overrides WHERE plan_id = ?').get(result.planId).price).toBe(4.5);
+  });
+
+  test('remaps facilities by map or name and reports the ones it cannot find', async () => {
+    const doc = exportPlan('P1');
+    const result = await importPlan(doc, { characterId: 1001 });
+
+    const rows = mockDb.prepare('SELECT * FROM plan_blueprints WHERE plan_id = ?').all(result.planId);
+    const parent = rows.find(r => r.blueprint_type_id === 12006);
+    const reaction = rows.find(r => r.blueprint_type === 'reaction');
+
+    // Matched by name to the local facility, with a fresh snapshot
+    expect(parent.facility_id).toBe('local-raitaru');
+    expect(JSON.parse(parent.facility_snapshot).systemId).toBe(30000142);
+    // No local match: exported settings are kept and reported
+    expect(reaction.facility_id).toBe('remote-tatara');
+    expect(result.unmappedFacilities).toEqual(['Corp Tatara']);
+
+    const remapped = await importPlan(doc, { characterId: 1001, facilityMap: { 'remote-tatara': 'local-athanor' } });
+    const remappedReaction = mockDb.prepare(`SELECT facility_id FROM plan_blueprints WHERE plan_id = ? AND blueprint_type = 'reaction'`)
+      .get(remapped.planId);
+    expect(remappedReaction.facility_id).toBe('local-athanor');
+    expect(remapped.unmappedFacilities).toEqual([]);
+  });
+
+  test('remaps characters in industry settings and ledger', async () => {
+    mockDb.exec(`INSERT INTO characters (character_id, character_name) VALUES (2001, 'New Builder')`);
+    mockDb.exec('DELETE FROM characters WHERE character_id = 1002');
+    const doc = exportPlan('P1', { includeActuals: true });
+
+    const result = await importPlan(doc, { characterId: 2001, characterMap: {} });
+
+    const settings = mockDb.prepare('SELECT * FROM plan_industry_settings WHERE plan_id = ?').get(result.planId);
+    // 1001 was the plan owner -> 2001; 1002 does not exist locally and is dropped
+    expect(JSON.parse(settings.default_characters_json)).toEqual([2001]);
+    expect(JSON.parse(settings.enabled_divisions_json)).toEqual({ 2001: [1, 2] });
+
+    const ledger = mockDb.prepare('SELECT * FROM plan_material_ledger WHERE plan_id = ?').all(result.planId);
+    expect(ledger).toHaveLength(1);
+    // The ledger entry's character (1002) is not local either, so it is not carried over
+    expect(ledger[0]).toMatchObject({ quantity: 1000, source_type: 'wallet_transaction', source_id: 555, character_id: null });
+    expect(result.ledgerEntriesImported).toBe(1);
+
+    const child = mockDb.prepare('SELECT is_built, built_runs FROM plan_blueprints WHERE plan_id = ? AND is_intermediate = 1')
+      .get(result.planId);
+    expect(child).toEqual({ is_built: 1, built_runs: 10 });
+  });
+
+  test('skips actuals when the import opts out', async () => {
+    const doc = exportPlan('P1', { includeActuals: true });
+    const result = await importPlan(doc, { characterId: 1001, includeActuals: false, planName: 'Copy' });
+
+    expect(result.planName).toBe('Copy');
+    expect(result.ledgerEntriesImported).toBe(0);
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM plan_material_ledger WHERE plan_id = ?').get(result.planId).n).toBe(0);
+  });
+
+  test('requires a character', async () => {
+    await expect(importPlan(exportPlan('P1'), {})).rejects.toThrow('A character is required');
+  });
+});
@@ -10,6 +10,10 @@
  *  - unlinkLedgerEntry: manual row deletes; wallet_transaction routes through the
  *    match unlink; a fee row removes just itself.
  *  - updateLedgerEntry quantity edit on a manual acquired row respects the cap.
+ *  - Bulk paste: previewBulkAcquisition matches pasted text to plan materials;
+ *    addBulkItemAcquisitions merges rows per type, caps each type and splits a
+ *    total price by value over the units it records.
+ *  - Buy items (no blueprint) are plan materials and can be acquired.
  */
 
 const os = require('os');
@@ -29,9 +33,9 @@ function buildSde() {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qf-sde-'));
   mockSdePath = path.join(dir, 'sde.db');
   const db = new RealDatabase(mockSdePath);
-  db.exec(`CREATE TABLE invTypes (typeID INTEGER PRIMARY KEY, typeName TEXT);
+  db.exec(`CREATE TABLE invTypes (typeID INTEGER PRIMARY KEY, typeName TEXT, published INTEGER DEFAULT 1);
            CREATE TABLE industryActivityProducts (typeID INTEGER, activityID INTEGER, productTypeID INTEGER, quantity INTEGER);
-           INSERT INTO invTypes (typeID, typeName) VALUES (34, 'Tritanium');`);
+           INSERT INTO invTypes (typeID, typeName) VALUES (34, 'Tritanium'), (35, 'Pyerite'), (36, 'Mexallon');`);
   db.close();
   return dir;
 }
@@ -45,6 +49,7 @@ function buildSchema(db) {
       price_each REAL, price_frozen_at INTEGER
     );
     CREATE TABLE plan_price_overrides (plan_id TEXT, type_id INTEGER, price REAL);
+    CREATE TABLE plan_buy_items (plan_id TEXT, type_id INTEGER, quantity REAL, price_each REAL, price_frozen_at INTEGER, added_at INTEGER, PRIMARY KEY (plan_id, type_id));
     CREATE TABLE esi_industry_jobs (
       job_id INTEGER PRIMARY KEY, character_id INTEGER, blueprint_type_id INTEGER, runs INTEGER,
       status TEXT, is_corporation INTEGER DEFAULT 0, corporation_id INTEGER, cost REAL, product_type_id INTEGER
@@ -162,6 +167,129 @@ describe('addManualItemAcquisition', () => {
   });
 });
 
+describe('bulk acquisition from pasted text', () => {
+  beforeEach(() => {
+    // Second material: 200 Pyerite at 20 ISK.
+    mockDb.prepare(`INSERT INTO plan_material_nodes (node_id, plan_id, type_id, node_type, depth, quantity_needed, price_each)
+      VALUES ('n2','P1',35,'material',1,200,20)`).run();
+  });
+
+  test('preview resolves inventory, contract and multibuy lines against plan materials', async () => {
+    const text = [
+      'Tritanium\t1,500',
+      'pyerite 100',
+      'Mexallon\t10\tMineral\tMaterial\t',
+      'Unknown Thing 5',
+      'garbage',
+    ].join('\n');
+
+    const preview = await mp.previewBulkAcquisition('P1', text);
+
+    expect(preview.items).toEqual([
+      expect.objectContaining({ typeId: 34, typeName: 'Tritanium', quantity: 1500, inPlan: true, stillNeeded: 1000, acceptedQuantity: 1000, estimatePrice: 5 }),
+      expect.objectContaining({ typeId: 35, typeName: 'Pyerite', quantity: 100, stillNeeded: 200, acceptedQuantity: 100 }),
+      expect.objectContaining({ typeId: 36, inPlan: false, acceptedQuantity: 0 }),
+    ]);
+    expect(preview.unresolvedNames).toEqual(['Unknown Thing']);
+    expect(preview.parseErrors).toEqual(['garbage']);
+    expect(ledgerRows()).toHaveLength(0); // preview never writes
+  });
+
+  test('records every item and splits a total price by estimated value', async () => {
+    // Estimated value: 100 Trit * 5 = 500, 100 Pye * 20 = 2000 → 20% / 80% of 5000
+    const res = await mp.addBulkItemAcquisitions('P1', [
+      { typeId: 34, quantity: 100 },
+      { typeId: 35, quantity: 100 },
+    ], { totalPrice: 5000, note: 'contract' });
+
+    expect(res.recorded).toBe(2);
+    const rows = ledgerRows();
+    expect(rows).toHaveLength(2);
+    const trit = rows.find(r => r.type_id === 34);
+    const pye = rows.find(r => r.type_id === 35);
+    expect(trit.unit_price).toBeCloseTo(10);
+    expect(pye.unit_price).toBeCloseTo(40);
+    expect(trit.note).toBe('contract');
+    expect(trit.method).toBe('manual');
+  });
+
+  test('caps to still-needed, keeps explicit unit prices and skips items outside the plan', async () => {
+    const res = await mp.addBulkItemAcquisitions('P1', [
+      { typeId: 34, quantity: 1500, unitPrice: 4 },
+      { typeId: 35, quantity: 50 },
+      { typeId: 36, quantity: 10 },
+    ]);
+
+    expect(res.results).toEqual([
+      expect.objectContaining({ typeId: 34, actual: 1000, clamped: true, unitPrice: 4 }),
+      expect.objectContaining({ typeId: 35, actual: 50, clamped: false, unitPrice: null }),
+      expect.objectContaining({ typeId: 36, actual: 0, reason: 'not_in_plan' }),
+    ]);
+    expect(res.skipped).toBe(1);
+    expect(netAcquired(34)).toBe(1000);
+    expect(netAcquired(35)).toBe(50);
+  });
+
+  test('merges rows of the same type before capping', async () => {
+    const res = await mp.addBulkItemAcquisitions('P1', [
+      { typeId: 34, quantity: 600 },
+      { typeId: 34, quantity: 600, unitPrice: 4 },
+    ]);
+
+    expect(res.results).toEqual([
+      expect.objectContaining({ typeId: 34, requested: 1200, actual: 1000, clamped: true, unitPrice: 4 }),
+    ]);
+    expect(netAcquired(34)).toBe(1000);
+  });
+
+  test('puts the whole total price on the units it records', async () => {
+    const res = await mp.addBulkItemAcquisitions('P1', [
+      { typeId: 34, quantity: 1500 },
+      { typeId: 35, quantity: 100 },
+      { typeId: 36, quantity: 10 },
+    ], { totalPrice: 6000 });
+
+    // 1000 Tritanium at 5 and 100 Pyerite at 20 are kept: 5000 : 2000
+    const rows = ledgerRows();
+    expect(rows.reduce((sum, r) => sum + r.quantity * r.unit_price, 0)).toBeCloseTo(6000);
+    expect(rows.find(r => r.type_id === 34).unit_price).toBeCloseTo(6000 * 5 / 7000);
+    expect(rows.find(r => r.type_id === 35).unit_price).toBeCloseTo(6000 * 20 / 7000);
+    expect(res.unallocatedPrice).toBe(0);
+  });
+
+  test('reports a total price no recorded unit can take', async () => {
+    const res = await mp.addBulkItemAcquisitions('P1', [{ typeId: 34, quantity: 100, unitPrice: 4 }], { totalPrice: 500 });
+
+    expect(ledgerRows()[0].unit_price).toBe(4);
+    expect(res.unallocatedPrice).toBe(500);
+  });
+
+  test('throws when nothing was pasted', async () => {
+    await expect(mp.addBulkItemAcquisitions('P1', [])).rejects.toThrow(/no items/i);
+  });
+});
+
+describe('buy items', () => {
+  test('count as plan materials next to the material nodes', async () => {
+    mp.addPlanBuyItems('P1', [{ typeId: 36, quantity: 2, unitPrice: 900 }, { typeId: 34, quantity: 100 }]);
+    mp.addPlanBuyItems('P1', [{ typeId: 36, quantity: 3 }]);
+
+    const materials = await mp.getPlanMaterials('P1');
+    expect(materials.find(m => m.typeId === 36)).toMatchObject({ quantity: 5, basePrice: 900, isBuyItem: true });
+    expect(materials.find(m => m.typeId === 34)).toMatchObject({ quantity: 1100 });
+
+    const res = await mp.addManualItemAcquisition('P1', 36, { quantity: 10, unitPrice: 850 });
+    expect(res).toMatchObject({ actual: 5, clamped: true });
+  });
+
+  test('can be removed', async () => {
+    mp.addPlanBuyItems('P1', [{ typeId: 36, quantity: 2 }]);
+
+    expect(mp.removePlanBuyItem('P1', 36)).toBe(true);
+    expect((await mp.getPlanMaterials('P1')).map(m => m.typeId)).toEqual([34]);
+  });
+});
+
 describe('getMaterialStillNeeded', () => {
   test('reflects the new manual acquisition', async () => {
     let sn = await mp.getMaterialStillNeeded('P1', 34);
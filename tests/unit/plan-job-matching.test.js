@@ -0,0 +1,273 @@
+/**
+ * Tests for job → plan matching (plan-matching.js + job-match-model.js):
+ *  - facility comparison against the blueprint's facility snapshot
+ *  - partial-run splits: several jobs fill one blueprint until its runs are covered
+ *  - global assignment: a job goes to one plan only; rejected pairs stay rejected
+ *  - confirm/reject decisions are recorded and refit the weights
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+const mockFacilities = {};
+jest.mock('../../src/main/location-resolver', () => ({
+  resolveFacility: jest.fn(async (locationId) => mockFacilities[locationId] || null),
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+const BLUEPRINT = 100;
+const JITA_4_4 = 60003760;
+const JITA = 30000142;
+const AMARR = 30002187;
+
+function buildSchema(db) {
+  db.exec(`
+    CREATE TABLE manufacturing_plans (
+      plan_id TEXT PRIMARY KEY, character_id INTEGER, status TEXT, created_at INTEGER, updated_at INTEGER
+    );
+    CREATE TABLE plan_blueprints (
+      plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER,
+      runs INTEGER, lines INTEGER DEFAULT 1, facility_snapshot TEXT, added_at INTEGER
+    );
+    CREATE TABLE esi_industry_jobs (
+      job_id INTEGER PRIMARY KEY, character_id INTEGER, installer_id INTEGER, facility_id INTEGER,
+      location_id INTEGER, activity_id INTEGER, blueprint_type_id INTEGER, runs INTEGER, status TEXT,
+      start_date INTEGER, end_date INTEGER, completed_date INTEGER, is_corporation INTEGER DEFAULT 0,
+      corporation_id INTEGER, cost REAL
+    );
+    CREATE TABLE plan_job_matches (
+      match_id TEXT PRIMARY KEY, plan_id TEXT, plan_blueprint_id TEXT, job_id INTEGER,
+      match_confidence REAL, match_reason TEXT, status TEXT DEFAULT 'pending',
+      confirmed_at INTEGER, confirmed_by_user INTEGER DEFAULT 0
+    );
+    CREATE TABLE plan_material_ledger (
+      ledger_id TEXT PRIMARY KEY, plan_id TEXT, type_id INTEGER, event_type TEXT, quantity REAL,
+      method TEXT, unit_price REAL, note TEXT, source_type TEXT, source_id INTEGER,
+      character_id INTEGER, corporation_id INTEGER, cost_category TEXT, created_at INTEGER
+    );
+    CREATE TABLE esi_wallet_journal (id INTEGER, context_id INTEGER);
+    CREATE TABLE job_match_feedback (
+      feedback_id TEXT PRIMARY KEY, match_id TEXT NOT NULL, plan_id TEXT NOT NULL, job_id INTEGER NOT NULL,
+      decision TEXT NOT NULL, features TEXT NOT NULL, created_at INTEGER NOT NULL
+    );
+  `);
+}
+
+function addPlan(planId, status = 'active') {
+  mockDb.prepare('INSERT INTO manufacturing_plans VALUES (?, 1, ?, ?, ?)').run(planId, status, NOW - DAY, NOW);
+}
+
+function addBlueprint(id, planId, runs, lines = 1, snapshot = null) {
+  mockDb.prepare('INSERT INTO plan_blueprints VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .run(id, planId, BLUEPRINT, runs, lines, snapshot ? JSON.stringify(snapshot) : null, NOW);
+}
+
+function addJob(jobId, runs, extra = {}) {
+  mockDb.prepare(`INSERT INTO esi_industry_jobs
+    (job_id, character_id, installer_id, facility_id, activity_id, blueprint_type_id, runs, status, start_date)
+    VALUES (?, 1, ?, ?, 1, ?, ?, 'active', ?)`)
+    .run(jobId, extra.installerId ?? 1, extra.facilityId ?? JITA_4_4, BLUEPRINT, runs, extra.startDate ?? NOW);
+}
+
+const reason = (match, criterion) => JSON.parse(match.matchReason).find(r => r.criterion === criterion);
+
+let pm;
+beforeEach(() => {
+  jest.resetModules();
+  mockDb = new RealDatabase(':memory:');
+  buildSchema(mockDb);
+  for (const key of Object.keys(mockFacilities)) delete mockFacilities[key];
+  mockFacilities[JITA_4_4] = { locationId: JITA_4_4, name: 'Jita IV - Moon 4', systemId: JITA, locationType: 'npc-station' };
+  pm = require('../../src/main/plan-matching');
+});
+
+afterEach(() => {
+  mockDb.close();
+});
+
+describe('matchJobsToPlan', () => {
+  test('compares the job facility with the blueprint facility snapshot', async () => {
+    addPlan('P1');
+    addBlueprint('jita', 'P1', 10, 1, { name: 'Jita', systemId: String(JITA), facilityType: 'station' });
+    addBlueprint('amarr', 'P1', 10, 1, { name: 'Amarr', systemId: String(AMARR), facilityType: 'station' });
+    addJob(1, 10);
+
+    const [match] = await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 });
+
+    expect(match.planBlueprint.plan_blueprint_id).toBe('jita');
+    expect(reason(match, 'facility')).toMatchObject({ match: true, value: 1, actual: 'Jita IV - Moon 4' });
+  });
+
+  test('treats an unresolvable facility as unknown rather than a miss', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 10, 1, { name: 'Fortizar', systemId: String(JITA), structureTypeId: '35833' });
+    addJob(1, 10, { facilityId: 1035000000000 });
+
+    const [match] = await pm.matchJobsToPlan('P1', { characterIds: [1] });
+
+    expect(reason(match, 'facility')).toMatchObject({ match: 'unknown', value: null, contribution: null });
+  });
+
+  test('splits a blueprint\'s runs across several jobs and lines', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 20, 2);
+    addJob(1, 10);
+    addJob(2, 10);
+    addJob(3, 10);
+
+    const matches = await pm.matchJobsToPlan('P1', { characterIds: [1] });
+
+    // Two 10-run lines cover the 20 runs; the third job has nothing left to fill
+    expect(matches).toHaveLength(2);
+    expect(matches.every(m => reason(m, 'runs').value === 1)).toBe(true);
+  });
+
+  test('counts runs already matched towards the blueprint', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 20, 2);
+    addJob(1, 10);
+    addJob(2, 10);
+    mockDb.prepare("INSERT INTO plan_job_matches (match_id, plan_id, plan_blueprint_id, job_id, match_confidence, status) VALUES ('M1', 'P1', 'bp', 1, 0.9, 'confirmed')").run();
+
+    const matches = await pm.matchJobsToPlan('P1', { characterIds: [1] });
+
+    expect(matches.map(m => m.job.job_id)).toEqual([2]);
+    expect(reason(matches[0], 'runs')).toMatchObject({ remaining: 10 });
+  });
+
+  test('suggests nothing for a blueprint already fully matched', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 10);
+    addJob(1, 10);
+    addJob(2, 10);
+    mockDb.prepare("INSERT INTO plan_job_matches (match_id, plan_id, plan_blueprint_id, job_id, match_confidence, status) VALUES ('M1', 'P1', 'bp', 1, 0.9, 'confirmed')").run();
+
+    expect(await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 })).toEqual([]);
+
+    // Scored directly, a job for a covered blueprint does not fit on runs
+    const job = mockDb.prepare('SELECT * FROM esi_industry_jobs WHERE job_id = 2').get();
+    const plan = mockDb.prepare('SELECT * FROM manufacturing_plans').get();
+    const blueprint = mockDb.prepare('SELECT * FROM plan_blueprints').get();
+    expect(pm.calculateJobMatchScore(job, blueprint, plan, { coveredRuns: 10 }).features.runs).toBe(0);
+  });
+
+  test('assigns a job to only one of several competing plans', async () => {
+    addPlan('P1');
+    addPlan('P2');
+    addPlan('OLD', 'completed');
+    addBlueprint('p1', 'P1', 5);
+    addBlueprint('p2', 'P2', 10);
+    addBlueprint('old', 'OLD', 10);
+    addJob(1, 10);
+
+    const forP1 = await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 });
+    const forP2 = await pm.matchJobsToPlan('P2', { characterIds: [1], minConfidence: 0 });
+
+    // The 10-run job fits P2's blueprint exactly and overshoots P1's
+    expect(forP1).toEqual([]);
+    expect(forP2).toHaveLength(1);
+    expect(reason(forP2[0], 'competing_plans')).toMatchObject({ count: 1 });
+
+    pm.saveJobMatches(forP2);
+    expect(await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 })).toEqual([]);
+  });
+
+  test('draft plans compete for jobs too', async () => {
+    addPlan('P1');
+    addPlan('DRAFT', 'draft');
+    addBlueprint('p1', 'P1', 5);
+    addBlueprint('draft', 'DRAFT', 10);
+    addJob(1, 10);
+
+    expect(await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 })).toEqual([]);
+    expect((await pm.matchJobsToPlan('DRAFT', { characterIds: [1], minConfidence: 0 })).map(m => m.job.job_id)).toEqual([1]);
+  });
+
+  test('never saves a job that another plan already holds', async () => {
+    addPlan('P1');
+    addPlan('P2');
+    addBlueprint('p1', 'P1', 10);
+    addBlueprint('p2', 'P2', 10);
+    addJob(1, 10);
+    const job = mockDb.prepare('SELECT * FROM esi_industry_jobs').get();
+
+    pm.saveJobMatches([{ job, planBlueprint: { plan_id: 'P1', plan_blueprint_id: 'p1' }, confidence: 0.9, matchReason: '[]' }]);
+    const result = pm.saveJobMatches([{ job, planBlueprint: { plan_id: 'P2', plan_blueprint_id: 'p2' }, confidence: 0.9, matchReason: '[]' }]);
+
+    expect(result.count).toBe(0);
+    expect(mockDb.prepare('SELECT plan_id FROM plan_job_matches').all()).toEqual([{ plan_id: 'P1' }]);
+  });
+
+  test('does not suggest a rejected job for the same blueprint again', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 10);
+    addJob(1, 10);
+    pm.saveJobMatches(await pm.matchJobsToPlan('P1', { characterIds: [1] }));
+    const { match_id: matchId } = mockDb.prepare('SELECT match_id FROM plan_job_matches').get();
+
+    pm.rejectJobMatch(matchId);
+
+    expect(await pm.matchJobsToPlan('P1', { characterIds: [1] })).toEqual([]);
+  });
+});
+
+describe('learning from decisions', () => {
+  const { DEFAULT_WEIGHTS, learnWeights, getJobMatchWeights } = require('../../src/main/job-match-model');
+
+  test('confirm and reject record the features the user decided on', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 20, 2);
+    addJob(1, 10);
+    addJob(2, 3);
+    pm.saveJobMatches(await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 }));
+    const ids = Object.fromEntries(mockDb.prepare('SELECT job_id, match_id FROM plan_job_matches').all()
+      .map(r => [r.job_id, r.match_id]));
+
+    pm.confirmJobMatch(ids[1]);
+    pm.rejectJobMatch(ids[2]);
+
+    const feedback = mockDb.prepare('SELECT job_id, decision, features FROM job_match_feedback ORDER BY job_id').all();
+    expect(feedback.map(f => [f.job_id, f.decision])).toEqual([[1, 'confirmed'], [2, 'rejected']]);
+    expect(JSON.parse(feedback[0].features)).toMatchObject({ runs: 1, character: 1, facility: null });
+    expect(JSON.parse(feedback[1].features)).toMatchObject({ runs: 0.5, character: 1 });
+  });
+
+  test('keeps the default weights until enough decisions exist', () => {
+    expect(getJobMatchWeights(mockDb)).toEqual(DEFAULT_WEIGHTS);
+  });
+
+  test('weights move towards what the user confirms', () => {
+    // This user keeps confirming jobs whose runs do not fit and rejecting ones from other characters
+    const samples = [];
+    for (let i = 0; i < 20; i++) {
+      samples.push({ features: { runs: 0, facility: null, timing: 1, character: 1 }, label: 1 });
+      samples.push({ features: { runs: 1, facility: null, timing: 1, character: 0 }, label: 0 });
+    }
+
+    const weights = learnWeights(samples);
+
+    expect(weights.runs).toBeLessThan(DEFAULT_WEIGHTS.runs);
+    expect(weights.character).toBeGreaterThan(DEFAULT_WEIGHTS.character);
+    expect(weights.facility).toBe(DEFAULT_WEIGHTS.facility);
+  });
+
+  test('recorded decisions change the next confidence', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 10);
+    addJob(1, 4);
+    const before = (await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 }))[0].confidence;
+
+    const insert = mockDb.prepare(`INSERT INTO job_match_feedback VALUES (?, 'M', 'P0', 0, 'rejected', ?, 1)`);
+    for (let i = 0; i < 10; i++) {
+      insert.run(`F${i}`, JSON.stringify({ runs: 0.5, facility: null, timing: 1, character: 1 }));
+    }
+    const after = (await pm.matchJobsToPlan('P1', { characterIds: [1], minConfidence: 0 }))[0].confidence;
+
+    expect(after).toBeLessThan(before);
+  });
+});
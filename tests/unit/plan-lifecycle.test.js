@@ -0,0 +1,364 @@
+/**
+ * Tests for the plan lifecycle (plan-lifecycle.js):
+ *  - status derived from ledger purchases, confirmed jobs and sales
+ *  - automatic transitions only move forward and close the plan when all sold
+ *  - closing writes the close-out report and carries leftovers to the stockpile
+ *  - other plans allocate from the stockpile; reopening is blocked once allocated
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn(async (typeIds) => Object.fromEntries(typeIds.map(id => [id, `Item ${id}`]))),
+}));
+
+jest.mock('../../src/main/blueprint-calculator', () => ({
+  getBlueprintProduct: jest.fn(() => ({ quantity: 10 })),
+}));
+
+jest.mock('../../src/main/reaction-calculator', () => ({
+  getReactionProduct: jest.fn(async () => ({ quantity: 200 })),
+}));
+
+// Planned materials and products per plan; acquisitions and sales come from the ledger table
+const mockPlans = {};
+jest.mock('../../src/main/manufacturing-plans', () => {
+  const ledgerRows = (planId) => mockDb.prepare('SELECT * FROM plan_material_ledger WHERE plan_id = ?').all(planId);
+
+  return {
+    getPlanMaterials: jest.fn(async (planId) => (mockPlans[planId]?.materials || []).map(material => {
+      const acquired = ledgerRows(planId)
+        .filter(row => row.type_id === material.typeId && row.event_type === 'acquired')
+        .reduce((sum, row) => sum + row.quantity, 0);
+      return { ...material, manuallyAcquiredQuantity: acquired, purchasedQuantity: 0, manufacturedQuantity: 0 };
+    })),
+    getPlanProducts: jest.fn((planId) => mockPlans[planId]?.products || []),
+    getPlanLedger: jest.fn(async (planId) => {
+      const rows = ledgerRows(planId);
+      const item = row => ({
+        typeId: row.type_id,
+        quantity: row.quantity,
+        amount: row.quantity * (row.unit_price || 0),
+        sourceType: row.source_type,
+        sourceId: row.source_id,
+      });
+      const purchases = rows.filter(row => row.event_type === 'acquired').map(item);
+      const sales = rows.filter(row => row.event_type === 'sold').map(item);
+      const sum = items => items.reduce((total, i) => total + i.amount, 0);
+      const empty = { items: [], total: 0 };
+
+      return {
+        categories: {
+          materialPurchases: { items: purchases, total: sum(purchases) },
+          productSales: { items: sales, total: sum(sales) },
+          jobInstallation: empty,
+          marketFees: empty,
+          other: empty,
+        },
+        totals: {
+          materialPurchases: sum(purchases),
+          productSales: sum(sales),
+          jobInstallation: 0,
+          marketFees: 0,
+          other: 0,
+          totalSpend: sum(purchases),
+        },
+        reconciliation: { plannedCost: mockPlans[planId]?.plannedCost ?? null },
+      };
+    }),
+  };
+});
+
+const NOW = Date.now();
+const TRITANIUM = 34;
+const PRODUCT = 587;
+const COMPONENT = 11530;
+
+function buildSchema(db) {
+  db.exec(`
+    CREATE TABLE manufacturing_plans (
+      plan_id TEXT PRIMARY KEY, plan_name TEXT, status TEXT, completed_at INTEGER, updated_at INTEGER
+    );
+    CREATE TABLE plan_blueprints (
+      plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER, runs INTEGER,
+      lines INTEGER DEFAULT 1, is_intermediate INTEGER DEFAULT 0, is_built INTEGER DEFAULT 0,
+      built_runs INTEGER DEFAULT 0, use_intermediates TEXT, blueprint_type TEXT,
+      reaction_type_id INTEGER, intermediate_product_type_id INTEGER, added_at INTEGER
+    );
+    CREATE TABLE esi_industry_jobs (job_id INTEGER PRIMARY KEY, runs INTEGER, status TEXT);
+    CREATE TABLE plan_job_matches (
+      match_id TEXT PRIMARY KEY, plan_id TEXT, plan_blueprint_id TEXT, job_id INTEGER, status TEXT
+    );
+    CREATE TABLE plan_material_ledger (
+      ledger_id TEXT PRIMARY KEY, plan_id TEXT, type_id INTEGER, event_type TEXT, quantity REAL,
+      method TEXT, unit_price REAL, note TEXT, source_ref TEXT, source_type TEXT, source_id INTEGER,
+      created_at INTEGER
+    );
+    CREATE TABLE plan_material_nodes (
+      plan_id TEXT, type_id INTEGER, node_type TEXT, quantity_needed REAL, price_each REAL
+    );
+    CREATE TABLE plan_asset_allocations (
+      allocation_id TEXT PRIMARY KEY, plan_id TEXT, type_id INTEGER, quantity INTEGER,
+      is_corporation INTEGER, allocated_at INTEGER, stockpile_id TEXT, unit_price REAL
+    );
+    CREATE TABLE plan_closeouts (plan_id TEXT PRIMARY KEY, report TEXT NOT NULL, closed_at INTEGER NOT NULL);
+    CREATE TABLE plan_stockpile (
+      stockpile_id TEXT PRIMARY KEY, source_plan_id TEXT, type_id INTEGER NOT NULL, kind TEXT NOT NULL,
+      quantity INTEGER NOT NULL, unit_price REAL, created_at INTEGER NOT NULL
+    );
+  `);
+}
+
+let ledgerSeq = 0;
+
+function addPlan(planId, status = 'draft', plan = {}) {
+  mockDb.prepare('INSERT INTO manufacturing_plans VALUES (?, ?, ?, NULL, ?)').run(planId, `Plan ${planId}`, status, NOW);
+  mockPlans[planId] = {
+    materials: [{ typeId: TRITANIUM, quantity: 1000, basePrice: 5 }],
+    products: [{ typeId: PRODUCT, quantity: 10, basePrice: 1000, isIntermediate: false }],
+    plannedCost: 5000,
+    ...plan,
+  };
+}
+
+function addBlueprint(id, planId, runs, extra = {}) {
+  mockDb.prepare(`
+    INSERT INTO plan_blueprints (plan_blueprint_id, plan_id, blueprint_type_id, runs, is_intermediate,
+      intermediate_product_type_id, use_intermediates, added_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, planId, 100, runs, extra.intermediateProductTypeId ? 1 : 0,
+    extra.intermediateProductTypeId || null, extra.useIntermediates || null, NOW);
+}
+
+function addConfirmedJob(jobId, planId, planBlueprintId, runs, status = 'active') {
+  mockDb.prepare('INSERT INTO esi_industry_jobs VALUES (?, ?, ?)').run(jobId, runs, status);
+  mockDb.prepare('INSERT INTO plan_job_matches VALUES (?, ?, ?, ?, ?)')
+    .run(`m${jobId}`, planId, planBlueprintId, jobId, 'confirmed');
+}
+
+function addLedger(planId, typeId, eventType, quantity, unitPrice) {
+  mockDb.prepare(`
+    INSERT INTO plan_material_ledger (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, created_at)
+    VALUES (?, ?, ?, ?, ?, 'manual', ?, ?)
+  `).run(`l${++ledgerSeq}`, planId, typeId, eventType, quantity, unitPrice, NOW);
+}
+
+const statusOf = planId => mockDb.prepare('SELECT status FROM manufacturing_plans WHERE plan_id = ?').get(planId).status;
+
+let lifecycle;
+beforeEach(() => {
+  jest.resetModules();
+  mockDb = new RealDatabase(':memory:');
+  buildSchema(mockDb);
+  for (const key of Object.keys(mockPlans)) delete mockPlans[key];
+  lifecycle = require('../../src/main/plan-lifecycle');
+});
+
+afterEach(() => {
+  mockDb.close();
+});
+
+describe('derivePlanStatus', () => {
+  const progress = (overrides) => ({
+    hasBlueprints: true,
+    committed: true,
+    jobs: { planned: 10, started: 0, finished: 0 },
+    products: [{ typeId: PRODUCT, planned: 10, sold: 0 }],
+    ...overrides,
+  });
+
+  test('follows purchases, jobs and sales', () => {
+    expect(lifecycle.derivePlanStatus(progress({ hasBlueprints: false }))).toBe('draft');
+    expect(lifecycle.derivePlanStatus(progress({ committed: false }))).toBe('draft');
+    expect(lifecycle.derivePlanStatus(progress())).toBe('active');
+    expect(lifecycle.derivePlanStatus(progress({ jobs: { planned: 10, started: 10, finished: 4 } }))).toBe('building');
+    expect(lifecycle.derivePlanStatus(progress({ jobs: { planned: 10, started: 10, finished: 10 } }))).toBe('selling');
+    expect(lifecycle.derivePlanStatus(progress({
+      jobs: { planned: 10, started: 10, finished: 10 },
+      products: [{ typeId: PRODUCT, planned: 10, sold: 10 }],
+    }))).toBe('closed');
+  });
+});
+
+describe('evaluatePlanLifecycle', () => {
+  test('moves a plan forward as materials are bought and jobs run', async () => {
+    addPlan('P1');
+    addBlueprint('bp', 'P1', 10);
+
+    expect((await lifecycle.evaluatePlanLifecycle('P1')).changed).toBe(false);
+
+    addLedger('P1', TRITANIUM, 'acquired', 1000, 5);
+    expect(await lifecycle.evaluatePlanLifecycle('P1')).toMatchObject({ previousStatus: 'draft', status: 'active', changed: true });
+
+    addConfirmedJob(1, 'P1', 'bp', 10);
+    expect((await lifecycle.evaluatePlanLifecycle('P1')).status).toBe('building');
+
+    mockDb.prepare("UPDATE esi_industry_jobs SET status = 'delivered'").run();
+    expect((await lifecycle.evaluatePlanLifecycle('P1')).status).toBe('selling');
+    expect(statusOf('P1')).toBe('selling');
+  });
+
+  test('never moves a plan backwards', async () => {
+    addPlan('P1', 'selling');
+    addBlueprint('bp', 'P1', 10);
+    addLedger('P1', TRITANIUM, 'acquired', 1000, 5);
+
+    const result = await lifecycle.evaluatePlanLifecycle('P1');
+
+    expect(result).toMatchObject({ status: 'selling', changed: false });
+    expect(statusOf('P1')).toBe('selling');
+  });
+
+  test('closes the plan once every product has sold', async () => {
+    addPlan('P1', 'selling');
+    addBlueprint('bp', 'P1', 10);
+    addConfirmedJob(1, 'P1', 'bp', 10, 'delivered');
+    addLedger('P1', TRITANIUM, 'acquired', 1000, 5);
+    addLedger('P1', PRODUCT, 'sold', 10, 1200);
+
+    const result = await lifecycle.evaluatePlanLifecycle('P1');
+
+    expect(result.status).toBe('closed');
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM plan_closeouts').get().n).toBe(1);
+  });
+
+  test('ignores rows bought from the market when counting runs', async () => {
+    addPlan('P1', 'active');
+    addBlueprint('bp', 'P1', 10);
+    addBlueprint('bought', 'P1', 5, { useIntermediates: 'buy' });
+    addConfirmedJob(1, 'P1', 'bp', 10, 'ready');
+    addLedger('P1', TRITANIUM, 'acquired', 1000, 5);
+
+    expect((await lifecycle.evaluatePlanLifecycle('P1')).status).toBe('selling');
+  });
+});
+
+describe('close-out report', () => {
+  test('explains material, job and product variances', async () => {
+    addPlan('P1', 'selling');
+    addBlueprint('bp', 'P1', 10);
+    addConfirmedJob(1, 'P1', 'bp', 6, 'delivered');
+    addConfirmedJob(2, 'P1', 'bp', 6, 'delivered');
+    addLedger('P1', TRITANIUM, 'acquired', 1200, 6);
+    addLedger('P1', PRODUCT, 'sold', 8, 1000);
+
+    const report = await lifecycle.buildCloseOutReport('P1');
+
+    const material = report.materials.find(m => m.typeId === TRITANIUM);
+    expect(material).toMatchObject({ plannedQuantity: 1000, actualQuantity: 1200, leftover: 200, variance: 2200 });
+    expect(material.reasons.map(r => r.code)).toEqual(['over_acquired', 'price_above_plan']);
+
+    expect(report.jobs[0]).toMatchObject({ plannedRuns: 10, actualRuns: 12, jobCount: 2 });
+    expect(report.jobs[0].reasons.map(r => r.code)).toEqual(['extra_runs', 'split_jobs']);
+
+    expect(report.products[0]).toMatchObject({ soldQuantity: 8, revenue: 8000 });
+    expect(report.products[0].reasons.map(r => r.code)).toEqual(['partly_unsold']);
+
+    expect(report.stockpile).toEqual([
+      expect.objectContaining({ typeId: TRITANIUM, kind: 'material', quantity: 200, unitPrice: 6 }),
+    ]);
+    expect(report.totals.actual).toMatchObject({ cost: 7200, revenue: 8000, profit: 800 });
+    expect(report.totals.profitWithStockpile).toBe(2000);
+  });
+
+  test('carries intermediates produced beyond the plan\'s needs', async () => {
+    addPlan('P1', 'selling');
+    addBlueprint('comp', 'P1', 5, { intermediateProductTypeId: COMPONENT });
+    mockDb.prepare("INSERT INTO plan_material_nodes VALUES ('P1', ?, 'intermediate', 40, 250)").run(COMPONENT);
+    addConfirmedJob(1, 'P1', 'comp', 5, 'delivered');
+
+    const report = await lifecycle.buildCloseOutReport('P1');
+
+    expect(report.stockpile).toEqual([
+      expect.objectContaining({ typeId: COMPONENT, kind: 'intermediate', quantity: 10, unitPrice: 250 }),
+    ]);
+  });
+
+  test('closing snapshots the report; the preview is only a preview', async () => {
+    addPlan('P1', 'selling');
+    addLedger('P1', TRITANIUM, 'acquired', 1500, 5);
+
+    expect(await lifecycle.getCloseOutReport('P1')).toMatchObject({ preview: true, closedAt: null });
+
+    await lifecycle.setPlanStatus('P1', 'closed');
+    addLedger('P1', TRITANIUM, 'acquired', 100, 5);
+
+    const stored = await lifecycle.getCloseOutReport('P1');
+    expect(stored.preview).toBe(false);
+    expect(stored.closedAt).toEqual(expect.any(Number));
+    expect(stored.materials[0].actualQuantity).toBe(1500);
+    expect(statusOf('P1')).toBe('closed');
+  });
+});
+
+describe('stockpile', () => {
+  async function closeWithLeftovers(planId, quantity) {
+    addPlan(planId, 'selling');
+    addLedger(planId, TRITANIUM, 'acquired', 1000 + quantity, 4);
+    await lifecycle.closePlan(planId);
+  }
+
+  test('allocates leftovers to another plan at the closing plan\'s cost', async () => {
+    await closeWithLeftovers('OLD', 300);
+    addPlan('NEW', 'active');
+    addLedger('NEW', TRITANIUM, 'acquired', 800, 5);
+
+    const sourcing = await lifecycle.getStockpileSourcing('NEW');
+    expect(sourcing.allocations).toEqual([
+      expect.objectContaining({ typeId: TRITANIUM, quantity: 200, unitPrice: 4, sourcePlanName: 'Plan OLD' }),
+    ]);
+
+    const result = await lifecycle.allocateFromStockpile('NEW');
+    expect(result).toMatchObject({ success: true, allocations: 1, typesCovered: 1 });
+
+    const ledger = mockDb.prepare("SELECT * FROM plan_material_ledger WHERE plan_id = 'NEW' AND source_type = 'stockpile'").get();
+    expect(ledger).toMatchObject({ quantity: 200, unit_price: 4, note: 'Leftover from Plan OLD' });
+
+    const [entry] = await lifecycle.getStockpile();
+    expect(entry).toMatchObject({ quantity: 300, allocated: 200, available: 100 });
+  });
+
+  test('a released allocation returns to the stockpile', async () => {
+    await closeWithLeftovers('OLD', 300);
+    addPlan('NEW', 'active');
+    await lifecycle.allocateFromStockpile('NEW');
+    const { allocation_id: allocationId } = mockDb.prepare('SELECT allocation_id FROM plan_asset_allocations').get();
+
+    lifecycle.releaseStockpileAllocation('NEW', allocationId);
+
+    const [entry] = await lifecycle.getStockpile();
+    expect(entry).toMatchObject({ allocated: 0, available: 300 });
+  });
+
+  test('reopening removes unallocated leftovers but refuses once they are used', async () => {
+    await closeWithLeftovers('OLD', 300);
+    await lifecycle.setPlanStatus('OLD', 'active');
+    expect(await lifecycle.getStockpile()).toEqual([]);
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM plan_closeouts').get().n).toBe(0);
+
+    await lifecycle.setPlanStatus('OLD', 'closed');
+    addPlan('NEW', 'active');
+    await lifecycle.allocateFromStockpile('NEW');
+
+    await expect(lifecycle.setPlanStatus('OLD', 'active')).rejects.toThrow('already allocated');
+    expect(statusOf('OLD')).toBe('closed');
+  });
+
+  test('a plan does not allocate its own leftovers', async () => {
+    await closeWithLeftovers('OLD', 300);
+
+    expect((await lifecycle.getStockpileSourcing('OLD')).allocations).toEqual([]);
+  });
+});
+
+describe('setPlanStatus', () => {
+  test('rejects unknown statuses', async () => {
+    addPlan('P1');
+    await expect(lifecycle.setPlanStatus('P1', 'completed')).rejects.toThrow('Unknown plan status');
+  });
+});
@@ -26,8 +26,9 @@ function buildSchema(db) {
     );
     CREATE TABLE plan_material_nodes (
       node_id TEXT PRIMARY KEY, plan_id TEXT, type_id INTEGER, node_type TEXT,
-      depth INTEGER, quantity_needed REAL, price_each REAL
+      depth INTEGER, quantity_needed REAL, price_each REAL, price_frozen_at INTEGER
     );
+    CREATE TABLE plan_buy_items (plan_id TEXT, type_id INTEGER, quantity REAL, price_each REAL, price_frozen_at INTEGER, added_at INTEGER, PRIMARY KEY (plan_id, type_id));
     CREATE TABLE esi_industry_jobs (
       job_id INTEGER PRIMARY KEY, character_id INTEGER, installer_id INTEGER, facility_id INTEGER,
       activity_id INTEGER, blueprint_type_id INTEGER, runs INTEGER, status TEXT,
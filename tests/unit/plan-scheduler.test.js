@@ -0,0 +1,223 @@
+/**
+ * Tests for the plan production scheduler:
+ *  - rows split into lines and into jobs of at most 30 days
+ *  - dependencies come from producer/consumer pairs in the material tree
+ *  - jobs wait for their inputs and for a free slot; the critical path follows
+ *    whatever held each job back
+ *  - confirmed job matches keep their real start and end dates
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn(async (typeIds) => Object.fromEntries(typeIds.map(id => [id, `Blueprint ${id}`]))),
+}));
+
+// One run of every blueprint takes its type ID in hours
+jest.mock('../../src/main/blueprint-calculator', () => ({
+  calculateManufacturingTime: jest.fn((typeId, te, runs) => ({ timePerRun: typeId * 3600, adjustedTime: typeId * 3600 * runs })),
+}));
+
+jest.mock('../../src/main/reaction-calculator', () => ({
+  getReactionTime: jest.fn(async (typeId) => typeId * 3600),
+  calculateReactionTime: jest.fn((baseTime, runs) => baseTime * runs),
+}));
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanIndustrySettings: jest.fn(() => ({ defaultCharacters: [] })),
+}));
+
+let mockSlotTimes = [];
+jest.mock('../../src/main/industry-slots', () => ({
+  getSlotFreeTimes: jest.fn(() => mockSlotTimes),
+}));
+
+const {
+  MAX_JOB_DURATION_MS,
+  splitRunsIntoJobs,
+  buildDependencies,
+  scheduleJobs,
+  getPlanSchedule,
+} = require('../../src/main/plan-scheduler');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+const job = (key, planBlueprintId, hours, category = 'manufacturing', fixed = null) =>
+  ({ key, planBlueprintId, category, durationMs: hours * HOUR, fixed });
+const character = (characterId, slots) => ({ characterId, characterName: `Char ${characterId}`, slots });
+const byKey = (schedule) => Object.fromEntries(schedule.jobs.map(j => [j.key, j]));
+
+describe('splitRunsIntoJobs', () => {
+  test('spreads runs over lines, the first lines taking the remainder', () => {
+    expect(splitRunsIntoJobs(11, 3, HOUR).map(j => j.runs)).toEqual([4, 4, 3]);
+    expect(splitRunsIntoJobs(2, 5, HOUR)).toHaveLength(2);
+    expect(splitRunsIntoJobs(0, 1, HOUR)).toEqual([]);
+  });
+
+  test('splits lines longer than 30 days', () => {
+    expect(splitRunsIntoJobs(100, 1, DAY).map(j => j.runs)).toEqual([30, 30, 30, 10]);
+    // A single run over the limit still becomes one job per run
+    expect(splitRunsIntoJobs(2, 1, MAX_JOB_DURATION_MS + HOUR).map(j => j.runs)).toEqual([1, 1]);
+  });
+});
+
+describe('buildDependencies', () => {
+  test('links each producing row to the row that consumes its output', () => {
+    const nodes = [
+      { node_id: 'n1', parent_node_id: null, source_plan_blueprint_id: 'ship' },
+      { node_id: 'n2', parent_node_id: 'n1', source_plan_blueprint_id: 'component' },
+      { node_id: 'n3', parent_node_id: 'n2', source_plan_blueprint_id: 'reaction' },
+      { node_id: 'n4', parent_node_id: 'n3', source_plan_blueprint_id: null },      // moon goo
+      { node_id: 'n5', parent_node_id: 'n1', source_plan_blueprint_id: 'component' },
+    ];
+
+    const dependencies = buildDependencies(nodes);
+    expect([...dependencies.get('ship')]).toEqual(['component']);
+    expect([...dependencies.get('component')]).toEqual(['reaction']);
+    expect(dependencies.has('reaction')).toBe(false);
+  });
+});
+
+describe('scheduleJobs', () => {
+  test('waits for inputs and puts the longest chain first', () => {
+    const jobs = [
+      job('extra', 'extra', 3),
+      job('product', 'product', 2),
+      job('component', 'component', 5),
+      job('reaction', 'reaction', 10, 'reactions'),
+    ];
+    const dependencies = new Map([['product', new Set(['component'])], ['component', new Set(['reaction'])]]);
+    const slots = [character(1, { manufacturing: [NOW], reactions: [NOW] })];
+
+    const schedule = scheduleJobs(jobs, dependencies, slots, NOW);
+    const placed = byKey(schedule);
+
+    expect(placed.reaction).toMatchObject({ start: NOW, end: NOW + 10 * HOUR, characterId: 1 });
+    expect(placed.extra.start).toBe(NOW);
+    expect(placed.component.start).toBe(NOW + 10 * HOUR);
+    expect(placed.product).toMatchObject({ start: NOW + 15 * HOUR, end: NOW + 17 * HOUR });
+    expect(schedule.projectedCompletion).toBe(NOW + 17 * HOUR);
+    expect(schedule.criticalPath).toEqual(['reaction', 'component', 'product']);
+    expect(placed.extra.critical).toBe(false);
+  });
+
+  test('queues jobs behind busy slots and follows the slot on the critical path', () => {
+    const jobs = [job('a', 'a', 4), job('b', 'b', 2), job('d', 'd', 5)];
+    const dependencies = new Map([['d', new Set(['b'])]]);
+    const slots = [character(1, { manufacturing: [NOW] })];
+
+    const schedule = scheduleJobs(jobs, dependencies, slots, NOW);
+    const placed = byKey(schedule);
+
+    // b and then d form the longer chain, so they take the only slot first
+    expect(placed.b.start).toBe(NOW);
+    expect(placed.d.start).toBe(NOW + 2 * HOUR);
+    expect(placed.a.start).toBe(NOW + 7 * HOUR);
+    expect(schedule.criticalPath).toEqual(['b', 'd', 'a']);
+  });
+
+  test('uses slots that open later and leaves paused slots alone', () => {
+    const jobs = [job('a', 'a', 1), job('b', 'b', 1)];
+    const slots = [character(1, { manufacturing: [NOW + 3 * HOUR, Infinity] }), character(2, { manufacturing: [NOW + HOUR] })];
+
+    const placed = byKey(scheduleJobs(jobs, new Map(), slots, NOW));
+
+    expect(placed.a).toMatchObject({ start: NOW + HOUR, characterId: 2 });
+    expect(placed.b).toMatchObject({ start: NOW + 2 * HOUR, characterId: 2 });
+  });
+
+  test('pins confirmed jobs and starts consumers when they end', () => {
+    const jobs = [
+      job('job:1', 'component', 0, 'manufacturing', { start: NOW - 2 * HOUR, end: NOW + 4 * HOUR, characterId: 1 }),
+      job('product', 'product', 2),
+    ];
+    const dependencies = new Map([['product', new Set(['component'])]]);
+
+    const schedule = scheduleJobs(jobs, dependencies, [character(1, { manufacturing: [NOW] })], NOW);
+    const placed = byKey(schedule);
+
+    expect(placed['job:1']).toMatchObject({ start: NOW - 2 * HOUR, end: NOW + 4 * HOUR });
+    expect(placed.product.start).toBe(NOW + 4 * HOUR);
+    expect(schedule.criticalPath).toEqual(['job:1', 'product']);
+  });
+
+  test('runs jobs without slots unconstrained and flags them', () => {
+    const jobs = [job('r1', 'r', 2, 'reactions'), job('r2', 'r', 2, 'reactions')];
+
+    const placed = byKey(scheduleJobs(jobs, new Map(), [character(1, { manufacturing: [NOW], reactions: [] })], NOW));
+
+    expect(placed.r1).toMatchObject({ start: NOW, unassigned: true, characterId: null });
+    expect(placed.r2.start).toBe(NOW);
+  });
+});
+
+describe('getPlanSchedule', () => {
+  beforeEach(() => {
+    mockDb = new RealDatabase(':memory:');
+    mockDb.exec(`
+      CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, character_id INTEGER);
+      CREATE TABLE plan_blueprints (
+        plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER, blueprint_type TEXT,
+        runs INTEGER, lines INTEGER, te_level INTEGER, facility_snapshot TEXT, is_built INTEGER DEFAULT 0,
+        use_intermediates TEXT, added_at INTEGER
+      );
+      CREATE TABLE esi_industry_jobs (
+        job_id INTEGER PRIMARY KEY, installer_id INTEGER, runs INTEGER, status TEXT, start_date INTEGER, end_date INTEGER
+      );
+      CREATE TABLE plan_job_matches (match_id TEXT PRIMARY KEY, plan_id TEXT, plan_blueprint_id TEXT, job_id INTEGER, status TEXT);
+      CREATE TABLE plan_material_nodes (node_id TEXT, plan_id TEXT, parent_node_id TEXT, source_plan_blueprint_id TEXT);
+
+      INSERT INTO manufacturing_plans VALUES ('P1', 1);
+      INSERT INTO plan_blueprints VALUES
+        ('ship', 'P1', 10, NULL, 1, 1, 0, NULL, 0, NULL, 1),
+        ('component', 'P1', 2, NULL, 10, 2, 0, NULL, 0, NULL, 2),
+        ('reaction', 'P1', 24, 'reaction', 40, 1, 0, NULL, 0, NULL, 3),
+        ('bought', 'P1', 5, NULL, 10, 1, 0, NULL, 0, 'buy', 4);
+      INSERT INTO esi_industry_jobs VALUES (900, 1, 4, 'active', ${NOW - HOUR}, ${NOW + 7 * HOUR});
+      INSERT INTO plan_job_matches VALUES ('m1', 'P1', 'component', 900, 'confirmed');
+      INSERT INTO plan_material_nodes VALUES
+        ('n1', 'P1', NULL, 'ship'),
+        ('n2', 'P1', 'n1', 'component'),
+        ('n3', 'P1', 'n2', 'reaction');
+    `);
+    mockSlotTimes = [character(1, { manufacturing: [NOW, NOW], reactions: [NOW] })];
+  });
+
+  afterEach(() => {
+    mockDb.close();
+  });
+
+  test('schedules the remaining runs around confirmed jobs', async () => {
+    const schedule = await getPlanSchedule('P1', NOW);
+    const rows = (id) => schedule.jobs.filter(j => j.planBlueprintId === id);
+
+    expect(rows('bought')).toEqual([]);
+
+    // 40 one-day reaction runs become a 30 and a 10 run job
+    expect(rows('reaction').map(j => j.runs)).toEqual([30, 10]);
+
+    // The confirmed job keeps its dates; 6 runs are left on the free line
+    const [confirmed, remaining] = rows('component');
+    expect(confirmed).toMatchObject({ key: 'job:900', confirmed: true, start: NOW - HOUR, end: NOW + 7 * HOUR, runs: 4 });
+    expect(remaining).toMatchObject({ confirmed: false, runs: 6, blueprintName: 'Blueprint 2' });
+    // Both reaction jobs share the only reaction slot
+    expect(remaining.start).toBe(NOW + 40 * DAY);
+
+    const [ship] = rows('ship');
+    expect(ship.start).toBe(remaining.end);
+    expect(ship.dependsOn).toEqual(['component']);
+    expect(schedule.projectedCompletion).toBe(ship.end);
+    expect(schedule.criticalPath).toEqual(['reaction:0', 'reaction:1', 'component:0', 'ship:0']);
+  });
+
+  test('rejects unknown plans', async () => {
+    await expect(getPlanSchedule('missing', NOW)).rejects.toThrow('Plan not found');
+  });
+});
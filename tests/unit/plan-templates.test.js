@@ -0,0 +1,250 @@
+/**
+ * Tests for plan templates and recurring cycles (plan-templates.js):
+ *  - a template keeps the plan definition without price overrides or one-off research
+ *  - spawning scales top-level runs, creates a draft plan and recalculates it
+ *  - scheduled templates spawn once when due and move their schedule past now
+ *  - the history compares profit across cycles
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+jest.mock('../../src/main/settings-manager', () => {
+  const { createMockSettingsManager } = require('./helpers/settings-mocks');
+  return createMockSettingsManager({
+    manufacturing_facilities: [
+      { id: 'raitaru', name: 'Home Raitaru', usage: 'default', systemId: 30000142, structureTypeId: 35825, rigs: [] },
+    ],
+  });
+});
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  recalculatePlanMaterials: jest.fn(() => Promise.resolve(true)),
+}));
+
+// Profit per plan, as the close-out report would compute it
+const mockProfits = {};
+jest.mock('../../src/main/plan-lifecycle', () => ({
+  getCloseOutReport: jest.fn(async (planId) => {
+    const profit = mockProfits[planId] ?? 0;
+    return {
+      totals: {
+        planned: { cost: 1000, revenue: 1500, profit: 500 },
+        actual: { cost: 1000, revenue: 1000 + profit, profit },
+        profitWithStockpile: profit + 50,
+      },
+    };
+  }),
+}));
+
+const templates = require('../../src/main/plan-templates');
+const { recalculatePlanMaterials } = require('../../src/main/manufacturing-plans');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function buildSchema(db) {
+  db.exec(`
+    PRAGMA foreign_keys = ON;
+    CREATE TABLE characters (character_id INTEGER PRIMARY KEY, character_name TEXT);
+    CREATE TABLE manufacturing_plans (
+      plan_id TEXT PRIMARY KEY, character_id INTEGER NOT NULL, plan_name TEXT NOT NULL, description TEXT,
+      status TEXT NOT NULL DEFAULT 'draft', created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL, completed_at INTEGER
+    );
+    CREATE TABLE plan_blueprints (
+      plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, parent_blueprint_id TEXT,
+      blueprint_type_id INTEGER NOT NULL, blueprint_type TEXT NOT NULL DEFAULT 'manufacturing', reaction_type_id INTEGER,
+      is_intermediate INTEGER DEFAULT 0, intermediate_product_type_id INTEGER, runs INTEGER NOT NULL,
+      lines INTEGER NOT NULL DEFAULT 1, me_level INTEGER NOT NULL, te_level INTEGER,
+      use_intermediates TEXT DEFAULT 'raw_materials', facility_id TEXT, facility_snapshot TEXT,
+      is_built INTEGER DEFAULT 0, built_runs INTEGER DEFAULT 0, added_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_industry_settings (
+      plan_id TEXT PRIMARY KEY, enabled_divisions_json TEXT NOT NULL DEFAULT '{}',
+      default_characters_json TEXT NOT NULL DEFAULT '[]', reactions_as_intermediates INTEGER DEFAULT 0,
+      last_updated INTEGER NOT NULL
+    );
+    CREATE TABLE plan_price_overrides (
+      plan_id TEXT NOT NULL, type_id INTEGER NOT NULL, price REAL NOT NULL, last_market_price REAL,
+      created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL, PRIMARY KEY (plan_id, type_id)
+    );
+    CREATE TABLE plan_research_jobs (
+      research_job_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, blueprint_type_id INTEGER NOT NULL,
+      job_type TEXT NOT NULL, from_level INTEGER NOT NULL DEFAULT 0, to_level INTEGER NOT NULL DEFAULT 0,
+      runs INTEGER NOT NULL DEFAULT 1, copies INTEGER NOT NULL DEFAULT 1, facility_id TEXT, facility_snapshot TEXT,
+      is_completed INTEGER NOT NULL DEFAULT 0, added_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_material_ledger (
+      ledger_id TEXT PRIMARY KEY, plan_id TEXT NOT NULL, type_id INTEGER NOT NULL, event_type TEXT NOT NULL,
+      quantity REAL NOT NULL, method TEXT NOT NULL, unit_price REAL, note TEXT, source_ref TEXT, source_type TEXT,
+      source_id INTEGER, character_id INTEGER, corporation_id INTEGER, cost_category TEXT, created_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_templates (
+      template_id TEXT PRIMARY KEY, character_id INTEGER NOT NULL, template_name TEXT NOT NULL, description TEXT,
+      source_plan_id TEXT, definition TEXT NOT NULL, default_multiplier REAL NOT NULL DEFAULT 1,
+      schedule_interval_days INTEGER, next_run_at INTEGER, created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE plan_template_cycles (
+      cycle_id TEXT PRIMARY KEY, template_id TEXT NOT NULL, plan_id TEXT, cycle_number INTEGER NOT NULL,
+      multiplier REAL NOT NULL, trigger TEXT NOT NULL, created_at INTEGER NOT NULL,
+      FOREIGN KEY (template_id) REFERENCES plan_templates(template_id) ON DELETE CASCADE,
+      FOREIGN KEY (plan_id) REFERENCES manufacturing_plans(plan_id) ON DELETE SET NULL
+    );
+  `);
+}
+
+function seedPlan(db) {
+  const raitaru = JSON.stringify({ id: 'raitaru', name: 'Home Raitaru', structureTypeId: 35825 });
+
+  db.exec(`
+    INSERT INTO characters VALUES (1001, 'Builder');
+    INSERT INTO manufacturing_plans (plan_id, character_id, plan_name, description, status, created_at, updated_at)
+      VALUES ('P1', 1001, 'Ishtar Batch', 'Doctrine restock', 'closed', 100, 200);
+    INSERT INTO plan_industry_settings VALUES ('P1', '{"1001":[1]}', '[1001]', 1, 200);
+    INSERT INTO plan_price_overrides VALUES ('P1', 34, 4.5, 5.1, 100, 100);
+    INSERT INTO plan_material_ledger (ledger_id, plan_id, type_id, event_type, quantity, method, unit_price, created_at)
+      VALUES ('L1', 'P1', 34, 'acquired', 1000, 'purchased', 5, 150);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO plan_blueprints (plan_blueprint_id, plan_id, parent_blueprint_id, blueprint_type_id, is_intermediate,
+      intermediate_product_type_id, runs, lines, me_level, te_level, facility_id, facility_snapshot, is_built, built_runs, added_at)
+    VALUES (?, 'P1', ?, ?, ?, ?, ?, 1, ?, ?, 'raitaru', ?, ?, ?, ?)
+  `);
+  insert.run('B1', null, 12006, 0, null, 5, 2, 4, raitaru, 1, 5, 110);
+  insert.run('B2', 'B1', 11531, 1, 11530, 10, 10, 20, raitaru, 1, 10, 120);
+
+  db.exec(`
+    INSERT INTO plan_research_jobs VALUES ('J1', 'P1', 12006, 'research_me', 0, 10, 1, 1, NULL, NULL, 1, 130);
+    INSERT INTO plan_research_jobs VALUES ('J2', 'P1', 12006, 'copying', 0, 0, 5, 2, NULL, NULL, 1, 140);
+  `);
+}
+
+beforeEach(() => {
+  mockDb = new RealDatabase(':memory:');
+  buildSchema(mockDb);
+  seedPlan(mockDb);
+  recalculatePlanMaterials.mockClear();
+  for (const key of Object.keys(mockProfits)) delete mockProfits[key];
+});
+
+afterEach(() => {
+  mockDb.close();
+});
+
+const definitionOf = (templateId) =>
+  JSON.parse(mockDb.prepare('SELECT definition FROM plan_templates WHERE template_id = ?').get(templateId).definition);
+
+describe('createTemplateFromPlan', () => {
+  test('keeps the definition but drops actuals, price overrides and one-off research', () => {
+    const template = templates.createTemplateFromPlan('P1', { templateName: 'Weekly Ishtars' });
+
+    expect(template).toMatchObject({
+      templateName: 'Weekly Ishtars', characterId: 1001, sourcePlanId: 'P1', defaultMultiplier: 1, blueprintCount: 1, cycleCount: 0,
+    });
+
+    const definition = definitionOf(template.templateId);
+    expect(definition.ledger).toBeUndefined();
+    expect(definition.priceOverrides).toEqual([]);
+    expect(definition.researchJobs).toEqual([expect.objectContaining({ jobType: 'copying', copies: 2 })]);
+    expect(definition.blueprints[0]).not.toHaveProperty('isBuilt');
+    expect(definition.industrySettings.reactionsAsIntermediates).toBe(true);
+  });
+
+  test('starts a schedule from now', () => {
+    const before = Date.now();
+    const template = templates.createTemplateFromPlan('P1', { scheduleIntervalDays: 7 });
+
+    expect(template.templateName).toBe('Ishtar Batch');
+    expect(template.nextRunAt).toBeGreaterThanOrEqual(before + 7 * DAY);
+  });
+
+  test('rejects an invalid multiplier or interval', () => {
+    expect(() => templates.createTemplateFromPlan('P1', { defaultMultiplier: 0 })).toThrow('Multiplier');
+    expect(() => templates.createTemplateFromPlan('P1', { scheduleIntervalDays: 1.5 })).toThrow('whole number');
+  });
+});
+
+describe('spawnPlanFromTemplate', () => {
+  test('creates a numbered draft plan with scaled top-level runs and recalculates it', async () => {
+    const { templateId } = templates.createTemplateFromPlan('P1', { templateName: 'Ishtars' });
+
+    const first = await templates.spawnPlanFromTemplate(templateId, { multiplier: 1.5 });
+    const second = await templates.spawnPlanFromTemplate(templateId);
+
+    expect(first).toMatchObject({ planName: 'Ishtars #1', cycleNumber: 1, multiplier: 1.5 });
+    expect(second).toMatchObject({ planName: 'Ishtars #2', cycleNumber: 2, multiplier: 1 });
+
+    const plan = mockDb.prepare('SELECT * FROM manufacturing_plans WHERE plan_id = ?').get(first.planId);
+    expect(plan).toMatchObject({ status: 'draft', character_id: 1001 });
+
+    const rows = mockDb.prepare('SELECT * FROM plan_blueprints WHERE plan_id = ? ORDER BY added_at').all(first.planId);
+    expect(rows.map(r => [r.blueprint_type_id, r.runs, r.is_built])).toEqual([[12006, 8, 0], [11531, 10, 0]]);
+    expect(mockDb.prepare('SELECT copies FROM plan_research_jobs WHERE plan_id = ?').get(first.planId).copies).toBe(3);
+    expect(mockDb.prepare('SELECT COUNT(*) AS n FROM plan_price_overrides WHERE plan_id = ?').get(first.planId).n).toBe(0);
+
+    expect(recalculatePlanMaterials).toHaveBeenCalledWith(first.planId, true);
+  });
+});
+
+describe('runDueTemplates', () => {
+  test('spawns due templates once and moves the schedule past now', async () => {
+    const { templateId } = templates.createTemplateFromPlan('P1', { scheduleIntervalDays: 7, defaultMultiplier: 2 });
+    const now = Date.now() + 22 * DAY; // three cycles missed
+
+    const spawned = await templates.runDueTemplates(now);
+
+    expect(spawned).toEqual([expect.objectContaining({ cycleNumber: 1, multiplier: 2 })]);
+    const template = templates.getPlanTemplate(templateId);
+    expect(template.nextRunAt).toBeGreaterThan(now);
+    expect(template.nextRunAt).toBeLessThanOrEqual(now + 7 * DAY);
+    expect(mockDb.prepare('SELECT trigger FROM plan_template_cycles').get().trigger).toBe('schedule');
+
+    expect(await templates.runDueTemplates(now)).toEqual([]);
+  });
+
+  test('leaves on-demand templates alone', async () => {
+    templates.createTemplateFromPlan('P1');
+
+    expect(await templates.runDueTemplates(Date.now() + 365 * DAY)).toEqual([]);
+  });
+});
+
+describe('getTemplateHistory', () => {
+  test('compares profit across cycles and survives deleted plans', async () => {
+    const { templateId } = templates.createTemplateFromPlan('P1');
+    const cycles = [];
+    for (let i = 0; i < 3; i++) cycles.push(await templates.spawnPlanFromTemplate(templateId));
+
+    mockProfits[cycles[0].planId] = 300;
+    mockProfits[cycles[1].planId] = 700;
+    mockDb.prepare("UPDATE manufacturing_plans SET status = 'closed' WHERE plan_id IN (?, ?)").run(cycles[0].planId, cycles[1].planId);
+    mockDb.prepare('DELETE FROM manufacturing_plans WHERE plan_id = ?').run(cycles[2].planId);
+
+    const history = await templates.getTemplateHistory(templateId);
+
+    expect(history.cycles.map(c => c.actual?.profit ?? null)).toEqual([300, 700, null]);
+    expect(history.cycles[2]).toMatchObject({ cycleNumber: 3, planDeleted: true });
+    expect(history.cycles[1].actual.profitWithStockpile).toBe(750);
+    expect(history.summary).toMatchObject({ cycleCount: 3, closedCycles: 2, averageProfit: 500, bestCycle: 2, worstCycle: 1 });
+  });
+});
+
+describe('updatePlanTemplate / deletePlanTemplate', () => {
+  test('updates the schedule and keeps spawned plans on delete', async () => {
+    const { templateId } = templates.createTemplateFromPlan('P1');
+    const { planId } = await templates.spawnPlanFromTemplate(templateId);
+
+    const updated = templates.updatePlanTemplate(templateId, { scheduleIntervalDays: 14, defaultMultiplier: 3 });
+    expect(updated).toMatchObject({ scheduleIntervalDays: 14, defaultMultiplier: 3 });
+    expect(updated.nextRunAt).toEqual(expect.any(Number));
+    expect(templates.updatePlanTemplate(templateId, { scheduleIntervalDays: null }).nextRunAt).toBeNull();
+
+    expect(templates.deletePlanTemplate(templateId)).toBe(true);
+    expect(templates.getPlanTemplates(1001)).toEqual([]);
+    expect(mockDb.prepare('SELECT 1 FROM manufacturing_plans WHERE plan_id = ?').get(planId)).toBeDefined();
+  });
+});
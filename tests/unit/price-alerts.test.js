@@ -0,0 +1,206 @@
+/**
+ * Tests for price alerts:
+ *  - each rule type measures against the right market and fires on its threshold
+ *  - margin rules re-price the plan on the rule's Market Set
+ *  - an alert fires once when its condition becomes true and re-arms after
+ *  - fired alerts are kept in the history and shown as desktop notifications
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockMarketDb;
+jest.mock('../../src/main/market-database', () => ({
+  getMarketDatabase: jest.fn(() => mockMarketDb),
+}));
+
+const JITA = { id: 'jita', name: 'Jita', inputMaterials: { priceType: 'sell', regionId: 1, locationId: 11 }, outputProducts: { priceType: 'buy', regionId: 1, locationId: 11 } };
+const AMARR = { id: 'amarr', name: 'Amarr', inputMaterials: { priceType: 'buy', regionId: 2, locationId: 22 }, outputProducts: { priceType: 'sell', regionId: 2, locationId: 22 } };
+
+let mockNotificationsOn = true;
+jest.mock('../../src/main/settings-manager', () => ({
+  getMarketSets: jest.fn(() => [JITA, AMARR]),
+  getMarketSetById: jest.fn((id) => [JITA, AMARR].find(set => set.id === id) || null),
+  resolveMarketSetForTool: jest.fn(() => JITA),
+  getSetting: jest.fn(() => mockNotificationsOn),
+}));
+
+jest.mock('../../src/main/blueprint-pricing', () => ({
+  getInputLocation: jest.fn((set) => set.inputMaterials),
+  getOutputLocation: jest.fn((set) => set.outputProducts),
+}));
+
+let mockPrices = {};
+jest.mock('../../src/main/market-pricing', () => ({
+  calculateRealisticPrice: jest.fn(async (typeId) => ({ price: mockPrices[typeId] || 0 })),
+  calculateHistoricalAverage: jest.fn((history) => history.reduce((sum, h) => sum + h.average, 0) / history.length),
+}));
+
+jest.mock('../../src/main/esi-market', () => ({
+  getCachedMarketOrders: jest.fn(() => [
+    { is_buy_order: false, volume_remain: 300, location_id: 11 },
+    { is_buy_order: false, volume_remain: 200, location_id: 99 },
+    { is_buy_order: true, volume_remain: 5000, location_id: 11 },
+  ]),
+  getCachedMarketHistory: jest.fn(() => [{ average: 100 }, { average: 100 }]),
+}));
+
+let mockSummary = null;
+let mockPlan = { materials: [], products: [] };
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanSummary: jest.fn(async () => mockSummary),
+  getPlanMaterials: jest.fn(async () => mockPlan.materials),
+  getPlanProducts: jest.fn(() => mockPlan.products),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn(async (typeIds) => Object.fromEntries(typeIds.map(id => [id, `Item ${id}`]))),
+}));
+
+const mockShown = [];
+jest.mock('electron', () => ({
+  Notification: Object.assign(
+    jest.fn(function (options) {
+      this.on = jest.fn();
+      this.show = () => mockShown.push(options);
+    }),
+    { isSupported: () => true }
+  ),
+}), { virtual: true });
+
+const {
+  createAlertRule,
+  setAlertRuleEnabled,
+  getAlertRules,
+  getAlertHistory,
+  evaluatePriceAlerts,
+} = require('../../src/main/price-alerts');
+const { calculateRealisticPrice } = require('../../src/main/market-pricing');
+
+const TRITANIUM = 34;
+const PYERITE = 35;
+const SHIP = 600;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockShown.length = 0;
+  mockNotificationsOn = true;
+  mockPrices = { [TRITANIUM]: 4 };
+  mockSummary = null;
+  mockPlan = { materials: [], products: [] };
+  mockMarketDb = new RealDatabase(':memory:');
+  mockMarketDb.exec(`
+    CREATE TABLE price_alert_rules (
+      rule_id TEXT PRIMARY KEY, name TEXT NOT NULL, rule_type TEXT NOT NULL, type_id INTEGER, plan_id TEXT,
+      threshold REAL NOT NULL, market_set_id TEXT, side TEXT NOT NULL DEFAULT 'input', structure_id INTEGER,
+      structure_name TEXT, region_id INTEGER, price_type TEXT NOT NULL DEFAULT 'sell',
+      enabled INTEGER NOT NULL DEFAULT 1, triggered INTEGER NOT NULL DEFAULT 0,
+      last_value REAL, last_evaluated_at INTEGER, created_at INTEGER NOT NULL
+    );
+    CREATE TABLE price_alert_events (
+      event_id INTEGER PRIMARY KEY AUTOINCREMENT, rule_id TEXT NOT NULL, rule_name TEXT NOT NULL,
+      triggered_at INTEGER NOT NULL, value REAL, message TEXT NOT NULL
+    );
+  `);
+});
+
+afterEach(() => {
+  mockMarketDb.close();
+});
+
+describe('createAlertRule', () => {
+  test('requires an item and a market, or a plan for margin rules', () => {
+    expect(() => createAlertRule({ ruleType: 'price_below', threshold: 5, marketSetId: 'jita' })).toThrow('An item is required');
+    expect(() => createAlertRule({ ruleType: 'price_below', threshold: 5, typeId: TRITANIUM })).toThrow('Market Set or a structure');
+    expect(() => createAlertRule({ ruleType: 'margin_below', threshold: 5 })).toThrow('A plan is required');
+    expect(() => createAlertRule({ ruleType: 'sideways', threshold: 5 })).toThrow('Unknown alert type');
+
+    expect(createAlertRule({ name: 'Tritanium', ruleType: 'price_below', threshold: 5, typeId: TRITANIUM, marketSetId: 'jita' }))
+      .toMatchObject({ name: 'Tritanium', side: 'input', enabled: true, triggered: false });
+  });
+});
+
+describe('evaluatePriceAlerts', () => {
+  test('fires once when the condition becomes true and re-arms after', async () => {
+    createAlertRule({ name: 'Tritanium', ruleType: 'price_below', threshold: 5, typeId: TRITANIUM, marketSetId: 'jita' });
+
+    expect(await evaluatePriceAlerts(1000)).toHaveLength(1);
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(TRITANIUM, 1, 11, 'sell', 1, JITA.inputMaterials);
+    expect(mockShown).toEqual([{ title: 'Price alert: Tritanium', body: 'Item 34 is 4 ISK at Jita (buying) (below 5 ISK)' }]);
+
+    // Still below: no new alert
+    expect(await evaluatePriceAlerts(2000)).toEqual([]);
+
+    // Back above, then below again: fires again
+    mockPrices[TRITANIUM] = 6;
+    await evaluatePriceAlerts(3000);
+    mockPrices[TRITANIUM] = 3;
+    await evaluatePriceAlerts(4000);
+
+    expect(getAlertHistory().map(e => [e.triggeredAt, e.value])).toEqual([[4000, 3], [1000, 4]]);
+    expect(getAlertRules()[0]).toMatchObject({ triggered: true, lastValue: 3, lastEvaluatedAt: 4000 });
+  });
+
+  test('measures the 7-day change, sell depth at a structure and plan margin', async () => {
+    mockPrices = { [TRITANIUM]: 112, [PYERITE]: 90, [SHIP]: 1000 };
+    mockSummary = { jobInstallationCost: 20, freightCost: 0 };
+    mockPlan = {
+      materials: [{ typeId: PYERITE, quantity: 10, basePrice: 90, planOverridePrice: null, manuallyAcquiredQuantity: 0 }],
+      products: [{ typeId: SHIP, quantity: 1, basePrice: 1000, planOverridePrice: null, isIntermediate: false }],
+    };
+    createAlertRule({ name: 'Trend', ruleType: 'change_vs_7d', threshold: 10, typeId: TRITANIUM, marketSetId: 'jita', side: 'output' });
+    createAlertRule({ name: 'Depth', ruleType: 'depth_below', threshold: 400, typeId: TRITANIUM, structureId: 11, structureName: 'Fortizar', regionId: 1 });
+    createAlertRule({ name: 'Ships', ruleType: 'margin_below', threshold: 10, planId: 'P1' });
+    createAlertRule({ name: 'Calm', ruleType: 'price_above', threshold: 200, typeId: TRITANIUM, marketSetId: 'jita' });
+
+    const fired = await evaluatePriceAlerts(1000);
+
+    expect(Object.fromEntries(fired.map(e => [e.ruleName, e.value]))).toEqual({ Trend: 12, Depth: 300, Ships: 8 });
+    expect(fired.find(e => e.ruleName === 'Depth').message).toBe('Item 34: 300 units for sale at Fortizar (below 400)');
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(TRITANIUM, 1, 11, 'buy', 1, JITA.outputProducts);
+  });
+
+  test('re-prices a margin rule\'s plan on its Market Set', async () => {
+    mockPrices = { [TRITANIUM]: 5, [SHIP]: 1000 };
+    mockSummary = { jobInstallationCost: 30, freightCost: 10 };
+    mockPlan = {
+      materials: [
+        // 40 already acquired at 3 (ledger, confirmed purchases and builds), the other
+        // 60 priced at today's 5 rather than the stored 9
+        {
+          typeId: TRITANIUM, quantity: 100, basePrice: 9, planOverridePrice: null, customPrice: 3,
+          manuallyAcquiredQuantity: 20, purchasedQuantity: 15, manufacturedQuantity: 5,
+        },
+        { typeId: PYERITE, quantity: 10, basePrice: 9, planOverridePrice: 7, manuallyAcquiredQuantity: 0 },
+      ],
+      products: [
+        { typeId: SHIP, quantity: 1, basePrice: 500, planOverridePrice: null, isIntermediate: false },
+        { typeId: 601, quantity: 5, basePrice: 100, planOverridePrice: null, isIntermediate: true },
+      ],
+    };
+    createAlertRule({ name: 'Ships', ruleType: 'margin_below', threshold: 50, planId: 'P1' });
+    createAlertRule({ name: 'Ships in Amarr', ruleType: 'margin_below', threshold: 40, planId: 'P1', marketSetId: 'amarr' });
+
+    const fired = await evaluatePriceAlerts(1000);
+
+    // (1000 - (40 * 3 + 60 * 5 + 10 * 7 + 30 + 10)) / 1000
+    expect(fired.map(e => [e.ruleName, e.value])).toEqual([['Ships', 47]]);
+    expect(fired[0].message).toBe('Ships margin is 47.0% at Jita (floor 50%)');
+    expect(getAlertRules().find(r => r.name === 'Ships in Amarr')).toMatchObject({ marketSetId: 'amarr', lastValue: 47 });
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(TRITANIUM, 1, 11, 'sell', 60, JITA.inputMaterials);
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(SHIP, 1, 11, 'buy', 1, JITA.outputProducts);
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(TRITANIUM, 2, 22, 'buy', 60, AMARR.inputMaterials);
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(SHIP, 2, 22, 'sell', 1, AMARR.outputProducts);
+    expect(calculateRealisticPrice).not.toHaveBeenCalledWith(PYERITE, expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything());
+  });
+
+  test('skips disabled rules and respects the notification setting', async () => {
+    const rule = createAlertRule({ name: 'Tritanium', ruleType: 'price_below', threshold: 5, typeId: TRITANIUM, marketSetId: 'jita' });
+    setAlertRuleEnabled(rule.ruleId, false);
+    expect(await evaluatePriceAlerts(1000)).toEqual([]);
+
+    setAlertRuleEnabled(rule.ruleId, true);
+    mockNotificationsOn = false;
+    expect(await evaluatePriceAlerts(2000)).toHaveLength(1);
+    expect(mockShown).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for daily price snapshots:
+ *  - input prices for plan materials and output prices for plan products,
+ *    per Market Set, for open plans only
+ *  - types already snapshotted today are skipped
+ *  - a plan's value history carries prices forward and starts at plan creation
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+let mockMarketDb;
+jest.mock('../../src/main/market-database', () => ({
+  getMarketDatabase: jest.fn(() => mockMarketDb),
+}));
+
+const JITA = { id: 'jita', name: 'Jita', inputMaterials: { priceType: 'sell', regionId: 1, locationId: 11 }, outputProducts: { priceType: 'buy', regionId: 1, locationId: 11 } };
+const AMARR = { id: 'amarr', name: 'Amarr', inputMaterials: { priceType: 'sell', regionId: 2, locationId: 22 }, outputProducts: { priceType: 'sell', regionId: 2, locationId: 22 } };
+
+jest.mock('../../src/main/settings-manager', () => ({
+  getMarketSets: jest.fn(() => [JITA, AMARR]),
+  getMarketSetById: jest.fn((id) => [JITA, AMARR].find(s => s.id === id) || null),
+  resolveMarketSetForTool: jest.fn(() => JITA),
+}));
+
+jest.mock('../../src/main/blueprint-pricing', () => ({
+  getInputLocation: jest.fn((set) => set.inputMaterials),
+  getOutputLocation: jest.fn((set) => set.outputProducts),
+}));
+
+// Region 1 prices every type at its type ID, region 2 at twice that; type 99 has no orders
+jest.mock('../../src/main/market-pricing', () => ({
+  calculateRealisticPrice: jest.fn(async (typeId, regionId) => ({ price: typeId === 99 ? 0 : typeId * regionId, confidence: 'high' })),
+}));
+
+const { takePriceSnapshots, getPlanValueHistory } = require('../../src/main/price-snapshots');
+const { calculateRealisticPrice } = require('../../src/main/market-pricing');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 10, 12);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockDb = new RealDatabase(':memory:');
+  mockDb.exec(`
+    CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, status TEXT, created_at INTEGER);
+    CREATE TABLE plan_material_nodes (plan_id TEXT, type_id INTEGER, node_type TEXT, quantity_needed REAL);
+
+    INSERT INTO manufacturing_plans VALUES ('P1', 'building', ${NOW - 3 * DAY}), ('P2', 'draft', ${NOW}), ('OLD', 'closed', ${NOW});
+    INSERT INTO plan_material_nodes VALUES
+      ('P1', 34, 'material', 100), ('P1', 500, 'product', 2), ('P1', 600, 'intermediate', 5),
+      ('P2', 34, 'material', 50.5), ('P2', 99, 'material', 1),
+      ('OLD', 700, 'material', 10);
+  `);
+  mockMarketDb = new RealDatabase(':memory:');
+  mockMarketDb.exec(`
+    CREATE TABLE price_snapshots (
+      snapshot_date TEXT NOT NULL, market_set_id TEXT NOT NULL, type_id INTEGER NOT NULL, side TEXT NOT NULL,
+      price REAL NOT NULL, confidence TEXT, taken_at INTEGER NOT NULL,
+      PRIMARY KEY (snapshot_date, market_set_id, type_id, side)
+    );
+  `);
+});
+
+afterEach(() => {
+  mockDb.close();
+  mockMarketDb.close();
+});
+
+describe('takePriceSnapshots', () => {
+  test('prices open plan types per Market Set and side', async () => {
+    const result = await takePriceSnapshots(NOW);
+
+    const rows = mockMarketDb.prepare(`
+      SELECT market_set_id, type_id, side, price FROM price_snapshots WHERE snapshot_date = '2026-03-10'
+      ORDER BY market_set_id DESC, side, type_id
+    `).all().map(r => [r.market_set_id, r.type_id, r.side, r.price]);
+
+    expect(rows).toEqual([
+      ['jita', 34, 'input', 34], ['jita', 500, 'output', 500], ['jita', 600, 'output', 600],
+      ['amarr', 34, 'input', 68], ['amarr', 500, 'output', 1000], ['amarr', 600, 'output', 1200],
+    ]);
+    expect(result).toMatchObject({ date: '2026-03-10', saved: 6, failed: 0 });
+
+    // Quantities are summed over open plans; closed plans are left out
+    expect(calculateRealisticPrice).toHaveBeenCalledWith(34, 1, 11, 'sell', 151, JITA.inputMaterials);
+    expect(calculateRealisticPrice).not.toHaveBeenCalledWith(700, expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything());
+  });
+
+  test('skips types already snapshotted today', async () => {
+    await takePriceSnapshots(NOW);
+    calculateRealisticPrice.mockClear();
+
+    await takePriceSnapshots(NOW + 60 * 60 * 1000);
+    // Only the unpriced type is tried again, once per Market Set
+    expect(calculateRealisticPrice.mock.calls.map(call => call[0])).toEqual([99, 99]);
+  });
+});
+
+describe('getPlanValueHistory', () => {
+  const insert = (date, typeId, side, price, set = 'jita') => mockMarketDb.prepare(`
+    INSERT INTO price_snapshots VALUES (?, ?, ?, ?, ?, 'high', 0)
+  `).run(date, set, typeId, side, price);
+
+  test('values current quantities at each day and carries prices forward', () => {
+    insert('2026-03-01', 34, 'input', 1);   // before the plan was created
+    insert('2026-03-07', 34, 'input', 5);
+    insert('2026-03-07', 500, 'output', 1000);
+    insert('2026-03-08', 34, 'input', 6);
+    insert('2026-03-09', 500, 'output', 900);
+    insert('2026-03-09', 500, 'output', 5000, 'amarr');
+
+    const history = getPlanValueHistory('P1');
+
+    expect(history.marketSetName).toBe('Jita');
+    expect(history.points.map(p => [p.date, p.cost, p.revenue, p.margin])).toEqual([
+      ['2026-03-07', 500, 2000, 1500],
+      ['2026-03-08', 600, 2000, 1400],
+      ['2026-03-09', 600, 1800, 1200],
+    ]);
+    expect(history.points[0]).toMatchObject({ marginPercent: 75, pricedTypes: 2, totalTypes: 2 });
+  });
+
+  test('uses the requested Market Set and rejects unknown plans', () => {
+    insert('2026-03-09', 500, 'output', 5000, 'amarr');
+
+    expect(getPlanValueHistory('P1', 'amarr').points).toEqual([
+      expect.objectContaining({ revenue: 10000, pricedTypes: 1, totalTypes: 2 }),
+    ]);
+    expect(() => getPlanValueHistory('missing')).toThrow('Plan not found');
+  });
+});
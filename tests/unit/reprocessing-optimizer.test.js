@@ -0,0 +1,148 @@
+/**
+ * Tests for the reprocessing optimizer (reprocessing-optimizer.js):
+ *  - optimizeMineralPurchase: buys ore only while it beats the mineral price,
+ *    walks the sell book, tops up with direct purchases and reports overflow.
+ *  - getPlanReprocessingOptimization: plan minerals only, sell orders at the
+ *    market set's input location.
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+let mockMarketDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+jest.mock('../../src/main/market-database', () => ({
+  getMarketDatabase: jest.fn(() => mockMarketDb),
+}));
+
+let mockPlanMaterials = [];
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanMaterials: jest.fn(async () => mockPlanMaterials),
+}));
+jest.mock('../../src/main/sde-database', () => ({
+  getReprocessableOreTypes: jest.fn(async () => [{ typeId: 1230, typeName: 'Veldspar', groupId: 462 }]),
+  getTypeNames: jest.fn(async (ids) => Object.fromEntries(ids.map(id => [id, `Type ${id}`]))),
+}));
+jest.mock('../../src/main/esi-mining', () => ({
+  getOreReprocessing: jest.fn(async () => ({
+    1230: { yieldRate: 0.5, reprocessingData: { portionSize: 100, materials: [{ materialTypeId: 34, quantity: 400 }] } },
+  })),
+}));
+jest.mock('../../src/main/settings-manager', () => ({
+  resolveMarketSetForTool: jest.fn(() => ({ inputMaterials: {} })),
+}));
+jest.mock('../../src/main/blueprint-pricing', () => ({
+  getInputLocation: jest.fn(() => ({ regionId: 10000002, locationId: 60003760 })),
+}));
+
+const { optimizeMineralPurchase, getPlanReprocessingOptimization } = require('../../src/main/reprocessing-optimizer');
+
+const VELDSPAR = 1230;
+const SCORDITE = 1228;
+const TRITANIUM = 34;
+const PYERITE = 35;
+
+const veldspar = (offers) => ({
+  typeId: VELDSPAR,
+  yieldRate: 0.5,
+  reprocessingData: { portionSize: 100, materials: [{ materialTypeId: TRITANIUM, quantity: 400 }] },
+  offers,
+});
+
+describe('optimizeMineralPurchase', () => {
+  test('buys ore when its minerals are worth more than it costs', () => {
+    // 100 Veldspar (800 ISK) yields 200 Tritanium (1,000 ISK)
+    const result = optimizeMineralPurchase({ [TRITANIUM]: 10000 }, [veldspar([{ price: 8, volume: 100000 }])], { [TRITANIUM]: 5 });
+
+    expect(result.ores).toEqual([expect.objectContaining({ typeId: VELDSPAR, quantity: 5000, cost: 40000, averagePrice: 8 })]);
+    expect(result.minerals).toEqual([{ typeId: TRITANIUM, needed: 10000, fromOre: 10000, direct: 0, overflow: 0, price: 5 }]);
+    expect(result).toMatchObject({ plainCost: 50000, optimizedCost: 40000, savings: 10000 });
+  });
+
+  test('walks the sell book and buys the rest as minerals once ore gets too expensive', () => {
+    const result = optimizeMineralPurchase(
+      { [TRITANIUM]: 10000 },
+      [veldspar([{ price: 12, volume: 100000 }, { price: 8, volume: 2000 }])],
+      { [TRITANIUM]: 5 }
+    );
+
+    expect(result.ores[0]).toMatchObject({ quantity: 2000, cost: 16000 });
+    expect(result.minerals[0]).toMatchObject({ fromOre: 4000, direct: 6000 });
+    expect(result.optimizedCost).toBe(16000 + 6000 * 5);
+  });
+
+  test('reports overflow of minerals the plan does not need', () => {
+    const scordite = {
+      typeId: SCORDITE,
+      yieldRate: 0.5,
+      reprocessingData: { portionSize: 100, materials: [
+        { materialTypeId: TRITANIUM, quantity: 150 },
+        { materialTypeId: PYERITE, quantity: 90 },
+      ] },
+      offers: [{ price: 3, volume: 1000 }],
+    };
+
+    const result = optimizeMineralPurchase({ [PYERITE]: 45 }, [scordite], { [PYERITE]: 10, [TRITANIUM]: 5 });
+
+    expect(result.ores[0]).toMatchObject({ typeId: SCORDITE, quantity: 100 });
+    expect(result.minerals).toEqual([
+      { typeId: PYERITE, needed: 45, fromOre: 45, direct: 0, overflow: 0, price: 10 },
+      { typeId: TRITANIUM, needed: 0, fromOre: 75, direct: 0, overflow: 75, price: 5 },
+    ]);
+    expect(result.overflowValue).toBe(375);
+  });
+
+  test('keeps the plain mineral cost when no ore is cheaper', () => {
+    const result = optimizeMineralPurchase({ [TRITANIUM]: 1000 }, [veldspar([{ price: 20, volume: 100000 }])], { [TRITANIUM]: 5 });
+
+    expect(result.ores).toEqual([]);
+    expect(result).toMatchObject({ plainCost: 5000, optimizedCost: 5000, savings: 0 });
+  });
+});
+
+describe('getPlanReprocessingOptimization', () => {
+  beforeEach(() => {
+    mockDb = new RealDatabase(':memory:');
+    mockDb.exec("CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, character_id INTEGER); INSERT INTO manufacturing_plans VALUES ('P1', 1);");
+    mockMarketDb = new RealDatabase(':memory:');
+    mockMarketDb.exec(`
+      CREATE TABLE market_orders (
+        order_id INTEGER PRIMARY KEY, type_id INTEGER, location_id INTEGER, region_id INTEGER,
+        is_buy_order INTEGER, price REAL, volume_remain INTEGER
+      );
+      INSERT INTO market_orders VALUES
+        (1, 1230, 60003760, 10000002, 0, 8, 100000),
+        (2, 1230, 60008494, 10000002, 0, 1, 100000),
+        (3, 1230, 60003760, 10000002, 1, 2, 100000);
+    `);
+    mockPlanMaterials = [
+      { typeId: TRITANIUM, quantity: 10000, basePrice: 5, manuallyAcquiredQuantity: 2000 },
+      { typeId: 11399, quantity: 10, basePrice: 1000 },
+    ];
+  });
+
+  afterEach(() => {
+    mockDb.close();
+    mockMarketDb.close();
+  });
+
+  test('optimizes still-needed minerals against sell orders at the input location', async () => {
+    const result = await getPlanReprocessingOptimization('P1');
+
+    expect(result.minerals.map(m => [m.typeId, m.needed])).toEqual([[TRITANIUM, 8000]]);
+    expect(result.ores[0]).toMatchObject({ typeId: VELDSPAR, typeName: 'Type 1230', quantity: 4000, averagePrice: 8 });
+    expect(result.savings).toBe(8000);
+  });
+
+  test('prices minerals the plan has no price for from the sell book', async () => {
+    mockPlanMaterials[0].basePrice = null;
+    mockMarketDb.exec('INSERT INTO market_orders VALUES (4, 34, 60003760, 10000002, 0, 5, 100000)');
+
+    const result = await getPlanReprocessingOptimization('P1');
+
+    expect(result.ores[0]).toMatchObject({ typeId: VELDSPAR, quantity: 4000 });
+    expect(result.savings).toBe(8000);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for Research Calculator
+ *
+ * Tests ME/TE research and copying time, job cost and the research break-even
+ */
+
+const {
+  getBlueprintScienceData,
+  getResearchLevels,
+  calculateResearchTime,
+  calculateCopyTime,
+  calculateScienceJobCost,
+  calculateResearchBreakEven,
+} = require('../../src/main/research-calculator');
+const { createInMemoryDatabase } = require('./helpers/database-mocks');
+const facilitiesFixtures = require('./fixtures/facilities');
+
+jest.mock('../../src/main/esi-cost-indices', () => ({
+  getCostIndices: jest.fn(() => [
+    { activity: 'researching_material_efficiency', costIndex: 0.05 },
+    { activity: 'researching_time_efficiency', costIndex: 0.04 },
+    { activity: 'copying', costIndex: 0.03 },
+  ]),
+}));
+
+jest.mock('../../src/main/settings-manager', () => {
+  const { createMockSettingsManager } = require('./helpers/settings-mocks');
+  return createMockSettingsManager({
+    characters: [
+      {
+        characterId: 300001,
+        characterName: 'Research Alt',
+        skills: {
+          3402: { skillId: 3402, trainedSkillLevel: 5, activeSkillLevel: 5 },   // Science
+          3403: { skillId: 3403, trainedSkillLevel: 4, activeSkillLevel: 4 },   // Research
+          3409: { skillId: 3409, trainedSkillLevel: 5, activeSkillLevel: 5 },   // Metallurgy
+          24624: { skillId: 24624, trainedSkillLevel: 3, activeSkillLevel: 3 }  // Advanced Laboratory Operation
+        }
+      }
+    ]
+  });
+});
+
+describe('Research Calculator', () => {
+  describe('getResearchLevels', () => {
+    test('maps ME values one-to-one onto research levels', () => {
+      const levels = getResearchLevels('research_me', 0, 3);
+
+      expect(levels.map(l => l.level)).toEqual([1, 2, 3]);
+      expect(levels[1].modifier).toBeCloseTo(250 / 105, 10);
+    });
+
+    test('maps TE values onto levels in steps of 2', () => {
+      const levels = getResearchLevels('research_te', 4, 10);
+
+      expect(levels.map(l => l.level)).toEqual([3, 4, 5]);
+      expect(levels.map(l => l.value)).toEqual([6, 8, 10]);
+    });
+
+    test('clamps targets to the maximum ME/TE', () => {
+      expect(getResearchLevels('research_me', 9, 15)).toHaveLength(1);
+      expect(getResearchLevels('research_te', 18, 30)).toHaveLength(1);
+    });
+
+    test('returns no levels when already at the target or for copying', () => {
+      expect(getResearchLevels('research_me', 10, 10)).toEqual([]);
+      expect(getResearchLevels('copying', 0, 10)).toEqual([]);
+    });
+  });
+
+  describe('calculateResearchTime', () => {
+    test('sums the level times without facility or character', () => {
+      const result = calculateResearchTime(105, 'research_me', 0, 2);
+
+      // 105 * (105 + 250) / 105 = 355
+      expect(result.baseTime).toBeApproximately(355, 0.001);
+      expect(result.adjustedTime).toBeApproximately(355, 0.001);
+      expect(result.modifiers).toEqual([]);
+    });
+
+    test('applies Metallurgy and Advanced Laboratory Operation to ME research', () => {
+      const result = calculateResearchTime(105, 'research_me', 0, 1, null, 300001);
+
+      // 105 * (1 - 0.25) * (1 - 0.09) = 71.6625
+      expect(result.adjustedTime).toBeApproximately(71.6625, 0.0001);
+      expect(result.modifiers.map(m => m.label)).toEqual(['Metallurgy', 'Advanced Laboratory Operation']);
+    });
+
+    test('applies Research skill and facility bonus to TE research', () => {
+      const result = calculateResearchTime(105, 'research_te', 0, 2, facilitiesFixtures.raitaruNoRigs, 300001);
+
+      // 105 * 0.85 * (1 - 0.20) * (1 - 0.09) = 64.974
+      expect(result.adjustedTime).toBeApproximately(64.974, 0.001);
+      expect(result.modifiers.map(m => m.source)).toEqual(['facility', 'skill', 'skill']);
+    });
+  });
+
+  describe('calculateCopyTime', () => {
+    test('scales with runs and copies and applies Science', () => {
+      const result = calculateCopyTime(480, 10, 3, null, 300001);
+
+      expect(result.baseTime).toBe(14400);
+      // 14400 * (1 - 0.25) * (1 - 0.09) = 9828
+      expect(result.adjustedTime).toBeApproximately(9828, 0.001);
+    });
+  });
+
+  describe('calculateScienceJobCost', () => {
+    const npcStation = { systemId: 30000142 };
+
+    test('uses the research cost index and level modifier sum', () => {
+      const cost = calculateScienceJobCost(10000000, 'research_me', 2, npcStation);
+
+      // Base: 10M * 0.02 * 2 = 400,000
+      expect(cost.jobBaseCost).toBeApproximately(400000, 0.01);
+      expect(cost.systemCostIndex).toBe(0.05);
+      // Gross 20,000 + NPC tax 0.25% 1,000 + SCC 4% 16,000 = 37,000
+      expect(cost.totalJobCost).toBeApproximately(37000, 0.01);
+    });
+
+    test('uses the copying cost index for copy jobs', () => {
+      const cost = calculateScienceJobCost(10000000, 'copying', 10, npcStation);
+
+      // Base: 10M * 0.02 * 10 = 2,000,000; gross 60,000 + tax 5,000 + SCC 80,000
+      expect(cost.totalJobCost).toBeApproximately(145000, 0.01);
+    });
+
+    test('applies structure cost reduction and zero default tax in structures', () => {
+      const raitaru = {
+        systemId: 30000142,
+        structureTypeId: 35825,
+        structureBonuses: { costReduction: 3, timeEfficiency: 15 },
+      };
+      const cost = calculateScienceJobCost(10000000, 'research_te', 1, raitaru);
+
+      // Base 200,000; gross 200,000 * 0.04 * 0.97 = 7,760; SCC 8,000
+      expect(cost.facilityTaxRate).toBe(0);
+      expect(cost.totalJobCost).toBeApproximately(15760, 0.01);
+    });
+
+    test('returns zero cost without EIV', () => {
+      expect(calculateScienceJobCost(0, 'research_me', 2, npcStation).totalJobCost).toBe(0);
+    });
+  });
+
+  describe('calculateResearchBreakEven', () => {
+    const materials = [
+      { typeID: 34, quantity: 1000 },
+      { typeID: 35, quantity: 200 },
+    ];
+    const prices = { 34: 5, 35: 10 };
+
+    test('computes savings per run and the runs needed to recover the research cost', () => {
+      const result = calculateResearchBreakEven(materials, prices, 0, 10, 9000, 1);
+
+      // ME 0: 1000*5 + 200*10 = 7000; ME 10: 900*5 + 180*10 = 6300
+      expect(result.materialCostPerRunCurrent).toBe(7000);
+      expect(result.materialCostPerRunTarget).toBe(6300);
+      expect(result.savingsPerRun).toBe(700);
+      expect(result.breakEvenRuns).toBe(13);
+    });
+
+    test('returns null break-even when research saves nothing', () => {
+      const result = calculateResearchBreakEven([{ typeID: 34, quantity: 1 }], prices, 0, 10, 9000, 1);
+
+      expect(result.savingsPerRun).toBe(0);
+      expect(result.breakEvenRuns).toBeNull();
+    });
+  });
+
+  describe('getBlueprintScienceData', () => {
+    test('reads research and copy times from the SDE', () => {
+      const db = createInMemoryDatabase();
+      db.exec(`
+        INSERT INTO industryBlueprints (typeID, productTypeID, maxProductionLimit) VALUES (691, 587, 30);
+        INSERT INTO industryActivity (typeID, activityID, time) VALUES
+          (691, 1, 6000), (691, 3, 210), (691, 4, 210), (691, 5, 4800);
+      `);
+
+      expect(getBlueprintScienceData(691, db)).toEqual({
+        researchTimeTime: 210,
+        researchMaterialTime: 210,
+        copyingTime: 4800,
+        maxProductionLimit: 30,
+      });
+      expect(getBlueprintScienceData(99999, db)).toBeNull();
+
+      db.close();
+    });
+  });
+});
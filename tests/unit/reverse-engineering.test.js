@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for Reverse Engineering
+ *
+ * Tests relic lookup for T3 blueprints, relic quality detection and relic cost
+ * in the invention cost calculation
+ */
+
+const {
+  getRelicQuality,
+  getReverseEngineeringData,
+  calculateInventionCost,
+  findBestReverseEngineering
+} = require('../../src/main/blueprint-calculator');
+const { createInMemoryDatabase } = require('./helpers/database-mocks');
+
+const LEGION_BLUEPRINT = 29987;
+const LEGION = 29986;
+const INTACT_HULL = 30752;
+const MALFUNCTIONING_HULL = 30753;
+const WRECKED_HULL = 30754;
+const DATACORE_AMARR = 20421;
+const DATACORE_HULL = 20418;
+
+function createRelicDatabase() {
+  const db = createInMemoryDatabase();
+  db.exec(`
+    INSERT INTO invTypes (typeID, typeName) VALUES
+      (${LEGION_BLUEPRINT}, 'Legion Blueprint'),
+      (${LEGION}, 'Legion'),
+      (${INTACT_HULL}, 'Intact Hull Section'),
+      (${MALFUNCTIONING_HULL}, 'Malfunctioning Hull Section'),
+      (${WRECKED_HULL}, 'Wrecked Hull Section'),
+      (${DATACORE_AMARR}, 'Datacore - Amarrian Starship Engineering'),
+      (${DATACORE_HULL}, 'Datacore - Mechanical Engineering'),
+      (810, 'Scourge Heavy Missile Blueprint'),
+      (1136, 'Scourge Fury Heavy Missile Blueprint');
+
+    INSERT INTO industryActivity (typeID, activityID, time) VALUES
+      (${WRECKED_HULL}, 8, 3600),
+      (${INTACT_HULL}, 8, 3600),
+      (${MALFUNCTIONING_HULL}, 8, 3600),
+      (${LEGION_BLUEPRINT}, 1, 36000),
+      (810, 8, 3600);
+
+    INSERT INTO industryActivityProducts (typeID, activityID, productTypeID, quantity) VALUES
+      (${WRECKED_HULL}, 8, ${LEGION_BLUEPRINT}, 3),
+      (${INTACT_HULL}, 8, ${LEGION_BLUEPRINT}, 20),
+      (${MALFUNCTIONING_HULL}, 8, ${LEGION_BLUEPRINT}, 10),
+      (${LEGION_BLUEPRINT}, 1, ${LEGION}, 1),
+      (810, 8, 1136, 10);
+
+    INSERT INTO industryActivityProbabilities (typeID, activityID, productTypeID, probability) VALUES
+      (${INTACT_HULL}, 8, ${LEGION_BLUEPRINT}, 0.26),
+      (${MALFUNCTIONING_HULL}, 8, ${LEGION_BLUEPRINT}, 0.21),
+      (${WRECKED_HULL}, 8, ${LEGION_BLUEPRINT}, 0.14);
+
+    INSERT INTO industryActivityMaterials (typeID, activityID, materialTypeID, quantity) VALUES
+      (${INTACT_HULL}, 8, ${DATACORE_AMARR}, 3),
+      (${INTACT_HULL}, 8, ${DATACORE_HULL}, 3),
+      (${WRECKED_HULL}, 8, ${DATACORE_AMARR}, 1),
+      (${WRECKED_HULL}, 8, ${DATACORE_HULL}, 1);
+  `);
+  return db;
+}
+
+describe('Reverse Engineering', () => {
+  describe('getRelicQuality', () => {
+    test('reads the quality from the relic name prefix', () => {
+      expect(getRelicQuality('Intact Hull Section')).toBe('intact');
+      expect(getRelicQuality('Malfunctioning Electromechanical Component')).toBe('malfunctioning');
+      expect(getRelicQuality('Wrecked Power Core')).toBe('wrecked');
+    });
+
+    test('returns null for names that are not relics', () => {
+      expect(getRelicQuality('Scourge Heavy Missile Blueprint')).toBeNull();
+      expect(getRelicQuality(null)).toBeNull();
+    });
+  });
+
+  describe('getReverseEngineeringData', () => {
+    let db;
+
+    beforeEach(() => {
+      db = createRelicDatabase();
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('returns every relic quality ordered from intact to wrecked', () => {
+      const result = getReverseEngineeringData(LEGION_BLUEPRINT, db);
+
+      expect(result.t3BlueprintTypeID).toBe(LEGION_BLUEPRINT);
+      expect(result.t3ProductTypeID).toBe(LEGION);
+      expect(result.t3ProductName).toBe('Legion');
+      expect(result.relics.map(r => r.relicQuality)).toEqual(['intact', 'malfunctioning', 'wrecked']);
+    });
+
+    test('narrows each relic to the requested blueprint with its runs and probability', () => {
+      const [intact, , wrecked] = getReverseEngineeringData(LEGION_BLUEPRINT, db).relics;
+
+      expect(intact).toMatchObject({
+        isReverseEngineering: true,
+        relicTypeID: INTACT_HULL,
+        relicName: 'Intact Hull Section',
+        baseProbability: 0.26,
+        t2BlueprintTypeID: LEGION_BLUEPRINT,
+        t2ProductTypeID: LEGION
+      });
+      expect(intact.product.quantity).toBe(20);
+      expect(intact.materials).toHaveLength(2);
+
+      expect(wrecked.baseProbability).toBe(0.14);
+      expect(wrecked.product.quantity).toBe(3);
+    });
+
+    test('returns null for blueprints that are invented from T1 blueprints', () => {
+      expect(getReverseEngineeringData(1136, db)).toBeNull();
+    });
+
+    test('returns null for blueprints without any invention source', () => {
+      expect(getReverseEngineeringData(99999, db)).toBeNull();
+    });
+  });
+
+  describe('calculateInventionCost', () => {
+    const relicData = {
+      isReverseEngineering: true,
+      relicTypeID: INTACT_HULL,
+      materials: [
+        { typeID: DATACORE_AMARR, quantity: 3 },
+        { typeID: DATACORE_HULL, quantity: 3 }
+      ],
+      product: { typeID: LEGION_BLUEPRINT, quantity: 20 }
+    };
+    const prices = {
+      [DATACORE_AMARR]: 100000,
+      [DATACORE_HULL]: 50000,
+      [INTACT_HULL]: 2000000
+    };
+
+    test('includes the consumed relic in the cost per attempt', () => {
+      const result = calculateInventionCost(relicData, prices, 0.5);
+
+      // Datacores 450,000 + relic 2,000,000
+      expect(result.materialCost).toBe(450000);
+      expect(result.relicCost).toBe(2000000);
+      expect(result.totalCostPerAttempt).toBe(2450000);
+      expect(result.costPerSuccess).toBe(4900000);
+      expect(result.costPerRun).toBe(245000);
+    });
+
+    test('applies the decryptor runs modifier to the relic runs', () => {
+      const decryptor = { typeID: 34201, runsModifier: 9 };
+      const result = calculateInventionCost(relicData, prices, 0.5, decryptor, 1000000);
+
+      expect(result.runsPerBPC).toBe(29);
+      expect(result.totalCostPerAttempt).toBe(3450000);
+    });
+
+    test('does not add a relic cost for T2 invention', () => {
+      const result = calculateInventionCost({ ...relicData, isReverseEngineering: false }, prices, 0.5);
+
+      expect(result.relicCost).toBe(0);
+      expect(result.totalCostPerAttempt).toBe(450000);
+    });
+  });
+
+  describe('findBestReverseEngineering', () => {
+    test('returns null when no relic matches the requested quality', async () => {
+      const reverseEngineeringData = {
+        t3BlueprintTypeID: LEGION_BLUEPRINT,
+        relics: [{ relicTypeID: INTACT_HULL, relicQuality: 'intact' }]
+      };
+
+      const result = await findBestReverseEngineering(reverseEngineeringData, {}, 0, {}, null, 'total-per-item', 1, null, 'wrecked');
+
+      expect(result).toBeNull();
+    });
+  });
+});
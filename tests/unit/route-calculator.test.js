@@ -0,0 +1,169 @@
+/**
+ * Tests for the stargate route service.
+ *
+ *  - Security classes follow the in-game display rounding.
+ *  - findRoute returns shortest, safest (high-sec only) and fewest-low-sec
+ *    routes with jump counts and the systems passed through.
+ *  - getFacilityHubDistances measures each facility against the input and
+ *    output systems of a Market Set.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const RealDatabase = require('better-sqlite3');
+
+let mockSdePath;
+jest.mock('../../src/main/sde-manager', () => ({
+  getSdePath: jest.fn(() => mockSdePath),
+  sdeExists: jest.fn(() => true),
+}));
+
+const mockMarketSets = [
+  {
+    id: 'set-jita', name: 'Jita', isDefault: true,
+    inputMaterials: { systemId: 1, regionId: 10000002, locationId: 60003760 },
+    outputProducts: { useSameLocation: true },
+  },
+  {
+    id: 'set-split', name: 'Buy Jita, sell Tama',
+    inputMaterials: { systemId: 1, regionId: 10000002, locationId: 60003760 },
+    outputProducts: { useSameLocation: false, systemId: 7, regionId: 10000016 },
+  },
+];
+
+jest.mock('../../src/main/settings-manager', () => ({
+  getManufacturingFacilities: jest.fn(() => [
+    { id: 'f1', name: 'Amarr Raitaru', systemId: '4' },
+    { id: 'f2', name: 'Nowhere Sotiyo', systemId: 9 },
+  ]),
+  getMarketSetById: jest.fn((id) => mockMarketSets.find(s => s.id === id) || null),
+  getDefaultMarketSet: jest.fn(() => mockMarketSets[0]),
+}));
+
+const {
+  getSecurityClass,
+  findRoute,
+  getRoutes,
+  getFacilityHubDistances,
+  clearGateGraphCache,
+} = require('../../src/main/route-calculator');
+
+let sdeDir;
+
+// High-sec chain 1–2–3–4, low-sec shortcut 1–5–4, low-sec dead end 4–7,
+// 8 is 0.46 (displays as 0.5) hanging off 2, 9 is isolated
+function buildSde() {
+  sdeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qf-sde-'));
+  mockSdePath = path.join(sdeDir, 'sde.db');
+  const db = new RealDatabase(mockSdePath);
+  db.exec(`
+    CREATE TABLE mapSolarSystems (solarSystemID INTEGER PRIMARY KEY, solarSystemName TEXT, security REAL);
+    INSERT INTO mapSolarSystems VALUES
+      (1, 'Jita', 0.95), (2, 'Perimeter', 0.95), (3, 'Urlen', 0.96), (4, 'Amarr', 1.0),
+      (5, 'Uedama', 0.4), (7, 'Tama', 0.3), (8, 'Sivala', 0.46), (9, 'Thera', -1.0);
+    CREATE TABLE mapSolarSystemJumps (fromSolarSystemID INTEGER, toSolarSystemID INTEGER);
+  `);
+  const insert = db.prepare('INSERT INTO mapSolarSystemJumps VALUES (?, ?)');
+  for (const [a, b] of [[1, 2], [2, 3], [3, 4], [1, 5], [5, 4], [4, 7], [2, 8]]) {
+    insert.run(a, b);
+    insert.run(b, a);
+  }
+  db.close();
+}
+
+beforeEach(() => {
+  clearGateGraphCache();
+  buildSde();
+});
+
+afterEach(() => {
+  fs.rmSync(sdeDir, { recursive: true, force: true });
+});
+
+describe('getSecurityClass', () => {
+  test('rounds security status the way the game displays it', () => {
+    expect(getSecurityClass(0.46)).toBe('high');
+    expect(getSecurityClass(0.44)).toBe('low');
+    expect(getSecurityClass(0.04)).toBe('low');
+    expect(getSecurityClass(0)).toBe('null');
+    expect(getSecurityClass(-0.5)).toBe('null');
+  });
+});
+
+describe('findRoute', () => {
+  test('shortest route takes the low-sec shortcut', () => {
+    const route = findRoute(1, 4, 'shortest');
+
+    expect(route.jumps).toBe(2);
+    expect(route.route.map(s => s.name)).toEqual(['Jita', 'Uedama', 'Amarr']);
+    expect(route).toMatchObject({ highSecCount: 1, lowSecCount: 1, nullSecCount: 0 });
+  });
+
+  test('safest route stays in high-sec', () => {
+    const route = findRoute(1, 4, 'safest');
+
+    expect(route.jumps).toBe(3);
+    expect(route.route.map(s => s.systemId)).toEqual([1, 2, 3, 4]);
+    expect(route.lowSecCount).toBe(0);
+  });
+
+  test('safest route treats 0.46 as high-sec', () => {
+    expect(findRoute(1, 8, 'safest').jumps).toBe(2);
+  });
+
+  test('safest route is null when the destination is low-sec', () => {
+    expect(findRoute(1, 7, 'safest')).toBeNull();
+  });
+
+  test('fewest-lowsec route avoids low-sec where it can', () => {
+    const route = findRoute(1, 7, 'fewest-lowsec');
+
+    expect(route.route.map(s => s.systemId)).toEqual([1, 2, 3, 4, 7]);
+    expect(route.lowSecCount).toBe(1);
+  });
+
+  test('returns a zero-jump route for the same system and null when unreachable', () => {
+    expect(findRoute(3, 3).jumps).toBe(0);
+    expect(findRoute(1, 9)).toBeNull();
+    expect(findRoute(null, 4)).toBeNull();
+  });
+
+  test('rejects unknown preferences', () => {
+    expect(() => findRoute(1, 4, 'scenic')).toThrow('Unknown route preference');
+  });
+
+  test('getRoutes returns all three preferences', () => {
+    const routes = getRoutes(1, 7);
+
+    expect(routes.shortest.jumps).toBe(3);
+    expect(routes.safest).toBeNull();
+    expect(routes.fewestLowSec.jumps).toBe(4);
+  });
+});
+
+describe('getFacilityHubDistances', () => {
+  test('measures facilities against the default Market Set hub', () => {
+    const result = getFacilityHubDistances();
+
+    expect(result).toMatchObject({ marketSetId: 'set-jita', marketSetName: 'Jita' });
+    expect(result.hubs).toEqual([{ systemId: 1, systemName: 'Jita', roles: ['input', 'output'] }]);
+
+    const [amarr, nowhere] = result.facilities;
+    expect(amarr).toMatchObject({ facilityId: 'f1', systemId: 4, systemName: 'Amarr' });
+    expect(amarr.distances[0]).toEqual({
+      hubSystemId: 1,
+      shortest: { jumps: 2, lowSecCount: 1, nullSecCount: 0 },
+      safest: { jumps: 3, lowSecCount: 0, nullSecCount: 0 },
+      fewestLowSec: { jumps: 3, lowSecCount: 0, nullSecCount: 0 },
+    });
+    expect(nowhere.distances[0]).toMatchObject({ shortest: null, safest: null, fewestLowSec: null });
+  });
+
+  test('lists separate input and output hubs', () => {
+    const result = getFacilityHubDistances('set-split');
+
+    expect(result.hubs.map(h => [h.systemName, h.roles])).toEqual([['Jita', ['input']], ['Tama', ['output']]]);
+    expect(result.facilities[0].distances[1]).toMatchObject({ hubSystemId: 7, shortest: { jumps: 1 }, safest: null });
+  });
+});
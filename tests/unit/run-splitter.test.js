@@ -0,0 +1,148 @@
+/**
+ * Tests for run splitting:
+ *  - jobs respect lines, the per-job run limit and the 30-day cap
+ *  - every job rounds its materials up, so more lines can cost material
+ *  - line counts that are no faster are dropped; the fastest split within the
+ *    extra-material allowance is recommended
+ *  - owned copies limit lines and runs per job
+ */
+
+const RealDatabase = require('better-sqlite3');
+
+let mockDb;
+jest.mock('../../src/main/character-database', () => ({
+  getCharacterDatabase: jest.fn(() => mockDb),
+}));
+
+jest.mock('../../src/main/sde-database', () => ({
+  getTypeNames: jest.fn(async (typeIds) => Object.fromEntries(typeIds.map(id => [id, `Item ${id}`]))),
+}));
+
+const TRITANIUM = 34;
+const MORPHITE = 11399;
+
+// Real ME rounding, SDE lookups stubbed
+jest.mock('../../src/main/blueprint-calculator', () => ({
+  ...jest.requireActual('../../src/main/blueprint-calculator'),
+  getBlueprintMaterials: jest.fn(() => [{ typeID: 34, quantity: 10 }, { typeID: 11399, quantity: 3 }]),
+  getBlueprintProduct: jest.fn(() => ({ typeID: 500, quantity: 1 })),
+  getProductGroupId: jest.fn(() => null),
+  calculateManufacturingTime: jest.fn(() => ({ timePerRun: 3600 })),
+}));
+
+jest.mock('../../src/main/research-calculator', () => ({
+  getBlueprintScienceData: jest.fn(() => ({ maxProductionLimit: 300 })),
+}));
+
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanIndustrySettings: jest.fn(() => ({ defaultCharacters: [] })),
+}));
+
+let mockSlotTimes = [];
+jest.mock('../../src/main/industry-slots', () => ({
+  getSlotFreeTimes: jest.fn(() => mockSlotTimes),
+}));
+
+let mockBlueprints = {};
+jest.mock('../../src/main/settings-manager', () => ({
+  getBlueprints: jest.fn((characterId) => mockBlueprints[characterId] || []),
+}));
+
+const { buildSplitJobs, evaluateSplits, proposeRunSplit } = require('../../src/main/run-splitter');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+const MATERIALS = [{ typeID: TRITANIUM, quantity: 10 }, { typeID: MORPHITE, quantity: 3 }];
+const PRICES = { [TRITANIUM]: 5, [MORPHITE]: 1000 };
+
+describe('buildSplitJobs', () => {
+  test('splits lines at the 30-day cap and then at the run limit', () => {
+    expect(buildSplitJobs(100, 1, DAY).map(j => j.runs)).toEqual([30, 30, 30, 10]);
+    expect(buildSplitJobs(100, 1, DAY, 25).map(j => j.runs)).toEqual([25, 5, 25, 5, 25, 5, 10]);
+    expect(buildSplitJobs(7, 2, HOUR, 3).map(j => [j.line, j.runs])).toEqual([[0, 3], [0, 1], [1, 3]]);
+  });
+});
+
+describe('evaluateSplits', () => {
+  const input = { totalRuns: 20, maxLines: 4, runDurationMs: HOUR, materials: MATERIALS, meLevel: 10, prices: PRICES };
+
+  test('charges the rounding of every job to the split', () => {
+    const options = evaluateSplits(input);
+    const morphite = option => option.materials.find(m => m.typeId === MORPHITE);
+
+    expect(options.map(o => [o.lines, o.wallClockMs / HOUR])).toEqual([[1, 20], [2, 10], [3, 7], [4, 5]]);
+    // 20 runs x 2.7: 54 in one or two jobs, 19 + 19 + 17 in three, 4 x 14 in four
+    expect(options.map(o => morphite(o).quantity)).toEqual([54, 54, 55, 56]);
+    expect(morphite(options[3]).delta).toBe(2);
+    // Tritanium rounds to whole units per run, so it never costs more
+    expect(options[3].materials.find(m => m.typeId === TRITANIUM).delta).toBe(0);
+    expect(options[3].extraMaterialCost).toBe(2000);
+  });
+
+  test('recommends the fastest split within the material allowance', () => {
+    expect(evaluateSplits(input).find(o => o.recommended).lines).toBe(2);
+    expect(evaluateSplits({ ...input, maxExtraMaterialPercent: 5 }).find(o => o.recommended).lines).toBe(4);
+  });
+
+  test('drops line counts that finish no sooner', () => {
+    const options = evaluateSplits({ ...input, totalRuns: 4, maxLines: 10 });
+    expect(options.map(o => o.lines)).toEqual([1, 2, 4]);
+  });
+});
+
+describe('proposeRunSplit', () => {
+  beforeEach(() => {
+    mockDb = new RealDatabase(':memory:');
+    mockDb.exec(`
+      CREATE TABLE manufacturing_plans (plan_id TEXT PRIMARY KEY, character_id INTEGER);
+      CREATE TABLE plan_blueprints (
+        plan_blueprint_id TEXT PRIMARY KEY, plan_id TEXT, blueprint_type_id INTEGER, blueprint_type TEXT,
+        runs INTEGER, lines INTEGER, me_level INTEGER, te_level INTEGER, facility_snapshot TEXT
+      );
+      CREATE TABLE plan_material_nodes (plan_id TEXT, type_id INTEGER, price_each REAL);
+
+      INSERT INTO manufacturing_plans VALUES ('P1', 1);
+      INSERT INTO plan_blueprints VALUES
+        ('bp', 'P1', 501, NULL, 20, 1, 10, 0, NULL),
+        ('reaction', 'P1', 46166, 'reaction', 10, 1, 0, 0, NULL);
+      INSERT INTO plan_material_nodes VALUES ('P1', ${TRITANIUM}, 5), ('P1', ${MORPHITE}, 1000);
+    `);
+    mockSlotTimes = [
+      { characterId: 1, characterName: 'Builder', slots: { manufacturing: [NOW, NOW, NOW + HOUR] } },
+      { characterId: 2, characterName: 'Alt', slots: { manufacturing: [NOW, NOW] } },
+    ];
+    mockBlueprints = { 1: [{ itemId: 'bpo', typeId: 501, isCopy: false }] };
+  });
+
+  afterEach(() => {
+    mockDb.close();
+  });
+
+  test('uses the free slots of the characters and the plan prices', async () => {
+    const proposal = await proposeRunSplit('bp', {}, NOW);
+
+    expect(proposal).toMatchObject({ units: 20, totalRuns: 20, maxLines: 4, runLimit: 300, warnings: [] });
+    expect(proposal.characters.map(c => [c.characterName, c.freeSlots, c.totalSlots])).toEqual([['Builder', 2, 3], ['Alt', 2, 2]]);
+    expect(proposal.options.find(o => o.recommended).lines).toBe(2);
+    expect(proposal.materialNames[MORPHITE]).toBe(`Item ${MORPHITE}`);
+  });
+
+  test('limits lines and runs per job to the owned copies', async () => {
+    mockBlueprints = {
+      1: [{ itemId: 'c1', typeId: 501, isCopy: true, runs: 8 }],
+      2: [{ itemId: 'c2', typeId: 501, isCopy: true, runs: 6 }],
+    };
+
+    const proposal = await proposeRunSplit('bp', { units: 20 }, NOW);
+
+    expect(proposal).toMatchObject({ maxLines: 2, runLimit: 8 });
+    expect(proposal.options[1].jobs.map(j => j.runs)).toEqual([8, 2, 8, 2]);
+    expect(proposal.warnings).toContain('Owned copies cover 14 of 20 runs');
+  });
+
+  test('rejects reaction rows', async () => {
+    await expect(proposeRunSplit('reaction', {}, NOW)).rejects.toThrow('manufacturing blueprints');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the plan shopping list export.
+ *
+ *  - Quantities to buy subtract ledger acquisitions and confirmed purchases, and
+ *    optionally owned assets and built intermediates.
+ *  - Multibuy and CSV formatting (quoting, price/volume/location columns).
+ *  - Hub grouping keeps the Market Set location unless cached orders at another
+ *    trade hub are cheaper and can fill the quantity.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const RealDatabase = require('better-sqlite3');
+
+let mockSdePath;
+jest.mock('../../src/main/sde-manager', () => ({
+  getSdePath: jest.fn(() => mockSdePath),
+  sdeExists: jest.fn(() => true),
+}));
+
+let mockMaterials = [];
+jest.mock('../../src/main/manufacturing-plans', () => ({
+  getPlanMaterials: jest.fn(() => Promise.resolve(mockMaterials)),
+}));
+
+jest.mock('../../src/main/settings-manager', () => ({
+  resolveMarketSetForTool: jest.fn(() => ({
+    id: 'set-1',
+    name: 'Jita Sell',
+    inputMaterials: { locationType: 'hub', locationId: 60003760, regionId: 10000002, priceType: 'sell' },
+  })),
+}));
+
+let mockOrders = [];
+jest.mock('../../src/main/esi-market', () => ({
+  getCachedMarketOrders: jest.fn((regionId, typeId, filter) =>
+    mockOrders.filter(o => o.type_id === typeId && o.location_id === filter.stationId)),
+}));
+
+const {
+  getQuantityToBuy,
+  formatMultibuy,
+  formatShoppingListCsv,
+  buildShoppingList,
+} = require('../../src/main/shopping-list');
+const { getPlanMaterials } = require('../../src/main/manufacturing-plans');
+
+const AMARR = 60008494;
+
+let sdeDir;
+
+function buildSde() {
+  sdeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qf-sde-'));
+  mockSdePath = path.join(sdeDir, 'sde.db');
+  const db = new RealDatabase(mockSdePath);
+  db.exec(`
+    CREATE TABLE invTypes (typeID INTEGER PRIMARY KEY, typeName TEXT, volume REAL);
+    CREATE TABLE invVolumes (typeID INTEGER PRIMARY KEY, volume REAL);
+    INSERT INTO invTypes VALUES (34, 'Tritanium', 0.01), (35, 'Pyerite', 0.01), (11399, 'Morphite', 0.01), (3828, 'Construction Blocks, Mk II', 1.5);
+    INSERT INTO invVolumes VALUES (3828, 0.75);
+  `);
+  db.close();
+}
+
+function material(typeId, quantity, extra = {}) {
+  return {
+    typeId,
+    quantity,
+    basePrice: 10,
+    planOverridePrice: null,
+    manuallyAcquiredQuantity: 0,
+    purchasedQuantity: 0,
+    manufacturedQuantity: 0,
+    ownedPersonal: 0,
+    ownedCorp: 0,
+    ...extra,
+  };
+}
+
+beforeEach(() => {
+  buildSde();
+  mockOrders = [];
+  mockMaterials = [
+    material(34, 1000, { manuallyAcquiredQuantity: 200, ownedCorp: 300 }),
+    material(35, 500, { manufacturedQuantity: 500 }),
+    material(11399, 20, { planOverridePrice: 8000 }),
+    material(3828, 10, { basePrice: 15000, purchasedQuantity: 10 }),
+  ];
+  getPlanMaterials.mockClear();
+});
+
+afterEach(() => {
+  fs.rmSync(sdeDir, { recursive: true, force: true });
+});
+
+describe('getQuantityToBuy', () => {
+  test('subtracts acquisitions, owned assets and built intermediates by default', () => {
+    expect(getQuantityToBuy(material(34, 1000, { manuallyAcquiredQuantity: 200, ownedPersonal: 100, ownedCorp: 50 }))).toBe(650);
+    expect(getQuantityToBuy(material(35, 500, { manufacturedQuantity: 400 }))).toBe(100);
+  });
+
+  test('keeps owned and built quantities on the list when asked', () => {
+    const m = material(34, 1000, { purchasedQuantity: 100, ownedCorp: 300, manufacturedQuantity: 200 });
+    expect(getQuantityToBuy(m, { excludeOwned: false, excludeBuilt: false })).toBe(900);
+  });
+
+  test('never goes below zero', () => {
+    expect(getQuantityToBuy(material(34, 10, { ownedPersonal: 50 }))).toBe(0);
+  });
+});
+
+describe('formatting', () => {
+  test('formats multibuy lines as "Name qty"', () => {
+    expect(formatMultibuy([{ name: 'Tritanium', quantity: 500 }, { name: 'Morphite', quantity: 20 }]))
+      .toBe('Tritanium 500\nMorphite 20');
+  });
+
+  test('formats CSV with quoted names and empty prices for unpriced items', () => {
+    const csv = formatShoppingListCsv([
+      { typeId: 3828, name: 'Construction Blocks, Mk II', quantity: 2, unitPrice: null, totalPrice: null, unitVolume: 0.75, totalVolume: 1.5, location: 'Jita' },
+    ]);
+    const [header, row] = csv.split('\n');
+
+    expect(header).toBe('Type ID,Name,Quantity,Unit Price,Total Price,Unit Volume (m3),Total Volume (m3),Location');
+    expect(row).toBe('3828,"Construction Blocks, Mk II",2,,,0.75,1.5,Jita');
+  });
+});
+
+describe('buildShoppingList', () => {
+  test('builds a multibuy list of what is still needed, sorted by name', async () => {
+    const result = await buildShoppingList('P1');
+
+    expect(getPlanMaterials).toHaveBeenCalledWith('P1', true);
+    expect(result.text).toBe('Morphite 20\nTritanium 500');
+    expect(result.totals).toEqual({ itemCount: 2, totalCost: 165000, totalVolume: 5.2 });
+    expect(result.marketSetName).toBe('Jita Sell');
+  });
+
+  test('includes owned and built quantities when not excluded', async () => {
+    const result = await buildShoppingList('P1', { excludeOwned: false, excludeBuilt: false });
+
+    expect(getPlanMaterials).toHaveBeenCalledWith('P1', false);
+    expect(result.text).toBe('Morphite 20\nPyerite 500\nTritanium 800');
+  });
+
+  test('builds CSV rows with the plan price and the Market Set location', async () => {
+    const result = await buildShoppingList('P1', { format: 'csv' });
+    const rows = result.text.split('\n');
+
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toBe('11399,Morphite,20,8000.00,160000.00,0.01,0.2,Jita IV - Moon 4 - Caldari Navy Assembly Plant');
+  });
+
+  test('groups items by the trade hub where cached orders are cheaper', async () => {
+    mockOrders = [
+      { type_id: 11399, location_id: AMARR, is_buy_order: false, price: 7500, volume_remain: 50 },
+      // Cheaper but cannot fill the 500 Tritanium still needed
+      { type_id: 34, location_id: AMARR, is_buy_order: false, price: 4, volume_remain: 100 },
+    ];
+
+    const result = await buildShoppingList('P1', { format: 'hub' });
+
+    expect(result.groups.map(g => g.locationId)).toEqual([60003760, AMARR]);
+    expect(result.groups[0].items.map(i => i.name)).toEqual(['Tritanium']);
+    expect(result.groups[1].items[0]).toMatchObject({ name: 'Morphite', unitPrice: 7500, totalPrice: 150000 });
+    expect(result.totals.totalCost).toBe(155000);
+    expect(result.text).toBe(
+      '# Jita IV - Moon 4 - Caldari Navy Assembly Plant (1 items)\nTritanium 500\n\n' +
+      '# Amarr VIII (Oris) - Emperor Family Academy (1 items)\nMorphite 20'
+    );
+  });
+
+  test('rejects unknown formats', async () => {
+    await expect(buildShoppingList('P1', { format: 'xml' })).rejects.toThrow('Unknown shopping list format');
+  });
+});
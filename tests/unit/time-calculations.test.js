@@ -5,10 +5,36 @@
  */
 
 const { calculateManufacturingTime } = require('../../src/main/blueprint-calculator');
+const { calculateReactionTime, getReactionTimeModifiers } = require('../../src/main/reaction-calculator');
 const { createMockDatabase } = require('./helpers/database-mocks');
 const blueprintFixtures = require('./fixtures/blueprints');
 const facilitiesFixtures = require('./fixtures/facilities');
 
+const MECHANICAL_ENGINEERING = 3392;
+
+jest.mock('../../src/main/settings-manager', () => {
+  const { createMockSettingsManager } = require('./helpers/settings-mocks');
+  const mock = createMockSettingsManager({
+    characters: [
+      {
+        characterId: 200001,
+        characterName: 'Skilled Builder',
+        skills: {
+          3380: { skillId: 3380, trainedSkillLevel: 5, activeSkillLevel: 5 },   // Industry
+          3388: { skillId: 3388, trainedSkillLevel: 4, activeSkillLevel: 4 },   // Advanced Industry
+          3392: { skillId: 3392, trainedSkillLevel: 4, activeSkillLevel: 4 },   // Mechanical Engineering
+          45746: { skillId: 45746, trainedSkillLevel: 4, activeSkillLevel: 4 }  // Reactions
+        },
+        skillOverrides: { 3392: 5 }
+      }
+    ]
+  });
+  mock.getCharacterIndustryImplants = jest.fn((characterId) => ({
+    manufacturingTimeBonus: characterId === 200001 ? 4 : 0
+  }));
+  return mock;
+});
+
 describe('Time Calculations', () => {
   describe('calculateManufacturingTime', () => {
     const baseTime = 600;  // 10 minutes in seconds
@@ -247,6 +273,117 @@ describe('Time Calculations', () => {
     });
   });
 
+  describe('calculateManufacturingTime with character skills', () => {
+    const baseTime = 600;
+
+    function createSkillAwareDatabase(scienceSkills = []) {
+      return createMockDatabase({
+        get: {
+          'industryactivity': () => ({ time: baseTime })
+        },
+        all: {
+          'industryactivityskills': () => scienceSkills
+        }
+      });
+    }
+
+    test('applies Industry, Advanced Industry and the implant', () => {
+      const result = calculateManufacturingTime(
+        blueprintFixtures.TYPE_IDS.SCOURGE_BLUEPRINT,
+        0,
+        1,
+        null,
+        createSkillAwareDatabase(),
+        200001
+      );
+
+      // 600 * (1 - 0.20) * (1 - 0.12) * (1 - 0.04) = 405.504
+      expect(result.adjustedTime).toBeApproximately(405.504, 0.001);
+      expect(result.modifiers.map(m => m.label)).toEqual([
+        'Industry',
+        'Advanced Industry',
+        'Industry implant (4%)'
+      ]);
+    });
+
+    test('applies required science skills using their override level', () => {
+      const result = calculateManufacturingTime(
+        blueprintFixtures.TYPE_IDS.SCOURGE_BLUEPRINT,
+        0,
+        1,
+        null,
+        createSkillAwareDatabase([{ skillID: MECHANICAL_ENGINEERING, skillName: 'Mechanical Engineering' }]),
+        200001
+      );
+
+      const science = result.modifiers.find(m => m.skillId === MECHANICAL_ENGINEERING);
+      expect(science.level).toBe(5);
+      expect(science.multiplier).toBeCloseTo(0.95, 10);
+      // 405.504 * 0.95
+      expect(result.adjustedTime).toBeApproximately(385.2288, 0.001);
+    });
+
+    test('stacks skills with blueprint TE and facility bonus', () => {
+      const result = calculateManufacturingTime(
+        blueprintFixtures.TYPE_IDS.SCOURGE_BLUEPRINT,
+        20,
+        10,
+        facilitiesFixtures.raitaruNoRigs,
+        createSkillAwareDatabase(),
+        200001
+      );
+
+      // 600 * 0.8 * 0.85 * 0.8 * 0.88 * 0.96 = 275.74272 per run
+      expect(result.timePerRun).toBeApproximately(275.74272, 0.001);
+      expect(result.adjustedTime).toBeApproximately(2757.4272, 0.01);
+      expect(result.baseTime).toBe(6000);
+      expect(result.modifiers.map(m => m.source)).toEqual(['blueprint', 'facility', 'skill', 'skill', 'implant']);
+    });
+
+    test('character without skills or implants gets no skill modifiers', () => {
+      const result = calculateManufacturingTime(
+        blueprintFixtures.TYPE_IDS.SCOURGE_BLUEPRINT,
+        0,
+        1,
+        null,
+        createSkillAwareDatabase(),
+        999999
+      );
+
+      expect(result.adjustedTime).toBe(baseTime);
+      expect(result.modifiers).toEqual([]);
+    });
+  });
+
+  describe('calculateReactionTime', () => {
+    test('returns base time without facility or character', () => {
+      expect(calculateReactionTime(10800, 2)).toBe(21600);
+    });
+
+    test('applies Tatara structure bonus', () => {
+      const tatara = { structureTypeId: 35836, rigs: [] };
+
+      // 10800 * 0.75 = 8100
+      expect(calculateReactionTime(10800, 1, tatara)).toBe(8100);
+    });
+
+    test('applies Reactions skill (4% per level)', () => {
+      // 10800 * (1 - 0.16) = 9072
+      expect(calculateReactionTime(10800, 1, null, 200001)).toBe(9072);
+    });
+
+    test('stacks Reactions skill with Tatara bonus and reports each modifier', () => {
+      const tatara = { structureTypeId: 35836, rigs: [] };
+
+      // 10800 * 0.75 * 0.84 = 6804
+      expect(calculateReactionTime(10800, 1, tatara, 200001)).toBe(6804);
+
+      const modifiers = getReactionTimeModifiers(tatara, 200001);
+      expect(modifiers.map(m => m.label)).toEqual(['Tatara', 'Reactions']);
+      expect(modifiers[1].level).toBe(4);
+    });
+  });
+
   describe('Time Conversion Helpers', () => {
     test('converts seconds to hours correctly', () => {
       const seconds = 3600;